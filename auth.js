@@ -1,18 +1,19 @@
 import { PermissionsBitField } from "discord.js";
-import fs from "fs";
-import path from "path";
+import { getGuildSetting } from "./shared/guild_settings.js";
 
-// Load privileged users from JSON
-let PRIVILEGED_USERS = {};
+// Permission tiers, lowest to highest. Roles map to tiers per guild
+// (configs/permission_tiers.js + dashboard overrides); a tier passes checks
+// for every tier below it.
+export const PERMISSION_TIERS = ["everyone", "trusted", "host", "moderator", "admin"];
 
-try {
-  const filePath = path.resolve(process.cwd(), "configs", "privileged_users.json");
-  const raw = fs.readFileSync(filePath, "utf8");
-  PRIVILEGED_USERS = JSON.parse(raw);
-  console.log("[AUTH] Loaded privileged users:", Object.keys(PRIVILEGED_USERS));
-} catch (err) {
-  console.warn("[AUTH] Could not load configs/privileged_users.json — privileged users disabled");
-  PRIVILEGED_USERS = {};
+function tierRank(tier) {
+  const idx = PERMISSION_TIERS.indexOf(String(tier || "").toLowerCase());
+  // Unknown tiers fail closed (treated as admin-only).
+  return idx === -1 ? PERMISSION_TIERS.length - 1 : idx;
+}
+
+export function isPermissionTier(tier) {
+  return PERMISSION_TIERS.includes(String(tier || "").toLowerCase());
 }
 
 function isAdmin(message) {
@@ -29,12 +30,51 @@ function isPrivileged(message) {
   const uid = message.user?.id || message.member?.user?.id || message.author?.id;
   if (!gid || !uid) return false;
 
-  const list = PRIVILEGED_USERS[gid];
+  // configs/privileged_users.json unless overridden from the admin dashboard.
+  const list = getGuildSetting(gid, "privileged_users");
   if (!Array.isArray(list) || list.length === 0) return false;
 
   return list.includes(uid);
 }
 
+// GuildMember (roles.cache) or raw interaction member (roles: string[]).
+function memberRoleIds(member) {
+  const roles = member?.roles;
+  if (!roles) return new Set();
+  if (Array.isArray(roles)) return new Set(roles.map(String));
+  if (roles.cache?.keys) return new Set([...roles.cache.keys()].map(String));
+  return new Set();
+}
+
+/**
+ * Highest permission tier for a message/interaction-like ctx in its guild.
+ */
+export function permissionTierOf(message) {
+  if (!message) return "everyone";
+  if (isAdmin(message) || isPrivileged(message)) return "admin";
+
+  const gid = message.guildId || message.guild?.id;
+  const memberRoles = memberRoleIds(message.member);
+  if (!gid || !memberRoles.size) return "everyone";
+
+  const rolesByTier = getGuildSetting(gid, "permission_tiers") || {};
+  for (let i = PERMISSION_TIERS.length - 1; i > 0; i--) {
+    const roleIds = rolesByTier[PERMISSION_TIERS[i]];
+    if (Array.isArray(roleIds) && roleIds.some((id) => memberRoles.has(String(id)))) {
+      return PERMISSION_TIERS[i];
+    }
+  }
+  return "everyone";
+}
+
+/**
+ * True when the ctx's member holds `tier` (or a higher one) in its guild.
+ */
+export function hasPermissionTier(message, tier) {
+  if (tierRank(tier) === 0) return true;
+  return tierRank(permissionTierOf(message)) >= tierRank(tier);
+}
+
 export function isAdminOrPrivileged(message) {
-  return isAdmin(message) || isPrivileged(message);
+  return hasPermissionTier(message, "admin");
 }
@@ -7,6 +7,8 @@ import { startSchedulers } from "./schedulers.js";
 import { handleGuildMemberAdd } from "./info/welcome.js";
 import { startAvatarRotation, stopAvatarRotation } from "./avatar_rotation.js";
 import { migrateWhispersToEncrypted } from "./contests/whispers.js";
+import { reloadGuildSettings } from "./shared/guild_settings.js";
+import { startAdminApi } from "./shared/admin_api.js";
 
 function mustEnv(name) {
   const v = process.env[name];
@@ -39,6 +41,14 @@ const ALLOWED_CHANNEL_IDS = (process.env.ALLOWED_CHANNEL_IDS || "")
 await initDbWithRetry();
 console.log("DB ready ✅");
 
+// Per-guild settings overrides (configs/ files stay the defaults).
+try {
+  const loaded = await reloadGuildSettings();
+  if (loaded) console.log(`[SETTINGS] loaded ${loaded} guild setting override(s) ✅`);
+} catch (err) {
+  console.warn("[SETTINGS] could not load overrides, using configs/ defaults:", err?.message ?? err);
+}
+
 try {
   const res = await migrateWhispersToEncrypted();
   if (res.ok && res.migrated) {
@@ -103,6 +113,7 @@ client.once(Events.ClientReady, async () => {
 
   startSchedulers({ client });
   startAvatarRotation({ client });
+  startAdminApi({ client });
 });
 
 client.on("messageCreate", async (message) => {
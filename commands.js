@@ -17,6 +17,15 @@
  *   register.listener(handler)    // alias of onMessage
  *   register.expose({ logicalId, name, handler, help?, opts? }) // !/? exposure per guild
  *
+ * opts.tier declares the permission tier a command needs ("trusted" | "host" |
+ * "moderator" | "admin"). Dispatch enforces it (bang commands stay silent, slash
+ * commands get an ephemeral notice) and help only lists commands the viewer's tier
+ * can use. opts.subcommandTiers ({ sub: tier }) overrides it per subcommand: the
+ * first word after a bang command, or the slash subcommand ("group sub" for groups).
+ * "everyone" there leaves the check to the handler (e.g. a board's own host).
+ * opts.admin alone only files a command under Admin in help; owner-managed game
+ * commands use it without a tier.
+ *
  * Handlers:
  *  - Bang/Q: handler({ message, cmd, rest })
  *  - Slash: handler({ interaction })
@@ -36,22 +45,18 @@ import { registerTools } from "./tools/tools.js";
 import { registerToybox } from "./toybox.js";
 
 import { registerVerification } from "./verification/verification.js";
+import { registerCmdPolicy } from "./info/cmdpolicy.js";
 
 import { handleRarityInteraction } from "./tools/rarity.js";
 import { handleLeaderboardInteraction } from "./rpg/leaderboard.js";
 import { handlePokedexInteraction } from "./rpg/pokedex.js";
 import { handleRpgInfoInteraction } from "./rpg/rpginfo.js";
-import { isAdminOrPrivileged } from "./auth.js";
+import { hasPermissionTier, isAdminOrPrivileged, isPermissionTier } from "./auth.js";
 import { logger } from "./shared/logger.js";
 import { metrics } from "./shared/metrics.js";
 import { isAprilFoolsActive } from "./shared/april_fools.js";
-import {
-  DEFAULT_EXPOSURE,
-  DEFAULT_SLASH_EXPOSURE,
-  COMMAND_EXPOSURE_BY_GUILD,
-  COMMAND_CHANNEL_POLICY_BY_GUILD,
-  SLASH_EXPOSURE_BY_GUILD,
-} from "./configs/command_exposure.js";
+import { getGuildSetting } from "./shared/guild_settings.js";
+import { DEFAULT_EXPOSURE, DEFAULT_SLASH_EXPOSURE } from "./configs/command_exposure.js";
 
 
 /* --------------------------------- config -------------------------------- */
@@ -110,6 +115,33 @@ export function buildCommandRegistry({ client } = {}) {
     }
   }
 
+  function requiredTierFor(name, opts) {
+    if (opts.tier === undefined || opts.tier === null) return opts.admin ? "admin" : "everyone";
+    if (!isPermissionTier(opts.tier)) {
+      throw new Error(`[COMMANDS] Unknown permission tier "${opts.tier}" for "${name}"`);
+    }
+    return String(opts.tier).toLowerCase();
+  }
+
+  // Only an explicit opts.tier gates dispatch; opts.admin alone is help-only.
+  function gateTierFor(name, opts) {
+    if (opts.tier === undefined || opts.tier === null) return null;
+    return requiredTierFor(name, opts);
+  }
+
+  function subcommandTiersFor(name, opts) {
+    if (!opts.subcommandTiers) return null;
+    const tiers = new Map();
+    for (const [sub, tier] of Object.entries(opts.subcommandTiers)) {
+      tiers.set(String(sub).toLowerCase(), requiredTierFor(`${name} ${sub}`, { tier }));
+    }
+    return tiers;
+  }
+
+  function passesTier(ctx, tier) {
+    return !tier || tier === "everyone" || hasPermissionTier(ctx, tier);
+  }
+
   function registerBang(name, handler, help = "", opts = {}) {
     const key = String(name).toLowerCase();
     if (bang.has(key)) {
@@ -122,6 +154,9 @@ export function buildCommandRegistry({ client } = {}) {
       help,
       admin: Boolean(opts.admin),
       adminCategory: opts.adminCategory || null,
+      tier: requiredTierFor(key, opts),
+      gateTier: gateTierFor(key, opts),
+      subcommandTiers: subcommandTiersFor(key, opts),
       canonical: true,
       canonicalName: key,
       category: opts.category || "Other",
@@ -146,21 +181,40 @@ export function buildCommandRegistry({ client } = {}) {
     }
   }
 
+  // Logical ids that policy can target: register.expose ids plus plain bang names (without "!").
+  function exposableIds() {
+    const ids = new Set();
+    for (const entry of bang.values()) {
+      if (entry.exposeMeta?.logicalId) ids.add(entry.exposeMeta.logicalId);
+    }
+    return ids;
+  }
+
+  function listLogicalIds() {
+    const ids = exposableIds();
+    for (const [key, entry] of bang.entries()) {
+      if (entry.canonical && !entry.exposeMeta && key.startsWith("!")) ids.add(key.slice(1));
+    }
+    return [...ids].sort();
+  }
+
+  // Per-guild maps come from guild settings (configs/command_exposure.js + dashboard overrides),
+  // looked up on every call so edits apply without a restart.
   function exposureFor(guildId, logicalId) {
-    const g = COMMAND_EXPOSURE_BY_GUILD[String(guildId)];
+    const g = getGuildSetting(guildId, "command_exposure");
     const exp = g?.[logicalId] ?? DEFAULT_EXPOSURE;
     return VALID_EXPOSURES.has(exp) ? exp : "bang";
   }
 
   function slashExposureFor(guildId, commandName) {
-    const g = SLASH_EXPOSURE_BY_GUILD?.[String(guildId)];
+    const g = getGuildSetting(guildId, "slash_exposure");
     const exp = g?.[String(commandName)] ?? DEFAULT_SLASH_EXPOSURE;
     return VALID_SLASH_EXPOSURES.has(exp) ? exp : "on";
   }
 
 
   function channelPolicyFor(guildId, logicalId) {
-    const g = COMMAND_CHANNEL_POLICY_BY_GUILD?.[String(guildId)];
+    const g = getGuildSetting(guildId, "command_channel_policy");
     const p = g?.[logicalId];
     if (!p) return null;
 
@@ -280,6 +334,9 @@ export function buildCommandRegistry({ client } = {}) {
       meta: {
         admin: Boolean(opts.admin),
         adminCategory: opts.adminCategory || null,
+        tier: requiredTierFor(`/${key}`, opts),
+        gateTier: gateTierFor(`/${key}`, opts),
+        subcommandTiers: subcommandTiersFor(`/${key}`, opts),
         category: opts.category || "Other",
         hideFromHelp: Boolean(opts.hideFromHelp),
         helpTier: opts.helpTier || "normal", // "primary" | "normal"
@@ -359,7 +416,9 @@ export function buildCommandRegistry({ client } = {}) {
    */
   function helpModel(guildId = null, viewerMessageLike = null) {
     const gid = guildId ? String(guildId) : null;
-    const includeAdmin = viewerMessageLike ? isAdminOrPrivileged(viewerMessageLike) : false;
+    // Commands that need a tier are only listed for viewers holding it.
+    const canUse = (tier) =>
+      !tier || tier === "everyone" || (viewerMessageLike ? hasPermissionTier(viewerMessageLike, tier) : false);
 
     // cat -> { userLines: [] }
     const byCat = new Map();
@@ -397,14 +456,14 @@ export function buildCommandRegistry({ client } = {}) {
     // Bang/Q commands
     // -------------------------
     for (const entry of bang.values()) {
-      const { help, admin, adminCategory, canonical, category, hideFromHelp, helpTier } = entry;
+      const { help, admin, adminCategory, tier, canonical, category, hideFromHelp, helpTier } = entry;
 
       if (!canonical) continue;
       if (!help) continue;
       if (hideFromHelp) continue;
 
-      // Hide admin commands unless viewer can see them
-      if (admin && !includeAdmin) continue;
+      // Hide staff commands unless the viewer's tier can use them
+      if (!canUse(tier)) continue;
 
       const cat = admin ? (adminCategory || "Admin") : (category || "Other");
 
@@ -451,7 +510,7 @@ export function buildCommandRegistry({ client } = {}) {
       const helpTier = meta?.helpTier || "normal";
 
       if (hideFromHelp) continue;
-      if (admin && !includeAdmin) continue;
+      if (!canUse(meta?.tier)) continue;
 
       // Same rule: Games category shows only primary commands
       if (String(cat).toLowerCase() === "games") {
@@ -466,7 +525,7 @@ export function buildCommandRegistry({ client } = {}) {
     // -------------------------
     // Finalize per-category lines:
     // - sort user lines
-    // - then "Admin:" + sorted admin lines (only if includeAdmin)
+    // - then "Admin:" + sorted admin lines (only for viewers with the tier)
     // -------------------------
     const sorted = Array.from(byCat.values())
       .map((bucket) => ({
@@ -494,7 +553,7 @@ export function buildCommandRegistry({ client } = {}) {
       if (!isAdminOrPrivileged(message)) return;
 
       const gid = String(message.guildId);
-      const policy = COMMAND_EXPOSURE_BY_GUILD[gid];
+      const policy = getGuildSetting(gid, "command_exposure");
 
       if (!policy || Object.keys(policy).length === 0) {
         await message.reply(
@@ -518,9 +577,18 @@ export function buildCommandRegistry({ client } = {}) {
       );
     },
     "!cmdpolicy — show per-guild command exposure overrides (admin/privileged)",
-    { admin: true, hideFromHelp: true, category: "Info" }
+    { admin: true, tier: "admin", hideFromHelp: true, category: "Info" }
   );
 
+  // Admin/privileged: edit exposure / slash exposure / channel policy at runtime
+  registerCmdPolicy(withCategory(register, "Info"), {
+    defaultExposure: DEFAULT_EXPOSURE,
+    listLogicalIds,
+    isExposableId: (id) => exposableIds().has(id),
+    listSlashNames: () => [...slash.keys()].sort(),
+    resyncGuildSlashCommands,
+  });
+
   // Trading now registers everywhere; policy controls off/q/bang per guild.
   registerTrades(withCategory(register, "Trading"));
 
@@ -560,11 +628,30 @@ export function buildCommandRegistry({ client } = {}) {
     };
   }
 
-  function preflightBangCommand(message, cmd, entry) {
+  function bangTierFor(entry, rest) {
+    const sub = String(rest || "").trim().split(/\s+/)[0].toLowerCase();
+    return entry.subcommandTiers?.get(sub) ?? entry.gateTier;
+  }
+
+  function slashTierFor(entry, interaction) {
+    const { gateTier, subcommandTiers } = entry.meta;
+    const sub = interaction.options?.getSubcommand?.(false);
+    if (!sub || !subcommandTiers) return gateTier;
+    const group = interaction.options?.getSubcommandGroup?.(false);
+    const key = (group ? `${group} ${sub}` : sub).toLowerCase();
+    return subcommandTiers.get(key) ?? gateTier;
+  }
+
+  function preflightBangCommand(message, cmd, entry, rest = "") {
     if (!entry?.handler) {
       return { ok: false, reason: "unknown_command", silent: true };
     }
 
+    const tier = bangTierFor(entry, rest);
+    if (!passesTier(message, tier)) {
+      return { ok: false, reason: "missing_tier", tier, silent: true };
+    }
+
     const isBangPrefix = String(cmd || "").startsWith("!");
     const logicalId = entry?.exposeMeta?.logicalId || null;
     const guildId = message?.guildId || null;
@@ -649,7 +736,7 @@ export function buildCommandRegistry({ client } = {}) {
 
     for (const candidate of candidates) {
       if (!candidate.entry?.handler) continue;
-      const preflight = preflightBangCommand(message, candidate.cmd, candidate.entry);
+      const preflight = preflightBangCommand(message, candidate.cmd, candidate.entry, rest);
       if (preflight.ok) {
         return {
           isBypass: true,
@@ -738,7 +825,7 @@ export function buildCommandRegistry({ client } = {}) {
       });
     }
 
-    const preflight = preflightBangCommand(message, cmd, entry);
+    const preflight = preflightBangCommand(message, cmd, entry, rest);
     if (!preflight.ok) {
       if (!dryRun && preflight.notifyText && typeof message.reply === "function") {
         await message.reply(preflight.notifyText);
@@ -837,6 +924,10 @@ export function buildCommandRegistry({ client } = {}) {
         await interaction.respond([]);
         return;
       }
+      if (!passesTier(interaction, slashTierFor(entry, interaction))) {
+        await interaction.respond([]);
+        return;
+      }
       const startedAt = Date.now();
       try {
         await entry.autocomplete({ interaction });
@@ -892,6 +983,13 @@ export function buildCommandRegistry({ client } = {}) {
         });
         return;
       }
+      if (!passesTier(interaction, slashTierFor(entry, interaction))) {
+        await interaction.reply({
+          content: "You do not have permission to run this command.",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
       const startedAt = Date.now();
       try {
         await entry.handler({ interaction });
@@ -1157,15 +1255,21 @@ export function buildCommandRegistry({ client } = {}) {
 
   /* ------------------------------ slash syncing ------------------------------ */
 
-  function slashDefs() {
-    return [...slash.values()]
-      .map((x) => x.def)
+  // With a guildId, slash commands turned off for that guild are left out.
+  function slashDefs(guildId = null) {
+    return [...slash.entries()]
+      .filter(([key]) => !guildId || slashExposureFor(guildId, key) !== "off")
+      .map(([, x]) => x.def)
       .sort((a, b) => String(a.name).localeCompare(String(b.name)));
   }
 
+  // Last sync target, so slash exposure changes can re-sync the same way.
+  let lastSlashSync = null;
+
   async function syncSlashCommands({ token, appId, guildId = null }) {
     const rest = new REST({ version: "10" }).setToken(token);
-    const body = slashDefs();
+    const body = slashDefs(guildId);
+    lastSlashSync = { token, appId, guildId: guildId ? String(guildId) : null };
 
     if (guildId) {
       await rest.put(Routes.applicationGuildCommands(appId, guildId), { body });
@@ -1174,6 +1278,19 @@ export function buildCommandRegistry({ client } = {}) {
     }
   }
 
+  /**
+   * Re-register slash commands after a slash exposure change in `guildId`.
+   * Returns "synced" (guild-scoped registration was updated), "global" (global
+   * registration; dispatch still blocks "off" commands) or "unsynced".
+   */
+  async function resyncGuildSlashCommands(guildId) {
+    if (!lastSlashSync) return "unsynced";
+    if (!lastSlashSync.guildId) return "global";
+    if (lastSlashSync.guildId !== String(guildId)) return "unsynced";
+    await syncSlashCommands(lastSlashSync);
+    return "synced";
+  }
+
   return {
     dispatchMessage,
     dispatchMessageHooks,
@@ -1189,6 +1306,7 @@ export function buildCommandRegistry({ client } = {}) {
     helpModel,
 
     slashDefs,
-    syncSlashCommands
+    syncSlashCommands,
+    resyncGuildSlashCommands
   };
 }
@@ -0,0 +1,19 @@
+// configs/faq_auto_answer.js
+//
+// Guild -> passive FAQ answers for help channels (no !faq needed).
+//
+// Shape:
+//   {
+//     channels: ["<channel id>", ...],   // where question-like messages are answered
+//     threshold: 0.68,                   // optional; overrides FAQ_AUTO_ANSWER_THRESHOLD
+//     cooldownSeconds: 300,              // optional; overrides FAQ_AUTO_ANSWER_COOLDOWN_SECONDS
+//     staffTier: "trusted",              // optional; a reply from this tier (or higher) keeps the bot quiet
+//   }
+//
+// Guilds not listed here (or with no channels) never get passive answers.
+// Can be overridden per guild from the settings dashboard.
+//
+// Example:
+//   "123456789012345678": { channels: ["234567890123456789"] },
+
+export const FAQ_AUTO_ANSWER_BY_GUILD = {};
@@ -0,0 +1,14 @@
+// configs/faq_locales.js
+//
+// Guild -> default FAQ answer locale ("en" | "es" | "pt").
+//
+// Used when a question's language can't be detected and the asker hasn't
+// picked one with !faqlang. Entries without a translation for the locale
+// answer in English.
+//
+// Can be overridden per guild from the settings dashboard.
+//
+// Example:
+//   "123456789012345678": "es",
+
+export const FAQ_LOCALE_BY_GUILD = {};
@@ -0,0 +1,19 @@
+// configs/permission_tiers.js
+//
+// Guild -> permission tier -> Discord role IDs.
+//
+// Tiers, lowest to highest: everyone, trusted, host, moderator, admin.
+// A member gets the highest tier any of their roles maps to; each tier also
+// passes checks for the tiers below it. Administrator / Manage Server and
+// configs/privileged_users.json always count as "admin".
+//
+// Can be overridden per guild (per tier) from the settings dashboard.
+//
+// Example:
+//   "123456789012345678": {
+//     trusted: ["<role id>"],     // e.g. custom leaderboard keepers
+//     host: ["<role id>"],        // event hosts: giveaways, contests, games
+//     moderator: ["<role id>"],
+//   },
+
+export const PERMISSION_TIER_ROLES_BY_GUILD = {};
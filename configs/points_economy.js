@@ -0,0 +1,13 @@
+// configs/points_economy.js
+//
+// Guilds that opted into the shared points ledger (!balance, !points, game stakes).
+// Guilds not listed here have no economy; games keep their text-only prizes.
+//
+// Per-guild options:
+// - currencyName: label used in replies (default "points")
+// - maxStake: largest single bet/stake a game may take (default 10,000)
+
+export const POINTS_ECONOMY_BY_GUILD = {
+  // Test server
+  "1332822580708511815": { currencyName: "points", maxStake: 10_000 },
+};
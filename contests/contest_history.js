@@ -0,0 +1,428 @@
+// contests/contest_history.js
+//
+// Contest results archive:
+// - giveaways (incl. rerolls), reaction contests, poll contests, whispers and lotto rolls
+//   record one row per finished contest via recordContestResult (best-effort; never throws)
+// - winners are also stored one row per user so "has X won lately" is an indexed lookup
+// - /contesthistory user|recent|export (host tier) reads the archive; export is a CSV file
+
+import { MessageFlags } from "discord.js";
+
+import { hasPermissionTier } from "../auth.js";
+import { getDb } from "../db.js";
+import { sendChunked } from "./helpers.js";
+
+export const RESULT_KINDS = ["giveaway", "reaction", "poll", "whisper", "lotto"];
+
+const KIND_LABELS = {
+  giveaway: "Giveaway",
+  reaction: "Reaction contest",
+  poll: "Poll contest",
+  whisper: "Whisper",
+  lotto: "Lotto",
+};
+
+const DEFAULT_RECENT_LIMIT = 5;
+const MAX_RECENT_LIMIT = 25;
+const USER_WINS_SHOWN = 10;
+const WINNERS_SHOWN_PER_LINE = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TITLE_CHARS = 255;
+const MAX_EXPORT_ROWS = 5000;
+const NO_PINGS = { allowedMentions: { parse: [] } };
+
+function clip(raw, max = MAX_TITLE_CHARS) {
+  const text = String(raw ?? "").trim();
+  if (!text) return null;
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function formatTimestamp(ms, style) {
+  const epoch = Math.max(0, Math.floor(Number(ms) / 1000));
+  return `<t:${epoch}:${style}>`;
+}
+
+function parseWinnerIds(raw) {
+  try {
+    const parsed = JSON.parse(raw || "[]");
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+function rowToResult(row) {
+  return {
+    id: Number(row.id),
+    guildId: String(row.guild_id),
+    kind: String(row.kind),
+    refId: row.ref_id ? String(row.ref_id) : null,
+    channelId: row.channel_id ? String(row.channel_id) : null,
+    hostId: row.host_id ? String(row.host_id) : null,
+    title: row.title ? String(row.title) : null,
+    details: row.details ? String(row.details) : null,
+    entrantCount: row.entrant_count == null ? null : Number(row.entrant_count),
+    winnerIds: parseWinnerIds(row.winners_json),
+    isReroll: Boolean(Number(row.is_reroll)),
+    drawId: row.draw_id == null ? null : Number(row.draw_id),
+    endedAtMs: Number(row.ended_at_ms),
+  };
+}
+
+/**
+ * Archives one finished contest. Never throws: a failed write only logs, so callers can
+ * fire it after announcing winners. Returns { ok, id } or { ok: false, error }.
+ */
+export async function recordContestResult({
+  guildId,
+  kind,
+  refId = null,
+  channelId = null,
+  hostId = null,
+  title = null,
+  details = null,
+  entrantCount = null,
+  winnerIds = [],
+  isReroll = false,
+  drawId = null,
+  endedAtMs = Date.now(),
+}) {
+  if (!guildId || !RESULT_KINDS.includes(kind)) return { ok: false, error: "invalid" };
+  const winners = [...new Set((winnerIds || []).filter(Boolean).map(String))];
+  try {
+    const db = getDb();
+    const [res] = await db.execute(
+      `
+      INSERT INTO contest_results
+        (guild_id, kind, ref_id, channel_id, host_id, title, details, entrant_count, winners_json, is_reroll, draw_id, ended_at_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        String(guildId),
+        kind,
+        refId ? String(refId) : null,
+        channelId ? String(channelId) : null,
+        hostId ? String(hostId) : null,
+        clip(title),
+        clip(details),
+        entrantCount == null ? null : Math.max(0, Math.floor(Number(entrantCount) || 0)),
+        JSON.stringify(winners),
+        isReroll ? 1 : 0,
+        drawId || null,
+        Number(endedAtMs),
+      ]
+    );
+    const id = Number(res?.insertId);
+    if (Number.isFinite(id) && id > 0 && winners.length) {
+      const placeholders = winners.map(() => "(?, ?, ?, ?, ?)").join(", ");
+      const values = winners.flatMap((userId) => [id, String(guildId), userId, kind, Number(endedAtMs)]);
+      await db.execute(
+        `
+        INSERT IGNORE INTO contest_result_winners (result_id, guild_id, user_id, kind, won_at_ms)
+        VALUES ${placeholders}
+        `,
+        values
+      );
+    }
+    return { ok: true, id: Number.isFinite(id) ? id : null };
+  } catch (err) {
+    console.warn("[contest_history] failed to record result:", err);
+    return { ok: false, error: "db" };
+  }
+}
+
+export async function fetchRecentResults({ guildId, kind = null, limit = DEFAULT_RECENT_LIMIT }) {
+  const n = Math.min(Math.max(1, Math.floor(Number(limit) || DEFAULT_RECENT_LIMIT)), MAX_RECENT_LIMIT);
+  const db = getDb();
+  const params = [String(guildId)];
+  let kindClause = "";
+  if (kind) {
+    kindClause = "AND kind = ?";
+    params.push(kind);
+  }
+  const [rows] = await db.execute(
+    `
+    SELECT * FROM contest_results
+    WHERE guild_id = ? ${kindClause}
+    ORDER BY ended_at_ms DESC, id DESC
+    LIMIT ${n}
+    `,
+    params
+  );
+  return (rows || []).map(rowToResult);
+}
+
+/**
+ * A user's wins, newest first: { total, sinceCount, results } where sinceCount counts wins at
+ * or after `sinceMs` (null when not asked).
+ */
+export async function fetchUserWins({ guildId, userId, sinceMs = null, limit = USER_WINS_SHOWN }) {
+  const db = getDb();
+  const [countRows] = await db.execute(
+    `
+    SELECT COUNT(*) AS total, SUM(CASE WHEN won_at_ms >= ? THEN 1 ELSE 0 END) AS since_count
+    FROM contest_result_winners
+    WHERE guild_id = ? AND user_id = ?
+    `,
+    [sinceMs == null ? 0 : Number(sinceMs), String(guildId), String(userId)]
+  );
+  const [rows] = await db.execute(
+    `
+    SELECT r.* FROM contest_result_winners w
+    JOIN contest_results r ON r.id = w.result_id
+    WHERE w.guild_id = ? AND w.user_id = ?
+    ORDER BY w.won_at_ms DESC, r.id DESC
+    LIMIT ${Math.max(1, Math.floor(Number(limit) || USER_WINS_SHOWN))}
+    `,
+    [String(guildId), String(userId)]
+  );
+  const total = Number(countRows?.[0]?.total || 0);
+  return {
+    total,
+    sinceCount: sinceMs == null ? null : Number(countRows?.[0]?.since_count || 0),
+    results: (rows || []).map(rowToResult),
+  };
+}
+
+async function fetchResultsForExport({ guildId, sinceMs = null }) {
+  const db = getDb();
+  const params = [String(guildId)];
+  let sinceClause = "";
+  if (sinceMs != null) {
+    sinceClause = "AND ended_at_ms >= ?";
+    params.push(Number(sinceMs));
+  }
+  const [rows] = await db.execute(
+    `
+    SELECT * FROM contest_results
+    WHERE guild_id = ? ${sinceClause}
+    ORDER BY ended_at_ms DESC, id DESC
+    LIMIT ${MAX_EXPORT_ROWS}
+    `,
+    params
+  );
+  return (rows || []).map(rowToResult);
+}
+
+function csvCell(value) {
+  let text = value == null ? "" : String(value);
+  // Spreadsheet apps run cells starting with these as formulas.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function buildResultsCsv(results) {
+  const header = [
+    "id",
+    "ended_at",
+    "type",
+    "title",
+    "details",
+    "host_id",
+    "channel_id",
+    "ref_id",
+    "entrants",
+    "winner_ids",
+    "reroll",
+    "draw_id",
+  ];
+  const lines = [header.join(",")];
+  for (const r of results || []) {
+    lines.push(
+      [
+        r.id,
+        new Date(r.endedAtMs).toISOString(),
+        r.kind,
+        r.title,
+        r.details,
+        r.hostId,
+        r.channelId,
+        r.refId,
+        r.entrantCount,
+        r.winnerIds.join(" "),
+        r.isReroll ? "yes" : "no",
+        r.drawId,
+      ]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+export function describeResult(result) {
+  const label = `${KIND_LABELS[result.kind] || result.kind}${result.isReroll ? " reroll" : ""}`;
+  const title = result.title ? ` **${result.title}**` : "";
+  const shown = result.winnerIds.slice(0, WINNERS_SHOWN_PER_LINE).map((id) => `<@${id}>`);
+  const hidden = result.winnerIds.length - shown.length;
+  if (hidden > 0) shown.push(`+${hidden} more`);
+  const winners = shown.length
+    ? shown.join(", ")
+    : result.details
+      ? ""
+      : "no winner";
+  const parts = [winners, result.details].filter(Boolean).join(" · ");
+  const entrants = result.entrantCount != null ? ` (${result.entrantCount} entrants)` : "";
+  return `${formatTimestamp(result.endedAtMs, "d")} ${label}${title}${entrants} — ${parts}`;
+}
+
+async function replyChunked(interaction, lines) {
+  let replied = false;
+  await sendChunked({
+    send: async (content) => {
+      const payload = { content, ...NO_PINGS };
+      if (replied) await interaction.followUp(payload);
+      else await interaction.reply(payload);
+      replied = true;
+    },
+    lines,
+  });
+}
+
+function parseKind(raw) {
+  const value = String(raw || "").trim().toLowerCase();
+  return RESULT_KINDS.includes(value) ? value : null;
+}
+
+async function handleUser(interaction) {
+  const user = interaction.options?.getUser?.("user");
+  if (!user?.id) {
+    await interaction.reply({ content: "Please pick a user.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  const days = interaction.options?.getInteger?.("days") || 30;
+  const sinceMs = Date.now() - days * DAY_MS;
+  const wins = await fetchUserWins({ guildId: interaction.guildId, userId: user.id, sinceMs });
+  if (!wins.total) {
+    await interaction.reply({ content: `<@${user.id}> hasn't won any archived contests here.`, ...NO_PINGS });
+    return;
+  }
+  const lines = [
+    `🏆 <@${user.id}> has won **${wins.total}** contest${wins.total === 1 ? "" : "s"} here ` +
+      `(**${wins.sinceCount}** in the last ${days} day${days === 1 ? "" : "s"}).`,
+    ...wins.results.map((r) => `- ${describeResult(r)}`),
+  ];
+  if (wins.total > wins.results.length) lines.push(`…and ${wins.total - wins.results.length} older.`);
+  await replyChunked(interaction, lines);
+}
+
+async function handleRecent(interaction) {
+  const kind = parseKind(interaction.options?.getString?.("type"));
+  const limit = interaction.options?.getInteger?.("limit") || DEFAULT_RECENT_LIMIT;
+  const results = await fetchRecentResults({ guildId: interaction.guildId, kind, limit });
+  if (!results.length) {
+    await interaction.reply({ content: "No archived contest results yet.", ...NO_PINGS });
+    return;
+  }
+  const what = kind ? `${KIND_LABELS[kind].toLowerCase()}s` : "contests";
+  const lines = [`📜 Last ${results.length} ${what}:`, ...results.map((r) => `- ${describeResult(r)}`)];
+  await replyChunked(interaction, lines);
+}
+
+async function handleExport(interaction) {
+  const days = interaction.options?.getInteger?.("days") || null;
+  const results = await fetchResultsForExport({
+    guildId: interaction.guildId,
+    sinceMs: days ? Date.now() - days * DAY_MS : null,
+  });
+  if (!results.length) {
+    await interaction.reply({ content: "No archived contest results to export.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+  await interaction.reply({
+    content: `Exported ${results.length} contest result${results.length === 1 ? "" : "s"}${days ? ` from the last ${days} days` : ""}.`,
+    files: [{ attachment: Buffer.from(buildResultsCsv(results), "utf8"), name: "contest-history.csv" }],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+export function registerContestHistory(register) {
+  register.slash(
+    {
+      name: "contesthistory",
+      description: "Search past giveaway and contest winners",
+      options: [
+        {
+          type: 1,
+          name: "user",
+          description: "Show a user's contest wins",
+          options: [
+            { type: 6, name: "user", description: "User to look up", required: true },
+            {
+              type: 4,
+              name: "days",
+              description: "Also count wins in the last N days (default 30)",
+              required: false,
+              min_value: 1,
+              max_value: 3650,
+            },
+          ],
+        },
+        {
+          type: 1,
+          name: "recent",
+          description: "Show the most recent contest results",
+          options: [
+            {
+              type: 3,
+              name: "type",
+              description: "Only this kind of contest",
+              required: false,
+              choices: RESULT_KINDS.map((kind) => ({ name: KIND_LABELS[kind], value: kind })),
+            },
+            {
+              type: 4,
+              name: "limit",
+              description: `How many results (default ${DEFAULT_RECENT_LIMIT})`,
+              required: false,
+              min_value: 1,
+              max_value: MAX_RECENT_LIMIT,
+            },
+          ],
+        },
+        {
+          type: 1,
+          name: "export",
+          description: "Download the contest archive as CSV",
+          options: [
+            {
+              type: 4,
+              name: "days",
+              description: "Only results from the last N days",
+              required: false,
+              min_value: 1,
+              max_value: 3650,
+            },
+          ],
+        },
+      ],
+    },
+    async ({ interaction }) => {
+      if (!interaction.guildId) {
+        await interaction.reply({ content: "This command only works in a server.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+      if (!hasPermissionTier(interaction, "host")) {
+        await interaction.reply({
+          content: "You do not have permission to run this command.",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      const sub = interaction.options?.getSubcommand?.() || "";
+      try {
+        if (sub === "user") return await handleUser(interaction);
+        if (sub === "recent") return await handleRecent(interaction);
+        if (sub === "export") return await handleExport(interaction);
+      } catch (err) {
+        console.warn("[contest_history] command failed:", err);
+        await interaction.reply({
+          content: "Contest history is unavailable right now.",
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+    },
+    { tier: "host" }
+  );
+}
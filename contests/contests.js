@@ -11,7 +11,10 @@ import { registerForumList } from "./get_forum_list.js";
 import { registerPollContest } from "./pollcontest.js";
 import { registerGiveaway } from "./giveaway.js";
 import { registerLotto } from "./lotto.js";
+import { registerFairDraw, registerFairDrawScheduler } from "./fair_draw.js";
+import { registerContestHistory } from "./contest_history.js";
 import { registerCustomLeaderboards } from "./custom_leaderboard.js";
+import { registerPoints } from "./points.js";
 import {
   registerScheduledCommands,
   registerScheduledCommandsScheduler,
@@ -27,7 +30,10 @@ const CONTEST_MODULES = [
   { id: "pollcontest", register: registerPollContest },
   { id: "giveaway", register: registerGiveaway },
   { id: "lotto", register: registerLotto },
+  { id: "fair_draw", register: registerFairDraw, registerScheduler: registerFairDrawScheduler },
+  { id: "contest_history", register: registerContestHistory },
   { id: "custom_leaderboard", register: registerCustomLeaderboards },
+  { id: "points", register: registerPoints },
   {
     id: "scheduled_commands",
     register: registerScheduledCommands,
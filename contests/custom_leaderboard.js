@@ -1,12 +1,15 @@
 // contests/custom_leaderboard.js
 //
 // Custom leaderboard helper (bang + button confirmations).
+// Boards can be points-backed: confirmed score changes for Discord entrants
+// are mirrored into the points ledger (shared/points_ledger.js).
 
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from "discord.js";
 import { getDb } from "../db.js";
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { logger } from "../shared/logger.js";
 import { parseMentionIdFromText } from "../shared/mentions.js";
+import { applyPointsChanges, formatPoints, isPointsEnabled } from "../shared/points_ledger.js";
 
 const MAX_LEADERBOARDS_PER_GUILD = 5;
 const MAX_CONFIRM_AGE_MS = 5 * 60_000;
@@ -166,7 +169,7 @@ async function fetchLeaderboardByName({ guildId, name }) {
   const db = getDb();
   const nameNorm = normalizeName(name);
   const [rows] = await db.execute(
-    `SELECT id, guild_id, name, name_norm, metric, host_id
+    `SELECT id, guild_id, name, name_norm, metric, host_id, points_backed
      FROM custom_leaderboards
      WHERE guild_id = ? AND name_norm = ?`,
     [String(guildId), nameNorm]
@@ -180,13 +183,14 @@ async function fetchLeaderboardByName({ guildId, name }) {
     nameNorm: String(row.name_norm),
     metric: String(row.metric),
     hostId: String(row.host_id),
+    pointsBacked: Boolean(Number(row.points_backed || 0)),
   };
 }
 
 async function fetchLeaderboardsForGuild({ guildId }) {
   const db = getDb();
   const [rows] = await db.execute(
-    `SELECT id, guild_id, name, name_norm, metric, host_id
+    `SELECT id, guild_id, name, name_norm, metric, host_id, points_backed
      FROM custom_leaderboards
      WHERE guild_id = ?
      ORDER BY name ASC`,
@@ -199,6 +203,7 @@ async function fetchLeaderboardsForGuild({ guildId }) {
     nameNorm: String(row.name_norm),
     metric: String(row.metric),
     hostId: String(row.host_id),
+    pointsBacked: Boolean(Number(row.points_backed || 0)),
   }));
 }
 
@@ -319,6 +324,61 @@ async function updateScores(changes) {
   }
 }
 
+async function setPointsBacked({ leaderboardId, enabled }) {
+  const db = getDb();
+  await db.execute(`UPDATE custom_leaderboards SET points_backed = ? WHERE id = ?`, [
+    enabled ? 1 : 0,
+    Number(leaderboardId),
+  ]);
+}
+
+// Ledger deltas for a confirmed score change (Discord entrants only).
+function pointsChangesForScores(changes) {
+  const byUser = new Map();
+  for (const change of changes || []) {
+    if (change.participantType !== "discord" || !change.participantKey) continue;
+    const delta = Number(change.newScore) - Number(change.oldScore);
+    if (!delta) continue;
+    byUser.set(change.participantKey, (byUser.get(change.participantKey) || 0) + delta);
+  }
+  return [...byUser.entries()].filter(([, delta]) => delta).map(([userId, delta]) => ({ userId, delta }));
+}
+
+// Ledger first, then the board; if the board write fails the ledger change is reversed.
+// Returns { ok: true } or { ok: false, errorText }.
+async function applyPointsBackedScores(record) {
+  const pointsChanges = pointsChangesForScores(record.changes);
+  const ledgerArgs = {
+    guildId: record.guildId,
+    source: "customlb",
+    actorId: record.userId,
+    ref: record.leaderboardName,
+  };
+
+  const res = await applyPointsChanges({ ...ledgerArgs, changes: pointsChanges, reason: "customlb" });
+  if (!res.ok) {
+    return {
+      ok: false,
+      errorText: `❌ <@${res.userId}> only has ${formatPoints(record.guildId, res.balance)}; nothing was changed.`,
+    };
+  }
+
+  try {
+    await updateScores(record.changes || []);
+  } catch (err) {
+    await applyPointsChanges({
+      ...ledgerArgs,
+      changes: pointsChanges.map((c) => ({ userId: c.userId, delta: -c.delta })),
+      reason: "revert",
+      allowNegative: true,
+    }).catch((revertErr) =>
+      logger.warn("customlb.points.revert_failed", { error: logger.serializeError(revertErr) })
+    );
+    throw err;
+  }
+  return { ok: true };
+}
+
 async function addParticipants({ leaderboardId, entries }) {
   const db = getDb();
   for (const entry of entries) {
@@ -348,7 +408,7 @@ async function removeParticipants({ leaderboardId, entries }) {
 }
 
 function isHostOrAdmin({ leaderboard, actorId, interaction }) {
-  if (isAdminOrPrivileged(interaction)) return true;
+  if (hasPermissionTier(interaction, "trusted")) return true;
   return leaderboard?.hostId === actorId;
 }
 
@@ -481,7 +541,8 @@ function buildHelpText() {
     "• `!customlb entrant add <lb_name> <list>` — add entrants (score starts at 0)\n" +
     "• `!customlb entrant delete <lb_name> <list>` — remove entrants\n" +
     "• `!customlb score set <lb_name> <name> <score>` — set a single score\n" +
-    "• `!customlb score update <lb_name> <name> <delta> [name delta ...]`\n\n" +
+    "• `!customlb score update <lb_name> <name> <delta> [name delta ...]`\n" +
+    "• `!customlb points <lb_name> on|off` — mirror score changes into the points ledger\n\n" +
     "Lists support spaces or commas. Names with spaces should be quoted or use underscores.\n" +
     "Score updates accept +/- values; missing signs default to +.\n" +
     "Example: `!customlb score update \"Haunter Shop\" \"The Triassic\" +2 Haunter +1`"
@@ -494,7 +555,8 @@ export function registerCustomLeaderboards(register) {
     async ({ message, rest }) => {
       if (!message.guildId) return;
       const raw = String(rest || "").trim();
-      const isAdmin = isAdminOrPrivileged(message);
+      // Trusted members manage boards; points-backed toggles stay admin-only.
+      const isAdmin = hasPermissionTier(message, "trusted");
       const userId = message.author?.id || null;
       if (!userId) return;
       const reply = (payload) => replyWithUserMentions(message, payload);
@@ -534,7 +596,9 @@ export function registerCustomLeaderboards(register) {
           return;
         }
 
-        const lines = leaderboards.map((lb) => `• **${lb.name}** — ${lb.metric}`);
+        const lines = leaderboards.map(
+          (lb) => `• **${lb.name}** — ${lb.metric}${lb.pointsBacked ? " (points-backed)" : ""}`
+        );
         await reply(
           `**Active custom leaderboards (${leaderboards.length})**\n${lines.join("\n")}`
         );
@@ -887,6 +951,51 @@ export function registerCustomLeaderboards(register) {
         return;
       }
 
+      if (action === "points") {
+        if (!hasPermissionTier(message, "admin")) return;
+
+        const nameToken = consumeToken(restAfterAction);
+        if (nameToken.error) {
+          await reply(
+            "❌ Missing closing quote for the leaderboard name. Use quotes or underscores."
+          );
+          return;
+        }
+        const mode = String(nameToken.rest || "").trim().toLowerCase();
+        if (!nameToken.token || (mode !== "on" && mode !== "off")) {
+          await reply("❌ Use `!customlb points <lb_name> on|off`.");
+          return;
+        }
+        if (mode === "on" && !isPointsEnabled(message.guildId)) {
+          await reply("❌ Points aren't enabled in this server.");
+          return;
+        }
+
+        const leaderboard = await fetchLeaderboardByName({
+          guildId: message.guildId,
+          name: nameToken.token,
+        });
+        if (!leaderboard) {
+          await reply("❌ Leaderboard not found.");
+          return;
+        }
+
+        try {
+          await setPointsBacked({ leaderboardId: leaderboard.id, enabled: mode === "on" });
+        } catch (err) {
+          logger.warn("customlb.points.toggle_failed", { error: logger.serializeError(err) });
+          await reply("❌ Failed to update leaderboard.");
+          return;
+        }
+
+        await reply(
+          mode === "on"
+            ? `✅ **${leaderboard.name}** is now points-backed. Future score changes for Discord entrants move their points balances (existing scores are not synced).`
+            : `✅ **${leaderboard.name}** is no longer points-backed.`
+        );
+        return;
+      }
+
       if (action === "score") {
         const subToken = consumeToken(restAfterAction);
         if (subToken.error) {
@@ -1013,12 +1122,15 @@ export function registerCustomLeaderboards(register) {
           userId,
           guildId: message.guildId,
           leaderboardId: leaderboard.id,
+          leaderboardName: leaderboard.name,
+          pointsBacked: leaderboard.pointsBacked && isPointsEnabled(message.guildId),
           changes: resolvedChanges,
           createdAtMs: Date.now(),
         });
 
+        const pointsNote = leaderboard.pointsBacked ? "\n\n💰 This board is points-backed; balances change too." : "";
         await reply({
-          content: `**Confirm updates**\n${lines.join("\n")}\n\nOk?`,
+          content: `**Confirm updates**\n${lines.join("\n")}${pointsNote}\n\nOk?`,
           components: [buildConfirmRow(token)],
         });
         return;
@@ -1028,7 +1140,20 @@ export function registerCustomLeaderboards(register) {
       await reply("❌ Unknown subcommand. Use `!customlb help`.");
     },
     "!customlb help — manage custom leaderboards",
-    { admin: true, adminCategory: "Admin" }
+    {
+      admin: true,
+      adminCategory: "Admin",
+      tier: "trusted",
+      // Board hosts manage their own boards; the handler checks ownership.
+      subcommandTiers: {
+        delete: "everyone",
+        del: "everyone",
+        rename: "everyone",
+        entrant: "everyone",
+        score: "everyone",
+        points: "admin",
+      },
+    }
   );
 
   register.component("customlb:confirm:", async ({ interaction }) => {
@@ -1077,7 +1202,16 @@ export function registerCustomLeaderboards(register) {
       }
 
       if (record.action === "score_update") {
-        await updateScores(record.changes || []);
+        if (record.pointsBacked) {
+          const res = await applyPointsBackedScores(record);
+          if (!res.ok) {
+            pendingConfirms.delete(token);
+            await interaction.update({ content: res.errorText, components: [], allowedMentions: { parse: [] } });
+            return;
+          }
+        } else {
+          await updateScores(record.changes || []);
+        }
         pendingConfirms.delete(token);
         await interaction.update({ content: "✅ Scores updated.", components: [] });
         return;
@@ -1112,4 +1246,5 @@ export const __testables = {
   normalizeName,
   aggregateScoreUpdates,
   buildHelpText,
+  pointsChangesForScores,
 };
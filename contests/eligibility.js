@@ -1,29 +1,22 @@
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { getSavedId } from "../db.js";
+import { getGuildSetting } from "../shared/guild_settings.js";
+import { fetchMessageCounts } from "../tools/message_counts.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-let verifyConfigCache = null;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-function loadVerificationConfig() {
-  if (verifyConfigCache) return verifyConfigCache;
-  try {
-    const configPath = path.join(__dirname, "..", "configs", "verification_config.json");
-    const raw = fs.readFileSync(configPath, "utf8");
-    verifyConfigCache = JSON.parse(raw);
-  } catch {
-    verifyConfigCache = null;
-  }
-  return verifyConfigCache;
-}
+// Entry requirements beyond verification (giveaways). Stored as JSON on the giveaway row:
+// { requiredRoleIds, excludedRoleIds, minMemberDays, minMessages, noWinsDays }
+export const REQUIREMENT_REASONS = [
+  "missing_required_role",
+  "has_excluded_role",
+  "member_too_new",
+  "not_enough_messages",
+  "recent_win",
+];
 
 export function getVerifiedRoleIds(guildId) {
-  const config = loadVerificationConfig();
-  const approvalRoles = config?.guilds?.[String(guildId)]?.approvalRoles;
+  const approvalRoles = getGuildSetting(guildId, "verification")?.approvalRoles;
   if (!Array.isArray(approvalRoles)) return [];
   const ids = approvalRoles
     .map((role) => String(role?.id || "").trim())
@@ -33,7 +26,97 @@ export function getVerifiedRoleIds(guildId) {
 
 function isAdminBypass({ guildId, member, userId }) {
   if (!member) return false;
-  return isAdminOrPrivileged({ guildId, member, author: { id: userId } });
+  return hasPermissionTier({ guildId, member, author: { id: userId } }, "admin");
+}
+
+function positiveIntOrNull(raw) {
+  const n = Math.floor(Number(raw));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function roleIdList(raw) {
+  const list = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return [...new Set(list.map((id) => String(id || "").trim()).filter((id) => /^\d+$/.test(id)))];
+}
+
+/**
+ * Cleans a requirements object (or its JSON); returns null when nothing is required.
+ */
+export function normalizeRequirements(raw) {
+  let input = raw;
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+  if (!input || typeof input !== "object") return null;
+
+  const requirements = {
+    requiredRoleIds: roleIdList(input.requiredRoleIds),
+    excludedRoleIds: roleIdList(input.excludedRoleIds),
+    minMemberDays: positiveIntOrNull(input.minMemberDays),
+    minMessages: positiveIntOrNull(input.minMessages),
+    noWinsDays: positiveIntOrNull(input.noWinsDays),
+  };
+  const empty =
+    !requirements.requiredRoleIds.length &&
+    !requirements.excludedRoleIds.length &&
+    !requirements.minMemberDays &&
+    !requirements.minMessages &&
+    !requirements.noWinsDays;
+  return empty ? null : requirements;
+}
+
+export function serializeRequirements(raw) {
+  const requirements = normalizeRequirements(raw);
+  return requirements ? JSON.stringify(requirements) : null;
+}
+
+/**
+ * Short human-readable list, one entry per requirement (used in the giveaway embed).
+ */
+export function describeRequirements(raw) {
+  const requirements = normalizeRequirements(raw);
+  if (!requirements) return [];
+  const parts = [];
+  for (const id of requirements.requiredRoleIds) parts.push(`<@&${id}> role`);
+  for (const id of requirements.excludedRoleIds) parts.push(`no <@&${id}> role`);
+  if (requirements.minMemberDays) parts.push(`member for ${requirements.minMemberDays}+ days`);
+  if (requirements.minMessages) parts.push(`${requirements.minMessages}+ messages`);
+  if (requirements.noWinsDays) parts.push(`no giveaway wins in the last ${requirements.noWinsDays} days`);
+  return parts;
+}
+
+function memberDays(member, nowMs) {
+  const joined = Number(member?.joinedTimestamp);
+  if (!Number.isFinite(joined) || joined <= 0) return null;
+  return Math.max(0, Math.floor((nowMs - joined) / DAY_MS));
+}
+
+function requirementReasons({ requirements, member, userId, messageCount, recentWinnerIds, nowMs }) {
+  const reasons = [];
+  const roles = member?.roles?.cache;
+  if (requirements.requiredRoleIds.length) {
+    const hasAll = requirements.requiredRoleIds.every((id) => roles?.has?.(id));
+    if (!hasAll) reasons.push("missing_required_role");
+  }
+  if (requirements.excludedRoleIds.some((id) => roles?.has?.(id))) {
+    reasons.push("has_excluded_role");
+  }
+  if (requirements.minMemberDays) {
+    const days = memberDays(member, nowMs);
+    if (days == null || days < requirements.minMemberDays) reasons.push("member_too_new");
+  }
+  // messageCount is null when counts couldn't be loaded; skip the check rather than fail everyone.
+  if (requirements.minMessages && messageCount != null && messageCount < requirements.minMessages) {
+    reasons.push("not_enough_messages");
+  }
+  if (requirements.noWinsDays && recentWinnerIds?.has?.(String(userId))) {
+    reasons.push("recent_win");
+  }
+  return reasons;
 }
 
 export async function resolveMember({ guild, userId }) {
@@ -54,42 +137,86 @@ export async function resolveMembers({ guild, userIds }) {
   }
 }
 
+/**
+ * Map of user id -> counted messages, or null when the counts are unavailable (DB error).
+ */
+async function loadMessageCounts({ guildId, userIds, requirements }) {
+  if (!requirements?.minMessages) return new Map();
+  try {
+    return await fetchMessageCounts({ guildId, userIds });
+  } catch (err) {
+    console.warn("[eligibility] failed to load message counts; skipping min_messages:", err);
+    return null;
+  }
+}
+
+/**
+ * `requirements` (see normalizeRequirements) and `recentWinnerIds` (Set of user ids who won
+ * within requirements.noWinsDays) are optional. Returns { ok, reasons, details }.
+ */
 export async function checkEligibility({
   guild,
   guildId,
   userId,
   member,
   requireVerified,
+  requirements = null,
+  recentWinnerIds = null,
   allowAdminBypass = true,
+  nowMs = Date.now(),
 }) {
-  if (!requireVerified) return { ok: true, reasons: [] };
+  const reqs = normalizeRequirements(requirements);
+  if (!requireVerified && !reqs) return { ok: true, reasons: [], details: {} };
   const resolvedMember = member || (guild ? await resolveMember({ guild, userId }) : null);
 
   if (allowAdminBypass && isAdminBypass({ guildId, member: resolvedMember, userId })) {
-    return { ok: true, reasons: [] };
+    return { ok: true, reasons: [], details: {} };
   }
 
   const reasons = [];
-  const verifiedRoleIds = getVerifiedRoleIds(guildId);
-  const hasVerifiedRole =
-    verifiedRoleIds.length > 0
-      ? verifiedRoleIds.some((roleId) => resolvedMember?.roles?.cache?.has?.(roleId))
-      : false;
-  if (!hasVerifiedRole) {
-    reasons.push("missing_verified_role");
-  }
+  if (requireVerified) {
+    const verifiedRoleIds = getVerifiedRoleIds(guildId);
+    const hasVerifiedRole =
+      verifiedRoleIds.length > 0
+        ? verifiedRoleIds.some((roleId) => resolvedMember?.roles?.cache?.has?.(roleId))
+        : false;
+    if (!hasVerifiedRole) {
+      reasons.push("missing_verified_role");
+    }
 
-  let savedId = null;
-  try {
-    savedId = await getSavedId({ guildId, userId });
-  } catch {
-    savedId = null;
+    let savedId = null;
+    try {
+      savedId = await getSavedId({ guildId, userId });
+    } catch {
+      savedId = null;
+    }
+    if (!savedId) {
+      reasons.push("missing_saved_id");
+    }
   }
-  if (!savedId) {
-    reasons.push("missing_saved_id");
+
+  const details = {};
+  if (reqs) {
+    const counts = await loadMessageCounts({ guildId, userIds: [userId], requirements: reqs });
+    details.messageCount = counts ? counts.get(String(userId)) || 0 : null;
+    details.memberDays = memberDays(resolvedMember, nowMs);
+    reasons.push(
+      ...requirementReasons({
+        requirements: reqs,
+        member: resolvedMember,
+        userId,
+        messageCount: details.messageCount,
+        recentWinnerIds,
+        nowMs,
+      })
+    );
   }
 
-  return { ok: reasons.length === 0, reasons };
+  return { ok: reasons.length === 0, reasons, details };
+}
+
+export function hasRequirementFailure(reasons) {
+  return (reasons || []).some((reason) => REQUIREMENT_REASONS.includes(reason));
 }
 
 export function buildEligibilityDm({ guildName, reasons }) {
@@ -106,27 +233,71 @@ export function buildEligibilityDm({ guildName, reasons }) {
   return `${header}\n${lines.join("\n")}`;
 }
 
+/**
+ * Ephemeral rejection for a giveaway entry: one ❌ line per unmet requirement.
+ */
+export function buildRequirementsReply({ reasons, requirements, details = {} }) {
+  const reqs = normalizeRequirements(requirements) || {
+    requiredRoleIds: [],
+    excludedRoleIds: [],
+    minMemberDays: null,
+    minMessages: null,
+    noWinsDays: null,
+  };
+  const lines = ["You can't enter this giveaway yet:"];
+  if (reasons.includes("missing_verified_role")) lines.push("❌ Verified role");
+  if (reasons.includes("missing_saved_id")) {
+    lines.push("❌ Spectreon ID set (example: `!id add 123456`)");
+  }
+  if (reasons.includes("missing_required_role")) {
+    const roles = reqs.requiredRoleIds.map((id) => `<@&${id}>`).join(", ");
+    lines.push(`❌ Requires the ${roles} role${reqs.requiredRoleIds.length === 1 ? "" : "s"}`);
+  }
+  if (reasons.includes("has_excluded_role")) {
+    const roles = reqs.excludedRoleIds.map((id) => `<@&${id}>`).join(", ");
+    lines.push(`❌ Not open to members with the ${roles} role${reqs.excludedRoleIds.length === 1 ? "" : "s"}`);
+  }
+  if (reasons.includes("member_too_new")) {
+    const have = details.memberDays == null ? "" : ` (you: ${details.memberDays})`;
+    lines.push(`❌ Server member for at least ${reqs.minMemberDays} days${have}`);
+  }
+  if (reasons.includes("not_enough_messages")) {
+    lines.push(`❌ At least ${reqs.minMessages} counted messages (you: ${details.messageCount || 0})`);
+  }
+  if (reasons.includes("recent_win")) {
+    lines.push(`❌ No giveaway wins in the last ${reqs.noWinsDays} days`);
+  }
+  return lines.join("\n");
+}
+
 export async function filterEligibleEntrants({
   guild,
   guildId,
   userIds,
   requireVerified,
+  requirements = null,
+  recentWinnerIds = null,
   allowAdminBypass = true,
+  nowMs = Date.now(),
 }) {
-  if (!requireVerified) return { eligibleIds: userIds, ineligibleIds: [] };
+  const reqs = normalizeRequirements(requirements);
+  if (!requireVerified && !reqs) return { eligibleIds: userIds, ineligibleIds: [] };
   const ids = Array.isArray(userIds) ? userIds.map(String) : [];
   if (!ids.length) return { eligibleIds: [], ineligibleIds: [] };
 
   const members = await resolveMembers({ guild, userIds: ids });
-  const savedIdResults = await Promise.all(
-    ids.map(async (id) => {
-      try {
-        return await getSavedId({ guildId, userId: id });
-      } catch {
-        return null;
-      }
-    })
-  );
+  const savedIdResults = requireVerified
+    ? await Promise.all(
+        ids.map(async (id) => {
+          try {
+            return await getSavedId({ guildId, userId: id });
+          } catch {
+            return null;
+          }
+        })
+      )
+    : [];
+  const messageCounts = await loadMessageCounts({ guildId, userIds: ids, requirements: reqs });
 
   const eligibleIds = [];
   const ineligibleIds = [];
@@ -139,14 +310,34 @@ export async function filterEligibleEntrants({
       return;
     }
 
-    const hasVerifiedRole =
-      verifiedRoleIds.length > 0
-        ? verifiedRoleIds.some((roleId) => member?.roles?.cache?.has?.(roleId))
-        : false;
-    const hasSavedId = Boolean(savedIdResults[idx]);
+    if (requireVerified) {
+      const hasVerifiedRole =
+        verifiedRoleIds.length > 0
+          ? verifiedRoleIds.some((roleId) => member?.roles?.cache?.has?.(roleId))
+          : false;
+      const hasSavedId = Boolean(savedIdResults[idx]);
+      if (!hasVerifiedRole || !hasSavedId) {
+        ineligibleIds.push(id);
+        return;
+      }
+    }
+
+    if (reqs) {
+      const reasons = requirementReasons({
+        requirements: reqs,
+        member,
+        userId: id,
+        messageCount: messageCounts ? messageCounts.get(id) || 0 : null,
+        recentWinnerIds,
+        nowMs,
+      });
+      if (reasons.length) {
+        ineligibleIds.push(id);
+        return;
+      }
+    }
 
-    if (hasVerifiedRole && hasSavedId) eligibleIds.push(id);
-    else ineligibleIds.push(id);
+    eligibleIds.push(id);
   });
 
   return { eligibleIds, ineligibleIds };
@@ -0,0 +1,467 @@
+// contests/fair_draw.js
+//
+// Verifiable draws (commit-reveal) for rolls, picks, eliminations, lotto and giveaways:
+// - instant draws (?roll, ?choose, ...) use a per-guild seed that is committed when created
+//   and revealed once it rotates (every 24h)
+// - giveaways/reaction contests commit a dedicated seed when they start (the hash is shown
+//   publicly) and reveal it right after the draw
+// - every draw is stored with its inputs and result; !verifydraw <id> recomputes it
+// - draws older than FAIR_DRAW_RETENTION_DAYS are pruned every 6 hours, along with
+//   revealed seeds no remaining draw uses
+//
+// See shared/fair_rng.js for the derivation. If the DB is unavailable draws still happen,
+// but with a throwaway seed and no draw ID.
+
+import { getDb } from "../db.js";
+import {
+  commitSeed,
+  createFairRandom,
+  eliminationOrder,
+  hashInputs,
+  newServerSeed,
+  publicInputString,
+  sampleWithoutReplacement,
+  weightedSample,
+} from "../shared/fair_rng.js";
+import { logger } from "../shared/logger.js";
+import { registerScheduler } from "../shared/scheduler_registry.js";
+
+const INSTANT_SEED_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 365;
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LISTED_VALUES = 30;
+const NO_PINGS = { allowedMentions: { parse: [] } };
+
+const instantSeedsByGuild = new Map(); // guildId -> seed row
+const instantSeedLoads = new Map(); // guildId -> Promise<seed row|null>
+const seedsById = new Map(); // seedId -> seed row
+let pruneTimer = null;
+
+function retentionDays() {
+  const raw = Number(process.env.FAIR_DRAW_RETENTION_DAYS);
+  return Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_RETENTION_DAYS;
+}
+
+function computeRoll(random, { count, sides, noRepeat }) {
+  if (!noRepeat) return { rolls: Array.from({ length: count }, () => random.int(1, sides)) };
+  if (count > sides * 0.6) {
+    const arr = Array.from({ length: sides }, (_, i) => i + 1);
+    for (let i = 0; i < count; i++) {
+      const j = random.int(i, sides - 1);
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return { rolls: arr.slice(0, count) };
+  }
+  const seen = new Set();
+  while (seen.size < count) seen.add(random.int(1, sides));
+  return { rolls: [...seen] };
+}
+
+// kind -> compute(random, inputs) => JSON-serializable result
+const DRAW_KINDS = {
+  roll: computeRoll,
+  pick: (random, { items, count }) => ({ picks: sampleWithoutReplacement(random, items, count) }),
+  weighted: (random, { entries, count }) => ({ picks: weightedSample(random, entries, count) }),
+  elim: (random, { items }) => eliminationOrder(random, items),
+};
+
+function rowToSeed(row) {
+  return {
+    id: Number(row.id),
+    guildId: String(row.guild_id),
+    scope: String(row.scope),
+    seed: String(row.seed_hex),
+    commitHash: String(row.commit_hash),
+    createdAtMs: Number(row.created_at_ms),
+    revealAfterMs: row.reveal_after_ms == null ? null : Number(row.reveal_after_ms),
+    revealedAtMs: row.revealed_at_ms == null ? null : Number(row.revealed_at_ms),
+  };
+}
+
+async function insertSeed({ guildId, scope, revealAfterMs = null }) {
+  const seed = newServerSeed();
+  const commitHash = commitSeed(seed);
+  const createdAtMs = Date.now();
+  const db = getDb();
+  const [res] = await db.execute(
+    `
+    INSERT INTO fair_draw_seeds (guild_id, scope, seed_hex, commit_hash, created_at_ms, reveal_after_ms)
+    VALUES (?, ?, ?, ?, ?, ?)
+    `,
+    [String(guildId), scope, seed, commitHash, createdAtMs, revealAfterMs]
+  );
+  const id = Number(res?.insertId);
+  if (!Number.isFinite(id) || id <= 0) return null;
+  const row = {
+    id,
+    guildId: String(guildId),
+    scope,
+    seed,
+    commitHash,
+    createdAtMs,
+    revealAfterMs,
+    revealedAtMs: null,
+  };
+  seedsById.set(id, row);
+  return row;
+}
+
+async function fetchSeedById(seedId) {
+  const id = Number(seedId);
+  if (!Number.isFinite(id) || id <= 0) return null;
+  if (seedsById.has(id)) return seedsById.get(id);
+  const db = getDb();
+  const [rows] = await db.execute(`SELECT * FROM fair_draw_seeds WHERE id = ? LIMIT 1`, [id]);
+  if (!rows?.[0]) return null;
+  const row = rowToSeed(rows[0]);
+  seedsById.set(id, row);
+  return row;
+}
+
+/**
+ * Marks a seed revealed (idempotent). Returns the seed row, or null.
+ */
+export async function revealDrawSeed(seedId) {
+  try {
+    const row = await fetchSeedById(seedId);
+    if (!row) return null;
+    if (!row.revealedAtMs) {
+      row.revealedAtMs = Date.now();
+      const db = getDb();
+      await db.execute(
+        `UPDATE fair_draw_seeds SET revealed_at_ms = ? WHERE id = ? AND revealed_at_ms IS NULL`,
+        [row.revealedAtMs, row.id]
+      );
+      if (instantSeedsByGuild.get(row.guildId)?.id === row.id) instantSeedsByGuild.delete(row.guildId);
+    }
+    return row;
+  } catch (err) {
+    console.warn("[fair_draw] failed to reveal seed:", err);
+    return null;
+  }
+}
+
+async function loadInstantSeed(guildId) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `
+    SELECT * FROM fair_draw_seeds
+    WHERE guild_id = ? AND scope = 'instant' AND revealed_at_ms IS NULL
+    ORDER BY id DESC
+    LIMIT 1
+    `,
+    [String(guildId)]
+  );
+  if (rows?.[0]) {
+    const row = rowToSeed(rows[0]);
+    seedsById.set(row.id, row);
+    if (row.revealAfterMs > Date.now()) return row;
+    await revealDrawSeed(row.id);
+  }
+  return insertSeed({ guildId, scope: "instant", revealAfterMs: Date.now() + INSTANT_SEED_TTL_MS });
+}
+
+/**
+ * The guild's current instant-draw seed (rotated and revealed every 24h).
+ */
+export async function getInstantSeed(guildId) {
+  const key = String(guildId || "dm");
+  const cached = instantSeedsByGuild.get(key);
+  if (cached && !cached.revealedAtMs && cached.revealAfterMs > Date.now()) return cached;
+  if (cached) {
+    instantSeedsByGuild.delete(key);
+    await revealDrawSeed(cached.id);
+  }
+
+  if (!instantSeedLoads.has(key)) {
+    instantSeedLoads.set(
+      key,
+      loadInstantSeed(key)
+        .catch((err) => {
+          console.warn("[fair_draw] failed to load instant seed:", err);
+          return null;
+        })
+        .finally(() => instantSeedLoads.delete(key))
+    );
+  }
+  const row = await instantSeedLoads.get(key);
+  if (row) instantSeedsByGuild.set(key, row);
+  return row;
+}
+
+/**
+ * Commits a dedicated seed for a draw that happens later (giveaway, reaction contest).
+ * Returns { seedId, commitHash } or null when the DB is unavailable.
+ */
+export async function commitDrawSeed({ guildId, scope }) {
+  try {
+    const row = await insertSeed({ guildId, scope });
+    return row ? { seedId: row.id, commitHash: row.commitHash } : null;
+  } catch (err) {
+    console.warn("[fair_draw] failed to commit seed:", err);
+    return null;
+  }
+}
+
+async function insertDrawRow({ guildId, channelId, kind, refId, seedId, inputs, inputsHash }) {
+  const db = getDb();
+  const [res] = await db.execute(
+    `
+    INSERT INTO fair_draws (guild_id, channel_id, kind, ref_id, seed_id, inputs_json, inputs_hash, created_at_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      String(guildId),
+      channelId ? String(channelId) : null,
+      kind,
+      refId ? String(refId) : null,
+      seedId,
+      JSON.stringify(inputs),
+      inputsHash,
+      Date.now(),
+    ]
+  );
+  const id = Number(res?.insertId);
+  return Number.isFinite(id) && id > 0 ? id : null;
+}
+
+/**
+ * Runs one verifiable draw. `seedId` selects a committed dedicated seed; without it (or if
+ * that seed was already revealed) the guild's instant seed is used.
+ * Returns { result, drawId, commitHash } (drawId/commitHash are null if nothing was recorded).
+ */
+export async function runFairDraw({ guildId, channelId = null, kind, refId = null, inputs, seedId = null }) {
+  const compute = DRAW_KINDS[kind];
+  if (!compute) throw new Error(`Unknown draw kind: ${kind}`);
+  const inputsHash = hashInputs(inputs);
+
+  let seed = null;
+  let drawId = null;
+  try {
+    seed = seedId ? await fetchSeedById(seedId) : null;
+    if (!seed || seed.revealedAtMs) seed = await getInstantSeed(guildId);
+    if (seed) {
+      drawId = await insertDrawRow({ guildId, channelId, kind, refId, seedId: seed.id, inputs, inputsHash });
+    }
+  } catch (err) {
+    console.warn("[fair_draw] failed to record draw:", err);
+    drawId = null;
+  }
+
+  if (!seed || !drawId) {
+    const throwaway = newServerSeed();
+    const result = compute(createFairRandom(throwaway, publicInputString({ drawId: 0, kind, inputsHash })), inputs);
+    return { result, drawId: null, commitHash: null };
+  }
+
+  const random = createFairRandom(seed.seed, publicInputString({ drawId, kind, inputsHash }));
+  const result = compute(random, inputs);
+  try {
+    const db = getDb();
+    await db.execute(`UPDATE fair_draws SET result_json = ? WHERE id = ?`, [JSON.stringify(result), drawId]);
+  } catch (err) {
+    console.warn("[fair_draw] failed to store draw result:", err);
+  }
+  return { result, drawId, commitHash: seed.commitHash };
+}
+
+/**
+ * " (draw #12)" for result messages; empty when the draw wasn't recorded.
+ * `verifyHint` adds the !verifydraw command for contest winner announcements.
+ */
+export function drawTag(drawId, { verifyHint = false } = {}) {
+  if (!drawId) return "";
+  return verifyHint ? ` (draw #${drawId} · verify with \`!verifydraw ${drawId}\`)` : ` (draw #${drawId})`;
+}
+
+/**
+ * Recomputes a stored draw. Returns { ok: false, reason } or
+ * { ok: true, status: "verified" | "mismatch" | "pending", draw, seed }.
+ */
+export async function verifyDraw({ drawId, guildId }) {
+  const id = Number(drawId);
+  if (!Number.isInteger(id) || id <= 0) return { ok: false, reason: "invalid" };
+  const db = getDb();
+  const [rows] = await db.execute(`SELECT * FROM fair_draws WHERE id = ? LIMIT 1`, [id]);
+  const row = rows?.[0];
+  if (!row || String(row.guild_id) !== String(guildId)) return { ok: false, reason: "not_found" };
+
+  let seed = await fetchSeedById(row.seed_id);
+  if (!seed) return { ok: false, reason: "not_found" };
+  if (!seed.revealedAtMs && seed.revealAfterMs != null && seed.revealAfterMs <= Date.now()) {
+    seed = (await revealDrawSeed(seed.id)) || seed;
+  }
+
+  let inputs = null;
+  let storedResult = null;
+  try {
+    inputs = JSON.parse(row.inputs_json);
+    storedResult = row.result_json ? JSON.parse(row.result_json) : null;
+  } catch {
+    return { ok: false, reason: "corrupt" };
+  }
+
+  const draw = {
+    id,
+    kind: String(row.kind),
+    refId: row.ref_id ? String(row.ref_id) : null,
+    createdAtMs: Number(row.created_at_ms),
+    inputs,
+    inputsHash: String(row.inputs_hash),
+    result: storedResult,
+  };
+  if (!seed.revealedAtMs) return { ok: true, status: "pending", draw, seed: { ...seed, seed: null } };
+
+  const compute = DRAW_KINDS[draw.kind];
+  const commitOk = commitSeed(seed.seed) === seed.commitHash;
+  const inputsOk = hashInputs(inputs) === draw.inputsHash;
+  let resultOk = false;
+  if (compute && commitOk && inputsOk) {
+    const random = createFairRandom(seed.seed, publicInputString({ drawId: id, kind: draw.kind, inputsHash: draw.inputsHash }));
+    resultOk = JSON.stringify(compute(random, inputs)) === JSON.stringify(storedResult);
+  }
+  return { ok: true, status: commitOk && inputsOk && resultOk ? "verified" : "mismatch", draw, seed };
+}
+
+function listValues(values, format = (v) => String(v)) {
+  const list = Array.isArray(values) ? values : [];
+  const shown = list.slice(0, MAX_LISTED_VALUES).map(format).join(", ");
+  return list.length > MAX_LISTED_VALUES ? `${shown}, …(+${list.length - MAX_LISTED_VALUES})` : shown || "(none)";
+}
+
+function describeResult(draw) {
+  const { kind, inputs, result } = draw;
+  if (!result) return "Result: (not recorded)";
+  const format = inputs?.users ? (id) => `<@${id}>` : (v) => String(v);
+  if (kind === "roll") return `Rolled ${inputs.count}d${inputs.sides}${inputs.noRepeat ? " norepeat" : ""}: ${listValues(result.rolls)}`;
+  if (kind === "pick") return `Picked ${listValues(result.picks, format)} from ${inputs.items?.length || 0} option(s)`;
+  if (kind === "weighted") {
+    const total = (inputs.entries || []).reduce((sum, [, w]) => sum + Number(w || 0), 0);
+    return `Winners: ${listValues(result.picks, format)} (${inputs.entries?.length || 0} entrants, ${total} weighted entries)`;
+  }
+  if (kind === "elim") return `Winner: ${format(result.winner)} (eliminated in order: ${listValues(result.order, format)})`;
+  return `Result: ${JSON.stringify(result).slice(0, 200)}`;
+}
+
+export function renderVerification(res) {
+  const { draw, seed, status } = res;
+  const lines = [
+    `🎲 **Draw #${draw.id}** (${draw.kind}) — <t:${Math.floor(draw.createdAtMs / 1000)}:f>`,
+    describeResult(draw),
+    `Commitment: \`${seed.commitHash}\``,
+    `Inputs hash: \`${draw.inputsHash}\``,
+  ];
+  if (status === "pending") {
+    const when = seed.revealAfterMs
+      ? `<t:${Math.floor(seed.revealAfterMs / 1000)}:R>`
+      : "once the draw it was committed for is finished";
+    lines.push(`⏳ The seed hasn't been revealed yet; it will be revealed ${when}.`);
+    return lines.join("\n");
+  }
+  lines.push(`Seed: \`${seed.seed}\``);
+  lines.push(
+    status === "verified"
+      ? "✅ Verified: the seed matches the commitment and reproduces this result."
+      : "❌ Verification failed: the stored result does not match the recomputed draw."
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Deletes draws past the retention window and the revealed seeds they leave unused.
+ * Returns the number of draws removed (0 on failure).
+ */
+export async function pruneFairDraws(nowMs = Date.now()) {
+  const beforeMs = nowMs - retentionDays() * DAY_MS;
+  try {
+    const db = getDb();
+    const [res] = await db.execute(`DELETE FROM fair_draws WHERE created_at_ms < ?`, [beforeMs]);
+    await db.execute(
+      `
+      DELETE FROM fair_draw_seeds
+      WHERE created_at_ms < ? AND revealed_at_ms IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM fair_draws d WHERE d.seed_id = fair_draw_seeds.id)
+      `,
+      [beforeMs]
+    );
+    for (const [id, seed] of seedsById) {
+      if (seed.revealedAtMs && seed.createdAtMs < beforeMs) seedsById.delete(id);
+    }
+    const removed = Number(res?.affectedRows || 0);
+    if (removed) logger.info("fair_draw.pruned", { removed });
+    return removed;
+  } catch (err) {
+    logger.warn("fair_draw.prune.failed", { error: logger.serializeError(err) });
+    return 0;
+  }
+}
+
+export function registerFairDrawScheduler() {
+  registerScheduler(
+    "fair_draw_prune",
+    () => {
+      if (pruneTimer) return;
+      void pruneFairDraws();
+      pruneTimer = setInterval(() => {
+        void pruneFairDraws();
+      }, PRUNE_INTERVAL_MS);
+      if (typeof pruneTimer.unref === "function") pruneTimer.unref();
+    },
+    () => {
+      if (pruneTimer) clearInterval(pruneTimer);
+      pruneTimer = null;
+    }
+  );
+}
+
+export function registerFairDraw(register) {
+  register(
+    "!verifydraw",
+    async ({ message, rest }) => {
+      if (!message.guildId) return;
+      const arg = String(rest || "").trim().replace(/^#/, "");
+
+      if (!arg) {
+        const seed = await getInstantSeed(message.guildId);
+        if (!seed) {
+          await message.reply("Draw verification is unavailable right now.");
+          return;
+        }
+        await message.reply(
+          `Current seed commitment for quick draws: \`${seed.commitHash}\`\n` +
+            `It will be revealed <t:${Math.floor(seed.revealAfterMs / 1000)}:R>. ` +
+            "Use `!verifydraw <id>` to check a draw."
+        );
+        return;
+      }
+
+      let res;
+      try {
+        res = await verifyDraw({ drawId: arg, guildId: message.guildId });
+      } catch (err) {
+        console.warn("[fair_draw] verify failed:", err);
+        await message.reply("Draw verification is unavailable right now.");
+        return;
+      }
+      if (!res.ok) {
+        await message.reply(
+          res.reason === "invalid" ? "Usage: `!verifydraw <draw id>`" : `No draw #${arg} found in this server.`
+        );
+        return;
+      }
+      await message.reply({ content: renderVerification(res), ...NO_PINGS });
+    },
+    "!verifydraw <id> — recompute and verify a past draw (rolls, picks, giveaways)"
+  );
+}
+
+export const __testables = {
+  DRAW_KINDS,
+  describeResult,
+  resetState: () => {
+    instantSeedsByGuild.clear();
+    instantSeedLoads.clear();
+    seedsById.clear();
+  },
+};
@@ -19,7 +19,7 @@
 // - Results are sent via DM to the invoker.
 
 import { MessageFlags } from "discord.js";
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import {
   fetchWithTimeout as fetchForumPage,
   computePageCountFromHtml,
@@ -217,7 +217,7 @@ export function registerForumList(register) {
       if (!interaction.guildId) return;
 
       // Admin/privileged only
-      if (!isAdminOrPrivileged(interactionAsMessageLike(interaction))) {
+      if (!hasPermissionTier(interactionAsMessageLike(interaction), "host")) {
         await interaction.reply({
           flags: MessageFlags.Ephemeral,
           content: "You don’t have permission to use this command.",
@@ -311,7 +311,7 @@ export function registerForumList(register) {
         scrapeLocksByGuild.delete(gid);
       }
     },
-    { admin: true }
+    { admin: true, tier: "host" }
   );
 }
 
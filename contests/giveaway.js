@@ -4,6 +4,12 @@
 // - /giveaway create opens a modal to configure a giveaway
 // - Entries via 🎉 button with join/leave flow
 // - /giveaway end ends early, /giveaway reroll rerolls winners, /giveaway delete cancels, /giveaway list shows active
+// - Optional entry requirements (roles, membership age, message count, recent-win cooldown)
+//   are checked on entry and again at draw time
+// - Optional bonus entries (per role, booster multiplier); the summary file lists each
+//   entrant's weight
+// - Draws are verifiable: a seed is committed (hash shown on the embed) when the giveaway is
+//   created and revealed right after the draw; see fair_draw.js and !verifydraw
 
 import {
   ActionRowBuilder,
@@ -16,7 +22,7 @@ import {
   TextInputStyle,
 } from "discord.js";
 
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { getDb } from "../db.js";
 import { sendDm } from "../shared/dm.js";
 import { parseDurationSeconds } from "../shared/time_utils.js";
@@ -24,15 +30,40 @@ import { startTimeout, clearTimer } from "../shared/timer_utils.js";
 import { stripEmojisAndSymbols, formatUserWithId, formatUsersWithIds } from "./helpers.js";
 import {
   buildEligibilityDm,
+  buildRequirementsReply,
   checkEligibility,
+  describeRequirements,
   filterEligibleEntrants,
   getVerifiedRoleIds,
+  hasRequirementFailure,
+  normalizeRequirements,
+  resolveMembers,
+  serializeRequirements,
 } from "./eligibility.js";
+import {
+  MAX_BONUS_ENTRIES,
+  MAX_BONUS_ROLES,
+  MAX_BOOSTER_MULTIPLIER,
+  computeEntryWeights,
+  describeWeighting,
+  drawEntries,
+  normalizeWeighting,
+  serializeWeighting,
+} from "./giveaway_draw.js";
+import { commitDrawSeed, drawTag, revealDrawSeed, runFairDraw } from "./fair_draw.js";
+import { recordContestResult } from "./contest_history.js";
 
 const MAX_DURATION_SECONDS = 3 * 24 * 60 * 60;
 const MAX_WINNERS = 50;
+const MAX_MEMBER_DAYS = 3650;
+const MAX_NO_WINS_DAYS = 365;
+const MAX_REQUIREMENT_ROLES = 5;
+const PENDING_CREATE_TTL_MS = 15 * 60_000;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const activeGiveaways = new Map();
+// Requirements/weighting picked in /giveaway create, held until the modal is submitted (custom IDs are too short).
+const pendingCreateOptions = new Map();
 let booted = false;
 let clientRef = null;
 
@@ -56,17 +87,6 @@ function parseIntSafe(raw) {
   return v > 0 ? v : null;
 }
 
-function chooseMany(arr, count) {
-  const pool = Array.isArray(arr) ? arr.slice() : [];
-  const picks = [];
-  const n = Math.min(count, pool.length);
-  for (let i = 0; i < n; i++) {
-    const idx = Math.floor(Math.random() * pool.length);
-    picks.push(pool.splice(idx, 1)[0]);
-  }
-  return picks;
-}
-
 function serializeIds(ids) {
   const list = Array.isArray(ids) ? ids : [...ids];
   return JSON.stringify(list.map((id) => String(id)));
@@ -82,6 +102,26 @@ function parseJsonIds(raw) {
   }
 }
 
+// draw_json: { seedId, commitHash, drawId, seed, weights: { userId: weight }, rerolls: [{ drawId, winners, atMs }] }
+// (seedId/commitHash are set at creation; drawId, the revealed seed and weights at the draw)
+function parseDraw(raw) {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return null;
+    return {
+      seedId: parsed.seedId ? Number(parsed.seedId) : null,
+      commitHash: parsed.commitHash ? String(parsed.commitHash) : null,
+      drawId: parsed.drawId ? Number(parsed.drawId) : null,
+      seed: parsed.seed ? String(parsed.seed) : null,
+      weights: parsed.weights && typeof parsed.weights === "object" ? parsed.weights : {},
+      rerolls: Array.isArray(parsed.rerolls) ? parsed.rerolls : [],
+    };
+  } catch {
+    return null;
+  }
+}
+
 async function saveGiveawayRecord(record) {
   const db = getDb();
   await db.execute(
@@ -96,23 +136,29 @@ async function saveGiveawayRecord(record) {
       winners_count,
       ends_at_ms,
       require_verified,
+      requirements_json,
+      weights_json,
       entrants_json,
       winners_json,
       ended_at_ms,
       summary_message_id,
-      canceled
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      canceled,
+      draw_json
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON DUPLICATE KEY UPDATE
       prize = VALUES(prize),
       description = VALUES(description),
       winners_count = VALUES(winners_count),
       ends_at_ms = VALUES(ends_at_ms),
       require_verified = VALUES(require_verified),
+      requirements_json = VALUES(requirements_json),
+      weights_json = VALUES(weights_json),
       entrants_json = VALUES(entrants_json),
       winners_json = VALUES(winners_json),
       ended_at_ms = VALUES(ended_at_ms),
       summary_message_id = VALUES(summary_message_id),
-      canceled = VALUES(canceled)
+      canceled = VALUES(canceled),
+      draw_json = VALUES(draw_json)
     `,
     [
       String(record.messageId),
@@ -124,11 +170,14 @@ async function saveGiveawayRecord(record) {
       Number(record.winnersCount),
       Number(record.endsAtMs),
       record.requireVerified ? 1 : 0,
+      serializeRequirements(record.requirements),
+      serializeWeighting(record.weighting),
       serializeIds(record.entrants || []),
       serializeIds(record.winners || []),
       record.endedAtMs == null ? null : Number(record.endedAtMs),
       record.summaryMessageId ? String(record.summaryMessageId) : null,
       record.canceled ? 1 : 0,
+      record.draw ? JSON.stringify(record.draw) : null,
     ]
   );
 }
@@ -145,6 +194,7 @@ async function updateGiveawayFields(messageId, fields) {
     summary_message_id: "summary_message_id",
     canceled: "canceled",
     require_verified: "require_verified",
+    draw_json: "draw_json",
   };
 
   for (const [key, col] of Object.entries(mapping)) {
@@ -172,6 +222,197 @@ async function loadActiveGiveaways() {
   return Array.isArray(rows) ? rows : [];
 }
 
+/**
+ * Users who won a giveaway in this guild within the last `days` days (Set of ids).
+ * `excludeMessageId` skips the giveaway being drawn so rerolls don't count its own winners.
+ * Returns null when the lookup fails, which skips the no_wins_days check instead of
+ * leaving a draw unfinalized.
+ */
+async function fetchRecentWinnerIds({ guildId, days, excludeMessageId = null, nowMs = Date.now() }) {
+  const ids = new Set();
+  if (!days) return ids;
+  let rows;
+  try {
+    const db = getDb();
+    [rows] = await db.execute(
+      `
+      SELECT message_id, winners_json
+      FROM giveaways
+      WHERE guild_id = ? AND canceled = 0 AND ended_at_ms IS NOT NULL AND ended_at_ms >= ?
+      `,
+      [String(guildId), nowMs - days * DAY_MS]
+    );
+  } catch (err) {
+    console.warn("[giveaway] failed to load recent winners; skipping no_wins_days:", err);
+    return null;
+  }
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (excludeMessageId && String(row.message_id) === String(excludeMessageId)) continue;
+    for (const id of parseJsonIds(row.winners_json)) ids.add(id);
+  }
+  return ids;
+}
+
+function storePendingCreateOptions(options) {
+  const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const timeout = startTimeout({
+    label: `giveaway:create-options:${token}`,
+    ms: PENDING_CREATE_TTL_MS,
+    fn: () => pendingCreateOptions.delete(token),
+  });
+  pendingCreateOptions.set(token, { ...options, timeout });
+  return token;
+}
+
+function takePendingCreateOptions(token) {
+  const existing = pendingCreateOptions.get(token);
+  if (!existing) return null;
+  clearTimer(existing.timeout, `giveaway:create-options:${token}`);
+  pendingCreateOptions.delete(token);
+  return { requirements: existing.requirements, weighting: existing.weighting };
+}
+
+/**
+ * Reads the requirement options from /giveaway create: { ok, requirements } or { ok: false, error }.
+ */
+function readRequirementOptions(interaction) {
+  const rawRequired = String(interaction.options?.getString?.("required_roles") || "").trim();
+  const rawExcluded = String(interaction.options?.getString?.("excluded_roles") || "").trim();
+  const minMemberDays = interaction.options?.getInteger?.("min_member_days") ?? null;
+  const minMessages = interaction.options?.getInteger?.("min_messages") ?? null;
+  const noWinsDays = interaction.options?.getInteger?.("no_wins_days") ?? null;
+
+  const requiredRoleIds = rawRequired ? parseRoleIdsFromInput(rawRequired) : [];
+  const excludedRoleIds = rawExcluded ? parseRoleIdsFromInput(rawExcluded) : [];
+  if (!requiredRoleIds || !excludedRoleIds) {
+    return { ok: false, error: "❌ List required/excluded roles as role mentions (e.g. `@Member @Level 5`)." };
+  }
+  if (requiredRoleIds.length > MAX_REQUIREMENT_ROLES || excludedRoleIds.length > MAX_REQUIREMENT_ROLES) {
+    return {
+      ok: false,
+      error: `❌ You can list at most ${MAX_REQUIREMENT_ROLES} required and ${MAX_REQUIREMENT_ROLES} excluded roles.`,
+    };
+  }
+  const roleCache = interaction.guild?.roles?.cache;
+  for (const id of [...requiredRoleIds, ...excludedRoleIds]) {
+    if (id === String(interaction.guildId)) {
+      return { ok: false, error: "❌ @everyone can't be used as a required or excluded role." };
+    }
+    if (roleCache?.has && !roleCache.has(id)) {
+      return { ok: false, error: `❌ Unknown role: ${id}` };
+    }
+  }
+  if (requiredRoleIds.some((id) => excludedRoleIds.includes(id))) {
+    return { ok: false, error: "❌ The same role can't be both required and excluded." };
+  }
+  if (minMemberDays != null && (minMemberDays < 1 || minMemberDays > MAX_MEMBER_DAYS)) {
+    return { ok: false, error: `❌ Minimum membership age must be between 1 and ${MAX_MEMBER_DAYS} days.` };
+  }
+  if (minMessages != null && minMessages < 1) {
+    return { ok: false, error: "❌ Minimum message count must be at least 1." };
+  }
+  if (noWinsDays != null && (noWinsDays < 1 || noWinsDays > MAX_NO_WINS_DAYS)) {
+    return { ok: false, error: `❌ The no-wins window must be between 1 and ${MAX_NO_WINS_DAYS} days.` };
+  }
+
+  return {
+    ok: true,
+    requirements: normalizeRequirements({
+      requiredRoleIds,
+      excludedRoleIds,
+      minMemberDays,
+      minMessages,
+      noWinsDays,
+    }),
+  };
+}
+
+function parseRoleIdsFromInput(raw) {
+  const text = String(raw || "");
+  const ids = [];
+  for (const m of text.matchAll(/<@&(\d+)>/g)) ids.push(m[1]);
+  const cleaned = text.replace(/<@&\d+>/g, " ").replace(/[,\n\r\t]/g, " ");
+  for (const token of cleaned.split(" ").map((x) => x.trim()).filter(Boolean)) {
+    if (!/^\d{5,}$/.test(token)) return null;
+    ids.push(token);
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Reads the bonus-entry options from /giveaway create: { ok, weighting } or { ok: false, error }.
+ */
+function readWeightingOptions(interaction) {
+  const rawRoles = String(interaction.options?.getString?.("bonus_roles") || "").trim();
+  const bonusEntries = interaction.options?.getInteger?.("bonus_entries") ?? null;
+  const boosterMultiplier = interaction.options?.getInteger?.("booster_multiplier") ?? null;
+
+  const bonusRoleIds = rawRoles ? parseRoleIdsFromInput(rawRoles) : [];
+  if (!bonusRoleIds) {
+    return { ok: false, error: "❌ List bonus roles as role mentions (e.g. `@Supporter @Booster`)." };
+  }
+  if (bonusRoleIds.length > MAX_BONUS_ROLES) {
+    return { ok: false, error: `❌ You can list at most ${MAX_BONUS_ROLES} bonus roles.` };
+  }
+  const roleCache = interaction.guild?.roles?.cache;
+  for (const id of bonusRoleIds) {
+    if (id === String(interaction.guildId)) {
+      return { ok: false, error: "❌ @everyone can't be a bonus role." };
+    }
+    if (roleCache?.has && !roleCache.has(id)) {
+      return { ok: false, error: `❌ Unknown role: ${id}` };
+    }
+  }
+  if (bonusEntries != null && (bonusEntries < 1 || bonusEntries > MAX_BONUS_ENTRIES)) {
+    return { ok: false, error: `❌ Bonus entries must be between 1 and ${MAX_BONUS_ENTRIES}.` };
+  }
+  if (bonusEntries != null && !bonusRoleIds.length) {
+    return { ok: false, error: "❌ `bonus_entries` needs at least one role in `bonus_roles`." };
+  }
+  if (boosterMultiplier != null && (boosterMultiplier < 2 || boosterMultiplier > MAX_BOOSTER_MULTIPLIER)) {
+    return { ok: false, error: `❌ The booster multiplier must be between 2 and ${MAX_BOOSTER_MULTIPLIER}.` };
+  }
+
+  return {
+    ok: true,
+    weighting: normalizeWeighting({ bonusRoleIds, bonusEntries, boosterMultiplier }),
+  };
+}
+
+/**
+ * Weights for the draw pool. Rerolls pass the weights recorded at the original draw so
+ * role changes after the giveaway ended don't move the odds; entrants with no recorded
+ * weight (not in the original pool) get their live weight.
+ */
+async function resolveDrawWeights({ guild, userIds, weighting, recordedWeights = null }) {
+  const weights = {};
+  const missing = [];
+  for (const id of userIds) {
+    if (recordedWeights && recordedWeights[id] != null) weights[id] = Number(recordedWeights[id]);
+    else missing.push(id);
+  }
+  if (!missing.length) return weights;
+  const members = weighting ? await resolveMembers({ guild, userIds: missing }) : new Map();
+  return { ...weights, ...computeEntryWeights({ userIds: missing, members, weighting }) };
+}
+
+async function filterDrawPool({ guild, guildId, messageId, entrants, requireVerified, requirements }) {
+  if (!requireVerified && !requirements) return entrants;
+  const recentWinnerIds = requirements?.noWinsDays
+    ? await fetchRecentWinnerIds({ guildId, days: requirements.noWinsDays, excludeMessageId: messageId })
+    : null;
+  const filtered = await filterEligibleEntrants({
+    guild,
+    guildId,
+    userIds: entrants,
+    requireVerified,
+    requirements,
+    recentWinnerIds,
+    allowAdminBypass: true,
+  });
+  return filtered.eligibleIds;
+}
+
 async function fetchGiveawayRecord(messageId) {
   const db = getDb();
   const [rows] = await db.execute(
@@ -204,6 +445,20 @@ function buildGiveawayEmbed(record, { ended = false, canceled = false, winners =
     metaLines.push("Eligibility: verified role + Spectreon ID required.");
   }
 
+  const requirementParts = describeRequirements(record.requirements);
+  if (requirementParts.length) {
+    metaLines.push(`Requirements: ${requirementParts.join(" · ")}`);
+  }
+
+  const weightingParts = describeWeighting(record.weighting);
+  if (weightingParts.length) {
+    metaLines.push(`Bonus entries: ${weightingParts.join(" · ")}`);
+  }
+
+  if (record.draw?.commitHash) {
+    metaLines.push(`Draw commitment: \`${record.draw.commitHash}\``);
+  }
+
   if (canceled) {
     metaLines.splice(1, 0, "Status: Cancelled");
   }
@@ -296,7 +551,7 @@ async function respondGiveawayAutocomplete(interaction) {
     return;
   }
 
-  if (!isAdminOrPrivileged(interaction)) {
+  if (!hasPermissionTier(interaction, "host")) {
     await interaction.respond([]);
     return;
   }
@@ -366,16 +621,23 @@ async function postSummary(channel, record, winners, endedAtMs) {
   const winnerSet = new Set(winners.map((id) => String(id)));
 
   const winnerLabels = await formatUsersWithIds({ guildId: record.guildId, userIds: winners });
+  const weights = record.draw?.weights || {};
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + Number(w || 0), 0);
+  const weightingParts = describeWeighting(record.weighting);
   const lines = [
     "Giveaway Summary",
     "",
     `Prize: ${record.prize}`,
     `Hosted by: ${mention(record.hostId)}`,
     `Ended: ${formatTimestamp(endedAtMs, "F")} (${formatTimestamp(endedAtMs, "R")})`,
-    `Entries: ${entrants.length}`,
+    `Entries: ${entrants.length} (weighted total: ${totalWeight})`,
     `Winners: ${winnerLabels.length ? winnerLabels.join(", ") : "None"}`,
+    `Weighting: ${weightingParts.length ? weightingParts.join(", ") : "none (1 entry each)"}`,
+    `Draw commitment: ${record.draw?.commitHash || "n/a"}`,
+    `Seed: ${record.draw?.seed || "n/a"}`,
+    `Draw: ${record.draw?.drawId ? `#${record.draw.drawId} (verify with !verifydraw ${record.draw.drawId})` : "n/a"}`,
     "",
-    "Entrants:",
+    "Entrants (weight 0 = not eligible at draw time):",
   ];
 
   if (!names.length) {
@@ -383,7 +645,8 @@ async function postSummary(channel, record, winners, endedAtMs) {
   } else {
     for (const entry of names) {
       const winnerMark = winnerSet.has(String(entry.id)) ? " (winner)" : "";
-      lines.push(`- ${entry.name} (${entry.id})${winnerMark}`);
+      const weight = Number(weights[String(entry.id)] ?? 0);
+      lines.push(`- ${entry.name} (${entry.id}) weight ${weight}${winnerMark}`);
     }
   }
 
@@ -451,19 +714,40 @@ async function finalizeGiveaway(messageId) {
   }
 
   const entrants = [...record.entrants];
-  let eligibleEntrants = entrants;
-  if (record.requireVerified) {
-    const filtered = await filterEligibleEntrants({
-      guild: channel?.guild || null,
-      guildId: record.guildId,
-      userIds: entrants,
-      requireVerified: true,
-      allowAdminBypass: true,
-    });
-    eligibleEntrants = filtered.eligibleIds;
-  }
+  const eligibleEntrants = await filterDrawPool({
+    guild: channel?.guild || null,
+    guildId: record.guildId,
+    messageId: record.messageId,
+    entrants,
+    requireVerified: record.requireVerified,
+    requirements: record.requirements,
+  });
 
-  const winners = chooseMany(eligibleEntrants, record.winnersCount);
+  const weights = await resolveDrawWeights({
+    guild: channel?.guild || null,
+    userIds: eligibleEntrants,
+    weighting: record.weighting,
+  });
+  const seedId = record.draw?.seedId || null;
+  const { result, drawId, commitHash } = await runFairDraw({
+    guildId: record.guildId,
+    channelId: record.channelId,
+    kind: "weighted",
+    refId: record.messageId,
+    inputs: { entries: drawEntries({ userIds: eligibleEntrants, weights }), count: record.winnersCount, users: true },
+    seedId,
+  });
+  const winners = result.picks;
+  const revealed = seedId ? await revealDrawSeed(seedId) : null;
+  record.draw = {
+    seedId,
+    commitHash,
+    drawId,
+    // Only the committed seed is published here; a fallback instant seed stays secret until it rotates.
+    seed: revealed && revealed.commitHash === commitHash ? revealed.seed : null,
+    weights,
+    rerolls: [],
+  };
   const endedAtMs = Date.now();
   record.endedAtMs = endedAtMs;
   record.winners = winners;
@@ -487,15 +771,28 @@ async function finalizeGiveaway(messageId) {
     winners_json: serializeIds(winners),
     ended_at_ms: endedAtMs,
     summary_message_id: summaryMessageId,
+    draw_json: JSON.stringify(record.draw),
+  });
+  await recordContestResult({
+    guildId: record.guildId,
+    kind: "giveaway",
+    refId: record.messageId,
+    channelId: record.channelId,
+    hostId: record.hostId,
+    title: record.prize,
+    entrantCount: entrants.length,
+    winnerIds: winners,
+    drawId,
+    endedAtMs,
   });
 
   if (channel?.send) {
     if (winners.length) {
       await channel.send(
-        `Congratulations ${winnerLabels.join(", ")}! You won the **${record.prize}**!`
+        `Congratulations ${winnerLabels.join(", ")}! You won the **${record.prize}**!${drawTag(drawId, { verifyHint: true })}`
       );
     } else {
-      const emptyNote = record.requireVerified
+      const emptyNote = record.requireVerified || record.requirements
         ? `No eligible entries for **${record.prize}**.`
         : `No valid entries for **${record.prize}**.`;
       await channel.send(emptyNote);
@@ -520,6 +817,7 @@ async function cancelGiveaway(messageId) {
 
   record.canceled = true;
   record.endedAtMs = Date.now();
+  if (record.draw?.seedId) await revealDrawSeed(record.draw.seedId);
 
   try {
     const channel = await clientRef.channels.fetch(record.channelId);
@@ -556,25 +854,37 @@ async function rerollGiveaway(messageId) {
     if (!channel?.isTextBased?.()) throw new Error("Channel not text-based");
 
     const requireVerified = Boolean(Number(record.require_verified));
+    const requirements = normalizeRequirements(record.requirements_json);
+    const weighting = normalizeWeighting(record.weights_json);
+    const draw = parseDraw(record.draw_json);
     const entrants = parseJsonIds(record.entrants_json);
-    let eligibleEntrants = entrants;
-    if (requireVerified) {
-      const filtered = await filterEligibleEntrants({
-        guild: channel?.guild || null,
-        guildId: record.guild_id,
-        userIds: entrants,
-        requireVerified: true,
-        allowAdminBypass: true,
-      });
-      eligibleEntrants = filtered.eligibleIds;
-    }
+    const eligibleEntrants = await filterDrawPool({
+      guild: channel?.guild || null,
+      guildId: record.guild_id,
+      messageId: record.message_id,
+      entrants,
+      requireVerified,
+      requirements,
+    });
 
     const prevWinners = new Set(parseJsonIds(record.winners_json));
     const pool = eligibleEntrants.filter((id) => !prevWinners.has(String(id)));
-    const winners = chooseMany(
-      pool.length ? pool : eligibleEntrants,
-      Number(record.winners_count)
-    );
+    const drawPool = pool.length ? pool : eligibleEntrants;
+    const weights = await resolveDrawWeights({
+      guild: channel?.guild || null,
+      userIds: drawPool,
+      weighting,
+      recordedWeights: draw?.weights || null,
+    });
+    // The giveaway's own seed is already public, so rerolls draw from the instant seed.
+    const { result, drawId } = await runFairDraw({
+      guildId: record.guild_id,
+      channelId: record.channel_id,
+      kind: "weighted",
+      refId: record.message_id,
+      inputs: { entries: drawEntries({ userIds: drawPool, weights }), count: Number(record.winners_count), users: true },
+    });
+    const winners = result.picks;
 
     const giveawayState = {
       messageId: record.message_id,
@@ -587,6 +897,8 @@ async function rerollGiveaway(messageId) {
       endedAtMs: Number(record.ended_at_ms),
       entrants: new Set(entrants),
       requireVerified,
+      requirements,
+      weighting,
     };
 
     const message = await channel.messages.fetch(record.message_id);
@@ -601,18 +913,33 @@ async function rerollGiveaway(messageId) {
       if (winners.length) {
         const hostLabel = await formatUserWithId({ guildId: record.guild_id, userId: giveawayState.hostId });
         await channel.send(
-          `${hostLabel} rerolled the giveaway. Congratulations ${winnerLabels.join(", ")}!`
+          `${hostLabel} rerolled the giveaway. Congratulations ${winnerLabels.join(", ")}!${drawTag(drawId, { verifyHint: true })}`
         );
       } else {
-        const emptyNote = giveawayState.requireVerified
+        const emptyNote = giveawayState.requireVerified || giveawayState.requirements
           ? `No eligible entries to reroll for **${giveawayState.prize}**.`
           : `No valid entries to reroll for **${giveawayState.prize}**.`;
         await channel.send(emptyNote);
       }
     }
 
+    const nextDraw = draw || { seedId: null, commitHash: null, drawId: null, seed: null, weights, rerolls: [] };
+    nextDraw.rerolls = [...nextDraw.rerolls, { drawId, winners, atMs: Date.now() }];
     await updateGiveawayFields(record.message_id, {
       winners_json: serializeIds(winners),
+      draw_json: JSON.stringify(nextDraw),
+    });
+    await recordContestResult({
+      guildId: record.guild_id,
+      kind: "giveaway",
+      refId: record.message_id,
+      channelId: record.channel_id,
+      hostId: record.host_id,
+      title: record.prize,
+      entrantCount: entrants.length,
+      winnerIds: winners,
+      isReroll: true,
+      drawId,
     });
 
     return { ok: true, winners };
@@ -644,6 +971,9 @@ async function boot(client) {
         winnersCount: Number(row.winners_count),
         endsAtMs,
         requireVerified: Boolean(Number(row.require_verified)),
+        requirements: normalizeRequirements(row.requirements_json),
+        weighting: normalizeWeighting(row.weights_json),
+        draw: parseDraw(row.draw_json),
         entrants: new Set(parseJsonIds(row.entrants_json)),
         winners: parseJsonIds(row.winners_json),
         notifiedIneligible: new Set(),
@@ -675,7 +1005,10 @@ export function registerGiveaway(register) {
       if (arg !== "help") return;
       await message.reply(
         "Use `/giveaway create` to start a giveaway (modal). " +
-          "Optional: set `require_verified` to require verified role + saved ID. " +
+          "Optional: set `require_verified` to require verified role + saved ID, and " +
+          "`required_roles`, `excluded_roles`, `min_member_days`, `min_messages` or `no_wins_days` " +
+          "to limit who can enter. Use `bonus_roles`, `bonus_entries` and `booster_multiplier` " +
+          "for extra entries. " +
           "Manage with `/giveaway list`, `/giveaway end message_id:<id>`, " +
           "`/giveaway delete message_id:<id>`, or `/giveaway reroll message_id:<id>`."
       );
@@ -700,6 +1033,63 @@ export function registerGiveaway(register) {
               description: "Require verified role + saved ID",
               required: false,
             },
+            {
+              type: 3,
+              name: "required_roles",
+              description: `Entrants must have all of these roles (mention up to ${MAX_REQUIREMENT_ROLES})`,
+              required: false,
+            },
+            {
+              type: 3,
+              name: "excluded_roles",
+              description: `Entrants must have none of these roles (mention up to ${MAX_REQUIREMENT_ROLES})`,
+              required: false,
+            },
+            {
+              type: 4,
+              name: "min_member_days",
+              description: "Minimum days in this server",
+              required: false,
+              min_value: 1,
+              max_value: MAX_MEMBER_DAYS,
+            },
+            {
+              type: 4,
+              name: "min_messages",
+              description: "Minimum counted messages (message count tracking)",
+              required: false,
+              min_value: 1,
+            },
+            {
+              type: 4,
+              name: "no_wins_days",
+              description: "Exclude anyone who won a giveaway here in the last N days",
+              required: false,
+              min_value: 1,
+              max_value: MAX_NO_WINS_DAYS,
+            },
+            {
+              type: 3,
+              name: "bonus_roles",
+              description: "Roles that earn extra entries (mention up to 5)",
+              required: false,
+            },
+            {
+              type: 4,
+              name: "bonus_entries",
+              description: "Extra entries per bonus role held (default 1)",
+              required: false,
+              min_value: 1,
+              max_value: MAX_BONUS_ENTRIES,
+            },
+            {
+              type: 4,
+              name: "booster_multiplier",
+              description: "Multiply server boosters' entries",
+              required: false,
+              min_value: 2,
+              max_value: MAX_BOOSTER_MULTIPLIER,
+            },
           ],
         },
         {
@@ -766,7 +1156,7 @@ export function registerGiveaway(register) {
       const sub = interaction.options?.getSubcommand?.() || "";
 
       if (sub === "create") {
-        if (!isAdminOrPrivileged(interaction)) {
+        if (!hasPermissionTier(interaction, "host")) {
           await interaction.reply({
             content: "You do not have permission to run this command.",
             flags: MessageFlags.Ephemeral,
@@ -786,8 +1176,35 @@ export function registerGiveaway(register) {
           }
         }
 
+        const requirementOptions = readRequirementOptions(interaction);
+        if (!requirementOptions.ok) {
+          await interaction.reply({
+            content: requirementOptions.error,
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+        const weightingOptions = readWeightingOptions(interaction);
+        if (!weightingOptions.ok) {
+          await interaction.reply({
+            content: weightingOptions.error,
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+        const optionsToken =
+          requirementOptions.requirements || weightingOptions.weighting
+            ? storePendingCreateOptions({
+                requirements: requirementOptions.requirements,
+                weighting: weightingOptions.weighting,
+              })
+            : null;
+
         const modal = new ModalBuilder()
-          .setCustomId(`giveaway:modal:${interaction.id}${requireVerified ? ":verified" : ""}`)
+          .setCustomId(
+            `giveaway:modal:${interaction.id}${requireVerified ? ":verified" : ""}` +
+              `${optionsToken ? `:opts-${optionsToken}` : ""}`
+          )
           .setTitle("Create a Giveaway");
 
         const durationInput = new TextInputBuilder()
@@ -882,7 +1299,7 @@ export function registerGiveaway(register) {
       }
 
       if (sub === "end") {
-        if (!isAdminOrPrivileged(interaction)) {
+        if (!hasPermissionTier(interaction, "host")) {
           await interaction.reply({
             content: "You do not have permission to run this command.",
             flags: MessageFlags.Ephemeral,
@@ -939,7 +1356,7 @@ export function registerGiveaway(register) {
       }
 
       if (sub === "delete") {
-        if (!isAdminOrPrivileged(interaction)) {
+        if (!hasPermissionTier(interaction, "host")) {
           await interaction.reply({
             content: "You do not have permission to run this command.",
             flags: MessageFlags.Ephemeral,
@@ -995,7 +1412,7 @@ export function registerGiveaway(register) {
       }
 
       if (sub === "reroll") {
-        if (!isAdminOrPrivileged(interaction)) {
+        if (!hasPermissionTier(interaction, "host")) {
           await interaction.reply({
             content: "You do not have permission to run this command.",
             flags: MessageFlags.Ephemeral,
@@ -1038,6 +1455,7 @@ export function registerGiveaway(register) {
       });
     },
     {
+      subcommandTiers: { create: "host", end: "host", delete: "host", reroll: "host" },
       autocomplete: async ({ interaction }) => {
         const sub = interaction.options?.getSubcommand?.() || "";
         if (!["end", "delete", "reroll"].includes(sub)) {
@@ -1070,7 +1488,7 @@ export function registerGiveaway(register) {
     }
 
     if (interaction.isModalSubmit?.()) {
-      if (!isAdminOrPrivileged(interaction)) {
+      if (!hasPermissionTier(interaction, "host")) {
         await interaction.reply({
           content: "You do not have permission to run this command.",
           flags: MessageFlags.Ephemeral,
@@ -1082,7 +1500,17 @@ export function registerGiveaway(register) {
       if (!customId.startsWith("giveaway:modal:")) {
         return;
       }
-      const requireVerified = customId.split(":").includes("verified");
+      const customParts = customId.split(":");
+      const requireVerified = customParts.includes("verified");
+      const optionsToken = customParts.find((part) => part.startsWith("opts-"))?.slice(5) || null;
+      const createOptions = optionsToken ? takePendingCreateOptions(optionsToken) : null;
+      if (optionsToken && !createOptions) {
+        await interaction.reply({
+          content: "This giveaway setup expired. Please run `/giveaway create` again.",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
 
       const durationRaw = interaction.fields?.getTextInputValue?.("duration");
       const winnersRaw = interaction.fields?.getTextInputValue?.("winners");
@@ -1134,6 +1562,7 @@ export function registerGiveaway(register) {
         return;
       }
 
+      const commitment = await commitDrawSeed({ guildId: interaction.guildId, scope: "giveaway" });
       const endsAtMs = Date.now() + durationSeconds * 1000;
       const record = {
         messageId: null,
@@ -1145,6 +1574,9 @@ export function registerGiveaway(register) {
         winnersCount,
         endsAtMs,
         requireVerified,
+        requirements: createOptions?.requirements || null,
+        weighting: createOptions?.weighting || null,
+        draw: commitment ? { ...commitment, drawId: null, seed: null, weights: {}, rerolls: [] } : null,
         entrants: new Set(),
         winners: [],
         endedAtMs: null,
@@ -1205,17 +1637,37 @@ export function registerGiveaway(register) {
           return;
         }
 
-        record.entrants.add(interaction.user?.id);
-        if (record.requireVerified) {
+        if (record.requireVerified || record.requirements) {
           record.notifiedIneligible = record.notifiedIneligible || new Set();
+          const recentWinnerIds = record.requirements?.noWinsDays
+            ? await fetchRecentWinnerIds({
+                guildId: interaction.guildId,
+                days: record.requirements.noWinsDays,
+                excludeMessageId: messageId,
+              })
+            : null;
           const result = await checkEligibility({
             guild: interaction.guild,
             guildId: interaction.guildId,
             userId: interaction.user?.id,
             member: interaction.member || null,
-            requireVerified: true,
+            requireVerified: record.requireVerified,
+            requirements: record.requirements,
+            recentWinnerIds,
             allowAdminBypass: true,
           });
+          // Hard requirements block the entry; verification alone can still be fixed before the draw.
+          if (hasRequirementFailure(result.reasons)) {
+            await interaction.reply({
+              content: buildRequirementsReply({
+                reasons: result.reasons,
+                requirements: record.requirements,
+                details: result.details,
+              }),
+              flags: MessageFlags.Ephemeral,
+            });
+            return;
+          }
           if (!result.ok && !record.notifiedIneligible.has(interaction.user?.id)) {
             record.notifiedIneligible.add(interaction.user?.id);
             await sendDm({
@@ -1228,6 +1680,7 @@ export function registerGiveaway(register) {
             });
           }
         }
+        record.entrants.add(interaction.user?.id);
         await updateGiveawayFields(messageId, {
           entrants_json: serializeIds(record.entrants),
         });
@@ -1301,7 +1754,7 @@ export function registerGiveaway(register) {
       const messageId = String(interaction.values?.[0] || "");
       if (!messageId) return;
 
-      if (!isAdminOrPrivileged(interaction)) {
+      if (!hasPermissionTier(interaction, "host")) {
         await interaction.reply({
           content: "You do not have permission to run this command.",
           flags: MessageFlags.Ephemeral,
@@ -1347,6 +1800,8 @@ export function registerGiveaway(register) {
 export const _test = {
   resetState: () => {
     activeGiveaways.clear();
+    for (const { timeout } of pendingCreateOptions.values()) clearTimer(timeout, "giveaway:create-options");
+    pendingCreateOptions.clear();
     booted = false;
     clientRef = null;
   },
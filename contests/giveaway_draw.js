@@ -0,0 +1,93 @@
+// contests/giveaway_draw.js
+//
+// Weighted giveaway entries (pure; no Discord/DB).
+//
+// - weighting rules: { bonusRoleIds, bonusEntries, boosterMultiplier }
+//   weight = (1 + bonusEntries per held bonus role) × boosterMultiplier (boosters only)
+// - the draw itself is a verifiable "weighted" draw (see fair_draw.js) over drawEntries()
+
+export const MAX_BONUS_ROLES = 5;
+export const MAX_BONUS_ENTRIES = 10;
+export const MAX_BOOSTER_MULTIPLIER = 10;
+
+function positiveIntOrNull(raw) {
+  const n = Math.floor(Number(raw));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Cleans weighting rules (or their JSON); returns null when every entrant would weigh 1.
+ */
+export function normalizeWeighting(raw) {
+  let input = raw;
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+  if (!input || typeof input !== "object") return null;
+
+  const bonusRoleIds = [
+    ...new Set(
+      (Array.isArray(input.bonusRoleIds) ? input.bonusRoleIds : [])
+        .map((id) => String(id || "").trim())
+        .filter((id) => /^\d+$/.test(id))
+    ),
+  ].slice(0, MAX_BONUS_ROLES);
+  const bonusEntries = Math.min(positiveIntOrNull(input.bonusEntries) || 1, MAX_BONUS_ENTRIES);
+  const multiplier = positiveIntOrNull(input.boosterMultiplier);
+  const boosterMultiplier = multiplier && multiplier > 1 ? Math.min(multiplier, MAX_BOOSTER_MULTIPLIER) : null;
+
+  if (!bonusRoleIds.length && !boosterMultiplier) return null;
+  return { bonusRoleIds, bonusEntries, boosterMultiplier };
+}
+
+export function serializeWeighting(raw) {
+  const weighting = normalizeWeighting(raw);
+  return weighting ? JSON.stringify(weighting) : null;
+}
+
+export function describeWeighting(raw) {
+  const weighting = normalizeWeighting(raw);
+  if (!weighting) return [];
+  const parts = weighting.bonusRoleIds.map((id) => `<@&${id}> +${weighting.bonusEntries}`);
+  if (weighting.boosterMultiplier) parts.push(`boosters ×${weighting.boosterMultiplier}`);
+  return parts;
+}
+
+function isBooster(member) {
+  return Boolean(member?.premiumSinceTimestamp || member?.premiumSince);
+}
+
+export function entryWeight(member, raw) {
+  const weighting = normalizeWeighting(raw);
+  if (!weighting) return 1;
+  const roles = member?.roles?.cache;
+  const bonusRoles = weighting.bonusRoleIds.filter((id) => roles?.has?.(id)).length;
+  const base = 1 + bonusRoles * weighting.bonusEntries;
+  return weighting.boosterMultiplier && isBooster(member) ? base * weighting.boosterMultiplier : base;
+}
+
+/**
+ * userIds + members (Map id -> GuildMember) -> { [userId]: weight }.
+ */
+export function computeEntryWeights({ userIds, members, weighting }) {
+  const weights = {};
+  for (const id of userIds || []) {
+    const member = members?.get?.(String(id)) || null;
+    weights[String(id)] = entryWeight(member, weighting);
+  }
+  return weights;
+}
+
+/**
+ * Draw inputs: [[userId, weight], ...] sorted by id (weight defaults to 1), so the same
+ * entrants always produce the same inputs whatever order they joined in.
+ */
+export function drawEntries({ userIds, weights = {} }) {
+  return [...new Set((userIds || []).map(String))]
+    .sort((a, b) => a.localeCompare(b))
+    .map((id) => [id, Math.max(0, Math.floor(Number(weights?.[id] ?? 1)) || 0)]);
+}
@@ -6,7 +6,7 @@
 // - Check who posted a specific combo.
 // - Roll winning numbers (admin).
 
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { getDb } from "../db.js";
 import { logger } from "../shared/logger.js";
 import {
@@ -18,6 +18,8 @@ import {
   extractPostMessageText,
 } from "../shared/forum_scrape.js";
 import { sendChunked } from "./helpers.js";
+import { drawTag, runFairDraw } from "./fair_draw.js";
+import { recordContestResult } from "./contest_history.js";
 
 const LOTTO_THREAD_URL = "https://forums.tppc.info/showthread.php?t=641631";
 const FETCH_TIMEOUT_MS = 30_000;
@@ -420,7 +422,7 @@ async function handleGenerate({ message, state }) {
     return;
   }
 
-  if (!isAdminOrPrivileged(message)) {
+  if (!hasPermissionTier(message, "moderator")) {
     const last = state.lastGenerateByUser.get(message.author.id) || 0;
     const nextAllowed = last + GENERATE_COOLDOWN_MS;
     const remainingMs = nextAllowed - Date.now();
@@ -465,7 +467,7 @@ async function handleCheck({ message, state, input }) {
   }
 
   const tokens = String(input || "").split(/\s+/).filter(Boolean);
-  const wantsLive = tokens.includes("--live") && isAdminOrPrivileged(message);
+  const wantsLive = tokens.includes("--live") && hasPermissionTier(message, "moderator");
   const cleaned = tokens.filter((t) => t !== "--live").join(" ");
   const nums = parseNumbersFromInput(cleaned);
   if (!nums) {
@@ -504,7 +506,7 @@ async function handleCheck({ message, state, input }) {
 }
 
 async function handleRoll({ message, state }) {
-  if (!isAdminOrPrivileged(message)) return;
+  if (!hasPermissionTier(message, "moderator")) return;
   const inactive = formatActiveStateMessage(state);
   if (inactive) {
     await message.reply(inactive);
@@ -530,20 +532,43 @@ async function handleRoll({ message, state }) {
     return;
   }
 
-  const pick = ALL_COMBOS[Math.floor(Math.random() * ALL_COMBOS.length)];
-  const key = comboKey(pick);
+  const { result, drawId } = await runFairDraw({
+    guildId: message.guildId,
+    channelId: message.channelId,
+    kind: "pick",
+    refId: message.id || null,
+    inputs: { items: ALL_COMBOS.map(comboKey), count: 1 },
+  });
+  const key = result.picks[0];
+  const pick = key.split("-").map(Number);
+  const drawNote = drawTag(drawId, { verifyHint: true });
   const hit = state.usedByKey.get(key);
+  // Lotto winners are forum usernames, so they go in the details rather than winner IDs.
+  const archive = (details) =>
+    recordContestResult({
+      guildId: message.guildId,
+      kind: "lotto",
+      refId: message.id,
+      channelId: message.channelId,
+      hostId: message.author?.id,
+      title: "TPPC Lottery",
+      details,
+      entrantCount: state.usedByKey.size,
+      drawId,
+    });
   if (!hit) {
-    await respond(`🎲 Winning numbers: ${formatCombo(pick)}\nNo winner this week.`);
+    await respond(`🎲 Winning numbers: ${formatCombo(pick)}\nNo winner this week.${drawNote}`);
+    await archive(`Numbers ${formatCombo(pick)} · no winner`);
     return;
   }
 
   const note = hit.postUrl ? `\nPost: ${hit.postUrl}` : "";
-  await respond(`🎲 Winning numbers: ${formatCombo(pick)}\nWinner: **${hit.user}**.${note}`);
+  await respond(`🎲 Winning numbers: ${formatCombo(pick)}\nWinner: **${hit.user}**.${note}${drawNote}`);
+  await archive(`Numbers ${formatCombo(pick)} · winner: ${hit.user}`);
 }
 
 async function handleSet({ message, state, input }) {
-  if (!isAdminOrPrivileged(message)) return;
+  if (!hasPermissionTier(message, "moderator")) return;
   if (state.active) {
     await message.reply("⚠️ Lotto tracking is already active. Use `!lotto reset` first.");
     return;
@@ -581,7 +606,7 @@ async function handleSet({ message, state, input }) {
 }
 
 async function handleReset({ message, state }) {
-  if (!isAdminOrPrivileged(message)) return;
+  if (!hasPermissionTier(message, "moderator")) return;
   state.active = false;
   state.startPostId = null;
   state.lastFetchAt = 0;
@@ -740,7 +765,11 @@ export function registerLotto(register) {
       return handleGenerate({ message, state });
     },
     "!lotto — TPPC Lottery helper (generate/check/roll)",
-    { admin: false, aliases: ["!lottery"] }
+    {
+      admin: false,
+      aliases: ["!lottery"],
+      subcommandTiers: { set: "moderator", reset: "moderator", roll: "moderator" },
+    }
   );
 }
 
@@ -0,0 +1,214 @@
+// contests/points.js
+//
+// Points economy commands (opt-in per guild, see configs/points_economy.js):
+// - !balance [@user] / !balance top
+// - !points give|take|set @user <amount> [note] (admin)
+// - !points log @user (admin)
+
+import { hasPermissionTier } from "../auth.js";
+import { logger } from "../shared/logger.js";
+import { parseMentionToken } from "../shared/mentions.js";
+import {
+  applyPointsChanges,
+  formatPoints,
+  getPointsBalance,
+  isPointsEnabled,
+  isValidPointsAmount,
+  listPointsLedger,
+  listTopBalances,
+} from "../shared/points_ledger.js";
+
+const NO_PINGS = { allowedMentions: { parse: [] } };
+const DISABLED_TEXT = "❌ Points aren't enabled in this server.";
+const UNAVAILABLE_TEXT = "❌ Could not reach the points ledger. Please try again later.";
+const LOG_LIMIT = 10;
+const TOP_LIMIT = 10;
+
+const ADMIN_ACTIONS = new Set(["give", "take", "set"]);
+
+function replyQuiet(message, content) {
+  return message.reply({ content, ...NO_PINGS });
+}
+
+/**
+ * Parse "give|take|set @user <amount> [note]".
+ * Returns { ok: true, action, userId, amount, note } or { ok: false, errorText }.
+ */
+function parseAdjustArgs(action, raw) {
+  const tokens = String(raw || "").trim().split(/\s+/).filter(Boolean);
+  const userId = parseMentionToken(tokens[0]);
+  if (!userId) return { ok: false, errorText: `❌ Usage: \`!points ${action} @user <amount> [note]\`` };
+
+  const amountText = String(tokens[1] || "").replace(/,/g, "");
+  const amount = /^\d+$/.test(amountText) ? Number(amountText) : NaN;
+  const allowZero = action === "set";
+  if (!(isValidPointsAmount(amount) || (allowZero && amount === 0))) {
+    return { ok: false, errorText: "❌ Amount must be a positive whole number." };
+  }
+
+  const note = tokens.slice(2).join(" ").trim() || null;
+  return { ok: true, action, userId, amount, note };
+}
+
+function changeFor({ action, userId, amount }) {
+  if (action === "set") return { userId, set: amount };
+  return { userId, delta: action === "take" ? -amount : amount };
+}
+
+function formatSigned(guildId, delta) {
+  return `${delta >= 0 ? "+" : "−"}${formatPoints(guildId, Math.abs(delta))}`;
+}
+
+function formatLedgerLine(guildId, row) {
+  const when = row.createdAtMs ? `<t:${Math.floor(row.createdAtMs / 1000)}:d>` : "—";
+  const parts = [`${when} ${formatSigned(guildId, row.delta)} → ${formatPoints(guildId, row.balanceAfter)}`];
+  parts.push(row.source ? `${row.reason} (${row.source})` : row.reason);
+  if (row.actorId) parts.push(`by <@${row.actorId}>`);
+  if (row.note) parts.push(`“${row.note}”`);
+  return `• ${parts.join(" · ")}`;
+}
+
+async function handleAdjust(message, parsed) {
+  const guildId = message.guildId;
+  let res;
+  try {
+    res = await applyPointsChanges({
+      guildId,
+      changes: [changeFor(parsed)],
+      reason: parsed.action,
+      source: "admin",
+      actorId: message.author?.id || null,
+      note: parsed.note,
+    });
+  } catch (err) {
+    logger.warn("points.adjust.failed", { action: parsed.action, error: logger.serializeError(err) });
+    await replyQuiet(message, UNAVAILABLE_TEXT);
+    return;
+  }
+
+  if (!res.ok) {
+    await replyQuiet(
+      message,
+      `❌ <@${res.userId}> only has ${formatPoints(guildId, res.balance)}; can't take ${formatPoints(guildId, parsed.amount)}.`
+    );
+    return;
+  }
+
+  const balance = res.balances.get(String(parsed.userId)) ?? 0;
+  const row = res.rows[0];
+  const changeText = row ? formatSigned(guildId, row.delta) : "no change";
+  await replyQuiet(message, `✅ <@${parsed.userId}>: ${changeText} → **${formatPoints(guildId, balance)}**`);
+}
+
+async function handleLog(message, raw) {
+  const userId = parseMentionToken(String(raw || "").trim().split(/\s+/)[0]);
+  if (!userId) {
+    await replyQuiet(message, "❌ Usage: `!points log @user`");
+    return;
+  }
+
+  let rows;
+  try {
+    rows = await listPointsLedger({ guildId: message.guildId, userId, limit: LOG_LIMIT });
+  } catch (err) {
+    logger.warn("points.log.failed", { error: logger.serializeError(err) });
+    await replyQuiet(message, UNAVAILABLE_TEXT);
+    return;
+  }
+
+  if (!rows.length) {
+    await replyQuiet(message, `No points history for <@${userId}>.`);
+    return;
+  }
+  const lines = rows.map((r) => formatLedgerLine(message.guildId, r));
+  await replyQuiet(message, `**Points history for <@${userId}>** (latest ${rows.length})\n${lines.join("\n")}`);
+}
+
+function buildPointsHelp() {
+  return (
+    "**Points (admin)**\n" +
+    "• `!points give @user <amount> [note]` — add points\n" +
+    "• `!points take @user <amount> [note]` — remove points (can't go below 0)\n" +
+    "• `!points set @user <amount> [note]` — set an exact balance\n" +
+    "• `!points log @user` — last 10 ledger entries\n\n" +
+    "Everyone can use `!balance [@user]` and `!balance top`."
+  );
+}
+
+export function registerPoints(register) {
+  register(
+    "!balance",
+    async ({ message, rest }) => {
+      if (!message.guildId) return;
+      if (!isPointsEnabled(message.guildId)) {
+        await replyQuiet(message, DISABLED_TEXT);
+        return;
+      }
+
+      const arg = String(rest || "").trim();
+      try {
+        if (arg.toLowerCase() === "top") {
+          const top = await listTopBalances({ guildId: message.guildId, limit: TOP_LIMIT });
+          if (!top.length) {
+            await replyQuiet(message, "Nobody has any points yet.");
+            return;
+          }
+          const lines = top.map((r, i) => `${i + 1}. <@${r.userId}> — ${formatPoints(message.guildId, r.balance)}`);
+          await replyQuiet(message, `**Top balances**\n${lines.join("\n")}`);
+          return;
+        }
+
+        const targetId = parseMentionToken(arg.split(/\s+/)[0]) || message.author.id;
+        const balance = await getPointsBalance({ guildId: message.guildId, userId: targetId });
+        const who = targetId === message.author.id ? "You have" : `<@${targetId}> has`;
+        await replyQuiet(message, `💰 ${who} **${formatPoints(message.guildId, balance)}**.`);
+      } catch (err) {
+        logger.warn("points.balance.failed", { error: logger.serializeError(err) });
+        await replyQuiet(message, UNAVAILABLE_TEXT);
+      }
+    },
+    "!balance [@user|top] — show a points balance (or the top balances)",
+    { aliases: ["!bal"] }
+  );
+
+  register(
+    "!points",
+    async ({ message, rest }) => {
+      if (!message.guildId) return;
+      if (!hasPermissionTier(message, "admin")) return;
+      if (!isPointsEnabled(message.guildId)) {
+        await replyQuiet(message, DISABLED_TEXT);
+        return;
+      }
+
+      const raw = String(rest || "").trim();
+      const [actionRaw = "", ...restTokens] = raw.split(/\s+/);
+      const action = actionRaw.toLowerCase();
+      const restText = restTokens.join(" ");
+
+      if (!action || action === "help") {
+        await replyQuiet(message, buildPointsHelp());
+        return;
+      }
+      if (action === "log") {
+        await handleLog(message, restText);
+        return;
+      }
+      if (!ADMIN_ACTIONS.has(action)) {
+        await replyQuiet(message, "❌ Unknown subcommand. Use `!points help`.");
+        return;
+      }
+
+      const parsed = parseAdjustArgs(action, restText);
+      if (!parsed.ok) {
+        await replyQuiet(message, parsed.errorText);
+        return;
+      }
+      await handleAdjust(message, parsed);
+    },
+    "!points give|take|set @user <amount> [note] / !points log @user — manage the points ledger",
+    { admin: true, adminCategory: "Contests", tier: "admin" }
+  );
+}
+
+export const __testables = { parseAdjustArgs, changeFor, formatLedgerLine };
@@ -12,9 +12,10 @@ import {
   TextInputStyle,
 } from "discord.js";
 
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { getDb } from "../db.js";
 import { chooseOne } from "./rng.js";
+import { recordContestResult } from "./contest_history.js";
 import { formatUserWithId, sendChunked, stripEmojisAndSymbols } from "./helpers.js";
 import { parseDurationSeconds } from "../shared/time_utils.js";
 import { startTimeout, startInterval, clearTimer } from "../shared/timer_utils.js";
@@ -464,6 +465,7 @@ async function processPoll(messageId) {
   }
 
   const notes = [];
+  const winnerIds = [];
   let resultSet = answerResults;
   let forceLists = false;
   let suppressChoose = false;
@@ -499,6 +501,7 @@ async function processPoll(messageId) {
     if (record.runChoose && !suppressChoose) {
       const winner = pickWinner(item.voters);
       if (winner) {
+        winnerIds.push(String(winner.id));
         const winnerLabel = await formatUserWithId({ guildId: record.guildId, userId: winner.id });
         channelLines.push(`Winner: ${winnerLabel}`);
       } else {
@@ -565,6 +568,19 @@ async function processPoll(messageId) {
     }
   }
 
+  const voterIds = new Set(answerResults.flatMap((item) => item.voters.map((v) => String(v.id))));
+  await recordContestResult({
+    guildId: record.guildId,
+    kind: "poll",
+    refId: record.messageId,
+    channelId: record.channelId,
+    hostId: pollStarterId,
+    title: poll.question?.text || null,
+    details: resultSet.map((item) => describeAnswer(item.answer, item.index)).join(" / "),
+    entrantCount: voterIds.size,
+    winnerIds,
+  });
+
   await deletePollRecord(messageId);
 }
 
@@ -690,7 +706,7 @@ export function registerPollContest(register) {
       const sub = interaction.options?.getSubcommand?.() || "";
 
       if (sub === "create") {
-        if (!isAdminOrPrivileged(interaction)) {
+        if (!hasPermissionTier(interaction, "host")) {
           await interaction.reply({
             content: "You do not have permission to run this command.",
             flags: MessageFlags.Ephemeral,
@@ -858,7 +874,7 @@ export function registerPollContest(register) {
         const res = await cancelPollRecord({
           messageId,
           actorId: interaction.user?.id,
-          isAdmin: isAdminOrPrivileged(interaction),
+          isAdmin: hasPermissionTier(interaction, "host"),
         });
 
         if (res.ok) {
@@ -902,7 +918,7 @@ export function registerPollContest(register) {
         flags: MessageFlags.Ephemeral,
       });
     },
-    { admin: true, adminCategory: "Contests" }
+    { admin: true, adminCategory: "Contests", tier: "host" }
   );
 
   register.component("pollcontest:", async ({ interaction }) => {
@@ -921,7 +937,7 @@ export function registerPollContest(register) {
     }
 
     if (interaction.isModalSubmit?.()) {
-      if (!isAdminOrPrivileged(interaction)) {
+      if (!hasPermissionTier(interaction, "host")) {
         await interaction.reply({
           content: "You do not have permission to run this command.",
           flags: MessageFlags.Ephemeral,
@@ -1006,7 +1022,7 @@ export function registerPollContest(register) {
     }
 
     const isOwner = String(config.ownerId) === String(interaction.user?.id);
-    if (!isOwner && !isAdminOrPrivileged(interaction)) {
+    if (!isOwner && !hasPermissionTier(interaction, "host")) {
       await interaction.reply({
         content: "Only the poll creator can edit this setup.",
         flags: MessageFlags.Ephemeral,
@@ -1117,7 +1133,7 @@ export function registerPollContest(register) {
     "!cancelpoll",
     async ({ message, rest }) => {
       if (!message.guildId) return;
-      if (!isAdminOrPrivileged(message)) return;
+      if (!hasPermissionTier(message, "host")) return;
 
       ensureClient(message.client);
       await boot(message.client);
@@ -1131,7 +1147,7 @@ export function registerPollContest(register) {
       const res = await cancelPollRecord({
         messageId,
         actorId: message.author?.id,
-        isAdmin: isAdminOrPrivileged(message),
+        isAdmin: hasPermissionTier(message, "host"),
       });
 
       if (res.ok) {
@@ -1146,7 +1162,7 @@ export function registerPollContest(register) {
       );
     },
     "!cancelpoll — cancel a poll contest by message ID",
-    { hideFromHelp: true }
+    { hideFromHelp: true, tier: "host" }
   );
 
 }
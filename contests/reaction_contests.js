@@ -6,13 +6,15 @@
 // - Scope: guild + channel (bound to the start message)
 import { MessageFlags } from "discord.js";
 
-import { isAdminOrPrivileged } from "../auth.js";
-import { CONTEST_TOGGLE_ROLE_BY_GUILD } from "../configs/contest_roles.js";
+import { hasPermissionTier } from "../auth.js";
+import { getGuildSetting } from "../shared/guild_settings.js";
 import { formatUserWithId, stripEmojisAndSymbols } from "./helpers.js";
 import { sendDm } from "../shared/dm.js";
 import { parseDurationSeconds } from "../shared/time_utils.js";
 import { startTimeout, clearTimer } from "../shared/timer_utils.js";
-import { chooseOne, runElimFromItems } from "./rng.js";
+import { runElimFromItems } from "./rng.js";
+import { commitDrawSeed, drawTag, revealDrawSeed, runFairDraw } from "./fair_draw.js";
+import { recordContestResult } from "./contest_history.js";
 import {
   buildEligibilityDm,
   checkEligibility,
@@ -93,15 +95,22 @@ async function buildContestDisplay({ guild, guildId, userIds }) {
   };
 }
 
-function chooseMany(arr, count) {
-  const pool = Array.isArray(arr) ? arr.slice() : [];
-  const picks = [];
-  const n = Math.min(count, pool.length);
-  for (let i = 0; i < n; i++) {
-    const idx = Math.floor(Math.random() * pool.length);
-    picks.push(pool.splice(idx, 1)[0]);
-  }
-  return picks;
+/**
+ * Verifiable winner pick for choose mode (seed committed when the contest started).
+ * Returns { picks: entries[], drawId }.
+ */
+async function drawContestWinners({ message, entries, winnerCount, seedId, refId }) {
+  const { result, drawId } = await runFairDraw({
+    guildId: message.guildId,
+    channelId: message.channelId,
+    kind: "pick",
+    refId,
+    inputs: { items: entries.map((entry) => entry.id), count: winnerCount, users: true },
+    seedId,
+  });
+  if (seedId) await revealDrawSeed(seedId);
+  const byId = new Map(entries.map((entry) => [entry.id, entry]));
+  return { picks: result.picks.map((id) => byId.get(id)).filter(Boolean), drawId };
 }
 
 function findCollectorForChannel(guildId, channelId) {
@@ -336,7 +345,7 @@ export async function collectEntrantsByReactions({
 
 function canManageContest(message) {
   // Admin/privileged only to prevent spammy/misuse
-  return isAdminOrPrivileged(message);
+  return hasPermissionTier(message, "host");
 }
 
 async function resolveGuildMember(message) {
@@ -502,13 +511,16 @@ export function registerReactionContests(register) {
       const eligibilityNote = requireVerified
         ? "\nEligibility: verified role + Spectreon ID required."
         : "";
-      const prompt = `React to this message to enter! I will **${modeLabel}** in **${humanDuration(ms)}**...${maxNote}${eligibilityNote}`;
-
       await interaction.reply({
         content: `✅ Contest started in <#${interaction.channelId}>.`,
         flags: MessageFlags.Ephemeral,
       });
 
+      const commitment =
+        mode === "list" ? null : await commitDrawSeed({ guildId: interaction.guildId, scope: "contest" });
+      const commitNote = commitment ? `\nDraw commitment: \`${commitment.commitHash}\`` : "";
+      const prompt = `React to this message to enter! I will **${modeLabel}** in **${humanDuration(ms)}**...${maxNote}${eligibilityNote}${commitNote}`;
+
       const message = {
         client: interaction.client,
         guildId: interaction.guildId,
@@ -518,7 +530,7 @@ export function registerReactionContests(register) {
         guild: interaction.guild,
       };
 
-      const { entrants, reason } = await collectEntrantsByReactions({
+      const { entrants, reason, messageId: contestMessageId } = await collectEntrantsByReactions({
         message,
         promptText: prompt,
         durationMs: ms,
@@ -526,7 +538,11 @@ export function registerReactionContests(register) {
         emoji: "👍",
         eligibility: requireVerified ? { requireVerified: true } : null,
       });
-      if (reason === "cancel") return;
+      const seedId = commitment?.seedId || null;
+      if (reason === "cancel") {
+        if (seedId) await revealDrawSeed(seedId);
+        return;
+      }
 
       let ids = [...entrants];
       if (requireVerified) {
@@ -545,6 +561,7 @@ export function registerReactionContests(register) {
       });
 
       if (!displayNames.length) {
+        if (seedId) await revealDrawSeed(seedId);
         await message.channel.send(requireVerified ? "No eligible entrants..." : "No one reacted...");
         return;
       }
@@ -557,19 +574,38 @@ export function registerReactionContests(register) {
 
       if (mode === "choose") {
         if (winnerCount > displayNames.length) {
+          if (seedId) await revealDrawSeed(seedId);
           await message.channel.send(
             `Not enough entrants to pick ${winnerCount} winners (only ${displayNames.length}).`
           );
           return;
         }
 
-        const winnerList = entries.map((entry) => winnerLabels.get(entry.id) || entry.label);
-        const picks = winnerCount > 1 ? chooseMany(winnerList, winnerCount) : [chooseOne(winnerList)];
+        const { picks, drawId } = await drawContestWinners({
+          message,
+          entries,
+          winnerCount,
+          seedId,
+          refId: contestMessageId,
+        });
+        const winnerNames = picks.map((entry) => winnerLabels.get(entry.id) || entry.label);
         const label = winnerCount > 1 ? "Winners" : "Winner";
         const prizeLine = winnerCount === 1 && prize ? `\nPrize: **${prize}**` : "";
         await message.channel.send(
-          `━━━━━━━━━━━━━━\nEntrant(s): ${displayNames.length}\n${label}: **${picks.join(", ")}**${prizeLine}`
+          `━━━━━━━━━━━━━━\nEntrant(s): ${displayNames.length}\n${label}: **${winnerNames.join(", ")}**${prizeLine}${drawTag(drawId, { verifyHint: true })}`
         );
+        await recordContestResult({
+          guildId: message.guildId,
+          kind: "reaction",
+          refId: contestMessageId,
+          channelId: message.channelId,
+          hostId: message.author?.id,
+          title: prize,
+          details: "choose",
+          entrantCount: displayNames.length,
+          winnerIds: picks.map((entry) => entry.id),
+          drawId,
+        });
         return;
       }
 
@@ -585,12 +621,30 @@ export function registerReactionContests(register) {
         items: entries,
         itemLabel: (entry) => entry.label,
         winnerLabel: (entry) => winnerLabels.get(entry.id) || entry.label,
+        itemKey: (entry) => entry.id,
+        users: true,
+        seedId,
         winnerSuffix,
+        onFinish: ({ winner, drawId }) =>
+          recordContestResult({
+            guildId: message.guildId,
+            kind: "reaction",
+            refId: contestMessageId,
+            channelId: message.channelId,
+            hostId: message.author?.id,
+            title: prize,
+            details: "elim",
+            entrantCount: displayNames.length,
+            winnerIds: winner ? [winner.id] : [],
+            drawId,
+          }),
       });
       if (!res.ok) {
+        if (seedId) await revealDrawSeed(seedId);
         await message.channel.send(`❌ Could not start elimination: ${res.error}`);
       }
-    }
+    },
+    { tier: "host" }
   );
 
   register(
@@ -605,7 +659,7 @@ export function registerReactionContests(register) {
       }
 
       const isOwner = found.state.creatorId && message.author?.id === found.state.creatorId;
-      if (!isOwner && !isAdminOrPrivileged(message)) {
+      if (!isOwner && !hasPermissionTier(message, "host")) {
         await message.reply("Nope — only the contest host or an admin can cancel.");
         return;
       }
@@ -622,7 +676,7 @@ export function registerReactionContests(register) {
     async ({ message }) => {
       if (!message?.guildId || !message?.author?.id) return;
 
-      const roleId = CONTEST_TOGGLE_ROLE_BY_GUILD[String(message.guildId)] || null;
+      const roleId = getGuildSetting(message.guildId, "contest_toggle_role") || null;
       if (!roleId) {
         await message.reply("Contest role toggle is not configured for this server.");
         return;
@@ -771,9 +825,12 @@ export function registerReactionContests(register) {
       const eligibilityNote = requireVerified
         ? "\nEligibility: verified role + Spectreon ID required."
         : "";
-      const prompt = `React to this message to enter! I will **${modeLabel}** in **${humanDuration(ms)}**...${maxNote}${eligibilityNote}`;
+      const commitment =
+        mode === "list" ? null : await commitDrawSeed({ guildId: message.guildId, scope: "contest" });
+      const commitNote = commitment ? `\nDraw commitment: \`${commitment.commitHash}\`` : "";
+      const prompt = `React to this message to enter! I will **${modeLabel}** in **${humanDuration(ms)}**...${maxNote}${eligibilityNote}${commitNote}`;
 
-      const { entrants, reason } = await collectEntrantsByReactions({
+      const { entrants, reason, messageId: contestMessageId } = await collectEntrantsByReactions({
         message,
         promptText: prompt,
         durationMs: ms,
@@ -781,7 +838,11 @@ export function registerReactionContests(register) {
         emoji: "👍",
         eligibility: requireVerified ? { requireVerified: true } : null,
       });
-      if (reason === "cancel") return;
+      const seedId = commitment?.seedId || null;
+      if (reason === "cancel") {
+        if (seedId) await revealDrawSeed(seedId);
+        return;
+      }
 
       let ids = [...entrants];
       if (requireVerified) {
@@ -800,6 +861,7 @@ export function registerReactionContests(register) {
       });
 
       if (!displayNames.length) {
+        if (seedId) await revealDrawSeed(seedId);
         await message.channel.send(requireVerified ? "No eligible entrants..." : "No one reacted...");
         return;
       }
@@ -812,19 +874,38 @@ export function registerReactionContests(register) {
 
       if (mode === "choose") {
         if (winnerCount > displayNames.length) {
+          if (seedId) await revealDrawSeed(seedId);
           await message.channel.send(
             `Not enough entrants to pick ${winnerCount} winners (only ${displayNames.length}).`
           );
           return;
         }
 
-        const winnerList = entries.map((entry) => winnerLabels.get(entry.id) || entry.label);
-        const picks = winnerCount > 1 ? chooseMany(winnerList, winnerCount) : [chooseOne(winnerList)];
+        const { picks, drawId } = await drawContestWinners({
+          message,
+          entries,
+          winnerCount,
+          seedId,
+          refId: contestMessageId,
+        });
+        const winnerNames = picks.map((entry) => winnerLabels.get(entry.id) || entry.label);
         const label = winnerCount > 1 ? "Winners" : "Winner";
         const prizeLine = winnerCount === 1 && prize ? `\nPrize: **${prize}**` : "";
         await message.channel.send(
-          `━━━━━━━━━━━━━━\nEntrant(s): ${displayNames.length}\n${label}: **${picks.join(", ")}**${prizeLine}`
+          `━━━━━━━━━━━━━━\nEntrant(s): ${displayNames.length}\n${label}: **${winnerNames.join(", ")}**${prizeLine}${drawTag(drawId, { verifyHint: true })}`
         );
+        await recordContestResult({
+          guildId: message.guildId,
+          kind: "reaction",
+          refId: contestMessageId,
+          channelId: message.channelId,
+          hostId: message.author?.id,
+          title: prize,
+          details: "choose",
+          entrantCount: displayNames.length,
+          winnerIds: picks.map((entry) => entry.id),
+          drawId,
+        });
         return;
       }
 
@@ -842,13 +923,30 @@ export function registerReactionContests(register) {
         items: entries,
         itemLabel: (entry) => entry.label,
         winnerLabel: (entry) => winnerLabels.get(entry.id) || entry.label,
+        itemKey: (entry) => entry.id,
+        users: true,
+        seedId,
         winnerSuffix,
+        onFinish: ({ winner, drawId }) =>
+          recordContestResult({
+            guildId: message.guildId,
+            kind: "reaction",
+            refId: contestMessageId,
+            channelId: message.channelId,
+            hostId: message.author?.id,
+            title: prize,
+            details: "elim",
+            entrantCount: displayNames.length,
+            winnerIds: winner ? [winner.id] : [],
+            drawId,
+          }),
       });
       if (!res.ok) {
+        if (seedId) await revealDrawSeed(seedId);
         await message.channel.send(`❌ Could not start elimination: ${res.error}`);
       }
     },
     "!conteststart [choose|elim|list] <time> [quota] [winners] — reaction contest using 👍",
-    { aliases: ["!startcontest"] }
+    { aliases: ["!startcontest"], tier: "host" }
   );
 }
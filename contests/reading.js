@@ -6,7 +6,7 @@
 //
 // Scope:
 // - Guild + channel scoped; tracks unique responders in that channel only.
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { sendChunked } from "./helpers.js";
 
 // Keyed by "guildId:channelId"
@@ -46,7 +46,7 @@ export function registerReading(register) {
     "!startReading",
     async ({ message, rest }) => {
       if (!message.guildId) return;
-      if (!isAdminOrPrivileged(message)) return;
+      if (!hasPermissionTier(message, "host")) return;
 
       const phrase = String(rest ?? "").trim();
       const phraseNorm = phrase ? phrase.toLowerCase() : null;
@@ -73,7 +73,8 @@ export function registerReading(register) {
           : "✅ Reading started. I’m now tracking unique responders in this channel."
       );
     },
-    "!startReading — start tracking unique responders in this channel"
+    "!startReading — start tracking unique responders in this channel",
+    { tier: "host" }
   );
 
   // End
@@ -81,7 +82,7 @@ export function registerReading(register) {
     "!endReading",
     async ({ message }) => {
       if (!message.guildId) return;
-      if (!isAdminOrPrivileged(message)) return;
+      if (!hasPermissionTier(message, "host")) return;
 
       const key = sessionKey(message.guildId, message.channelId);
       const session = activeReadingSessions.get(key);
@@ -128,7 +129,8 @@ export function registerReading(register) {
         lines: deduped,
       });
     },
-    "!endReading — stop tracking and print the unique responder list"
+    "!endReading — stop tracking and print the unique responder list",
+    { tier: "host" }
   );
 
   // Passive listener: collect unique responders while active
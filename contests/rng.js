@@ -4,16 +4,22 @@
 // - !/?roll, !/?choose, !/?elim
 // - ?cancelelim (hidden)
 // - !awesome, !coinflip (legacy)
-import { isAdminOrPrivileged } from "../auth.js";
+//
+// roll/dexroll/choose/elim results come from verifiable draws (see fair_draw.js) and
+// carry a draw ID for !verifydraw.
+import { hasPermissionTier } from "../auth.js";
 import { onAwesomeRoll } from "../games/closest_roll_wins.js";
+import { drawTag, revealDrawSeed, runFairDraw } from "./fair_draw.js";
 import { startTimeout, clearTimer } from "../shared/timer_utils.js";
 import { isAprilFoolsActive, isAprilFoolsBypassed } from "../shared/april_fools.js";
 import fs from "node:fs/promises";
 import path from "node:path";
 
-// guildId -> { timeout, channelId, creatorId }
+// guildId -> { timeout, channelId, creatorId, seedId }
 const activeElimByGuild = new Map();
 const DEFAULT_DEX_ROLL_MAX = 721;
+// Anything past this can't fit in one message anyway.
+const MAX_ROLL_COUNT = 700;
 const DEX_GEN_RANGES = {
   1: [1, 151],
   2: [152, 251],
@@ -103,6 +109,10 @@ export function chooseOne(arr) {
 /**
  * Shared elimination runner (so reaction_contests can reuse it).
  * items are strings (usernames, IDs, whatever you want to print).
+ * The whole elimination order is drawn up front as one verifiable draw; `itemKey` is what gets
+ * recorded for each item (set `users` when keys are user IDs), and `seedId` uses a seed that was
+ * committed earlier (revealed when the elimination finishes or is cancelled).
+ * `onFinish({ winner, drawId })` runs after the winner is announced (not on cancel).
  */
 export async function runElimFromItems({
   message,
@@ -112,6 +122,10 @@ export async function runElimFromItems({
   winnerSuffix = "",
   itemLabel = null,
   winnerLabel = null,
+  itemKey = null,
+  users = false,
+  seedId = null,
+  onFinish = null,
 }) {
   if (!message.guild) return { ok: false, error: "No guild." };
 
@@ -123,16 +137,30 @@ export async function runElimFromItems({
   let remaining = (items || []).slice().filter(Boolean);
   const toLabel = typeof itemLabel === "function" ? itemLabel : (item) => String(item);
   const toWinner = typeof winnerLabel === "function" ? winnerLabel : toLabel;
+  const toKey = typeof itemKey === "function" ? itemKey : (item) => String(item);
   if (remaining.length < 2) {
     return { ok: false, error: "You need at least 2 items to run an elimination." };
   }
 
-  await message.channel.send(`Setting up elimination with ${delaySec}s between rounds... are you ready?`);
+  const { result, drawId } = await runFairDraw({
+    guildId,
+    channelId: message.channelId,
+    kind: "elim",
+    refId: message.id || null,
+    inputs: users ? { items: remaining.map(toKey), users: true } : { items: remaining.map(toKey) },
+    seedId,
+  });
+  const eliminationQueue = result.order.slice();
+
+  await message.channel.send(
+    `Setting up elimination with ${delaySec}s between rounds... are you ready?${drawTag(drawId)}`
+  );
 
   const finish = async () => {
     const st = activeElimByGuild.get(guildId);
     clearTimer(st?.timeout, `rng.elim:${guildId}`);
     activeElimByGuild.delete(guildId);
+    if (seedId) await revealDrawSeed(seedId);
 
     if (remaining.length === 1) {
       const suffix = winnerSuffix ? ` ${winnerSuffix}` : "";
@@ -140,6 +168,13 @@ export async function runElimFromItems({
     } else {
       await message.channel.send("Elimination ended with no winner.");
     }
+    if (typeof onFinish === "function") {
+      try {
+        await onFinish({ winner: remaining.length === 1 ? remaining[0] : null, drawId });
+      } catch (err) {
+        console.warn("[rng] elimination onFinish failed:", err);
+      }
+    }
   };
 
   const runRound = async () => {
@@ -150,7 +185,8 @@ export async function runElimFromItems({
       return;
     }
 
-    const idx = Math.floor(Math.random() * remaining.length);
+    const nextKey = eliminationQueue.shift();
+    const idx = Math.max(0, remaining.findIndex((item) => toKey(item) === nextKey));
     const eliminated = remaining.splice(idx, 1)[0];
 
     await message.channel.send(
@@ -172,7 +208,7 @@ export async function runElimFromItems({
   };
 
   // Acquire lock
-  activeElimByGuild.set(guildId, { timeout: null, channelId: message.channelId, creatorId: message.author.id });
+  activeElimByGuild.set(guildId, { timeout: null, channelId: message.channelId, creatorId: message.author.id, seedId });
 
   // Start (first elimination after delayMs)
   const t0 = startTimeout({
@@ -180,7 +216,7 @@ export async function runElimFromItems({
     ms: delayMs,
     fn: runRound,
   });
-  activeElimByGuild.set(guildId, { timeout: t0, channelId: message.channelId, creatorId: message.author.id });
+  activeElimByGuild.set(guildId, { timeout: t0, channelId: message.channelId, creatorId: message.author.id, seedId });
 
   return { ok: true };
 }
@@ -214,33 +250,32 @@ export function registerRng(register) {
     }
 
     const uid = targetUserId(message);
+    if (n > MAX_ROLL_COUNT) {
+      await message.channel.send(
+        `${mention(uid)} Rolled ${n}d${sides}${noRepeat ? " norepeat" : ""}. Output too long to display. Try a smaller N.`
+      );
+      return;
+    }
+
     let rolls;
+    let drawId = null;
 
     if (isGoofy) {
       rolls = Array.from({ length: n }, () => 1);
-    } else if (!noRepeat) {
-      rolls = Array.from({ length: n }, () => randIntInclusive(1, sides));
     } else {
-      const rangeSize = sides;
-
-      if (n > rangeSize * 0.6) {
-        const arr = Array.from({ length: rangeSize }, (_, i) => i + 1);
-        for (let i = 0; i < n; i++) {
-          const j = randIntInclusive(i, rangeSize - 1);
-          const tmp = arr[i];
-          arr[i] = arr[j];
-          arr[j] = tmp;
-        }
-        rolls = arr.slice(0, n);
-      } else {
-        const seen = new Set();
-        while (seen.size < n) seen.add(randIntInclusive(1, sides));
-        rolls = Array.from(seen);
-      }
+      const draw = await runFairDraw({
+        guildId: message.guildId,
+        channelId: message.channelId,
+        kind: "roll",
+        refId: message.id || null,
+        inputs: { count: n, sides, noRepeat },
+      });
+      rolls = draw.result.rolls;
+      drawId = draw.drawId;
     }
 
     const suffix = noRepeat ? " (norepeat mode: ON)" : "";
-    const out = `${mention(uid)} ${rolls.join(", ")}${suffix}`;
+    const out = `${mention(uid)} ${rolls.join(", ")}${suffix}${drawTag(drawId)}`;
 
     if (out.length > 1900) {
       await message.channel.send(
@@ -348,14 +383,21 @@ export function registerRng(register) {
       return;
     }
 
-    const pickedDexId = candidates[randIntInclusive(0, candidates.length - 1)];
+    const { result, drawId } = await runFairDraw({
+      guildId: message.guildId,
+      channelId: message.channelId,
+      kind: "pick",
+      refId: message.id || null,
+      inputs: { items: candidates, count: 1 },
+    });
+    const pickedDexId = result.picks[0];
     const pickedName = dexData.byId.get(pickedDexId);
     if (!pickedName) {
       await message.channel.send("Failed to resolve rolled Pokedex entry. Please try again.");
       return;
     }
 
-    await message.channel.send(`#${pickedDexId} - ${pickedName}`);
+    await message.channel.send(`#${pickedDexId} - ${pickedName}${drawTag(drawId)}`);
   };
 
   register.expose({
@@ -377,8 +419,14 @@ export function registerRng(register) {
       await message.channel.send("cheese");
       return;
     }
-    const pick = chooseOne(options);
-    await message.channel.send(pick);
+    const { result, drawId } = await runFairDraw({
+      guildId: message.guildId,
+      channelId: message.channelId,
+      kind: "pick",
+      refId: message.id || null,
+      inputs: { items: options, count: 1 },
+    });
+    await message.channel.send(`${result.picks[0]}${drawTag(drawId)}`);
   };
 
   register.expose({
@@ -433,7 +481,7 @@ export function registerRng(register) {
         return;
       }
 
-      if (!isAdminOrPrivileged(message) && message.author.id !== state.creatorId) {
+      if (!hasPermissionTier(message, "host") && message.author.id !== state.creatorId) {
         await message.reply("Only the elimination starter or an admin can cancel it.");
         return;
       }
@@ -441,6 +489,7 @@ export function registerRng(register) {
       clearTimer(state.timeout, `rng.elim:${message.guildId}`);
 
       activeElimByGuild.delete(message.guildId);
+      if (state.seedId) await revealDrawSeed(state.seedId);
       await message.channel.send("Elimination has been cancelled!");
     },
     "?cancelelim — cancels the currently running elimination",
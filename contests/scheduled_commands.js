@@ -9,7 +9,7 @@
 
 import { MessageFlags } from "discord.js";
 
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { getDb } from "../db.js";
 import { sendDm } from "../shared/dm.js";
 import { logger } from "../shared/logger.js";
@@ -250,6 +250,7 @@ function preflightReasonText(result) {
   if (reason === "unknown_command") return "Command not found.";
   if (reason === "wrong_prefix") return "That prefix is not allowed for this command in this server.";
   if (reason === "exposure_off") return "That command is disabled in this server.";
+  if (reason === "missing_tier") return "You no longer have permission to run that command.";
   if (reason === "channel_blocked") {
     return result?.notifyText || "That command is not allowed in this channel.";
   }
@@ -457,7 +458,7 @@ async function executeScheduledCommand(job) {
   }
 
   const authLike = { guildId: job.guildId, member, author: { id: job.creatorUserId } };
-  if (!isAdminOrPrivileged(authLike)) {
+  if (!hasPermissionTier(authLike, "moderator")) {
     await notifyFailureDm(job, "Creator no longer has admin/privileged permission.");
     return;
   }
@@ -582,7 +583,7 @@ function stopScheduler() {
 }
 
 async function ensureAdminOrPrivileged(interaction) {
-  if (isAdminOrPrivileged(interaction)) return true;
+  if (hasPermissionTier(interaction, "moderator")) return true;
   await interaction.reply({
     content: "❌ You do not have permission to use this command.",
     flags: MessageFlags.Ephemeral,
@@ -853,7 +854,7 @@ export function registerScheduledCommands(register) {
         flags: MessageFlags.Ephemeral,
       });
     },
-    { admin: true, adminCategory: "Contests" }
+    { admin: true, adminCategory: "Contests", tier: "moderator" }
   );
 }
 
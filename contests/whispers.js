@@ -12,8 +12,9 @@ import { MessageFlags } from "discord.js";
 import crypto from "node:crypto";
 
 import { getDb, getUserText, setUserText } from "../db.js";
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { includesWholePhrase, normalizeForMatch } from "./helpers.js";
+import { recordContestResult } from "./contest_history.js";
 
 /* ------------------------------- small helpers ------------------------------ */
 
@@ -446,7 +447,7 @@ export function registerWhispers(register) {
         return;
       }
 
-      if (!isAdminOrPrivileged(interaction)) {
+      if (!hasPermissionTier(interaction, "host")) {
         const mine = listWhispersForUser(state, ownerId);
         if (mine.length >= MAX_WHISPERS_PER_USER) {
           await interaction.reply({
@@ -523,6 +524,16 @@ export function registerWhispers(register) {
           // one-shot removal
           state.items.splice(i, 1);
           await trySaveGuildToDb(guildId);
+          await recordContestResult({
+            guildId,
+            kind: "whisper",
+            refId: message.id,
+            channelId: message.channelId,
+            hostId: ownerId,
+            title: prize || null,
+            details: `Found "${phrase}"`,
+            winnerIds: [message.author?.id],
+          });
           break;
         }
       }
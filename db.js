@@ -188,6 +188,77 @@ export async function initDb() {
     );
   }
 
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS rpg_rank_tracks (
+      guild_id VARCHAR(32) NOT NULL,
+      user_id VARCHAR(32) NOT NULL,
+      challenge VARCHAR(32) NOT NULL,
+      top_n INT UNSIGNED NOT NULL DEFAULT 10,
+      created_at_ms BIGINT UNSIGNED NOT NULL,
+      PRIMARY KEY (guild_id, user_id, challenge),
+      KEY idx_challenge (challenge)
+    )
+  `,
+    [],
+    "init.rpg_rank_tracks"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS rpg_leaderboard_snapshots (
+      challenge VARCHAR(32) NOT NULL,
+      captured_at_ms BIGINT UNSIGNED NOT NULL,
+      rank_pos SMALLINT UNSIGNED NOT NULL,
+      trainer_id VARCHAR(64) NULL,
+      trainer_name VARCHAR(64) NULL,
+      score DOUBLE NULL,
+      PRIMARY KEY (challenge, captured_at_ms, rank_pos),
+      KEY idx_challenge_trainer (challenge, trainer_id, captured_at_ms),
+      KEY idx_challenge_name (challenge, trainer_name, captured_at_ms),
+      KEY idx_captured (captured_at_ms)
+    )
+  `,
+    [],
+    "init.rpg_leaderboard_snapshots"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS rpg_box_watches (
+      guild_id VARCHAR(32) NOT NULL,
+      user_id VARCHAR(32) NOT NULL,
+      trainer_id VARCHAR(16) NOT NULL,
+      daily TINYINT(1) NOT NULL DEFAULT 0,
+      created_at_ms BIGINT UNSIGNED NOT NULL,
+      PRIMARY KEY (guild_id, user_id, trainer_id),
+      KEY idx_trainer (trainer_id)
+    )
+  `,
+    [],
+    "init.rpg_box_watches"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS rpg_box_snapshots (
+      trainer_id VARCHAR(16) NOT NULL,
+      scope VARCHAR(40) NOT NULL,
+      captured_at_ms BIGINT UNSIGNED NOT NULL,
+      trainer_name VARCHAR(64) NULL,
+      entries_json MEDIUMTEXT NOT NULL,
+      PRIMARY KEY (trainer_id, scope, captured_at_ms),
+      KEY idx_captured (captured_at_ms)
+    )
+  `,
+    [],
+    "init.rpg_box_snapshots"
+  );
+
   await db.execute(`
     CREATE TABLE IF NOT EXISTS poll_contests (
       message_id VARCHAR(32) NOT NULL,
@@ -460,11 +531,14 @@ export async function initDb() {
       winners_count INT UNSIGNED NOT NULL,
       ends_at_ms BIGINT UNSIGNED NOT NULL,
       require_verified TINYINT(1) NOT NULL DEFAULT 0,
+      requirements_json TEXT NULL,
+      weights_json TEXT NULL,
       entrants_json LONGTEXT NOT NULL,
       winners_json LONGTEXT NOT NULL,
       ended_at_ms BIGINT UNSIGNED,
       summary_message_id VARCHAR(32),
       canceled TINYINT(1) NOT NULL DEFAULT 0,
+      draw_json LONGTEXT NULL,
       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       PRIMARY KEY (message_id)
     )
@@ -499,6 +573,122 @@ export async function initDb() {
       );
     }
   }
+  for (const [column, definition] of [
+    ["requirements_json", "TEXT NULL"],
+    ["weights_json", "TEXT NULL"],
+    ["draw_json", "LONGTEXT NULL"],
+  ]) {
+    const { DB_NAME } = process.env;
+    const [rows] = await execDb(
+      db,
+      `
+      SELECT COUNT(*) AS total
+      FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'giveaways'
+        AND COLUMN_NAME = ?
+    `,
+      [DB_NAME, column],
+      `init.giveaways_${column}_check`
+    );
+    const total = Number(rows?.[0]?.total || 0);
+    if (!total) {
+      await execDb(
+        db,
+        `
+        ALTER TABLE giveaways
+        ADD COLUMN ${column} ${definition}
+      `,
+        [],
+        `init.giveaways_${column}`
+      );
+    }
+  }
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS fair_draw_seeds (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      guild_id VARCHAR(32) NOT NULL,
+      scope VARCHAR(16) NOT NULL,
+      seed_hex CHAR(64) NOT NULL,
+      commit_hash CHAR(64) NOT NULL,
+      created_at_ms BIGINT UNSIGNED NOT NULL,
+      reveal_after_ms BIGINT UNSIGNED NULL,
+      revealed_at_ms BIGINT UNSIGNED NULL,
+      PRIMARY KEY (id),
+      KEY idx_guild_scope (guild_id, scope, revealed_at_ms)
+    )
+  `,
+    [],
+    "init.fair_draw_seeds"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS fair_draws (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      guild_id VARCHAR(32) NOT NULL,
+      channel_id VARCHAR(32) NULL,
+      kind VARCHAR(16) NOT NULL,
+      ref_id VARCHAR(64) NULL,
+      seed_id BIGINT UNSIGNED NOT NULL,
+      inputs_json LONGTEXT NOT NULL,
+      inputs_hash CHAR(64) NOT NULL,
+      result_json LONGTEXT NULL,
+      created_at_ms BIGINT UNSIGNED NOT NULL,
+      PRIMARY KEY (id),
+      KEY idx_seed (seed_id)
+    )
+  `,
+    [],
+    "init.fair_draws"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS contest_results (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      guild_id VARCHAR(32) NOT NULL,
+      kind VARCHAR(16) NOT NULL,
+      ref_id VARCHAR(64) NULL,
+      channel_id VARCHAR(32) NULL,
+      host_id VARCHAR(32) NULL,
+      title VARCHAR(255) NULL,
+      details VARCHAR(255) NULL,
+      entrant_count INT UNSIGNED NULL,
+      winners_json TEXT NOT NULL,
+      is_reroll TINYINT(1) NOT NULL DEFAULT 0,
+      draw_id BIGINT UNSIGNED NULL,
+      ended_at_ms BIGINT UNSIGNED NOT NULL,
+      PRIMARY KEY (id),
+      KEY idx_guild_ended (guild_id, ended_at_ms),
+      KEY idx_guild_kind_ended (guild_id, kind, ended_at_ms)
+    )
+  `,
+    [],
+    "init.contest_results"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS contest_result_winners (
+      result_id BIGINT UNSIGNED NOT NULL,
+      guild_id VARCHAR(32) NOT NULL,
+      user_id VARCHAR(32) NOT NULL,
+      kind VARCHAR(16) NOT NULL,
+      won_at_ms BIGINT UNSIGNED NOT NULL,
+      PRIMARY KEY (result_id, user_id),
+      KEY idx_guild_user_won (guild_id, user_id, won_at_ms)
+    )
+  `,
+    [],
+    "init.contest_result_winners"
+  );
 
   await execDb(
     db,
@@ -534,6 +724,33 @@ export async function initDb() {
     [],
     "init.custom_leaderboards"
   );
+  {
+    const { DB_NAME } = process.env;
+    const [rows] = await execDb(
+      db,
+      `
+      SELECT COUNT(*) AS total
+      FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'custom_leaderboards'
+        AND COLUMN_NAME = 'points_backed'
+    `,
+      [DB_NAME],
+      "init.custom_leaderboards_points_backed_check"
+    );
+    const total = Number(rows?.[0]?.total || 0);
+    if (!total) {
+      await execDb(
+        db,
+        `
+        ALTER TABLE custom_leaderboards
+        ADD COLUMN points_backed TINYINT(1) NOT NULL DEFAULT 0
+      `,
+        [],
+        "init.custom_leaderboards_points_backed"
+      );
+    }
+  }
 
   await execDb(
     db,
@@ -630,6 +847,74 @@ export async function initDb() {
       );
     }
   }
+  for (const [column, definition] of [
+    ["match_mode", "VARCHAR(16)"],
+    ["channel_ids", "TEXT"],
+    ["exclude_channel_ids", "TEXT"],
+  ]) {
+    const { DB_NAME } = process.env;
+    const [rows] = await execDb(
+      db,
+      `
+      SELECT COUNT(*) AS total
+      FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'notify_me'
+        AND COLUMN_NAME = ?
+    `,
+      [DB_NAME, column],
+      `init.notify_me_${column}_check`
+    );
+    const total = Number(rows?.[0]?.total || 0);
+    if (!total) {
+      await execDb(
+        db,
+        `
+        ALTER TABLE notify_me
+        ADD COLUMN ${column} ${definition}
+      `,
+        [],
+        `init.notify_me_${column}`
+      );
+    }
+  }
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS notify_me_quiet_hours (
+      user_id VARCHAR(32) NOT NULL,
+      start_minute SMALLINT UNSIGNED NOT NULL,
+      end_minute SMALLINT UNSIGNED NOT NULL,
+      timezone VARCHAR(64) NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id)
+    )
+  `,
+    [],
+    "init.notify_me_quiet_hours"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS notify_me_digest (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id VARCHAR(32) NOT NULL,
+      guild_id VARCHAR(32) NOT NULL,
+      channel_id VARCHAR(32) NOT NULL,
+      message_id VARCHAR(32) NOT NULL,
+      author_id VARCHAR(32),
+      phrases TEXT,
+      snippet TEXT,
+      created_at_ms BIGINT UNSIGNED NOT NULL,
+      PRIMARY KEY (id),
+      KEY notify_digest_user_idx (user_id)
+    )
+  `,
+    [],
+    "init.notify_me_digest"
+  );
 
   await execDb(
     db,
@@ -644,10 +929,12 @@ export async function initDb() {
       filter_mode VARCHAR(8) NOT NULL DEFAULT 'any',
       filter_user VARCHAR(64) NULL,
       last_seen_post_id BIGINT UNSIGNED NOT NULL,
+      watch_kind VARCHAR(8) NOT NULL DEFAULT 'thread',
+      keywords TEXT NULL,
       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       PRIMARY KEY (id),
-      UNIQUE KEY uniq_user_thread (user_id, thread_id),
+      UNIQUE KEY uniq_user_kind_thread (user_id, watch_kind, thread_id),
       KEY idx_user (user_id),
       KEY idx_thread (thread_id)
     )
@@ -655,6 +942,66 @@ export async function initDb() {
     [],
     "init.forum_thread_subscriptions"
   );
+  // Forum (subforum) watches share this table: thread_id holds the forum id and
+  // last_seen_post_id the newest thread id seen.
+  for (const [column, definition] of [
+    ["watch_kind", "VARCHAR(8) NOT NULL DEFAULT 'thread'"],
+    ["keywords", "TEXT NULL"],
+  ]) {
+    const { DB_NAME } = process.env;
+    const [rows] = await execDb(
+      db,
+      `
+      SELECT COUNT(*) AS total
+      FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'forum_thread_subscriptions'
+        AND COLUMN_NAME = ?
+    `,
+      [DB_NAME, column],
+      `init.forum_thread_subscriptions_${column}_check`
+    );
+    const total = Number(rows?.[0]?.total || 0);
+    if (!total) {
+      await execDb(
+        db,
+        `
+        ALTER TABLE forum_thread_subscriptions
+        ADD COLUMN ${column} ${definition}
+      `,
+        [],
+        `init.forum_thread_subscriptions_${column}`
+      );
+    }
+  }
+  {
+    const { DB_NAME } = process.env;
+    const [rows] = await execDb(
+      db,
+      `
+      SELECT COUNT(*) AS total
+      FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'forum_thread_subscriptions'
+        AND INDEX_NAME = 'uniq_user_kind_thread'
+    `,
+      [DB_NAME],
+      "init.forum_thread_subscriptions_kind_key_check"
+    );
+    const total = Number(rows?.[0]?.total || 0);
+    if (!total) {
+      await execDb(
+        db,
+        `
+        ALTER TABLE forum_thread_subscriptions
+        DROP INDEX uniq_user_thread,
+        ADD UNIQUE KEY uniq_user_kind_thread (user_id, watch_kind, thread_id)
+      `,
+        [],
+        "init.forum_thread_subscriptions_kind_key"
+      );
+    }
+  }
 
   await execDb(
     db,
@@ -667,6 +1014,10 @@ export async function initDb() {
       message_id VARCHAR(32),
       phrase TEXT,
       remind_at_ms BIGINT UNSIGNED NOT NULL,
+      recurrence_json TEXT,
+      fired_at_ms BIGINT UNSIGNED,
+      target_channel_id VARCHAR(32),
+      mention_role_id VARCHAR(32),
       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       PRIMARY KEY (id),
       KEY reminder_user_idx (user_id),
@@ -676,6 +1027,38 @@ export async function initDb() {
     [],
     "init.reminders"
   );
+  for (const [column, definition] of [
+    ["recurrence_json", "TEXT"],
+    ["fired_at_ms", "BIGINT UNSIGNED"],
+    ["target_channel_id", "VARCHAR(32)"],
+    ["mention_role_id", "VARCHAR(32)"],
+  ]) {
+    const { DB_NAME } = process.env;
+    const [rows] = await execDb(
+      db,
+      `
+      SELECT COUNT(*) AS total
+      FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'reminders'
+        AND COLUMN_NAME = ?
+    `,
+      [DB_NAME, column],
+      `init.reminders_${column}_check`
+    );
+    const total = Number(rows?.[0]?.total || 0);
+    if (!total) {
+      await execDb(
+        db,
+        `
+        ALTER TABLE reminders
+        ADD COLUMN ${column} ${definition}
+      `,
+        [],
+        `init.reminders_${column}`
+      );
+    }
+  }
 
   await execDb(
     db,
@@ -795,6 +1178,140 @@ export async function initDb() {
     [],
     "init.welcome_dms"
   );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS game_snapshots (
+      game_id VARCHAR(32) NOT NULL,
+      scope_key VARCHAR(64) NOT NULL,
+      guild_id VARCHAR(32) NOT NULL,
+      channel_id VARCHAR(32),
+      payload MEDIUMTEXT NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (game_id, scope_key),
+      KEY game_snapshots_guild_idx (guild_id)
+    )
+  `,
+    [],
+    "init.game_snapshots"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS game_results (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      match_id CHAR(36) NOT NULL,
+      guild_id VARCHAR(32) NOT NULL,
+      game_id VARCHAR(32) NOT NULL,
+      user_id VARCHAR(32) NOT NULL,
+      outcome VARCHAR(8) NOT NULL,
+      placement INT UNSIGNED,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY game_results_user_idx (guild_id, user_id, id),
+      KEY game_results_game_idx (guild_id, game_id, user_id)
+    )
+  `,
+    [],
+    "init.game_results"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS points_balances (
+      guild_id VARCHAR(32) NOT NULL,
+      user_id VARCHAR(32) NOT NULL,
+      balance BIGINT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (guild_id, user_id),
+      KEY points_balances_rank_idx (guild_id, balance)
+    )
+  `,
+    [],
+    "init.points_balances"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS points_ledger (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      guild_id VARCHAR(32) NOT NULL,
+      user_id VARCHAR(32) NOT NULL,
+      delta BIGINT NOT NULL,
+      balance_after BIGINT NOT NULL,
+      reason VARCHAR(32) NOT NULL,
+      source VARCHAR(64),
+      actor_id VARCHAR(32),
+      ref VARCHAR(128),
+      note VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY points_ledger_user_idx (guild_id, user_id, id)
+    )
+  `,
+    [],
+    "init.points_ledger"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS guild_settings (
+      guild_id VARCHAR(32) NOT NULL,
+      setting_key VARCHAR(64) NOT NULL,
+      value_json MEDIUMTEXT NOT NULL,
+      updated_by VARCHAR(64),
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (guild_id, setting_key)
+    )
+  `,
+    [],
+    "init.guild_settings"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS faq_feedback (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      guild_id VARCHAR(32) NOT NULL,
+      channel_id VARCHAR(32),
+      user_id VARCHAR(32) NOT NULL,
+      question TEXT NOT NULL,
+      locale VARCHAR(8),
+      method VARCHAR(32),
+      decision VARCHAR(16) NOT NULL,
+      answered_id VARCHAR(128),
+      candidates_json TEXT NOT NULL,
+      vote TINYINT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      voted_at TIMESTAMP NULL,
+      PRIMARY KEY (id),
+      KEY faq_feedback_vote_idx (guild_id, vote, id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `,
+    [],
+    "init.faq_feedback"
+  );
+
+  await execDb(
+    db,
+    `
+    CREATE TABLE IF NOT EXISTS faq_entry_overrides (
+      entry_id VARCHAR(128) NOT NULL,
+      entry_json MEDIUMTEXT,
+      updated_by VARCHAR(32),
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (entry_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `,
+    [],
+    "init.faq_entry_overrides"
+  );
 }
 
 /**
@@ -888,3 +1405,17 @@ export async function deleteUserText({ guildId, userId, kind }) {
     "deleteUserText"
   );
 }
+
+export async function listUserTexts({ guildId, kind }) {
+  const db = getDb();
+  const [rows] = await execDb(
+    db,
+    `SELECT user_id, text FROM user_texts WHERE guild_id = ? AND kind = ?`,
+    [String(guildId), String(kind)],
+    "listUserTexts"
+  );
+  return (rows || []).map((row) => ({
+    userId: String(row.user_id),
+    text: row.text ?? "",
+  }));
+}
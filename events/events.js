@@ -8,7 +8,7 @@ import { logger } from "../shared/logger.js";
 import { metrics } from "../shared/metrics.js";
 import { sendDm } from "../shared/dm.js";
 import { registerScheduler } from "../shared/scheduler_registry.js";
-import { RPG_EVENT_CHANNELS_BY_GUILD } from "../configs/rpg_event_channels.js";
+import { getSettingForAllGuilds } from "../shared/guild_settings.js";
 import { ADMIN_ANNOUNCEMENT_CHANNELS_BY_GUILD } from "../configs/admin_announcement_channels.js";
 import { RPG_EVENTS, RPG_EVENT_TIMEZONE, computeEventWindow, computeNextStart, startOfDayInZone } from "./rpg_events.js";
 import { loadSpecialDays, computeSpecialDayWindow } from "./special_days.js";
@@ -258,7 +258,7 @@ function buildEventMessage(event, start, end, { promo, now } = {}) {
 }
 
 function getDefaultPromoGuildId(client) {
-  const entries = Object.entries(RPG_EVENT_CHANNELS_BY_GUILD || {});
+  const entries = Object.entries(getSettingForAllGuilds("rpg_event_channels"));
   for (const [guildId] of entries) {
     if (client?.guilds?.cache?.has?.(String(guildId))) return String(guildId);
   }
@@ -278,7 +278,7 @@ function describeEventId(id) {
 
 function getAnnouncementChannels(client) {
   if (!client?.guilds?.cache?.get) return [];
-  const entries = Object.entries(RPG_EVENT_CHANNELS_BY_GUILD || {});
+  const entries = Object.entries(getSettingForAllGuilds("rpg_event_channels"));
   const output = [];
   for (const [guildId, channelIds] of entries) {
     const guild = client.guilds.cache.get(String(guildId));
@@ -2,9 +2,11 @@
 //
 // Discord Auction (MVP) — framework-aligned + safety fixes
 // - One auction per guild
-// - In-memory only
+// - In-memory, snapshotted to MySQL each transition (survives restarts)
 // - Private bids via buttons + modal
 // - Full summary on end
+// - Optional `points` mode: balances come from the points ledger and the
+//   winning bid is charged there (points-enabled guilds only)
 //
 // Safety fixes:
 // - Use TimerBag (state.timers) for round timers (no ghost timeouts after stop)
@@ -35,12 +37,32 @@ import {
   safeEditById,
   collectEntrantsByReactionsWithMax,
   assignContestRoleForEntrants,
+  checkPointsBalance,
+  isPointsEnabled,
   parseMentionIdsInOrder,
+  placementsFromScores,
+  recordGameResults,
+  stakePoints,
 } from "./framework.js";
 
 /* ============================== MANAGER ================================ */
 
-const manager = createGameManager({ id: "auction", prettyName: "Auction", scope: "guild" });
+const manager = createGameManager({
+  id: "auction",
+  prettyName: "Auction",
+  scope: "guild",
+  persist: {
+    fields: ["players", "activeItem", "bids", "roundEndsAtMs", "history", "hasAnyBid", "usePoints"],
+    messageIdField: "roundMessageId",
+    resume: async (auction, { channel, board }) => {
+      if (auction.activeItem) {
+        await board.update({ components: [buildBidRow(true, bidButtonLabel(auction))] });
+        armRoundTimer(auction, channel);
+      }
+      await channel.send("🔄 **Auction resumed** after a restart.");
+    },
+  },
+});
 
 /* ============================== TEXT =================================== */
 
@@ -51,6 +73,7 @@ function auctionHelpText() {
     "**Create / Join:**",
     "• `!auction join [seconds] [maxPlayers] [startMoney]`",
     "• `!auction join [startMoney] @user1 @user2 ...`",
+    "• Add `points` to either form to bid with real points balances (no start money).",
     "",
     "**Host Commands:**",
     "• `!auction start <item name> [roundSeconds]`",
@@ -75,6 +98,8 @@ function auctionRulesText() {
     "• Each player submits a private bid per item.",
     "• You may change your bid until the round ends.",
     "• Highest bid wins and pays that amount.",
+    "• In a points auction, bids are checked against your points balance and the winner is charged for real.",
+    "  If the top bidder can no longer pay, the next highest bid wins.",
     "• The host ends the auction to show a summary.",
   ].join("\n");
 }
@@ -118,8 +143,25 @@ function splitJoinInput(rest) {
   const remainder = String(rest ?? "").replace(/<@!?\d+>/g, " ");
   const tokens = remainder.trim().split(/\s+/).filter(Boolean);
   if (tokens[0]?.toLowerCase?.() === "join") tokens.shift();
-  const optionTokens = tokens;
-  return { mentionIds, optionTokens };
+  const usePoints = tokens.some((t) => t.toLowerCase() === "points");
+  const optionTokens = tokens.filter((t) => t.toLowerCase() !== "points");
+  return { mentionIds, optionTokens, usePoints };
+}
+
+// Starting balances: fixed start money, or each player's points balance.
+// Returns { ok: true, players } or { ok: false, errorText }.
+async function buildPlayers({ guildId, entrants, startMoney, usePoints }) {
+  const players = new Map();
+  for (const id of entrants) {
+    if (!usePoints) {
+      players.set(id, { balance: startMoney });
+      continue;
+    }
+    const res = await checkPointsBalance({ guildId, userId: id, amount: 0 });
+    if (!res.ok) return { ok: false, errorText: res.errorText };
+    players.set(id, { balance: res.balance });
+  }
+  return { ok: true, players };
 }
 
 /* ============================ ROUND LOGIC =============================== */
@@ -151,6 +193,13 @@ function clearRoundTimers(auction) {
   } catch {}
 }
 
+function armRoundTimer(auction, channel) {
+  if (!auction.roundEndsAtMs) return;
+  const ms = Math.max(0, auction.roundEndsAtMs - now());
+  // TimerBag-managed; auto-cleared on manager.stop()
+  auction.timers.setTimeout(() => endRound(auction, channel), ms);
+}
+
 async function endRound(auction, channel) {
   if (!auction) return;
   if (!channel?.send) return;
@@ -169,15 +218,37 @@ async function endRound(auction, channel) {
     auction.activeItem = null;
     auction.bids.clear();
     auction.hasAnyBid = false;
+    auction.roundEndsAtMs = null;
+    await manager.persist(auction);
     return;
   }
 
-  const winner = bids[0];
-  const winnerPlayer = auction.players.get(winner.uid);
+  let winner = bids[0];
+  let skippedLines = [];
+  if (auction.usePoints) {
+    const charged = await chargeWinningBid(auction, bids);
+    skippedLines = charged.skippedLines;
+    if (!charged.winner) {
+      const why = charged.errorText || "nobody could cover their bid";
+      await channel.send({
+        content: `⏹️ **${auction.activeItem} — not sold** (${why.replace(/^❌\s*/, "")}).`,
+        allowedMentions: { parse: [] },
+      });
+      auction.activeItem = null;
+      auction.bids.clear();
+      auction.hasAnyBid = false;
+      auction.roundEndsAtMs = null;
+      await manager.persist(auction);
+      return;
+    }
+    winner = charged.winner;
+  } else {
+    const winnerPlayer = auction.players.get(winner.uid);
 
-  // Defensive: if somehow winner isn’t in players map, treat as no-op
-  if (winnerPlayer) {
-    winnerPlayer.balance -= winner.amount;
+    // Defensive: if somehow winner isn’t in players map, treat as no-op
+    if (winnerPlayer) {
+      winnerPlayer.balance -= winner.amount;
+    }
   }
 
   auction.history.push({
@@ -188,13 +259,42 @@ async function endRound(auction, channel) {
 
   const bidLines = buildBidListLines(bids, winner.uid);
   const bidSummary = bidLines.length ? `Other bids:\n${bidLines.join("\n")}` : "Other bids: none.";
+  const skippedSummary = skippedLines.length ? `\nSkipped (couldn't pay):\n${skippedLines.join("\n")}` : "";
   await channel.send(
-    `🏆 **${auction.activeItem} sold!**\nWinner: <@${winner.uid}> — **${winner.amount}**\n${bidSummary}`
+    `🏆 **${auction.activeItem} sold!**\nWinner: <@${winner.uid}> — **${winner.amount}**\n${bidSummary}${skippedSummary}`
   );
 
   auction.activeItem = null;
   auction.bids.clear();
   auction.hasAnyBid = false;
+  auction.roundEndsAtMs = null;
+  await manager.persist(auction);
+}
+
+// Points mode: charge bids from the top until one clears. Balances can drop
+// between bidding and the round end, so a short bidder falls through to the next.
+// Returns { winner, skippedLines, errorText }.
+async function chargeWinningBid(auction, bids) {
+  const skippedLines = [];
+  for (const bid of bids) {
+    const res = await stakePoints({
+      game: "auction",
+      guildId: auction.guildId,
+      stakes: [{ userId: bid.uid, amount: bid.amount }],
+      reason: "purchase",
+      ref: `auction:${auction.activeItem}`,
+      capped: false,
+    });
+    if (res.ok) {
+      const player = auction.players.get(bid.uid);
+      if (player) player.balance = res.balances.get(String(bid.uid)) ?? player.balance - bid.amount;
+      return { winner: bid, skippedLines, errorText: null };
+    }
+    // No userId means the ledger itself failed; don't hand the item to someone else.
+    if (!res.userId) return { winner: null, skippedLines, errorText: res.errorText };
+    skippedLines.push(`<@${bid.uid}> — **${bid.amount}**`);
+  }
+  return { winner: null, skippedLines, errorText: null };
 }
 
 function renderStatus(auction) {
@@ -203,7 +303,7 @@ function renderStatus(auction) {
     .join("\n");
 
   let out =
-    `🪙 **Auction Status**\n` +
+    `🪙 **Auction Status**${auction.usePoints ? " (points)" : ""}\n` +
     `Host: <@${auction.hostId}>\n\n` +
     `Players (${auction.players.size}):\n${players}\n\n` +
     `Rounds completed: ${auction.history.length}\n`;
@@ -216,6 +316,19 @@ function renderStatus(auction) {
   return out;
 }
 
+// Placements by number of items won; nobody wins an auction where nothing sold.
+function recordAuctionResults(auction) {
+  const itemsWon = new Map();
+  for (const r of auction.history) itemsWon.set(r.winnerId, (itemsWon.get(r.winnerId) || 0) + 1);
+  const placements = placementsFromScores(itemsWon, [...auction.players.keys()]);
+  void recordGameResults({
+    game: "auction",
+    guildId: auction.guildId,
+    placements,
+    winnerIds: itemsWon.size ? placements[0] : [],
+  });
+}
+
 async function postSummary(channel, auction) {
   if (!channel?.send) return;
 
@@ -289,9 +402,17 @@ export function registerAuction(register) {
             return;
           }
 
-          const { mentionIds, optionTokens } = splitJoinInput(rest);
+          const { mentionIds, optionTokens, usePoints } = splitJoinInput(rest);
+          if (usePoints && !isPointsEnabled(guildId)) {
+            await message.reply("❌ Points aren't enabled in this server.");
+            return;
+          }
 
           if (mentionIds.length) {
+            if (usePoints && optionTokens.length) {
+              await message.reply("❌ Points auctions use each player's points balance — drop the start money.");
+              return;
+            }
             if (optionTokens.length > 1) {
               await message.reply("❌ Tag list supports an optional start money only.\nUsage: `!auction join [startMoney] @user1 @user2 ...`");
               return;
@@ -332,8 +453,12 @@ export function registerAuction(register) {
               return;
             }
 
-            const players = new Map();
-            for (const id of entrants) players.set(id, { balance: startMoney });
+            const built = await buildPlayers({ guildId, entrants, startMoney, usePoints });
+            if (!built.ok) {
+              await message.reply(built.errorText);
+              return;
+            }
+            const players = built.players;
 
             const res = manager.tryStart(
               { guildId },
@@ -346,8 +471,10 @@ export function registerAuction(register) {
                 activeItem: null,
                 bids: new Map(),
                 roundMessageId: null,
+                roundEndsAtMs: null,
                 history: [],
                 hasAnyBid: false,
+                usePoints,
               }
             );
 
@@ -359,8 +486,10 @@ export function registerAuction(register) {
             const { assignment } = await assignContestRoleForEntrants({ message }, entrants);
             if (assignment) res.state.contestRoleAssignment = assignment;
 
+            await manager.persist(res.state);
+
             await message.channel.send(
-              `✅ Auction created!\nPlayers: ${[...players.keys()].map((id) => `<@${id}>`).join(", ")}`
+              `✅ Auction created${usePoints ? " (bidding with points)" : ""}!\nPlayers: ${[...players.keys()].map((id) => `<@${id}>`).join(", ")}`
             );
             return;
           }
@@ -397,8 +526,12 @@ export function registerAuction(register) {
             await joinMsg.reactions.removeAll();
           } catch {}
 
-          const players = new Map();
-          for (const id of entrants) players.set(id, { balance: startMoney });
+          const built = await buildPlayers({ guildId, entrants, startMoney, usePoints });
+          if (!built.ok) {
+            await message.channel.send(built.errorText);
+            return;
+          }
+          const players = built.players;
 
           const res = manager.tryStart(
             { guildId },
@@ -411,8 +544,10 @@ export function registerAuction(register) {
                 activeItem: null,
                 bids: new Map(),
                 roundMessageId: null,
+                roundEndsAtMs: null,
                 history: [],
                 hasAnyBid: false,
+                usePoints,
               }
             );
 
@@ -424,8 +559,10 @@ export function registerAuction(register) {
           const { assignment } = await assignContestRoleForEntrants({ message }, entrants);
           if (assignment) res.state.contestRoleAssignment = assignment;
 
+          await manager.persist(res.state);
+
           await message.channel.send(
-            `✅ Auction created!\nPlayers: ${[...players.keys()].map((id) => `<@${id}>`).join(", ")}`
+            `✅ Auction created${usePoints ? " (bidding with points)" : ""}!\nPlayers: ${[...players.keys()].map((id) => `<@${id}>`).join(", ")}`
           );
           return;
         }
@@ -475,11 +612,9 @@ export function registerAuction(register) {
           });
 
           auction.roundMessageId = msg.id;
-
-          if (roundSeconds) {
-            // TimerBag-managed; auto-cleared on manager.stop()
-            auction.timers.setTimeout(() => endRound(auction, message.channel), roundSeconds * 1000);
-          }
+          auction.roundEndsAtMs = roundSeconds ? now() + roundSeconds * 1000 : null;
+          armRoundTimer(auction, message.channel);
+          await manager.persist(auction);
           return;
         }
 
@@ -511,6 +646,7 @@ export function registerAuction(register) {
           await disableRoundButtons(auction, message.channel);
 
           await postSummary(message.channel, auction);
+          recordAuctionResults(auction);
 
           manager.stop({ guildId });
           return;
@@ -558,7 +694,14 @@ export function registerAuction(register) {
       return;
     }
 
-    if (amount > player.balance) {
+    if (auction.usePoints) {
+      const check = await checkPointsBalance({ guildId: auction.guildId, userId: interaction.user.id, amount });
+      if (!check.ok) {
+        await interaction.reply({ flags: MessageFlags.Ephemeral, content: check.errorText });
+        return;
+      }
+      player.balance = check.balance;
+    } else if (amount > player.balance) {
       await interaction.reply({
         flags: MessageFlags.Ephemeral,
         content: "Insufficient balance for that bid.",
@@ -573,6 +716,7 @@ export function registerAuction(register) {
         components: [buildBidRow(true, bidButtonLabel(auction))],
       });
     }
+    await manager.persist(auction);
 
     await interaction.reply({
       flags: MessageFlags.Ephemeral,
@@ -592,6 +736,10 @@ export function registerAuction(register) {
   register.component("auction:balance", async ({ interaction }) => {
     const auction = manager.getState({ guildId: interaction.guildId });
     const p = auction?.players.get(interaction.user.id);
+    if (p && auction.usePoints) {
+      const check = await checkPointsBalance({ guildId: auction.guildId, userId: interaction.user.id, amount: 0 });
+      if (check.ok) p.balance = check.balance;
+    }
     await interaction.reply({
       flags: MessageFlags.Ephemeral,
       content: p ? `Balance: **${p.balance}**` : "Not in auction.",
@@ -3,21 +3,49 @@
 // Minimal Discord blackjack (public hands), one active game per guild.
 //
 // Commands:
-// - !blackjack @p1 @p2 ...   (tag-only, strict; rejects invalid input)
+// - !blackjack @p1 @p2 ... [bet=N]   (tag-only, strict; rejects invalid input)
 // - !hit                     (current player only)
 // - !stand                   (current player only)
 // - !bjstatus                (public status)
 // - !cancelblackjack         (admin or starter)
 //
 // Dealer rules: S17 (stand on all 17s, including soft 17)
-
-import { createGameManager, makeGameQoL, parseMentionIdsInOrder, requireSameChannel, shuffleInPlace, withGameSubcommands } from "./framework.js";
+//
+// Bets (points-enabled guilds only): tagged players confirm with a reaction,
+// stakes are taken from the points ledger, and settle pays 2x on a win,
+// 2.5x on a natural blackjack win and the stake back on a push.
+// Tables aren't persisted, so open stakes (and payouts the ledger rejected) are kept
+// in game_snapshots under PENDING_PAYOUTS_ID and paid on boot (settlePendingPayouts).
+
+import {
+  collectEntrantsByReactionsWithMax,
+  createGameManager,
+  formatPoints,
+  makeGameQoL,
+  notifyMatchResult,
+  parseMentionIdsInOrder,
+  payoutPoints,
+  recordGameResults,
+  requireSameChannel,
+  shuffleInPlace,
+  stakePoints,
+  validateStakeAmount,
+  withGameSubcommands,
+} from "./framework.js";
+import { deleteGameSnapshot, listGameSnapshots, saveGameSnapshot } from "./game_store.js";
+import { logger } from "../shared/logger.js";
 
 const manager = createGameManager({ id: "blackjack", prettyName: "Blackjack", scope: "guild" });
 
+const BET_CONFIRM_SECONDS = 30;
+const PENDING_PAYOUTS_ID = "blackjack_payouts";
+const PAYOUT_FAILED_TEXT = "⚠️ Couldn't reach the points ledger; these will be paid when the bot restarts.";
+const BETTING_TEXT = "⏳ Waiting for bets to be confirmed.";
+
 const BJ_HELP =
   "**Blackjack help** (Dealer: S17)\n" +
   "`!blackjack @p1 @p2 ...` — start round (tag-only)\n" +
+  "`!blackjack @p1 @p2 ... bet=N` — play for points (each player confirms their bet)\n" +
   "`!hit` — draw a card (current player)\n" +
   "`!stand` — stand (current player)\n" +
   "`!bjstatus` — show table status\n" +
@@ -179,6 +207,7 @@ function playerLine(p) {
 }
 
 function statusText(st, revealDealer = false) {
+  if (st.phase === "betting") return `${BETTING_TEXT}\n${st.players.map((p) => `<@${p.userId}>`).join(" ")}`;
   const lines = [];
   lines.push(revealDealer ? fullDealerLine(st) : dealerUpCardLine(st));
   lines.push("");
@@ -229,13 +258,310 @@ function settleGame(st) {
   return results;
 }
 
+function recordResults(guildId, results) {
+  const idsFor = (outcome) => results.filter((r) => r.outcome === outcome).map((r) => r.userId);
+  void recordGameResults({
+    game: "blackjack",
+    guildId,
+    winnerIds: idsFor("win"),
+    loserIds: idsFor("lose"),
+    drawIds: idsFor("push"),
+  });
+}
+
+/**
+ * Head-to-head winner for a settled table (tournament matches): better outcome
+ * first, then the higher non-busted total. Returns null when it's a dead heat.
+ */
+function headToHeadWinner(results) {
+  const rank = { win: 2, push: 1, lose: 0 };
+  const score = (r) => rank[r.outcome] * 100 + (r.pVal <= 21 ? r.pVal : 0) + (r.pBJ ? 1 : 0);
+  const sorted = [...(results || [])].sort((a, b) => score(b) - score(a));
+  if (sorted.length < 2 || score(sorted[0]) === score(sorted[1])) return null;
+  return sorted[0].userId;
+}
+
 async function endGame(message, guildId, reason, finalText) {
-  manager.stop({ guildId });
-  if (finalText) {
-    await message.channel.send(finalText);
-  } else {
-    await message.channel.send(`🏁 **Blackjack ended** (${reason}).`);
+  const st = manager.stop({ guildId });
+  const refunded = st && !st.settledResults ? await refundBets(st) : true;
+  try {
+    const text = finalText || `🏁 **Blackjack ended** (${reason}).`;
+    await message.channel.send(refunded ? text : `${text}\nBet refunds: ${PAYOUT_FAILED_TEXT}`);
+  } finally {
+    if (st?.settledResults) {
+      const winnerId = headToHeadWinner(st.settledResults);
+      notifyMatchResult(st, winnerId ? { winnerId } : { draw: true });
+    } else {
+      notifyMatchResult(st, { cancelled: true });
+    }
+  }
+}
+
+function resultLines(results) {
+  return results.map((r) => {
+    const emoji = r.outcome === "win" ? "✅" : r.outcome === "lose" ? "❌" : "➖";
+    const label = r.outcome === "win" ? "WIN" : r.outcome === "lose" ? "LOSE" : "PUSH";
+    return `${emoji} <@${r.userId}> — **${label}**`;
+  });
+}
+
+// ---------- Bets ----------
+
+/**
+ * Parse an optional `bet=N` token.
+ * Returns null (no bet), a positive integer, or NaN when the value is invalid.
+ */
+function parseBetToken(text) {
+  const m = /(?:^|\s)bet=(\S*)/i.exec(String(text || ""));
+  if (!m) return null;
+  const raw = m[1].replace(/,/g, "");
+  const n = /^\d+$/.test(raw) ? Number(raw) : NaN;
+  return Number.isSafeInteger(n) && n > 0 ? n : NaN;
+}
+
+function betPayout(bet, result) {
+  if (result.outcome === "win") return result.pBJ ? bet + Math.floor(bet * 1.5) : bet * 2;
+  if (result.outcome === "push") return bet;
+  return 0;
+}
+
+// Records what the table still owes (stakes to refund, or payouts to retry) until it's paid.
+async function savePendingPayouts(st, { payouts, reason }) {
+  try {
+    await saveGameSnapshot({
+      gameId: PENDING_PAYOUTS_ID,
+      scopeKey: st.betRef,
+      guildId: st.guildId,
+      channelId: st.channelId,
+      payload: JSON.stringify({ reason, payouts }),
+    });
+  } catch (err) {
+    logger.warn("blackjack.pending_payouts.save_failed", { ref: st.betRef, error: logger.serializeError(err) });
+  }
+}
+
+async function clearPendingPayouts(ref) {
+  try {
+    await deleteGameSnapshot({ gameId: PENDING_PAYOUTS_ID, scopeKey: ref });
+  } catch (err) {
+    logger.warn("blackjack.pending_payouts.clear_failed", { ref, error: logger.serializeError(err) });
+  }
+}
+
+// Returns false when the ledger rejected the payout; it's then kept for the boot retry.
+async function applyPayouts(st, payouts, reason) {
+  const ok = await payoutPoints({ game: "blackjack", guildId: st.guildId, payouts, reason, ref: st.betRef });
+  if (ok) await clearPendingPayouts(st.betRef);
+  else await savePendingPayouts(st, { payouts, reason });
+  return ok;
+}
+
+// Pays out every staked player and returns the lines for the results message.
+async function settleBets(st, results) {
+  if (!st.bet || !st.stakedIds?.length) return [];
+  const staked = new Set(st.stakedIds);
+  st.stakedIds = [];
+
+  const payouts = results
+    .filter((r) => staked.has(r.userId))
+    .map((r) => ({ userId: r.userId, amount: betPayout(st.bet, r) }));
+  const ok = await applyPayouts(st, payouts, "payout");
+
+  return [
+    "",
+    "**Payouts:**",
+    ...payouts.map(
+      (p) => `• <@${p.userId}> — ${p.amount ? `+${formatPoints(st.guildId, p.amount)}` : "lost the bet"}`
+    ),
+    ...(ok ? [] : [PAYOUT_FAILED_TEXT]),
+  ];
+}
+
+// Returns false when the refund failed (it's retried on boot).
+async function refundBets(st) {
+  if (!st?.bet || !st.stakedIds?.length) return true;
+  const payouts = st.stakedIds.map((userId) => ({ userId, amount: st.bet }));
+  st.stakedIds = [];
+  return applyPayouts(st, payouts, "refund");
+}
+
+/**
+ * Pays stakes and payouts left over from tables that ended with a restart or a ledger
+ * error (call once on boot). Returns the number of tables settled.
+ */
+export async function settlePendingPayouts(client = null) {
+  let rows;
+  try {
+    rows = await listGameSnapshots({ gameId: PENDING_PAYOUTS_ID });
+  } catch (err) {
+    logger.warn("blackjack.pending_payouts.load_failed", { error: logger.serializeError(err) });
+    return 0;
+  }
+
+  let settled = 0;
+  for (const row of rows) {
+    let pending;
+    try {
+      pending = JSON.parse(row.payload);
+    } catch {
+      await clearPendingPayouts(row.scopeKey);
+      continue;
+    }
+    const reason = pending?.reason === "payout" ? "payout" : "refund";
+    const payouts = Array.isArray(pending?.payouts) ? pending.payouts : [];
+    const ok = await payoutPoints({ game: "blackjack", guildId: row.guildId, payouts, reason, ref: row.scopeKey });
+    if (!ok) continue;
+    await clearPendingPayouts(row.scopeKey);
+    settled += 1;
+
+    const ids = payouts.filter((p) => Number(p.amount) > 0).map((p) => `<@${p.userId}>`);
+    if (!ids.length || !row.channelId || !client?.channels?.fetch) continue;
+    const what = reason === "payout" ? "payouts were paid out" : "bets were refunded";
+    try {
+      const channel = await client.channels.fetch(row.channelId);
+      await channel?.send?.({
+        content: `🃏 Blackjack ${what} after the restart: ${ids.join(" ")}`,
+        allowedMentions: { parse: [] },
+      });
+    } catch {}
+  }
+  return settled;
+}
+
+// Tagged players confirm with a reaction, then each confirmed player's stake
+// is taken on its own so one short balance doesn't sink the table.
+// Returns false when the table was cancelled or nobody placed a bet.
+async function collectBets(channel, st) {
+  const guildId = st.guildId;
+  const isLive = () => manager.getState({ guildId }) === st;
+
+  const { entrants } = await collectEntrantsByReactionsWithMax({
+    channel,
+    promptText:
+      `🃏 **Blackjack** — bet: **${formatPoints(guildId, st.bet)}** each.\n` +
+      `${st.players.map((p) => `<@${p.userId}>`).join(" ")} — react ✅ within ${BET_CONFIRM_SECONDS}s to place your bet.`,
+    durationMs: BET_CONFIRM_SECONDS * 1000,
+    maxEntrants: null,
+  });
+  if (!isLive()) return false;
+
+  const sittingOut = [];
+  for (const p of st.players) {
+    if (!entrants.has(p.userId)) {
+      sittingOut.push(`<@${p.userId}> — didn't confirm`);
+      continue;
+    }
+    const res = await stakePoints({
+      game: "blackjack",
+      guildId,
+      stakes: [{ userId: p.userId, amount: st.bet }],
+      ref: st.betRef,
+    });
+    if (res.ok) {
+      st.stakedIds.push(p.userId);
+      await savePendingPayouts(st, {
+        payouts: st.stakedIds.map((userId) => ({ userId, amount: st.bet })),
+        reason: "refund",
+      });
+    } else sittingOut.push(`<@${p.userId}> — ${res.userId ? "not enough points" : res.errorText.replace(/^❌\s*/, "")}`);
+  }
+
+  // Cancelled while stakes were being taken.
+  if (!isLive()) {
+    if (!(await refundBets(st))) await channel.send(`Bet refunds: ${PAYOUT_FAILED_TEXT}`);
+    return false;
+  }
+
+  const staked = new Set(st.stakedIds);
+  st.players = st.players.filter((p) => staked.has(p.userId));
+  if (sittingOut.length) {
+    await channel.send({ content: `⚠️ Sitting out:\n${sittingOut.join("\n")}`, allowedMentions: { parse: [] } });
+  }
+  if (!st.players.length) {
+    manager.stop({ guildId });
+    await channel.send("🏁 **Blackjack cancelled** — no bets were placed.");
+    return false;
+  }
+
+  st.phase = "playing";
+  return true;
+}
+
+// Initial deal; settles right away when every hand is a blackjack.
+// `message` only needs a channel (endGame posts through message.channel).
+async function dealAndAnnounce(message, st) {
+  const guildId = st.guildId;
+
+  // Deal initial cards: 2 each, then dealer 2
+  for (let round = 0; round < 2; round++) {
+    for (const p of st.players) p.hand.push(st.deck.pop());
   }
+  st.dealerHand.push(st.deck.pop());
+  st.dealerHand.push(st.deck.pop());
+
+  // Auto-mark player blackjacks
+  for (const p of st.players) {
+    if (isBlackjack(p.hand)) p.status = "blackjack";
+  }
+
+  // Set first active player
+  st.turnIndex = 0;
+  while (st.turnIndex < st.players.length && st.players[st.turnIndex].status !== "playing") {
+    st.turnIndex++;
+  }
+
+  // If everyone is done immediately (all blackjack), go straight to dealer reveal/settle
+  if (allPlayersDone(st)) {
+    const results = settleGame(st);
+    st.settledResults = results;
+    recordResults(guildId, results);
+    const lines = [];
+    lines.push("🃏 **Blackjack** — Initial deal complete.");
+    lines.push(statusText(st, true));
+    lines.push("");
+    lines.push("**Results:**");
+    lines.push(...resultLines(results));
+    lines.push(...(await settleBets(st, results)));
+    await endGame(message, guildId, "round complete", lines.join("\n"));
+    return;
+  }
+
+  await message.channel.send(
+    `🃏 **Blackjack started** (Dealer: **S17**)\n` +
+      `${dealerUpCardLine(st)}\n\n` +
+      st.players.map(playerLine).join("\n") +
+      `\n\nTurn: <@${currentPlayer(st).userId}>\n` +
+      `Use \`!hit\`, \`!stand\`, \`!bjstatus\`, or \`!cancelblackjack\`.`
+  );
+}
+
+/**
+ * Start a table without a command (used by tournaments).
+ * onResult receives { winnerId }, { draw: true } or { cancelled: true }.
+ */
+export async function startBlackjackMatch({ channel, guildId, hostId, playerIds, onResult }) {
+  const res = manager.tryStart(
+    { guildId },
+    {
+      guildId,
+      channelId: channel.id,
+      creatorId: hostId,
+      deck: buildDeck(),
+      players: playerIds.map((userId) => ({ userId, hand: [], status: "playing" })),
+      dealerHand: [],
+      turnIndex: 0,
+      onMatchResult: onResult || null,
+    }
+  );
+  if (!res.ok) return res;
+
+  try {
+    await dealAndAnnounce({ channel }, res.state);
+  } catch {
+    if (manager.getState({ guildId }) === res.state) manager.stop({ guildId });
+    return { ok: false, errorText: "❌ Could not deal the blackjack table." };
+  }
+  return res;
 }
 
 async function runDealerAndFinish(message, st) {
@@ -253,17 +579,16 @@ async function runDealerAndFinish(message, st) {
   }
 
   const results = settleGame(st);
+  st.settledResults = results;
+  recordResults(guildId, results);
 
   const lines = [];
   lines.push("🎴 **Dealer reveals**");
   lines.push(statusText(st, true));
   lines.push("");
   lines.push("**Results:**");
-  for (const r of results) {
-    const emoji = r.outcome === "win" ? "✅" : r.outcome === "lose" ? "❌" : "➖";
-    const label = r.outcome === "win" ? "WIN" : r.outcome === "lose" ? "LOSE" : "PUSH";
-    lines.push(`${emoji} <@${r.userId}> — **${label}**`);
-  }
+  lines.push(...resultLines(results));
+  lines.push(...(await settleBets(st, results)));
 
   await endGame(message, guildId, "round complete", lines.join("\n"));
 }
@@ -280,6 +605,10 @@ export function registerBlackjack(register) {
     renderStatus: (st) => statusText(st, false),
     manageDeniedText: "Nope — only admins or the blackjack starter can use that.",
     cancel: async (st, { message }) => {
+      if (st.phase === "betting") {
+        await endGame(message, message.guildId, "cancelled", "🏁 **Blackjack cancelled** before the deal.");
+        return;
+      }
       const finalText =
         `🏁 **Blackjack cancelled**.\n` +
         `${dealerUpCardLine(st)}\n\n` +
@@ -329,6 +658,15 @@ export function registerBlackjack(register) {
           return;
         }
 
+        const bet = parseBetToken(arg);
+        if (bet !== null) {
+          const check = validateStakeAmount({ guildId, amount: bet });
+          if (!check.ok) {
+            await message.reply(check.errorText);
+            return;
+          }
+        }
+
         // Resolve mentioned users from Discord message mentions.
         // Enforce strictness: every id must exist in mentions.users.
         const mentionedUsers = message.mentions?.users;
@@ -373,6 +711,10 @@ export function registerBlackjack(register) {
             players,
             dealerHand: [],
             turnIndex: 0,
+            phase: bet ? "betting" : "playing",
+            bet: bet || 0,
+            betRef: bet ? `blackjack:${message.id}` : null,
+            stakedIds: [],
           }
         );
         if (!res.ok) {
@@ -381,50 +723,8 @@ export function registerBlackjack(register) {
           return;
         }
 
-        const st = res.state;
-
-        // Deal initial cards: 2 each, then dealer 2
-        for (let round = 0; round < 2; round++) {
-          for (const p of st.players) p.hand.push(st.deck.pop());
-        }
-        st.dealerHand.push(st.deck.pop());
-        st.dealerHand.push(st.deck.pop());
-
-        // Auto-mark player blackjacks
-        for (const p of st.players) {
-          if (isBlackjack(p.hand)) p.status = "blackjack";
-        }
-
-        // Set first active player
-        st.turnIndex = 0;
-        while (st.turnIndex < st.players.length && st.players[st.turnIndex].status !== "playing") {
-          st.turnIndex++;
-        }
-
-        // If everyone is done immediately (all blackjack), go straight to dealer reveal/settle
-        if (allPlayersDone(st)) {
-          const results = settleGame(st);
-          const lines = [];
-          lines.push("🃏 **Blackjack** — Initial deal complete.");
-          lines.push(statusText(st, true));
-          lines.push("");
-          lines.push("**Results:**");
-          for (const r of results) {
-            const emoji = r.outcome === "win" ? "✅" : r.outcome === "lose" ? "❌" : "➖";
-            const label = r.outcome === "win" ? "WIN" : r.outcome === "lose" ? "LOSE" : "PUSH";
-            lines.push(`${emoji} <@${r.userId}> — **${label}**`);
-          }
-          await endGame(message, guildId, "round complete", lines.join("\n"));
-          return;
-        }
-
-        await message.channel.send(
-          `🃏 **Blackjack started** (Dealer: **S17**)\n` +
-            `${dealerUpCardLine(st)}\n\n` +
-            st.players.map(playerLine).join("\n") +
-            `\n\nTurn: <@${currentPlayer(st).userId}>\n` +
-            `Use \`!hit\`, \`!stand\`, \`!bjstatus\`, or \`!cancelblackjack\`.`
-        );
+        if (bet && !(await collectBets(message.channel, res.state))) return;
+        await dealAndAnnounce(message, res.state);
       },
     }),
     "!blackjack @p1 @p2 ... — starts a blackjack round (tag-only, in order)",
@@ -454,6 +754,7 @@ export function registerBlackjack(register) {
       if (!st) return void (await message.reply("No active blackjack game in this server."));
 
       if (!(await requireSameChannel({ message }, st, manager))) return;
+      if (st.phase === "betting") return void (await message.reply(BETTING_TEXT));
 
       const cp = currentPlayer(st);
       if (!cp) {
@@ -514,6 +815,7 @@ export function registerBlackjack(register) {
       if (!st) return void (await message.reply("No active blackjack game in this server."));
 
       if (!(await requireSameChannel({ message }, st, manager))) return;
+      if (st.phase === "betting") return void (await message.reply(BETTING_TEXT));
 
       const cp = currentPlayer(st);
       if (!cp) {
@@ -553,4 +855,9 @@ export const __testables = {
   bestTotal,
   fmtTotals,
   isBlackjack,
+  headToHeadWinner,
+  parseBetToken,
+  betPayout,
+  settleBets,
+  refundBets,
 };
@@ -17,6 +17,7 @@ import {
   createGameManager,
   makeGameQoL,
   mention,
+  recordGameResults,
   reply,
   requireCanManage,
   requireSameChannel,
@@ -135,6 +136,13 @@ async function endWithWinner(st, reason, channelOverride = null) {
   }
 
   const b = st.best;
+  void recordGameResults({
+    game: "closest_roll_wins",
+    guildId: st.guildId,
+    winnerIds: [b.userId],
+    loserIds: [...(st.rollerIds || [])],
+  });
+
   await sendToGameChannel(
     st,
     `🏁 **ClosestRoll ended** (${reason}).\n` +
@@ -181,6 +189,7 @@ export async function onAwesomeRoll(message, roll) {
 
   const diff = Math.abs(roll - st.target);
   const now = Date.now();
+  st.rollerIds?.add(message.author.id);
 
   if (!st.best || diff < st.best.diff) {
     st.best = { userId: message.author.id, roll, diff, atMs: now };
@@ -233,6 +242,7 @@ export function registerClosestRollWins(register) {
         target: null,
         endsAtMs: null,
         best: null,
+        rollerIds: new Set(),
       }
     );
 
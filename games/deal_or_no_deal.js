@@ -48,6 +48,7 @@ import {
   requireActive,
   requireSameChannel,
   requireCanManage,
+  recordGameResults,
   mention,
   channelMention,
   nowMs,
@@ -67,6 +68,12 @@ function normalizePrizeLine(line) {
   return s;
 }
 
+// The contestant wins by taking a deal or by keeping a box that isn't empty.
+function contestantWon(game) {
+  if (game.dealTaken) return true;
+  return game.boxes?.[game.keptIndex]?.prize !== "(empty)";
+}
+
 function parsePrizesFromLines(raw, n) {
   const text = String(raw ?? "");
   const lines = text.split(/\r?\n/);
@@ -232,7 +239,24 @@ export function registerDealOrNoDeal(register) {
   const id = "dond";
   const prettyName = "Deal or No Deal";
 
-  const manager = createGameManager({ id, prettyName, scope: "guild" });
+  const manager = createGameManager({
+    id,
+    prettyName,
+    scope: "guild",
+    persist: {
+      fields: ["contestantId", "n", "boxes", "keptIndex", "phase", "dealTaken"],
+      messageIdField: "messageId",
+      resume: async (game, { channel, board }) => {
+        const payload = { content: boardText(game), components: buildKeepButtons(game) };
+        // Re-attach to the existing board; repost if it was deleted while offline.
+        if (!(await board.update(payload))) {
+          await board.post(channel, payload);
+          await manager.persist(game);
+        }
+        await channel.send(`🔄 **${prettyName}** resumed after a restart.`);
+      },
+    },
+  });
 
   function getBoard(game) {
     // We use framework board helper; message id field is "messageId"
@@ -245,6 +269,7 @@ export function registerDealOrNoDeal(register) {
       content: boardText(game),
       components: buildKeepButtons(game, { disabled: disable }),
     });
+    if (!disable) await manager.persist(game);
   }
 
   async function finalizeGame(game, { message = null, channel = null, mode = "ended", dealTaken = false } = {}) {
@@ -260,6 +285,16 @@ export function registerDealOrNoDeal(register) {
     // Clear active state
     manager.stop({ guildId: game.guildId });
 
+    if (mode !== "cancelled") {
+      const won = contestantWon(game);
+      void recordGameResults({
+        game: "deal_or_no_deal",
+        guildId: game.guildId,
+        winnerIds: won ? [game.contestantId] : [],
+        loserIds: won ? [] : [game.contestantId],
+      });
+    }
+
     const ch = channel || (message ? message.channel : null);
     if (!ch?.send) return;
 
@@ -424,6 +459,8 @@ export function registerDealOrNoDeal(register) {
       return;
     }
 
+    await manager.persist(game);
+
     await interaction.reply({
       flags: MessageFlags.Ephemeral,
       content:
@@ -740,6 +777,7 @@ export function registerDealOrNoDeal(register) {
 }
 
 export const __testables = {
+  contestantWon,
   normalizePrizeLine,
   parsePrizesFromLines,
   unopenedIndices,
@@ -40,6 +40,7 @@ import {
   shuffleInPlace,
   collectEntrantsByReactionsWithMax,
   assignContestRoleForEntrants,
+  recordGameResults,
 } from "./framework.js";
 import { validateJoinAndMaxForMode } from "./helpers.js";
 
@@ -334,6 +335,16 @@ async function promptTurn(channel, manager, game) {
   }, game.turnSkip * 1000);
 }
 
+function recordResults(game, { winnerIds = [], drawIds = [] } = {}) {
+  void recordGameResults({
+    game: "exploding_electrode",
+    guildId: game.guildId,
+    winnerIds,
+    drawIds,
+    loserIds: game.players,
+  });
+}
+
 async function finalizeIfNeeded(channel, manager, game) {
   if (game.bag.length > 0) return;
 
@@ -346,6 +357,7 @@ async function finalizeIfNeeded(channel, manager, game) {
         `🎒 The bag is empty! Everyone still standing wins:\n` + survivors.map((id) => `🏆 ${mention(id)}`).join("\n")
       );
     }
+    recordResults(game, { winnerIds: survivors });
     manager.stop({ guildId: game.guildId });
     return;
   }
@@ -359,6 +371,9 @@ async function finalizeIfNeeded(channel, manager, game) {
     await channel.send("🏁 The bag is empty… and nobody is left standing. 💀");
   }
 
+  // mode=last: a single survivor wins; several survivors share a draw
+  if (alive.length === 1) recordResults(game, { winnerIds: alive });
+  else recordResults(game, { drawIds: alive });
   manager.stop({ guildId: game.guildId });
 }
 
@@ -402,6 +417,7 @@ async function resolvePick(channel, manager, game, pickerId) {
       } else {
         await channel.send("🏁 Everyone exploded… nobody wins. Team Rocket laughs in the distance. 🚀");
       }
+      recordResults(game, { winnerIds: winnerId ? [winnerId] : [] });
       manager.stop({ guildId: game.guildId });
       return;
     }
@@ -676,7 +692,7 @@ export function registerExplodingElectrode(register) {
       await message.channel.send("🧯 Exploding Electrode game ended early.");
     },
     "!endelectrode — force-end Exploding Electrode (admin)",
-    { admin: true, hideFromHelp: true, aliases: ["!stopelectrode"] }
+    { admin: true, tier: "host", hideFromHelp: true, aliases: ["!stopelectrode"] }
   );
 }
 
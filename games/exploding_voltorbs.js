@@ -20,6 +20,7 @@ import {
   createGameManager,
   withGameSubcommands,
   assignContestRoleForEntrants,
+  recordGameResults,
   scheduleRoundCooldown,
 } from "./framework.js";
 import { getMentionedUsers, parseMentionToken, registerHelpAndRules } from "./helpers.js";
@@ -172,6 +173,14 @@ function scheduleExplosion(game) {
       const ended = endGame(live.guildId);
       if (!ended) return;
 
+      // First boom loses; everyone else survives the round
+      void recordGameResults({
+        game: "exploding_voltorbs",
+        guildId: ended.guildId,
+        winnerIds: [...ended.allowedIds].filter((id) => id !== blownId),
+        loserIds: [blownId],
+      });
+
       await sendToStartChannel(
         ended,
         `💥 **BOOM!** <@${blownId}> was holding the Voltorb and got blown up!\n\n` +
@@ -189,6 +198,13 @@ function scheduleExplosion(game) {
       const ended = endGame(live.guildId);
       if (!ended) return;
 
+      void recordGameResults({
+        game: "exploding_voltorbs",
+        guildId: ended.guildId,
+        winnerIds: winnerId ? [winnerId] : [],
+        loserIds: [...ended.allowedIds],
+      });
+
       if (winnerId) {
         await sendToStartChannel(
           ended,
@@ -627,6 +643,7 @@ export function registerExplodingVoltorbs(register) {
     "!endvoltorb — force-end Exploding Voltorbs (admin)",
     {
       admin: true,
+      tier: "admin",
       hideFromHelp: true,
       aliases: ["!stopvoltorb", "!cancelvoltorb", "!endev", "!stopev", "!cancelev"],
     }
@@ -4,16 +4,34 @@
 // Composition-first: games opt into pieces instead of inheriting a base class.
 //
 // Core ideas:
-// - Game state is kept in memory via createGameManager (guild/global scope).
+// - Game state is kept in memory via createGameManager (guild/global scope),
+//   optionally snapshotted to MySQL so games survive a restart (persist option).
 // - Timers should be owned by TimerBag so manager.stop() is always safe.
+// - Games that take bets stake/pay out through stakePoints/payoutPoints (points ledger).
 // - Helpers keep command UX consistent (help/rules/status, permission checks, etc.).
 
 import { MessageFlags, PermissionsBitField } from "discord.js";
-import { isAdminOrPrivileged } from "../auth.js";
-import { CONTEST_ROLES_BY_GUILD } from "../configs/contest_roles.js";
+import { hasPermissionTier } from "../auth.js";
+import { getGuildSetting } from "../shared/guild_settings.js";
 import { parseMentionIdsInOrder as parseMentionIdsInOrderShared } from "../shared/mentions.js";
 import { parseDurationSeconds, formatDurationSeconds } from "../shared/time_utils.js";
 import { startTimeout, startInterval, clearTimer } from "../shared/timer_utils.js";
+import { logger } from "../shared/logger.js";
+import { randomUUID } from "node:crypto";
+import {
+  saveGameSnapshot,
+  deleteGameSnapshot,
+  listGameSnapshots,
+  insertGameResults,
+} from "./game_store.js";
+import {
+  applyPointsChanges,
+  formatPoints,
+  getPointsBalance,
+  isPointsEnabled,
+  isValidPointsAmount,
+  pointsConfigFor,
+} from "../shared/points_ledger.js";
 
 /* --------------------------------- basics -------------------------------- */
 
@@ -26,7 +44,7 @@ export function channelMention(channelId) {
 }
 
 function contestRoleConfigFor({ guildId, channelId, applyTo }) {
-  const g = CONTEST_ROLES_BY_GUILD?.[String(guildId || "")];
+  const g = getGuildSetting(guildId, "contest_roles");
   const cfg = g?.[String(channelId || "")];
   if (!cfg?.roleId) return null;
   const apply = Array.isArray(cfg.applyTo) ? cfg.applyTo : [];
@@ -162,7 +180,7 @@ export function clampInt(n, lo, hi) {
 
 /** Expose auth check so games can avoid importing auth.js directly */
 export function isAdminOrPrivilegedMessage(message) {
-  return Boolean(isAdminOrPrivileged(message));
+  return Boolean(hasPermissionTier(message, "admin"));
 }
 
 /* ------------------------------ durations -------------------------------- */
@@ -282,8 +300,8 @@ export function isAdminish(member) {
  * Canonical "can manage this game" for any ctx.
  *
  * - owner always allowed
- * - message ctx: uses isAdminOrPrivileged(message)
- * - interaction ctx: uses isAdminOrPrivileged(message-like), else Admin/ManageGuild
+ * - message ctx: host tier or above (hasPermissionTier)
+ * - interaction ctx: host tier or above (message-like), else Admin/ManageGuild
  */
 export function canManageCtx(ctx, state, ownerField = "creatorId") {
   if (!state) return false;
@@ -295,12 +313,12 @@ export function canManageCtx(ctx, state, ownerField = "creatorId") {
   const userId = message?.author?.id || interaction?.user?.id;
   if (ownerId && userId && ownerId === userId) return true;
 
-  if (message) return Boolean(isAdminOrPrivileged(message));
+  if (message) return Boolean(hasPermissionTier(message, "host"));
 
   const messageLike = interaction
     ? { guildId: interaction.guildId, member: interaction.member, author: interaction.user }
     : null;
-  if (messageLike && isAdminOrPrivileged(messageLike)) return true;
+  if (messageLike && hasPermissionTier(messageLike, "host")) return true;
 
   const member = interaction?.member;
   return isAdminish(member);
@@ -523,6 +541,253 @@ export async function guardBoardInteraction(
   return { state: st, board: createBoard(st, { messageIdField }) };
 }
 
+/* ------------------------------- results hook ------------------------------ */
+
+const OUTCOME_RANK = { win: 3, draw: 2, loss: 1 };
+
+/**
+ * Group players into best-first placements by score (ties share a placement).
+ * scores: Map<userId, number>; players missing from the map score 0.
+ */
+export function placementsFromScores(scores, playerIds = []) {
+  const ids = new Set([...(playerIds || []), ...(scores?.keys?.() || [])]);
+  const byScore = new Map();
+  for (const id of ids) {
+    const score = Number(scores?.get?.(id)) || 0;
+    if (!byScore.has(score)) byScore.set(score, []);
+    byScore.get(score).push(id);
+  }
+  return [...byScore.entries()].sort((a, b) => b[0] - a[0]).map(([, group]) => group);
+}
+
+/**
+ * Build per-player result rows from winners/losers/draws/placements.
+ * placements: best-first list of userIds (or arrays of tied userIds); when
+ * winnerIds is omitted, first place wins and everyone else placed loses.
+ */
+export function buildGameResultRows({ winnerIds = null, loserIds = [], drawIds = [], placements = null } = {}) {
+  const rows = new Map(); // userId -> { userId, outcome, placement }
+
+  function upsert(userId, patch) {
+    const id = String(userId || "").trim();
+    if (!id) return;
+    const cur = rows.get(id) || { userId: id, outcome: "loss", placement: null };
+    if (patch.outcome && OUTCOME_RANK[patch.outcome] > OUTCOME_RANK[cur.outcome]) cur.outcome = patch.outcome;
+    if (patch.placement != null && cur.placement == null) cur.placement = patch.placement;
+    rows.set(id, cur);
+  }
+
+  const placed = Array.isArray(placements) ? placements : [];
+  placed.forEach((entry, i) => {
+    for (const id of Array.isArray(entry) ? entry : [entry]) upsert(id, { placement: i + 1 });
+  });
+
+  let winners = Array.from(winnerIds || []);
+  if (winnerIds == null && placed.length) {
+    winners = Array.isArray(placed[0]) ? placed[0] : [placed[0]];
+  }
+
+  for (const id of loserIds || []) upsert(id, { outcome: "loss" });
+  for (const id of drawIds || []) upsert(id, { outcome: "draw" });
+  for (const id of winners) upsert(id, { outcome: "win" });
+
+  return Array.from(rows.values());
+}
+
+/**
+ * Shared end-of-game results hook (feeds !gamestats). Call once per finished game.
+ * Best-effort: failures are logged, never thrown.
+ */
+export async function recordGameResults({ game, guildId, ...outcome } = {}) {
+  if (!game || !guildId) return false;
+  const rows = buildGameResultRows(outcome);
+  if (!rows.length) return false;
+
+  try {
+    await insertGameResults({ matchId: randomUUID(), guildId, gameId: game, rows });
+    return true;
+  } catch (err) {
+    logger.warn("games.results.save_failed", { game, error: logger.serializeError(err) });
+    return false;
+  }
+}
+
+/**
+ * Match hook for games started by a runner (e.g. tournaments): the runner puts
+ * a callback on state.onMatchResult and the game calls this once it is over,
+ * after manager.stop(). The callback fires at most once.
+ */
+export function notifyMatchResult(state, result) {
+  const fn = state?.onMatchResult;
+  if (typeof fn !== "function") return false;
+  state.onMatchResult = null;
+  try {
+    fn(result);
+  } catch (err) {
+    logger.warn("games.match_result.callback_failed", { error: logger.serializeError(err) });
+  }
+  return true;
+}
+
+/* ---------------------------------- points --------------------------------- */
+
+export { formatPoints, isPointsEnabled };
+
+const POINTS_DISABLED_TEXT = "❌ Points aren't enabled in this server.";
+const POINTS_UNAVAILABLE_TEXT = "❌ Could not reach the points ledger. Please try again later.";
+
+/**
+ * Validate a bet/stake before collecting it (points enabled, whole number, under maxStake).
+ * Returns { ok, errorText }.
+ */
+export function validateStakeAmount({ guildId, amount, capped = true } = {}) {
+  const cfg = pointsConfigFor(guildId);
+  if (!cfg) return { ok: false, errorText: POINTS_DISABLED_TEXT };
+  if (!isValidPointsAmount(amount)) return { ok: false, errorText: "❌ Amounts must be positive whole numbers." };
+  if (capped && amount > cfg.maxStake) {
+    return { ok: false, errorText: `❌ The max stake here is ${formatPoints(guildId, cfg.maxStake)}.` };
+  }
+  return { ok: true, errorText: null };
+}
+
+/**
+ * Take stakes from point balances in one transaction (all or nothing).
+ * stakes: [{ userId, amount }]; capped stakes must not exceed the guild's maxStake.
+ * Returns { ok: true, balances } or { ok: false, errorText, userId }. Never throws.
+ */
+export async function stakePoints({ game, guildId, stakes, reason = "stake", ref = null, capped = true } = {}) {
+  if (!pointsConfigFor(guildId)) return { ok: false, errorText: POINTS_DISABLED_TEXT };
+
+  const list = (stakes || []).filter((s) => s?.userId);
+  for (const s of list) {
+    const check = validateStakeAmount({ guildId, amount: s.amount, capped });
+    if (!check.ok) return check;
+  }
+
+  try {
+    const res = await applyPointsChanges({
+      guildId,
+      changes: list.map((s) => ({ userId: s.userId, delta: -s.amount })),
+      reason,
+      source: game,
+      ref,
+    });
+    if (!res.ok) {
+      return {
+        ok: false,
+        userId: res.userId,
+        errorText: `❌ ${mention(res.userId)} only has ${formatPoints(guildId, res.balance)}.`,
+      };
+    }
+    return { ok: true, balances: res.balances };
+  } catch (err) {
+    logger.warn("games.points.stake_failed", { game, error: logger.serializeError(err) });
+    return { ok: false, errorText: POINTS_UNAVAILABLE_TEXT };
+  }
+}
+
+/**
+ * Pay out (or refund) points; zero amounts are skipped.
+ * Best-effort: failures are logged, never thrown.
+ */
+export async function payoutPoints({ game, guildId, payouts, reason = "payout", ref = null } = {}) {
+  if (!pointsConfigFor(guildId)) return false;
+  const changes = (payouts || [])
+    .filter((p) => p?.userId && Number(p.amount) > 0)
+    .map((p) => ({ userId: p.userId, delta: Number(p.amount) }));
+  if (!changes.length) return true;
+
+  try {
+    await applyPointsChanges({ guildId, changes, reason, source: game, ref });
+    return true;
+  } catch (err) {
+    logger.warn("games.points.payout_failed", { game, reason, error: logger.serializeError(err) });
+    return false;
+  }
+}
+
+/**
+ * Balance check for bids / entry requirements (nothing is reserved).
+ * Returns { ok, balance, errorText }.
+ */
+export async function checkPointsBalance({ guildId, userId, amount } = {}) {
+  if (!pointsConfigFor(guildId)) return { ok: false, balance: 0, errorText: POINTS_DISABLED_TEXT };
+  try {
+    const balance = await getPointsBalance({ guildId, userId });
+    if (balance < Number(amount || 0)) {
+      return { ok: false, balance, errorText: `❌ You only have ${formatPoints(guildId, balance)}.` };
+    }
+    return { ok: true, balance, errorText: null };
+  } catch (err) {
+    logger.warn("games.points.balance_failed", { error: logger.serializeError(err) });
+    return { ok: false, balance: 0, errorText: POINTS_UNAVAILABLE_TEXT };
+  }
+}
+
+/* ------------------------------- persistence ------------------------------- */
+
+// Fields every persisted game gets for free; games list the rest via persist.fields.
+const BASE_PERSIST_FIELDS = [
+  "kind",
+  "guildId",
+  "channelId",
+  "creatorId",
+  "hostId",
+  "createdAtMs",
+  "contestRoleAssignment",
+];
+
+const persistentManagers = new Set();
+
+function snapshotReplacer(_key, value) {
+  if (value instanceof Map) return { __map: Array.from(value.entries()) };
+  if (value instanceof Set) return { __set: Array.from(value.values()) };
+  return value;
+}
+
+function snapshotReviver(_key, value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if (Array.isArray(value.__map)) return new Map(value.__map);
+    if (Array.isArray(value.__set)) return new Set(value.__set);
+  }
+  return value;
+}
+
+export function encodeGameSnapshot(state, fields = []) {
+  const out = {};
+  for (const f of new Set([...BASE_PERSIST_FIELDS, ...fields])) {
+    if (state?.[f] !== undefined) out[f] = state[f];
+  }
+  return JSON.stringify(out, snapshotReplacer);
+}
+
+export function decodeGameSnapshot(payload) {
+  return JSON.parse(String(payload ?? ""), snapshotReviver);
+}
+
+async function fetchChannel(client, channelId) {
+  if (!client || !channelId) return null;
+  const cached = client.channels?.cache?.get?.(channelId) || null;
+  if (cached) return cached;
+  try {
+    return await client.channels.fetch(channelId);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rehydrate every persisted game (call once on boot).
+ * Returns the number of games resumed.
+ */
+export async function rehydrateGames(client) {
+  let resumed = 0;
+  for (const manager of persistentManagers) {
+    resumed += await manager.rehydrate(client);
+  }
+  return resumed;
+}
+
 /* ------------------------------ game manager ------------------------------ */
 
 /**
@@ -534,9 +799,18 @@ export async function guardBoardInteraction(
  *
  * Expect state to include: guildId, channelId, creatorId, client (when needed),
  * and timers (TimerBag) for safe cleanup.
+ *
+ * Persistence (opt-in): pass persist = { fields, messageIdField, resume }.
+ * - fields: state keys to snapshot (Maps/Sets are supported) on top of the base fields
+ * - manager.persist(state) snapshots to MySQL; call it at each turn/transition
+ * - on boot, rehydrateGames(client) restores state (fresh client + TimerBag) and
+ *   calls resume(state, { client, channel, board }) so the game can re-arm timers
+ *   and re-attach to its board message
  */
-export function createGameManager({ id, prettyName, scope = "guild" } = {}) {
+export function createGameManager({ id, prettyName, scope = "guild", persist = null } = {}) {
   const label = prettyName || id || "game";
+  const persistFields = Array.isArray(persist?.fields) ? persist.fields : [];
+  const persistMessageIdField = persist?.messageIdField || "messageId";
 
   const globalSlot = { state: null };
   const perGuild = new Map(); // guildId -> state
@@ -613,16 +887,111 @@ export function createGameManager({ id, prettyName, scope = "guild" } = {}) {
     }
     if (st?.timers?.clearAll) st.timers.clearAll();
     clearState(ctx);
+    if (st && persist) void dropSnapshot(scopeKeyFor(st));
     return st;
   }
 
+  function scopeKeyFor(state) {
+    return scope === "global" ? "__global__" : String(state?.guildId || "");
+  }
+
+  async function dropSnapshot(scopeKey) {
+    if (!scopeKey) return;
+    try {
+      await deleteGameSnapshot({ gameId: id, scopeKey });
+    } catch (err) {
+      logger.warn("games.persist.delete_failed", { game: id, error: logger.serializeError(err) });
+    }
+  }
+
+  /**
+   * Snapshot the live state. Best-effort: failures are logged, never thrown.
+   * Ignored for states that are no longer active (late writes after stop).
+   */
+  async function persistState(state) {
+    if (!persist || !state) return false;
+    if (getState({ guildId: state.guildId }) !== state) return false;
+
+    const stateFields = persistFields.includes(persistMessageIdField)
+      ? persistFields
+      : [...persistFields, persistMessageIdField];
+
+    try {
+      await saveGameSnapshot({
+        gameId: id,
+        scopeKey: scopeKeyFor(state),
+        guildId: state.guildId,
+        channelId: state.channelId,
+        payload: encodeGameSnapshot(state, stateFields),
+      });
+      // The game may have ended while the write was in flight.
+      if (getState({ guildId: state.guildId }) !== state) {
+        await dropSnapshot(scopeKeyFor(state));
+        return false;
+      }
+      return true;
+    } catch (err) {
+      logger.warn("games.persist.save_failed", { game: id, error: logger.serializeError(err) });
+      return false;
+    }
+  }
+
+  async function rehydrate(client) {
+    if (!persist) return 0;
+
+    let rows = [];
+    try {
+      rows = await listGameSnapshots({ gameId: id });
+    } catch (err) {
+      logger.warn("games.persist.load_failed", { game: id, error: logger.serializeError(err) });
+      return 0;
+    }
+
+    let resumed = 0;
+    for (const row of rows) {
+      let st = null;
+      try {
+        st = { ...decodeGameSnapshot(row.payload), client, timers: new TimerBag() };
+      } catch (err) {
+        logger.warn("games.persist.decode_failed", { game: id, error: logger.serializeError(err) });
+        await dropSnapshot(row.scopeKey);
+        continue;
+      }
+
+      const ctx = { guildId: st.guildId };
+      if (getState(ctx)) continue;
+
+      const channel = await fetchChannel(client, st.channelId);
+      if (!channel) {
+        await dropSnapshot(row.scopeKey);
+        continue;
+      }
+
+      setState(ctx, st);
+      try {
+        if (typeof persist.resume === "function") {
+          await persist.resume(st, {
+            client,
+            channel,
+            board: createBoard(st, { messageIdField: persistMessageIdField }),
+          });
+        }
+        resumed += 1;
+      } catch (err) {
+        logger.warn("games.persist.resume_failed", { game: id, error: logger.serializeError(err) });
+        if (getState(ctx) === st) stop(ctx);
+      }
+    }
+    return resumed;
+  }
+
   function isSameChannel(ctx, state) {
     const channelId = ctx?.channelId || ctx?.message?.channelId || ctx?.interaction?.channelId;
     if (!state?.channelId) return true;
     return state.channelId === channelId;
   }
 
-  return {
+  const manager = {
     id,
     label,
     scope,
@@ -635,7 +1004,12 @@ export function createGameManager({ id, prettyName, scope = "guild" } = {}) {
     isSameChannel,
     alreadyRunningText,
     noActiveText,
+    persist: persistState,
+    rehydrate,
   };
+
+  if (persist) persistentManagers.add(manager);
+  return manager;
 }
 
 /* ----------------------------- common guardrails ---------------------------- */
@@ -0,0 +1,233 @@
+// games/game_stats.js
+//
+// Cross-game player statistics built from the shared results hook
+// (framework.recordGameResults -> game_results table).
+//
+// Commands:
+// - !gamestats [@user]                  — per-game + overall stats
+// - !gamestats leaderboard <game|all>   — top players by wins
+//
+// Counts and leaderboard ranking are aggregated in SQL; streaks are folded over each
+// player's latest STREAK_WINDOW results.
+
+import { reply, parseMentionIdsInOrder, mention } from "./framework.js";
+import { countUserGameResults, listGameLeaders, listRecentUserGameResults } from "./game_store.js";
+import { logger } from "../shared/logger.js";
+
+const LEADERBOARD_LIMIT = 10;
+const STREAK_WINDOW = 500;
+
+// Game ids match the registry ids in games/games.js.
+const GAME_LABELS = {
+  auction: "Auction",
+  blackjack: "Blackjack",
+  closest_roll_wins: "Closest Roll",
+  deal_or_no_deal: "Deal or No Deal",
+  exploding_electrode: "Exploding Electrode",
+  exploding_voltorbs: "Exploding Voltorbs",
+  hangman: "Hangman",
+  higher_or_lower: "Higher or Lower",
+  mafia: "Mafia",
+  pokemon_unscramble: "Pokemon Unscramble",
+  rps: "RPS",
+  safari_zone: "Safari Zone",
+  tournament: "Tournament",
+};
+
+const GAME_ALIASES = {
+  cr: "closest_roll_wins",
+  closestroll: "closest_roll_wins",
+  dond: "deal_or_no_deal",
+  ee: "exploding_electrode",
+  ev: "exploding_voltorbs",
+  hol: "higher_or_lower",
+  higherorlower: "higher_or_lower",
+  pokeunscramble: "pokemon_unscramble",
+  unscramble: "pokemon_unscramble",
+  sz: "safari_zone",
+  safari: "safari_zone",
+  bj: "blackjack",
+};
+
+function normalizeGameToken(raw) {
+  return String(raw ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+export function resolveGameId(raw) {
+  const norm = normalizeGameToken(raw);
+  if (!norm) return null;
+  if (GAME_ALIASES[norm]) return GAME_ALIASES[norm];
+  for (const [id, label] of Object.entries(GAME_LABELS)) {
+    if (normalizeGameToken(id) === norm || normalizeGameToken(label) === norm) return id;
+  }
+  return null;
+}
+
+export function gameLabel(gameId) {
+  return GAME_LABELS[gameId] || gameId;
+}
+
+/**
+ * Fold an ordered (oldest first) list of outcomes into summary stats.
+ * Streaks count consecutive wins; a draw or loss resets the current streak.
+ */
+export function summarizeOutcomes(outcomes) {
+  const out = { played: 0, wins: 0, losses: 0, draws: 0, winRate: 0, currentStreak: 0, bestStreak: 0 };
+  for (const outcome of outcomes || []) {
+    out.played += 1;
+    if (outcome === "win") {
+      out.wins += 1;
+      out.currentStreak += 1;
+      out.bestStreak = Math.max(out.bestStreak, out.currentStreak);
+      continue;
+    }
+    if (outcome === "draw") out.draws += 1;
+    else out.losses += 1;
+    out.currentStreak = 0;
+  }
+  out.winRate = out.played ? out.wins / out.played : 0;
+  return out;
+}
+
+function statsFromCounts({ played = 0, wins = 0, draws = 0 } = {}) {
+  return {
+    played,
+    wins,
+    losses: Math.max(0, played - wins - draws),
+    draws,
+    winRate: played ? wins / played : 0,
+  };
+}
+
+function streaksOf(outcomes) {
+  const { currentStreak, bestStreak } = summarizeOutcomes(outcomes);
+  return { currentStreak, bestStreak };
+}
+
+/**
+ * counts: [{ gameId, played, wins, draws }]; recentRows: [{ gameId, outcome }] oldest first.
+ * Returns { overall, byGame: Map<gameId, stats> }.
+ */
+export function computePlayerStats(counts, recentRows = []) {
+  const recentByGame = new Map();
+  for (const r of recentRows || []) {
+    if (!recentByGame.has(r.gameId)) recentByGame.set(r.gameId, []);
+    recentByGame.get(r.gameId).push(r.outcome);
+  }
+
+  const totals = { played: 0, wins: 0, draws: 0 };
+  const byGame = new Map();
+  for (const c of counts || []) {
+    totals.played += c.played;
+    totals.wins += c.wins;
+    totals.draws += c.draws;
+    byGame.set(c.gameId, { ...statsFromCounts(c), ...streaksOf(recentByGame.get(c.gameId)) });
+  }
+  const overall = { ...statsFromCounts(totals), ...streaksOf((recentRows || []).map((r) => r.outcome)) };
+  return { overall, byGame };
+}
+
+/**
+ * leaders: ranked [{ userId, played, wins, draws }]; recentByUser: Map<userId, [{ outcome }]>.
+ * Returns [{ userId, ...stats }] in the given order.
+ */
+export function computeLeaderboard(leaders, recentByUser = new Map()) {
+  return (leaders || []).map((l) => ({
+    userId: l.userId,
+    ...statsFromCounts(l),
+    ...streaksOf((recentByUser.get(l.userId) || []).map((r) => r.outcome)),
+  }));
+}
+
+function pct(rate) {
+  return `${Math.round((Number(rate) || 0) * 100)}%`;
+}
+
+function statsLine(label, s) {
+  return (
+    `**${label}** — ${s.played} played · ${s.wins} win${s.wins === 1 ? "" : "s"} · ${pct(s.winRate)} · ` +
+    `streak ${s.currentStreak} (best ${s.bestStreak})`
+  );
+}
+
+export function formatPlayerStats(userId, stats) {
+  if (!stats?.overall?.played) return `📊 ${mention(userId)} has no recorded games yet.`;
+
+  const games = [...stats.byGame.entries()].sort((a, b) => b[1].played - a[1].played);
+  return [
+    `📊 **Game stats for ${mention(userId)}**`,
+    statsLine("All games", stats.overall),
+    ...games.map(([gameId, s]) => `• ${statsLine(gameLabel(gameId), s)}`),
+  ].join("\n");
+}
+
+export function formatLeaderboard(gameId, entries) {
+  const title = gameId ? gameLabel(gameId) : "All games";
+  if (!entries.length) return `🏆 **${title}** — no recorded games yet.`;
+
+  const lines = entries.map(
+    (e, i) =>
+      `${i + 1}. ${mention(e.userId)} — ${e.wins} win${e.wins === 1 ? "" : "s"} · ${e.played} played · ` +
+      `${pct(e.winRate)} · best streak ${e.bestStreak}`
+  );
+  return [`🏆 **${title} leaderboard**`, ...lines].join("\n");
+}
+
+function knownGamesText() {
+  return Object.keys(GAME_LABELS)
+    .map((id) => `\`${id}\``)
+    .join(", ");
+}
+
+export function registerGameStats(register) {
+  register(
+    "!gamestats",
+    async ({ message, rest }) => {
+      if (!message.guildId) return;
+      const raw = String(rest ?? "").trim();
+      const [first, ...tail] = raw.split(/\s+/).filter(Boolean);
+
+      if (first?.toLowerCase() === "leaderboard" || first?.toLowerCase() === "lb") {
+        const token = tail.join(" ");
+        const isAll = !token || token.toLowerCase() === "all";
+        const gameId = isAll ? null : resolveGameId(token);
+        if (!isAll && !gameId) {
+          await reply({ message }, `❌ Unknown game. Try one of: ${knownGamesText()} or \`all\`.`);
+          return;
+        }
+
+        try {
+          const leaders = await listGameLeaders({ guildId: message.guildId, gameId, limit: LEADERBOARD_LIMIT });
+          const recentByUser = new Map();
+          for (const { userId } of leaders) {
+            recentByUser.set(
+              userId,
+              await listRecentUserGameResults({ guildId: message.guildId, userId, gameId, limit: STREAK_WINDOW })
+            );
+          }
+          await reply({ message }, formatLeaderboard(gameId, computeLeaderboard(leaders, recentByUser)));
+        } catch (err) {
+          logger.warn("gamestats.leaderboard_failed", { error: logger.serializeError(err) });
+          await reply({ message }, "❌ Failed to load game stats. Please try again later.");
+        }
+        return;
+      }
+
+      const userId = parseMentionIdsInOrder(raw)[0] || message.author.id;
+      try {
+        const [counts, recent] = await Promise.all([
+          countUserGameResults({ guildId: message.guildId, userId }),
+          listRecentUserGameResults({ guildId: message.guildId, userId, limit: STREAK_WINDOW }),
+        ]);
+        await reply({ message }, formatPlayerStats(userId, computePlayerStats(counts, recent)));
+      } catch (err) {
+        logger.warn("gamestats.user_failed", { error: logger.serializeError(err) });
+        await reply({ message }, "❌ Failed to load game stats. Please try again later.");
+      }
+    },
+    "!gamestats [@user] | leaderboard <game|all> — wins, games played, win rate and streaks",
+    { category: "Games" }
+  );
+}
@@ -0,0 +1,133 @@
+// games/game_store.js
+//
+// MySQL storage for games:
+// - game_snapshots: persisted state (see createGameManager({ persist })), one row
+//   per (game, scope key); the payload is an opaque JSON string owned by the framework.
+// - game_results: one row per player per finished game (see recordGameResults).
+
+import { getDb } from "../db.js";
+
+export async function saveGameSnapshot({ gameId, scopeKey, guildId, channelId, payload }) {
+  const db = getDb();
+  await db.execute(
+    `
+    INSERT INTO game_snapshots (game_id, scope_key, guild_id, channel_id, payload)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      guild_id = VALUES(guild_id),
+      channel_id = VALUES(channel_id),
+      payload = VALUES(payload)
+  `,
+    [String(gameId), String(scopeKey), String(guildId || ""), channelId ? String(channelId) : null, payload]
+  );
+}
+
+export async function deleteGameSnapshot({ gameId, scopeKey }) {
+  const db = getDb();
+  await db.execute(`DELETE FROM game_snapshots WHERE game_id = ? AND scope_key = ?`, [
+    String(gameId),
+    String(scopeKey),
+  ]);
+}
+
+export async function listGameSnapshots({ gameId }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT scope_key, guild_id, channel_id, payload FROM game_snapshots WHERE game_id = ?`,
+    [String(gameId)]
+  );
+  return (rows || []).map((r) => ({
+    scopeKey: String(r.scope_key),
+    guildId: String(r.guild_id || ""),
+    channelId: r.channel_id ? String(r.channel_id) : null,
+    payload: r.payload,
+  }));
+}
+
+export async function insertGameResults({ matchId, guildId, gameId, rows }) {
+  if (!Array.isArray(rows) || !rows.length) return;
+  const db = getDb();
+  const placeholders = rows.map(() => "(?, ?, ?, ?, ?, ?)").join(", ");
+  const params = [];
+  for (const r of rows) {
+    params.push(String(matchId), String(guildId), String(gameId), String(r.userId), r.outcome, r.placement ?? null);
+  }
+  await db.execute(
+    `INSERT INTO game_results (match_id, guild_id, game_id, user_id, outcome, placement) VALUES ${placeholders}`,
+    params
+  );
+}
+
+function countsFromRow(r) {
+  return {
+    played: Number(r.played) || 0,
+    wins: Number(r.wins) || 0,
+    draws: Number(r.draws) || 0,
+  };
+}
+
+/**
+ * Win/draw/played counts per game for one user in a guild (aggregated in SQL).
+ */
+export async function countUserGameResults({ guildId, userId }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `
+    SELECT game_id, COUNT(*) AS played, SUM(outcome = 'win') AS wins, SUM(outcome = 'draw') AS draws
+    FROM game_results
+    WHERE guild_id = ? AND user_id = ?
+    GROUP BY game_id
+  `,
+    [String(guildId), String(userId)]
+  );
+  return (rows || []).map((r) => ({ gameId: String(r.game_id), ...countsFromRow(r) }));
+}
+
+/**
+ * The user's latest `limit` results (optionally for one game), returned oldest first
+ * so streaks can be folded over them.
+ */
+export async function listRecentUserGameResults({ guildId, userId, gameId = null, limit = 500 }) {
+  const db = getDb();
+  const params = [String(guildId), String(userId)];
+  let where = "guild_id = ? AND user_id = ?";
+  if (gameId) {
+    where += " AND game_id = ?";
+    params.push(String(gameId));
+  }
+  const max = Math.max(1, Math.floor(Number(limit) || 1));
+  const [rows] = await db.execute(
+    `SELECT game_id, outcome FROM game_results WHERE ${where} ORDER BY id DESC LIMIT ${max}`,
+    params
+  );
+  return (rows || [])
+    .map((r) => ({ gameId: String(r.game_id), outcome: String(r.outcome) }))
+    .reverse();
+}
+
+/**
+ * Top players by wins, then win rate, then games played, for one game (or all games when
+ * gameId is null). Aggregated and ranked in SQL.
+ */
+export async function listGameLeaders({ guildId, gameId = null, limit = 10 }) {
+  const db = getDb();
+  const params = [String(guildId)];
+  let where = "guild_id = ?";
+  if (gameId) {
+    where += " AND game_id = ?";
+    params.push(String(gameId));
+  }
+  const max = Math.max(1, Math.floor(Number(limit) || 1));
+  const [rows] = await db.execute(
+    `
+    SELECT user_id, COUNT(*) AS played, SUM(outcome = 'win') AS wins, SUM(outcome = 'draw') AS draws
+    FROM game_results
+    WHERE ${where}
+    GROUP BY user_id
+    ORDER BY wins DESC, wins / COUNT(*) DESC, played DESC, user_id ASC
+    LIMIT ${max}
+  `,
+    params
+  );
+  return (rows || []).map((r) => ({ userId: String(r.user_id), ...countsFromRow(r) }));
+}
@@ -7,7 +7,7 @@ import { registerExplodingVoltorbs } from "./exploding_voltorbs.js";
 import { registerExplodingElectrode } from "./exploding_electrode.js";
 import { registerSafariZone } from "./safari_zone.js";
 import { registerBingo } from "./bingo.js";
-import { registerBlackjack } from "./blackjack.js";
+import { registerBlackjack, settlePendingPayouts } from "./blackjack.js";
 import { registerClosestRollWins } from "./closest_roll_wins.js";
 import { registerHigherOrLower } from "./higher_or_lower.js";
 import { registerRPS } from "./rps.js";
@@ -16,7 +16,12 @@ import { registerDealOrNoDeal } from "./deal_or_no_deal.js";
 import { registerAuction } from "./auction.js";
 import { registerPokemonUnscramble } from "./pokemon_unscramble.js";
 import { registerMafia } from "./mafia.js";
+import { registerTournament } from "./tournament.js";
+import { registerGameStats } from "./game_stats.js";
+import { rehydrateGames } from "./framework.js";
+import { registerScheduler } from "../shared/scheduler_registry.js";
 import { logRegisterFailure } from "../shared/logging_helpers.js";
+import { logger } from "../shared/logger.js";
 
 const GAME_MODULES = [
   { id: "exploding_voltorbs", register: registerExplodingVoltorbs },
@@ -31,7 +36,8 @@ const GAME_MODULES = [
   { id: "deal_or_no_deal", register: registerDealOrNoDeal },
   { id: "auction", register: registerAuction },
   { id: "pokemon_unscramble", register: registerPokemonUnscramble },
-  { id: "mafia", register: registerMafia }
+  { id: "mafia", register: registerMafia },
+  { id: "tournament", register: registerTournament }
 ];
 
 export function registerGames(register) {
@@ -42,6 +48,42 @@ export function registerGames(register) {
       logRegisterFailure("games", g.id, e);
     }
   }
+
+  // Cross-game stats (not a game itself, so not listed in GAME_MODULES)
+  try {
+    registerGameStats(register);
+  } catch (e) {
+    logRegisterFailure("games", "game_stats", e);
+  }
+}
+
+/**
+ * Rehydrates persisted games once the client is ready, and settles interrupted blackjack bets.
+ */
+export function registerGameSchedulers() {
+  try {
+    registerScheduler("games_rehydrate", ({ client } = {}) => {
+      if (!client) return;
+      rehydrateGames(client)
+        .then((resumed) => logger.info("games.rehydrate.ok", { resumed }))
+        .catch((err) => logger.error("games.rehydrate.failed", { error: logger.serializeError(err) }));
+    });
+  } catch (e) {
+    logRegisterFailure("games.schedulers", "games_rehydrate", e);
+  }
+
+  // Blackjack tables aren't persisted; pay what interrupted tables still owe.
+  try {
+    registerScheduler("blackjack_pending_payouts", ({ client } = {}) => {
+      settlePendingPayouts(client || null)
+        .then((settled) => {
+          if (settled) logger.info("games.blackjack.pending_payouts.settled", { settled });
+        })
+        .catch((err) => logger.warn("games.blackjack.pending_payouts.failed", { error: logger.serializeError(err) }));
+    });
+  } catch (e) {
+    logRegisterFailure("games.schedulers", "blackjack_pending_payouts", e);
+  }
 }
 
 export function listGames() {
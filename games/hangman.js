@@ -26,6 +26,7 @@ import {
   collectEntrantsByReactionsWithMax,
   assignContestRoleForEntrants,
   makeGameQoL,
+  recordGameResults,
   reply,
   requireSameChannel,
   requireCanManage,
@@ -173,6 +174,16 @@ function stopGame(guildId) {
   manager.stop({ guildId });
 }
 
+// Whoever completes the word wins; if the hangman is finished everyone loses.
+function recordResults(st, winnerId = null) {
+  void recordGameResults({
+    game: "hangman",
+    guildId: st.guildId,
+    winnerIds: winnerId ? [winnerId] : [],
+    loserIds: st.players,
+  });
+}
+
 async function promptTurn(st) {
   // CRITICAL: prevent overlap — wipe any existing turn timers before scheduling new ones
   st.timers.clearAll();
@@ -220,6 +231,7 @@ async function promptTurn(st) {
 
     if (g.mistakes >= g.maxMistakes) {
       await ch.send(buildStatus(g) + `\n\n💀 **Game over!** The word was: **${g.wordDisplay}**`);
+      recordResults(g);
       stopGame(g.guildId); // also cancels any remaining TimerBag timers
       return;
     }
@@ -250,6 +262,7 @@ async function handleLetterGuess(st, channel, uid, letter) {
 
     if (all) {
       await channel.send(buildStatus(st) + `\n\n🏆 <@${uid}> completed the word! **${st.wordDisplay}**`);
+      recordResults(st, uid);
       stopGame(st.guildId);
       return true;
     }
@@ -267,6 +280,7 @@ async function handleLetterGuess(st, channel, uid, letter) {
 
   if (st.mistakes >= st.maxMistakes) {
     await channel.send(buildStatus(st) + `\n\n💀 **Game over!** The word was: **${st.wordDisplay}**`);
+    recordResults(st);
     stopGame(st.guildId);
     return true;
   }
@@ -285,6 +299,7 @@ async function handleWordGuess(st, channel, uid, raw) {
 
   if (guessNorm === st.wordNorm) {
     await channel.send(buildStatus(st) + `\n\n🏆 <@${uid}> guessed the word! **${st.wordDisplay}**`);
+    recordResults(st, uid);
     stopGame(st.guildId);
     return true;
   }
@@ -296,6 +311,7 @@ async function handleWordGuess(st, channel, uid, raw) {
 
   if (st.mistakes >= st.maxMistakes) {
     await channel.send(buildStatus(st) + `\n\n💀 **Game over!** The word was: **${st.wordDisplay}**`);
+    recordResults(st);
     stopGame(st.guildId);
     return true;
   }
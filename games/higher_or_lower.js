@@ -17,6 +17,8 @@ import {
   createGameManager,
   guardBoardInteraction,
   makeGameQoL,
+  notifyMatchResult,
+  recordGameResults,
   withGameSubcommands,
 } from "./framework.js";
 import { parseMinMaxRangeToken } from "./helpers.js";
@@ -127,6 +129,40 @@ function loseText(st, guess, next) {
   ].join("\n");
 }
 
+/**
+ * Start a run without a command (used by tournaments, which compare two runs).
+ * onResult receives { playerId, roundsWon, cleared } or { cancelled: true }.
+ */
+export async function startHigherOrLowerRun({ channel, client, guildId, hostId, playerId, rounds, min = 1, max = 10, onResult }) {
+  const res = manager.tryStart(
+    { guildId },
+    { guildId, channelId: channel.id, creatorId: hostId, playerId, client, onMatchResult: onResult || null }
+  );
+  if (!res.ok) return res;
+
+  const st = res.state;
+  Object.assign(st, {
+    roundsTotal: rounds,
+    roundsWon: 0,
+    min,
+    max,
+    current: randIntInclusive(min, max),
+    messageId: null,
+  });
+
+  try {
+    await createBoard(st).post(channel, { content: liveText(st), components: [mkButtons(false)] });
+  } catch {
+    if (manager.getState({ guildId }) === st) manager.stop({ guildId });
+    return { ok: false, errorText: "❌ Could not post the HigherOrLower board." };
+  }
+  return res;
+}
+
+function runResult(st) {
+  return { playerId: st.playerId, roundsWon: st.roundsWon, cleared: st.roundsWon >= st.roundsTotal };
+}
+
 export function registerHigherOrLower(register) {
   makeGameQoL(register, {
     manager,
@@ -145,6 +181,7 @@ export function registerHigherOrLower(register) {
       const board = createBoard(st);
       manager.stop({ guildId: st.guildId });
       await board.update({ content: "🛑 **HigherOrLower cancelled.**", components: [mkButtons(true)] });
+      notifyMatchResult(st, { cancelled: true });
     },
   });
 
@@ -245,7 +282,9 @@ export function registerHigherOrLower(register) {
     const correct = guess === "hi" ? next > st.current : next < st.current;
 
     if (!correct) {
+      void recordGameResults({ game: "higher_or_lower", guildId: st.guildId, loserIds: [st.playerId] });
       manager.stop({ guildId: st.guildId });
+      notifyMatchResult(st, runResult(st));
       await interaction.update({ content: loseText(st, guess, next), components: [mkButtons(true)] });
       return;
     }
@@ -253,7 +292,9 @@ export function registerHigherOrLower(register) {
     st.roundsWon += 1;
 
     if (st.roundsWon >= st.roundsTotal) {
+      void recordGameResults({ game: "higher_or_lower", guildId: st.guildId, winnerIds: [st.playerId] });
       manager.stop({ guildId: st.guildId });
+      notifyMatchResult(st, runResult(st));
       await interaction.update({ content: winText(st, next), components: [mkButtons(true)] });
       return;
     }
@@ -1,6 +1,6 @@
 // games/mafia.js
 //
-// Minimal Mafia (in-memory, host-driven):
+// Minimal Mafia (in-memory + snapshotted to MySQL, host-driven):
 // - Start lobby with !mafia (reaction join ✅)
 // - Host uses !mafia start to assign roles + begin night
 // - DM actions at night: !mafia kill/@inspect/@protect
@@ -14,6 +14,7 @@ import {
   requireSameChannel,
   requireCanManage,
   parseMentionIdsInOrder,
+  recordGameResults,
 } from "./framework.js";
 import { sendDm } from "../shared/dm.js";
 
@@ -21,7 +22,28 @@ const MIN_PLAYERS = 5;
 const MAX_PLAYERS = 15;
 const JOIN_EMOJI = "✅";
 
-const manager = createGameManager({ id: "mafia", prettyName: "Mafia", scope: "guild" });
+const manager = createGameManager({
+  id: "mafia",
+  prettyName: "Mafia",
+  scope: "guild",
+  persist: {
+    fields: [
+      "joinMessageId",
+      "joinChannelId",
+      "phase",
+      "players",
+      "mafiaIds",
+      "detectiveId",
+      "doctorId",
+      "votes",
+      "nightActions",
+    ],
+    resume: async (state, { channel }) => {
+      activeByGuild.set(String(state.guildId), state);
+      await channel.send(`🔄 **Mafia resumed** after a restart. Phase: **${state.phase}**.`);
+    },
+  },
+});
 const activeByGuild = new Map(); // guildId -> state
 
 function mafiaHelpText() {
@@ -143,6 +165,17 @@ function checkWin(state) {
   return null;
 }
 
+function recordWin(state, winner) {
+  const winnerIds = [];
+  const loserIds = [];
+  for (const p of state.players.values()) {
+    const onMafia = p.role === "mafia";
+    if (onMafia === (winner === "mafia")) winnerIds.push(p.id);
+    else loserIds.push(p.id);
+  }
+  void recordGameResults({ game: "mafia", guildId: state.guildId, winnerIds, loserIds });
+}
+
 function getStateByPlayer(userId) {
   for (const st of activeByGuild.values()) {
     const player = st?.players?.get?.(userId);
@@ -240,6 +273,7 @@ async function startLobby({ message }) {
 
   manager.setState({ message }, init);
   activeByGuild.set(String(guildId), init);
+  await manager.persist(init);
 }
 
 async function startGame({ message, state }) {
@@ -282,6 +316,7 @@ async function startGame({ message, state }) {
   state.phase = "night";
   clearVotes(state);
   clearNightActions(state);
+  await manager.persist(state);
 
   const failures = await notifyRoles(state, message.client);
   if (failures.length) {
@@ -341,6 +376,7 @@ async function resolveNight({ message, state }) {
     await channel.send(
       winner === "town" ? "🏆 **Town wins!**" : "🏆 **Mafia wins!**"
     );
+    recordWin(state, winner);
     manager.stop({ message });
     activeByGuild.delete(String(state.guildId));
     return;
@@ -348,6 +384,7 @@ async function resolveNight({ message, state }) {
 
   state.phase = "day";
   clearVotes(state);
+  await manager.persist(state);
   await channel.send("☀️ **Day phase.** Discuss and vote with `!mafia vote @user`.");
 }
 
@@ -381,6 +418,7 @@ async function endDay({ message, state }) {
     await channel.send(
       winner === "town" ? "🏆 **Town wins!**" : "🏆 **Mafia wins!**"
     );
+    recordWin(state, winner);
     manager.stop({ message });
     activeByGuild.delete(String(state.guildId));
     return;
@@ -388,6 +426,7 @@ async function endDay({ message, state }) {
 
   state.phase = "night";
   clearNightActions(state);
+  await manager.persist(state);
   await channel.send("🌙 **Night falls.** Mafia/Detective/Doctor: DM your action to the bot.");
 }
 
@@ -420,6 +459,7 @@ async function handleDmAction({ message, rest, state }) {
       return;
     }
     state.nightActions.kill = targetId;
+    await manager.persist(state);
     await reply({ message }, `Kill target set to ${mention(targetId)}.`);
     return;
   }
@@ -430,6 +470,7 @@ async function handleDmAction({ message, rest, state }) {
       return;
     }
     state.nightActions.inspect = targetId;
+    await manager.persist(state);
     await reply({ message }, `Inspect target set to ${mention(targetId)}.`);
     return;
   }
@@ -440,6 +481,7 @@ async function handleDmAction({ message, rest, state }) {
       return;
     }
     state.nightActions.protect = targetId;
+    await manager.persist(state);
     await reply({ message }, `Protect target set to ${mention(targetId)}.`);
     return;
   }
@@ -550,6 +592,7 @@ export function registerMafia(register) {
             return;
           }
           state.votes.set(message.author.id, targetId);
+          await manager.persist(state);
           await reply({ message }, `${mention(message.author.id)} voted for ${mention(targetId)}.`);
           return;
         }
@@ -560,6 +603,7 @@ export function registerMafia(register) {
             return;
           }
           state.votes.delete(message.author.id);
+          await manager.persist(state);
           await reply({ message }, `${mention(message.author.id)} removed their vote.`);
           return;
         }
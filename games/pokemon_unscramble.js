@@ -15,6 +15,8 @@ import {
   makeGameQoL,
   mention,
   nowMs,
+  placementsFromScores,
+  recordGameResults,
   requireSameChannel,
   scheduleRoundCooldown,
   shuffleInPlace,
@@ -137,6 +139,15 @@ function renderStatus(st) {
 async function endGame(st, channel) {
   manager.stop({ guildId: st.guildId });
 
+  const placements = placementsFromScores(st.scores, st.players);
+  const topScore = st.scores.get(placements[0]?.[0]) || 0;
+  void recordGameResults({
+    game: "pokemon_unscramble",
+    guildId: st.guildId,
+    placements,
+    winnerIds: topScore > 0 ? placements[0] : [],
+  });
+
   const lines = [];
   lines.push("🏁 **Pokemon Unscramble finished**");
   lines.push("");
@@ -8,7 +8,9 @@ import {
   createGameManager,
   guardBoardInteraction,
   makeGameQoL,
+  notifyMatchResult,
   parseMentionIdsInOrder,
+  recordGameResults,
   scheduleRoundCooldown,
   requireCanManage,
   requireSameChannel,
@@ -151,9 +153,70 @@ function resetRound(st) {
   st.deadlineMs = Date.now() + 30_000;
 }
 
+// The bot is never recorded; solo games only count for the human player.
+function recordMatchResult(st) {
+  const p1Won = st.score.p1 >= st.targetWins;
+  const p2Id = st.mode === "pvp" ? st.p2Id : null;
+  void recordGameResults({
+    game: "rps",
+    guildId: st.guildId,
+    winnerIds: [p1Won ? st.p1Id : p2Id].filter(Boolean),
+    loserIds: [p1Won ? p2Id : st.p1Id].filter(Boolean),
+  });
+}
+
+function matchResult(st) {
+  if (st.score.p1 >= st.targetWins) return { winnerId: st.p1Id, loserId: st.p2Id };
+  if (st.score.p2 >= st.targetWins) return { winnerId: st.p2Id, loserId: st.p1Id };
+  return { cancelled: true };
+}
+
 async function endGame(st, board, finalText) {
   manager.stop({ guildId: st.guildId });
   await board.update({ content: finalText, components: [mkButtons(true)] });
+  notifyMatchResult(st, matchResult(st));
+}
+
+async function beginMatch(st, channel, { mode, p1Id, p2Id, targetWins }) {
+  Object.assign(st, {
+    mode,
+    p1Id,
+    p2Id,
+    targetWins,
+    score: { p1: 0, p2: 0 },
+    roundNumber: 1,
+    p1Choice: null,
+    p2Choice: null,
+    deadlineMs: Date.now() + 30_000,
+    messageId: null,
+  });
+
+  const board = createBoard(st);
+  await board.post(channel, { content: buildStatusText(st), components: [mkButtons(false)] });
+
+  resetRound(st);
+  scheduleTimers(st, board);
+}
+
+/**
+ * Start a PvP match without a command (used by tournaments).
+ * onResult receives { winnerId, loserId } or { cancelled: true }.
+ */
+export async function startRpsMatch({ channel, client, guildId, hostId, p1Id, p2Id, targetWins = 1, onResult }) {
+  const wins = clampWins(Number(targetWins)) || 1;
+  const res = manager.tryStart(
+    { guildId },
+    { guildId, channelId: channel.id, creatorId: hostId, client, onMatchResult: onResult || null }
+  );
+  if (!res.ok) return res;
+
+  try {
+    await beginMatch(res.state, channel, { mode: "pvp", p1Id, p2Id, targetWins: wins });
+  } catch (err) {
+    if (manager.getState({ guildId }) === res.state) manager.stop({ guildId });
+    return { ok: false, errorText: "❌ Could not post the RPS board." };
+  }
+  return res;
 }
 
 function scheduleTimers(st, board) {
@@ -221,6 +284,7 @@ function scheduleTimers(st, board) {
 
     if (live.score.p1 >= live.targetWins || live.score.p2 >= live.targetWins) {
       const winner = live.score.p1 >= live.targetWins ? tag(live.p1Id) : p2Name;
+      recordMatchResult(live);
       await endGame(
         live,
         board,
@@ -316,6 +380,7 @@ async function resolveIfReady(st, board) {
   st.roundNumber += 1;
 
   if (st.score.p1 >= st.targetWins || st.score.p2 >= st.targetWins) {
+    recordMatchResult(st);
     await endGame(
       st,
       board,
@@ -461,24 +526,7 @@ export function registerRPS(register) {
           p2Id = u.id;
         }
 
-        Object.assign(st, {
-          mode,
-          p1Id: message.author.id,
-          p2Id,
-          targetWins,
-          score: { p1: 0, p2: 0 },
-          roundNumber: 1,
-          p1Choice: null,
-          p2Choice: null,
-          deadlineMs: Date.now() + 30_000,
-          messageId: null,
-        });
-
-        const board = createBoard(st);
-        await board.post(message.channel, { content: buildStatusText(st), components: [mkButtons(false)] });
-
-        resetRound(st);
-        scheduleTimers(st, board);
+        await beginMatch(st, message.channel, { mode, p1Id: message.author.id, p2Id, targetWins });
       },
     }),
     "!rps [num_rounds] [@opponent] — Rock Paper Scissors (first to N wins). `!rpshelp`.",
@@ -31,13 +31,43 @@ import {
   createGameManager,
   isAdminOrPrivilegedMessage,
   makeGameQoL,
+  placementsFromScores,
+  recordGameResults,
   requireSameChannel,
   shuffleInPlace,
   withGameSubcommands,
 } from "./framework.js";
 import { getMentionedUsers, parseMentionToken, validateJoinAndMaxForMode } from "./helpers.js";
 
-const manager = createGameManager({ id: "safarizone", prettyName: "Safari Zone", scope: "guild" });
+const manager = createGameManager({
+  id: "safarizone",
+  prettyName: "Safari Zone",
+  scope: "guild",
+  persist: {
+    fields: [
+      "n",
+      "totalSquares",
+      "prizeCount",
+      "prizes",
+      "prizesFound",
+      "revealed",
+      "revealedCount",
+      "turnMode",
+      "players",
+      "currentIndex",
+      "remainingTurnCandidates",
+      "turnSeconds",
+      "warnSeconds",
+      "prizeFinds",
+      "skips",
+      "turnOwnerId",
+    ],
+    resume: async (game, { channel }) => {
+      await channel.send("🔄 **Safari Zone resumed** after a restart — the current turn starts over.");
+      await promptTurn(channel, game);
+    },
+  },
+});
 
 const SZ_ALIASES = ["!safarizone", "!safari", "!sz"];
 const PICK_ALIASES = ["!szpick", "!safaripick", "!picksz"];
@@ -320,6 +350,8 @@ async function promptTurn(channel, game) {
     advanceTurn(g, { skipped: true });
     await promptTurn(channel, g);
   }, skipAt * 1000);
+
+  void manager.persist(game);
 }
 
 async function finalizeGame(channel, game) {
@@ -351,6 +383,15 @@ async function finalizeGame(channel, game) {
       (skipLines.length ? `**Inactivity skips:**\n${skipLines.join("\n")}` : "")
   );
 
+  const placements = placementsFromScores(game.prizeFinds, game.players);
+  const topFinds = game.prizeFinds.get(placements[0]?.[0]) || 0;
+  void recordGameResults({
+    game: "safari_zone",
+    guildId: game.guildId,
+    placements,
+    winnerIds: topFinds > 0 ? placements[0] : [],
+  });
+
   endGame(game.guildId);
 }
 
@@ -804,7 +845,7 @@ export function registerSafariZone(register) {
       endGame(guildId);
     },
     "!endsafari — force end Safari Zone (admin)",
-    { admin: true, hideFromHelp: true }
+    { admin: true, tier: "admin", hideFromHelp: true }
   );
 }
 
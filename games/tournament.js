@@ -0,0 +1,643 @@
+// games/tournament.js
+//
+// Tournaments for 1v1-capable games (RPS, Blackjack, Higher or Lower).
+//
+// Commands:
+// - !tournament <game> [single|double|rr] [@p1 @p2 ...] [join=SS] [max=NN] [wins=N] [rounds=N]
+//     game: rps | blackjack (bj) | higherorlower (hol)
+//     tag list = seeding order; no tags = reaction join (✅, shuffled seeding)
+// - !tournament status | bracket
+// - !tournament report @winner   (host/admin; after a match was cancelled or failed to start)
+// - !tournament replay           (host/admin; launch the current match again)
+// - !canceltournament            (host/admin)
+//
+// One tournament per guild, bound to the starting channel. Matches run one at a
+// time through each game's own start API; results are fed into
+// games/tournament_bracket.js and the bracket board message is edited in place.
+// The underlying game is still the normal game (its own cancel/status commands work).
+
+import {
+  assignContestRoleForEntrants,
+  cleanRest,
+  clampInt,
+  collectEntrantsByReactionsWithMax,
+  createBoard,
+  createGameManager,
+  makeGameQoL,
+  mention,
+  parseMentionIdsInOrder,
+  recordGameResults,
+  reply,
+  requireCanManage,
+  requireSameChannel,
+  shuffleInPlace,
+  withGameSubcommands,
+} from "./framework.js";
+import { validateJoinAndMaxForMode } from "./helpers.js";
+import { gameLabel, resolveGameId } from "./game_stats.js";
+import { startRpsMatch } from "./rps.js";
+import { startBlackjackMatch } from "./blackjack.js";
+import { startHigherOrLowerRun } from "./higher_or_lower.js";
+import {
+  FORMAT_LABELS,
+  createBracket,
+  findMatch,
+  isFinished,
+  pendingMatch,
+  reportResult,
+  resolveFormat,
+  standings,
+} from "./tournament_bracket.js";
+
+const manager = createGameManager({ id: "tournament", prettyName: "Tournament", scope: "guild" });
+
+const DEFAULTS = {
+  format: "single",
+  joinSeconds: 60,
+  wins: 2,
+  rounds: 3,
+};
+
+const MAX_ENTRANTS = 32;
+const MAX_ROUND_ROBIN_ENTRANTS = 10;
+const NEXT_MATCH_DELAY_MS = 5000;
+const BOARD_MAX_CHARS = 1900;
+const BOARD_OPTS = { messageIdField: "boardMessageId" };
+const NO_PINGS = { parse: [] };
+
+const MANAGE_DENIED_TEXT = "Nope — only admins or the tournament host can do that.";
+
+const TOURNAMENT_HELP = [
+  "**Tournament — Help**",
+  "",
+  "**Start:**",
+  "• `!tournament <game> [single|double|rr] [@p1 @p2 ...] [join=SS] [max=NN] [wins=N] [rounds=N]`",
+  "  – Games: `rps`, `blackjack` (`bj`), `higherorlower` (`hol`)",
+  "  – Example: `!tournament rps double wins=3` (reaction join)",
+  "  – Example: `!tournament hol rr @a @b @c rounds=5` (tag list, tag order = seeding)",
+  "• `join=SS` join window (10–300s, default 60) and `max=NN` — **reaction join only**",
+  "• `wins=N` RPS first to N (1–10, default 2) · `rounds=N` HoL rounds per run (1–20, default 3)",
+  "",
+  "**During the tournament:**",
+  "• `!tournament status` — show the bracket",
+  "• `!tournament report @winner` — record a result after a match was cancelled (host/admin)",
+  "• `!tournament replay` — play the current match again (host/admin)",
+  "• `!canceltournament` — admin or tournament host only",
+].join("\n");
+
+const TOURNAMENT_RULES = [
+  "**Tournament — Rules (layman)**",
+  "",
+  "Everyone plays 1v1 matches of the chosen game, one match at a time, in this channel.",
+  "• **Single elimination:** lose once and you're out.",
+  "• **Double elimination:** lose twice and you're out. Unbeaten players and one-loss players are paired separately; the last two meet in the final (a reset match is played if the unbeaten player loses it).",
+  "• **Round robin:** everyone plays everyone once; most wins takes it (ties share the title).",
+  "• Odd player counts give someone a **bye** (a free pass to the next round).",
+  "",
+  "**Match rules:**",
+  "• RPS — first to N round wins.",
+  "• Blackjack — both players play one hand against the dealer; the better result (then the higher total) wins.",
+  "• Higher or Lower — each player does one run; most correct guesses wins.",
+  "A drawn match is replayed.",
+].join("\n");
+
+/* --------------------------------- matches -------------------------------- */
+
+// Games report through a callback (state.onMatchResult); wrap that into a
+// promise that also settles with { error } when the game refuses to start.
+function awaitMatch(start) {
+  return new Promise((resolve) => {
+    Promise.resolve()
+      .then(() => start(resolve))
+      .then(
+        (res) => {
+          if (!res?.ok) resolve({ error: res?.errorText || "The match could not be started." });
+        },
+        () => resolve({ error: "The match could not be started." })
+      );
+  });
+}
+
+// play() resolves with { winnerId }, { draw: true }, { cancelled: true } or { error }.
+const MATCH_GAMES = {
+  rps: {
+    rulesLine: (options) => `first to **${options.wins}**`,
+    play: ({ channel, st, match }) =>
+      awaitMatch((onResult) =>
+        startRpsMatch({
+          channel,
+          client: st.client,
+          guildId: st.guildId,
+          hostId: st.creatorId,
+          p1Id: match.p1,
+          p2Id: match.p2,
+          targetWins: st.options.wins,
+          onResult,
+        })
+      ),
+  },
+  blackjack: {
+    rulesLine: () => "one hand each vs the dealer",
+    play: ({ channel, st, match }) =>
+      awaitMatch((onResult) =>
+        startBlackjackMatch({
+          channel,
+          guildId: st.guildId,
+          hostId: st.creatorId,
+          playerIds: [match.p1, match.p2],
+          onResult,
+        })
+      ),
+  },
+  higher_or_lower: {
+    rulesLine: (options) => `one **${options.rounds}**-round run each`,
+    play: async ({ channel, st, match }) => {
+      const runs = [];
+      for (const playerId of [match.p1, match.p2]) {
+        if (!isLive(st)) return { cancelled: true };
+        if (runs.length) {
+          await channel
+            .send({
+              content: `⏭️ ${mention(playerId)} — your run. Beat **${runs[0].roundsWon}** correct guess(es).`,
+              allowedMentions: { users: [playerId] },
+            })
+            .catch(() => {});
+        }
+
+        const run = await awaitMatch((onResult) =>
+          startHigherOrLowerRun({
+            channel,
+            client: st.client,
+            guildId: st.guildId,
+            hostId: st.creatorId,
+            playerId,
+            rounds: st.options.rounds,
+            onResult,
+          })
+        );
+        if (run.error || run.cancelled) return run;
+        runs.push(run);
+      }
+
+      if (runs[0].roundsWon === runs[1].roundsWon) return { draw: true };
+      return { winnerId: runs[0].roundsWon > runs[1].roundsWon ? match.p1 : match.p2 };
+    },
+  },
+};
+
+function isLive(st) {
+  return manager.getState({ guildId: st.guildId }) === st;
+}
+
+/* ---------------------------------- board ---------------------------------- */
+
+function stageTag(bracket, match) {
+  if (match.stage === "final") return bracket.format === "double" ? "[GF] " : "[F] ";
+  if (match.stage === "winners") return "[W] ";
+  if (match.stage === "losers") return "[L] ";
+  return "";
+}
+
+function matchLine(st, match) {
+  const tag = stageTag(st.bracket, match);
+  if (match.winnerId) return `• ${tag}🏆 ${mention(match.winnerId)} def. ${mention(match.loserId)}`;
+  const icon = match.id === st.currentMatchId ? "▶️" : "⏳";
+  return `• ${tag}${icon} #${match.id} ${mention(match.p1)} vs ${mention(match.p2)}`;
+}
+
+export function renderBracketText(st) {
+  const bracket = st.bracket;
+  const header = [
+    `🏟️ **${gameLabel(st.gameId)} Tournament** — ${FORMAT_LABELS[bracket.format]} · ${bracket.players.size} players`,
+    `Matches: ${MATCH_GAMES[st.gameId].rulesLine(st.options)} · Host: ${mention(st.creatorId)}`,
+  ];
+
+  const roundBlocks = bracket.rounds.map((round) =>
+    [
+      `**Round ${round.number}**`,
+      ...round.matches.map((m) => matchLine(st, m)),
+      ...round.byes.map((id) => `• ${mention(id)} — bye`),
+    ].join("\n")
+  );
+
+  const footer = [];
+  if (bracket.format === "roundrobin") {
+    footer.push("**Standings**");
+    standings(bracket).forEach((p, i) => footer.push(`${i + 1}. ${mention(p.id)} — ${p.wins}W ${p.losses}L`));
+  } else {
+    const out = standings(bracket).filter((p) => p.losses >= bracket.maxLosses);
+    if (out.length) footer.push(`Eliminated: ${out.map((p) => mention(p.id)).join(", ")}`);
+  }
+
+  if (isFinished(bracket)) {
+    const plural = bracket.champions.length === 1 ? "" : "s";
+    footer.push(`🏆 **Champion${plural}:** ${bracket.champions.map(mention).join(", ")}`);
+  } else if (st.cancelled) {
+    footer.push("🛑 **Cancelled.**");
+  } else if (st.phase === "awaiting") {
+    footer.push("⚠️ Waiting on the host: `!tournament report @winner` or `!tournament replay`.");
+  }
+
+  // Long tournaments: drop the oldest rounds until the board fits in one message.
+  let hidden = 0;
+  const build = () =>
+    [
+      ...header,
+      "",
+      ...(hidden ? [`_…${hidden} earlier round(s) hidden_`, ""] : []),
+      ...roundBlocks.slice(hidden).flatMap((block) => [block, ""]),
+      ...footer,
+    ].join("\n");
+
+  let text = build();
+  while (text.length > BOARD_MAX_CHARS && hidden < roundBlocks.length - 1) {
+    hidden += 1;
+    text = build();
+  }
+  return text.slice(0, 2000);
+}
+
+async function updateBoard(st) {
+  if (!st.bracket) return false;
+  return await createBoard(st, BOARD_OPTS).update({ content: renderBracketText(st), allowedMentions: NO_PINGS });
+}
+
+async function send(channel, content, allowedMentions = NO_PINGS) {
+  try {
+    return await channel.send({ content, allowedMentions });
+  } catch {
+    return null;
+  }
+}
+
+/* --------------------------------- runner ---------------------------------- */
+
+function scheduleNextMatch(st, channel) {
+  st.timers.setTimeout(() => void playNextMatch(st, channel), NEXT_MATCH_DELAY_MS);
+}
+
+async function finishTournament(st, channel) {
+  manager.stop({ guildId: st.guildId });
+  await updateBoard(st);
+
+  const champions = st.bracket.champions;
+  const playerIds = [...st.bracket.players.keys()];
+  void recordGameResults({
+    game: "tournament",
+    guildId: st.guildId,
+    winnerIds: champions,
+    loserIds: playerIds.filter((id) => !champions.includes(id)),
+  });
+
+  const plural = champions.length === 1 ? "" : "s";
+  await send(
+    channel,
+    `🏆 **${gameLabel(st.gameId)} Tournament finished!** Champion${plural}: ${champions.map(mention).join(", ")}`,
+    { users: champions }
+  );
+}
+
+async function settleMatch(st, channel, match, winnerId) {
+  const res = reportResult(st.bracket, match.id, winnerId);
+  if (!res.ok) return res;
+
+  st.currentMatchId = null;
+  st.phase = "between";
+  await send(channel, `✅ **Match #${match.id}** — ${mention(res.match.winnerId)} beats ${mention(res.match.loserId)}.`);
+
+  if (isFinished(st.bracket)) {
+    await finishTournament(st, channel);
+    return res;
+  }
+
+  await updateBoard(st);
+  scheduleNextMatch(st, channel);
+  return res;
+}
+
+async function playNextMatch(st, channel) {
+  if (!isLive(st)) return;
+
+  const match = pendingMatch(st.bracket);
+  if (!match) {
+    await finishTournament(st, channel);
+    return;
+  }
+
+  st.phase = "playing";
+  st.currentMatchId = match.id;
+  await updateBoard(st);
+  await send(channel, `🎮 **Match #${match.id}** — ${mention(match.p1)} vs ${mention(match.p2)}`, {
+    users: [match.p1, match.p2],
+  });
+
+  const outcome = await MATCH_GAMES[st.gameId].play({ channel, st, match });
+
+  // Cancelled tournament, or the host already reported this match.
+  if (!isLive(st) || st.currentMatchId !== match.id || match.winnerId) return;
+
+  if (outcome?.winnerId) {
+    await settleMatch(st, channel, match, outcome.winnerId);
+    return;
+  }
+
+  if (outcome?.draw) {
+    st.phase = "between";
+    await send(channel, `🤝 **Match #${match.id}** ended level — replaying it.`);
+    scheduleNextMatch(st, channel);
+    return;
+  }
+
+  st.phase = "awaiting";
+  await updateBoard(st);
+  const why = outcome?.error ? `could not start: ${outcome.error}` : "was cancelled.";
+  await send(
+    channel,
+    `⚠️ **Match #${match.id}** ${why}\n` +
+      `${mention(st.creatorId)}: \`!tournament report @winner\` to record a result, or \`!tournament replay\` to play it again.`
+  );
+}
+
+/* --------------------------------- parsing --------------------------------- */
+
+function parseTournamentTokens(tokens) {
+  const opts = {
+    gameId: null,
+    format: null,
+    joinSeconds: null,
+    maxPlayers: null,
+    wins: null,
+    rounds: null,
+    unknown: [],
+  };
+
+  for (const t of tokens) {
+    if (/^<@!?\d+>$/.test(t)) continue;
+
+    const kv = t.toLowerCase().match(/^(join|max|wins|rounds)=(\d+)(s)?$/);
+    if (kv) {
+      const key = { join: "joinSeconds", max: "maxPlayers", wins: "wins", rounds: "rounds" }[kv[1]];
+      opts[key] = Number(kv[2]);
+      continue;
+    }
+
+    const format = resolveFormat(t);
+    if (format && !opts.format) {
+      opts.format = format;
+      continue;
+    }
+
+    const gameId = resolveGameId(t);
+    if (gameId && MATCH_GAMES[gameId] && !opts.gameId) {
+      opts.gameId = gameId;
+      continue;
+    }
+
+    opts.unknown.push(t);
+  }
+
+  return opts;
+}
+
+function validateEntrantIds(message, mentionIds) {
+  const users = message.mentions?.users;
+  if (!users) return { ok: false, err: "❌ Could not read mentions. Try again by tagging users normally." };
+
+  const ids = [];
+  for (const id of mentionIds) {
+    const u = users.get(id);
+    if (!u) return { ok: false, err: "❌ Invalid mention in tag list. Please re-tag players cleanly." };
+    if (u.bot) return { ok: false, err: "❌ Bots can’t enter tournaments. Remove bot mentions from the tag list." };
+    if (!ids.includes(id)) ids.push(id);
+  }
+  return { ok: true, ids };
+}
+
+/* ---------------------------------- start ---------------------------------- */
+
+async function launchTournament(st, channel, entrantIds) {
+  st.bracket = createBracket({ format: st.format, entrants: entrantIds });
+  st.phase = "between";
+
+  await createBoard(st, BOARD_OPTS).post(channel, {
+    content: renderBracketText(st),
+    allowedMentions: NO_PINGS,
+  });
+  await playNextMatch(st, channel);
+}
+
+async function startTournament(message, rest) {
+  const guildId = message.guildId;
+  const existing = manager.getState({ guildId });
+  if (existing) return void (await reply({ message }, manager.alreadyRunningText(existing)));
+
+  const tokens = cleanRest(rest).split(/\s+/).filter(Boolean);
+  const opts = parseTournamentTokens(tokens);
+
+  if (opts.unknown.length) {
+    await reply(
+      { message },
+      `❌ Unknown argument(s): ${opts.unknown.map((x) => `\`${x}\``).join(", ")}. Try \`!tournament help\`.`
+    );
+    return;
+  }
+  if (!opts.gameId) {
+    await reply({ message }, "❌ Pick a game: `rps`, `blackjack` or `hol`. Example: `!tournament rps`.");
+    return;
+  }
+
+  const format = opts.format || DEFAULTS.format;
+  const cap = format === "roundrobin" ? MAX_ROUND_ROBIN_ENTRANTS : MAX_ENTRANTS;
+
+  const wins = clampInt(opts.wins ?? DEFAULTS.wins, 1, 10);
+  if (!wins) return void (await reply({ message }, "❌ `wins=N` must be between 1 and 10."));
+  const rounds = clampInt(opts.rounds ?? DEFAULTS.rounds, 1, 20);
+  if (!rounds) return void (await reply({ message }, "❌ `rounds=N` must be between 1 and 20."));
+
+  const mentionIds = parseMentionIdsInOrder(rest);
+  const hasMentions = mentionIds.length > 0;
+  const v = validateJoinAndMaxForMode({
+    hasMentions,
+    joinSeconds: opts.joinSeconds,
+    maxPlayers: opts.maxPlayers,
+    defaultJoinSeconds: DEFAULTS.joinSeconds,
+    joinMin: 10,
+    joinMax: 300,
+    maxMin: 2,
+    maxMax: cap,
+    mentionErrorText: "❌ `join=` and `max=` are only valid for reaction-join (no @mentions).",
+    joinErrorText: "❌ `join=SS` must be between 10 and 300 seconds.",
+    maxErrorText: `❌ \`max=NN\` must be between 2 and ${cap}.`,
+  });
+  if (!v.ok) return void (await reply({ message }, v.err));
+
+  let entrantIds = null;
+  if (hasMentions) {
+    const checked = validateEntrantIds(message, mentionIds);
+    if (!checked.ok) return void (await reply({ message }, checked.err));
+    if (checked.ids.length < 2 || checked.ids.length > cap) {
+      await reply({ message }, `❌ Tag between 2 and ${cap} players for a ${FORMAT_LABELS[format].toLowerCase()} tournament.`);
+      return;
+    }
+    entrantIds = checked.ids;
+  }
+
+  const res = manager.tryStart(
+    { guildId },
+    {
+      guildId,
+      channelId: message.channelId,
+      creatorId: message.author.id,
+      client: message.client,
+      gameId: opts.gameId,
+      format,
+      options: { wins, rounds },
+      phase: "joining",
+      bracket: null,
+      boardMessageId: null,
+      currentMatchId: null,
+    }
+  );
+  if (!res.ok) return void (await reply({ message }, res.errorText));
+  const st = res.state;
+
+  if (!entrantIds) {
+    const maxPlayers = v.maxPlayers || cap;
+    const { entrants } = await collectEntrantsByReactionsWithMax({
+      channel: message.channel,
+      promptText:
+        `🏟️ **${gameLabel(opts.gameId)} Tournament** (${FORMAT_LABELS[format]}) — React ✅ to join! ` +
+        `(join window: ${v.joinSeconds}s, max ${maxPlayers})`,
+      durationMs: v.joinSeconds * 1000,
+      maxEntrants: maxPlayers,
+      emoji: "✅",
+    });
+
+    if (!isLive(st)) return;
+    if (!entrants || entrants.size < 2) {
+      manager.stop({ guildId });
+      await send(message.channel, "❌ Not enough players joined (need at least 2).");
+      return;
+    }
+
+    entrantIds = shuffleInPlace([...entrants]);
+    const { assignment } = await assignContestRoleForEntrants({ message }, entrantIds);
+    if (assignment) st.contestRoleAssignment = assignment;
+  }
+
+  await launchTournament(st, message.channel, entrantIds);
+}
+
+/* ------------------------------ host commands ------------------------------ */
+
+async function requireHostAwaiting(message) {
+  const st = manager.getState({ guildId: message.guildId });
+  if (!st) {
+    await reply({ message }, manager.noActiveText());
+    return null;
+  }
+  if (!(await requireSameChannel({ message }, st, manager))) return null;
+
+  const ok = await requireCanManage({ message }, st, {
+    ownerField: "creatorId",
+    managerLabel: "tournament",
+    deniedText: MANAGE_DENIED_TEXT,
+  });
+  if (!ok) return null;
+
+  if (st.phase !== "awaiting") {
+    await reply(
+      { message },
+      "❌ Nothing to fix right now — results are recorded automatically. " +
+        "Use this after a match was cancelled or failed to start."
+    );
+    return null;
+  }
+  return st;
+}
+
+async function handleReport(message, rest) {
+  const st = await requireHostAwaiting(message);
+  if (!st) return;
+
+  const match = findMatch(st.bracket, st.currentMatchId);
+  const winnerId = parseMentionIdsInOrder(rest)[0];
+  if (!match || (winnerId !== match.p1 && winnerId !== match.p2)) {
+    const who = match ? `${mention(match.p1)} or ${mention(match.p2)}` : "one of the players";
+    await reply({ message }, `❌ Tag the winner of the current match: ${who}.`);
+    return;
+  }
+
+  await settleMatch(st, message.channel, match, winnerId);
+}
+
+async function handleReplay(message) {
+  const st = await requireHostAwaiting(message);
+  if (!st) return;
+
+  st.phase = "between";
+  await playNextMatch(st, message.channel);
+}
+
+function renderStatus(st) {
+  if (st.bracket) return renderBracketText(st);
+  return `⏳ **${gameLabel(st.gameId)} Tournament** — sign-ups are open (started by ${mention(st.creatorId)}).`;
+}
+
+export function registerTournament(register) {
+  makeGameQoL(register, {
+    manager,
+    id: "tournament",
+    prettyName: "Tournament",
+    helpText: TOURNAMENT_HELP,
+    rulesText: TOURNAMENT_RULES,
+    renderStatus,
+    manageDeniedText: MANAGE_DENIED_TEXT,
+    cancel: async (st, { message }) => {
+      manager.stop({ guildId: st.guildId });
+      st.cancelled = true;
+      await updateBoard(st);
+
+      const note =
+        st.phase === "playing"
+          ? "\nThe current match keeps running as a normal game — use that game's cancel command to stop it."
+          : "";
+      await reply({ message }, `🛑 **Tournament cancelled** by ${mention(message.author.id)}.${note}`);
+    },
+  });
+
+  register(
+    "!tournament",
+    withGameSubcommands({
+      helpText: TOURNAMENT_HELP,
+      rulesText: TOURNAMENT_RULES,
+      statusAliases: ["status", "bracket"],
+      onStatus: async ({ message }) => {
+        const st = manager.getState({ guildId: message.guildId });
+        if (!st) return void (await reply({ message }, manager.noActiveText()));
+        if (!(await requireSameChannel({ message }, st, manager))) return;
+        await reply({ message }, renderStatus(st));
+      },
+      onStart: async ({ message, rest }) => {
+        if (!message.guildId) return;
+
+        const raw = cleanRest(rest);
+        if (!raw) return void (await reply({ message }, TOURNAMENT_HELP));
+
+        const sub = raw.split(/\s+/)[0].toLowerCase();
+        if (sub === "report") return await handleReport(message, raw.slice(sub.length));
+        if (sub === "replay") return await handleReplay(message);
+
+        await startTournament(message, raw);
+      },
+    }),
+    "!tournament <rps|blackjack|hol> [single|double|rr] [@players] — run a bracket of 1v1 matches. `!tournament help`.",
+    { helpTier: "primary" }
+  );
+}
+
+export const __testables = {
+  parseTournamentTokens,
+  awaitMatch,
+  MATCH_GAMES,
+};
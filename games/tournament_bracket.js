@@ -0,0 +1,220 @@
+// games/tournament_bracket.js
+//
+// Bracket engine for !tournament (pure: no Discord I/O).
+//
+// Elimination brackets are paired one round at a time from the current records:
+// a player is out after 1 loss (single) or 2 losses (double). In double
+// elimination the winners bracket (0 losses) and losers bracket (1 loss) are
+// paired separately; once only two players remain they meet in the final. If
+// the winners-bracket player loses that final both sit on one loss and the
+// next round is the bracket reset.
+//
+// Round robin uses the circle method; the full schedule is fixed up front and
+// the champion(s) are the players with the most wins.
+
+export const FORMAT_LABELS = {
+  single: "Single elimination",
+  double: "Double elimination",
+  roundrobin: "Round robin",
+};
+
+const FORMAT_ALIASES = {
+  single: "single",
+  se: "single",
+  elim: "single",
+  elimination: "single",
+  ko: "single",
+  double: "double",
+  de: "double",
+  rr: "roundrobin",
+  roundrobin: "roundrobin",
+};
+
+export function resolveFormat(raw) {
+  const norm = String(raw ?? "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  return FORMAT_ALIASES[norm] || null;
+}
+
+/**
+ * Circle-method schedule: n-1 rounds (n rounded up to even), every pair meets once.
+ * Returns rounds of [a, b] pairs; a null opponent marks a bye.
+ */
+export function roundRobinSchedule(ids) {
+  const list = [...ids];
+  if (list.length % 2) list.push(null);
+  const n = list.length;
+
+  const rounds = [];
+  for (let r = 0; r < n - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < n / 2; i++) pairs.push([list[i], list[n - 1 - i]]);
+    rounds.push(pairs);
+    list.splice(1, 0, list.pop()); // rotate everyone but the first slot
+  }
+  return rounds;
+}
+
+/**
+ * entrants: seeded order (best seed first).
+ */
+export function createBracket({ format, entrants }) {
+  const ids = [...new Set((entrants || []).map(String).filter(Boolean))];
+  if (!FORMAT_LABELS[format]) throw new Error(`Unknown tournament format: ${format}`);
+  if (ids.length < 2) throw new Error("A tournament needs at least 2 entrants");
+
+  const players = new Map();
+  ids.forEach((id, seed) => players.set(id, { id, seed, wins: 0, losses: 0, byes: 0 }));
+
+  const bracket = {
+    format,
+    maxLosses: format === "double" ? 2 : 1,
+    players,
+    rounds: [],
+    schedule: format === "roundrobin" ? roundRobinSchedule(ids) : null,
+    champions: null,
+    nextMatchId: 1,
+  };
+
+  startNextRound(bracket);
+  return bracket;
+}
+
+function seeded(bracket, ids) {
+  return [...ids].sort((a, b) => bracket.players.get(a).seed - bracket.players.get(b).seed);
+}
+
+export function aliveIds(bracket) {
+  const ids = [];
+  for (const p of bracket.players.values()) {
+    if (bracket.format === "roundrobin" || p.losses < bracket.maxLosses) ids.push(p.id);
+  }
+  return seeded(bracket, ids);
+}
+
+function addMatch(bracket, round, p1, p2, stage) {
+  round.matches.push({ id: bracket.nextMatchId++, p1, p2, stage, winnerId: null, loserId: null });
+}
+
+function giveBye(bracket, round, id) {
+  round.byes.push(id);
+  bracket.players.get(id).byes += 1;
+}
+
+// Odd groups: the bye goes to the best seed that has had the fewest byes.
+// Remaining players are folded (top seed vs bottom seed).
+function pairGroup(bracket, round, ids, stage) {
+  let pool = seeded(bracket, ids);
+  if (pool.length % 2) {
+    const fewest = Math.min(...pool.map((id) => bracket.players.get(id).byes));
+    const byeId = pool.find((id) => bracket.players.get(id).byes === fewest);
+    pool = pool.filter((id) => id !== byeId);
+    giveBye(bracket, round, byeId);
+  }
+  for (let i = 0; i < pool.length / 2; i++) addMatch(bracket, round, pool[i], pool[pool.length - 1 - i], stage);
+}
+
+function roundRobinChampions(bracket) {
+  const best = Math.max(...[...bracket.players.values()].map((p) => p.wins));
+  return seeded(
+    bracket,
+    [...bracket.players.values()].filter((p) => p.wins === best).map((p) => p.id)
+  );
+}
+
+function startNextRound(bracket) {
+  const round = { number: bracket.rounds.length + 1, matches: [], byes: [] };
+
+  if (bracket.format === "roundrobin") {
+    const pairs = bracket.schedule[bracket.rounds.length];
+    if (!pairs) {
+      bracket.champions = roundRobinChampions(bracket);
+      return null;
+    }
+    for (const [a, b] of pairs) {
+      if (a == null || b == null) giveBye(bracket, round, a ?? b);
+      else addMatch(bracket, round, a, b, null);
+    }
+    bracket.rounds.push(round);
+    return round;
+  }
+
+  const alive = aliveIds(bracket);
+  if (alive.length <= 1) {
+    bracket.champions = alive;
+    return null;
+  }
+
+  if (alive.length === 2) {
+    addMatch(bracket, round, alive[0], alive[1], "final");
+  } else if (bracket.format === "double") {
+    const lossesOf = (id) => bracket.players.get(id).losses;
+    pairGroup(bracket, round, alive.filter((id) => lossesOf(id) === 0), "winners");
+    pairGroup(bracket, round, alive.filter((id) => lossesOf(id) === 1), "losers");
+  } else {
+    pairGroup(bracket, round, alive, null);
+  }
+
+  bracket.rounds.push(round);
+  return round;
+}
+
+export function currentRound(bracket) {
+  return bracket.rounds[bracket.rounds.length - 1] || null;
+}
+
+export function isFinished(bracket) {
+  return Array.isArray(bracket?.champions);
+}
+
+/**
+ * Next match without a result (matches in a round are played in order).
+ */
+export function pendingMatch(bracket) {
+  if (isFinished(bracket)) return null;
+  return currentRound(bracket)?.matches.find((m) => !m.winnerId) || null;
+}
+
+export function findMatch(bracket, matchId) {
+  for (const round of bracket.rounds) {
+    const match = round.matches.find((m) => m.id === matchId);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Record a winner; advances to the next round once the current one is complete.
+ * Returns { ok, match, error }.
+ */
+export function reportResult(bracket, matchId, winnerId) {
+  if (isFinished(bracket)) return { ok: false, error: "The tournament is already finished." };
+
+  const match = findMatch(bracket, matchId);
+  if (!match) return { ok: false, error: "Unknown match." };
+  if (match.winnerId) return { ok: false, error: "That match already has a result." };
+
+  const winner = String(winnerId || "");
+  if (winner !== match.p1 && winner !== match.p2) return { ok: false, error: "The winner must be one of the two players." };
+
+  match.winnerId = winner;
+  match.loserId = winner === match.p1 ? match.p2 : match.p1;
+  bracket.players.get(match.winnerId).wins += 1;
+  bracket.players.get(match.loserId).losses += 1;
+
+  if (currentRound(bracket)?.matches.every((m) => m.winnerId)) startNextRound(bracket);
+  return { ok: true, match };
+}
+
+/**
+ * Players best-first: wins (round robin) or fewest losses then wins (elimination).
+ */
+export function standings(bracket) {
+  return [...bracket.players.values()].sort((a, b) => {
+    if (bracket.format !== "roundrobin" && a.losses !== b.losses) return a.losses - b.losses;
+    if (a.wins !== b.wins) return b.wins - a.wins;
+    if (a.losses !== b.losses) return a.losses - b.losses;
+    return a.seed - b.seed;
+  });
+}
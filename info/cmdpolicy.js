@@ -0,0 +1,311 @@
+// info/cmdpolicy.js
+//
+// /cmdpolicy — edit per-guild command exposure at runtime (admin/privileged).
+//   /cmdpolicy show
+//   /cmdpolicy set logical_id:<id> exposure:<bang|q|off|default>
+//   /cmdpolicy slash command:<name> exposure:<on|off|default>
+//   /cmdpolicy channel logical_id:<id> action:<allow|deny|remove|reset> [channel] [silent] [admin_bypass]
+//
+// Overrides are stored via shared/guild_settings.js and merged over
+// configs/command_exposure.js per logical id, so they apply immediately.
+
+import { MessageFlags } from "discord.js";
+import { isAdminOrPrivileged } from "../auth.js";
+import { logger } from "../shared/logger.js";
+import { getGuildSetting, updateGuildSettingEntry } from "../shared/guild_settings.js";
+
+const EXPOSURE_CHOICES = ["bang", "q", "off", "default"];
+const SLASH_EXPOSURE_CHOICES = ["on", "off", "default"];
+const CHANNEL_ACTIONS = ["allow", "deny", "remove", "reset"];
+const AUTOCOMPLETE_LIMIT = 25;
+
+function ephemeral(content) {
+  return { content, flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } };
+}
+
+/**
+ * Apply a /cmdpolicy channel action to the current policy for one logical id.
+ * Returns { ok: true, value } (value undefined => drop the override entry) or { ok: false, errorText }.
+ */
+function applyChannelAction(policy, { action, channelId = null, silent = null, adminBypass = null }) {
+  if (action === "reset") return { ok: true, value: undefined };
+
+  const allow = new Set((policy?.allow || []).map(String));
+  const deny = new Set((policy?.deny || []).map(String));
+  const cid = channelId ? String(channelId) : null;
+
+  if (!CHANNEL_ACTIONS.includes(action)) {
+    return { ok: false, errorText: `❌ Action must be one of: ${CHANNEL_ACTIONS.join(", ")}.` };
+  }
+  // "remove" without a channel is allowed when only the silent/admin_bypass flags change.
+  const flagsOnly = action === "remove" && (silent !== null || adminBypass !== null);
+  if (!cid && !flagsOnly) return { ok: false, errorText: "❌ Pick a channel for that action." };
+
+  if (cid) {
+    allow.delete(cid);
+    deny.delete(cid);
+    if (action === "allow") allow.add(cid);
+    if (action === "deny") deny.add(cid);
+  }
+
+  const next = {};
+  if (allow.size) next.allow = [...allow];
+  if (deny.size) next.deny = [...deny];
+  const nextSilent = silent ?? policy?.silent;
+  const nextBypass = adminBypass ?? policy?.allowAdminBypass;
+  if (nextSilent !== undefined) next.silent = Boolean(nextSilent);
+  if (nextBypass !== undefined) next.allowAdminBypass = Boolean(nextBypass);
+  return { ok: true, value: next };
+}
+
+function formatChannelPolicy(policy) {
+  const parts = [];
+  if (policy?.allow?.length) parts.push(`allow ${policy.allow.map((id) => `<#${id}>`).join(" ")}`);
+  if (policy?.deny?.length) parts.push(`deny ${policy.deny.map((id) => `<#${id}>`).join(" ")}`);
+  if (!parts.length) parts.push("no channel limits");
+  // Matches channelPolicyFor() in commands.js: silent unless explicitly false.
+  parts.push(policy?.silent === false ? "notify" : "silent");
+  if (policy?.allowAdminBypass) parts.push("admin bypass");
+  return parts.join(" · ");
+}
+
+function formatPolicySummary({ exposure, slash, channels, defaultExposure }) {
+  const lines = [`**Command Policy** (default: **${defaultExposure}**)`];
+
+  const exp = Object.entries(exposure || {}).sort(([a], [b]) => a.localeCompare(b));
+  lines.push("", "**Exposure**");
+  lines.push(...(exp.length ? exp.map(([id, v]) => `• \`${id}\` → **${v}**`) : ["• No overrides."]));
+
+  const slashOff = Object.entries(slash || {})
+    .filter(([, v]) => v === "off")
+    .map(([name]) => `\`/${name}\``)
+    .sort();
+  lines.push("", `**Slash commands off:** ${slashOff.length ? slashOff.join(", ") : "none"}`);
+
+  const ch = Object.entries(channels || {}).sort(([a], [b]) => a.localeCompare(b));
+  if (ch.length) {
+    lines.push("", "**Channel policies**");
+    lines.push(...ch.map(([id, p]) => `• \`${id}\` — ${formatChannelPolicy(p)}`));
+  }
+  return lines.join("\n");
+}
+
+function filterChoices(values, query) {
+  const q = String(query || "").toLowerCase();
+  return values
+    .filter((v) => v.toLowerCase().includes(q))
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map((v) => ({ name: v, value: v }));
+}
+
+/**
+ * registry: { defaultExposure, listLogicalIds(), isExposableId(id), listSlashNames(),
+ *             resyncGuildSlashCommands(guildId) -> "synced" | "global" | "unsynced" }
+ */
+export function registerCmdPolicy(register, registry) {
+  async function handleSet(interaction, gid) {
+    const logicalId = String(interaction.options?.getString?.("logical_id") || "").trim();
+    const exposure = String(interaction.options?.getString?.("exposure") || "").toLowerCase();
+    if (!registry.listLogicalIds().includes(logicalId)) {
+      await interaction.reply(ephemeral(`❌ Unknown command id \`${logicalId}\`.`));
+      return;
+    }
+    if (exposure === "q" && !registry.isExposableId(logicalId)) {
+      await interaction.reply(ephemeral(`❌ \`${logicalId}\` only supports **bang** or **off**.`));
+      return;
+    }
+
+    const res = await updateGuildSettingEntry({
+      guildId: gid,
+      key: "command_exposure",
+      entryKey: logicalId,
+      value: exposure === "default" ? undefined : exposure,
+      updatedBy: interaction.user?.id || null,
+    });
+    if (!res.ok) {
+      await interaction.reply(ephemeral(res.errorText));
+      return;
+    }
+    const effective = getGuildSetting(gid, "command_exposure")[logicalId] ?? registry.defaultExposure;
+    await interaction.reply(ephemeral(`✅ \`${logicalId}\` is now **${effective}** in this server.`));
+  }
+
+  async function handleSlash(interaction, gid) {
+    const command = String(interaction.options?.getString?.("command") || "").trim().replace(/^\//, "").toLowerCase();
+    const exposure = String(interaction.options?.getString?.("exposure") || "").toLowerCase();
+    if (!registry.listSlashNames().includes(command)) {
+      await interaction.reply(ephemeral(`❌ Unknown slash command \`/${command}\`.`));
+      return;
+    }
+    if (command === "cmdpolicy" && exposure === "off") {
+      await interaction.reply(ephemeral("❌ `/cmdpolicy` can't turn itself off."));
+      return;
+    }
+
+    const res = await updateGuildSettingEntry({
+      guildId: gid,
+      key: "slash_exposure",
+      entryKey: command,
+      value: exposure === "default" ? undefined : exposure,
+      updatedBy: interaction.user?.id || null,
+    });
+    if (!res.ok) {
+      await interaction.reply(ephemeral(res.errorText));
+      return;
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const effective = getGuildSetting(gid, "slash_exposure")[command] ?? "on";
+    let syncNote;
+    try {
+      const sync = await registry.resyncGuildSlashCommands(gid);
+      syncNote =
+        sync === "synced"
+          ? "Slash commands re-synced for this server."
+          : sync === "global"
+            ? "Slash commands are registered globally, so it stays in the command list but is blocked here."
+            : "Slash commands haven't been synced yet; the change applies on the next sync.";
+    } catch (err) {
+      logger.warn("cmdpolicy.slash_resync.failed", { guildId: gid, error: logger.serializeError(err) });
+      syncNote = "⚠️ Could not re-sync slash commands; the change still applies.";
+    }
+    await interaction.editReply(`✅ \`/${command}\` is now **${effective}** in this server. ${syncNote}`);
+  }
+
+  async function handleChannel(interaction, gid) {
+    const logicalId = String(interaction.options?.getString?.("logical_id") || "").trim();
+    const action = String(interaction.options?.getString?.("action") || "").toLowerCase();
+    if (!registry.listLogicalIds().includes(logicalId)) {
+      await interaction.reply(ephemeral(`❌ Unknown command id \`${logicalId}\`.`));
+      return;
+    }
+
+    const current = getGuildSetting(gid, "command_channel_policy")[logicalId] || null;
+    const next = applyChannelAction(current, {
+      action,
+      channelId: interaction.options?.getChannel?.("channel")?.id || null,
+      silent: interaction.options?.getBoolean?.("silent") ?? null,
+      adminBypass: interaction.options?.getBoolean?.("admin_bypass") ?? null,
+    });
+    if (!next.ok) {
+      await interaction.reply(ephemeral(next.errorText));
+      return;
+    }
+
+    const res = await updateGuildSettingEntry({
+      guildId: gid,
+      key: "command_channel_policy",
+      entryKey: logicalId,
+      value: next.value,
+      updatedBy: interaction.user?.id || null,
+    });
+    if (!res.ok) {
+      await interaction.reply(ephemeral(res.errorText));
+      return;
+    }
+    const effective = getGuildSetting(gid, "command_channel_policy")[logicalId] || null;
+    await interaction.reply(ephemeral(`✅ \`${logicalId}\`: ${formatChannelPolicy(effective)}`));
+  }
+
+  register.slash(
+    {
+      name: "cmdpolicy",
+      description: "View or change command exposure for this server (admin)",
+      options: [
+        { type: 1, name: "show", description: "Show this server's command policy" },
+        {
+          type: 1,
+          name: "set",
+          description: "Set how a command is exposed (!cmd, ?cmd or off)",
+          options: [
+            { type: 3, name: "logical_id", description: "Command id (e.g. rng.roll)", required: true, autocomplete: true },
+            {
+              type: 3,
+              name: "exposure",
+              description: "bang (!cmd), q (?cmd), off, or default (config file)",
+              required: true,
+              choices: EXPOSURE_CHOICES.map((v) => ({ name: v, value: v })),
+            },
+          ],
+        },
+        {
+          type: 1,
+          name: "slash",
+          description: "Turn a slash command on or off in this server",
+          options: [
+            { type: 3, name: "command", description: "Slash command name", required: true, autocomplete: true },
+            {
+              type: 3,
+              name: "exposure",
+              description: "on, off, or default (config file)",
+              required: true,
+              choices: SLASH_EXPOSURE_CHOICES.map((v) => ({ name: v, value: v })),
+            },
+          ],
+        },
+        {
+          type: 1,
+          name: "channel",
+          description: "Limit which channels a command works in",
+          options: [
+            { type: 3, name: "logical_id", description: "Command id (e.g. rng.roll)", required: true, autocomplete: true },
+            {
+              type: 3,
+              name: "action",
+              description: "allow/deny a channel, remove it from both lists, or reset to the config file",
+              required: true,
+              choices: CHANNEL_ACTIONS.map((v) => ({ name: v, value: v })),
+            },
+            { type: 7, name: "channel", description: "Channel to allow/deny/remove", required: false },
+            { type: 5, name: "silent", description: "Ignore blocked uses silently (default true)", required: false },
+            { type: 5, name: "admin_bypass", description: "Let admins use it anywhere", required: false },
+          ],
+        },
+      ],
+    },
+    async ({ interaction }) => {
+      const gid = interaction.guildId ? String(interaction.guildId) : null;
+      if (!gid) {
+        await interaction.reply(ephemeral("❌ Use this in a server."));
+        return;
+      }
+      if (!isAdminOrPrivileged(interaction)) {
+        await interaction.reply(ephemeral("❌ You do not have permission to change command policy."));
+        return;
+      }
+
+      const sub = interaction.options?.getSubcommand?.() || "show";
+      try {
+        if (sub === "set") return await handleSet(interaction, gid);
+        if (sub === "slash") return await handleSlash(interaction, gid);
+        if (sub === "channel") return await handleChannel(interaction, gid);
+        await interaction.reply(
+          ephemeral(
+            formatPolicySummary({
+              exposure: getGuildSetting(gid, "command_exposure"),
+              slash: getGuildSetting(gid, "slash_exposure"),
+              channels: getGuildSetting(gid, "command_channel_policy"),
+              defaultExposure: registry.defaultExposure,
+            })
+          )
+        );
+      } catch (err) {
+        logger.warn("cmdpolicy.update.failed", { guildId: gid, sub, error: logger.serializeError(err) });
+        const content = "❌ Could not save the command policy. Please try again later.";
+        if (interaction.deferred || interaction.replied) await interaction.editReply(content);
+        else await interaction.reply(ephemeral(content));
+      }
+    },
+    {
+      admin: true,
+      tier: "admin",
+      autocomplete: async ({ interaction }) => {
+        const focused = interaction.options?.getFocused?.(true);
+        const values = focused?.name === "command" ? registry.listSlashNames() : registry.listLogicalIds();
+        await interaction.respond(filterChoices(values, focused?.value));
+      },
+    }
+  );
+}
+
+export const __testables = { applyChannelAction, formatChannelPolicy, formatPolicySummary, filterChoices };
@@ -3,10 +3,24 @@ import path from "node:path";
 import Fuse from "fuse.js";
 import { createWikiService } from "./wiki.js";
 import { isAdminOrPrivileged } from "../auth.js";
-import { embedTexts, getDefaultLocalEmbeddingModel } from "../shared/local_embeddings.js";
+import { getUserText, setUserText, deleteUserText } from "../db.js";
+import { getGuildSetting } from "../shared/guild_settings.js";
+import { faqFeedbackRow, recordFaqQuery, registerFaqFeedback } from "./faq_feedback.js";
+import { registerFaqAdmin } from "./faq_admin.js";
+import { registerFaqAutoAnswer } from "./faq_auto.js";
+import {
+  embedTexts,
+  getDefaultLocalEmbeddingModel,
+  getDefaultMultilingualEmbeddingModel
+} from "../shared/local_embeddings.js";
 
 const DEFAULT_LOCAL_EMBEDDING_MODEL = getDefaultLocalEmbeddingModel();
 
+// "en" is the base entry text; other locales come from an entry's `locales` block.
+const FAQ_LOCALES = ["en", "es", "pt"];
+const FAQ_LOCALE_NAMES = { en: "English", es: "Español", pt: "Português" };
+const K_FAQ_LOCALE = "faqlang"; // user_texts kind (<= 8 chars)
+
 /**
  * Read numeric env var from the first key that exists and parses as a number.
  */
@@ -22,20 +36,25 @@ function envNumber(...keys) {
 }
 
 function normalize(text) {
-  return (text ?? "")
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // fold accents (é -> e, ñ -> n, ç -> c)
     .toLowerCase()
     .replace(/[^a-z0-9\s]/g, " ")
     .replace(/\s+/g, " ")
     .trim();
 }
 
-// Keep list conservative. Do NOT remove "not", "no", etc.
-function stripStopwords(norm) {
+// Keep lists conservative. Do NOT remove "not", "no", "nao", etc.
+const STOPWORDS_BY_LOCALE = {
+  en: /\b(i|im|i'm|can|cant|can't|could|would|should|please|plz|the|a|an|to|of|for|on|in|at|is|are|am|do|does|did|what|when|why|how)\b/g,
+  es: /\b(yo|puedo|puede|podria|por favor|porfa|el|la|los|las|un|una|de|del|al|para|en|es|son|esta|estan|que|como|cuando|donde|cual|se|me|mi|hay)\b/g,
+  pt: /\b(eu|posso|pode|poderia|por favor|pfv|o|a|os|as|um|uma|de|do|da|dos|das|para|pra|em|e|sao|esta|estao|que|como|quando|onde|qual|se|me|meu|minha|tem)\b/g
+};
+
+function stripStopwords(norm, locale = "en") {
   return String(norm ?? "")
-    .replace(
-      /\b(i|im|i'm|can|cant|can't|could|would|should|please|plz|the|a|an|to|of|for|on|in|at|is|are|am|do|does|did|what|when|why|how)\b/g,
-      " "
-    )
+    .replace(STOPWORDS_BY_LOCALE[locale] || STOPWORDS_BY_LOCALE.en, " ")
     .replace(/\s+/g, " ")
     .trim();
 }
@@ -167,16 +186,120 @@ const QUERY_SHORTHAND_MAP = new Map([
   ["bak", "back"]
 ]);
 
+// Chat shorthand per locale. Only the query's locale is applied: "u" is "you"
+// in English but "or" in Spanish.
+const QUERY_SHORTHAND_MAP_BY_LOCALE = {
+  en: QUERY_SHORTHAND_MAP,
+  es: new Map([
+    ["q", "que"],
+    ["k", "que"],
+    ["xq", "porque"],
+    ["pq", "porque"],
+    ["tmb", "tambien"],
+    ["tb", "tambien"],
+    ["dnd", "donde"],
+    ["cdo", "cuando"],
+    ["xa", "para"],
+    ["pa", "para"],
+    ["toy", "estoy"],
+    ["nd", "nada"],
+    ["bn", "bien"],
+    ["hrs", "horas"]
+  ]),
+  pt: new Map([
+    ["q", "que"],
+    ["vc", "voce"],
+    ["vcs", "voces"],
+    ["pq", "porque"],
+    ["tb", "tambem"],
+    ["tbm", "tambem"],
+    ["qnd", "quando"],
+    ["qdo", "quando"],
+    ["cmg", "comigo"],
+    ["msm", "mesmo"],
+    ["mt", "muito"],
+    ["mto", "muito"],
+    ["hj", "hoje"],
+    ["oq", "o que"],
+    ["td", "tudo"],
+    ["n", "nao"],
+    ["hrs", "horas"]
+  ])
+};
+
+// Function words that give a query's language away. Words shared by Spanish
+// and Portuguese ("como", "que", "para") are left out so they don't tip it.
+const LOCALE_HINT_WORDS = {
+  en: new Set([
+    "i", "im", "the", "how", "what", "where", "when", "why", "which", "is", "are", "do", "does",
+    "can", "my", "you", "get", "to", "of", "and", "it", "there"
+  ]),
+  es: new Set([
+    "cual", "cuales", "cuando", "donde", "puedo", "puede", "hay", "tengo", "quiero", "necesito",
+    "el", "los", "las", "una", "del", "al", "y", "con", "mi", "mis", "esta", "estoy", "hacer",
+    "consigo", "conseguir", "tambien", "gracias", "hola", "pokemones", "dorado", "dorados",
+    "intercambio", "intercambiar", "cuanto", "cuanta", "porque", "xq", "k", "tmb", "dnd", "pa", "ayuda"
+  ]),
+  pt: new Set([
+    "qual", "quais", "quando", "onde", "posso", "tem", "tenho", "quero", "preciso", "voce", "vc",
+    "os", "um", "uma", "do", "da", "dos", "das", "nao", "e", "com", "meu", "minha", "fazer", "pra",
+    "no", "na", "dourado", "dourados", "troca", "trocar", "estou", "eu", "isso", "obrigado",
+    "ola", "quanto", "quanta", "ajuda", "tbm", "hj", "oq", "pq", "tambem"
+  ])
+};
+
+/**
+ * Best-guess query language ("en" | "es" | "pt"), or null when it can't tell.
+ */
+function detectQueryLocale(text) {
+  const raw = String(text ?? "");
+  const scores = { en: 0, es: 0, pt: 0 };
+
+  // Letters/punctuation only one of the two uses.
+  if (/[ñ¿¡]/i.test(raw)) scores.es += 2;
+  if (/[ãõç]/i.test(raw)) scores.pt += 2;
+
+  for (const token of normalize(raw).split(" ")) {
+    for (const locale of FAQ_LOCALES) {
+      if (LOCALE_HINT_WORDS[locale].has(token)) scores[locale] += 1;
+    }
+  }
+
+  const ranked = FAQ_LOCALES.map((locale) => [locale, scores[locale]]).sort((a, b) => b[1] - a[1]);
+  const [[bestLocale, bestScore], [, secondScore]] = ranked;
+  if (!bestScore || bestScore === secondScore) return null;
+  // A lone foreign hint word ("e", "no") isn't enough to leave English.
+  if (bestLocale !== "en" && bestScore < 2) return null;
+  return bestLocale;
+}
+
+function isFaqLocale(locale) {
+  return FAQ_LOCALES.includes(String(locale ?? "").toLowerCase());
+}
+
+/**
+ * Answer locale: the asker's !faqlang choice, else the detected query language,
+ * else the guild default. Query processing follows the detected language when
+ * there is one.
+ */
+function resolveFaqLocales({ questionRaw, userLocale = null, guildLocale = null }) {
+  const detected = detectQueryLocale(questionRaw);
+  const locale =
+    [userLocale, detected, guildLocale].map((l) => String(l ?? "").toLowerCase()).find(isFaqLocale) || "en";
+  return { locale, queryLocale: detected || locale, detected };
+}
+
 function collapseRepeats(token) {
   return String(token ?? "").replace(/(.)\1{2,}/g, "$1$1");
 }
 
-function expandShorthandToken(token) {
+function expandShorthandToken(token, locale = "en") {
   const value = String(token ?? "").trim().toLowerCase();
   if (!value) return [];
 
-  if (QUERY_SHORTHAND_MAP.has(value)) {
-    return QUERY_SHORTHAND_MAP.get(value).split(/\s+/).filter(Boolean);
+  const shorthand = QUERY_SHORTHAND_MAP_BY_LOCALE[locale] || QUERY_SHORTHAND_MAP;
+  if (shorthand.has(value)) {
+    return shorthand.get(value).split(/\s+/).filter(Boolean);
   }
 
   const hoursMatch = value.match(/^(\d+)(hrs?|hr|h)$/);
@@ -253,11 +376,11 @@ function buildCorrectionLexicon(entries) {
   };
 }
 
-function correctToken(token, correctionLexicon) {
+function correctToken(token, correctionLexicon, locale = "en") {
   const raw = collapseRepeats(String(token ?? "").trim().toLowerCase());
   if (!raw) return [];
 
-  const expanded = expandShorthandToken(raw);
+  const expanded = expandShorthandToken(raw, locale);
   const corrected = [];
 
   for (const expandedToken of expanded) {
@@ -305,19 +428,19 @@ function correctToken(token, correctionLexicon) {
   return corrected;
 }
 
-function correctVariantText(variant, correctionLexicon) {
+function correctVariantText(variant, correctionLexicon, locale = "en") {
   const norm = normalize(variant);
   if (!norm) return "";
-  const correctedTokens = tokenize(norm).flatMap((token) => correctToken(token, correctionLexicon));
+  const correctedTokens = tokenize(norm).flatMap((token) => correctToken(token, correctionLexicon, locale));
   return correctedTokens.join(" ").trim();
 }
 
-function preprocessQuestion(text) {
+function preprocessQuestion(text, locale = "en") {
   const raw = String(text ?? "").trim();
   const norm = normalize(raw);
   const alias = aliasNormalize(norm);
-  const stopwordStripped = stripStopwords(norm);
-  const aliasStopwordStripped = stripStopwords(alias);
+  const stopwordStripped = stripStopwords(norm, locale);
+  const aliasStopwordStripped = stripStopwords(alias, locale);
   const searchVariants = uniqueStrings([norm, alias, stopwordStripped, aliasStopwordStripped]);
   const tokenSets = searchVariants.map((variant) => tokenize(variant));
   const aggregateTokens = uniqueStrings(tokenSets.flat());
@@ -330,12 +453,13 @@ function preprocessQuestion(text) {
     aliasStopwordStripped,
     searchVariants,
     tokenSets,
-    aggregateTokens
+    aggregateTokens,
+    locale
   };
 }
 
-function preprocessQuery(text, correctionLexicon) {
-  const base = preprocessQuestion(text);
+function preprocessQuery(text, correctionLexicon, locale = "en") {
+  const base = preprocessQuestion(text, locale);
   if (!correctionLexicon) {
     return {
       ...base,
@@ -344,13 +468,13 @@ function preprocessQuery(text, correctionLexicon) {
   }
 
   const correctedVariants = base.searchVariants
-    .map((variant) => correctVariantText(variant, correctionLexicon))
+    .map((variant) => correctVariantText(variant, correctionLexicon, locale))
     .filter(Boolean);
   const searchVariants = uniqueStrings([...base.searchVariants, ...correctedVariants]);
   const tokenSets = searchVariants.map((variant) => tokenize(variant));
   const aggregateTokens = uniqueStrings(tokenSets.flat());
-  const correctedRaw = correctVariantText(base.raw, correctionLexicon);
-  const correctedAlias = correctVariantText(base.alias, correctionLexicon);
+  const correctedRaw = correctVariantText(base.raw, correctionLexicon, locale);
+  const correctedAlias = correctVariantText(base.alias, correctionLexicon, locale);
 
   return {
     ...base,
@@ -375,6 +499,38 @@ function buildTokenFrequency(variants) {
   return freq;
 }
 
+/**
+ * Per-locale text from an entry's `locales` block:
+ *   "locales": { "es": { "q": "...", "a": "...", "triggers": [...] }, "pt": { ... } }
+ * Accepts the same field names as the base entry. Either the answer or the
+ * question variants may be missing (variants still help matching).
+ */
+function normalizeEntryLocales(locales) {
+  const out = {};
+  if (!locales || typeof locales !== "object" || Array.isArray(locales)) return out;
+
+  for (const [localeRaw, data] of Object.entries(locales)) {
+    const locale = String(localeRaw).trim().toLowerCase();
+    if (locale === "en" || !isFaqLocale(locale)) continue;
+    if (!data || typeof data !== "object") continue;
+
+    const answer = String(data.a ?? data.answer ?? data.response ?? "").trim();
+    const question = String(data.q ?? data.question ?? "").trim();
+    const variants = uniqueStrings([
+      question,
+      ...asStringArray(data.examples),
+      ...asStringArray(data.triggers),
+      ...asStringArray(data.aliases),
+      ...asStringArray(data.keywords)
+    ]);
+    if (!answer && !variants.length) continue;
+
+    out[locale] = { q: question || variants[0] || "", a: answer, variants };
+  }
+
+  return out;
+}
+
 function normalizeFaqEntry(entry) {
   if (!entry || typeof entry !== "object") return null;
 
@@ -404,9 +560,16 @@ function normalizeFaqEntry(entry) {
     ...keywords
   ]);
 
-  const processedVariants = allVariants
-    .map((variant) => preprocessQuestion(variant))
-    .filter((variant) => variant.norm);
+  const locales = normalizeEntryLocales(entry.locales);
+
+  // Translated variants share the lexical index so Spanish/Portuguese queries
+  // can hit the same entry.
+  const processedVariants = [
+    ...allVariants.map((variant) => preprocessQuestion(variant)),
+    ...Object.entries(locales).flatMap(([locale, data]) =>
+      data.variants.map((variant) => preprocessQuestion(variant, locale))
+    )
+  ].filter((variant) => variant.norm);
 
   if (!processedVariants.length) return null;
 
@@ -420,6 +583,7 @@ function normalizeFaqEntry(entry) {
     threshold: typeof entry.threshold === "number" ? entry.threshold : null,
     intentDescription,
     variants: allVariants,
+    locales,
     denyTerms,
     processedVariants,
     canonicalProcessed,
@@ -438,6 +602,7 @@ function readFaqFiles(fileNames) {
     Array.isArray(fileNames) && fileNames.length ? fileNames : ["data/faq.json"];
 
   const mergedEntries = new Map();
+  const rawById = new Map();
   let version = null;
 
   for (const fileName of fileList) {
@@ -458,15 +623,52 @@ function readFaqFiles(fileNames) {
       const normalized = normalizeFaqEntry(entry);
       if (!normalized) continue;
       mergedEntries.set(normalized.id, normalized);
+      rawById.set(normalized.id, entry);
     }
   }
 
   return {
     version,
-    entries: [...mergedEntries.values()]
+    entries: [...mergedEntries.values()],
+    rawById
   };
 }
 
+/**
+ * File entries with /faqadmin overrides layered on top (id -> raw entry, or
+ * null for a deleted entry). Overrides keep the file entry's position.
+ */
+function layerFaqOverrides(fileData, overrides) {
+  const byId = new Map(fileData.entries.map((entry) => [entry.id, entry]));
+
+  for (const [id, raw] of overrides) {
+    if (raw === null) {
+      byId.delete(id);
+      continue;
+    }
+    const normalized = normalizeFaqEntry(raw);
+    if (normalized) byId.set(id, normalized);
+  }
+
+  return { version: fileData.version, entries: [...byId.values()] };
+}
+
+const FAQ_ID_RE = /^[a-z0-9][a-z0-9_.-]{0,127}$/i;
+
+/**
+ * Validate a raw entry the way the loader reads it.
+ * Returns { ok: true, entry } (normalized) or { ok: false, errorText }.
+ */
+function validateFaqEntry(raw) {
+  const id = String(raw?.id ?? "").trim();
+  if (!FAQ_ID_RE.test(id)) {
+    return { ok: false, errorText: "FAQ ids use letters, numbers, `_`, `.` or `-` (max 128)." };
+  }
+  const entry = normalizeFaqEntry(raw);
+  if (!entry) return { ok: false, errorText: "An FAQ entry needs an answer and at least one question." };
+  return { ok: true, entry };
+}
+
 function buildFuseIndex(entries) {
   const docs = [];
 
@@ -615,10 +817,35 @@ function buildEntryEmbeddingText(entry) {
   ].join("\n");
 }
 
-async function buildEmbeddingIndex({ entries, model }) {
-  const texts = entries.map((entry) => buildEntryEmbeddingText(entry));
-  const embeddings = await embedTexts(texts, { model });
-  return new Map(entries.map((entry, index) => [entry.id, embeddings[index]]));
+function buildLocalizedEmbeddingTexts(entry) {
+  const localized = Object.values(entry.locales || {})
+    .filter((data) => data.variants.length)
+    .map((data) =>
+      [`FAQ: ${data.q}`, ...data.variants.slice(0, 16).map((variant) => `Example: ${variant}`)].join("\n")
+    );
+  return [buildEntryEmbeddingText(entry), ...localized];
+}
+
+/**
+ * Entry id -> embedding. The multilingual index keeps one vector per language
+ * the entry has text for (id -> [vector, ...]).
+ */
+async function buildEmbeddingIndex({ entries, model, multilingual = false }) {
+  if (!multilingual) {
+    const texts = entries.map((entry) => buildEntryEmbeddingText(entry));
+    const embeddings = await embedTexts(texts, { model });
+    return new Map(entries.map((entry, index) => [entry.id, embeddings[index]]));
+  }
+
+  const textsByEntry = entries.map((entry) => buildLocalizedEmbeddingTexts(entry));
+  const embeddings = await embedTexts(textsByEntry.flat(), { model });
+  const index = new Map();
+  let offset = 0;
+  entries.forEach((entry, i) => {
+    index.set(entry.id, embeddings.slice(offset, offset + textsByEntry[i].length));
+    offset += textsByEntry[i].length;
+  });
+  return index;
 }
 
 function bestFuseScores(fuse, query) {
@@ -779,8 +1006,12 @@ function rankEmbeddingHybridCandidates({ index, lexicalCandidates, entryEmbeddin
     .map((entry) => {
       const lexical = lexicalById.get(entry.id);
       const entryEmbedding = entryEmbeddings.get(entry.id);
+      // Multilingual indexes hold one vector per language; take the closest.
+      const entryVectors = Array.isArray(entryEmbedding?.[0]) ? entryEmbedding : [entryEmbedding];
       const embedding = Math.max(
-        ...queryEmbeddings.map((queryEmbedding) => cosineVectorSimilarity(queryEmbedding, entryEmbedding))
+        ...queryEmbeddings.flatMap((queryEmbedding) =>
+          entryVectors.map((entryVector) => cosineVectorSimilarity(queryEmbedding, entryVector))
+        )
       );
       const fuse = lexical?.components?.fuse ?? 0;
       const tfidf = lexical?.components?.semantic ?? 0;
@@ -826,6 +1057,21 @@ function rankEmbeddingHybridCandidates({ index, lexicalCandidates, entryEmbeddin
   };
 }
 
+const CLARIFY_PREFIX_BY_LOCALE = {
+  en: "Best FAQ match",
+  es: "Mejor coincidencia del FAQ",
+  pt: "Melhor resultado do FAQ"
+};
+
+/**
+ * Entry text in `locale` when the entry has a translated answer, else English.
+ */
+function localizedAnswer(entry, locale) {
+  const localized = entry.locales?.[locale];
+  if (!localized?.a) return { locale: "en", q: entry.q, a: entry.a };
+  return { locale, q: localized.q || entry.q, a: localized.a };
+}
+
 function formatFaqDebug(result) {
   if (!result?.candidates?.length) return "No FAQ candidates found.";
 
@@ -850,6 +1096,7 @@ function formatFaqDebug(result) {
     `Method: ${result.method || "unknown"}`,
     `Query: ${result.questionRaw}`,
     `Normalized: ${result.questionNorm || "(empty)"}`,
+    `Locale: ${result.locale || "en"}`,
     `Decision: ${result.decision?.type || "abstain"}`,
     `Threshold: ${threshold.toFixed(3)}`,
     `Margin: ${(best?.margin01 ?? 0).toFixed(3)}`,
@@ -904,6 +1151,7 @@ export function createFaqService(options = {}) {
   const EMBEDDING_MODEL =
     String(process.env.FAQ_LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_EMBEDDING_MODEL).trim() ||
     DEFAULT_LOCAL_EMBEDDING_MODEL;
+  const MULTILINGUAL_EMBEDDING_MODEL = getDefaultMultilingualEmbeddingModel();
 
   const NEAR_MISS_MIN =
     envNumber("FAQ_NEAR_MISS_MIN", "NEAR_MISS_MIN") ?? 0.60;
@@ -921,22 +1169,138 @@ export function createFaqService(options = {}) {
 
   const lastFaqResponseAt = new Map(); // key `${channelId}:${faqId}` -> epochMs
 
-  let faqData = readFaqFiles(faqFiles);
+  // /faqadmin edits (id -> raw entry, or null when deleted), layered over the files.
+  const entryOverrides = new Map();
+  let fileData = readFaqFiles(faqFiles);
+  let faqData = layerFaqOverrides(fileData, entryOverrides);
   let faqIndex = buildFaqIndex(faqData);
-  let embeddingIndexPromise = null;
-  let embeddingDisabledReason = null;
   const queryEmbeddingPromiseByKey = new Map();
 
+  // "local" serves English queries; "multilingual" (loaded on first use) serves
+  // the other locales and falls back to "local" when it's off or fails to load.
+  const embeddingStates = {
+    local: { model: EMBEDDING_MODEL, multilingual: false },
+    multilingual: { model: MULTILINGUAL_EMBEDDING_MODEL, multilingual: true }
+  };
+
+  function resetEmbeddingStates() {
+    for (const state of Object.values(embeddingStates)) {
+      state.indexPromise = null;
+      state.disabledReason = state.model ? null : "no model configured";
+    }
+    queryEmbeddingPromiseByKey.clear();
+  }
+  resetEmbeddingStates();
+
   function reload() {
-    faqData = readFaqFiles(faqFiles);
+    fileData = readFaqFiles(faqFiles);
+    faqData = layerFaqOverrides(fileData, entryOverrides);
     faqIndex = buildFaqIndex(faqData);
-    embeddingIndexPromise = null;
-    embeddingDisabledReason = null;
-    queryEmbeddingPromiseByKey.clear();
+    resetEmbeddingStates();
     return { count: faqData.entries.length, version: faqData.version ?? null };
   }
 
+  /**
+   * Rebuild the lexical index (IDF is corpus-wide, so it's rebuilt whole) and
+   * patch already-built embedding indexes for just the changed ids.
+   */
+  function rebuildForChanges(changedIds) {
+    faqData = layerFaqOverrides(fileData, entryOverrides);
+    faqIndex = buildFaqIndex(faqData);
+
+    const liveIds = new Set(faqIndex.entries.map((entry) => entry.id));
+    const changed = faqIndex.entries.filter((entry) => changedIds.includes(entry.id));
+
+    for (const [kind, state] of Object.entries(embeddingStates)) {
+      if (!state.indexPromise || state.disabledReason) continue;
+      state.indexPromise = state.indexPromise
+        .then(async (index) => {
+          if (!index) return index;
+          const next = new Map([...index].filter(([id]) => liveIds.has(id)));
+          if (changed.length) {
+            const fresh = await buildEmbeddingIndex({
+              entries: changed,
+              model: state.model,
+              multilingual: state.multilingual
+            });
+            for (const [id, embedding] of fresh) next.set(id, embedding);
+          }
+          return next;
+        })
+        .catch((error) => {
+          state.disabledReason = error?.message || "unknown embedding error";
+          console.error(`[FAQ][EMBEDDINGS] ${kind} update failed:`, error);
+          return null;
+        });
+    }
+  }
+
+  /**
+   * Replace all overrides (boot-time load from the database).
+   */
+  function applyOverrides(rows) {
+    const changedIds = new Set(entryOverrides.keys());
+    entryOverrides.clear();
+    for (const { id, entry } of rows || []) {
+      entryOverrides.set(String(id), entry ?? null);
+      changedIds.add(String(id));
+    }
+    rebuildForChanges([...changedIds]);
+    return { count: faqData.entries.length, overrides: entryOverrides.size };
+  }
+
+  function upsertEntry(raw) {
+    const res = validateFaqEntry(raw);
+    if (!res.ok) return res;
+    entryOverrides.set(res.entry.id, raw);
+    rebuildForChanges([res.entry.id]);
+    return res;
+  }
+
+  function removeEntry(id) {
+    entryOverrides.set(String(id), null);
+    rebuildForChanges([String(id)]);
+  }
+
+  /**
+   * Raw entry for editing + where it comes from: "db" (/faqadmin), "file",
+   * "deleted" or null when unknown.
+   */
+  function getEntry(id) {
+    const key = String(id ?? "").trim();
+    if (entryOverrides.has(key)) {
+      const raw = entryOverrides.get(key);
+      return raw === null ? { raw: null, source: "deleted" } : { raw, source: "db" };
+    }
+    const raw = fileData.rawById.get(key);
+    return raw ? { raw, source: "file" } : { raw: null, source: null };
+  }
+
+  function listEntryIds() {
+    return faqIndex.entries.map((entry) => entry.id);
+  }
+
+  /**
+   * Where `entryId` ranks for a query (1-based, null when absent) plus the
+   * current top match and decision.
+   */
+  async function rankOf({ questionRaw, entryId }) {
+    const result = await debugMatch({ questionRaw, limit: Math.max(1, faqIndex.entries.length) });
+    const index = result.candidates.findIndex((candidate) => candidate.entry.id === entryId);
+    return {
+      rank: index === -1 ? null : index + 1,
+      score: index === -1 ? null : result.candidates[index].score01,
+      topId: result.best?.entry?.id ?? null,
+      decision: result.decision?.type || "abstain",
+      method: result.method
+    };
+  }
+
   function thresholdForMethod(method) {
+    if (method === "multilingual_embedding_hybrid") {
+      // Cross-language matches get little lexical support, so this sits lower.
+      return envNumber("FAQ_MULTILINGUAL_EMBEDDING_THRESHOLD") ?? 0.48;
+    }
     if (method === "local_embedding_hybrid") {
       return envNumber("FAQ_LOCAL_EMBEDDING_THRESHOLD") ?? 0.53;
     }
@@ -944,6 +1308,10 @@ export function createFaqService(options = {}) {
   }
 
   function clarifyThresholdForMethod(method) {
+    if (method === "multilingual_embedding_hybrid") {
+      const answerThreshold = thresholdForMethod(method);
+      return Math.min(answerThreshold, envNumber("FAQ_MULTILINGUAL_EMBEDDING_CLARIFY_THRESHOLD") ?? 0.42);
+    }
     if (method === "local_embedding_hybrid") {
       const answerThreshold = thresholdForMethod(method);
       return Math.min(answerThreshold, envNumber("FAQ_LOCAL_EMBEDDING_CLARIFY_THRESHOLD") ?? 0.47);
@@ -973,19 +1341,21 @@ export function createFaqService(options = {}) {
     lastFaqResponseAt.set(`${channelId}:${faqId}`, nowMs());
   }
 
-  async function ensureEmbeddingIndex() {
-    if (embeddingDisabledReason) return null;
-    if (!embeddingIndexPromise) {
-      embeddingIndexPromise = buildEmbeddingIndex({
+  async function ensureEmbeddingIndex(kind = "local") {
+    const state = embeddingStates[kind];
+    if (state.disabledReason) return null;
+    if (!state.indexPromise) {
+      state.indexPromise = buildEmbeddingIndex({
         entries: faqIndex.entries,
-        model: EMBEDDING_MODEL
+        model: state.model,
+        multilingual: state.multilingual
       }).catch((error) => {
-        embeddingDisabledReason = error?.message || "unknown embedding error";
-        console.error("[FAQ][EMBEDDINGS] disabled:", error);
+        state.disabledReason = error?.message || "unknown embedding error";
+        console.error(`[FAQ][EMBEDDINGS] ${kind} disabled:`, error);
         return null;
       });
     }
-    return embeddingIndexPromise;
+    return state.indexPromise;
   }
 
   async function warmup() {
@@ -993,21 +1363,23 @@ export function createFaqService(options = {}) {
       ensureEmbeddingIndex(),
       getQueryEmbedding("faq warmup")
     ]);
-    return Boolean(entryEmbeddings && !embeddingDisabledReason);
+    return Boolean(entryEmbeddings && !embeddingStates.local.disabledReason);
   }
 
-  async function getQueryEmbedding(questionRaw) {
-    const query = preprocessQuery(questionRaw, faqIndex.correctionLexicon);
+  async function getQueryEmbedding(questionRaw, { kind = "local", locale = "en" } = {}) {
+    const state = embeddingStates[kind];
+    if (state.disabledReason) return [];
+    const query = preprocessQuery(questionRaw, faqIndex.correctionLexicon, locale);
     const embeddingTexts = query.embeddingTexts.length ? query.embeddingTexts : [questionRaw];
-    const cacheKey = `${EMBEDDING_MODEL}:${embeddingTexts.join("||")}`;
+    const cacheKey = `${state.model}:${embeddingTexts.join("||")}`;
     if (!queryEmbeddingPromiseByKey.has(cacheKey)) {
       const promise = embedTexts(embeddingTexts, {
-        model: EMBEDDING_MODEL
+        model: state.model
       })
         .then((rows) => rows.filter(Boolean))
         .catch((error) => {
-          embeddingDisabledReason = error?.message || "unknown query embedding error";
-          console.error("[FAQ][EMBEDDINGS] query failed:", error);
+          state.disabledReason = error?.message || "unknown query embedding error";
+          console.error(`[FAQ][EMBEDDINGS] ${kind} query failed:`, error);
           return [];
         });
       queryEmbeddingPromiseByKey.set(cacheKey, promise);
@@ -1015,13 +1387,14 @@ export function createFaqService(options = {}) {
     return queryEmbeddingPromiseByKey.get(cacheKey);
   }
 
-  function debugMatchLexical({ questionRaw, limit = 5 }) {
-    const query = preprocessQuery(questionRaw, faqIndex.correctionLexicon);
+  function debugMatchLexical({ questionRaw, limit = 5, locale = "en" }) {
+    const query = preprocessQuery(questionRaw, faqIndex.correctionLexicon, locale);
     if (!query.norm) {
       const result = {
         method: "hybrid_lexical",
         questionRaw,
         questionNorm: "",
+        locale,
         defaultThreshold: thresholdForMethod("hybrid_lexical"),
         decision: { type: "abstain", reason: "empty_query" },
         best: null,
@@ -1035,6 +1408,7 @@ export function createFaqService(options = {}) {
       method: "hybrid_lexical",
       questionRaw,
       questionNorm: query.norm,
+      locale,
       defaultThreshold: thresholdForMethod("hybrid_lexical"),
       decision: null,
       best: ranked.best,
@@ -1044,41 +1418,52 @@ export function createFaqService(options = {}) {
     return result;
   }
 
-  async function debugMatch({ questionRaw, limit = 5 }) {
-    const lexical = debugMatchLexical({ questionRaw, limit });
+  /**
+   * `locale` is the query language; detected from the text when omitted.
+   */
+  async function debugMatch({ questionRaw, limit = 5, locale = null }) {
+    const queryLocale = isFaqLocale(locale) ? locale : detectQueryLocale(questionRaw) || "en";
+    const lexical = debugMatchLexical({ questionRaw, limit, locale: queryLocale });
     if (!lexical.questionNorm) return lexical;
 
-    const query = preprocessQuery(questionRaw, faqIndex.correctionLexicon);
+    const query = preprocessQuery(questionRaw, faqIndex.correctionLexicon, queryLocale);
+    const kinds = queryLocale === "en" ? ["local"] : ["multilingual", "local"];
 
-    const [entryEmbeddings, queryEmbeddings] = await Promise.all([
-      ensureEmbeddingIndex(),
-      getQueryEmbedding(questionRaw)
-    ]);
+    for (const kind of kinds) {
+      const [entryEmbeddings, queryEmbeddings] = await Promise.all([
+        ensureEmbeddingIndex(kind),
+        getQueryEmbedding(questionRaw, { kind, locale: queryLocale })
+      ]);
 
-    if (!entryEmbeddings || !queryEmbeddings?.length || embeddingDisabledReason) {
-      return lexical;
-    }
+      if (!entryEmbeddings || !queryEmbeddings?.length || embeddingStates[kind].disabledReason) {
+        continue;
+      }
 
-    const lexicalAll = rankFaqCandidates(faqIndex, query);
-    const ranked = rankEmbeddingHybridCandidates({
-      index: faqIndex,
-      lexicalCandidates: lexicalAll.candidates,
-      entryEmbeddings,
-      queryEmbeddings,
-      limit
-    });
+      const method = kind === "multilingual" ? "multilingual_embedding_hybrid" : "local_embedding_hybrid";
+      const lexicalAll = rankFaqCandidates(faqIndex, query);
+      const ranked = rankEmbeddingHybridCandidates({
+        index: faqIndex,
+        lexicalCandidates: lexicalAll.candidates,
+        entryEmbeddings,
+        queryEmbeddings,
+        limit
+      });
 
-    const result = {
-      method: "local_embedding_hybrid",
-      questionRaw,
-      questionNorm: query.norm,
-      defaultThreshold: thresholdForMethod("local_embedding_hybrid"),
-      decision: null,
-      best: ranked.best,
-      candidates: ranked.candidates
-    };
-    result.decision = classifyDecision(result);
-    return result;
+      const result = {
+        method,
+        questionRaw,
+        questionNorm: query.norm,
+        locale: queryLocale,
+        defaultThreshold: thresholdForMethod(method),
+        decision: null,
+        best: ranked.best,
+        candidates: ranked.candidates
+      };
+      result.decision = classifyDecision(result);
+      return result;
+    }
+
+    return lexical;
   }
 
   function classifyDecision(result) {
@@ -1155,10 +1540,44 @@ export function createFaqService(options = {}) {
     }
   }
 
-  async function matchAndRender({ message, questionRaw }) {
-    const result = await debugMatch({ questionRaw, limit: 5 });
+  /**
+   * Match + render. Returns { text, result, locale }; text is null when the
+   * bot stays quiet (abstain, cooldown), result carries the ranked candidates.
+   */
+  async function match({ message, questionRaw, userLocale = null, guildLocale = null }) {
+    const { locale, queryLocale } = resolveFaqLocales({ questionRaw, userLocale, guildLocale });
+    const result = await debugMatch({ questionRaw, limit: 5, locale: queryLocale });
+    if (!result.best) return { text: null, result, locale };
+    const text = renderMatch({ message, questionRaw, result, locale });
+    return { text, result, locale };
+  }
+
+  async function matchAndRender(args) {
+    return (await match(args)).text;
+  }
+
+  /**
+   * Passive (unprompted) match: embedding ranking only, "answer" decisions
+   * only, and the caller's stricter score/margin floors on top. Returns
+   * { text, result, locale } or null. Skips the !faq per-entry cooldown.
+   */
+  async function matchPassive({ questionRaw, userLocale = null, guildLocale = null, minScore, minMargin = 0 }) {
+    const { locale, queryLocale } = resolveFaqLocales({ questionRaw, userLocale, guildLocale });
+    const result = await debugMatch({ questionRaw, limit: 5, locale: queryLocale });
+    const best = result.best;
+    if (!best || result.method === "hybrid_lexical") return null;
+    if (result.decision?.type !== "answer") return null;
+    if (best.score01 < minScore || best.margin01 < minMargin) return null;
+
+    console.log(
+      `[FAQ][${result.method}][passive] "${questionRaw}" -> ${best.entry.id} score=${best.score01.toFixed(3)} ` +
+        `margin=${best.margin01.toFixed(3)} minScore=${minScore.toFixed(3)} locale=${locale}`
+    );
+    return { text: localizedAnswer(best.entry, locale).a, result, locale };
+  }
+
+  function renderMatch({ message, questionRaw, result, locale }) {
     const match = result.best;
-    if (!match) return null;
 
     const decision = classifyDecision(result);
     result.decision = decision;
@@ -1190,14 +1609,15 @@ export function createFaqService(options = {}) {
     console.log(
       `[FAQ][${result.method}][${decision.type}] "${questionRaw}" -> ${match.entry.id} score=${match.score01.toFixed(3)} ` +
         `margin=${match.margin01.toFixed(3)} threshold=${threshold.toFixed(3)} ` +
-        `cooldownSec=${FAQ_RESPONSE_COOLDOWN_SECONDS}`
+        `cooldownSec=${FAQ_RESPONSE_COOLDOWN_SECONDS} locale=${locale}`
     );
 
+    const answer = localizedAnswer(match.entry, locale);
     if (decision.type === "clarify") {
-      return `Best FAQ match: ${match.entry.q}\n${match.entry.a}`;
+      return `${CLARIFY_PREFIX_BY_LOCALE[answer.locale]}: ${answer.q}\n${answer.a}`;
     }
 
-    return match.entry.a;
+    return answer.a;
   }
 
   return {
@@ -1205,7 +1625,16 @@ export function createFaqService(options = {}) {
     warmup,
     debugMatch,
     formatDebug: formatFaqDebug,
-    matchAndRender
+    match,
+    matchAndRender,
+    matchPassive,
+    validateEntry: validateFaqEntry,
+    getEntry,
+    listEntryIds,
+    upsertEntry,
+    removeEntry,
+    applyOverrides,
+    rankOf
   };
 }
 
@@ -1231,13 +1660,48 @@ async function replyOrSend(message, content) {
   }
 }
 
+async function faqLocalePrefs(message) {
+  const guildId = message?.guildId ?? message?.guild?.id;
+  if (!guildId) return { userLocale: null, guildLocale: null };
+
+  const userId = message?.author?.id;
+  const userLocale = userId
+    ? await getUserText({ guildId, userId, kind: K_FAQ_LOCALE }).catch((error) => {
+        console.warn("[FAQ] failed to load language preference:", error?.message ?? error);
+        return null;
+      })
+    : null;
+
+  return { userLocale, guildLocale: getGuildSetting(guildId, "faq_locale") };
+}
+
+// Feedback logging must never block the answer.
+async function logFaqQuery({ message, questionRaw, result, answered }) {
+  if (!message?.guildId || !message.author?.id) return null;
+  try {
+    return await recordFaqQuery({
+      guildId: message.guildId,
+      channelId: message.channelId,
+      userId: message.author.id,
+      questionRaw,
+      result,
+      answered
+    });
+  } catch (error) {
+    console.warn("[FAQ] failed to log query feedback row:", error?.message ?? error);
+    return null;
+  }
+}
+
 function formatWikiResults(results) {
   return results.map((r) => `• [${r.title}](${r.url})`).join("\n");
 }
 
 /**
  * Registers "info/knowledge" commands:
- * - !faq, !faqreload
+ * - !faq, !faqlang, !faqreload (+ feedback buttons, !faqexport)
+ * - /faqadmin
+ * - passive FAQ answers in configured help channels
  * - !wiki
  * - !ng
  * - !rules
@@ -1264,9 +1728,14 @@ export function registerInfoCommands(register) {
         return;
       }
 
-      const out = await faq.matchAndRender({ message, questionRaw: qRaw });
+      const prefs = await faqLocalePrefs(message);
+      const { text: out, result } = await faq.match({ message, questionRaw: qRaw, ...prefs });
+      const feedbackId = await logFaqQuery({ message, questionRaw: qRaw, result, answered: Boolean(out) });
       if (out) {
-        await replyOrSend(message, out);
+        await replyOrSend(
+          message,
+          feedbackId ? { content: out, components: [faqFeedbackRow(feedbackId)] } : out
+        );
         return;
       }
 
@@ -1278,6 +1747,49 @@ export function registerInfoCommands(register) {
     "!faq <question> — asks the FAQ bot"
   );
 
+  registerFaqFeedback(register);
+  registerFaqAdmin(register, { faq });
+  registerFaqAutoAnswer(register, { faq, localePrefs: faqLocalePrefs });
+
+  register(
+    "!faqlang",
+    async ({ message, rest }) => {
+      if (!message.guildId) return;
+
+      const arg = rest.trim().toLowerCase();
+      const userId = message.author.id;
+      const guildId = message.guildId;
+      const options = `${FAQ_LOCALES.join("|")}|auto`;
+
+      if (!arg) {
+        const current = await getUserText({ guildId, userId, kind: K_FAQ_LOCALE });
+        await message.reply(
+          isFaqLocale(current)
+            ? `FAQ answers for you: **${FAQ_LOCALE_NAMES[current]}** (\`!faqlang auto\` to follow your question's language).`
+            : `FAQ answers follow your question's language. Set one with \`!faqlang <${options}>\`.`
+        );
+        return;
+      }
+
+      if (arg === "auto") {
+        await deleteUserText({ guildId, userId, kind: K_FAQ_LOCALE });
+        await message.reply("✅ FAQ answers will follow your question's language.");
+        return;
+      }
+
+      if (!isFaqLocale(arg)) {
+        await message.reply(`Usage: \`!faqlang <${options}>\``);
+        return;
+      }
+
+      await setUserText({ guildId, userId, kind: K_FAQ_LOCALE, text: arg });
+      await message.reply(
+        `✅ FAQ answers will be in **${FAQ_LOCALE_NAMES[arg]}** when a translation exists.`
+      );
+    },
+    "!faqlang [en|es|pt|auto] — sets the language of your FAQ answers"
+  );
+
   register(
     "!faqdebug",
     async ({ message, rest }) => {
@@ -1294,7 +1806,7 @@ export function registerInfoCommands(register) {
       await message.reply("```text\n" + faq.formatDebug(result) + "\n```");
     },
     "!faqdebug <question> — shows FAQ scoring details",
-    { admin: true }
+    { admin: true, tier: "admin" }
   );
 
   register(
@@ -1313,7 +1825,7 @@ export function registerInfoCommands(register) {
       }
     },
     "!faqreload — reloads FAQ data",
-    { admin: true }
+    { admin: true, tier: "admin" }
   );
 
   // !wiki <term>
@@ -1399,3 +1911,5 @@ export function registerInfoCommands(register) {
     { aliases: ["!g"] }
   );
 }
+
+export const __testables = { detectQueryLocale, resolveFaqLocales, normalizeEntryLocales };
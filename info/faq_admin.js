@@ -0,0 +1,353 @@
+// info/faq_admin.js
+//
+// /faqadmin — edit FAQ entries without touching data/faq.json (admin/privileged).
+//   /faqadmin show id:<id>
+//   /faqadmin add id:<id> question:<text> answer:<text> [preview]
+//   /faqadmin edit id:<id> [question] [answer] [locale] [preview]
+//   /faqadmin alias id:<id> action:<add|remove> text:<variant> [locale] [preview]
+//   /faqadmin deny id:<id> action:<add|remove> phrase:<text> [preview]
+//   /faqadmin delete id:<id> [preview]
+//
+// Edited entries are stored whole in faq_entry_overrides and layered over the
+// FAQ files (an override shadows later file edits to that id until the row is
+// removed). The FAQ is shared by every guild, so edits apply bot-wide.
+//
+// Each change shows how the entry ranks for its data/faq_eval.json queries
+// (plus the optional preview query) before and after.
+
+import fs from "node:fs";
+import path from "node:path";
+import { MessageFlags } from "discord.js";
+import { isAdminOrPrivileged } from "../auth.js";
+import { getDb } from "../db.js";
+import { logger } from "../shared/logger.js";
+
+const ALIAS_ACTIONS = ["add", "remove"];
+const LOCALE_CHOICES = ["es", "pt"];
+const VARIANT_FIELDS = ["triggers", "examples", "aliases", "keywords"];
+const EVAL_FILE = "data/faq_eval.json";
+const MAX_PREVIEW_QUERIES = 4;
+const AUTOCOMPLETE_LIMIT = 25;
+const MAX_SHOW_LENGTH = 1800;
+
+function ephemeral(content) {
+  return { content, flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } };
+}
+
+/* --------------------------------- storage -------------------------------- */
+
+export async function listFaqEntryOverrides() {
+  const [rows] = await getDb().execute(`SELECT entry_id, entry_json FROM faq_entry_overrides`);
+  const out = [];
+  for (const row of rows || []) {
+    try {
+      out.push({ id: String(row.entry_id), entry: row.entry_json == null ? null : JSON.parse(row.entry_json) });
+    } catch (err) {
+      logger.warn("faq.admin.bad_override", { id: row.entry_id, error: logger.serializeError(err) });
+    }
+  }
+  return out;
+}
+
+/**
+ * entry === null stores a deletion.
+ */
+export async function saveFaqEntryOverride({ id, entry, updatedBy = null }) {
+  await getDb().execute(
+    `INSERT INTO faq_entry_overrides (entry_id, entry_json, updated_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE entry_json = VALUES(entry_json), updated_by = VALUES(updated_by)`,
+    [String(id), entry == null ? null : JSON.stringify(entry), updatedBy ? String(updatedBy) : null]
+  );
+}
+
+/**
+ * Boot: layer stored overrides over the FAQ files of a running service.
+ */
+export async function loadFaqEntryOverrides(faq) {
+  const rows = await listFaqEntryOverrides();
+  if (rows.length) faq.applyOverrides(rows);
+  return rows.length;
+}
+
+/* ---------------------------------- edits --------------------------------- */
+
+// Slash options are single-line; let authors type "\n" for line breaks.
+function unescapeText(text) {
+  return String(text ?? "")
+    .replace(/\\n/g, "\n")
+    .trim();
+}
+
+function sameText(a, b) {
+  return String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+}
+
+function cloneEntry(raw) {
+  return JSON.parse(JSON.stringify(raw || {}));
+}
+
+/**
+ * Apply one /faqadmin change to a raw entry (null when it doesn't exist yet).
+ * Returns { ok: true, value } (value null => delete) or { ok: false, errorText }.
+ */
+function applyFaqEdit(raw, { sub, id, question = null, answer = null, locale = null, action = null, text = null }) {
+  if (sub === "add") {
+    if (raw) return { ok: false, errorText: `❌ \`${id}\` already exists — use \`/faqadmin edit\`.` };
+    return { ok: true, value: { id, q: unescapeText(question), a: unescapeText(answer), triggers: [] } };
+  }
+
+  if (!raw) return { ok: false, errorText: `❌ No FAQ entry \`${id}\`.` };
+  if (sub === "delete") return { ok: true, value: null };
+  if (sub === "deny" && locale) return { ok: false, errorText: "❌ Deny phrases aren't per-locale." };
+
+  const next = cloneEntry(raw);
+  // Locale edits target the entry's `locales.<locale>` block.
+  const target = locale ? ((next.locales ??= {})[locale] ??= {}) : next;
+
+  if (sub === "edit") {
+    if (question == null && answer == null) return { ok: false, errorText: "❌ Give a new question and/or answer." };
+    if (question != null) {
+      target.q = unescapeText(question);
+      delete target.question;
+    }
+    if (answer != null) {
+      target.a = unescapeText(answer);
+      delete target.answer;
+      delete target.response;
+    }
+    return { ok: true, value: next };
+  }
+
+  if (sub === "alias" || sub === "deny") {
+    const value = unescapeText(text);
+    if (!value) return { ok: false, errorText: "❌ Give the text to add or remove." };
+    if (!ALIAS_ACTIONS.includes(action)) return { ok: false, errorText: "❌ Action must be add or remove." };
+    const fields = sub === "deny" ? ["denyTerms"] : VARIANT_FIELDS;
+    const has = (field) => Array.isArray(target[field]) && target[field].some((v) => sameText(v, value));
+
+    if (action === "add") {
+      const field = fields[0];
+      const list = Array.isArray(target[field]) ? target[field] : [];
+      if (fields.some(has)) {
+        return { ok: false, errorText: `❌ "${value}" is already on \`${id}\`.` };
+      }
+      target[field] = [...list, value];
+      return { ok: true, value: next };
+    }
+
+    if (!fields.some(has)) return { ok: false, errorText: `❌ "${value}" isn't on \`${id}\`.` };
+    for (const field of fields.filter(has)) {
+      target[field] = target[field].filter((v) => !sameText(v, value));
+    }
+    return { ok: true, value: next };
+  }
+
+  return { ok: false, errorText: "❌ Unknown subcommand." };
+}
+
+/* --------------------------------- preview -------------------------------- */
+
+function evalQuestionsFor(entryId) {
+  try {
+    const json = JSON.parse(fs.readFileSync(path.join(process.cwd(), EVAL_FILE), "utf8"));
+    const entries = Array.isArray(json) ? json : Array.isArray(json?.entries) ? json.entries : [];
+    return entries
+      .filter((e) => String(e?.expectedId ?? "") === entryId && String(e?.question ?? "").trim())
+      .map((e) => String(e.question).trim());
+  } catch {
+    return [];
+  }
+}
+
+function previewQuestions(entryId, previewQuery) {
+  const extra = String(previewQuery ?? "").trim();
+  const questions = [...(extra ? [extra] : []), ...evalQuestionsFor(entryId)];
+  return [...new Set(questions)].slice(0, MAX_PREVIEW_QUERIES);
+}
+
+async function rankAll(faq, questions, entryId) {
+  return Promise.all(questions.map((questionRaw) => faq.rankOf({ questionRaw, entryId })));
+}
+
+function formatRank(r) {
+  return r.rank ? `#${r.rank} (${r.score.toFixed(3)})` : "unranked";
+}
+
+function formatPreview({ entryId, questions, before, after }) {
+  if (!questions.length) return "No eval queries for this entry (add `preview:` to check one).";
+  const lines = questions.map((q, i) => {
+    const now = after[i].decision === "abstain" ? "no reply" : `${after[i].decision} \`${after[i].topId}\``;
+    return `• "${q}" — ${formatRank(before[i])} → ${formatRank(after[i])} · now: ${now}`;
+  });
+  return [`Rank of \`${entryId}\` before → after:`, ...lines].join("\n");
+}
+
+function formatEntry({ raw, source }) {
+  const json = JSON.stringify(raw, null, 2);
+  const body = json.length > MAX_SHOW_LENGTH ? `${json.slice(0, MAX_SHOW_LENGTH)}\n…` : json;
+  return `Source: **${source === "db" ? "/faqadmin" : "faq.json"}**\n\`\`\`json\n${body}\n\`\`\``;
+}
+
+function filterChoices(values, query) {
+  const q = String(query || "").toLowerCase();
+  return values
+    .filter((v) => v.toLowerCase().includes(q))
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map((v) => ({ name: v, value: v }));
+}
+
+/* -------------------------------- registry -------------------------------- */
+
+export function registerFaqAdmin(register, { faq }) {
+  loadFaqEntryOverrides(faq)
+    .then((count) => {
+      if (count) logger.info("faq.admin.overrides_loaded", { count });
+    })
+    .catch((err) => logger.warn("faq.admin.overrides_load_failed", { error: logger.serializeError(err) }));
+
+  const previewOption = {
+    type: 3,
+    name: "preview",
+    description: "Extra query to preview the ranking for",
+    required: false,
+  };
+  const idOption = { type: 3, name: "id", description: "FAQ entry id", required: true, autocomplete: true };
+  const localeOption = {
+    type: 3,
+    name: "locale",
+    description: "Edit the translation instead of the English text",
+    required: false,
+    choices: LOCALE_CHOICES.map((v) => ({ name: v, value: v })),
+  };
+  const actionOption = {
+    type: 3,
+    name: "action",
+    description: "add or remove",
+    required: true,
+    choices: ALIAS_ACTIONS.map((v) => ({ name: v, value: v })),
+  };
+
+  register.slash(
+    {
+      name: "faqadmin",
+      description: "Add or edit FAQ entries (admin, applies bot-wide)",
+      options: [
+        { type: 1, name: "show", description: "Show an FAQ entry", options: [idOption] },
+        {
+          type: 1,
+          name: "add",
+          description: "Add an FAQ entry",
+          options: [
+            { ...idOption, autocomplete: false, description: "New entry id (e.g. goldenize_keep_base)" },
+            { type: 3, name: "question", description: "Canonical question", required: true },
+            { type: 3, name: "answer", description: "Answer (use \\n for line breaks)", required: true },
+            previewOption,
+          ],
+        },
+        {
+          type: 1,
+          name: "edit",
+          description: "Change an entry's question and/or answer",
+          options: [
+            idOption,
+            { type: 3, name: "question", description: "New canonical question", required: false },
+            { type: 3, name: "answer", description: "New answer (use \\n for line breaks)", required: false },
+            localeOption,
+            previewOption,
+          ],
+        },
+        {
+          type: 1,
+          name: "alias",
+          description: "Add or remove a question variant",
+          options: [
+            idOption,
+            actionOption,
+            { type: 3, name: "text", description: "Question variant", required: true },
+            localeOption,
+            previewOption,
+          ],
+        },
+        {
+          type: 1,
+          name: "deny",
+          description: "Add or remove a phrase that should NOT match this entry",
+          options: [idOption, actionOption, { type: 3, name: "phrase", description: "Deny phrase", required: true }, previewOption],
+        },
+        { type: 1, name: "delete", description: "Remove an FAQ entry", options: [idOption, previewOption] },
+      ],
+    },
+    async ({ interaction }) => {
+      if (!isAdminOrPrivileged(interaction)) {
+        await interaction.reply(ephemeral("❌ You do not have permission to edit the FAQ."));
+        return;
+      }
+
+      const opts = interaction.options;
+      const sub = opts?.getSubcommand?.() || "show";
+      const id = String(opts?.getString?.("id") ?? "").trim();
+      const current = faq.getEntry(id);
+
+      if (sub === "show") {
+        await interaction.reply(
+          ephemeral(current.raw ? formatEntry(current) : `❌ No FAQ entry \`${id}\`.`)
+        );
+        return;
+      }
+
+      const edit = applyFaqEdit(current.raw, {
+        sub,
+        id,
+        question: opts.getString("question"),
+        answer: opts.getString("answer"),
+        locale: opts.getString("locale"),
+        action: opts.getString("action"),
+        text: opts.getString("text") ?? opts.getString("phrase"),
+      });
+      if (!edit.ok) {
+        await interaction.reply(ephemeral(edit.errorText));
+        return;
+      }
+      if (edit.value) {
+        const valid = faq.validateEntry(edit.value);
+        if (!valid.ok) {
+          await interaction.reply(ephemeral(`❌ ${valid.errorText}`));
+          return;
+        }
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        const questions = previewQuestions(id, opts.getString("preview"));
+        const before = await rankAll(faq, questions, id);
+
+        await saveFaqEntryOverride({ id, entry: edit.value, updatedBy: interaction.user?.id });
+        if (edit.value) faq.upsertEntry(edit.value);
+        else faq.removeEntry(id);
+
+        const after = await rankAll(faq, questions, id);
+        const verb = { add: "Added", delete: "Deleted" }[sub] || "Updated";
+        await interaction.editReply({
+          content: [`✅ ${verb} \`${id}\` (live now).`, formatPreview({ entryId: id, questions, before, after })].join(
+            "\n"
+          ),
+          allowedMentions: { parse: [] },
+        });
+      } catch (err) {
+        logger.warn("faq.admin.update_failed", { id, sub, error: logger.serializeError(err) });
+        await interaction.editReply("❌ Could not save the FAQ entry. Please try again later.");
+      }
+    },
+    {
+      admin: true,
+      tier: "admin",
+      autocomplete: async ({ interaction }) => {
+        const focused = interaction.options?.getFocused?.(true);
+        await interaction.respond(filterChoices(faq.listEntryIds(), focused?.value));
+      },
+    }
+  );
+}
+
+export const __testables = { applyFaqEdit, previewQuestions, formatPreview, unescapeText };
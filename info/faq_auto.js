@@ -0,0 +1,208 @@
+// info/faq_auto.js
+//
+// Passive FAQ answers for help channels (opt-in per guild, `faq_auto_answer`
+// setting / configs/faq_auto_answer.js):
+// - question-like messages in the configured channels are ranked with the
+//   embedding hybrid (no lexical-only answers) and answered only above a
+//   stricter score + margin than !faq uses
+// - the bot waits a few seconds first and stays quiet if staff (staffTier or
+//   higher, default trusted) has posted in the channel since the question
+// - one passive answer per channel per cooldown
+// - the asker can react 🗑️ on the answer to delete it
+
+import { hasPermissionTier } from "../auth.js";
+import { getGuildSetting } from "../shared/guild_settings.js";
+import { logger } from "../shared/logger.js";
+
+export const FAQ_AUTO_DISMISS_EMOJI = "🗑️";
+
+const MIN_QUESTION_LENGTH = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MIN_QUESTION_WORDS = 3;
+const STAFF_SCAN_LIMIT = 50;
+
+// Leading words that make a "?"-less message read as a question (en/es/pt, accents folded).
+const QUESTION_OPENERS = [
+  "how", "what", "where", "when", "why", "which", "who", "can", "could", "does", "do", "is", "are",
+  "should", "anyone", "anybody", "como", "que", "donde", "cuando", "cual", "alguien", "puedo",
+  "onde", "quando", "qual", "alguem", "posso",
+];
+const MULTI_WORD_OPENERS = ["por que", "is there", "any way"];
+
+const lastAnswerAtByChannel = new Map(); // channelId -> epochMs
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function foldText(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Heuristic: short-ish message with a "?" or an interrogative opener.
+ * Commands, links-only chatter and one-word messages don't count.
+ */
+export function isQuestionLike(text) {
+  const raw = String(text ?? "").trim();
+  if (raw.length < MIN_QUESTION_LENGTH || raw.length > MAX_QUESTION_LENGTH) return false;
+  if (/^[!?/]/.test(raw)) return false;
+
+  const folded = foldText(raw.replace(/<[@#][!&]?\d+>|https?:\/\/\S+/g, " "));
+  const words = folded.split(" ").filter(Boolean);
+  if (words.length < MIN_QUESTION_WORDS) return false;
+
+  if (/[?¿]/.test(raw)) return true;
+  if (MULTI_WORD_OPENERS.some((opener) => folded.startsWith(`${foldText(opener)} `))) return true;
+  return QUESTION_OPENERS.includes(words[0]);
+}
+
+/**
+ * Effective passive settings for a guild (setting values over env defaults).
+ */
+function autoAnswerConfig(guildId) {
+  const setting = getGuildSetting(guildId, "faq_auto_answer") || {};
+  return {
+    channels: Array.isArray(setting.channels) ? setting.channels.map(String) : [],
+    threshold: setting.threshold ?? envNumber("FAQ_AUTO_ANSWER_THRESHOLD", 0.68),
+    minMargin: envNumber("FAQ_AUTO_ANSWER_MIN_MARGIN", 0.06),
+    cooldownMs: (setting.cooldownSeconds ?? envNumber("FAQ_AUTO_ANSWER_COOLDOWN_SECONDS", 300)) * 1000,
+    staffTier: setting.staffTier || "trusted",
+    delayMs: envNumber("FAQ_AUTO_ANSWER_DELAY_SECONDS", 15) * 1000,
+    dismissMs: envNumber("FAQ_AUTO_ANSWER_DISMISS_SECONDS", 600) * 1000,
+  };
+}
+
+function onChannelCooldown(channelId, cooldownMs, now = Date.now()) {
+  const last = lastAnswerAtByChannel.get(String(channelId));
+  return Boolean(last) && cooldownMs > 0 && now - last < cooldownMs;
+}
+
+/**
+ * True when someone at `staffTier` (or higher) posted in the channel after the question.
+ */
+async function staffAnsweredSince(message, staffTier) {
+  let recent;
+  try {
+    recent = await message.channel?.messages?.fetch?.({ after: message.id, limit: STAFF_SCAN_LIMIT });
+  } catch (err) {
+    // Can't tell (missing history perms, etc.) -> assume staff may have answered.
+    logger.warn("faq.auto.history_failed", { channelId: message.channelId, error: logger.serializeError(err) });
+    return true;
+  }
+
+  for (const msg of recent?.values?.() || []) {
+    if (!msg?.author || msg.author.bot || msg.author.id === message.author.id) continue;
+    if (hasPermissionTier(msg, staffTier)) return true;
+  }
+  return false;
+}
+
+async function attachDismissReaction(reply, askerId, dismissMs) {
+  try {
+    await reply.react(FAQ_AUTO_DISMISS_EMOJI);
+  } catch {
+    return;
+  }
+
+  const collector = reply.createReactionCollector({
+    filter: (reaction, user) => reaction.emoji?.name === FAQ_AUTO_DISMISS_EMOJI && user.id === askerId,
+    time: dismissMs,
+    max: 1,
+  });
+
+  collector.on("collect", async () => {
+    try {
+      await reply.delete();
+    } catch {
+      // already gone / missing perms
+    }
+  });
+
+  collector.on("end", async (_c, reason) => {
+    if (reason === "limit") return;
+    try {
+      await reply.reactions?.cache?.get(FAQ_AUTO_DISMISS_EMOJI)?.users?.remove(reply.author?.id);
+    } catch {
+      // ignore
+    }
+  });
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Full passive flow for one message. Returns the reason it stopped (for
+ * tests/logging): "answered" or a skip reason.
+ */
+async function handleAutoAnswer({ message, faq, localePrefs }) {
+  const guildId = message?.guildId;
+  if (!guildId || !message.author || message.author.bot) return "not_eligible";
+  if (message.reference?.messageId) return "reply";
+
+  const config = autoAnswerConfig(guildId);
+  if (!config.channels.includes(String(message.channelId))) return "channel";
+
+  const questionRaw = String(message.content ?? "").trim();
+  if (!isQuestionLike(questionRaw)) return "not_question";
+  if (hasPermissionTier(message, config.staffTier)) return "staff_author";
+  if (onChannelCooldown(message.channelId, config.cooldownMs)) return "cooldown";
+
+  const prefs = localePrefs ? await localePrefs(message) : {};
+  const matched = await faq.matchPassive({
+    questionRaw,
+    ...prefs,
+    minScore: config.threshold,
+    minMargin: config.minMargin,
+  });
+  if (!matched?.text) return "no_match";
+
+  // Give people a moment to answer first.
+  await sleep(config.delayMs);
+  if (onChannelCooldown(message.channelId, config.cooldownMs)) return "cooldown";
+  if (await staffAnsweredSince(message, config.staffTier)) return "staff_answered";
+
+  lastAnswerAtByChannel.set(String(message.channelId), Date.now());
+
+  let reply;
+  try {
+    reply = await message.reply({
+      content: `${matched.text}\n-# Auto-answer · react ${FAQ_AUTO_DISMISS_EMOJI} to dismiss`,
+      allowedMentions: { parse: [], repliedUser: false },
+    });
+  } catch (err) {
+    // Question deleted while we waited, or no send perms.
+    logger.warn("faq.auto.reply_failed", { channelId: message.channelId, error: logger.serializeError(err) });
+    return "reply_failed";
+  }
+
+  await attachDismissReaction(reply, message.author.id, config.dismissMs);
+  return "answered";
+}
+
+export function registerFaqAutoAnswer(register, { faq, localePrefs = null }) {
+  register.onMessage(async ({ message, isCommand }) => {
+    if (isCommand || !message?.guildId || message.author?.bot) return;
+
+    // Matching (and the staff grace delay) must not hold up other hooks and commands.
+    handleAutoAnswer({ message, faq, localePrefs }).catch((err) => {
+      logger.warn("faq.auto.failed", { channelId: message.channelId, error: logger.serializeError(err) });
+    });
+  });
+}
+
+export const __testables = {
+  handleAutoAnswer,
+  autoAnswerConfig,
+  resetCooldowns: () => lastAnswerAtByChannel.clear(),
+};
@@ -0,0 +1,280 @@
+// info/faq_feedback.js
+//
+// FAQ feedback loop:
+// - every !faq query is logged to faq_feedback with its top candidates + scores;
+//   rows nobody voted on are pruned after FAQ_FEEDBACK_RETENTION_DAYS
+// - answers carry 👍/👎 buttons; the asker's vote is stored on the same row
+// - !faqexport turns voted rows into faq_eval.json-shaped and wrong-answer files,
+//   so scripts/faq_eval.js can re-tune on real traffic
+//   (FAQ_EVAL_FILES / FAQ_WRONG_ANSWER_EVAL_FILES).
+//
+// 👍 -> positive eval row (expectedId = the answered entry).
+// 👎 -> wrong-answer row (answeredId = the entry the bot should not have picked). These stay out
+//       of the negative set: the question may well have a right answer.
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from "discord.js";
+import { hasPermissionTier } from "../auth.js";
+import { getDb } from "../db.js";
+import { logger } from "../shared/logger.js";
+import { registerScheduler } from "../shared/scheduler_registry.js";
+
+export const FAQ_FEEDBACK_PREFIX = "faqfb:";
+
+const VOTES = { up: 1, down: -1 };
+const MAX_CANDIDATES = 5;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_EXPORT_ROWS = 5000;
+const DEFAULT_RETENTION_DAYS = 90;
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let pruneTimer = null;
+
+function retentionDays() {
+  const raw = Number(process.env.FAQ_FEEDBACK_RETENTION_DAYS);
+  return Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_RETENTION_DAYS;
+}
+
+function round3(n) {
+  return Number.isFinite(n) ? Math.round(n * 1000) / 1000 : null;
+}
+
+function candidatesForLog(result) {
+  return (result?.candidates || []).slice(0, MAX_CANDIDATES).map((candidate) => ({
+    id: candidate.entry?.id ?? null,
+    score: round3(candidate.score01),
+  }));
+}
+
+/**
+ * Log one !faq query. `answered` is false when the bot stayed quiet.
+ * Returns the feedback row id (for the vote buttons).
+ */
+export async function recordFaqQuery({ guildId, channelId = null, userId, questionRaw, result, answered }) {
+  const type = result?.decision?.type || "abstain";
+  // Quiet but not abstaining means the answer was on cooldown in that channel.
+  const decision = answered ? type : type === "abstain" ? "abstain" : "cooldown";
+  const [res] = await getDb().execute(
+    `INSERT INTO faq_feedback
+       (guild_id, channel_id, user_id, question, locale, method, decision, answered_id, candidates_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      String(guildId),
+      channelId ? String(channelId) : null,
+      String(userId),
+      String(questionRaw ?? "").slice(0, MAX_QUESTION_LENGTH),
+      result?.locale || null,
+      result?.method || null,
+      decision,
+      answered ? result?.best?.entry?.id ?? null : null,
+      JSON.stringify(candidatesForLog(result)),
+    ]
+  );
+  return res?.insertId ?? null;
+}
+
+/**
+ * Store the asker's vote ("up" | "down"). Votes can be changed.
+ * Returns { ok } or { ok: false, errorText }.
+ */
+export async function recordFaqVote({ id, userId, vote }) {
+  if (!Object.prototype.hasOwnProperty.call(VOTES, vote)) return { ok: false, errorText: "Unknown vote." };
+
+  const db = getDb();
+  const [rows] = await db.execute(`SELECT user_id, answered_id FROM faq_feedback WHERE id = ? LIMIT 1`, [
+    Number(id),
+  ]);
+  const row = rows?.[0];
+  if (!row || !row.answered_id) return { ok: false, errorText: "That FAQ answer is no longer tracked." };
+  if (String(row.user_id) !== String(userId)) {
+    return { ok: false, errorText: "Only the person who asked can rate this answer." };
+  }
+
+  await db.execute(`UPDATE faq_feedback SET vote = ?, voted_at = CURRENT_TIMESTAMP WHERE id = ?`, [
+    VOTES[vote],
+    Number(id),
+  ]);
+  return { ok: true };
+}
+
+export function faqFeedbackRow(id) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${FAQ_FEEDBACK_PREFIX}up:${id}`)
+      .setEmoji("👍")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`${FAQ_FEEDBACK_PREFIX}down:${id}`)
+      .setEmoji("👎")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+export async function listVotedFaqQueries({ guildId, sinceDays = null }) {
+  const params = [String(guildId)];
+  let since = "";
+  if (sinceDays) {
+    since = " AND created_at >= (CURRENT_TIMESTAMP - INTERVAL ? DAY)";
+    params.push(Number(sinceDays));
+  }
+  const [rows] = await getDb().execute(
+    `SELECT id, question, locale, answered_id, vote
+       FROM faq_feedback
+      WHERE guild_id = ? AND vote IS NOT NULL AND answered_id IS NOT NULL${since}
+      ORDER BY id DESC
+      LIMIT ${MAX_EXPORT_ROWS}`,
+    params
+  );
+  return rows || [];
+}
+
+/**
+ * Deletes unvoted query logs past the retention window; voted rows are kept for !faqexport.
+ * Returns the number of rows removed (0 on failure).
+ */
+export async function pruneFaqFeedback() {
+  try {
+    const [res] = await getDb().execute(
+      `DELETE FROM faq_feedback WHERE vote IS NULL AND created_at < (CURRENT_TIMESTAMP - INTERVAL ? DAY)`,
+      [retentionDays()]
+    );
+    const removed = Number(res?.affectedRows || 0);
+    if (removed) logger.info("faq.feedback.pruned", { removed });
+    return removed;
+  } catch (err) {
+    logger.warn("faq.feedback.prune_failed", { error: logger.serializeError(err) });
+    return 0;
+  }
+}
+
+export function registerFaqFeedbackScheduler() {
+  registerScheduler(
+    "faq_feedback_prune",
+    () => {
+      if (pruneTimer) return;
+      void pruneFaqFeedback();
+      pruneTimer = setInterval(() => {
+        void pruneFaqFeedback();
+      }, PRUNE_INTERVAL_MS);
+      if (typeof pruneTimer.unref === "function") pruneTimer.unref();
+    },
+    () => {
+      if (pruneTimer) clearInterval(pruneTimer);
+      pruneTimer = null;
+    }
+  );
+}
+
+function questionKey(question) {
+  return String(question ?? "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Voted rows (newest first) -> { positive, wrongAnswers } eval files. The newest
+ * vote wins when the same question was rated more than once.
+ */
+export function buildFaqEvalExport(rows) {
+  const seen = new Set();
+  const positive = [];
+  const wrongAnswers = [];
+
+  for (const row of rows || []) {
+    const question = String(row.question ?? "").trim();
+    const key = questionKey(question);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+
+    const tags = ["feedback", ...(row.locale && row.locale !== "en" ? [`locale:${row.locale}`] : [])];
+    if (Number(row.vote) > 0) {
+      positive.push({ question, expectedId: String(row.answered_id), tags });
+    } else {
+      wrongAnswers.push({ question, answeredId: String(row.answered_id), tags: [...tags, "not_helpful"] });
+    }
+  }
+
+  return {
+    positive: {
+      version: 1,
+      description: "FAQ queries users marked helpful (exported from faq_feedback).",
+      entries: positive.reverse(),
+    },
+    wrongAnswers: {
+      version: 1,
+      description:
+        "FAQ answers users marked not helpful (exported from faq_feedback); answeredId is the entry " +
+        "the bot should not have picked. Review before merging: some belong in faq_eval.json under the " +
+        "right expectedId, and only questions with no answer belong in faq_negative_eval.json.",
+      entries: wrongAnswers.reverse(),
+    },
+  };
+}
+
+export function registerFaqFeedback(register) {
+  register.component(FAQ_FEEDBACK_PREFIX, async ({ interaction }) => {
+    const [vote, id] = String(interaction.customId || "")
+      .slice(FAQ_FEEDBACK_PREFIX.length)
+      .split(":");
+
+    let res;
+    try {
+      res = await recordFaqVote({ id, userId: interaction.user?.id, vote });
+    } catch (err) {
+      logger.warn("faq.feedback.vote_failed", { id, error: logger.serializeError(err) });
+      res = { ok: false, errorText: "Couldn't save your feedback right now." };
+    }
+
+    await interaction.reply({
+      content: res.ok
+        ? vote === "up"
+          ? "👍 Thanks for the feedback!"
+          : "👎 Thanks — we'll use this to improve the FAQ."
+        : `❌ ${res.errorText}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  });
+
+  register(
+    "!faqexport",
+    async ({ message, rest }) => {
+      if (!message.guildId) return;
+      if (!hasPermissionTier(message, "admin")) return;
+
+      const arg = String(rest ?? "").trim();
+      const sinceDays = arg ? Number(arg) : null;
+      if (arg && (!Number.isInteger(sinceDays) || sinceDays <= 0)) {
+        await message.reply("Usage: `!faqexport [days]`");
+        return;
+      }
+
+      const rows = await listVotedFaqQueries({ guildId: message.guildId, sinceDays });
+      const { positive, wrongAnswers } = buildFaqEvalExport(rows);
+      if (!positive.entries.length && !wrongAnswers.entries.length) {
+        await message.reply("No rated FAQ answers to export yet.");
+        return;
+      }
+
+      await message.reply({
+        content:
+          `📤 ${positive.entries.length} helpful / ${wrongAnswers.entries.length} not helpful` +
+          `${sinceDays ? ` (last ${sinceDays} days)` : ""}. ` +
+          "Run `FAQ_EVAL_FILES=… FAQ_WRONG_ANSWER_EVAL_FILES=… npm run faq:eval` to score against them.",
+        files: [
+          {
+            attachment: Buffer.from(JSON.stringify(positive, null, 2), "utf8"),
+            name: "faq_eval.feedback.json",
+          },
+          {
+            attachment: Buffer.from(JSON.stringify(wrongAnswers, null, 2), "utf8"),
+            name: "faq_wrong_answer.feedback.json",
+          },
+        ],
+      });
+    },
+    "!faqexport [days] — exports rated FAQ answers as eval datasets",
+    { admin: true, tier: "admin" }
+  );
+}
+
+export const __testables = { candidatesForLog, questionKey };
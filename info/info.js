@@ -3,6 +3,7 @@
 // Registry for info-related modules (FAQ, wiki, help).
 
 import { registerInfoCommands } from "./faq.js";
+import { registerFaqFeedbackScheduler } from "./faq_feedback.js";
 import { registerHelpbox } from "./helpbox.js";
 import { registerEvents, registerEventSchedulers } from "../events/events.js";
 
@@ -13,5 +14,6 @@ export function registerInfo(register, { helpModel }) {
 }
 
 export function registerInfoSchedulers(context = {}) {
+  registerFaqFeedbackScheduler();
   registerEventSchedulers(context);
 }
@@ -6,12 +6,13 @@ import { getDb } from "../db.js";
 import { logger } from "../shared/logger.js";
 import { metrics } from "../shared/metrics.js";
 import { sendDm } from "../shared/dm.js";
-import { WELCOME_GUILD_IDS, WELCOME_MESSAGE } from "../configs/welcome_config.js";
+import { WELCOME_MESSAGE } from "../configs/welcome_config.js";
+import { getGuildSetting } from "../shared/guild_settings.js";
 
 export async function handleGuildMemberAdd(member) {
   if (!member?.user || member.user.bot) return;
   const guildId = String(member.guild?.id || "");
-  if (!WELCOME_GUILD_IDS.has(guildId)) return;
+  if (!guildId || !getGuildSetting(guildId, "welcome")?.enabled) return;
 
   const db = getDb();
   const [rows] = await db.execute(
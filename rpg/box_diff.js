@@ -0,0 +1,511 @@
+// rpg/box_diff.js
+//
+// Box snapshots and diffs (opt-in per trainer ID):
+// - /boxtrack add|remove|list opts an ID in; only tracked IDs get snapshots stored
+// - /boxdiff compares the live box with the caller's last snapshot (or the last one on/before a
+//   date), stores the live box as their new snapshot, and lists added/removed Pokemon by
+//   variant + level
+// - IDs tracked with daily:true are snapshotted once a day (after 9am ET) and every daily
+//   subscriber gets a DM digest when something changed
+// - snapshots are scoped: each /boxdiff user has their own baseline and the digest has one of its
+//   own, so nobody's check moves anyone else's "since last time"
+// - snapshots older than BOX_SNAPSHOT_RETENTION_DAYS are pruned, keeping each scope's latest
+//
+// Snapshots store the collapsed box (one row per variant/name/gender/level with a count), so a
+// level-up shows as the Pokemon leaving one level and arriving at another.
+
+import { MessageFlags } from "discord.js";
+import { DateTime } from "luxon";
+
+import { getDb } from "../db.js";
+import { getBoxSnapshot, insertBoxSnapshot, pruneBoxSnapshots } from "./storage.js";
+import {
+  VARIANT_LABELS,
+  VARIANT_ORDER,
+  chunkLines,
+  collapseEntries,
+  combineBlocks,
+  fetchViewboxEntries,
+  formatLine,
+} from "./viewbox.js";
+import { createRpgClientFactory } from "./client_factory.js";
+import { hasRpgCredentials, requireRpgCredentials } from "./credentials.js";
+import { sendDmBatch } from "../shared/dm.js";
+import { logger } from "../shared/logger.js";
+import { registerScheduler } from "../shared/scheduler_registry.js";
+import { loadUserIds as loadStoredUserIds } from "../shared/user_ids.js";
+
+const IDS_KIND = "ids";
+const ZONE = "America/New_York";
+const DIGEST_HOUR_ET = 9;
+const COOLDOWN_MS = 60_000;
+const MAX_MESSAGE_LEN = 2000;
+const MAX_REPLY_MESSAGES = 5;
+const MAX_TRACKED_PER_USER = 5;
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60_000;
+const DIGEST_SCOPE = "digest";
+
+const userCooldowns = new Map(); // userId -> lastMs
+let cachedClient = null;
+let lastDigestDate = null;
+
+function userScope(userId) {
+  return `user:${userId}`;
+}
+
+function retentionDays() {
+  const raw = Number(process.env.BOX_SNAPSHOT_RETENTION_DAYS);
+  return Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_RETENTION_DAYS;
+}
+
+function entryKey(entry) {
+  return `${entry.variant}|${entry.name}|${entry.gender || ""}|${Boolean(entry.unknown)}|${entry.level}`;
+}
+
+function countByKey(entries) {
+  const counts = new Map();
+  for (const entry of entries || []) {
+    const key = entryKey(entry);
+    const prev = counts.get(key);
+    counts.set(key, { entry, count: (prev?.count || 0) + (Number(entry.count) || 1) });
+  }
+  return counts;
+}
+
+/**
+ * Pure diff of two collapsed boxes. Returns { added, removed } as collapsed entries whose
+ * count is the difference for that variant/name/gender/level.
+ */
+export function diffBoxes(before, after) {
+  const prev = countByKey(before);
+  const next = countByKey(after);
+  const added = [];
+  const removed = [];
+
+  for (const [key, { entry, count }] of next.entries()) {
+    const delta = count - (prev.get(key)?.count || 0);
+    if (delta > 0) added.push({ ...entry, count: delta });
+  }
+  for (const [key, { entry, count }] of prev.entries()) {
+    const delta = count - (next.get(key)?.count || 0);
+    if (delta > 0) removed.push({ ...entry, count: delta });
+  }
+  return { added, removed };
+}
+
+function totalCount(entries) {
+  return entries.reduce((sum, entry) => sum + (Number(entry.count) || 0), 0);
+}
+
+function compareDiffRows(a, b) {
+  if (a.level !== b.level) return Number(a.level) - Number(b.level);
+  if (a.name !== b.name) return a.name.localeCompare(b.name);
+  return a.sign.localeCompare(b.sign);
+}
+
+/**
+ * Renders a diff as Discord messages: one ```diff block per variant, sorted by level.
+ */
+export function buildDiffMessages({ header, diff }) {
+  if (!diff.added.length && !diff.removed.length) return [`${header}\nNo changes.`];
+
+  const blocks = [header];
+  for (const variant of VARIANT_ORDER) {
+    const rows = [
+      ...diff.added.filter((e) => e.variant === variant).map((e) => ({ ...e, sign: "+" })),
+      ...diff.removed.filter((e) => e.variant === variant).map((e) => ({ ...e, sign: "-" })),
+    ].sort(compareDiffRows);
+    if (!rows.length) continue;
+
+    const title = `**${VARIANT_LABELS[variant]}**`;
+    const lines = rows.map((row) => `${row.sign} ${formatLine(row)}`);
+    for (const chunk of chunkLines(lines, MAX_MESSAGE_LEN - title.length - 20)) {
+      blocks.push(`${title}\n\`\`\`diff\n${chunk}\n\`\`\``);
+    }
+  }
+  return combineBlocks(blocks, MAX_MESSAGE_LEN);
+}
+
+function formatHeader({ trainerId, trainerName, since, diff }) {
+  const who = trainerName ? `**${trainerName}** (ID ${trainerId})` : `ID ${trainerId}`;
+  const sinceText = `<t:${Math.floor(since / 1000)}:f>`;
+  return `📦 Box changes for ${who} since ${sinceText}: **+${totalCount(diff.added)}** added, **-${totalCount(diff.removed)}** removed`;
+}
+
+function parseDateEnd(raw) {
+  const date = DateTime.fromISO(String(raw || "").trim(), { zone: ZONE });
+  return date.isValid ? date.endOf("day").toMillis() : null;
+}
+
+/**
+ * Fetches the live box and stores it as a snapshot in each scope unless the page came back empty.
+ */
+export async function captureBox({ client, trainerId, scopes, nowMs = Date.now() }) {
+  const { entries: rawEntries, trainerName } = await fetchViewboxEntries(client, trainerId);
+  const entries = collapseEntries(rawEntries).map(({ variant, name, gender, unknown, level, count }) => ({
+    variant,
+    name,
+    gender,
+    unknown,
+    level,
+    count,
+  }));
+  if (entries.length) {
+    for (const scope of scopes) {
+      await insertBoxSnapshot({ trainerId, scope, capturedAtMs: nowMs, trainerName, entries });
+    }
+  }
+  return { entries, trainerName };
+}
+
+async function listWatches({ guildId, userId }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT trainer_id, daily FROM rpg_box_watches WHERE guild_id = ? AND user_id = ? ORDER BY created_at_ms`,
+    [String(guildId), String(userId)]
+  );
+  return rows || [];
+}
+
+async function handleTrackAdd(interaction, getClient) {
+  const trainerId = String(interaction.options?.getInteger?.("id") ?? "");
+  const daily = Boolean(interaction.options?.getBoolean?.("daily"));
+  const guildId = String(interaction.guildId);
+  const userId = String(interaction.user?.id);
+
+  const existing = await listWatches({ guildId, userId });
+  const already = existing.some((row) => String(row.trainer_id) === trainerId);
+  if (!already && existing.length >= MAX_TRACKED_PER_USER) {
+    await interaction.editReply({
+      content: `You can track up to ${MAX_TRACKED_PER_USER} boxes. Remove one with \`/boxtrack remove\` first.`,
+    });
+    return;
+  }
+
+  const db = getDb();
+  await db.execute(
+    `
+    INSERT INTO rpg_box_watches (guild_id, user_id, trainer_id, daily, created_at_ms)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE daily = VALUES(daily)
+    `,
+    [guildId, userId, trainerId, daily ? 1 : 0, Date.now()]
+  );
+
+  const scopes = [];
+  if (!(await getBoxSnapshot({ trainerId, scope: userScope(userId) }))) scopes.push(userScope(userId));
+  if (daily && !(await getBoxSnapshot({ trainerId, scope: DIGEST_SCOPE }))) scopes.push(DIGEST_SCOPE);
+
+  let baseline = "";
+  if (scopes.length && requireRpgCredentials("/boxtrack")) {
+    const { entries } = await captureBox({ client: getClient(), trainerId, scopes });
+    if (entries.length) baseline = ` Saved a baseline snapshot (${totalCount(entries)} Pokemon).`;
+  }
+  const digest = daily ? " You'll get a daily DM when it changes." : "";
+  await interaction.editReply({
+    content: `✅ Tracking the box of ID ${trainerId}.${baseline}${digest} Use \`/boxdiff id:${trainerId}\` to compare.`,
+  });
+}
+
+async function handleTrackRemove(interaction) {
+  const trainerId = String(interaction.options?.getInteger?.("id") ?? "");
+  const db = getDb();
+  const [res] = await db.execute(
+    `DELETE FROM rpg_box_watches WHERE guild_id = ? AND user_id = ? AND trainer_id = ?`,
+    [String(interaction.guildId), String(interaction.user?.id), trainerId]
+  );
+  const removed = Number(res?.affectedRows) || 0;
+  await interaction.editReply({
+    content: removed ? `Stopped tracking the box of ID ${trainerId}.` : `You were not tracking ID ${trainerId}.`,
+  });
+}
+
+async function handleTrackList(interaction) {
+  const rows = await listWatches({ guildId: interaction.guildId, userId: interaction.user?.id });
+  if (!rows.length) {
+    await interaction.editReply({ content: "You are not tracking any boxes. Use `/boxtrack add` to start." });
+    return;
+  }
+  const lines = rows.map((row) => `• ID ${row.trainer_id}${Number(row.daily) ? " — daily digest" : ""}`);
+  await interaction.editReply({ content: ["**Tracked boxes**", ...lines].join("\n") });
+}
+
+async function resolveDiffTarget(interaction) {
+  const explicit = interaction.options?.getInteger?.("id");
+  if (explicit != null) return String(explicit);
+  const saved = await loadStoredUserIds({
+    guildId: interaction.guildId,
+    userId: interaction.user?.id,
+    kind: IDS_KIND,
+  });
+  return saved.length ? String(saved[0].id) : null;
+}
+
+async function handleBoxDiff(interaction, getClient, nowMs = Date.now()) {
+  const trainerId = await resolveDiffTarget(interaction);
+  if (!trainerId) {
+    await interaction.editReply({ content: "❌ Give a trainer `id`, or save yours with `!id add <number>` first." });
+    return;
+  }
+
+  const rawDate = interaction.options?.getString?.("date") || null;
+  const atOrBeforeMs = rawDate ? parseDateEnd(rawDate) : null;
+  if (rawDate && atOrBeforeMs == null) {
+    await interaction.editReply({ content: "❌ Use a date like `2026-01-31`." });
+    return;
+  }
+
+  const watches = await listWatches({ guildId: interaction.guildId, userId: interaction.user?.id });
+  if (!watches.some((row) => String(row.trainer_id) === trainerId)) {
+    await interaction.editReply({
+      content: `You are not tracking ID ${trainerId}. Start with \`/boxtrack add id:${trainerId}\` (saves a baseline).`,
+    });
+    return;
+  }
+
+  if (!requireRpgCredentials("/boxdiff")) {
+    await interaction.editReply({ content: "❌ RPG credentials are not configured." });
+    return;
+  }
+
+  const userId = String(interaction.user?.id);
+  const last = userCooldowns.get(userId) || 0;
+  if (nowMs - last < COOLDOWN_MS) {
+    const remaining = Math.ceil((COOLDOWN_MS - (nowMs - last)) / 1000);
+    await interaction.editReply({ content: `⚠️ This command is on cooldown for another ${remaining}s!` });
+    return;
+  }
+  userCooldowns.set(userId, nowMs);
+
+  let baseline = await getBoxSnapshot({ trainerId, scope: userScope(userId), atOrBeforeMs });
+  // Dated lookups can also use the daily digest's history for this ID.
+  if (!baseline && rawDate) baseline = await getBoxSnapshot({ trainerId, scope: DIGEST_SCOPE, atOrBeforeMs });
+  if (!baseline && rawDate) {
+    await interaction.editReply({ content: `No snapshot of ID ${trainerId} on or before ${rawDate}.` });
+    return;
+  }
+
+  const { entries, trainerName } = await captureBox({
+    client: getClient(),
+    trainerId,
+    scopes: [userScope(userId)],
+    nowMs,
+  });
+  if (!entries.length) {
+    await interaction.editReply({ content: "❌ No Pokemon found for that trainer ID." });
+    return;
+  }
+  if (!baseline) {
+    await interaction.editReply({
+      content: `Saved a baseline snapshot of ID ${trainerId} (${totalCount(entries)} Pokemon). Run \`/boxdiff\` again later to see changes.`,
+    });
+    return;
+  }
+
+  const diff = diffBoxes(baseline.entries, entries);
+  const header = formatHeader({
+    trainerId,
+    trainerName: trainerName || baseline.trainerName,
+    since: baseline.capturedAtMs,
+    diff,
+  });
+  const messages = buildDiffMessages({ header, diff });
+  const shown = messages.slice(0, MAX_REPLY_MESSAGES);
+  if (messages.length > shown.length) {
+    shown[shown.length - 1] += `\n_…${messages.length - shown.length} more message(s) not shown; try a more recent date._`;
+  }
+
+  await interaction.editReply({ content: shown[0] });
+  for (const content of shown.slice(1)) {
+    await interaction.followUp({ content, flags: MessageFlags.Ephemeral });
+  }
+}
+
+/**
+ * Daily pass: snapshot every ID with a daily subscriber and DM each one the changes.
+ */
+export async function runDailyDigest({ rpgClient, discordClient = cachedClient, nowMs = Date.now() }) {
+  const db = getDb();
+  const [rows] = await db.execute(`SELECT user_id, trainer_id FROM rpg_box_watches WHERE daily = 1`);
+  const usersByTrainer = new Map(); // trainerId -> Set(userId), deduped across guilds
+  for (const row of rows || []) {
+    const trainerId = String(row.trainer_id);
+    if (!usersByTrainer.has(trainerId)) usersByTrainer.set(trainerId, new Set());
+    usersByTrainer.get(trainerId).add(String(row.user_id));
+  }
+
+  let sent = 0;
+  for (const [trainerId, userIds] of usersByTrainer.entries()) {
+    try {
+      const baseline = await getBoxSnapshot({ trainerId, scope: DIGEST_SCOPE });
+      const { entries, trainerName } = await captureBox({
+        client: rpgClient,
+        trainerId,
+        scopes: [DIGEST_SCOPE],
+        nowMs,
+      });
+      if (!baseline || !entries.length) continue;
+
+      const diff = diffBoxes(baseline.entries, entries);
+      if (!diff.added.length && !diff.removed.length) continue;
+      const header = formatHeader({
+        trainerId,
+        trainerName: trainerName || baseline.trainerName,
+        since: baseline.capturedAtMs,
+        diff,
+      });
+      const messages = buildDiffMessages({ header, diff }).slice(0, MAX_REPLY_MESSAGES);
+      messages[messages.length - 1] += "\n_Stop with /boxtrack remove._";
+
+      for (const userId of userIds) {
+        const user = await discordClient?.users?.fetch?.(userId).catch(() => null);
+        const res = await sendDmBatch({ user, messages, feature: "box_diff" });
+        if (res.ok) sent += 1;
+      }
+    } catch (err) {
+      logger.warn("box_diff.digest.failed", { trainerId, error: logger.serializeError(err) });
+    }
+  }
+  return { sent };
+}
+
+export async function cleanupOldBoxSnapshots(nowMs = Date.now()) {
+  try {
+    const removed = await pruneBoxSnapshots({ beforeMs: nowMs - retentionDays() * DAY_MS });
+    if (removed) logger.info("box_diff.snapshot.pruned", { removed });
+    return removed;
+  } catch (err) {
+    logger.warn("box_diff.snapshot.prune.failed", { error: logger.serializeError(err) });
+    return 0;
+  }
+}
+
+/**
+ * One scheduler tick: runs the digest once per ET day after DIGEST_HOUR_ET. Never throws.
+ */
+async function digestTick(rpgClient, nowMs = Date.now()) {
+  try {
+    const now = DateTime.fromMillis(nowMs, { zone: ZONE });
+    if (now.hour < DIGEST_HOUR_ET) return;
+    const dateKey = now.toISODate();
+    if (lastDigestDate === dateKey) return;
+    lastDigestDate = dateKey;
+
+    await runDailyDigest({ rpgClient, nowMs });
+    await cleanupOldBoxSnapshots(nowMs);
+  } catch (err) {
+    logger.warn("box_diff.digest.tick.failed", { error: logger.serializeError(err) });
+  }
+}
+
+function scheduleDailyDigest(rpgClient) {
+  void digestTick(rpgClient);
+  const timer = setInterval(() => {
+    void digestTick(rpgClient);
+  }, 10 * 60_000);
+  if (typeof timer.unref === "function") timer.unref();
+}
+
+export function registerBoxDiff(register) {
+  const getClient = createRpgClientFactory();
+
+  register.slash(
+    {
+      name: "boxdiff",
+      description: "Show what changed in a tracked trainer box since the last check",
+      options: [
+        {
+          type: 4, // INTEGER
+          name: "id",
+          description: "Trainer ID (default: your first saved ID)",
+          required: false,
+          min_value: 1,
+        },
+        {
+          type: 3, // STRING
+          name: "date",
+          description: "Compare with the last snapshot on or before this date (YYYY-MM-DD)",
+          required: false,
+        },
+      ],
+    },
+    async ({ interaction }) => {
+      if (!interaction.guildId) {
+        await interaction.reply({ content: "This command only works in a server.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        await handleBoxDiff(interaction, getClient);
+      } catch (err) {
+        console.error("[rpg] boxdiff failed:", err);
+        await interaction.editReply({ content: "❌ Failed to compare the trainer box. Please try again later." });
+      }
+    }
+  );
+
+  register.slash(
+    {
+      name: "boxtrack",
+      description: "Opt a trainer box in to snapshots for /boxdiff",
+      options: [
+        {
+          type: 1,
+          name: "add",
+          description: "Start tracking a trainer box (saves a baseline snapshot)",
+          options: [
+            { type: 4, name: "id", description: "Trainer ID", required: true, min_value: 1 },
+            {
+              type: 5, // BOOLEAN
+              name: "daily",
+              description: "Snapshot daily and DM me what changed",
+              required: false,
+            },
+          ],
+        },
+        {
+          type: 1,
+          name: "remove",
+          description: "Stop tracking a trainer box",
+          options: [{ type: 4, name: "id", description: "Trainer ID", required: true, min_value: 1 }],
+        },
+        { type: 1, name: "list", description: "Show the boxes you track" },
+      ],
+    },
+    async ({ interaction }) => {
+      if (!interaction.guildId) {
+        await interaction.reply({ content: "This command only works in a server.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const sub = interaction.options?.getSubcommand?.() || "";
+      try {
+        if (sub === "add") return await handleTrackAdd(interaction, getClient);
+        if (sub === "remove") return await handleTrackRemove(interaction);
+        if (sub === "list") return await handleTrackList(interaction);
+      } catch (err) {
+        console.warn("[rpg] boxtrack failed:", err);
+        await interaction.editReply({ content: "❌ Could not update box tracking right now. Please try again later." });
+      }
+    }
+  );
+}
+
+export function registerBoxDiffScheduler() {
+  registerScheduler("box_diff_digest", (context = {}) => {
+    cachedClient = context.client || cachedClient;
+    if (!hasRpgCredentials()) return;
+    scheduleDailyDigest(createRpgClientFactory()());
+  });
+}
+
+export const __testables = {
+  digestTick,
+  parseDateEnd,
+  resetState() {
+    userCooldowns.clear();
+    cachedClient = null;
+    lastDigestDate = null;
+  },
+};
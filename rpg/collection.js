@@ -0,0 +1,394 @@
+// rpg/collection.js
+//
+// /collection — progress toward a collecting goal across a member's saved trainer IDs:
+// - goal = preset species list (national dex, one generation, legends & mythicals, golden
+//   base stages) or a custom list (saved per user, so `preset:custom` alone reuses it)
+// - an optional variant narrows what counts (e.g. golden legends, shiny Gen 1)
+// - boxes are read like /sortbox (buildOrganizerEntries), species are matched on the base
+//   name, so forms and genders all count toward their species
+// - missing species are annotated with current Secret Swap availability and whether their
+//   base evolution is off this month's Training Challenge ineligible list
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { EmbedBuilder, MessageFlags } from "discord.js";
+
+import { getUserText, setUserText } from "../db.js";
+import { fetchViewboxEntries } from "./viewbox.js";
+import { getTrainingChallengeIneligible } from "./rpginfo.js";
+import { lookupSwapStatus } from "./swap_status.js";
+import { createRpgClientFactory } from "./client_factory.js";
+import { requireRpgCredentials } from "./credentials.js";
+import { baseSpeciesName, buildLegendSet, buildOrganizerEntries, splitLegends } from "../tools/sortbox.js";
+import { logger } from "../shared/logger.js";
+import { normalizeKey } from "../shared/pokename_utils.js";
+import { loadUserIds as loadStoredUserIds } from "../shared/user_ids.js";
+
+const POKEDEX_PATH = path.resolve("data/pokedex_map.json");
+const EVOLUTION_PATH = path.resolve("data/pokemon_evolutions.json");
+const IDS_KIND = "ids";
+const CUSTOM_KIND = "collect"; // <= 8 chars (db schema)
+const COOLDOWN_MS = 60_000;
+const MAX_CUSTOM_SPECIES = 200;
+const MAX_FIELD_LEN = 1024;
+
+const GEN_RANGES = [
+  [1, 151],
+  [152, 251],
+  [252, 386],
+  [387, 493],
+  [494, 649],
+  [650, 721],
+  [722, 809],
+  [810, 905],
+];
+
+export const COLLECTION_PRESETS = [
+  { name: "National Dex", value: "national" },
+  ...GEN_RANGES.map((_, idx) => ({ name: `Gen ${idx + 1}`, value: `gen${idx + 1}` })),
+  { name: "Legends & Mythicals", value: "legends" },
+  { name: "Golden base stages", value: "golden_bases" },
+  { name: "Custom list", value: "custom" },
+];
+
+const VARIANT_CHOICES = [
+  { name: "Any variant", value: "any" },
+  { name: "Normal", value: "normal" },
+  { name: "Shiny", value: "shiny" },
+  { name: "Dark", value: "dark" },
+  { name: "Golden", value: "golden" },
+];
+
+const VARIANT_PREFIXES = { golden: "Golden", shiny: "Shiny", dark: "Dark", normal: "" };
+
+const userCooldowns = new Map(); // userId -> lastMs
+let dexCache = null; // [{ dex, name, fullName, key }] one per dex number, base form
+let baseByNameCache = null; // { lowerName: baseName }
+
+async function loadDex() {
+  if (dexCache) return dexCache;
+  const raw = await fs.readFile(POKEDEX_PATH, "utf8");
+  const byDex = new Map();
+  for (const [fullName, key] of Object.entries(JSON.parse(raw) || {})) {
+    const [num, form] = String(key).split("-");
+    const dex = Number(num);
+    if (form !== "0" || !Number.isFinite(dex) || byDex.has(dex)) continue;
+    const name = fullName.split(" (")[0].trim();
+    byDex.set(dex, { dex, name, fullName, key: normalizeKey(name) });
+  }
+  dexCache = Array.from(byDex.values()).sort((a, b) => a.dex - b.dex);
+  return dexCache;
+}
+
+async function loadBaseByName() {
+  if (baseByNameCache) return baseByNameCache;
+  try {
+    const raw = await fs.readFile(EVOLUTION_PATH, "utf8");
+    baseByNameCache = JSON.parse(raw)?.base_by_name || {};
+  } catch (err) {
+    console.error("[rpg] failed to load evolution data:", err);
+    baseByNameCache = {};
+  }
+  return baseByNameCache;
+}
+
+function baseEvolutionOf(species, baseByName) {
+  return baseByName[species.fullName.toLowerCase()] || baseByName[species.name.toLowerCase()] || species.name;
+}
+
+function variantOf(organizerName) {
+  if (/^Golden(?=[A-Z])/.test(organizerName)) return "golden";
+  if (/^Shiny(?=[A-Z])/.test(organizerName)) return "shiny";
+  if (/^Dark(?=[A-Z])/.test(organizerName)) return "dark";
+  return "normal";
+}
+
+function speciesKey(organizerName) {
+  const key = normalizeKey(baseSpeciesName(organizerName));
+  // The box shows both Nidoran as "Nidoran" plus a gender symbol; the dex lists NidoranF/NidoranM.
+  if (key === "nidoran") return organizerName.includes("♀") ? "nidoranf" : "nidoranm";
+  return key;
+}
+
+function parseSpeciesList(raw) {
+  return String(raw || "")
+    .split(/[,\n;]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolves a goal to its species. Unknown custom names come back in `unknown`.
+ */
+export async function resolveGoalSpecies({ preset, customList = "" }) {
+  const dex = await loadDex();
+  const gen = /^gen(\d)$/.exec(preset);
+  if (gen) {
+    const [lo, hi] = GEN_RANGES[Number(gen[1]) - 1] || [0, -1];
+    return { species: dex.filter((s) => s.dex >= lo && s.dex <= hi), unknown: [] };
+  }
+  if (preset === "legends") {
+    const legendSet = buildLegendSet("");
+    return { species: dex.filter((s) => legendSet.has(s.name.toLowerCase())), unknown: [] };
+  }
+  if (preset === "golden_bases") {
+    const baseByName = await loadBaseByName();
+    const bases = dex.filter((s) => normalizeKey(baseEvolutionOf(s, baseByName)) === s.key);
+    return { species: bases, unknown: [] };
+  }
+  if (preset === "custom") {
+    const byKey = new Map(dex.map((s) => [s.key, s]));
+    const species = [];
+    const unknown = [];
+    const seen = new Set();
+    for (const name of parseSpeciesList(customList).slice(0, MAX_CUSTOM_SPECIES)) {
+      const match = byKey.get(normalizeKey(name.split(" (")[0]));
+      if (!match) unknown.push(name);
+      else if (!seen.has(match.key)) {
+        seen.add(match.key);
+        species.push(match);
+      }
+    }
+    return { species, unknown };
+  }
+  return { species: dex, unknown: [] };
+}
+
+/**
+ * Pure progress check of a goal against viewbox entries from one or more boxes.
+ */
+export function summarizeCollection({ species, boxEntries, variant = "any", legendsOnly = false }) {
+  let pool = buildOrganizerEntries(boxEntries || []);
+  if (legendsOnly) pool = splitLegends(pool, buildLegendSet("")).legends;
+  const owned = new Set(
+    pool.filter((e) => variant === "any" || variantOf(e.name) === variant).map((e) => speciesKey(e.name))
+  );
+  const missing = species.filter((s) => !owned.has(s.key));
+  const have = species.length - missing.length;
+  const percent = species.length ? Math.floor((have / species.length) * 1000) / 10 : 0;
+  return { total: species.length, owned: have, missing, percent };
+}
+
+/**
+ * Flags missing species that are in Secret Swap right now and those whose base evolution is
+ * not TC-ineligible this month (tc is null when the ineligible list is unavailable).
+ */
+export async function annotateMissing({ missing, variant, ineligible }) {
+  const baseByName = await loadBaseByName();
+  const ineligibleSet = ineligible ? new Set(ineligible.map((name) => normalizeKey(name))) : null;
+  const prefix = VARIANT_PREFIXES[variant] || "";
+  const out = [];
+  for (const species of missing) {
+    const swap = await lookupSwapStatus(`${prefix}${species.name}`);
+    const base = baseEvolutionOf(species, baseByName);
+    out.push({
+      ...species,
+      swap: swap.status === "found" && Boolean(swap.entry?.currentSecretSwap),
+      tc: ineligibleSet ? !ineligibleSet.has(normalizeKey(base)) : null,
+    });
+  }
+  return out;
+}
+
+function progressBar(percent) {
+  const filled = Math.round(percent / 10);
+  return `${"▰".repeat(filled)}${"▱".repeat(10 - filled)}`;
+}
+
+function listField(names) {
+  if (!names.length) return { text: "None 🎉", clipped: false };
+  let text = "";
+  for (let i = 0; i < names.length; i += 1) {
+    const next = text ? `${text}, ${names[i]}` : names[i];
+    const more = `… and ${names.length - i} more`;
+    if (next.length > MAX_FIELD_LEN - more.length - 2) {
+      return { text: `${text}, ${more}`, clipped: true };
+    }
+    text = next;
+  }
+  return { text, clipped: false };
+}
+
+function goalLabel(preset, variant) {
+  const presetName = COLLECTION_PRESETS.find((p) => p.value === preset)?.name || preset;
+  const variantName = variant === "any" ? "" : ` — ${VARIANT_CHOICES.find((v) => v.value === variant)?.name}`;
+  return `${presetName}${variantName}`;
+}
+
+function buildCollectionReply({ preset, variant, summary, annotated, idsLabel, unknown, failedIds }) {
+  const title = goalLabel(preset, variant);
+  const lines = [
+    `${progressBar(summary.percent)} **${summary.owned} / ${summary.total}** (${summary.percent}%)`,
+    `Boxes checked: ${idsLabel}`,
+  ];
+  if (failedIds.length) lines.push(`⚠️ Could not read: ${failedIds.join(", ")}`);
+  if (unknown.length) lines.push(`Unknown species skipped: ${unknown.join(", ")}`);
+
+  const missing = listField(annotated.map((s) => s.name));
+  const swaps = listField(annotated.filter((s) => s.swap).map((s) => s.name));
+  const tcKnown = annotated.some((s) => s.tc != null) || !annotated.length;
+  const tc = listField(annotated.filter((s) => s.tc).map((s) => s.name));
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📚 ${title}`)
+    .setDescription(lines.join("\n"))
+    .addFields(
+      { name: `Missing (${annotated.length})`, value: missing.text },
+      { name: `Missing, in Secret Swap now (${annotated.filter((s) => s.swap).length})`, value: swaps.text },
+      {
+        name: `Missing, TC-eligible base (${annotated.filter((s) => s.tc).length})`,
+        value: tcKnown ? tc.text : "Training Challenge list unavailable right now.",
+      }
+    )
+    .setFooter({ text: "TC-eligible = base evolution is not on this month's Training Challenge ineligible list" });
+
+  const payload = { embeds: [embed], allowedMentions: { parse: [] } };
+  if (missing.clipped || swaps.clipped || tc.clipped) {
+    const fileLines = annotated.map((s) => {
+      const tags = [s.swap ? "swap" : "", s.tc ? "TC" : ""].filter(Boolean);
+      return `#${String(s.dex).padStart(3, "0")} ${s.name}${tags.length ? ` [${tags.join(", ")}]` : ""}`;
+    });
+    payload.files = [{ attachment: Buffer.from(fileLines.join("\n"), "utf8"), name: "collection-missing.txt" }];
+  }
+  return payload;
+}
+
+async function handleCollection(interaction, getClient, nowMs = Date.now()) {
+  const preset = String(interaction.options?.getString?.("preset") || "national");
+  const speciesInput = String(interaction.options?.getString?.("species") || "").trim();
+  const targetUser = interaction.options?.getUser?.("user") || interaction.user;
+  const variant = preset === "golden_bases" ? "golden" : String(interaction.options?.getString?.("variant") || "any");
+  const guildId = interaction.guildId;
+  const userId = String(interaction.user?.id);
+
+  let customList = speciesInput;
+  if (preset === "custom") {
+    if (speciesInput) {
+      await setUserText({ guildId, userId, kind: CUSTOM_KIND, text: speciesInput });
+    } else {
+      customList = (await getUserText({ guildId, userId, kind: CUSTOM_KIND })) || "";
+    }
+    if (!customList) {
+      await interaction.editReply({ content: "❌ Give a `species` list (comma separated) for a custom goal." });
+      return;
+    }
+  }
+
+  const { species, unknown } = await resolveGoalSpecies({ preset, customList });
+  if (!species.length) {
+    await interaction.editReply({ content: "❌ None of those species are in the Pokedex." });
+    return;
+  }
+
+  if (!requireRpgCredentials("/collection")) {
+    await interaction.editReply({ content: "❌ RPG credentials are not configured." });
+    return;
+  }
+
+  const savedIds = await loadStoredUserIds({ guildId, userId: targetUser.id, kind: IDS_KIND });
+  if (!savedIds.length) {
+    await interaction.editReply({ content: `❌ <@${targetUser.id}> has not set an ID.` });
+    return;
+  }
+
+  const last = userCooldowns.get(userId) || 0;
+  if (nowMs - last < COOLDOWN_MS) {
+    const remaining = Math.ceil((COOLDOWN_MS - (nowMs - last)) / 1000);
+    await interaction.editReply({ content: `⚠️ This command is on cooldown for another ${remaining}s!` });
+    return;
+  }
+  userCooldowns.set(userId, nowMs);
+
+  const client = getClient();
+  const boxEntries = [];
+  const failedIds = [];
+  for (const entry of savedIds) {
+    try {
+      const { entries } = await fetchViewboxEntries(client, entry.id);
+      boxEntries.push(...entries);
+    } catch (err) {
+      logger.warn("collection.box.failed", { trainerId: entry.id, error: logger.serializeError(err) });
+      failedIds.push(entry.id);
+    }
+  }
+  if (failedIds.length === savedIds.length) {
+    await interaction.editReply({ content: "❌ Failed to fetch the trainer box. Please try again later." });
+    return;
+  }
+
+  let ineligible = null;
+  try {
+    ineligible = await getTrainingChallengeIneligible(client);
+  } catch (err) {
+    logger.warn("collection.tc.failed", { error: logger.serializeError(err) });
+  }
+
+  const summary = summarizeCollection({ species, boxEntries, variant, legendsOnly: preset === "legends" });
+  const annotated = await annotateMissing({ missing: summary.missing, variant, ineligible });
+  const idsLabel = savedIds
+    .map((entry) => (entry.label ? `${entry.id} (${entry.label})` : String(entry.id)))
+    .join(", ");
+  await interaction.editReply(
+    buildCollectionReply({ preset, variant, summary, annotated, idsLabel, unknown, failedIds })
+  );
+}
+
+export function registerCollection(register) {
+  const getClient = createRpgClientFactory();
+
+  register.slash(
+    {
+      name: "collection",
+      description: "Check progress toward a collecting goal across saved trainer IDs",
+      options: [
+        {
+          type: 3, // STRING
+          name: "preset",
+          description: "Goal to check",
+          required: true,
+          choices: COLLECTION_PRESETS,
+        },
+        {
+          type: 3, // STRING
+          name: "variant",
+          description: "Only count this variant (default: any)",
+          required: false,
+          choices: VARIANT_CHOICES,
+        },
+        {
+          type: 3, // STRING
+          name: "species",
+          description: "Custom goal: comma separated species (saved for next time)",
+          required: false,
+        },
+        {
+          type: 6, // USER
+          name: "user",
+          description: "Check another member's saved IDs (default: you)",
+          required: false,
+        },
+      ],
+    },
+    async ({ interaction }) => {
+      if (!interaction.guildId) {
+        await interaction.reply({ content: "This command only works in a server.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+      await interaction.deferReply();
+      try {
+        await handleCollection(interaction, getClient);
+      } catch (err) {
+        console.error("[rpg] collection failed:", err);
+        await interaction.editReply({ content: "❌ Failed to check that collection. Please try again later." });
+      }
+    }
+  );
+}
+
+export const __testables = {
+  speciesKey,
+  resetState() {
+    userCooldowns.clear();
+  },
+};
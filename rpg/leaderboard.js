@@ -16,6 +16,13 @@ import {
   enforceDidYouMeanUser,
 } from "../shared/did_you_mean.js";
 import { getLeaderboard, upsertLeaderboard, incrementLeaderboardHistory, getLeaderboardHistoryTop } from "./storage.js";
+import { isRankTracked, listTrackedChallenges, notifyRankChanges } from "./rank_tracker.js";
+import {
+  SNAPSHOT_SCORE_FIELDS,
+  handleLeaderboardTrend,
+  recordLeaderboardSnapshot,
+  scheduleSnapshotCleanup,
+} from "./leaderboard_trend.js";
 import { logger } from "../shared/logger.js";
 import { metrics } from "../shared/metrics.js";
 import { registerScheduler } from "../shared/scheduler_registry.js";
@@ -611,7 +618,12 @@ async function fetchAndStore(challenge, client) {
   else if (challenge.key === "trainers") rows = parseTrainerRanks(html);
   else if (challenge.key === "faction") rows = parseTrainerRanks(html);
   else if (challenge.key === "pokemon_overall") rows = parsePokemonRanks(html);
+  const previous = isRankTracked(challenge.key)
+    ? await getLeaderboard({ challenge: challenge.key }).catch(() => null)
+    : null;
   await upsertLeaderboard({ challenge: challenge.key, payload: { rows } });
+  void notifyRankChanges({ challengeKey: challenge.key, previousRows: previous?.payload?.rows, rows });
+  void recordLeaderboardSnapshot({ challengeKey: challenge.key, rows });
   return rows;
 }
 
@@ -919,6 +931,41 @@ function scheduleTrainingChallenge(client) {
   setInterval(tick, 10 * 60_000);
 }
 
+/**
+ * Top Trainers / faction rows for the given trainer IDs (used by /profile).
+ */
+export async function findTrainerStandings({ trainerIds, client }) {
+  const ids = new Set((trainerIds || []).map(String));
+  const out = [];
+  for (const key of ["trainers", "faction"]) {
+    const res = await getCachedOrFetch(key, client);
+    for (const row of res?.rows || []) {
+      const id = String(row.trainerId || row.number || "");
+      if (!ids.has(id)) continue;
+      out.push({ ...row, challenge: key, challengeName: CHALLENGES[key].name, trainerId: id });
+    }
+  }
+  return out;
+}
+
+// Keeps boards with /trackrank subscribers fresh so rank alerts go out without anyone running !lb.
+function scheduleTrackedRefresh(client) {
+  async function tick() {
+    for (const challengeKey of listTrackedChallenges()) {
+      try {
+        await getCachedOrFetch(challengeKey, client);
+      } catch (err) {
+        logger.warn("leaderboard.tracked.refresh.error", {
+          challenge: challengeKey,
+          error: logger.serializeError(err),
+        });
+      }
+    }
+  }
+
+  setInterval(tick, 10 * 60_000);
+}
+
 export function registerLeaderboard(register) {
   const primaryCmd = "!leaderboard";
   const aliasCmds = ["!ld", "!lb", "!leader"];
@@ -948,6 +995,7 @@ export function registerLeaderboard(register) {
             `• \`${primaryCmd} tc\` — Training Challenge standings`,
             `• \`${primaryCmd} roulette [weekly]\` — Battle Roulette standings`,
             `• \`${primaryCmd} speedtower\` — Speed Tower standings`,
+            `• \`${primaryCmd} <challenge> trend [rank|score] [trainer]\` — Rank/score chart over the last 30 days`,
             `• \`${primaryCmd} speed halloffame|hof|overall|roundup\` — Speed Tower Hall of Fame`,
             `• \`${primaryCmd} swarm [1-10]\` — Swarm standings (Saturdays only)`,
             `• \`${primaryCmd} trainers [1-20]\` — Top trainers by level`,
@@ -1049,6 +1097,26 @@ export function registerLeaderboard(register) {
       let sub = normalizeCommandToken((historyParts[0] || "").toLowerCase());
       if (sub === "poke") sub = "pokemon";
 
+      const trendIdx = parts.findIndex((p, i) => i > 0 && i <= 2 && p.toLowerCase() === "trend");
+      if (trendIdx > 0) {
+        const isWeekly = trendIdx === 2 && parts[1].toLowerCase() === "weekly";
+        const baseKey = sub === "trainers" ? "trainers" : ALIASES.get(sub);
+        const key = baseKey === "roulette" && isWeekly ? "roulette_weekly" : baseKey;
+        if (!key || !SNAPSHOT_SCORE_FIELDS[key] || (trendIdx === 2 && !isWeekly)) {
+          await message.reply(
+            `Usage: \`${primaryCmd} ssanne|safarizone|tc|roulette [weekly]|speedtower|trainers trend [rank|score] [trainer]\``
+          );
+          return;
+        }
+        await handleLeaderboardTrend({
+          message,
+          challengeKey: key,
+          challengeName: CHALLENGES[key].name,
+          args: parts.slice(trendIdx + 1),
+        });
+        return;
+      }
+
       if (!requireRpgCredentials(primaryCmd)) {
         await message.reply("❌ RPG leaderboard credentials are not configured.");
         return;
@@ -1363,6 +1431,8 @@ export function registerLeaderboardScheduler() {
     scheduleTrainingChallenge(initClient);
     schedulePokemonCacheRefresh(initClient);
     scheduleHistoryCapture(initClient);
+    scheduleTrackedRefresh(initClient);
+    scheduleSnapshotCleanup();
   });
 }
 
@@ -0,0 +1,230 @@
+// rpg/leaderboard_trend.js
+//
+// Leaderboard time series:
+// - each scraped standings table from fetchAndStore is kept as normalized rows in
+//   rpg_leaderboard_snapshots (challenge, captured_at_ms, rank, trainer id/name, score),
+//   at most one snapshot per challenge every LEADERBOARD_SNAPSHOT_INTERVAL_MINUTES
+// - snapshots older than LEADERBOARD_SNAPSHOT_RETENTION_DAYS are pruned every 6 hours
+// - `!lb <challenge> trend [rank|score] [trainer]` charts one trainer as a PNG (last 30 days,
+//   one point per ET day = that day's last snapshot)
+
+import { DateTime } from "luxon";
+
+import {
+  getLatestLeaderboardSnapshotAt,
+  getLeaderboardTrend,
+  getSnapshotTrainerName,
+  insertLeaderboardSnapshot,
+  pruneLeaderboardSnapshots,
+} from "./storage.js";
+import { buildLineChartSvg } from "../shared/line_chart_svg.js";
+import { logger } from "../shared/logger.js";
+import { loadUserIds as loadStoredUserIds } from "../shared/user_ids.js";
+
+// challenge -> row field holding its score
+export const SNAPSHOT_SCORE_FIELDS = {
+  ssanne: "wins",
+  safarizone: "points",
+  speedtower: "floor",
+  roulette: "wins",
+  roulette_weekly: "wins",
+  tc: "level",
+  trainers: "level",
+};
+
+const SCORE_LABELS = { wins: "Wins", points: "Points", floor: "Floor", level: "Level" };
+const DEFAULT_INTERVAL_MINUTES = 30;
+const DEFAULT_RETENTION_DAYS = 180;
+const TREND_WINDOW_DAYS = 30;
+const TREND_ZONE = "America/New_York";
+const NO_PINGS = { allowedMentions: { parse: [] } };
+const DAY_MS = 24 * 60 * 60_000;
+
+const lastSnapshotAt = new Map(); // challenge -> captured_at_ms of the latest stored snapshot
+let sharpPromise = null;
+
+function snapshotIntervalMs() {
+  const raw = Number(process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MINUTES);
+  return (Number.isFinite(raw) && raw >= 0 ? raw : DEFAULT_INTERVAL_MINUTES) * 60_000;
+}
+
+function retentionDays() {
+  const raw = Number(process.env.LEADERBOARD_SNAPSHOT_RETENTION_DAYS);
+  return Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_RETENTION_DAYS;
+}
+
+function parseScore(raw) {
+  const match = /-?\d+(?:\.\d+)?/.exec(String(raw ?? "").replace(/,/g, ""));
+  return match ? Number(match[0]) : null;
+}
+
+export function toSnapshotEntries(challengeKey, rows) {
+  const field = SNAPSHOT_SCORE_FIELDS[challengeKey];
+  if (!field) return [];
+  return (Array.isArray(rows) ? rows : [])
+    .filter((row) => row?.trainer || row?.trainerId)
+    .map((row, idx) => ({
+      position: idx + 1,
+      trainerId: row.trainerId ? String(row.trainerId) : null,
+      trainerName: row.trainer ? String(row.trainer) : null,
+      score: parseScore(row[field]),
+    }));
+}
+
+/**
+ * Stores one snapshot unless the challenge was captured within the interval. Never throws.
+ */
+export async function recordLeaderboardSnapshot({ challengeKey, rows, nowMs = Date.now() }) {
+  const entries = toSnapshotEntries(challengeKey, rows);
+  if (!entries.length) return false;
+  try {
+    if (!lastSnapshotAt.has(challengeKey)) {
+      lastSnapshotAt.set(challengeKey, await getLatestLeaderboardSnapshotAt({ challenge: challengeKey }));
+    }
+    const last = lastSnapshotAt.get(challengeKey);
+    if (last != null && nowMs - last < snapshotIntervalMs()) return false;
+    lastSnapshotAt.set(challengeKey, nowMs);
+    await insertLeaderboardSnapshot({ challenge: challengeKey, capturedAtMs: nowMs, entries });
+    return true;
+  } catch (err) {
+    logger.warn("leaderboard.snapshot.failed", {
+      challenge: challengeKey,
+      error: logger.serializeError(err),
+    });
+    return false;
+  }
+}
+
+export async function cleanupOldSnapshots(nowMs = Date.now()) {
+  try {
+    const removed = await pruneLeaderboardSnapshots({ beforeMs: nowMs - retentionDays() * DAY_MS });
+    if (removed) logger.info("leaderboard.snapshot.pruned", { removed });
+    return removed;
+  } catch (err) {
+    logger.warn("leaderboard.snapshot.prune.failed", { error: logger.serializeError(err) });
+    return 0;
+  }
+}
+
+export function scheduleSnapshotCleanup({ intervalMs = 6 * 60 * 60 * 1000 } = {}) {
+  void cleanupOldSnapshots();
+  const timer = setInterval(() => {
+    void cleanupOldSnapshots();
+  }, intervalMs);
+  if (typeof timer.unref === "function") timer.unref();
+}
+
+/**
+ * Collapses snapshot rows to one point per ET day (the day's last snapshot).
+ */
+export function buildTrendPoints(rows, metric = "rank") {
+  const byDay = new Map();
+  for (const row of rows || []) {
+    const value = metric === "score" ? row.score : row.position;
+    if (value == null || !Number.isFinite(Number(value))) continue;
+    const day = DateTime.fromMillis(Number(row.capturedAtMs), { zone: TREND_ZONE });
+    byDay.set(day.toISODate(), { label: day.toFormat("LLL d"), value: Number(value) });
+  }
+  return Array.from(byDay.values());
+}
+
+async function renderPng(svg) {
+  if (!sharpPromise) sharpPromise = import("sharp").then((mod) => mod.default || mod);
+  const sharp = await sharpPromise;
+  return sharp(Buffer.from(svg, "utf8")).png().toBuffer();
+}
+
+async function resolveTrendRows({ challengeKey, query, message, sinceMs }) {
+  let target = String(query || "").trim();
+  if (!target) {
+    const saved = await loadStoredUserIds({ guildId: message.guildId, userId: message.author?.id, kind: "ids" });
+    if (!saved.length) return { error: "no_target" };
+    target = String(saved[0].id);
+  }
+
+  if (/^\d+$/.test(target)) {
+    const byId = await getLeaderboardTrend({ challenge: challengeKey, trainerId: target, sinceMs });
+    if (byId.length) return { rows: byId, who: byId[byId.length - 1].trainerName || `ID ${target}` };
+    // Boards without profile links only store names; try the name last seen with this ID.
+    const name = await getSnapshotTrainerName({ trainerId: target });
+    if (name) {
+      const byName = await getLeaderboardTrend({ challenge: challengeKey, trainerName: name, sinceMs });
+      if (byName.length) return { rows: byName, who: name };
+    }
+    return { rows: [], who: `ID ${target}` };
+  }
+
+  const rows = await getLeaderboardTrend({ challenge: challengeKey, trainerName: target, sinceMs });
+  return { rows, who: rows[rows.length - 1]?.trainerName || target };
+}
+
+/**
+ * Handles `!lb <challenge> trend [rank|score] [trainer]`. args are the tokens after "trend".
+ */
+export async function handleLeaderboardTrend({ message, challengeKey, challengeName, args = [], nowMs = Date.now() }) {
+  const tokens = args.slice();
+  let metric = "rank";
+  if (["rank", "score"].includes(String(tokens[0] || "").toLowerCase())) {
+    metric = tokens.shift().toLowerCase();
+  }
+
+  const sinceMs = nowMs - TREND_WINDOW_DAYS * DAY_MS;
+  const { rows, who, error } = await resolveTrendRows({
+    challengeKey,
+    query: tokens.join(" "),
+    message,
+    sinceMs,
+  });
+  if (error === "no_target") {
+    await message.reply("❌ Name a trainer (name or ID), or save your ID with `!id add <number>` first.");
+    return;
+  }
+
+  const points = buildTrendPoints(rows, metric);
+  if (!points.length) {
+    await message.reply({
+      content: `No ${challengeName} history recorded for **${who}** in the last ${TREND_WINDOW_DAYS} days.`,
+      ...NO_PINGS,
+    });
+    return;
+  }
+  if (points.length < 2) {
+    const only = points[0];
+    const text = metric === "score" ? `${only.value}` : `#${only.value}`;
+    await message.reply({
+      content: `Only one day of ${challengeName} history for **${who}** so far: ${text} on ${only.label}.`,
+      ...NO_PINGS,
+    });
+    return;
+  }
+
+  const scoreLabel = SCORE_LABELS[SNAPSHOT_SCORE_FIELDS[challengeKey]] || "Score";
+  const yLabel = metric === "score" ? scoreLabel : "Rank";
+  const svg = buildLineChartSvg({
+    points,
+    title: `${challengeName} — ${who}`,
+    subtitle: `${yLabel} over the last ${TREND_WINDOW_DAYS} days (end of each day, ET)`,
+    xLabel: "Date",
+    yLabel,
+    invertY: metric === "rank",
+  });
+
+  try {
+    const png = await renderPng(svg);
+    await message.reply({
+      content: `📈 **${challengeName}** ${yLabel.toLowerCase()} trend for **${who}**`,
+      files: [{ attachment: png, name: `${challengeKey}-trend.png` }],
+      ...NO_PINGS,
+    });
+  } catch (err) {
+    logger.warn("leaderboard.trend.render.failed", { error: logger.serializeError(err) });
+    await message.reply("❌ Failed to render the trend chart. Please try again later.");
+  }
+}
+
+export const __testables = {
+  parseScore,
+  resetState() {
+    lastSnapshotAt.clear();
+  },
+};
@@ -0,0 +1,344 @@
+// rpg/profile.js
+//
+// /profile — one trainer card built from the bot's existing sources:
+// - forum username (/verifyme), saved IDs + labels (!id), FT/LF lists (!ft / !lf)
+// - Top Trainers / faction standings and challenge wins (leaderboard cache + history)
+// - box summary counts for the primary ID (viewbox page, cached for a few minutes)
+//
+// Each section is a page of one embed; buttons switch pages (invoker only). Sessions live in
+// memory and expire, after which the buttons just ask to rerun the command.
+
+import crypto from "node:crypto";
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, MessageFlags } from "discord.js";
+
+import { getUserText, listUserTexts } from "../db.js";
+import { findTrainerStandings } from "./leaderboard.js";
+import { getLeaderboardHistoryForTrainers } from "./storage.js";
+import { fetchViewboxEntries } from "./viewbox.js";
+import { createRpgClientFactory } from "./client_factory.js";
+import { hasRpgCredentials } from "./credentials.js";
+import { DEFAULT_LEGENDS_MYTHICALS_GEN7 } from "../tools/sortbox.js";
+import { enforceDidYouMeanUser } from "../shared/did_you_mean.js";
+import { logger } from "../shared/logger.js";
+import { loadUserIds as loadStoredUserIds, parseStoredIds } from "../shared/user_ids.js";
+
+const PROFILE_PREFIX = "profile:";
+const SESSION_TTL_MS = 15 * 60_000;
+const BOX_CACHE_TTL_MS = 10 * 60_000;
+const MAX_FIELD_LEN = 1024;
+const K_VERIFIED = "fuser"; // same kind used by /verifyme
+const IDS_KIND = "ids";
+
+const CHALLENGE_NAMES = {
+  ssanne: "SS Anne",
+  safarizone: "Safari Zone",
+  speedtower: "Speed Tower",
+  roulette: "Battle Roulette",
+  roulette_weekly: "Battle Roulette (Weekly)",
+  tc: "Training Challenge",
+};
+
+const SECTIONS = [
+  { key: "overview", label: "Overview" },
+  { key: "ranks", label: "Ranks" },
+  { key: "wins", label: "Wins" },
+  { key: "box", label: "Box" },
+  { key: "trading", label: "FT / LF" },
+];
+
+const sessions = new Map(); // sessionId -> { ownerId, pages, expiresAtMs }
+const boxCache = new Map(); // trainerId -> { summary, trainerName, fetchedAtMs }
+const legendSet = new Set(DEFAULT_LEGENDS_MYTHICALS_GEN7.map((name) => name.toLowerCase()));
+
+function clip(text, max = MAX_FIELD_LEN) {
+  const s = String(text ?? "").trim();
+  if (!s) return "—";
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function formatId(entry) {
+  return entry.label ? `${entry.id} (${entry.label})` : String(entry.id);
+}
+
+function baseSpecies(name) {
+  return String(name || "")
+    .replace(/^(Golden|Shiny|Dark)(?=[A-Z])/, "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Counts viewbox entries by variant plus legends/mythicals (any variant).
+ */
+export function summarizeBoxEntries(entries) {
+  const summary = { total: 0, golden: 0, shiny: 0, dark: 0, normal: 0, legends: 0 };
+  for (const entry of entries || []) {
+    summary.total += 1;
+    if (entry.variant === "G") summary.golden += 1;
+    else if (entry.variant === "S") summary.shiny += 1;
+    else if (entry.variant === "D") summary.dark += 1;
+    else summary.normal += 1;
+    if (legendSet.has(baseSpecies(entry.name))) summary.legends += 1;
+  }
+  return summary;
+}
+
+async function findIdOwner({ guildId, trainerId }) {
+  const rows = await listUserTexts({ guildId, kind: IDS_KIND });
+  for (const row of rows) {
+    if (parseStoredIds(row.text).some((entry) => String(entry.id) === String(trainerId))) return row.userId;
+  }
+  return null;
+}
+
+async function loadBoxSummary({ trainerId, client, nowMs }) {
+  const cached = boxCache.get(String(trainerId));
+  if (cached && nowMs - cached.fetchedAtMs < BOX_CACHE_TTL_MS) return cached;
+  const { entries, trainerName } = await fetchViewboxEntries(client, trainerId);
+  const next = { summary: summarizeBoxEntries(entries), trainerName: trainerName || null, fetchedAtMs: nowMs };
+  boxCache.set(String(trainerId), next);
+  return next;
+}
+
+/**
+ * Gathers everything shown on the card. Any RPG-side failure leaves that section empty with
+ * a note rather than failing the whole profile.
+ */
+export async function buildProfileData({ guildId, userId = null, trainerId = null, client = null, nowMs = Date.now() }) {
+  const data = {
+    userId: userId ? String(userId) : null,
+    forumUser: null,
+    ids: [],
+    standings: [],
+    wins: [],
+    box: null,
+    trainerName: null,
+    ft: null,
+    lf: null,
+    notes: {},
+  };
+
+  if (!data.userId && trainerId) data.userId = await findIdOwner({ guildId, trainerId });
+  if (data.userId) {
+    data.forumUser = await getUserText({ guildId, userId: data.userId, kind: K_VERIFIED });
+    data.ids = await loadStoredUserIds({ guildId, userId: data.userId, kind: IDS_KIND });
+    data.ft = await getUserText({ guildId, userId: data.userId, kind: "ft" });
+    data.lf = await getUserText({ guildId, userId: data.userId, kind: "lf" });
+  }
+  if (trainerId && !data.ids.some((entry) => String(entry.id) === String(trainerId))) {
+    data.ids = [{ id: Number(trainerId), label: null }, ...data.ids];
+  }
+
+  const trainerIds = trainerId ? [String(trainerId)] : data.ids.map((entry) => String(entry.id));
+  const primaryId = trainerIds[0] || null;
+
+  if (trainerIds.length && client) {
+    try {
+      data.standings = await findTrainerStandings({ trainerIds, client });
+    } catch (err) {
+      data.notes.ranks = "Could not load the leaderboards right now.";
+      logger.warn("profile.standings.failed", { error: logger.serializeError(err) });
+    }
+    try {
+      const box = await loadBoxSummary({ trainerId: primaryId, client, nowMs });
+      data.box = { trainerId: primaryId, ...box.summary };
+      data.trainerName = box.trainerName;
+    } catch (err) {
+      data.notes.box = "Could not load the box right now.";
+      logger.warn("profile.box.failed", { trainerId: primaryId, error: logger.serializeError(err) });
+    }
+  } else if (trainerIds.length) {
+    data.notes.ranks = "RPG credentials are not configured.";
+    data.notes.box = "RPG credentials are not configured.";
+  }
+
+  const names = [data.trainerName, ...data.standings.map((row) => row.trainer)].filter(Boolean);
+  if (trainerIds.length) {
+    data.wins = await getLeaderboardHistoryForTrainers({ keys: [...new Set([...trainerIds, ...names])] });
+  }
+  return data;
+}
+
+function profileTitle(data) {
+  if (data.trainerName) return `Trainer profile — ${data.trainerName}`;
+  if (data.ids.length) return `Trainer profile — ID ${data.ids[0].id}`;
+  return "Trainer profile";
+}
+
+function buildPages(data) {
+  const title = profileTitle(data);
+  const noIds = "No saved trainer IDs. Save one with `!id add <number>`.";
+  const pages = {};
+
+  pages.overview = [
+    { name: "Discord", value: data.userId ? `<@${data.userId}>` : "Not linked to a member here" },
+    { name: "Forum account", value: data.forumUser ? clip(data.forumUser) : "Not verified" },
+    { name: "Trainer IDs", value: data.ids.length ? clip(data.ids.map(formatId).join("\n")) : noIds },
+  ];
+
+  const rankLines = data.standings.map(
+    (row) => `**${row.challengeName}** — #${row.rank} ${row.trainer}${row.faction ? ` (${row.faction})` : ""} • Lv ${row.level} • ID ${row.trainerId}`
+  );
+  pages.ranks = [
+    {
+      name: "Top Trainers / Faction",
+      value: data.notes.ranks || (rankLines.length ? clip(rankLines.join("\n")) : "Not on the Top Trainers or faction boards."),
+    },
+  ];
+
+  // History rows are keyed by ID or by name, so one trainer can have both for a challenge.
+  const winsByChallenge = new Map();
+  for (const row of data.wins) {
+    winsByChallenge.set(row.challenge, (winsByChallenge.get(row.challenge) || 0) + (Number(row.wins) || 0));
+  }
+  const winLines = Array.from(winsByChallenge.entries()).map(([challenge, wins]) => {
+    const name = CHALLENGE_NAMES[challenge] || challenge;
+    return `**${name}** — ${wins} win${wins === 1 ? "" : "s"}`;
+  });
+  pages.wins = [
+    { name: "Challenge wins", value: winLines.length ? clip(winLines.join("\n")) : "No recorded challenge wins." },
+  ];
+
+  const box = data.box;
+  pages.box = [
+    {
+      name: box ? `Box — ID ${box.trainerId}` : "Box",
+      value:
+        data.notes.box ||
+        (box
+          ? [
+              `Total: **${box.total}**`,
+              `Golden: **${box.golden}** • Shiny: **${box.shiny}** • Dark: **${box.dark}** • Normal: **${box.normal}**`,
+              `Legends/Mythicals: **${box.legends}**`,
+            ].join("\n")
+          : noIds),
+    },
+  ];
+
+  pages.trading = [
+    { name: "Trading (FT)", value: data.ft ? clip(data.ft) : "No trading list." },
+    { name: "Looking for (LF)", value: data.lf ? clip(data.lf) : "No looking-for list." },
+  ];
+
+  return SECTIONS.map((section, idx) =>
+    new EmbedBuilder()
+      .setTitle(title)
+      .addFields(pages[section.key])
+      .setFooter({ text: `${section.label} • ${idx + 1}/${SECTIONS.length}` })
+  );
+}
+
+function buildButtons(sessionId, activeIdx) {
+  const row = new ActionRowBuilder();
+  SECTIONS.forEach((section, idx) => {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${PROFILE_PREFIX}${sessionId}:${idx}`)
+        .setLabel(section.label)
+        .setStyle(idx === activeIdx ? ButtonStyle.Primary : ButtonStyle.Secondary)
+        .setDisabled(idx === activeIdx)
+    );
+  });
+  return [row];
+}
+
+function pruneSessions(nowMs) {
+  for (const [id, session] of sessions.entries()) {
+    if (session.expiresAtMs <= nowMs) sessions.delete(id);
+  }
+}
+
+async function handleProfileButton({ interaction }) {
+  const [, sessionId, idxRaw] = String(interaction.customId || "").split(":");
+  const session = sessions.get(sessionId);
+  if (!session || session.expiresAtMs <= Date.now()) {
+    sessions.delete(sessionId);
+    await interaction.update({ content: "This profile has expired. Run `/profile` again.", components: [] });
+    return;
+  }
+  if (!(await enforceDidYouMeanUser(interaction, session.ownerId))) return;
+
+  const idx = Math.min(Math.max(Number(idxRaw) || 0, 0), session.pages.length - 1);
+  await interaction.update({
+    embeds: [session.pages[idx]],
+    components: buildButtons(sessionId, idx),
+    allowedMentions: { parse: [] },
+  });
+}
+
+export function registerProfile(register) {
+  const getClient = createRpgClientFactory();
+
+  register.slash(
+    {
+      name: "profile",
+      description: "Show a trainer profile card (IDs, ranks, wins, box and trade lists)",
+      options: [
+        {
+          type: 6, // USER
+          name: "user",
+          description: "Discord user to look up (default: you)",
+          required: false,
+        },
+        {
+          type: 4, // INTEGER
+          name: "id",
+          description: "Trainer ID to look up",
+          required: false,
+          min_value: 1,
+          max_value: 5_000_000,
+        },
+      ],
+    },
+    async ({ interaction }) => {
+      if (!interaction.guildId) {
+        await interaction.reply({ content: "This command only works in a server.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const targetUser = interaction.options?.getUser?.("user") || null;
+      const trainerId = interaction.options?.getInteger?.("id") ?? null;
+      if (targetUser && trainerId) {
+        await interaction.reply({ content: "Use either `user` or `id`, not both.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      await interaction.deferReply();
+      const nowMs = Date.now();
+      try {
+        const data = await buildProfileData({
+          guildId: interaction.guildId,
+          userId: trainerId ? null : (targetUser || interaction.user).id,
+          trainerId,
+          client: hasRpgCredentials() ? getClient() : null,
+          nowMs,
+        });
+
+        pruneSessions(nowMs);
+        const sessionId = crypto.randomBytes(6).toString("hex");
+        const pages = buildPages(data);
+        sessions.set(sessionId, { ownerId: interaction.user.id, pages, expiresAtMs: nowMs + SESSION_TTL_MS });
+
+        await interaction.editReply({
+          embeds: [pages[0]],
+          components: buildButtons(sessionId, 0),
+          allowedMentions: { parse: [] },
+        });
+      } catch (err) {
+        logger.warn("profile.build.failed", { error: logger.serializeError(err) });
+        await interaction.editReply({ content: "❌ Could not build that profile right now. Please try again later." });
+      }
+    }
+  );
+
+  register.component(PROFILE_PREFIX, handleProfileButton);
+}
+
+export const __testables = {
+  buildPages,
+  resetState() {
+    sessions.clear();
+    boxCache.clear();
+  },
+};
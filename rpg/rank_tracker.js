@@ -0,0 +1,390 @@
+// rpg/rank_tracker.js
+//
+// Rank-change alerts for saved trainer IDs (/trackrank):
+// - users subscribe per challenge with a top N; the alert covers every ID saved with !id
+// - leaderboard.js calls notifyRankChanges after each refresh of a tracked challenge with the
+//   previous and new rows; we diff them and DM entered/left/moved/passed-by events
+// - rows are matched by trainer ID; boards that omit profile links (SS Anne) fall back to the
+//   trainer name last seen next to that ID on any refreshed board
+// - a refresh that shares no trainers with the previous snapshot is treated as a board reset
+//   (daily Speed Tower / Roulette rollover) and produces no alerts
+
+import { MessageFlags } from "discord.js";
+
+import { getDb } from "../db.js";
+import { sendDm } from "../shared/dm.js";
+import { logger } from "../shared/logger.js";
+import { registerScheduler } from "../shared/scheduler_registry.js";
+import { loadUserIds as loadStoredUserIds } from "../shared/user_ids.js";
+
+export const TRACKABLE_CHALLENGES = [
+  { name: "SS Anne", value: "ssanne" },
+  { name: "Speed Tower", value: "speedtower" },
+  { name: "Battle Roulette", value: "roulette" },
+  { name: "Battle Roulette (Weekly)", value: "roulette_weekly" },
+  { name: "Training Challenge", value: "tc" },
+  { name: "Top Trainers", value: "trainers" },
+];
+
+const IDS_KIND = "ids";
+const DEFAULT_TOP_N = 10;
+const MAX_TOP_N = 50;
+const MAX_PASSERS_SHOWN = 5;
+
+const trackedChallenges = new Set();
+const namesById = new Map(); // trainerId -> last seen trainer name
+let cachedClient = null;
+
+function challengeLabel(key) {
+  return TRACKABLE_CHALLENGES.find((c) => c.value === key)?.name || key;
+}
+
+function normalizeName(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+export function isRankTracked(challengeKey) {
+  return trackedChallenges.has(String(challengeKey));
+}
+
+export function listTrackedChallenges() {
+  return Array.from(trackedChallenges);
+}
+
+export async function loadTrackedChallenges() {
+  const db = getDb();
+  const [rows] = await db.execute(`SELECT DISTINCT challenge FROM rpg_rank_tracks`);
+  trackedChallenges.clear();
+  for (const row of rows || []) trackedChallenges.add(String(row.challenge));
+  return listTrackedChallenges();
+}
+
+/**
+ * Remembers trainer names seen next to IDs so ID-less boards can still be matched.
+ */
+export function learnTrainerNames(rows) {
+  for (const row of rows || []) {
+    if (row?.trainerId && row?.trainer) namesById.set(String(row.trainerId), String(row.trainer));
+  }
+}
+
+function buildPositionIndex(rows) {
+  const byId = new Map();
+  const byName = new Map();
+  (rows || []).forEach((row, idx) => {
+    const entry = { position: idx + 1, trainer: String(row?.trainer || ""), trainerId: row?.trainerId ? String(row.trainerId) : null };
+    if (entry.trainerId && !byId.has(entry.trainerId)) byId.set(entry.trainerId, entry);
+    const nameKey = normalizeName(entry.trainer);
+    if (nameKey && !byName.has(nameKey)) byName.set(nameKey, entry);
+  });
+  return { byId, byName };
+}
+
+function identityKey(row) {
+  return row?.trainerId ? `id:${row.trainerId}` : `name:${normalizeName(row?.trainer)}`;
+}
+
+function findPosition(index, trainerId) {
+  const byId = index.byId.get(String(trainerId));
+  if (byId) return byId;
+  const name = namesById.get(String(trainerId));
+  if (!name) return null;
+  const byName = index.byName.get(normalizeName(name));
+  return byName && !byName.trainerId ? byName : null;
+}
+
+function sharesTrainers(previousRows, rows) {
+  const before = new Set(previousRows.map(identityKey));
+  return rows.some((row) => before.has(identityKey(row)));
+}
+
+/**
+ * Pure diff for one trainer. Returns [] when nothing worth a DM happened, otherwise events:
+ * { type: "entered"|"left"|"moved", from, to } and { type: "passed", by: [names] }.
+ */
+export function diffTrainerRank({ previousRows, rows, trainerId, topN = DEFAULT_TOP_N }) {
+  const prev = Array.isArray(previousRows) ? previousRows : [];
+  const next = Array.isArray(rows) ? rows : [];
+  if (!prev.length || !next.length || !sharesTrainers(prev, next)) return [];
+
+  const prevIndex = buildPositionIndex(prev);
+  const nextIndex = buildPositionIndex(next);
+  const before = findPosition(prevIndex, trainerId);
+  const after = findPosition(nextIndex, trainerId);
+  const from = before?.position ?? null;
+  const to = after?.position ?? null;
+  const wasIn = from != null && from <= topN;
+  const isIn = to != null && to <= topN;
+
+  const events = [];
+  if (!wasIn && isIn) events.push({ type: "entered", from, to });
+  else if (wasIn && !isIn) events.push({ type: "left", from, to });
+  else if (wasIn && isIn && from !== to) events.push({ type: "moved", from, to });
+
+  if (from != null && to != null && (wasIn || isIn)) {
+    const prevKeys = new Map();
+    prev.forEach((row, idx) => prevKeys.set(identityKey(row), idx + 1));
+    const passers = next
+      .slice(0, to - 1)
+      .filter((row) => {
+        const was = prevKeys.get(identityKey(row));
+        return was == null || was > from;
+      })
+      .map((row) => String(row.trainer || row.trainerId || "?"));
+    if (passers.length) events.push({ type: "passed", by: passers });
+  }
+  return events;
+}
+
+function describeEvent(event, topN) {
+  if (event.type === "entered") return `entered the top ${topN} at **#${event.to}**`;
+  if (event.type === "left") {
+    return event.to != null
+      ? `dropped out of the top ${topN} (#${event.from} → #${event.to})`
+      : `dropped out of the top ${topN} (was #${event.from})`;
+  }
+  if (event.type === "moved") {
+    const arrow = event.to < event.from ? "⬆️" : "⬇️";
+    return `${arrow} moved from #${event.from} to **#${event.to}**`;
+  }
+  if (event.type === "passed") {
+    const shown = event.by.slice(0, MAX_PASSERS_SHOWN).join(", ");
+    const more = event.by.length > MAX_PASSERS_SHOWN ? ` and ${event.by.length - MAX_PASSERS_SHOWN} more` : "";
+    return `was passed by ${shown}${more}`;
+  }
+  return null;
+}
+
+function formatAlertLines({ challengeKey, entry, events, topN }) {
+  const who = entry.label ? `${entry.label} (${entry.id})` : String(entry.id);
+  return events
+    .map((event) => describeEvent(event, topN))
+    .filter(Boolean)
+    .map((text) => `• **${challengeLabel(challengeKey)}** — ${who} ${text}`);
+}
+
+async function fetchTracks(challengeKey) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT guild_id, user_id, challenge, top_n FROM rpg_rank_tracks WHERE challenge = ?`,
+    [String(challengeKey)]
+  );
+  return rows || [];
+}
+
+/**
+ * Called by leaderboard.js after a tracked challenge is refreshed. Never throws.
+ */
+export async function notifyRankChanges({ challengeKey, previousRows, rows, client = cachedClient }) {
+  learnTrainerNames(previousRows);
+  learnTrainerNames(rows);
+  if (!isRankTracked(challengeKey)) return { sent: 0 };
+  if (!previousRows?.length || !rows?.length) return { sent: 0 };
+
+  let sent = 0;
+  try {
+    const tracks = await fetchTracks(challengeKey);
+    const linesByUser = new Map(); // userId -> Set(lines), deduped across guilds
+    for (const track of tracks) {
+      const topN = Number(track.top_n) || DEFAULT_TOP_N;
+      const entries = await loadStoredUserIds({
+        guildId: String(track.guild_id),
+        userId: String(track.user_id),
+        kind: IDS_KIND,
+      });
+      for (const entry of entries) {
+        const events = diffTrainerRank({ previousRows, rows, trainerId: entry.id, topN });
+        if (!events.length) continue;
+        const userId = String(track.user_id);
+        if (!linesByUser.has(userId)) linesByUser.set(userId, new Set());
+        for (const line of formatAlertLines({ challengeKey, entry, events, topN })) {
+          linesByUser.get(userId).add(line);
+        }
+      }
+    }
+
+    if (!linesByUser.size) return { sent: 0 };
+    if (!client?.users?.fetch) {
+      logger.warn("rank_tracker.dm.missing_client", { challenge: challengeKey });
+      return { sent: 0 };
+    }
+
+    for (const [userId, lines] of linesByUser.entries()) {
+      const user = await client.users.fetch(userId).catch(() => null);
+      const res = await sendDm({
+        user,
+        payload: {
+          content: [`📈 Rank update`, ...lines, `_Stop with /trackrank remove._`].join("\n"),
+        },
+        feature: "rank_tracker",
+      });
+      if (res.ok) sent += 1;
+    }
+  } catch (err) {
+    logger.warn("rank_tracker.notify.failed", {
+      challenge: challengeKey,
+      error: logger.serializeError(err),
+    });
+  }
+  return { sent };
+}
+
+async function handleAdd(interaction) {
+  const challenge = String(interaction.options?.getString?.("challenge") || "");
+  const topN = interaction.options?.getInteger?.("top") ?? DEFAULT_TOP_N;
+  const guildId = String(interaction.guildId);
+  const userId = String(interaction.user?.id);
+
+  const ids = await loadStoredUserIds({ guildId, userId, kind: IDS_KIND });
+  if (!ids.length) {
+    await interaction.reply({
+      content: "You have no saved trainer IDs. Save one with `!id add <number>` first.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const db = getDb();
+  await db.execute(
+    `
+    INSERT INTO rpg_rank_tracks (guild_id, user_id, challenge, top_n, created_at_ms)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE top_n = VALUES(top_n)
+    `,
+    [guildId, userId, challenge, topN, Date.now()]
+  );
+  trackedChallenges.add(challenge);
+
+  const idList = ids.map((entry) => (entry.label ? `${entry.id} (${entry.label})` : String(entry.id))).join(", ");
+  await interaction.reply({
+    content: `✅ Tracking **${challengeLabel(challenge)}** (top ${topN}) for ${idList}. I'll DM you when your ranks change.`,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleRemove(interaction) {
+  const challenge = interaction.options?.getString?.("challenge") || null;
+  const guildId = String(interaction.guildId);
+  const userId = String(interaction.user?.id);
+  const db = getDb();
+  const [res] = challenge
+    ? await db.execute(`DELETE FROM rpg_rank_tracks WHERE guild_id = ? AND user_id = ? AND challenge = ?`, [
+        guildId,
+        userId,
+        challenge,
+      ])
+    : await db.execute(`DELETE FROM rpg_rank_tracks WHERE guild_id = ? AND user_id = ?`, [guildId, userId]);
+  await loadTrackedChallenges();
+
+  const removed = Number(res?.affectedRows) || 0;
+  const target = challenge ? `**${challengeLabel(challenge)}**` : "any challenge";
+  await interaction.reply({
+    content: removed ? `Stopped tracking ${target}.` : `You were not tracking ${target}.`,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleList(interaction) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT challenge, top_n FROM rpg_rank_tracks WHERE guild_id = ? AND user_id = ? ORDER BY challenge`,
+    [String(interaction.guildId), String(interaction.user?.id)]
+  );
+  if (!rows?.length) {
+    await interaction.reply({
+      content: "You are not tracking any leaderboards. Use `/trackrank add` to start.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+  const lines = rows.map((row) => `• ${challengeLabel(row.challenge)} — top ${Number(row.top_n)}`);
+  await interaction.reply({
+    content: ["**Tracked leaderboards**", ...lines].join("\n"),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+export function registerRankTracker(register) {
+  register.slash(
+    {
+      name: "trackrank",
+      description: "DM alerts when your saved trainer IDs move on the RPG leaderboards",
+      options: [
+        {
+          type: 1,
+          name: "add",
+          description: "Track a leaderboard for your saved IDs",
+          options: [
+            {
+              type: 3,
+              name: "challenge",
+              description: "Leaderboard to track",
+              required: true,
+              choices: TRACKABLE_CHALLENGES,
+            },
+            {
+              type: 4,
+              name: "top",
+              description: `Alert on entering/leaving this top N (default ${DEFAULT_TOP_N})`,
+              required: false,
+              min_value: 1,
+              max_value: MAX_TOP_N,
+            },
+          ],
+        },
+        {
+          type: 1,
+          name: "remove",
+          description: "Stop tracking a leaderboard (or all of them)",
+          options: [
+            {
+              type: 3,
+              name: "challenge",
+              description: "Leaderboard to stop tracking (default: all)",
+              required: false,
+              choices: TRACKABLE_CHALLENGES,
+            },
+          ],
+        },
+        { type: 1, name: "list", description: "Show the leaderboards you track" },
+      ],
+    },
+    async ({ interaction }) => {
+      if (!interaction.guildId) {
+        await interaction.reply({ content: "This command only works in a server.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const sub = interaction.options?.getSubcommand?.() || "";
+      try {
+        if (sub === "add") return await handleAdd(interaction);
+        if (sub === "remove") return await handleRemove(interaction);
+        if (sub === "list") return await handleList(interaction);
+      } catch (err) {
+        console.warn("[rank_tracker] command failed:", err);
+        await interaction.reply({
+          content: "❌ Could not update rank tracking right now. Please try again later.",
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+    }
+  );
+}
+
+export function registerRankTrackerScheduler() {
+  registerScheduler("rank_tracker", (context = {}) => {
+    cachedClient = context.client || cachedClient;
+    loadTrackedChallenges().catch((err) => {
+      logger.warn("rank_tracker.load.failed", { error: logger.serializeError(err) });
+    });
+  });
+}
+
+export const __testables = {
+  resetState() {
+    trackedChallenges.clear();
+    namesById.clear();
+    cachedClient = null;
+  },
+  describeEvent,
+};
@@ -8,6 +8,10 @@ import { registerFindMyId } from "./findmyid.js";
 import { registerViewbox } from "./viewbox.js";
 import { registerPokedex } from "./pokedex.js";
 import { registerRpgInfo, registerRpgInfoScheduler } from "./rpginfo.js";
+import { registerRankTracker, registerRankTrackerScheduler } from "./rank_tracker.js";
+import { registerProfile } from "./profile.js";
+import { registerBoxDiff, registerBoxDiffScheduler } from "./box_diff.js";
+import { registerCollection } from "./collection.js";
 import { logRegisterFailure } from "../shared/logging_helpers.js";
 
 const RPG_MODULES = [
@@ -17,6 +21,10 @@ const RPG_MODULES = [
   { id: "viewbox", register: registerViewbox },
   { id: "pokedex", register: registerPokedex },
   { id: "rpginfo", register: registerRpgInfo, registerScheduler: registerRpgInfoScheduler },
+  { id: "rank_tracker", register: registerRankTracker, registerScheduler: registerRankTrackerScheduler },
+  { id: "profile", register: registerProfile },
+  { id: "box_diff", register: registerBoxDiff, registerScheduler: registerBoxDiffScheduler },
+  { id: "collection", register: registerCollection },
 ];
 
 export function registerRpg(register) {
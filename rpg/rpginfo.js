@@ -273,7 +273,7 @@ async function getSsAnneBattles(client) {
   return await fetchAndStoreSsAnne(client);
 }
 
-async function getTrainingChallengeIneligible(client) {
+export async function getTrainingChallengeIneligible(client) {
   const cached = await getCachedPayload(TC_INELIGIBLE_KEY, TC_INELIGIBLE_TTL_MS);
   if (cached?.payload?.list?.length) return cached.payload.list;
   return await fetchAndStoreTrainingChallengeIneligible(client);
@@ -113,3 +113,172 @@ export async function getLeaderboardHistoryTop({ challenge, limit = 5 }) {
   );
   return rows || [];
 }
+
+export async function getLeaderboardHistoryForTrainers({ keys }) {
+  const list = Array.from(new Set((keys || []).map((k) => String(k || "").trim()).filter(Boolean)));
+  if (!list.length) return [];
+  const db = getDb();
+  const [rows] = await db.execute(
+    `
+    SELECT challenge, trainer_id, trainer_name, wins
+    FROM rpg_leaderboard_history
+    WHERE trainer_id IN (${list.map(() => "?").join(", ")})
+    ORDER BY wins DESC, challenge ASC
+  `,
+    list
+  );
+  return rows || [];
+}
+
+export async function insertLeaderboardSnapshot({ challenge, capturedAtMs, entries }) {
+  const list = Array.isArray(entries) ? entries : [];
+  if (!list.length) return 0;
+  const db = getDb();
+  const placeholders = list.map(() => "(?, ?, ?, ?, ?, ?)").join(", ");
+  const values = list.flatMap((entry) => [
+    String(challenge),
+    Number(capturedAtMs),
+    Number(entry.position),
+    entry.trainerId ? String(entry.trainerId) : null,
+    entry.trainerName ? String(entry.trainerName).slice(0, 64) : null,
+    Number.isFinite(entry.score) ? entry.score : null,
+  ]);
+  await db.execute(
+    `
+    INSERT IGNORE INTO rpg_leaderboard_snapshots
+      (challenge, captured_at_ms, rank_pos, trainer_id, trainer_name, score)
+    VALUES ${placeholders}
+  `,
+    values
+  );
+  return list.length;
+}
+
+export async function getLatestLeaderboardSnapshotAt({ challenge }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT MAX(captured_at_ms) AS latest FROM rpg_leaderboard_snapshots WHERE challenge = ?`,
+    [String(challenge)]
+  );
+  const latest = rows?.[0]?.latest;
+  return latest == null ? null : Number(latest);
+}
+
+export async function getSnapshotTrainerName({ trainerId }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `
+    SELECT trainer_name
+    FROM rpg_leaderboard_snapshots
+    WHERE trainer_id = ? AND trainer_name IS NOT NULL
+    ORDER BY captured_at_ms DESC
+    LIMIT 1
+  `,
+    [String(trainerId)]
+  );
+  return rows?.[0]?.trainer_name ? String(rows[0].trainer_name) : null;
+}
+
+/**
+ * One trainer's rows for a challenge since sinceMs, oldest first. Looks up by ID when given,
+ * otherwise by trainer name (boards without profile links only have names).
+ */
+export async function getLeaderboardTrend({ challenge, trainerId = null, trainerName = null, sinceMs = 0 }) {
+  const db = getDb();
+  const byId = trainerId != null && String(trainerId).trim() !== "";
+  const [rows] = await db.execute(
+    `
+    SELECT captured_at_ms, rank_pos, trainer_id, trainer_name, score
+    FROM rpg_leaderboard_snapshots
+    WHERE challenge = ?
+      AND ${byId ? "trainer_id = ?" : "trainer_name = ?"}
+      AND captured_at_ms >= ?
+    ORDER BY captured_at_ms ASC
+  `,
+    [String(challenge), byId ? String(trainerId) : String(trainerName || ""), Number(sinceMs) || 0]
+  );
+  return (rows || []).map((row) => ({
+    capturedAtMs: Number(row.captured_at_ms),
+    position: Number(row.rank_pos),
+    trainerId: row.trainer_id ? String(row.trainer_id) : null,
+    trainerName: row.trainer_name ? String(row.trainer_name) : null,
+    score: row.score == null ? null : Number(row.score),
+  }));
+}
+
+export async function pruneLeaderboardSnapshots({ beforeMs }) {
+  const db = getDb();
+  const [res] = await db.execute(`DELETE FROM rpg_leaderboard_snapshots WHERE captured_at_ms < ?`, [
+    Number(beforeMs),
+  ]);
+  return Number(res?.affectedRows) || 0;
+}
+
+export async function insertBoxSnapshot({ trainerId, scope, capturedAtMs, trainerName = null, entries }) {
+  const db = getDb();
+  await db.execute(
+    `
+    INSERT INTO rpg_box_snapshots (trainer_id, scope, captured_at_ms, trainer_name, entries_json)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE trainer_name = VALUES(trainer_name), entries_json = VALUES(entries_json)
+  `,
+    [
+      String(trainerId),
+      String(scope),
+      Number(capturedAtMs),
+      trainerName ? String(trainerName).slice(0, 64) : null,
+      JSON.stringify(Array.isArray(entries) ? entries : []),
+    ]
+  );
+}
+
+/**
+ * Latest box snapshot for a trainer in one scope (a /boxdiff user or the daily digest), or the
+ * latest one taken at or before atOrBeforeMs.
+ */
+export async function getBoxSnapshot({ trainerId, scope, atOrBeforeMs = null }) {
+  const db = getDb();
+  const bounded = atOrBeforeMs != null;
+  const [rows] = await db.execute(
+    `
+    SELECT captured_at_ms, trainer_name, entries_json
+    FROM rpg_box_snapshots
+    WHERE trainer_id = ? AND scope = ?${bounded ? " AND captured_at_ms <= ?" : ""}
+    ORDER BY captured_at_ms DESC
+    LIMIT 1
+  `,
+    bounded ? [String(trainerId), String(scope), Number(atOrBeforeMs)] : [String(trainerId), String(scope)]
+  );
+  const row = rows?.[0];
+  if (!row) return null;
+  let entries = [];
+  try {
+    const parsed = JSON.parse(String(row.entries_json || "[]"));
+    if (Array.isArray(parsed)) entries = parsed;
+  } catch {}
+  return {
+    capturedAtMs: Number(row.captured_at_ms),
+    trainerName: row.trainer_name ? String(row.trainer_name) : null,
+    entries,
+  };
+}
+
+/**
+ * Drops box snapshots older than beforeMs, always keeping the latest one per trainer and scope.
+ */
+export async function pruneBoxSnapshots({ beforeMs }) {
+  const db = getDb();
+  const [res] = await db.execute(
+    `
+    DELETE s FROM rpg_box_snapshots s
+    JOIN (
+      SELECT trainer_id, scope, MAX(captured_at_ms) AS latest
+      FROM rpg_box_snapshots
+      GROUP BY trainer_id, scope
+    ) m ON m.trainer_id = s.trainer_id AND m.scope = s.scope
+    WHERE s.captured_at_ms < ? AND s.captured_at_ms < m.latest
+  `,
+    [Number(beforeMs)]
+  );
+  return Number(res?.affectedRows) || 0;
+}
@@ -28,8 +28,8 @@ const FILTER_CHOICES = [
   { name: "Ungendered (?) only", value: "unknown" },
 ];
 
-const VARIANT_ORDER = ["G", "S", "D", "N"];
-const VARIANT_LABELS = {
+export const VARIANT_ORDER = ["G", "S", "D", "N"];
+export const VARIANT_LABELS = {
   G: "Golden",
   S: "Shiny",
   D: "Dark",
@@ -128,7 +128,7 @@ function applyFilter(entries, filter) {
   return entries;
 }
 
-function collapseEntries(entries) {
+export function collapseEntries(entries) {
   const counts = new Map();
   for (const e of entries) {
     const key = `${e.variant}|${e.name}|${e.gender}|${e.unknown}|${e.level}`;
@@ -157,7 +157,7 @@ function collapseEntries(entries) {
   return out;
 }
 
-function formatLine(entry) {
+export function formatLine(entry) {
   const gender = entry.gender ? ` ${entry.gender}` : "";
   const unknown = entry.unknown ? " (?)" : "";
   const suffix = entry.count > 1 ? ` x${entry.count}` : "";
@@ -191,7 +191,7 @@ function buildSections(entries, filter) {
   return sections;
 }
 
-function chunkLines(lines, maxLen = MAX_MESSAGE_LEN) {
+export function chunkLines(lines, maxLen = MAX_MESSAGE_LEN) {
   const chunks = [];
   let current = [];
   let currentLen = 0;
@@ -224,7 +224,7 @@ function buildSectionBlocks(sections) {
   return blocks;
 }
 
-function combineBlocks(blocks, maxLen = MAX_MESSAGE_LEN) {
+export function combineBlocks(blocks, maxLen = MAX_MESSAGE_LEN) {
   const messages = [];
   let current = "";
 
@@ -246,7 +246,7 @@ function combineBlocks(blocks, maxLen = MAX_MESSAGE_LEN) {
   return messages;
 }
 
-async function fetchViewboxEntries(client, id) {
+export async function fetchViewboxEntries(client, id) {
   const url = `${VIEWBOX_URL}?id=${encodeURIComponent(String(id))}&View=All`;
   const html = await client.fetchPage(url);
   return {
@@ -7,12 +7,14 @@ import { registerToolSchedulers } from "./tools/tools.js";
 import { registerRpgSchedulers } from "./rpg/rpg.js";
 import { registerContestSchedulers } from "./contests/contests.js";
 import { registerInfoSchedulers } from "./info/info.js";
+import { registerGameSchedulers } from "./games/games.js";
 
 export function registerSchedulers(context = {}) {
   registerToolSchedulers(context);
   registerRpgSchedulers(context);
   registerContestSchedulers(context);
   registerInfoSchedulers(context);
+  registerGameSchedulers(context);
 }
 
 export function startSchedulers(context = {}) {
@@ -11,6 +11,7 @@ import {
   extractPostMessageText,
   extractUsernameFromPostTable,
 } from "../shared/forum_scrape.js";
+import { niceStep, xmlEscape } from "../shared/line_chart_svg.js";
 
 const THREAD_URL = process.argv[2] || "https://forums.tppc.info/showthread.php?t=641631";
 const OUTPUT_DIR = process.argv[3] || "analysis/lotto";
@@ -80,15 +81,6 @@ function csvEscape(value) {
   return `"${s.replaceAll('"', '""')}"`;
 }
 
-function xmlEscape(value) {
-  return String(value ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&apos;");
-}
-
 function ordinalSuffix(day) {
   const d = Number(day);
   const mod100 = d % 100;
@@ -110,18 +102,6 @@ function formatHumanDate(dateKey) {
   return `${day}${ordinalSuffix(day)} ${monthName}`;
 }
 
-function niceStep(maxValue, targetTicks = 6) {
-  const rough = Math.max(1, maxValue) / Math.max(1, targetTicks);
-  const pow = 10 ** Math.floor(Math.log10(rough));
-  const frac = rough / pow;
-  let niceFrac = 1;
-  if (frac <= 1) niceFrac = 1;
-  else if (frac <= 2) niceFrac = 2;
-  else if (frac <= 5) niceFrac = 5;
-  else niceFrac = 10;
-  return niceFrac * pow;
-}
-
 function buildLineChartSvg({ points, title, subtitle }) {
   const width = 1400;
   const height = 800;
@@ -6,9 +6,23 @@ import { embedTexts, getDefaultLocalEmbeddingModel } from "../shared/local_embed
 const DEFAULT_CORPUS_FILES = ["data/faq.json"];
 const DEFAULT_EVAL_FILE = "data/faq_eval.json";
 const DEFAULT_NEGATIVE_EVAL_FILE = "data/faq_negative_eval.json";
+// Comma-separated lists, e.g. add a !faqexport file next to the curated set:
+// FAQ_EVAL_FILES=data/faq_eval.json,faq_eval.feedback.json
+const EVAL_FILES = envFileList("FAQ_EVAL_FILES", DEFAULT_EVAL_FILE);
+const NEGATIVE_EVAL_FILES = envFileList("FAQ_NEGATIVE_EVAL_FILES", DEFAULT_NEGATIVE_EVAL_FILE);
+// Optional !faqexport 👎 files: { question, answeredId } rows the bot answered wrongly.
+const WRONG_ANSWER_EVAL_FILES = envFileList("FAQ_WRONG_ANSWER_EVAL_FILES", null).filter(Boolean);
 const DEFAULT_EMBEDDING_MODEL =
   process.env.FAQ_LOCAL_EMBEDDING_MODEL || getDefaultLocalEmbeddingModel();
 
+function envFileList(key, fallback) {
+  const files = String(process.env[key] ?? "")
+    .split(",")
+    .map((file) => file.trim())
+    .filter(Boolean);
+  return files.length ? files : [fallback];
+}
+
 function normalize(text) {
   return (text ?? "")
     .toLowerCase()
@@ -349,7 +363,11 @@ function preprocessQuery(text, correctionLexicon) {
 }
 
 function readJson(filePath) {
-  return JSON.parse(fs.readFileSync(path.join(process.cwd(), filePath), "utf8"));
+  return JSON.parse(fs.readFileSync(path.resolve(process.cwd(), filePath), "utf8"));
+}
+
+function loadEvalFiles(fileNames, loader) {
+  return fileNames.flatMap((fileName) => loader(fileName)).map((entry, index) => ({ ...entry, index }));
 }
 
 function asStringArray(value) {
@@ -440,6 +458,20 @@ function loadNegativeEvalSet(fileName = DEFAULT_NEGATIVE_EVAL_FILE) {
   }));
 }
 
+function loadWrongAnswerEvalSet(fileName) {
+  const json = readJson(fileName);
+  const entries = Array.isArray(json) ? json : Array.isArray(json?.entries) ? json.entries : [];
+
+  return entries
+    .filter((entry) => entry.answeredId != null)
+    .map((entry, index) => ({
+      index,
+      question: String(entry.question ?? "").trim(),
+      answeredId: String(entry.answeredId),
+      tags: uniqueStrings(entry.tags ?? []).map((tag) => String(tag))
+    }));
+}
+
 function score01FromFuse(score) {
   const s = Number(score);
   if (!Number.isFinite(s)) return 0;
@@ -795,6 +827,28 @@ function evaluateMethod(methodName, evalEntries, ranker, options = {}) {
   return summary;
 }
 
+function evaluateWrongAnswerMethod(methodName, evalEntries, ranker) {
+  const rows = evalEntries.map((item) => {
+    const ranked = ranker(item.question);
+    const top1 = ranked[0]?.entry?.id ?? null;
+    return { ...item, method: methodName, top1, top1Score: ranked[0]?.score ?? 0, repeated: top1 === item.answeredId };
+  });
+  return {
+    method: methodName,
+    total: rows.length,
+    repeated: rows.filter((row) => row.repeated).length,
+    rows
+  };
+}
+
+function printWrongAnswerSummary(summary, maxRows = 10) {
+  console.log(`\n## ${summary.method} Wrong Answers`);
+  console.log(`  still top-1 on the down-voted entry: ${summary.repeated}/${summary.total}`);
+  for (const row of summary.rows.filter((item) => item.repeated).slice(0, maxRows)) {
+    console.log(`    ${row.answeredId} (${row.top1Score.toFixed(3)}) | q="${row.question}"`);
+  }
+}
+
 function evaluateNegativeMethod(methodName, evalEntries, ranker) {
   const rows = [];
 
@@ -1147,8 +1201,9 @@ function printPolicySweep(title, sweep, maxRows = 8) {
 
 async function main() {
   const corpus = loadFaqCorpus(DEFAULT_CORPUS_FILES);
-  const evalEntries = loadEvalSet(DEFAULT_EVAL_FILE);
-  const negativeEvalEntries = loadNegativeEvalSet(DEFAULT_NEGATIVE_EVAL_FILE);
+  const evalEntries = loadEvalFiles(EVAL_FILES, loadEvalSet);
+  const negativeEvalEntries = loadEvalFiles(NEGATIVE_EVAL_FILES, loadNegativeEvalSet);
+  const wrongAnswerEntries = loadEvalFiles(WRONG_ANSWER_EVAL_FILES, loadWrongAnswerEvalSet);
   const lexicalIndex = buildLexicalIndex(corpus);
   const queryCache = new Map();
 
@@ -1165,6 +1220,7 @@ async function main() {
 
   const summaries = [];
   const negativeSummaries = [];
+  const wrongAnswerSummaries = [];
 
   summaries.push(
     evaluateMethod("hybrid_lexical", evalEntries, (question) =>
@@ -1176,10 +1232,15 @@ async function main() {
       pickTop(getLexicalRows(question), (row) => row.scores.hybrid, "hybrid")
     )
   );
+  wrongAnswerSummaries.push(
+    evaluateWrongAnswerMethod("hybrid_lexical", wrongAnswerEntries, (question) =>
+      pickTop(getLexicalRows(question), (row) => row.scores.hybrid, "hybrid")
+    )
+  );
 
   console.log(`Building local embeddings with model ${DEFAULT_EMBEDDING_MODEL}...`);
   const embeddingIndex = await buildEmbeddingIndex(corpus, DEFAULT_EMBEDDING_MODEL);
-  const allQueryEntries = [...evalEntries, ...negativeEvalEntries].map((entry) =>
+  const allQueryEntries = [...evalEntries, ...negativeEvalEntries, ...wrongAnswerEntries].map((entry) =>
     preprocessQuery(entry.question, lexicalIndex.correctionLexicon)
   );
   const flattenedEmbeddingTexts = allQueryEntries.flatMap((entry) => entry.embeddingTexts);
@@ -1255,15 +1316,30 @@ async function main() {
     })
   );
 
+  wrongAnswerSummaries.push(
+    evaluateWrongAnswerMethod("local_embedding_hybrid", wrongAnswerEntries, (question) => {
+      const queryIndex = wrongAnswerEntries.findIndex((entry) => entry.question === question);
+      return pickTop(
+        getEmbeddingRows(question, queryIndex + evalEntries.length + negativeEvalEntries.length),
+        (row) => row.scores.local_embedding_hybrid,
+        "local_embedding_hybrid"
+      );
+    })
+  );
+
   console.log(`Corpus size: ${corpus.length} FAQ entries`);
   console.log(`Eval size: ${evalEntries.length} questions`);
   console.log(`Negative eval size: ${negativeEvalEntries.length} questions`);
+  if (wrongAnswerEntries.length) console.log(`Wrong-answer eval size: ${wrongAnswerEntries.length} questions`);
   console.log(`Embedding backend: local (${DEFAULT_EMBEDDING_MODEL})`);
 
   summaries.sort((a, b) => b.accuracy - a.accuracy || b.top3Accuracy - a.top3Accuracy);
   for (const summary of summaries) {
     printSummary(summary);
   }
+  if (wrongAnswerEntries.length) {
+    for (const summary of wrongAnswerSummaries) printWrongAnswerSummary(summary);
+  }
 
   const summaryByMethod = new Map(summaries.map((summary) => [summary.method, summary]));
   const negativeSummaryByMethod = new Map(negativeSummaries.map((summary) => [summary.method, summary]));
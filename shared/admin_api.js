@@ -0,0 +1,336 @@
+// shared/admin_api.js
+//
+// Local HTTP admin API + minimal dashboard for per-guild settings
+// (see shared/guild_settings.js for the keys and their configs/ defaults).
+//
+// Disabled unless ADMIN_API_TOKEN is set. Binds to 127.0.0.1 by default; put a
+// reverse proxy with TLS in front if it must be reachable from elsewhere.
+//
+// Every /api request needs "Authorization: Bearer <ADMIN_API_TOKEN>".
+//   GET    /api/settings                       -> setting keys + descriptions
+//   GET    /api/guilds                         -> guilds the bot is in / has settings for
+//   GET    /api/guilds/:guildId/settings       -> effective values (+ source, default)
+//   PUT    /api/guilds/:guildId/settings/:key  -> body { "value": ... }; stores an override
+//   DELETE /api/guilds/:guildId/settings/:key  -> drops the override (back to configs/ default)
+//   POST   /api/reload                         -> re-read guild_settings from the database
+// GET / serves the dashboard page (it asks for the token and calls the API).
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { logger } from "./logger.js";
+import {
+  clearGuildSetting,
+  describeGuildSettings,
+  describeSettings,
+  isKnownSettingKey,
+  listConfiguredGuildIds,
+  reloadGuildSettings,
+  setGuildSetting,
+} from "./guild_settings.js";
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 64 * 1024;
+
+let server = null;
+
+function adminApiConfig() {
+  return {
+    token: String(process.env.ADMIN_API_TOKEN || "").trim(),
+    host: String(process.env.ADMIN_API_HOST || "").trim() || DEFAULT_HOST,
+    port: Number(process.env.ADMIN_API_PORT) || DEFAULT_PORT,
+  };
+}
+
+function tokenMatches(expected, header) {
+  const m = /^Bearer\s+(.+)$/i.exec(String(header || ""));
+  if (!m || !expected) return false;
+  const a = crypto.createHash("sha256").update(m[1].trim()).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  res.end(payload);
+}
+
+function sendError(res, status, errorText) {
+  sendJson(res, status, { ok: false, errorText });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        resolve({ ok: false, errorText: "Request body too large." });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve({ ok: true, body: JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}") });
+      } catch {
+        resolve({ ok: false, errorText: "Body must be JSON." });
+      }
+    });
+    req.on("error", () => resolve({ ok: false, errorText: "Could not read request body." }));
+  });
+}
+
+function listGuilds(client) {
+  const names = new Map();
+  for (const guild of client?.guilds?.cache?.values?.() || []) names.set(String(guild.id), guild.name || null);
+  const ids = new Set([...names.keys(), ...listConfiguredGuildIds()]);
+  return [...ids].sort().map((id) => ({ id, name: names.get(id) || null, joined: names.has(id) }));
+}
+
+/**
+ * Match a request to a route.
+ * Returns { route, guildId?, key? } or null.
+ */
+function matchRoute(method, pathname) {
+  if (method === "GET" && pathname === "/") return { route: "dashboard" };
+  if (method === "GET" && pathname === "/api/settings") return { route: "keys" };
+  if (method === "GET" && pathname === "/api/guilds") return { route: "guilds" };
+  if (method === "POST" && pathname === "/api/reload") return { route: "reload" };
+
+  let m = /^\/api\/guilds\/(\d{5,25})\/settings$/.exec(pathname);
+  if (m && method === "GET") return { route: "guildSettings", guildId: m[1] };
+
+  m = /^\/api\/guilds\/(\d{5,25})\/settings\/([a-z_]+)$/.exec(pathname);
+  if (m && method === "PUT") return { route: "setSetting", guildId: m[1], key: m[2] };
+  if (m && method === "DELETE") return { route: "clearSetting", guildId: m[1], key: m[2] };
+  return null;
+}
+
+/**
+ * Build the request handler (exported for tests; startAdminApi wires it to a server).
+ */
+export function createAdminApiHandler({ client = null, token }) {
+  return async function handleAdminRequest(req, res) {
+    const url = new URL(req.url || "/", "http://localhost");
+    const match = matchRoute(req.method, url.pathname);
+    if (!match) {
+      sendError(res, 404, "Not found.");
+      return;
+    }
+
+    if (match.route === "dashboard") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+      res.end(DASHBOARD_HTML);
+      return;
+    }
+
+    if (!tokenMatches(token, req.headers?.authorization)) {
+      sendError(res, 401, "Missing or invalid token.");
+      return;
+    }
+
+    try {
+      switch (match.route) {
+        case "keys":
+          sendJson(res, 200, { ok: true, settings: describeSettings() });
+          return;
+        case "guilds":
+          sendJson(res, 200, { ok: true, guilds: listGuilds(client) });
+          return;
+        case "guildSettings":
+          sendJson(res, 200, { ok: true, guildId: match.guildId, settings: describeGuildSettings(match.guildId) });
+          return;
+        case "reload": {
+          const loaded = await reloadGuildSettings();
+          sendJson(res, 200, { ok: true, loaded });
+          return;
+        }
+        case "setSetting": {
+          if (!isKnownSettingKey(match.key)) {
+            sendError(res, 404, `Unknown setting "${match.key}".`);
+            return;
+          }
+          const body = await readJsonBody(req);
+          if (!body.ok) {
+            sendError(res, 400, body.errorText);
+            return;
+          }
+          if (!body.body || !Object.prototype.hasOwnProperty.call(body.body, "value")) {
+            sendError(res, 400, 'Body must be { "value": ... }.');
+            return;
+          }
+          const result = await setGuildSetting({
+            guildId: match.guildId,
+            key: match.key,
+            value: body.body.value,
+            updatedBy: "admin-api",
+          });
+          if (!result.ok) {
+            sendError(res, 400, result.errorText);
+            return;
+          }
+          logger.info("admin_api.setting.updated", { guildId: match.guildId, key: match.key });
+          sendJson(res, 200, { ok: true, key: match.key, value: result.value });
+          return;
+        }
+        case "clearSetting": {
+          if (!isKnownSettingKey(match.key)) {
+            sendError(res, 404, `Unknown setting "${match.key}".`);
+            return;
+          }
+          const removed = await clearGuildSetting({ guildId: match.guildId, key: match.key });
+          logger.info("admin_api.setting.cleared", { guildId: match.guildId, key: match.key });
+          sendJson(res, 200, { ok: true, key: match.key, removed });
+          return;
+        }
+        default:
+          sendError(res, 404, "Not found.");
+      }
+    } catch (err) {
+      logger.warn("admin_api.request.failed", {
+        route: match.route,
+        error: logger.serializeError(err),
+      });
+      sendError(res, 500, "Internal error (see bot logs).");
+    }
+  };
+}
+
+/**
+ * Start the admin API if ADMIN_API_TOKEN is set. Safe to call more than once.
+ * Returns the http.Server, or null when disabled.
+ */
+export function startAdminApi({ client } = {}) {
+  if (server) return server;
+  const cfg = adminApiConfig();
+  if (!cfg.token) return null;
+
+  server = http.createServer(createAdminApiHandler({ client, token: cfg.token }));
+  server.on("error", (err) => {
+    logger.warn("admin_api.server.error", { error: logger.serializeError(err) });
+  });
+  server.listen(cfg.port, cfg.host, () => {
+    console.log(`[ADMIN] Admin API listening on http://${cfg.host}:${cfg.port}`);
+  });
+  return server;
+}
+
+export function stopAdminApi() {
+  if (!server) return;
+  server.close();
+  server = null;
+}
+
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Spectreon settings</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; max-width: 960px; }
+  textarea { width: 100%; min-height: 6rem; font-family: monospace; }
+  .setting { border: 1px solid #ccc; border-radius: 6px; padding: .75rem; margin: .75rem 0; }
+  .meta { color: #666; font-size: .85rem; }
+  .override { border-color: #3a7; }
+  #status { min-height: 1.5rem; }
+  .error { color: #c33; }
+</style>
+</head>
+<body>
+<h1>Spectreon settings</h1>
+<p>
+  <input id="token" type="password" placeholder="Admin API token" size="40">
+  <button id="connect">Connect</button>
+  <select id="guild"></select>
+</p>
+<p id="status"></p>
+<div id="settings"></div>
+<script>
+const $ = (id) => document.getElementById(id);
+$("token").value = sessionStorage.getItem("adminToken") || "";
+
+async function api(method, path, body) {
+  const res = await fetch(path, {
+    method,
+    headers: { Authorization: "Bearer " + $("token").value, "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!data.ok) throw new Error(data.errorText || res.statusText);
+  return data;
+}
+
+function status(text, isError) {
+  $("status").textContent = text;
+  $("status").className = isError ? "error" : "";
+}
+
+async function loadGuilds() {
+  sessionStorage.setItem("adminToken", $("token").value);
+  const { guilds } = await api("GET", "/api/guilds");
+  $("guild").innerHTML = "";
+  for (const g of guilds) {
+    const opt = document.createElement("option");
+    opt.value = g.id;
+    opt.textContent = (g.name || "(not joined)") + " — " + g.id;
+    $("guild").appendChild(opt);
+  }
+  await loadSettings();
+}
+
+async function loadSettings() {
+  const guildId = $("guild").value;
+  $("settings").innerHTML = "";
+  if (!guildId) return;
+  const { settings } = await api("GET", "/api/guilds/" + guildId + "/settings");
+  for (const s of settings) {
+    const box = document.createElement("div");
+    box.className = "setting" + (s.source === "override" ? " override" : "");
+    const title = document.createElement("h3");
+    title.textContent = s.key;
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    meta.textContent = s.label + " · " + (s.source === "override" ? "override" : "file default");
+    // "merge" settings edit only the override entries; the file entries still apply underneath.
+    if (s.merge) meta.textContent += " · merged over: " + JSON.stringify(s.defaultValue);
+    const area = document.createElement("textarea");
+    area.value = JSON.stringify(s.merge ? s.override || {} : s.value, null, 2);
+    const save = document.createElement("button");
+    save.textContent = "Save";
+    save.onclick = () => run(async () => {
+      await api("PUT", "/api/guilds/" + guildId + "/settings/" + s.key, { value: JSON.parse(area.value) });
+      status("Saved " + s.key);
+      await loadSettings();
+    });
+    const reset = document.createElement("button");
+    reset.textContent = "Reset to default";
+    reset.disabled = s.source !== "override";
+    reset.onclick = () => run(async () => {
+      await api("DELETE", "/api/guilds/" + guildId + "/settings/" + s.key);
+      status("Reset " + s.key);
+      await loadSettings();
+    });
+    box.append(title, meta, area, save, " ", reset);
+    $("settings").appendChild(box);
+  }
+}
+
+async function run(fn) {
+  try { await fn(); } catch (err) { status(err.message, true); }
+}
+
+$("connect").onclick = () => run(loadGuilds);
+$("guild").onchange = () => run(loadSettings);
+</script>
+</body>
+</html>
+`;
+
+export const __testables = { matchRoute, tokenMatches, listGuilds };
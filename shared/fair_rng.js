@@ -0,0 +1,130 @@
+// shared/fair_rng.js
+//
+// Commit-reveal RNG primitives (pure; no Discord/DB).
+//
+// - server seed: 32 random bytes (hex). Its commitment is sha256(seed bytes), published before use.
+// - every draw has a public input string: `${drawId}:${kind}:${inputsHash}` where inputsHash is
+//   sha256 of the canonical JSON of the draw inputs (entrant ids, counts, ...)
+// - random stream: block i = HMAC-SHA256(key = seed bytes, message = `${publicInput}:${i}`);
+//   each block yields five 48-bit big-endian integers (the last 2 bytes are unused)
+// - int(min, max) uses rejection sampling, so results are unbiased
+//
+// Anyone with the revealed seed and the draw inputs can recompute a result.
+
+import crypto from "node:crypto";
+
+const CHUNK_BYTES = 6;
+const CHUNKS_PER_BLOCK = 5;
+const CHUNK_SPACE = 2 ** 48;
+
+export function newServerSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+export function commitSeed(seedHex) {
+  return crypto.createHash("sha256").update(Buffer.from(String(seedHex), "hex")).digest("hex");
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const key of Object.keys(value).sort()) out[key] = canonicalize(value[key]);
+    return out;
+  }
+  return value;
+}
+
+export function canonicalJson(value) {
+  return JSON.stringify(canonicalize(value));
+}
+
+export function hashInputs(inputs) {
+  return crypto.createHash("sha256").update(canonicalJson(inputs)).digest("hex");
+}
+
+export function publicInputString({ drawId, kind, inputsHash }) {
+  return `${drawId}:${kind}:${inputsHash}`;
+}
+
+/**
+ * Deterministic random source for one draw: { int(min, max) }.
+ */
+export function createFairRandom(seedHex, publicInput) {
+  const key = Buffer.from(String(seedHex), "hex");
+  let block = null;
+  let blockIndex = 0;
+  let chunk = CHUNKS_PER_BLOCK;
+
+  const next48 = () => {
+    if (chunk >= CHUNKS_PER_BLOCK) {
+      block = crypto.createHmac("sha256", key).update(`${publicInput}:${blockIndex}`).digest();
+      blockIndex += 1;
+      chunk = 0;
+    }
+    const value = block.readUIntBE(chunk * CHUNK_BYTES, CHUNK_BYTES);
+    chunk += 1;
+    return value;
+  };
+
+  return {
+    int(min, max) {
+      const lo = Math.ceil(min);
+      const hi = Math.floor(max);
+      const range = hi - lo + 1;
+      if (!(range >= 1)) throw new RangeError(`Invalid range ${min}..${max}`);
+      if (range === 1) return lo;
+      const limit = Math.floor(CHUNK_SPACE / range) * range;
+      let value = next48();
+      while (value >= limit) value = next48();
+      return lo + (value % range);
+    },
+  };
+}
+
+/**
+ * Picks `count` distinct items (in pick order).
+ */
+export function sampleWithoutReplacement(random, items, count) {
+  const pool = Array.isArray(items) ? items.slice() : [];
+  const picks = [];
+  const n = Math.min(Math.max(0, Number(count) || 0), pool.length);
+  for (let i = 0; i < n; i++) {
+    picks.push(pool.splice(random.int(0, pool.length - 1), 1)[0]);
+  }
+  return picks;
+}
+
+/**
+ * entries: [[id, weight], ...] with integer weights; zero-weight entries are never picked.
+ */
+export function weightedSample(random, entries, count) {
+  const pool = (Array.isArray(entries) ? entries : [])
+    .map(([id, weight]) => [String(id), Math.max(0, Math.floor(Number(weight) || 0))])
+    .filter(([, weight]) => weight > 0);
+  const picks = [];
+  const n = Math.min(Math.max(0, Number(count) || 0), pool.length);
+  for (let i = 0; i < n; i++) {
+    const total = pool.reduce((sum, [, weight]) => sum + weight, 0);
+    let target = random.int(0, total - 1);
+    let idx = 0;
+    while (target >= pool[idx][1]) {
+      target -= pool[idx][1];
+      idx += 1;
+    }
+    picks.push(pool.splice(idx, 1)[0][0]);
+  }
+  return picks;
+}
+
+/**
+ * Eliminates one random item per round until one remains.
+ */
+export function eliminationOrder(random, items) {
+  const remaining = Array.isArray(items) ? items.slice() : [];
+  const order = [];
+  while (remaining.length > 1) {
+    order.push(remaining.splice(random.int(0, remaining.length - 1), 1)[0]);
+  }
+  return { order, winner: remaining[0] ?? null };
+}
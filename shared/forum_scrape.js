@@ -1,6 +1,6 @@
 // shared/forum_scrape.js
 //
-// Shared utilities for scraping TPPC forum thread pages.
+// Shared utilities for scraping TPPC forum thread and subforum listing pages.
 
 import { metrics } from "./metrics.js";
 
@@ -117,3 +117,33 @@ export function extractPostMessageText(postHtml) {
   if (!m) return "";
   return htmlToText(m[1]);
 }
+
+/**
+ * Threads on a forumdisplay.php listing page -> [{ threadId, title, author }].
+ * The starter's name is the first line of the "smallfont" div in the title cell.
+ */
+export function extractThreadListings(html) {
+  const s = String(html || "");
+  const out = [];
+  const seen = new Set();
+  const re = /<a[^>]*\bid\s*=\s*["']thread_title_(\d+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(s)) !== null) {
+    const threadId = Number(m[1]);
+    if (!Number.isFinite(threadId) || seen.has(threadId)) continue;
+    seen.add(threadId);
+
+    const cellEnd = s.indexOf("</td>", re.lastIndex);
+    const cell = s.slice(re.lastIndex, cellEnd === -1 ? undefined : cellEnd);
+    const authorMatch = /<div[^>]*\bclass\s*=\s*["']smallfont["'][^>]*>([\s\S]*?)<\/div>/i.exec(cell);
+    const author = authorMatch
+      ? htmlToText(authorMatch[1])
+          .split("\n")
+          .map((x) => x.trim())
+          .filter(Boolean)[0] || null
+      : null;
+
+    out.push({ threadId, title: htmlToText(m[2]).trim() || `Thread ${threadId}`, author });
+  }
+  return out;
+}
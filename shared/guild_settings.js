@@ -0,0 +1,489 @@
+// shared/guild_settings.js
+//
+// Per-guild settings with the files in configs/ as defaults.
+//
+// Overrides are stored in MySQL (guild_settings, one JSON value per guild + key)
+// and cached in memory so hot paths (command dispatch, auth) stay synchronous.
+// An override replaces the file default for that guild + key as a whole, except
+// for "merge" settings (the command policy maps), where override entries are
+// merged over the file's entries. Clearing an override falls back to the file.
+//
+// setGuildSetting()/clearGuildSetting() update the cache immediately, so the
+// running bot picks up dashboard edits without a restart. reloadGuildSettings()
+// re-reads the table (boot, or after editing rows by hand).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getDb } from "../db.js";
+import { logger } from "./logger.js";
+import {
+  COMMAND_EXPOSURE_BY_GUILD,
+  COMMAND_CHANNEL_POLICY_BY_GUILD,
+  SLASH_EXPOSURE_BY_GUILD,
+} from "../configs/command_exposure.js";
+import { CONTEST_ROLES_BY_GUILD, CONTEST_TOGGLE_ROLE_BY_GUILD } from "../configs/contest_roles.js";
+import { MESSAGE_COUNT_CHANNELS_BY_GUILD } from "../configs/message_count_channels.js";
+import { RPG_EVENT_CHANNELS_BY_GUILD } from "../configs/rpg_event_channels.js";
+import { WELCOME_GUILD_IDS } from "../configs/welcome_config.js";
+import { PERMISSION_TIER_ROLES_BY_GUILD } from "../configs/permission_tiers.js";
+import { FAQ_LOCALE_BY_GUILD } from "../configs/faq_locales.js";
+import { FAQ_AUTO_ANSWER_BY_GUILD } from "../configs/faq_auto_answer.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_DIR = path.join(__dirname, "..", "configs");
+
+// JSON configs are read lazily (and once) so a missing file only disables its defaults.
+const jsonConfigCache = new Map(); // fileName -> parsed object
+
+function loadJsonConfig(fileName) {
+  if (jsonConfigCache.has(fileName)) return jsonConfigCache.get(fileName);
+  let parsed = {};
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, fileName), "utf8")) || {};
+  } catch {
+    console.warn(`[SETTINGS] Could not load configs/${fileName} — using empty defaults`);
+    parsed = {};
+  }
+  jsonConfigCache.set(fileName, parsed);
+  return parsed;
+}
+
+/* ------------------------------- validation ------------------------------- */
+
+const SNOWFLAKE_RE = /^\d{5,25}$/;
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+function fail(errorText) {
+  return { ok: false, errorText };
+}
+
+function validateIdList(value, label) {
+  if (!Array.isArray(value)) return fail(`${label} must be a list of IDs.`);
+  const ids = value.map((v) => String(v ?? "").trim());
+  const bad = ids.find((id) => !SNOWFLAKE_RE.test(id));
+  if (bad !== undefined) return fail(`${label}: "${bad}" is not a Discord ID.`);
+  return { ok: true, value: [...new Set(ids)] };
+}
+
+function validateEnumMap(value, allowed, label) {
+  if (!isPlainObject(value)) return fail(`${label} must be an object of id -> value.`);
+  const out = {};
+  for (const [key, raw] of Object.entries(value)) {
+    const v = String(raw ?? "").trim().toLowerCase();
+    if (!key.trim()) return fail(`${label}: empty command id.`);
+    if (!allowed.includes(v)) return fail(`${label}: "${key}" must be one of ${allowed.join("|")}.`);
+    out[key.trim()] = v;
+  }
+  return { ok: true, value: out };
+}
+
+function validateChannelPolicy(value) {
+  if (!isPlainObject(value)) return fail("Channel policy must be an object of command id -> policy.");
+  const out = {};
+  for (const [logicalId, policy] of Object.entries(value)) {
+    if (!isPlainObject(policy)) return fail(`Channel policy for "${logicalId}" must be an object.`);
+    const next = {};
+    for (const field of ["allow", "deny"]) {
+      if (policy[field] == null) continue;
+      const ids = validateIdList(policy[field], `${logicalId}.${field}`);
+      if (!ids.ok) return ids;
+      next[field] = ids.value;
+    }
+    if (policy.silent != null) next.silent = Boolean(policy.silent);
+    if (policy.allowAdminBypass != null) next.allowAdminBypass = Boolean(policy.allowAdminBypass);
+    out[logicalId] = next;
+  }
+  return { ok: true, value: out };
+}
+
+function validateContestRoles(value) {
+  if (!isPlainObject(value)) return fail("Contest roles must be an object of channel id -> { roleId, applyTo }.");
+  const out = {};
+  for (const [channelId, cfg] of Object.entries(value)) {
+    if (!SNOWFLAKE_RE.test(channelId)) return fail(`"${channelId}" is not a channel ID.`);
+    if (!isPlainObject(cfg) || !SNOWFLAKE_RE.test(String(cfg.roleId ?? ""))) {
+      return fail(`Contest role for channel ${channelId} needs a roleId.`);
+    }
+    const applyTo = Array.isArray(cfg.applyTo) ? cfg.applyTo.map(String).filter(Boolean) : [];
+    out[channelId] = { roleId: String(cfg.roleId), applyTo };
+  }
+  return { ok: true, value: out };
+}
+
+function validateOptionalId(value, label) {
+  if (value == null || value === "") return { ok: true, value: null };
+  const id = String(value).trim();
+  if (!SNOWFLAKE_RE.test(id)) return fail(`${label} must be a Discord ID (or null).`);
+  return { ok: true, value: id };
+}
+
+function validateMessageCountChannels(value) {
+  if (Array.isArray(value)) return validateIdList(value, "Channels");
+  if (!isPlainObject(value)) return fail("Use a list of channel IDs or { channels, parentIds }.");
+  const channels = validateIdList(value.channels ?? [], "channels");
+  if (!channels.ok) return channels;
+  const parentIds = validateIdList(value.parentIds ?? [], "parentIds");
+  if (!parentIds.ok) return parentIds;
+  return { ok: true, value: { channels: channels.value, parentIds: parentIds.value } };
+}
+
+function validateWelcome(value) {
+  if (!isPlainObject(value) || typeof value.enabled !== "boolean") return fail("Welcome must be { enabled: true|false }.");
+  return { ok: true, value: { enabled: value.enabled } };
+}
+
+function validateVerification(value) {
+  if (value == null) return { ok: true, value: null };
+  if (!isPlainObject(value)) return fail("Verification must be an object (or null to disable).");
+  if (!SNOWFLAKE_RE.test(String(value.reviewChannelId ?? ""))) return fail("reviewChannelId must be a channel ID.");
+  const adminRoleIds = validateIdList(value.adminRoleIds ?? [], "adminRoleIds");
+  if (!adminRoleIds.ok) return adminRoleIds;
+  if (!Array.isArray(value.approvalRoles) || !value.approvalRoles.length) {
+    return fail("approvalRoles must list at least one { id, label }.");
+  }
+  for (const role of value.approvalRoles) {
+    if (!SNOWFLAKE_RE.test(String(role?.id ?? "")) || !String(role?.label ?? "").trim()) {
+      return fail("Each approval role needs an id and a label.");
+    }
+  }
+  return {
+    ok: true,
+    value: {
+      ...value,
+      reviewChannelId: String(value.reviewChannelId),
+      adminRoleIds: adminRoleIds.value,
+      approvalRoles: value.approvalRoles.map((r) => ({ id: String(r.id), label: String(r.label).trim() })),
+    },
+  };
+}
+
+// Tiers that can be granted by role (see configs/permission_tiers.js).
+const ROLE_TIERS = ["trusted", "host", "moderator", "admin"];
+
+function validatePermissionTiers(value) {
+  if (!isPlainObject(value)) return fail("Permission tiers must be an object of tier -> role IDs.");
+  const out = {};
+  for (const [tier, roleIds] of Object.entries(value)) {
+    if (!ROLE_TIERS.includes(tier)) return fail(`Unknown tier "${tier}" (use ${ROLE_TIERS.join("|")}).`);
+    const ids = validateIdList(roleIds, `${tier} roles`);
+    if (!ids.ok) return ids;
+    out[tier] = ids.value;
+  }
+  return { ok: true, value: out };
+}
+
+// FAQ answer locales (see info/faq.js).
+const FAQ_LOCALES = ["en", "es", "pt"];
+
+function validateFaqLocale(value) {
+  const locale = String(value ?? "").trim().toLowerCase();
+  if (!FAQ_LOCALES.includes(locale)) return fail(`FAQ locale must be one of ${FAQ_LOCALES.join("|")}.`);
+  return { ok: true, value: locale };
+}
+
+// Passive FAQ answers in help channels (see info/faq_auto.js).
+function validateFaqAutoAnswer(value) {
+  if (!isPlainObject(value)) return fail("FAQ auto-answer must be { channels, threshold?, cooldownSeconds?, staffTier? }.");
+  const channels = validateIdList(value.channels ?? [], "FAQ auto-answer channels");
+  if (!channels.ok) return channels;
+  const out = { channels: channels.value };
+
+  if (value.threshold != null) {
+    const threshold = Number(value.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) return fail("threshold must be between 0 and 1.");
+    out.threshold = threshold;
+  }
+  if (value.cooldownSeconds != null) {
+    const cooldownSeconds = Number(value.cooldownSeconds);
+    if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0) return fail("cooldownSeconds must be a whole number ≥ 0.");
+    out.cooldownSeconds = cooldownSeconds;
+  }
+  if (value.staffTier != null) {
+    const staffTier = String(value.staffTier).trim().toLowerCase();
+    if (!ROLE_TIERS.includes(staffTier)) return fail(`staffTier must be one of ${ROLE_TIERS.join("|")}.`);
+    out.staffTier = staffTier;
+  }
+  return { ok: true, value: out };
+}
+
+/* -------------------------------- registry -------------------------------- */
+
+// key -> { label, defaults(): { [guildId]: value }, fallback, validate(value), merge? }
+const SETTINGS = {
+  command_exposure: {
+    label: "Command exposure (logical id → bang | q | off)",
+    defaults: () => COMMAND_EXPOSURE_BY_GUILD,
+    fallback: {},
+    validate: (v) => validateEnumMap(v, ["bang", "q", "off"], "Command exposure"),
+    merge: true,
+  },
+  slash_exposure: {
+    label: "Slash command exposure (command → on | off)",
+    defaults: () => SLASH_EXPOSURE_BY_GUILD,
+    fallback: {},
+    validate: (v) => validateEnumMap(v, ["on", "off"], "Slash exposure"),
+    merge: true,
+  },
+  command_channel_policy: {
+    label: "Command channel policy (logical id → { allow, deny, silent, allowAdminBypass })",
+    defaults: () => COMMAND_CHANNEL_POLICY_BY_GUILD,
+    fallback: {},
+    validate: validateChannelPolicy,
+    merge: true,
+  },
+  contest_roles: {
+    label: "Contest roles for reaction joins (channel id → { roleId, applyTo })",
+    defaults: () => CONTEST_ROLES_BY_GUILD,
+    fallback: {},
+    validate: validateContestRoles,
+  },
+  contest_toggle_role: {
+    label: "Role toggled by !contest",
+    defaults: () => CONTEST_TOGGLE_ROLE_BY_GUILD,
+    fallback: null,
+    validate: (v) => validateOptionalId(v, "Contest toggle role"),
+  },
+  message_count_channels: {
+    label: "Message count channels (IDs, or { channels, parentIds })",
+    defaults: () => MESSAGE_COUNT_CHANNELS_BY_GUILD,
+    fallback: [],
+    validate: validateMessageCountChannels,
+  },
+  rpg_event_channels: {
+    label: "RPG event announcement channels",
+    defaults: () => RPG_EVENT_CHANNELS_BY_GUILD,
+    fallback: [],
+    validate: (v) => validateIdList(v, "RPG event channels"),
+  },
+  welcome: {
+    label: "Welcome DM on join",
+    defaults: () => Object.fromEntries([...(WELCOME_GUILD_IDS || [])].map((id) => [String(id), { enabled: true }])),
+    fallback: { enabled: false },
+    validate: validateWelcome,
+  },
+  verification: {
+    label: "/verifyme approval workflow",
+    defaults: () => loadJsonConfig("verification_config.json")?.guilds || {},
+    fallback: null,
+    validate: validateVerification,
+  },
+  permission_tiers: {
+    label: "Permission tier roles (tier → role IDs; trusted | host | moderator | admin)",
+    defaults: () => PERMISSION_TIER_ROLES_BY_GUILD,
+    fallback: {},
+    validate: validatePermissionTiers,
+    merge: true,
+  },
+  faq_locale: {
+    label: "Default FAQ answer language (en | es | pt)",
+    defaults: () => FAQ_LOCALE_BY_GUILD,
+    fallback: "en",
+    validate: validateFaqLocale,
+  },
+  faq_auto_answer: {
+    label: "Passive FAQ answers ({ channels, threshold?, cooldownSeconds?, staffTier? })",
+    defaults: () => FAQ_AUTO_ANSWER_BY_GUILD,
+    fallback: { channels: [] },
+    validate: validateFaqAutoAnswer,
+  },
+  privileged_users: {
+    label: "Privileged users (bot admin without Discord perms)",
+    defaults: () => loadJsonConfig("privileged_users.json"),
+    fallback: [],
+    validate: (v) => validateIdList(v, "Privileged users"),
+  },
+};
+
+export const SETTING_KEYS = Object.keys(SETTINGS);
+
+export function isKnownSettingKey(key) {
+  return Object.prototype.hasOwnProperty.call(SETTINGS, String(key || ""));
+}
+
+export function describeSettings() {
+  return SETTING_KEYS.map((key) => ({ key, label: SETTINGS[key].label }));
+}
+
+/* ---------------------------------- cache --------------------------------- */
+
+const overrides = new Map(); // guildId -> Map(key -> { value, updatedBy, updatedAtMs })
+
+function overrideFor(guildId, key) {
+  return overrides.get(String(guildId || ""))?.get(key) || null;
+}
+
+function setCached(guildId, key, entry) {
+  const gid = String(guildId);
+  if (!overrides.has(gid)) overrides.set(gid, new Map());
+  overrides.get(gid).set(key, entry);
+}
+
+function defaultFor(guildId, key) {
+  const value = SETTINGS[key].defaults()?.[String(guildId || "")];
+  return value === undefined ? SETTINGS[key].fallback : value;
+}
+
+/**
+ * Effective value for one guild: the stored override, else the configs/ default.
+ * Synchronous; never touches the database.
+ */
+export function getGuildSetting(guildId, key) {
+  if (!isKnownSettingKey(key)) throw new Error(`Unknown guild setting: ${key}`);
+  const o = overrideFor(guildId, key);
+  if (!o) return defaultFor(guildId, key);
+  return SETTINGS[key].merge ? { ...defaultFor(guildId, key), ...o.value } : o.value;
+}
+
+/**
+ * The stored override alone (null when the guild uses the configs/ default).
+ */
+export function getGuildSettingOverride(guildId, key) {
+  if (!isKnownSettingKey(key)) throw new Error(`Unknown guild setting: ${key}`);
+  return overrideFor(guildId, key)?.value ?? null;
+}
+
+/**
+ * Effective values for every guild that has either a default or an override.
+ * Returns { [guildId]: value } (for settings that are iterated across guilds).
+ */
+export function getSettingForAllGuilds(key) {
+  if (!isKnownSettingKey(key)) throw new Error(`Unknown guild setting: ${key}`);
+  const out = {};
+  for (const guildId of Object.keys(SETTINGS[key].defaults() || {})) out[guildId] = getGuildSetting(guildId, key);
+  for (const [guildId, byKey] of overrides) {
+    if (byKey.has(key)) out[guildId] = getGuildSetting(guildId, key);
+  }
+  return out;
+}
+
+/**
+ * Dashboard view for one guild: every key with its effective value and source.
+ */
+export function describeGuildSettings(guildId) {
+  return SETTING_KEYS.map((key) => {
+    const o = overrideFor(guildId, key);
+    return {
+      key,
+      label: SETTINGS[key].label,
+      source: o ? "override" : "default",
+      merge: Boolean(SETTINGS[key].merge),
+      value: getGuildSetting(guildId, key),
+      override: o ? o.value : null,
+      defaultValue: defaultFor(guildId, key),
+      updatedBy: o?.updatedBy || null,
+      updatedAtMs: o?.updatedAtMs || null,
+    };
+  });
+}
+
+/**
+ * Guild ids that appear in any default or override.
+ */
+export function listConfiguredGuildIds() {
+  const ids = new Set(overrides.keys());
+  for (const key of SETTING_KEYS) {
+    for (const guildId of Object.keys(SETTINGS[key].defaults() || {})) ids.add(guildId);
+  }
+  return [...ids].filter((id) => SNOWFLAKE_RE.test(id)).sort();
+}
+
+export function validateGuildSetting(key, value) {
+  if (!isKnownSettingKey(key)) return fail(`Unknown setting "${key}".`);
+  return SETTINGS[key].validate(value);
+}
+
+/* --------------------------------- storage -------------------------------- */
+
+/**
+ * Replace the cache with the contents of guild_settings.
+ * Rows with unknown keys or invalid JSON are skipped (and logged).
+ */
+export async function reloadGuildSettings() {
+  const db = getDb();
+  const [rows] = await db.execute(`SELECT guild_id, setting_key, value_json, updated_by, updated_at FROM guild_settings`);
+
+  overrides.clear();
+  let loaded = 0;
+  for (const row of rows || []) {
+    const key = String(row.setting_key);
+    if (!isKnownSettingKey(key)) continue;
+    let value;
+    try {
+      value = JSON.parse(row.value_json);
+    } catch (err) {
+      logger.warn("guild_settings.parse_failed", {
+        guildId: String(row.guild_id),
+        key,
+        error: logger.serializeError(err),
+      });
+      continue;
+    }
+    setCached(row.guild_id, key, {
+      value,
+      updatedBy: row.updated_by ? String(row.updated_by) : null,
+      updatedAtMs: row.updated_at ? new Date(row.updated_at).getTime() : null,
+    });
+    loaded++;
+  }
+  return loaded;
+}
+
+/**
+ * Validate, store and apply an override.
+ * Returns { ok: true, value } or { ok: false, errorText }. Throws on database errors.
+ */
+export async function setGuildSetting({ guildId, key, value, updatedBy = null }) {
+  const gid = String(guildId || "");
+  if (!SNOWFLAKE_RE.test(gid)) return fail("Guild id must be a Discord ID.");
+  const check = validateGuildSetting(key, value);
+  if (!check.ok) return check;
+
+  const db = getDb();
+  await db.execute(
+    `
+    INSERT INTO guild_settings (guild_id, setting_key, value_json, updated_by)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE value_json = VALUES(value_json), updated_by = VALUES(updated_by)
+  `,
+    [gid, key, JSON.stringify(check.value), updatedBy ? String(updatedBy).slice(0, 64) : null]
+  );
+
+  setCached(gid, key, { value: check.value, updatedBy, updatedAtMs: Date.now() });
+  return { ok: true, value: check.value };
+}
+
+/**
+ * Set (or, with value undefined, remove) one entry of a "merge" setting's override,
+ * e.g. a single logical id in command_exposure. Removing the last entry drops the override.
+ * Returns { ok: true, value } or { ok: false, errorText }. Throws on database errors.
+ */
+export async function updateGuildSettingEntry({ guildId, key, entryKey, value, updatedBy = null }) {
+  if (!isKnownSettingKey(key) || !SETTINGS[key].merge) return fail(`"${key}" does not support per-entry updates.`);
+  const next = { ...(getGuildSettingOverride(guildId, key) || {}) };
+  if (value === undefined) delete next[entryKey];
+  else next[entryKey] = value;
+
+  if (!Object.keys(next).length) {
+    await clearGuildSetting({ guildId, key });
+    return { ok: true, value: next };
+  }
+  return setGuildSetting({ guildId, key, value: next, updatedBy });
+}
+
+/**
+ * Drop an override so the configs/ default applies again.
+ * Returns true when an override existed.
+ */
+export async function clearGuildSetting({ guildId, key }) {
+  if (!isKnownSettingKey(key)) return false;
+  const gid = String(guildId || "");
+  const db = getDb();
+  await db.execute(`DELETE FROM guild_settings WHERE guild_id = ? AND setting_key = ?`, [gid, key]);
+  return Boolean(overrides.get(gid)?.delete(key));
+}
+
+export const __testables = { overrides, validateChannelPolicy, validateMessageCountChannels, validateVerification };
@@ -0,0 +1,120 @@
+// shared/line_chart_svg.js
+//
+// Minimal SVG line chart builder (pure; no DOM). Same layout approach as
+// scripts/analyze_lotto_weekly.js: fixed canvas, "nice" y-axis ticks, gridlines, path + dots.
+// Callers that need a PNG can rasterize the returned string (e.g. with sharp).
+
+export function xmlEscape(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+export function niceStep(maxValue, targetTicks = 6) {
+  const rough = Math.max(1, maxValue) / Math.max(1, targetTicks);
+  const pow = 10 ** Math.floor(Math.log10(rough));
+  const frac = rough / pow;
+  let niceFrac = 1;
+  if (frac <= 1) niceFrac = 1;
+  else if (frac <= 2) niceFrac = 2;
+  else if (frac <= 5) niceFrac = 5;
+  else niceFrac = 10;
+  return niceFrac * pow;
+}
+
+/**
+ * points: [{ label, value }] in x order. invertY puts the smallest value at the top (ranks).
+ * At most ~12 x labels are drawn; the rest of the points still get dots.
+ */
+export function buildLineChartSvg({ points, title, subtitle = "", xLabel = "", yLabel = "", invertY = false }) {
+  const width = 1000;
+  const height = 520;
+  const marginTop = 70;
+  const marginRight = 30;
+  const marginBottom = 110;
+  const marginLeft = 80;
+  const plotWidth = width - marginLeft - marginRight;
+  const plotHeight = height - marginTop - marginBottom;
+  const font = 'font-family="Arial, Helvetica, sans-serif"';
+
+  const list = Array.isArray(points) ? points.filter((p) => Number.isFinite(Number(p?.value))) : [];
+  const values = list.map((p) => Number(p.value));
+  const minValue = invertY ? Math.min(1, ...values) : 0;
+  const maxValue = Math.max(minValue + 1, ...values);
+  const yStep = niceStep(maxValue - minValue, 6);
+  const yBottom = invertY ? minValue : 0;
+  const yTop = Math.max(yBottom + yStep, Math.ceil(maxValue / yStep) * yStep);
+  const n = list.length;
+  const denom = Math.max(1, n - 1);
+
+  const xFor = (index) => marginLeft + (n === 1 ? plotWidth / 2 : (index / denom) * plotWidth);
+  const yFor = (value) => {
+    const ratio = (value - yBottom) / (yTop - yBottom);
+    return marginTop + (invertY ? ratio : 1 - ratio) * plotHeight;
+  };
+
+  const yTicks = [yBottom];
+  for (let y = Math.ceil((yBottom + 1e-9) / yStep) * yStep; y <= yTop + 1e-9; y += yStep) {
+    if (y > yBottom) yTicks.push(y);
+  }
+
+  const gridLines = yTicks
+    .map((tick) => {
+      const y = yFor(tick).toFixed(2);
+      return `<line x1="${marginLeft}" y1="${y}" x2="${marginLeft + plotWidth}" y2="${y}" stroke="#e6ecf3" stroke-width="1" />`;
+    })
+    .join("\n");
+
+  const yLabels = yTicks
+    .map((tick) => {
+      const y = yFor(tick).toFixed(2);
+      return `<text x="${marginLeft - 12}" y="${y}" text-anchor="end" dominant-baseline="middle" font-size="13" ${font} fill="#334155">${tick}</text>`;
+    })
+    .join("\n");
+
+  const labelEvery = Math.max(1, Math.ceil(n / 12));
+  const xTicksAndLabels = list
+    .map((p, i) => {
+      if (i % labelEvery !== 0 && i !== n - 1) return "";
+      const x = xFor(i).toFixed(2);
+      const y = marginTop + plotHeight;
+      return [
+        `<line x1="${x}" y1="${y}" x2="${x}" y2="${y + 6}" stroke="#7b8aa0" stroke-width="1" />`,
+        `<text x="${x}" y="${y + 22}" text-anchor="end" font-size="11" ${font} fill="#334155" transform="rotate(-35 ${x} ${y + 22})">${xmlEscape(p.label)}</text>`,
+      ].join("\n");
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  const path = list
+    .map((p, i) => `${i === 0 ? "M" : "L"} ${xFor(i).toFixed(2)} ${yFor(Number(p.value)).toFixed(2)}`)
+    .join(" ");
+
+  const dots = list
+    .map((p, i) => `<circle cx="${xFor(i).toFixed(2)}" cy="${yFor(Number(p.value)).toFixed(2)}" r="3.2" fill="#0f766e" />`)
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect x="0" y="0" width="${width}" height="${height}" fill="#f8fafc" />
+  <text x="${marginLeft}" y="34" font-size="24" ${font} fill="#0f172a">${xmlEscape(title)}</text>
+  <text x="${marginLeft}" y="56" font-size="14" ${font} fill="#475569">${xmlEscape(subtitle)}</text>
+
+  ${gridLines}
+  <line x1="${marginLeft}" y1="${marginTop}" x2="${marginLeft}" y2="${marginTop + plotHeight}" stroke="#334155" stroke-width="1.5" />
+  <line x1="${marginLeft}" y1="${marginTop + plotHeight}" x2="${marginLeft + plotWidth}" y2="${marginTop + plotHeight}" stroke="#334155" stroke-width="1.5" />
+
+  ${yLabels}
+  ${xTicksAndLabels}
+
+  <path d="${path}" fill="none" stroke="#0f766e" stroke-width="3" stroke-linecap="round" stroke-linejoin="round" />
+  ${dots}
+
+  <text x="${marginLeft + plotWidth / 2}" y="${height - 14}" text-anchor="middle" font-size="13" ${font} fill="#334155">${xmlEscape(xLabel)}</text>
+  <text x="22" y="${marginTop + plotHeight / 2}" text-anchor="middle" font-size="13" ${font} fill="#334155" transform="rotate(-90 22 ${marginTop + plotHeight / 2})">${xmlEscape(yLabel)}</text>
+</svg>
+`;
+}
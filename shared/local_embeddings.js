@@ -1,6 +1,10 @@
 const DEFAULT_LOCAL_EMBEDDING_MODEL =
   process.env.FAQ_LOCAL_EMBEDDING_MODEL || "BAAI/bge-small-en-v1.5";
 
+// Used for non-English FAQ queries so they can match English (and translated)
+// entries. Set FAQ_MULTILINGUAL_EMBEDDING_MODEL=off to skip loading it.
+const DEFAULT_MULTILINGUAL_EMBEDDING_MODEL =
+  process.env.FAQ_MULTILINGUAL_EMBEDDING_MODEL ?? "Xenova/paraphrase-multilingual-MiniLM-L12-v2";
 const extractorPromiseByModel = new Map();
 
 async function getExtractor(model = DEFAULT_LOCAL_EMBEDDING_MODEL) {
@@ -39,3 +43,8 @@ export async function embedTexts(texts, options = {}) {
 export function getDefaultLocalEmbeddingModel() {
   return DEFAULT_LOCAL_EMBEDDING_MODEL;
 }
+
+export function getDefaultMultilingualEmbeddingModel() {
+  const model = String(DEFAULT_MULTILINGUAL_EMBEDDING_MODEL || "").trim();
+  return /^(off|none|false|0)?$/i.test(model) ? null : model;
+}
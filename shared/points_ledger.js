@@ -0,0 +1,213 @@
+// shared/points_ledger.js
+//
+// Per-guild points economy shared by games and contests.
+//
+// - points_balances: current balance per (guild, user)
+// - points_ledger: append-only audit log, one row per balance change
+//
+// Every change goes through applyPointsChanges(), which locks the affected
+// balance rows, applies all changes in one transaction and writes the audit
+// rows alongside. Guilds opt in via configs/points_economy.js.
+
+import { getDb } from "../db.js";
+import { POINTS_ECONOMY_BY_GUILD } from "../configs/points_economy.js";
+
+const DEFAULT_CURRENCY_NAME = "points";
+const DEFAULT_MAX_STAKE = 10_000;
+
+export const MAX_POINTS_AMOUNT = 1_000_000_000;
+
+export function pointsConfigFor(guildId) {
+  const cfg = POINTS_ECONOMY_BY_GUILD?.[String(guildId || "")];
+  if (!cfg) return null;
+  return {
+    currencyName: cfg.currencyName || DEFAULT_CURRENCY_NAME,
+    maxStake: Number(cfg.maxStake) || DEFAULT_MAX_STAKE,
+  };
+}
+
+export function isPointsEnabled(guildId) {
+  return Boolean(pointsConfigFor(guildId));
+}
+
+export function formatPoints(guildId, amount) {
+  const name = pointsConfigFor(guildId)?.currencyName || DEFAULT_CURRENCY_NAME;
+  return `${Number(amount || 0).toLocaleString("en-US")} ${name}`;
+}
+
+export function isValidPointsAmount(amount) {
+  return Number.isSafeInteger(amount) && amount > 0 && amount <= MAX_POINTS_AMOUNT;
+}
+
+/**
+ * Apply changes ({ userId, delta } or { userId, set }) in order on top of the
+ * current balances (Map<userId, number>).
+ * Returns { ok: true, rows: [{ userId, delta, before, after }], balances } or
+ * { ok: false, userId, balance, shortBy } when a balance would go negative.
+ */
+export function planPointsChanges(balances, changes, { allowNegative = false } = {}) {
+  const running = new Map(balances || []);
+  const rows = [];
+  for (const change of changes || []) {
+    const userId = String(change.userId);
+    const before = running.get(userId) ?? 0;
+    const after = change.set != null ? Number(change.set) : before + Number(change.delta || 0);
+    if (!allowNegative && after < 0) return { ok: false, userId, balance: before, shortBy: -after };
+    running.set(userId, after);
+    if (after !== before) rows.push({ userId, delta: after - before, before, after });
+  }
+  return { ok: true, rows, balances: running };
+}
+
+/**
+ * Transactional balance update + audit log.
+ * Returns { ok: true, rows, balances } or { ok: false, reason: "insufficient", userId, balance, shortBy }.
+ * Throws on database errors (nothing is written in that case).
+ */
+export async function applyPointsChanges({
+  guildId,
+  changes,
+  reason,
+  source = null,
+  actorId = null,
+  ref = null,
+  note = null,
+  allowNegative = false,
+}) {
+  const list = (changes || []).filter((c) => c?.userId && (c.set != null || Number(c.delta)));
+  if (!list.length) return { ok: true, rows: [], balances: new Map() };
+
+  const gid = String(guildId);
+  // Lock rows in a stable order so concurrent transfers cannot deadlock.
+  const userIds = [...new Set(list.map((c) => String(c.userId)))].sort();
+
+  const conn = await getDb().getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const balances = new Map();
+    for (const userId of userIds) {
+      await conn.execute(`INSERT IGNORE INTO points_balances (guild_id, user_id, balance) VALUES (?, ?, 0)`, [
+        gid,
+        userId,
+      ]);
+      const [rows] = await conn.execute(
+        `SELECT balance FROM points_balances WHERE guild_id = ? AND user_id = ? FOR UPDATE`,
+        [gid, userId]
+      );
+      balances.set(userId, Number(rows?.[0]?.balance || 0));
+    }
+
+    const plan = planPointsChanges(balances, list, { allowNegative });
+    if (!plan.ok) {
+      await conn.rollback();
+      return {
+        ok: false,
+        reason: "insufficient",
+        userId: plan.userId,
+        balance: plan.balance,
+        shortBy: plan.shortBy,
+      };
+    }
+
+    for (const userId of userIds) {
+      if (plan.balances.get(userId) === balances.get(userId)) continue;
+      await conn.execute(`UPDATE points_balances SET balance = ? WHERE guild_id = ? AND user_id = ?`, [
+        plan.balances.get(userId),
+        gid,
+        userId,
+      ]);
+    }
+
+    for (const row of plan.rows) {
+      await conn.execute(
+        `
+        INSERT INTO points_ledger (guild_id, user_id, delta, balance_after, reason, source, actor_id, ref, note)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          gid,
+          row.userId,
+          row.delta,
+          row.after,
+          String(reason || "adjust").slice(0, 32),
+          source ? String(source).slice(0, 64) : null,
+          actorId ? String(actorId) : null,
+          ref ? String(ref).slice(0, 128) : null,
+          note ? String(note).slice(0, 255) : null,
+        ]
+      );
+    }
+
+    await conn.commit();
+    return { ok: true, rows: plan.rows, balances: plan.balances };
+  } catch (err) {
+    try {
+      await conn.rollback();
+    } catch {}
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function getPointsBalances({ guildId, userIds }) {
+  const ids = [...new Set((userIds || []).map(String).filter(Boolean))];
+  const out = new Map(ids.map((id) => [id, 0]));
+  if (!ids.length) return out;
+
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT user_id, balance FROM points_balances WHERE guild_id = ? AND user_id IN (${ids.map(() => "?").join(", ")})`,
+    [String(guildId), ...ids]
+  );
+  for (const r of rows || []) out.set(String(r.user_id), Number(r.balance) || 0);
+  return out;
+}
+
+export async function getPointsBalance({ guildId, userId }) {
+  const balances = await getPointsBalances({ guildId, userIds: [userId] });
+  return balances.get(String(userId)) || 0;
+}
+
+export async function listTopBalances({ guildId, limit = 10 }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `
+    SELECT user_id, balance
+    FROM points_balances
+    WHERE guild_id = ? AND balance > 0
+    ORDER BY balance DESC, user_id ASC
+    LIMIT ${Math.max(1, Math.min(50, Number(limit) || 10))}
+  `,
+    [String(guildId)]
+  );
+  return (rows || []).map((r) => ({ userId: String(r.user_id), balance: Number(r.balance) || 0 }));
+}
+
+/**
+ * Most recent audit rows for one user, newest first.
+ */
+export async function listPointsLedger({ guildId, userId, limit = 10 }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `
+    SELECT delta, balance_after, reason, source, actor_id, ref, note, created_at
+    FROM points_ledger
+    WHERE guild_id = ? AND user_id = ?
+    ORDER BY id DESC
+    LIMIT ${Math.max(1, Math.min(50, Number(limit) || 10))}
+  `,
+    [String(guildId), String(userId)]
+  );
+  return (rows || []).map((r) => ({
+    delta: Number(r.delta) || 0,
+    balanceAfter: Number(r.balance_after) || 0,
+    reason: String(r.reason || ""),
+    source: r.source ? String(r.source) : null,
+    actorId: r.actor_id ? String(r.actor_id) : null,
+    ref: r.ref ? String(r.ref) : null,
+    note: r.note ? String(r.note) : null,
+    createdAtMs: r.created_at ? new Date(r.created_at).getTime() : null,
+  }));
+}
@@ -0,0 +1,13 @@
+import { describe, it, expect } from "vitest";
+
+import { POINTS_ECONOMY_BY_GUILD } from "../../configs/points_economy.js";
+
+describe("points_economy config", () => {
+  it("uses numeric string guild ids and sane options", () => {
+    for (const [guildId, config] of Object.entries(POINTS_ECONOMY_BY_GUILD)) {
+      expect(/^\d+$/.test(guildId)).toBe(true);
+      if ("currencyName" in config) expect(typeof config.currencyName).toBe("string");
+      if ("maxStake" in config) expect(Number.isSafeInteger(config.maxStake) && config.maxStake > 0).toBe(true);
+    }
+  });
+});
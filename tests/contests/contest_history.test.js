@@ -0,0 +1,209 @@
+import { beforeEach, describe, expect, test, vi } from "vitest";
+
+vi.mock("../../auth.js", () => ({
+  hasPermissionTier: vi.fn(() => true),
+}));
+
+const mockExecute = vi.fn(async () => [[], []]);
+vi.mock("../../db.js", () => ({
+  getDb: () => ({ execute: mockExecute }),
+}));
+
+import { hasPermissionTier } from "../../auth.js";
+import {
+  buildResultsCsv,
+  describeResult,
+  recordContestResult,
+  registerContestHistory,
+} from "../../contests/contest_history.js";
+
+const ROW = {
+  id: 7,
+  guild_id: "g1",
+  kind: "giveaway",
+  ref_id: "m1",
+  channel_id: "c1",
+  host_id: "h1",
+  title: "Shiny, \"rare\" Klink",
+  details: null,
+  entrant_count: 12,
+  winners_json: JSON.stringify(["u1", "u2"]),
+  is_reroll: 0,
+  draw_id: 5,
+  ended_at_ms: Date.UTC(2026, 9, 1, 12),
+};
+
+function getSlash() {
+  const register = vi.fn();
+  register.slash = vi.fn();
+  registerContestHistory(register);
+  return register.slash.mock.calls[0][1];
+}
+
+function mockInteraction({ sub, user = null, strings = {}, ints = {} }) {
+  return {
+    guildId: "g1",
+    reply: vi.fn(async () => {}),
+    options: {
+      getSubcommand: () => sub,
+      getUser: () => user,
+      getString: (name) => strings[name] ?? null,
+      getInteger: (name) => ints[name] ?? null,
+    },
+  };
+}
+
+beforeEach(() => {
+  mockExecute.mockReset();
+  mockExecute.mockResolvedValue([[], []]);
+  hasPermissionTier.mockReturnValue(true);
+});
+
+describe("recordContestResult", () => {
+  test("stores the result and one winner row per unique user", async () => {
+    mockExecute.mockResolvedValueOnce([{ insertId: 9 }, []]);
+    const res = await recordContestResult({
+      guildId: "g1",
+      kind: "reaction",
+      refId: "m2",
+      title: "Gold",
+      entrantCount: 4,
+      winnerIds: ["u1", "u1", "u2"],
+      endedAtMs: 1000,
+    });
+
+    expect(res).toEqual({ ok: true, id: 9 });
+    const [insertSql, insertParams] = mockExecute.mock.calls[0];
+    expect(insertSql).toContain("INSERT INTO contest_results");
+    expect(insertParams.slice(0, 2)).toEqual(["g1", "reaction"]);
+    expect(insertParams[8]).toBe(JSON.stringify(["u1", "u2"]));
+    const [winnerSql, winnerParams] = mockExecute.mock.calls[1];
+    expect(winnerSql).toContain("INSERT IGNORE INTO contest_result_winners");
+    expect(winnerParams).toEqual([9, "g1", "u1", "reaction", 1000, 9, "g1", "u2", "reaction", 1000]);
+  });
+
+  test("never throws when the archive write fails", async () => {
+    mockExecute.mockRejectedValueOnce(new Error("db down"));
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    await expect(recordContestResult({ guildId: "g1", kind: "lotto" })).resolves.toEqual({ ok: false, error: "db" });
+    expect(await recordContestResult({ guildId: "g1", kind: "nope" })).toEqual({ ok: false, error: "invalid" });
+    warn.mockRestore();
+  });
+});
+
+describe("formatting", () => {
+  test("CSV export quotes fields with commas and quotes", () => {
+    const csv = buildResultsCsv([
+      {
+        id: 7,
+        kind: "giveaway",
+        title: ROW.title,
+        details: null,
+        hostId: "h1",
+        channelId: "c1",
+        refId: "m1",
+        entrantCount: 12,
+        winnerIds: ["u1", "u2"],
+        isReroll: false,
+        drawId: 5,
+        endedAtMs: ROW.ended_at_ms,
+      },
+    ]);
+    const [header, line] = csv.trim().split("\n");
+    expect(header).toBe("id,ended_at,type,title,details,host_id,channel_id,ref_id,entrants,winner_ids,reroll,draw_id");
+    expect(line).toBe('7,2026-10-01T12:00:00.000Z,giveaway,"Shiny, ""rare"" Klink",,h1,c1,m1,12,u1 u2,no,5');
+  });
+
+  test("CSV export defuses cells that spreadsheets would run as formulas", () => {
+    const csv = buildResultsCsv([
+      { id: 1, kind: "giveaway", title: "=HYPERLINK(\"x\")", details: "@SUM(A1)", winnerIds: [], endedAtMs: 0 },
+    ]);
+    expect(csv.trim().split("\n")[1]).toBe(
+      '1,1970-01-01T00:00:00.000Z,giveaway,"\'=HYPERLINK(""x"")",\'@SUM(A1),,,,,,no,'
+    );
+  });
+
+  test("describeResult shows winners, or the details when nobody was tagged", () => {
+    expect(
+      describeResult({ kind: "lotto", title: "TPPC Lottery", details: "winner: Ash", winnerIds: [], endedAtMs: 0, entrantCount: null })
+    ).toBe("<t:0:d> Lotto **TPPC Lottery** — winner: Ash");
+    expect(
+      describeResult({ kind: "giveaway", title: "Gold", isReroll: true, winnerIds: ["u1"], endedAtMs: 0, entrantCount: 3 })
+    ).toBe("<t:0:d> Giveaway reroll **Gold** (3 entrants) — <@u1>");
+  });
+
+  test("describeResult caps the winner list", () => {
+    const winnerIds = Array.from({ length: 50 }, (_, i) => `u${i}`);
+    const line = describeResult({ kind: "giveaway", title: "Big", winnerIds, endedAtMs: 0, entrantCount: 60 });
+    expect(line).toContain("<@u9>, +40 more");
+    expect(line).not.toContain("<@u10>");
+  });
+});
+
+describe("/contesthistory", () => {
+  test("user shows total and recent win counts", async () => {
+    mockExecute
+      .mockResolvedValueOnce([[{ total: 3, since_count: 1 }], []])
+      .mockResolvedValueOnce([[ROW], []]);
+    const interaction = mockInteraction({ sub: "user", user: { id: "u1" } });
+
+    await getSlash()({ interaction });
+
+    const { content, allowedMentions } = interaction.reply.mock.calls[0][0];
+    expect(content).toContain("<@u1> has won **3** contests here (**1** in the last 30 days).");
+    expect(content).toContain("Giveaway **Shiny, \"rare\" Klink** (12 entrants) — <@u1>, <@u2>");
+    expect(content).toContain("…and 2 older.");
+    expect(allowedMentions).toEqual({ parse: [] });
+    expect(mockExecute.mock.calls[1][1]).toEqual(["g1", "u1"]);
+  });
+
+  test("recent filters by type", async () => {
+    mockExecute.mockResolvedValueOnce([[ROW], []]);
+    const interaction = mockInteraction({ sub: "recent", strings: { type: "giveaway" }, ints: { limit: 5 } });
+
+    await getSlash()({ interaction });
+
+    expect(mockExecute.mock.calls[0][0]).toContain("AND kind = ?");
+    expect(mockExecute.mock.calls[0][1]).toEqual(["g1", "giveaway"]);
+    expect(interaction.reply.mock.calls[0][0].content).toContain("📜 Last 1 giveaways:");
+  });
+
+  test("recent splits long listings across follow-ups", async () => {
+    const longRow = { ...ROW, title: "T".repeat(255), winners_json: JSON.stringify(Array.from({ length: 50 }, (_, i) => `${1e17 + i}`)) };
+    mockExecute.mockResolvedValueOnce([Array.from({ length: 25 }, (_, i) => ({ ...longRow, id: i + 1 })), []]);
+    const interaction = mockInteraction({ sub: "recent", ints: { limit: 25 } });
+    interaction.followUp = vi.fn(async () => {});
+
+    await getSlash()({ interaction });
+
+    const payloads = [...interaction.reply.mock.calls, ...interaction.followUp.mock.calls].map(([p]) => p);
+    expect(interaction.reply).toHaveBeenCalledTimes(1);
+    expect(payloads.length).toBeGreaterThan(1);
+    for (const payload of payloads) {
+      expect(payload.content.length).toBeLessThanOrEqual(2000);
+      expect(payload.allowedMentions).toEqual({ parse: [] });
+    }
+  });
+
+  test("export attaches a CSV file", async () => {
+    mockExecute.mockResolvedValueOnce([[ROW], []]);
+    const interaction = mockInteraction({ sub: "export", ints: { days: 30 } });
+
+    await getSlash()({ interaction });
+
+    const payload = interaction.reply.mock.calls[0][0];
+    expect(payload.content).toBe("Exported 1 contest result from the last 30 days.");
+    expect(payload.files[0].name).toBe("contest-history.csv");
+    expect(payload.files[0].attachment.toString("utf8")).toContain("u1 u2");
+  });
+
+  test("requires the host tier", async () => {
+    hasPermissionTier.mockReturnValue(false);
+    const interaction = mockInteraction({ sub: "recent" });
+
+    await getSlash()({ interaction });
+
+    expect(interaction.reply.mock.calls[0][0].content).toBe("You do not have permission to run this command.");
+    expect(mockExecute).not.toHaveBeenCalled();
+  });
+});
@@ -1,8 +1,9 @@
 import { beforeEach, describe, expect, test, vi } from "vitest";
 
-vi.mock("../../auth.js", () => ({
-  isAdminOrPrivileged: vi.fn(() => true),
-}));
+vi.mock("../../auth.js", () => {
+  const isAdminOrPrivileged = vi.fn(() => true);
+  return { isAdminOrPrivileged, hasPermissionTier: vi.fn((ctx) => isAdminOrPrivileged(ctx)) };
+});
 
 const mockExecute = vi.fn(async () => [[], []]);
 
@@ -18,8 +19,10 @@ vi.mock("../../shared/dm.js", () => ({
 }));
 
 import { registerGiveaway, _test } from "../../contests/giveaway.js";
+import { filterEligibleEntrants } from "../../contests/eligibility.js";
 import { isAdminOrPrivileged } from "../../auth.js";
 import { sendDm } from "../../shared/dm.js";
+import { commitSeed } from "../../shared/fair_rng.js";
 
 function buildRegister() {
   const handlers = new Map();
@@ -497,6 +500,391 @@ describe("giveaway buttons", () => {
   });
 });
 
+describe("giveaway entry requirements", () => {
+  test("create carries requirements through the modal into the saved record", async () => {
+    const { handlers, register } = buildRegister();
+    registerGiveaway(register);
+
+    const slash = mockInteraction({
+      id: "i1",
+      options: {
+        getSubcommand: vi.fn(() => "create"),
+        getBoolean: vi.fn(() => null),
+        getString: vi.fn((name) => (name === "required_roles" ? "<@&555> <@&777>" : "")),
+        getInteger: vi.fn((name) => ({ min_member_days: 30, min_messages: 100, no_wins_days: 14 })[name] ?? null),
+      },
+    });
+    await handlers.get("/giveaway")?.handler({ interaction: slash });
+
+    const modal = slash.showModal.mock.calls[0][0];
+    const customId = modal.data.custom_id;
+    expect(customId).toMatch(/^giveaway:modal:i1:opts-/);
+
+    const channel = buildChannel();
+    const client = buildClient(channel);
+    const message = { id: "m1", edit: vi.fn(async () => {}) };
+    channel.send = vi.fn(async (payload) => (payload?.embeds ? message : {}));
+    const submit = mockInteraction({
+      client,
+      channel,
+      isModalSubmit: () => true,
+      isButton: () => false,
+      customId,
+      fields: {
+        getTextInputValue: vi.fn((key) => ({ duration: "10m", winners: "1", prize: "Prize" })[key] || ""),
+      },
+    });
+    await handlers.get("component:giveaway:")?.handler({ interaction: submit });
+
+    const insert = mockExecute.mock.calls.find(([sql]) => String(sql).includes("INSERT INTO giveaways"));
+    expect(JSON.parse(insert[1][9])).toEqual({
+      requiredRoleIds: ["555", "777"],
+      excludedRoleIds: [],
+      minMemberDays: 30,
+      minMessages: 100,
+      noWinsDays: 14,
+    });
+    const embed = message.edit.mock.calls[0][0].embeds[0];
+    expect(embed.description).toContain("Requirements: <@&555> role · <@&777> role · member for 30+ days");
+
+    // The pending requirements are single-use.
+    const replay = mockInteraction({ ...submit, reply: vi.fn(async () => {}) });
+    await handlers.get("component:giveaway:")?.handler({ interaction: replay });
+    expect(replay.reply).toHaveBeenCalledWith(
+      expect.objectContaining({ content: expect.stringContaining("setup expired") })
+    );
+  });
+
+  test("create rejects a role that is both required and excluded", async () => {
+    const { handlers, register } = buildRegister();
+    registerGiveaway(register);
+
+    const slash = mockInteraction({
+      options: {
+        getSubcommand: vi.fn(() => "create"),
+        getString: vi.fn((name) => ({ required_roles: "<@&555> <@&666>", excluded_roles: "<@&555>" })[name] || ""),
+        getInteger: vi.fn(() => null),
+      },
+    });
+    await handlers.get("/giveaway")?.handler({ interaction: slash });
+
+    expect(slash.showModal).not.toHaveBeenCalled();
+    expect(slash.reply).toHaveBeenCalledWith(
+      expect.objectContaining({ content: "❌ The same role can't be both required and excluded." })
+    );
+  });
+
+  test("join is rejected with every unmet requirement listed", async () => {
+    const { handlers, register } = buildRegister();
+    registerGiveaway(register);
+
+    const slash = mockInteraction({
+      id: "i2",
+      options: {
+        getSubcommand: vi.fn(() => "create"),
+        getString: vi.fn((name) => ({ required_roles: "<@&555>", excluded_roles: "<@&666>" })[name] || ""),
+        getInteger: vi.fn((name) => ({ min_member_days: 30, min_messages: 100, no_wins_days: 14 })[name] ?? null),
+      },
+    });
+    await handlers.get("/giveaway")?.handler({ interaction: slash });
+
+    const channel = buildChannel();
+    const client = buildClient(channel);
+    const giveawayMessage = { id: "m1", edit: vi.fn(async () => {}) };
+    channel.send = vi.fn(async (payload) => (payload?.embeds ? giveawayMessage : {}));
+    const componentHandler = handlers.get("component:giveaway:")?.handler;
+    await componentHandler({
+      interaction: mockInteraction({
+        client,
+        channel,
+        isModalSubmit: () => true,
+        isButton: () => false,
+        customId: slash.showModal.mock.calls[0][0].data.custom_id,
+        fields: {
+          getTextInputValue: vi.fn((key) => ({ duration: "10m", winners: "1", prize: "Prize" })[key] || ""),
+        },
+      }),
+    });
+
+    mockExecute.mockImplementation(async (sql) => {
+      if (String(sql).includes("FROM message_counts")) return [[{ user_id: "u2", count: 12 }], []];
+      if (String(sql).includes("SELECT message_id, winners_json")) {
+        return [[{ message_id: "old", winners_json: JSON.stringify(["u2"]) }], []];
+      }
+      return [[], []];
+    });
+    isAdminOrPrivileged.mockReturnValue(false);
+
+    const joinInteraction = mockInteraction({
+      client,
+      user: { id: "u2" },
+      member: { joinedTimestamp: Date.now() - 3 * 86_400_000, roles: { cache: new Set(["666"]) } },
+      isModalSubmit: () => false,
+      isButton: () => true,
+      customId: "giveaway:join:m1",
+      message: giveawayMessage,
+    });
+    await componentHandler({ interaction: joinInteraction });
+    isAdminOrPrivileged.mockReturnValue(true);
+
+    const reply = joinInteraction.reply.mock.calls[0][0];
+    expect(reply.flags).toEqual(expect.any(Number));
+    expect(reply.content.split("\n")).toEqual([
+      "You can't enter this giveaway yet:",
+      "❌ Requires the <@&555> role",
+      "❌ Not open to members with the <@&666> role",
+      "❌ Server member for at least 30 days (you: 3)",
+      "❌ At least 100 counted messages (you: 12)",
+      "❌ No giveaway wins in the last 14 days",
+    ]);
+    expect(
+      mockExecute.mock.calls.some(([sql]) => String(sql).startsWith("UPDATE giveaways SET entrants_json"))
+    ).toBe(false);
+  });
+
+  test("draw-time filter drops entrants who no longer meet requirements", async () => {
+    isAdminOrPrivileged.mockReturnValue(false);
+    mockExecute.mockImplementation(async (sql) => {
+      if (String(sql).includes("FROM message_counts")) {
+        return [[{ user_id: "a", count: 50 }, { user_id: "b", count: 50 }, { user_id: "c", count: 2 }], []];
+      }
+      return [[], []];
+    });
+    const roles = (ids) => ({ roles: { cache: new Set(ids) }, joinedTimestamp: 1 });
+    const guild = {
+      members: {
+        fetch: vi.fn(async () => new Map([["a", roles(["555"])], ["b", roles([])], ["c", roles(["555"])], ["d", roles(["555"])]])),
+      },
+    };
+
+    const result = await filterEligibleEntrants({
+      guild,
+      guildId: "g1",
+      userIds: ["a", "b", "c", "d"],
+      requireVerified: false,
+      requirements: { requiredRoleIds: ["555"], minMessages: 10, noWinsDays: 7 },
+      recentWinnerIds: new Set(["d"]),
+    });
+    isAdminOrPrivileged.mockReturnValue(true);
+
+    expect(result).toEqual({ eligibleIds: ["a"], ineligibleIds: ["b", "c", "d"] });
+  });
+
+  test("draw-time filter skips min_messages when message counts are unavailable", async () => {
+    isAdminOrPrivileged.mockReturnValue(false);
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    mockExecute.mockImplementation(async (sql) => {
+      if (String(sql).includes("FROM message_counts")) throw new Error("db down");
+      return [[], []];
+    });
+    const guild = {
+      members: {
+        fetch: vi.fn(async () => new Map([["a", { roles: { cache: new Set(["555"]) } }], ["b", { roles: { cache: new Set() } }]])),
+      },
+    };
+
+    const result = await filterEligibleEntrants({
+      guild,
+      guildId: "g1",
+      userIds: ["a", "b"],
+      requireVerified: false,
+      requirements: { requiredRoleIds: ["555"], minMessages: 10 },
+    });
+    isAdminOrPrivileged.mockReturnValue(true);
+    warn.mockRestore();
+
+    expect(result).toEqual({ eligibleIds: ["a"], ineligibleIds: ["b"] });
+  });
+});
+
+describe("giveaway weighted entries", () => {
+  test("summary lists each entrant's weight and the revealed draw seed", async () => {
+    mockExecute.mockImplementation(async (sql) => {
+      if (String(sql).includes("INSERT INTO fair_draw_seeds")) return [{ insertId: 3 }, []];
+      if (String(sql).includes("INSERT INTO fair_draws")) return [{ insertId: 11 }, []];
+      return [[], []];
+    });
+    const { handlers, register } = buildRegister();
+    registerGiveaway(register);
+
+    const giveawayMessage = { id: "m1", edit: vi.fn(async () => {}) };
+    const channel = buildChannel({ giveawayMessage });
+    const client = buildClient(channel);
+    const slash = mockInteraction({
+      id: "i3",
+      client,
+      guild: { roles: { cache: new Set(["555"]) } },
+      options: {
+        getSubcommand: vi.fn(() => "create"),
+        getString: vi.fn((name) => (name === "bonus_roles" ? "<@&555>" : "")),
+        getInteger: vi.fn((name) => ({ bonus_entries: 2, booster_multiplier: 3 })[name] ?? null),
+      },
+    });
+    await handlers.get("/giveaway")?.handler({ interaction: slash });
+
+    channel.guild = {
+      members: {
+        fetch: vi.fn(async () => new Map([
+          ["u2", { roles: { cache: new Set(["555"]) } }],
+          ["u3", { roles: { cache: new Set() }, premiumSinceTimestamp: 1 }],
+          ["u4", { roles: { cache: new Set() } }],
+        ])),
+      },
+    };
+    const componentHandler = handlers.get("component:giveaway:")?.handler;
+    await componentHandler({
+      interaction: mockInteraction({
+        client,
+        channel,
+        isModalSubmit: () => true,
+        isButton: () => false,
+        customId: slash.showModal.mock.calls[0][0].data.custom_id,
+        fields: {
+          getTextInputValue: vi.fn((key) => ({ duration: "10m", winners: "1", prize: "Prize" })[key] || ""),
+        },
+      }),
+    });
+    const insert = mockExecute.mock.calls.find(([sql]) => String(sql).includes("INSERT INTO giveaways"));
+    expect(JSON.parse(insert[1][10])).toEqual({ bonusRoleIds: ["555"], bonusEntries: 2, boosterMultiplier: 3 });
+    const committed = JSON.parse(insert[1][16]);
+    expect(committed).toEqual(expect.objectContaining({ seedId: 3, commitHash: expect.any(String) }));
+
+    for (const userId of ["u2", "u3", "u4"]) {
+      await componentHandler({
+        interaction: mockInteraction({
+          client,
+          user: { id: userId },
+          isModalSubmit: () => false,
+          isButton: () => true,
+          customId: "giveaway:join:m1",
+          message: giveawayMessage,
+        }),
+      });
+    }
+
+    await handlers.get("/giveaway")?.handler({
+      interaction: mockInteraction({
+        client,
+        options: { getSubcommand: vi.fn(() => "end"), getString: vi.fn(() => "m1") },
+      }),
+    });
+
+    const summaryCall = channel.send.mock.calls.find(([payload]) => payload?.files);
+    const text = summaryCall[0].files[0].attachment.toString("utf8");
+    const drawUpdate = mockExecute.mock.calls.find(([sql]) => String(sql).includes("draw_json = ?"));
+    const draw = JSON.parse(drawUpdate[1][3]);
+    expect(draw.weights).toEqual({ u2: 3, u3: 3, u4: 1 });
+    expect(draw).toEqual(expect.objectContaining({ seedId: 3, drawId: 11, commitHash: committed.commitHash }));
+    expect(commitSeed(draw.seed)).toBe(committed.commitHash);
+    const drawInsert = mockExecute.mock.calls.find(([sql]) => String(sql).includes("INSERT INTO fair_draws"));
+    expect(JSON.parse(drawInsert[1][5])).toEqual({
+      entries: [["u2", 3], ["u3", 3], ["u4", 1]],
+      count: 1,
+      users: true,
+    });
+    expect(mockExecute.mock.calls.some(([sql]) => String(sql).includes("SET revealed_at_ms"))).toBe(true);
+    expect(text).toContain("Entries: 3 (weighted total: 7)");
+    expect(text).toContain("Weighting: <@&555> +2, boosters ×3");
+    expect(text).toContain(`Draw commitment: ${committed.commitHash}`);
+    expect(text).toContain(`Seed: ${draw.seed}`);
+    expect(text).toContain("Draw: #11 (verify with !verifydraw 11)");
+
+    const archived = mockExecute.mock.calls.find(([sql]) => String(sql).includes("INSERT INTO contest_results"));
+    expect(archived[1].slice(0, 6)).toEqual(["g1", "giveaway", "m1", "c1", "u1", "Prize"]);
+    expect(JSON.parse(archived[1][8])).toHaveLength(1);
+    expect(archived[1][10]).toBe(11);
+    expect(text).toMatch(/- \S+ \(u4\) weight 1/);
+  });
+
+  test("reroll reuses the weights recorded at the original draw", async () => {
+    const record = {
+      message_id: "m1",
+      guild_id: "g1",
+      channel_id: "c1",
+      host_id: "u1",
+      prize: "Prize",
+      description: "",
+      winners_count: 1,
+      ends_at_ms: Date.now() - 1000,
+      entrants_json: JSON.stringify(["u2", "u3", "u4"]),
+      winners_json: JSON.stringify(["u2"]),
+      weights_json: JSON.stringify({ bonusRoleIds: ["555"] }),
+      draw_json: JSON.stringify({ seedId: 3, commitHash: "abc", drawId: 10, weights: { u2: 1, u3: 0, u4: 2 } }),
+      ended_at_ms: Date.now() - 500,
+      summary_message_id: "s1",
+      canceled: 0,
+    };
+    mockExecute.mockImplementation(async (sql) =>
+      String(sql).includes("WHERE message_id = ? LIMIT 1") ? [[record], []] : [[], []]
+    );
+
+    const { handlers, register } = buildRegister();
+    registerGiveaway(register);
+    const channel = buildChannel();
+    const client = buildClient(channel);
+
+    await handlers.get("/giveaway")?.handler({
+      interaction: mockInteraction({
+        client,
+        options: { getSubcommand: vi.fn(() => "reroll"), getString: vi.fn(() => "m1") },
+      }),
+    });
+
+    const update = mockExecute.mock.calls.find(([sql]) => String(sql).includes("draw_json = ?"));
+    expect(JSON.parse(update[1][0])).toEqual(["u4"]);
+    const draw = JSON.parse(update[1][1]);
+    expect(draw).toEqual(expect.objectContaining({ seedId: 3, commitHash: "abc", drawId: 10 }));
+    expect(draw.rerolls).toEqual([expect.objectContaining({ winners: ["u4"], drawId: null })]);
+  });
+
+  test("reroll weighs entrants missing from the recorded weights live", async () => {
+    const record = {
+      message_id: "m1",
+      guild_id: "g1",
+      channel_id: "c1",
+      host_id: "u1",
+      prize: "Prize",
+      description: "",
+      winners_count: 1,
+      ends_at_ms: Date.now() - 1000,
+      entrants_json: JSON.stringify(["u2", "u3", "u5"]),
+      winners_json: JSON.stringify(["u2"]),
+      weights_json: JSON.stringify({ bonusRoleIds: ["555"], bonusEntries: 2 }),
+      draw_json: JSON.stringify({ seedId: 3, commitHash: "abc", drawId: 10, weights: { u2: 1, u3: 1 } }),
+      ended_at_ms: Date.now() - 500,
+      summary_message_id: "s1",
+      canceled: 0,
+    };
+    mockExecute.mockImplementation(async (sql) => {
+      if (String(sql).includes("WHERE message_id = ? LIMIT 1")) return [[record], []];
+      if (String(sql).includes("INSERT INTO fair_draw_seeds")) return [{ insertId: 4 }, []];
+      if (String(sql).includes("INSERT INTO fair_draws")) return [{ insertId: 12 }, []];
+      return [[], []];
+    });
+
+    const { handlers, register } = buildRegister();
+    registerGiveaway(register);
+    const channel = buildChannel();
+    const fetchMembers = vi.fn(async () => new Map([["u5", { roles: { cache: new Set(["555"]) } }]]));
+    channel.guild = { members: { fetch: fetchMembers } };
+    const client = buildClient(channel);
+
+    await handlers.get("/giveaway")?.handler({
+      interaction: mockInteraction({
+        client,
+        options: { getSubcommand: vi.fn(() => "reroll"), getString: vi.fn(() => "m1") },
+      }),
+    });
+
+    expect(fetchMembers).toHaveBeenCalledWith({ user: ["u5"] });
+    const insert = mockExecute.mock.calls.find(([sql]) => String(sql).includes("INSERT INTO fair_draws "));
+    expect(JSON.parse(insert[1][5]).entries).toEqual([
+      ["u3", 1],
+      ["u5", 3],
+    ]);
+  });
+});
+
 describe("giveaway list + autocomplete", () => {
   test("giveaway list returns formatted rows", async () => {
     vi.useFakeTimers();
@@ -803,6 +1191,56 @@ describe("giveaway reroll success", () => {
       })
     );
   });
+  test("reroll still draws when the recent-winner lookup fails", async () => {
+    const record = {
+      message_id: "m1",
+      guild_id: "g1",
+      channel_id: "c1",
+      host_id: "u1",
+      prize: "Prize",
+      description: "",
+      winners_count: 1,
+      ends_at_ms: Date.now() - 1000,
+      entrants_json: JSON.stringify(["u2", "u3"]),
+      winners_json: JSON.stringify(["u2"]),
+      requirements_json: JSON.stringify({ noWinsDays: 7 }),
+      ended_at_ms: Date.now() - 500,
+      summary_message_id: "s1",
+      canceled: 0,
+    };
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    mockExecute.mockImplementation(async (sql) => {
+      if (String(sql).includes("SELECT message_id, winners_json")) throw new Error("db down");
+      if (String(sql).includes("SELECT * FROM giveaways WHERE message_id")) return [[record], []];
+      return [[], []];
+    });
+
+    const { handlers, register } = buildRegister();
+    registerGiveaway(register);
+
+    const giveawayMessage = { id: "m1", edit: vi.fn(async () => {}) };
+    const channel = buildChannel({ giveawayMessage });
+    const client = buildClient(channel);
+    channel.messages.fetch = vi.fn(async () => giveawayMessage);
+
+    const interaction = mockInteraction({
+      client,
+      options: {
+        getSubcommand: vi.fn(() => "reroll"),
+        getString: vi.fn(() => "m1"),
+      },
+    });
+    await handlers.get("/giveaway")?.handler({ interaction });
+
+    expect(interaction.reply).toHaveBeenCalledWith(
+      expect.objectContaining({ content: "Rerolled giveaway m1." })
+    );
+    expect(warn).toHaveBeenCalledWith(
+      "[giveaway] failed to load recent winners; skipping no_wins_days:",
+      expect.any(Error)
+    );
+    warn.mockRestore();
+  });
 });
 
 describe("giveaway bang help", () => {
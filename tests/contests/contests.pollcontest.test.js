@@ -1,8 +1,9 @@
 import { beforeEach, describe, expect, test, vi } from "vitest";
 
-vi.mock("../../auth.js", () => ({
-  isAdminOrPrivileged: vi.fn(() => true),
-}));
+vi.mock("../../auth.js", () => {
+  const isAdminOrPrivileged = vi.fn(() => true);
+  return { isAdminOrPrivileged, hasPermissionTier: vi.fn((ctx) => isAdminOrPrivileged(ctx)) };
+});
 
 const mockExecute = vi.fn(async () => [[], []]);
 
@@ -1,8 +1,9 @@
 import { describe, expect, test, vi } from "vitest";
 
-vi.mock("../../auth.js", () => ({
-  isAdminOrPrivileged: vi.fn(() => true),
-}));
+vi.mock("../../auth.js", () => {
+  const isAdminOrPrivileged = vi.fn(() => true);
+  return { isAdminOrPrivileged, hasPermissionTier: vi.fn((ctx) => isAdminOrPrivileged(ctx)) };
+});
 
 vi.mock("../../db.js", () => ({
   getSavedId: vi.fn(async () => null),
@@ -12,9 +13,18 @@ vi.mock("../../shared/dm.js", () => ({
   sendDm: vi.fn(async () => ({ ok: true })),
 }));
 
+vi.mock("../../contests/fair_draw.js", () => ({
+  commitDrawSeed: vi.fn(async () => null),
+  revealDrawSeed: vi.fn(async () => null),
+  runFairDraw: vi.fn(async ({ inputs }) => ({ result: { picks: inputs.items.slice(0, inputs.count) }, drawId: null })),
+  drawTag: (drawId, { verifyHint = false } = {}) =>
+    drawId ? ` (draw #${drawId}${verifyHint ? ` · verify with \`!verifydraw ${drawId}\`` : ""})` : "",
+}));
+
 import { isAdminOrPrivileged } from "../../auth.js";
 import { getSavedId } from "../../db.js";
 import { sendDm } from "../../shared/dm.js";
+import { commitDrawSeed, revealDrawSeed, runFairDraw } from "../../contests/fair_draw.js";
 import * as reactionContests from "../../contests/reaction_contests.js";
 import * as rng from "../../contests/rng.js";
 const { collectEntrantsByReactions, registerReactionContests } = reactionContests;
@@ -439,15 +449,25 @@ describe("contest slash command", () => {
       client: sharedClient,
     };
 
+    commitDrawSeed.mockResolvedValueOnce({ seedId: 9, commitHash: "abc123" });
+    runFairDraw.mockResolvedValueOnce({ result: { picks: ["u1"] }, drawId: 5 });
+
     const run = slash({ interaction });
     await Promise.resolve();
     await Promise.resolve();
+    await Promise.resolve();
     await add({ message: { id: joinMsg.id, guildId: "1", partial: false }, partial: false }, { id: "u1", bot: false });
     await run;
 
     expect(reply).toHaveBeenCalledTimes(1);
     expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[0][0]).toContain("Draw commitment: `abc123`");
+    expect(runFairDraw).toHaveBeenLastCalledWith(
+      expect.objectContaining({ kind: "pick", seedId: 9, inputs: { items: ["u1"], count: 1, users: true } })
+    );
+    expect(revealDrawSeed).toHaveBeenCalledWith(9);
     expect(send.mock.calls[1][0]).toContain("Prize: **Gold**");
+    expect(send.mock.calls[1][0]).toContain("(draw #5 · verify with `!verifydraw 5`)");
   });
 
   test("passes prize to elimination runner", async () => {
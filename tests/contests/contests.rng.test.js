@@ -4,8 +4,22 @@ vi.mock("../../games/closest_roll_wins.js", () => ({
   onAwesomeRoll: vi.fn(async () => {}),
 }));
 
+// Deterministic stand-in for verifiable draws: lowest roll / first items.
+vi.mock("../../contests/fair_draw.js", () => ({
+  runFairDraw: vi.fn(async ({ kind, inputs }) => {
+    if (kind === "roll") return { result: { rolls: Array.from({ length: inputs.count }, () => 1) }, drawId: null };
+    if (kind === "elim") {
+      return { result: { order: inputs.items.slice(0, -1), winner: inputs.items.at(-1) }, drawId: null };
+    }
+    return { result: { picks: inputs.items.slice(0, inputs.count) }, drawId: null };
+  }),
+  drawTag: (drawId) => (drawId ? ` (draw #${drawId})` : ""),
+  revealDrawSeed: vi.fn(async () => null),
+}));
+
 import { chooseOne, runElimFromItems, parseSecondsToMs, registerRng } from "../../contests/rng.js";
 import { onAwesomeRoll } from "../../games/closest_roll_wins.js";
+import { runFairDraw } from "../../contests/fair_draw.js";
 
 function mockMessage() {
   return {
@@ -61,9 +75,11 @@ describe("roll command", () => {
     const send = vi.fn(async () => {});
     const message = { channel: { send }, author: { id: "u1" } };
 
-    vi.spyOn(Math, "random").mockReturnValue(0);
     await handler({ message, rest: "1d6", cmd: "!roll" });
 
+    expect(runFairDraw).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: "roll", inputs: { count: 1, sides: 6, noRepeat: false } })
+    );
     expect(send).toHaveBeenCalledWith("<@u1> 1");
   });
 
@@ -120,10 +136,10 @@ describe("roll command", () => {
     const send = vi.fn(async () => {});
     const message = { channel: { send }, author: { id: "u1" } };
 
-    vi.spyOn(Math, "random").mockReturnValue(0.999);
+    runFairDraw.mockResolvedValueOnce({ result: { rolls: [6] }, drawId: 42 });
     await handler({ message, rest: "1d6", cmd: "!roll", aprilFoolsBypass: true });
 
-    expect(send).toHaveBeenCalledWith("<@u1> 6");
+    expect(send).toHaveBeenCalledWith("<@u1> 6 (draw #42)");
   });
 });
 
@@ -144,7 +160,6 @@ describe("dexroll command", () => {
     const send = vi.fn(async () => {});
     const message = { channel: { send }, author: { id: "u1" } };
 
-    vi.spyOn(Math, "random").mockReturnValue(0);
     await handler({ message, rest: "", cmd: "!dexroll" });
 
     expect(send).toHaveBeenCalledWith("#1 - Bulbasaur");
@@ -161,7 +176,6 @@ describe("dexroll command", () => {
     const send = vi.fn(async () => {});
     const message = { channel: { send }, author: { id: "u1" } };
 
-    vi.spyOn(Math, "random").mockReturnValue(0);
     await handler({ message, rest: "gen 1", cmd: "!dexroll" });
 
     expect(send).toHaveBeenCalledWith("#1 - Bulbasaur");
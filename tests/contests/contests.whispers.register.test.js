@@ -1,8 +1,9 @@
 import { beforeEach, afterEach, describe, expect, test, vi } from "vitest";
 
-vi.mock("../../auth.js", () => ({
-  isAdminOrPrivileged: vi.fn(() => false),
-}));
+vi.mock("../../auth.js", () => {
+  const isAdminOrPrivileged = vi.fn(() => false);
+  return { isAdminOrPrivileged, hasPermissionTier: vi.fn((ctx) => isAdminOrPrivileged(ctx)) };
+});
 
 vi.mock("../../db.js", () => ({
   getUserText: vi.fn(),
@@ -8,7 +8,10 @@ vi.mock("../../contests/get_forum_list.js", () => ({ registerForumList: vi.fn()
 vi.mock("../../contests/pollcontest.js", () => ({ registerPollContest: vi.fn() }));
 vi.mock("../../contests/giveaway.js", () => ({ registerGiveaway: vi.fn() }));
 vi.mock("../../contests/lotto.js", () => ({ registerLotto: vi.fn() }));
+vi.mock("../../contests/fair_draw.js", () => ({ registerFairDraw: vi.fn(), registerFairDrawScheduler: vi.fn() }));
+vi.mock("../../contests/contest_history.js", () => ({ registerContestHistory: vi.fn() }));
 vi.mock("../../contests/custom_leaderboard.js", () => ({ registerCustomLeaderboards: vi.fn() }));
+vi.mock("../../contests/points.js", () => ({ registerPoints: vi.fn() }));
 vi.mock("../../contests/scheduled_commands.js", () => ({
   registerScheduledCommands: vi.fn(),
   registerScheduledCommandsScheduler: vi.fn(),
@@ -23,7 +26,10 @@ import { registerForumList } from "../../contests/get_forum_list.js";
 import { registerPollContest } from "../../contests/pollcontest.js";
 import { registerGiveaway } from "../../contests/giveaway.js";
 import { registerLotto } from "../../contests/lotto.js";
+import { registerFairDraw } from "../../contests/fair_draw.js";
+import { registerContestHistory } from "../../contests/contest_history.js";
 import { registerCustomLeaderboards } from "../../contests/custom_leaderboard.js";
+import { registerPoints } from "../../contests/points.js";
 import { registerScheduledCommands } from "../../contests/scheduled_commands.js";
 
 describe("contests registry", () => {
@@ -37,7 +43,10 @@ describe("contests registry", () => {
       "pollcontest",
       "giveaway",
       "lotto",
+      "fair_draw",
+      "contest_history",
       "custom_leaderboard",
+      "points",
       "scheduled_commands",
     ]);
   });
@@ -54,7 +63,10 @@ describe("contests registry", () => {
     expect(registerPollContest).toHaveBeenCalledWith(register);
     expect(registerGiveaway).toHaveBeenCalledWith(register);
     expect(registerLotto).toHaveBeenCalledWith(register);
+    expect(registerFairDraw).toHaveBeenCalledWith(register);
+    expect(registerContestHistory).toHaveBeenCalledWith(register);
     expect(registerCustomLeaderboards).toHaveBeenCalledWith(register);
+    expect(registerPoints).toHaveBeenCalledWith(register);
     expect(registerScheduledCommands).toHaveBeenCalledWith(register);
   });
 
@@ -1,8 +1,14 @@
 import { describe, it, expect } from "vitest";
 import { __testables } from "../../contests/custom_leaderboard.js";
 
-const { parseScoreUpdates, aggregateScoreUpdates, extractTokens, buildHelpText, parseParticipantList } =
-  __testables;
+const {
+  parseScoreUpdates,
+  aggregateScoreUpdates,
+  extractTokens,
+  buildHelpText,
+  parseParticipantList,
+  pointsChangesForScores,
+} = __testables;
 
 describe("custom leaderboard parsing", () => {
   it("builds help text for customlb help", () => {
@@ -68,4 +74,17 @@ describe("custom leaderboard parsing", () => {
     ]);
     expect(aggregated).toEqual([{ entry, delta: 3 }]);
   });
+
+  it("mirrors only Discord entrants' score deltas into points changes", () => {
+    const changes = pointsChangesForScores([
+      { participantType: "discord", participantKey: "111", oldScore: 5, newScore: 8 },
+      { participantType: "text", participantKey: "haunter", oldScore: 0, newScore: 4 },
+      { participantType: "discord", participantKey: "222", oldScore: 10, newScore: 10 },
+      { participantType: "discord", participantKey: "333", oldScore: 7, newScore: 2 },
+    ]);
+    expect(changes).toEqual([
+      { userId: "111", delta: 3 },
+      { userId: "333", delta: -5 },
+    ]);
+  });
 });
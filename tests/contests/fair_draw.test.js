@@ -0,0 +1,238 @@
+import { beforeEach, describe, expect, test, vi } from "vitest";
+
+// Minimal in-memory stand-in for the two fair draw tables.
+const tables = { seeds: [], draws: [] };
+const mockExecute = vi.fn(async (sql, params = []) => {
+  const q = String(sql);
+  if (q.includes("INSERT INTO fair_draw_seeds")) {
+    const [guild_id, scope, seed_hex, commit_hash, created_at_ms, reveal_after_ms] = params;
+    const id = tables.seeds.length + 1;
+    tables.seeds.push({ id, guild_id, scope, seed_hex, commit_hash, created_at_ms, reveal_after_ms, revealed_at_ms: null });
+    return [{ insertId: id }, []];
+  }
+  if (q.includes("SELECT * FROM fair_draw_seeds WHERE id = ?")) {
+    return [tables.seeds.filter((row) => row.id === params[0]), []];
+  }
+  if (q.includes("FROM fair_draw_seeds") && q.includes("scope = 'instant'")) {
+    const rows = tables.seeds.filter(
+      (row) => row.guild_id === params[0] && row.scope === "instant" && row.revealed_at_ms == null
+    );
+    return [rows.reverse(), []];
+  }
+  if (q.includes("UPDATE fair_draw_seeds SET revealed_at_ms")) {
+    const row = tables.seeds.find((r) => r.id === params[1]);
+    if (row && row.revealed_at_ms == null) row.revealed_at_ms = params[0];
+    return [{ affectedRows: 1 }, []];
+  }
+  if (q.includes("INSERT INTO fair_draws")) {
+    const [guild_id, channel_id, kind, ref_id, seed_id, inputs_json, inputs_hash, created_at_ms] = params;
+    const id = tables.draws.length + 1;
+    tables.draws.push({ id, guild_id, channel_id, kind, ref_id, seed_id, inputs_json, inputs_hash, created_at_ms, result_json: null });
+    return [{ insertId: id }, []];
+  }
+  if (q.includes("UPDATE fair_draws SET result_json")) {
+    const row = tables.draws.find((r) => r.id === params[1]);
+    if (row) row.result_json = params[0];
+    return [{ affectedRows: 1 }, []];
+  }
+  if (q.includes("SELECT * FROM fair_draws WHERE id = ?")) {
+    return [tables.draws.filter((row) => row.id === params[0]), []];
+  }
+  return [[], []];
+});
+
+vi.mock("../../db.js", () => ({
+  getDb: () => ({ execute: mockExecute }),
+}));
+
+import {
+  __testables,
+  commitDrawSeed,
+  drawTag,
+  pruneFairDraws,
+  registerFairDraw,
+  revealDrawSeed,
+  runFairDraw,
+  verifyDraw,
+} from "../../contests/fair_draw.js";
+import {
+  commitSeed,
+  createFairRandom,
+  eliminationOrder,
+  sampleWithoutReplacement,
+  weightedSample,
+} from "../../shared/fair_rng.js";
+import { logger } from "../../shared/logger.js";
+
+const SEED = "11".repeat(32);
+
+beforeEach(() => {
+  tables.seeds = [];
+  tables.draws = [];
+  mockExecute.mockClear();
+  __testables.resetState();
+});
+
+describe("fair_rng", () => {
+  test("the same seed and public input always give the same stream", () => {
+    const a = createFairRandom(SEED, "1:roll:x");
+    const b = createFairRandom(SEED, "1:roll:x");
+    const c = createFairRandom(SEED, "2:roll:x");
+    const first = Array.from({ length: 20 }, () => a.int(1, 100));
+    expect(Array.from({ length: 20 }, () => b.int(1, 100))).toEqual(first);
+    expect(Array.from({ length: 20 }, () => c.int(1, 100))).not.toEqual(first);
+    expect(first.every((n) => n >= 1 && n <= 100)).toBe(true);
+    expect(commitSeed(SEED)).toBe(commitSeed(SEED));
+    expect(commitSeed(SEED)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test("samplers pick distinct items and eliminations cover everyone", () => {
+    const picks = sampleWithoutReplacement(createFairRandom(SEED, "p"), ["a", "b", "c", "d"], 3);
+    expect(new Set(picks).size).toBe(3);
+
+    const { order, winner } = eliminationOrder(createFairRandom(SEED, "e"), ["a", "b", "c"]);
+    expect([...order, winner].sort()).toEqual(["a", "b", "c"]);
+  });
+
+  test("weightedSample never picks zero-weight entries and favours heavier ones", () => {
+    expect(weightedSample(createFairRandom(SEED, "z"), [["a", 0], ["b", 1]], 2)).toEqual(["b"]);
+
+    let heavyWins = 0;
+    for (let i = 0; i < 200; i++) {
+      const [winner] = weightedSample(createFairRandom(SEED, `w${i}`), [["heavy", 9], ["light", 1]], 1);
+      if (winner === "heavy") heavyWins += 1;
+    }
+    expect(heavyWins).toBeGreaterThan(150);
+  });
+});
+
+describe("runFairDraw + verifyDraw", () => {
+  test("instant draws are recorded and stay pending until the seed is revealed", async () => {
+    const { result, drawId, commitHash } = await runFairDraw({
+      guildId: "g1",
+      kind: "roll",
+      inputs: { count: 3, sides: 6, noRepeat: false },
+    });
+    expect(drawId).toBe(1);
+    expect(result.rolls).toHaveLength(3);
+    expect(commitHash).toBe(tables.seeds[0].commit_hash);
+
+    const pending = await verifyDraw({ drawId: 1, guildId: "g1" });
+    expect(pending.status).toBe("pending");
+    expect(pending.seed.seed).toBeNull();
+
+    await revealDrawSeed(tables.seeds[0].id);
+    const verified = await verifyDraw({ drawId: 1, guildId: "g1" });
+    expect(verified.status).toBe("verified");
+    expect(verified.draw.result).toEqual(result);
+  });
+
+  test("dedicated seeds verify after reveal and tampered results are flagged", async () => {
+    const commitment = await commitDrawSeed({ guildId: "g1", scope: "giveaway" });
+    const { result, drawId, commitHash } = await runFairDraw({
+      guildId: "g1",
+      kind: "weighted",
+      inputs: { entries: [["u1", 1], ["u2", 3]], count: 1, users: true },
+      seedId: commitment.seedId,
+    });
+    expect(commitHash).toBe(commitment.commitHash);
+    await revealDrawSeed(commitment.seedId);
+
+    expect((await verifyDraw({ drawId, guildId: "g1" })).status).toBe("verified");
+    expect(await verifyDraw({ drawId, guildId: "other" })).toEqual({ ok: false, reason: "not_found" });
+
+    const other = result.picks[0] === "u1" ? "u2" : "u1";
+    tables.draws[drawId - 1].result_json = JSON.stringify({ picks: [other] });
+    expect((await verifyDraw({ drawId, guildId: "g1" })).status).toBe("mismatch");
+  });
+
+  test("a revealed dedicated seed is never reused", async () => {
+    const commitment = await commitDrawSeed({ guildId: "g1", scope: "contest" });
+    await revealDrawSeed(commitment.seedId);
+
+    const { commitHash } = await runFairDraw({
+      guildId: "g1",
+      kind: "pick",
+      inputs: { items: ["a", "b"], count: 1 },
+      seedId: commitment.seedId,
+    });
+    expect(commitHash).not.toBe(commitment.commitHash);
+    expect(tables.draws[0].seed_id).not.toBe(commitment.seedId);
+  });
+
+  test("draws still happen without a recorded ID when the DB is unavailable", async () => {
+    mockExecute.mockRejectedValueOnce(new Error("db down"));
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const { result, drawId } = await runFairDraw({ guildId: "g1", kind: "pick", inputs: { items: ["a", "b"], count: 1 } });
+    expect(drawId).toBeNull();
+    expect(["a", "b"]).toContain(result.picks[0]);
+    warn.mockRestore();
+  });
+
+  test("drawTag optionally carries the verify command", () => {
+    expect(drawTag(12)).toBe(" (draw #12)");
+    expect(drawTag(12, { verifyHint: true })).toBe(" (draw #12 · verify with `!verifydraw 12`)");
+    expect(drawTag(null, { verifyHint: true })).toBe("");
+  });
+});
+
+describe("pruneFairDraws", () => {
+  test("deletes draws past retention, then revealed seeds no draw still uses", async () => {
+    const nowMs = Date.UTC(2026, 9, 19);
+    const beforeMs = nowMs - 365 * 24 * 60 * 60 * 1000;
+    mockExecute.mockResolvedValueOnce([{ affectedRows: 3 }, []]);
+
+    await expect(pruneFairDraws(nowMs)).resolves.toBe(3);
+
+    expect(mockExecute.mock.calls[0]).toEqual(["DELETE FROM fair_draws WHERE created_at_ms < ?", [beforeMs]]);
+    expect(mockExecute.mock.calls[1][0]).toContain("revealed_at_ms IS NOT NULL");
+    expect(mockExecute.mock.calls[1][0]).toContain("NOT EXISTS");
+    expect(mockExecute.mock.calls[1][1]).toEqual([beforeMs]);
+  });
+
+  test("failures are logged and count as nothing pruned", async () => {
+    mockExecute.mockRejectedValueOnce(new Error("db down"));
+    const warn = vi.spyOn(logger, "warn").mockImplementation(() => {});
+
+    await expect(pruneFairDraws()).resolves.toBe(0);
+    expect(warn).toHaveBeenCalledWith("fair_draw.prune.failed", expect.objectContaining({ error: expect.anything() }));
+    warn.mockRestore();
+  });
+});
+
+describe("!verifydraw", () => {
+  function getHandler() {
+    const register = vi.fn();
+    registerFairDraw(register);
+    return register.mock.calls.find(([name]) => name === "!verifydraw")[1];
+  }
+
+  test("shows the verification for a revealed draw", async () => {
+    const commitment = await commitDrawSeed({ guildId: "g1", scope: "contest" });
+    await runFairDraw({
+      guildId: "g1",
+      kind: "pick",
+      inputs: { items: ["u1", "u2"], count: 1, users: true },
+      seedId: commitment.seedId,
+    });
+    await revealDrawSeed(commitment.seedId);
+
+    const reply = vi.fn(async () => {});
+    await getHandler()({ message: { guildId: "g1", reply }, rest: "#1" });
+
+    const { content } = reply.mock.calls[0][0];
+    expect(content).toContain("**Draw #1** (pick)");
+    expect(content).toContain(`Commitment: \`${commitment.commitHash}\``);
+    expect(content).toContain("✅ Verified");
+  });
+
+  test("reports unknown draws and shows the current commitment without args", async () => {
+    const reply = vi.fn(async () => {});
+    await getHandler()({ message: { guildId: "g1", reply }, rest: "99" });
+    expect(reply).toHaveBeenCalledWith("No draw #99 found in this server.");
+
+    await getHandler()({ message: { guildId: "g1", reply }, rest: "" });
+    expect(reply.mock.calls[1][0]).toContain(`Current seed commitment for quick draws: \`${tables.seeds[0].commit_hash}\``);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, test } from "vitest";
+
+import {
+  computeEntryWeights,
+  describeWeighting,
+  drawEntries,
+  normalizeWeighting,
+} from "../../contests/giveaway_draw.js";
+
+describe("giveaway_draw", () => {
+  test("normalizeWeighting drops empty rules and clamps values", () => {
+    expect(normalizeWeighting(null)).toBeNull();
+    expect(normalizeWeighting({ bonusRoleIds: [], boosterMultiplier: 1 })).toBeNull();
+    expect(normalizeWeighting('{"bonusRoleIds":["1","1","x"],"bonusEntries":50}')).toEqual({
+      bonusRoleIds: ["1"],
+      bonusEntries: 10,
+      boosterMultiplier: null,
+    });
+    expect(describeWeighting({ bonusRoleIds: ["7"], boosterMultiplier: 2 })).toEqual(["<@&7> +1", "boosters ×2"]);
+  });
+
+  test("computeEntryWeights adds per-role bonuses then applies the booster multiplier", () => {
+    const members = new Map([
+      ["a", { roles: { cache: new Set(["1", "2"]) }, premiumSinceTimestamp: 5 }],
+      ["b", { roles: { cache: new Set(["2"]) } }],
+    ]);
+    const weights = computeEntryWeights({
+      userIds: ["a", "b", "c"],
+      members,
+      weighting: { bonusRoleIds: ["1", "2"], bonusEntries: 2, boosterMultiplier: 3 },
+    });
+    expect(weights).toEqual({ a: 15, b: 3, c: 1 });
+  });
+
+  test("drawEntries sorts entrants by id and defaults missing weights to 1", () => {
+    expect(drawEntries({ userIds: ["c", "a", "b", "a"], weights: { a: 3, c: 0 } })).toEqual([
+      ["a", 3],
+      ["b", 1],
+      ["c", 0],
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { __testables } from "../../contests/points.js";
+
+const { parseAdjustArgs, changeFor, formatLedgerLine } = __testables;
+
+describe("points commands", () => {
+  it("parseAdjustArgs reads target, amount and note", () => {
+    expect(parseAdjustArgs("give", "<@123> 1,500 event prize")).toEqual({
+      ok: true,
+      action: "give",
+      userId: "123",
+      amount: 1500,
+      note: "event prize",
+    });
+    expect(parseAdjustArgs("set", "<@!123> 0")).toMatchObject({ ok: true, amount: 0, note: null });
+  });
+
+  it("parseAdjustArgs rejects missing targets and bad amounts", () => {
+    expect(parseAdjustArgs("give", "123 50").ok).toBe(false);
+    expect(parseAdjustArgs("take", "<@123> 0").ok).toBe(false);
+    expect(parseAdjustArgs("give", "<@123> -5").ok).toBe(false);
+    expect(parseAdjustArgs("give", "<@123> 2.5").ok).toBe(false);
+  });
+
+  it("changeFor maps actions onto ledger changes", () => {
+    expect(changeFor({ action: "give", userId: "1", amount: 5 })).toEqual({ userId: "1", delta: 5 });
+    expect(changeFor({ action: "take", userId: "1", amount: 5 })).toEqual({ userId: "1", delta: -5 });
+    expect(changeFor({ action: "set", userId: "1", amount: 5 })).toEqual({ userId: "1", set: 5 });
+  });
+
+  it("formatLedgerLine shows the change, reason and actor", () => {
+    const line = formatLedgerLine("g-none", {
+      delta: -40,
+      balanceAfter: 60,
+      reason: "stake",
+      source: "blackjack",
+      actorId: null,
+      note: null,
+      createdAtMs: 1_700_000_000_000,
+    });
+    expect(line).toBe("• <t:1700000000:d> −40 points → 60 points · stake (blackjack)");
+
+    const adminLine = formatLedgerLine("g-none", {
+      delta: 10,
+      balanceAfter: 10,
+      reason: "give",
+      source: "admin",
+      actorId: "9",
+      note: "thanks",
+      createdAtMs: null,
+    });
+    expect(adminLine).toContain("+10 points");
+    expect(adminLine).toContain("by <@9>");
+    expect(adminLine).toContain("“thanks”");
+  });
+});
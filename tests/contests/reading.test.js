@@ -8,7 +8,10 @@ const helperMocks = vi.hoisted(() => ({
   sendChunked: vi.fn(async () => {}),
 }));
 
-vi.mock("../../auth.js", () => authMocks);
+vi.mock("../../auth.js", () => ({
+  ...authMocks,
+  hasPermissionTier: (ctx) => authMocks.isAdminOrPrivileged(ctx),
+}));
 vi.mock("../../contests/helpers.js", () => helperMocks);
 
 import { registerReading } from "../../contests/reading.js";
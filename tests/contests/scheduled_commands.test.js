@@ -26,7 +26,10 @@ const mocks = vi.hoisted(() => ({
 }));
 
 vi.mock("../../db.js", () => ({ getDb: mocks.getDb }));
-vi.mock("../../auth.js", () => ({ isAdminOrPrivileged: mocks.isAdminOrPrivileged }));
+vi.mock("../../auth.js", () => ({
+  isAdminOrPrivileged: mocks.isAdminOrPrivileged,
+  hasPermissionTier: (ctx) => mocks.isAdminOrPrivileged(ctx),
+}));
 vi.mock("../../shared/dm.js", () => ({ sendDm: mocks.sendDm }));
 vi.mock("../../shared/scheduler_registry.js", () => ({ registerScheduler: mocks.registerScheduler }));
 vi.mock("../../shared/timer_utils.js", () => ({
@@ -3,8 +3,9 @@ import { PermissionsBitField } from "discord.js";
 
 const originalEnv = { ...process.env };
 
-async function loadAuthModule({ fileContents, throws = false } = {}) {
+async function loadAuthModule({ fileContents, throws = false, tierRoles = {} } = {}) {
   vi.resetModules();
+  vi.doMock("../../configs/permission_tiers.js", () => ({ PERMISSION_TIER_ROLES_BY_GUILD: tierRoles }));
 
   const readFileSync = vi.fn(() => {
     if (throws) throw new Error("no file");
@@ -22,11 +23,13 @@ function makeMessage({
   authorId = "u1",
   admin = false,
   manageGuild = false,
+  roleIds = [],
 } = {}) {
   return {
     guildId,
     author: { id: authorId },
     member: {
+      roles: { cache: new Map(roleIds.map((id) => [id, { id }])) },
       permissions: {
         has: (flag) => {
           if (admin && flag === PermissionsBitField.Flags.Administrator) return true;
@@ -102,4 +105,28 @@ describe("auth.js", () => {
     const msg = makeMessage({ guildId: "g1", authorId: "u1" });
     expect(isAdminOrPrivileged(msg)).toBe(false);
   });
+
+  it("maps roles to permission tiers per guild", async () => {
+    const { hasPermissionTier, permissionTierOf, isAdminOrPrivileged } = await loadAuthModule({
+      tierRoles: { g1: { trusted: ["r-trusted"], host: ["r-host"], moderator: ["r-mod"] } },
+    });
+
+    const host = makeMessage({ roleIds: ["r-trusted", "r-host"] });
+    expect(permissionTierOf(host)).toBe("host");
+    expect(hasPermissionTier(host, "trusted")).toBe(true);
+    expect(hasPermissionTier(host, "host")).toBe(true);
+    expect(hasPermissionTier(host, "moderator")).toBe(false);
+    expect(isAdminOrPrivileged(host)).toBe(false);
+
+    // Same role in another guild grants nothing.
+    expect(permissionTierOf(makeMessage({ guildId: "g2", roleIds: ["r-host"] }))).toBe("everyone");
+
+    // Raw interaction members carry role ids as an array.
+    const interaction = { ...makeInteraction(), member: { user: { id: "u1" }, roles: ["r-mod"] } };
+    expect(permissionTierOf(interaction)).toBe("moderator");
+
+    expect(permissionTierOf(makeMessage({ manageGuild: true }))).toBe("admin");
+    expect(hasPermissionTier(makeMessage(), "everyone")).toBe(true);
+    expect(hasPermissionTier(host, "bogus")).toBe(false);
+  });
 });
@@ -1,8 +1,13 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 
-vi.mock("../../auth.js", () => ({
-  isAdminOrPrivileged: vi.fn(() => false),
-}));
+vi.mock("../../auth.js", () => {
+  const isAdminOrPrivileged = vi.fn(() => false);
+  return {
+    isAdminOrPrivileged,
+    hasPermissionTier: vi.fn((ctx) => isAdminOrPrivileged(ctx)),
+    isPermissionTier: (tier) => ["everyone", "trusted", "host", "moderator", "admin"].includes(tier),
+  };
+});
 
 vi.mock("../../shared/metrics.js", () => ({
   metrics: { increment: vi.fn(), incrementExternalFetch: vi.fn(), incrementSchedulerRun: vi.fn() },
@@ -37,7 +42,7 @@ vi.mock("../../rpg/pokedex.js", () => ({
 }));
 
 import { buildCommandRegistry } from "../../commands.js";
-import { isAdminOrPrivileged } from "../../auth.js";
+import { hasPermissionTier, isAdminOrPrivileged } from "../../auth.js";
 import { registerInfo } from "../../info/info.js";
 import { registerTrades } from "../../trades/trades.js";
 import { handleRarityInteraction } from "../../tools/rarity.js";
@@ -321,6 +326,84 @@ describe("commands registry", () => {
     expect(pages.some((page) => (page.lines || []).includes("!admincmd — admin"))).toBe(false);
   });
 
+  it("helpModel lists tiered commands only for viewers holding the tier", () => {
+    const handler = vi.fn(async () => {});
+    registerTrades.mockImplementation((register) => {
+      register("!hostcmd", handler, "!hostcmd — host", { category: "Info", tier: "host" });
+      register("!modcmd", handler, "!modcmd — mod", { category: "Info", admin: true, tier: "moderator" });
+      register.slash({ name: "hostslash", description: "host" }, handler, { tier: "host" });
+    });
+
+    const reg = buildCommandRegistry({});
+    hasPermissionTier.mockImplementation((ctx, tier) => tier === "host");
+    const flat = reg.helpModel("g1", makeMessage({ guildId: "g1" })).flatMap((p) => p.lines);
+    hasPermissionTier.mockImplementation((ctx) => isAdminOrPrivileged(ctx));
+
+    expect(flat).toContain("!hostcmd — host");
+    expect(flat).toContain("/hostslash — host");
+    expect(flat).not.toContain("!modcmd — mod");
+
+    const anonymous = reg.helpModel("g1", null).flatMap((p) => p.lines);
+    expect(anonymous).not.toContain("!hostcmd — host");
+  });
+
+  it("dispatchMessage enforces declared tiers, per subcommand when given", async () => {
+    const handler = vi.fn(async () => {});
+    const ownerHandler = vi.fn(async () => {});
+    registerTrades.mockImplementation((register) => {
+      register("!hostcmd", handler, "!hostcmd — host", { tier: "host" });
+      register("!boards", ownerHandler, "!boards — boards", {
+        tier: "trusted",
+        subcommandTiers: { rename: "everyone", points: "admin" },
+      });
+    });
+    const reg = buildCommandRegistry({});
+    hasPermissionTier.mockImplementation((ctx, tier) => tier === "trusted");
+
+    const denied = makeMessage({ guildId: "g0", content: "!hostcmd now" });
+    const res = await reg.dispatchMessage(denied);
+    expect(res).toMatchObject({ ok: false, reason: "missing_tier" });
+    expect(handler).not.toHaveBeenCalled();
+    expect(denied.reply).not.toHaveBeenCalled();
+
+    await reg.dispatchMessage(makeMessage({ guildId: "g0", content: "!boards list" }));
+    await reg.dispatchMessage(makeMessage({ guildId: "g0", content: "!boards points x" }));
+    hasPermissionTier.mockImplementation(() => false);
+    await reg.dispatchMessage(makeMessage({ guildId: "g0", content: "!boards RENAME a b" }));
+    hasPermissionTier.mockImplementation((ctx) => isAdminOrPrivileged(ctx));
+
+    expect(ownerHandler.mock.calls.map(([ctx]) => ctx.rest)).toEqual(["list", "RENAME a b"]);
+  });
+
+  it("dispatchInteraction enforces slash subcommand tiers", async () => {
+    const handler = vi.fn(async () => {});
+    registerTrades.mockImplementation((register) => {
+      register.slash({ name: "draw", description: "test" }, handler, { subcommandTiers: { create: "host" } });
+    });
+    const reg = buildCommandRegistry({});
+    const interaction = (sub) => ({
+      commandName: "draw",
+      isChatInputCommand: () => true,
+      options: { getSubcommand: () => sub },
+      reply: vi.fn(async () => {}),
+    });
+
+    const create = interaction("create");
+    await reg.dispatchInteraction(create);
+    expect(create.reply).toHaveBeenCalledWith({ content: "You do not have permission to run this command.", flags: 64 });
+    expect(handler).not.toHaveBeenCalled();
+
+    await reg.dispatchInteraction(interaction("list"));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects unknown permission tiers at registration", () => {
+    registerTrades.mockImplementation((register) => {
+      register("!bad", vi.fn(), "!bad", { tier: "owner" });
+    });
+    expect(() => buildCommandRegistry({})).toThrow(/Unknown permission tier/);
+  });
+
   it("helpModel sorts categories alphabetically with Admin last", () => {
     const handler = vi.fn(async () => {});
     registerTrades.mockImplementation((register) => {
@@ -526,6 +609,20 @@ describe("commands registry", () => {
     expect(flat.some((line) => line.includes("/slashion"))).toBe(true);
   });
 
+  it("slashDefs leaves out slash commands disabled in a guild", async () => {
+    registerTrades.mockImplementation((register) => {
+      register.slash({ name: "slashoff", description: "test" }, async () => {});
+      register.slash({ name: "slashion", description: "ok" }, async () => {});
+    });
+
+    const reg = buildCommandRegistry({});
+    const names = (defs) => defs.map((d) => d.name);
+    expect(names(reg.slashDefs())).toContain("slashoff");
+    expect(names(reg.slashDefs("g1"))).not.toContain("slashoff");
+    expect(names(reg.slashDefs("g1"))).toContain("slashion");
+    expect(await reg.resyncGuildSlashCommands("g1")).toBe("unsynced");
+  });
+
   it("falls back to component handler when rarity retry throws", async () => {
     handleRarityInteraction.mockImplementationOnce(async () => {
       throw new Error("rarity boom");
@@ -75,6 +75,10 @@ describe("db.js", () => {
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS user_texts/),
         expect.stringMatching(/ALTER TABLE user_texts/),
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS rpg_pokedex/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS rpg_rank_tracks/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS rpg_leaderboard_snapshots/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS rpg_box_watches/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS rpg_box_snapshots/),
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS custom_leaderboards/),
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS custom_leaderboard_entries/),
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS goldmarket_settings/),
@@ -85,9 +89,31 @@ describe("db.js", () => {
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS goldmarket_scheduler_log/),
         expect.stringMatching(/ALTER TABLE goldmarket_poll_runs[\s\S]*score_mode/),
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS notify_me/),
+        expect.stringMatching(/ALTER TABLE notify_me[\s\S]*match_mode/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS notify_me_quiet_hours/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS notify_me_digest/),
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS forum_thread_subscriptions/),
+        expect.stringMatching(/ALTER TABLE forum_thread_subscriptions[\s\S]*watch_kind/),
+        expect.stringMatching(/ALTER TABLE forum_thread_subscriptions[\s\S]*uniq_user_kind_thread/),
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS reminders/),
+        expect.stringMatching(/ALTER TABLE reminders[\s\S]*recurrence_json/),
+        expect.stringMatching(/ALTER TABLE reminders[\s\S]*fired_at_ms/),
+        expect.stringMatching(/ALTER TABLE reminders[\s\S]*target_channel_id/),
+        expect.stringMatching(/ALTER TABLE giveaways[\s\S]*requirements_json/),
+        expect.stringMatching(/ALTER TABLE giveaways[\s\S]*draw_json/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS fair_draw_seeds/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS fair_draws/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS contest_results/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS contest_result_winners/),
         expect.stringMatching(/CREATE TABLE IF NOT EXISTS scheduled_contest_commands/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS game_snapshots/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS game_results/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS points_balances/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS points_ledger/),
+        expect.stringMatching(/ALTER TABLE custom_leaderboards[\s\S]*points_backed/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS guild_settings/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS faq_feedback/),
+        expect.stringMatching(/CREATE TABLE IF NOT EXISTS faq_entry_overrides/),
       ])
     );
   });
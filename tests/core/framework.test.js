@@ -2,8 +2,28 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 
 // Mock auth BEFORE importing framework.js
-vi.mock("../../auth.js", () => ({
-  isAdminOrPrivileged: vi.fn(() => false),
+vi.mock("../../auth.js", () => {
+  const isAdminOrPrivileged = vi.fn(() => false);
+  return { isAdminOrPrivileged, hasPermissionTier: vi.fn((ctx) => isAdminOrPrivileged(ctx)) };
+});
+
+const storeMocks = vi.hoisted(() => ({
+  saveGameSnapshot: vi.fn(async () => {}),
+  deleteGameSnapshot: vi.fn(async () => {}),
+  listGameSnapshots: vi.fn(async () => []),
+  insertGameResults: vi.fn(async () => {}),
+}));
+
+vi.mock("../../games/game_store.js", () => storeMocks);
+
+const pointsMocks = vi.hoisted(() => ({
+  applyPointsChanges: vi.fn(async () => ({ ok: true, rows: [], balances: new Map() })),
+}));
+
+vi.mock("../../shared/points_ledger.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  applyPointsChanges: pointsMocks.applyPointsChanges,
+  pointsConfigFor: (guildId) => (guildId === "pg" ? { currencyName: "points", maxStake: 100 } : null),
 }));
 
 // Now import framework after mock is set up
@@ -483,3 +503,220 @@ it("makeGameQoL cancel and end handlers execute", async () => {
   });
 
 });
+
+describe("framework persistence", () => {
+  beforeEach(() => {
+    storeMocks.saveGameSnapshot.mockClear();
+    storeMocks.deleteGameSnapshot.mockClear();
+    storeMocks.listGameSnapshots.mockReset();
+    storeMocks.listGameSnapshots.mockResolvedValue([]);
+  });
+
+  it("encodes declared fields with Map/Set support and drops runtime handles", () => {
+    const payload = fw.encodeGameSnapshot(
+      {
+        guildId: "g1",
+        channelId: "c1",
+        client: { secret: true },
+        timers: new fw.TimerBag(),
+        scores: new Map([["u1", 2]]),
+        picked: new Set([3, 5]),
+        notDeclared: "x",
+      },
+      ["scores", "picked"]
+    );
+
+    const decoded = fw.decodeGameSnapshot(payload);
+    expect(decoded.client).toBeUndefined();
+    expect(decoded.timers).toBeUndefined();
+    expect(decoded.notDeclared).toBeUndefined();
+    expect(decoded.scores).toEqual(new Map([["u1", 2]]));
+    expect(decoded.picked).toEqual(new Set([3, 5]));
+  });
+
+  it("persist saves live state and stop deletes the snapshot", async () => {
+    const mgr = fw.createGameManager({ id: "px", scope: "guild", persist: { fields: ["round"] } });
+    const { state } = mgr.tryStart({ guildId: "g1" }, { guildId: "g1", channelId: "c1", round: 2 });
+
+    await expect(mgr.persist(state)).resolves.toBe(true);
+    expect(storeMocks.saveGameSnapshot).toHaveBeenCalledWith(
+      expect.objectContaining({ gameId: "px", scopeKey: "g1", guildId: "g1", channelId: "c1" })
+    );
+    const payload = fw.decodeGameSnapshot(storeMocks.saveGameSnapshot.mock.calls[0][0].payload);
+    expect(payload).toEqual({ guildId: "g1", channelId: "c1", createdAtMs: expect.any(Number), round: 2 });
+
+    mgr.stop({ guildId: "g1" });
+    expect(storeMocks.deleteGameSnapshot).toHaveBeenCalledWith({ gameId: "px", scopeKey: "g1" });
+
+    await expect(mgr.persist(state)).resolves.toBe(false);
+    expect(storeMocks.saveGameSnapshot).toHaveBeenCalledTimes(1);
+  });
+
+  it("persist never throws when the store fails", async () => {
+    storeMocks.saveGameSnapshot.mockRejectedValueOnce(new Error("db down"));
+    const mgr = fw.createGameManager({ id: "pfail", scope: "guild", persist: { fields: [] } });
+    const { state } = mgr.tryStart({ guildId: "g1" }, { guildId: "g1", channelId: "c1" });
+
+    await expect(mgr.persist(state)).resolves.toBe(false);
+    mgr.stop({ guildId: "g1" });
+  });
+
+  it("rehydrate restores state, gives it fresh timers and re-attaches the board", async () => {
+    const channel = makeChannel();
+    const client = makeClient(channel);
+    const resume = vi.fn(async (state, { board }) => {
+      await board.update({ content: "resumed" });
+    });
+    const mgr = fw.createGameManager({
+      id: "prh",
+      scope: "guild",
+      persist: { fields: ["scores"], messageIdField: "boardId", resume },
+    });
+
+    storeMocks.listGameSnapshots.mockResolvedValueOnce([
+      {
+        scopeKey: "g1",
+        guildId: "g1",
+        channelId: "c1",
+        payload: fw.encodeGameSnapshot(
+          { guildId: "g1", channelId: "c1", boardId: "m9", scores: new Map([["u1", 1]]) },
+          ["scores", "boardId"]
+        ),
+      },
+    ]);
+
+    await expect(mgr.rehydrate(client)).resolves.toBe(1);
+
+    const state = mgr.getState({ guildId: "g1" });
+    expect(state.scores.get("u1")).toBe(1);
+    expect(state.client).toBe(client);
+    expect(state.timers).toBeInstanceOf(fw.TimerBag);
+    expect(resume).toHaveBeenCalledWith(state, expect.objectContaining({ channel }));
+    expect(channel.messages.fetch).toHaveBeenCalledWith("m9");
+
+    mgr.stop({ guildId: "g1" });
+  });
+
+  it("rehydrate drops snapshots whose channel is gone", async () => {
+    const client = makeClient(makeChannel());
+    const resume = vi.fn();
+    const mgr = fw.createGameManager({ id: "pgone", scope: "guild", persist: { fields: [], resume } });
+
+    storeMocks.listGameSnapshots.mockResolvedValueOnce([
+      { scopeKey: "g2", guildId: "g2", channelId: "missing", payload: '{"guildId":"g2","channelId":"missing"}' },
+    ]);
+
+    await expect(mgr.rehydrate(client)).resolves.toBe(0);
+    expect(resume).not.toHaveBeenCalled();
+    expect(mgr.getState({ guildId: "g2" })).toBe(null);
+    expect(storeMocks.deleteGameSnapshot).toHaveBeenCalledWith({ gameId: "pgone", scopeKey: "g2" });
+  });
+});
+
+describe("framework results hook", () => {
+  it("placementsFromScores groups ties best-first", () => {
+    const scores = new Map([["a", 2], ["b", 5], ["c", 2]]);
+    expect(fw.placementsFromScores(scores, ["a", "b", "c", "d"])).toEqual([["b"], ["a", "c"], ["d"]]);
+  });
+
+  it("buildGameResultRows defaults first place to winners", () => {
+    const rows = fw.buildGameResultRows({ placements: [["b"], ["a", "c"]] });
+    expect(rows).toEqual([
+      { userId: "b", outcome: "win", placement: 1 },
+      { userId: "a", outcome: "loss", placement: 2 },
+      { userId: "c", outcome: "loss", placement: 2 },
+    ]);
+  });
+
+  it("buildGameResultRows lets wins and draws override losses", () => {
+    const rows = fw.buildGameResultRows({ winnerIds: ["a"], drawIds: ["b"], loserIds: ["a", "b", "c"] });
+    expect(rows).toEqual([
+      { userId: "a", outcome: "win", placement: null },
+      { userId: "b", outcome: "draw", placement: null },
+      { userId: "c", outcome: "loss", placement: null },
+    ]);
+  });
+
+  it("recordGameResults writes one match and never throws", async () => {
+    storeMocks.insertGameResults.mockClear();
+    await expect(
+      fw.recordGameResults({ game: "rps", guildId: "g1", winnerIds: ["a"], loserIds: ["b"] })
+    ).resolves.toBe(true);
+    expect(storeMocks.insertGameResults).toHaveBeenCalledWith(
+      expect.objectContaining({ guildId: "g1", gameId: "rps", matchId: expect.any(String) })
+    );
+
+    storeMocks.insertGameResults.mockRejectedValueOnce(new Error("db down"));
+    await expect(fw.recordGameResults({ game: "rps", guildId: "g1", winnerIds: ["a"] })).resolves.toBe(false);
+    await expect(fw.recordGameResults({ game: "rps", guildId: "g1" })).resolves.toBe(false);
+  });
+
+  it("notifyMatchResult calls the runner callback once", () => {
+    const onMatchResult = vi.fn();
+    const st = { onMatchResult };
+    expect(fw.notifyMatchResult(st, { winnerId: "a" })).toBe(true);
+    expect(fw.notifyMatchResult(st, { cancelled: true })).toBe(false);
+    expect(onMatchResult).toHaveBeenCalledTimes(1);
+    expect(onMatchResult).toHaveBeenCalledWith({ winnerId: "a" });
+    expect(fw.notifyMatchResult({}, { winnerId: "a" })).toBe(false);
+  });
+
+  it("validateStakeAmount checks opt-in, amount and the max stake", () => {
+    expect(fw.validateStakeAmount({ guildId: "g1", amount: 5 }).ok).toBe(false);
+    expect(fw.validateStakeAmount({ guildId: "pg", amount: 0 }).ok).toBe(false);
+    expect(fw.validateStakeAmount({ guildId: "pg", amount: 101 }).errorText).toContain("max stake");
+    expect(fw.validateStakeAmount({ guildId: "pg", amount: 101, capped: false }).ok).toBe(true);
+    expect(fw.validateStakeAmount({ guildId: "pg", amount: 100 }).ok).toBe(true);
+  });
+
+  it("stakePoints takes stakes through the ledger and never throws", async () => {
+    pointsMocks.applyPointsChanges.mockClear();
+    await expect(
+      fw.stakePoints({ game: "blackjack", guildId: "pg", stakes: [{ userId: "a", amount: 50 }], ref: "r1" })
+    ).resolves.toMatchObject({ ok: true });
+    expect(pointsMocks.applyPointsChanges).toHaveBeenCalledWith(
+      expect.objectContaining({
+        guildId: "pg",
+        changes: [{ userId: "a", delta: -50 }],
+        reason: "stake",
+        source: "blackjack",
+        ref: "r1",
+      })
+    );
+
+    pointsMocks.applyPointsChanges.mockResolvedValueOnce({ ok: false, reason: "insufficient", userId: "a", balance: 3 });
+    const short = await fw.stakePoints({ game: "blackjack", guildId: "pg", stakes: [{ userId: "a", amount: 50 }] });
+    expect(short).toMatchObject({ ok: false, userId: "a" });
+    expect(short.errorText).toContain("3 points");
+
+    pointsMocks.applyPointsChanges.mockRejectedValueOnce(new Error("db down"));
+    const failed = await fw.stakePoints({ game: "blackjack", guildId: "pg", stakes: [{ userId: "a", amount: 50 }] });
+    expect(failed.ok).toBe(false);
+    expect(failed.userId).toBeUndefined();
+  });
+
+  it("payoutPoints skips zero payouts and reports failures", async () => {
+    pointsMocks.applyPointsChanges.mockClear();
+    await expect(
+      fw.payoutPoints({
+        game: "blackjack",
+        guildId: "pg",
+        payouts: [
+          { userId: "a", amount: 100 },
+          { userId: "b", amount: 0 },
+        ],
+      })
+    ).resolves.toBe(true);
+    expect(pointsMocks.applyPointsChanges).toHaveBeenCalledWith(
+      expect.objectContaining({ changes: [{ userId: "a", delta: 100 }], reason: "payout" })
+    );
+
+    pointsMocks.applyPointsChanges.mockRejectedValueOnce(new Error("db down"));
+    await expect(fw.payoutPoints({ game: "x", guildId: "pg", payouts: [{ userId: "a", amount: 1 }] })).resolves.toBe(
+      false
+    );
+    await expect(fw.payoutPoints({ game: "x", guildId: "g1", payouts: [{ userId: "a", amount: 1 }] })).resolves.toBe(
+      false
+    );
+  });
+});
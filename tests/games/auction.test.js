@@ -72,4 +72,12 @@ describe("auction helpers", () => {
     expect(mentionIds).toEqual(["123"]);
     expect(optionTokens).toEqual(["500"]);
   });
+
+  it("splitJoinInput pulls out the points keyword", () => {
+    const { mentionIds, optionTokens, usePoints } = splitJoinInput("join POINTS 30 <@123>");
+    expect(mentionIds).toEqual(["123"]);
+    expect(optionTokens).toEqual(["30"]);
+    expect(usePoints).toBe(true);
+    expect(splitJoinInput("join 500 <@123>").usePoints).toBe(false);
+  });
 });
@@ -1,7 +1,33 @@
-import { describe, it, expect } from "vitest";
-import { __testables } from "../../games/blackjack.js";
+import { describe, it, expect, vi, beforeEach } from "vitest";
 
-const { cardValueRank, handValue, handTotals, bestTotal, fmtTotals, isBlackjack } = __testables;
+const storeMocks = vi.hoisted(() => ({
+  saveGameSnapshot: vi.fn(async () => {}),
+  deleteGameSnapshot: vi.fn(async () => {}),
+  listGameSnapshots: vi.fn(async () => []),
+}));
+const payoutPoints = vi.hoisted(() => vi.fn(async () => true));
+
+vi.mock("../../games/game_store.js", () => storeMocks);
+vi.mock("../../games/framework.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  payoutPoints,
+  formatPoints: (_guildId, amount) => `${amount} points`,
+}));
+
+import { __testables, settlePendingPayouts } from "../../games/blackjack.js";
+
+const {
+  cardValueRank,
+  handValue,
+  handTotals,
+  bestTotal,
+  fmtTotals,
+  isBlackjack,
+  parseBetToken,
+  betPayout,
+  settleBets,
+  refundBets,
+} = __testables;
 
 describe("blackjack helpers", () => {
   it("cardValueRank maps ranks to values", () => {
@@ -36,4 +62,96 @@ describe("blackjack helpers", () => {
     expect(isBlackjack([{ r: "A" }, { r: "9" }])).toBe(false);
     expect(isBlackjack([{ r: "A" }, { r: "K" }, { r: "2" }])).toBe(false);
   });
+
+  it("parseBetToken reads bet=N and flags bad values", () => {
+    expect(parseBetToken("<@1> <@2>")).toBe(null);
+    expect(parseBetToken("<@1> bet=250")).toBe(250);
+    expect(parseBetToken("BET=1,000 <@1>")).toBe(1000);
+    expect(parseBetToken("<@1> bet=-5")).toBeNaN();
+    expect(parseBetToken("<@1> bet=0")).toBeNaN();
+  });
+
+  it("betPayout returns the stake with winnings", () => {
+    expect(betPayout(100, { outcome: "win", pBJ: false })).toBe(200);
+    expect(betPayout(100, { outcome: "win", pBJ: true })).toBe(250);
+    expect(betPayout(25, { outcome: "win", pBJ: true })).toBe(62);
+    expect(betPayout(100, { outcome: "push", pBJ: false })).toBe(100);
+    expect(betPayout(100, { outcome: "lose", pBJ: false })).toBe(0);
+  });
+});
+
+describe("blackjack bets", () => {
+  const table = () => ({ guildId: "g1", channelId: "c1", bet: 100, betRef: "blackjack:m1", stakedIds: ["u1", "u2"] });
+
+  beforeEach(() => {
+    payoutPoints.mockReset();
+    payoutPoints.mockResolvedValue(true);
+    for (const mock of Object.values(storeMocks)) mock.mockClear();
+  });
+
+  it("awaits payouts and clears the open stakes record", async () => {
+    const lines = await settleBets(table(), [
+      { userId: "u1", outcome: "win", pBJ: false },
+      { userId: "u2", outcome: "lose", pBJ: false },
+    ]);
+    expect(payoutPoints).toHaveBeenCalledWith({
+      game: "blackjack",
+      guildId: "g1",
+      payouts: [
+        { userId: "u1", amount: 200 },
+        { userId: "u2", amount: 0 },
+      ],
+      reason: "payout",
+      ref: "blackjack:m1",
+    });
+    expect(storeMocks.deleteGameSnapshot).toHaveBeenCalledWith({ gameId: "blackjack_payouts", scopeKey: "blackjack:m1" });
+    expect(lines).toEqual(["", "**Payouts:**", "• <@u1> — +200 points", "• <@u2> — lost the bet"]);
+  });
+
+  it("tells the table and keeps the payout for the boot retry when the ledger fails", async () => {
+    payoutPoints.mockResolvedValue(false);
+    const lines = await settleBets(table(), [{ userId: "u1", outcome: "push", pBJ: false }]);
+    expect(lines.at(-1)).toContain("Couldn't reach the points ledger");
+    expect(JSON.parse(storeMocks.saveGameSnapshot.mock.calls[0][0].payload)).toEqual({
+      reason: "payout",
+      payouts: [{ userId: "u1", amount: 100 }],
+    });
+
+    expect(await refundBets(table())).toBe(false);
+    expect(JSON.parse(storeMocks.saveGameSnapshot.mock.calls[1][0].payload).reason).toBe("refund");
+  });
+
+  it("settles open stakes left by a restart", async () => {
+    storeMocks.listGameSnapshots.mockResolvedValueOnce([
+      {
+        scopeKey: "blackjack:m1",
+        guildId: "g1",
+        channelId: "c1",
+        payload: JSON.stringify({ reason: "refund", payouts: [{ userId: "u1", amount: 100 }] }),
+      },
+      {
+        scopeKey: "blackjack:m2",
+        guildId: "g1",
+        channelId: "c1",
+        payload: JSON.stringify({ reason: "payout", payouts: [{ userId: "u2", amount: 200 }] }),
+      },
+    ]);
+    payoutPoints.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    const send = vi.fn(async () => {});
+    const client = { channels: { fetch: vi.fn(async () => ({ send })) } };
+
+    expect(await settlePendingPayouts(client)).toBe(1);
+    expect(payoutPoints).toHaveBeenCalledWith({
+      game: "blackjack",
+      guildId: "g1",
+      payouts: [{ userId: "u1", amount: 100 }],
+      reason: "refund",
+      ref: "blackjack:m1",
+    });
+    expect(storeMocks.deleteGameSnapshot).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith({
+      content: "🃏 Blackjack bets were refunded after the restart: <@u1>",
+      allowedMentions: { parse: [] },
+    });
+  });
 });
@@ -1,8 +1,15 @@
 import { describe, it, expect } from "vitest";
 import { __testables } from "../../games/deal_or_no_deal.js";
 
-const { normalizePrizeLine, parsePrizesFromLines, unopenedIndices, otherUnopenedIndex, snapshotGame, revealAllText } =
-  __testables;
+const {
+  contestantWon,
+  normalizePrizeLine,
+  parsePrizesFromLines,
+  unopenedIndices,
+  otherUnopenedIndex,
+  snapshotGame,
+  revealAllText,
+} = __testables;
 
 describe("deal_or_no_deal helpers", () => {
   it("normalizePrizeLine handles empty and literal Empty", () => {
@@ -49,6 +56,13 @@ describe("deal_or_no_deal helpers", () => {
     ]);
   });
 
+  it("contestantWon counts deals and non-empty kept boxes as wins", () => {
+    const boxes = [{ prize: "$1" }, { prize: "(empty)" }];
+    expect(contestantWon({ dealTaken: true, keptIndex: 1, boxes })).toBe(true);
+    expect(contestantWon({ dealTaken: false, keptIndex: 0, boxes })).toBe(true);
+    expect(contestantWon({ dealTaken: false, keptIndex: 1, boxes })).toBe(false);
+  });
+
   it("revealAllText returns a string", () => {
     const snap = {
       hostId: "h",
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const storeMocks = vi.hoisted(() => ({
+  countUserGameResults: vi.fn(async () => []),
+  listGameLeaders: vi.fn(async () => []),
+  listRecentUserGameResults: vi.fn(async () => []),
+}));
+
+vi.mock("../../games/game_store.js", () => storeMocks);
+
+import {
+  computeLeaderboard,
+  computePlayerStats,
+  registerGameStats,
+  resolveGameId,
+  summarizeOutcomes,
+} from "../../games/game_stats.js";
+
+function buildRegister() {
+  const handlers = new Map();
+  const register = (cmd, handler) => handlers.set(cmd, handler);
+  return { handlers, register };
+}
+
+function makeMessage({ guildId = "g1", authorId = "u1" } = {}) {
+  return {
+    guildId,
+    author: { id: authorId },
+    reply: vi.fn(async () => ({})),
+  };
+}
+
+describe("game_stats", () => {
+  beforeEach(() => {
+    for (const mock of Object.values(storeMocks)) mock.mockReset();
+  });
+
+  it("summarizes wins, win rate and streaks", () => {
+    const s = summarizeOutcomes(["win", "win", "loss", "win", "win", "win", "draw", "win"]);
+    expect(s).toMatchObject({ played: 8, wins: 6, losses: 1, draws: 1, currentStreak: 1, bestStreak: 3 });
+    expect(s.winRate).toBeCloseTo(0.75);
+  });
+
+  it("combines SQL counts with streaks from the recent results", () => {
+    const stats = computePlayerStats(
+      [
+        { gameId: "rps", played: 10, wins: 4, draws: 1 },
+        { gameId: "blackjack", played: 2, wins: 2, draws: 0 },
+      ],
+      [
+        { gameId: "rps", outcome: "win" },
+        { gameId: "blackjack", outcome: "win" },
+        { gameId: "rps", outcome: "loss" },
+        { gameId: "blackjack", outcome: "win" },
+      ]
+    );
+    expect(stats.overall).toMatchObject({ played: 12, wins: 6, losses: 5, draws: 1, currentStreak: 1, bestStreak: 2 });
+    expect(stats.overall.winRate).toBeCloseTo(0.5);
+    expect(stats.byGame.get("blackjack")).toMatchObject({ played: 2, wins: 2, currentStreak: 2 });
+    expect(stats.byGame.get("rps")).toMatchObject({ played: 10, wins: 4, losses: 5, currentStreak: 0, bestStreak: 1 });
+  });
+
+  it("keeps the SQL leaderboard order and adds best streaks", () => {
+    const board = computeLeaderboard(
+      [
+        { userId: "c", played: 2, wins: 2, draws: 0 },
+        { userId: "a", played: 2, wins: 1, draws: 0 },
+      ],
+      new Map([["c", [{ outcome: "win" }, { outcome: "win" }]]])
+    );
+    expect(board).toEqual([
+      { userId: "c", played: 2, wins: 2, losses: 0, draws: 0, winRate: 1, currentStreak: 2, bestStreak: 2 },
+      { userId: "a", played: 2, wins: 1, losses: 1, draws: 0, winRate: 0.5, currentStreak: 0, bestStreak: 0 },
+    ]);
+  });
+
+  it("resolves game ids from ids, labels and aliases", () => {
+    expect(resolveGameId("safari_zone")).toBe("safari_zone");
+    expect(resolveGameId("Safari Zone")).toBe("safari_zone");
+    expect(resolveGameId("sz")).toBe("safari_zone");
+    expect(resolveGameId("HOL")).toBe("higher_or_lower");
+    expect(resolveGameId("dond")).toBe("deal_or_no_deal");
+    expect(resolveGameId("bingo")).toBeNull();
+  });
+
+  it("!gamestats shows stats for the mentioned user", async () => {
+    storeMocks.countUserGameResults.mockResolvedValueOnce([{ gameId: "rps", played: 2, wins: 2, draws: 0 }]);
+    storeMocks.listRecentUserGameResults.mockResolvedValueOnce([
+      { gameId: "rps", outcome: "win" },
+      { gameId: "rps", outcome: "win" },
+    ]);
+    const { handlers, register } = buildRegister();
+    registerGameStats(register);
+
+    const message = makeMessage();
+    await handlers.get("!gamestats")({ message, rest: "<@222>" });
+
+    expect(storeMocks.countUserGameResults).toHaveBeenCalledWith({ guildId: "g1", userId: "222" });
+    expect(storeMocks.listRecentUserGameResults).toHaveBeenCalledWith({ guildId: "g1", userId: "222", limit: 500 });
+    const content = message.reply.mock.calls[0][0].content;
+    expect(content).toContain("Game stats for <@222>");
+    expect(content).toContain("**RPS** — 2 played · 2 wins · 100% · streak 2 (best 2)");
+  });
+
+  it("!gamestats leaderboard filters by game and rejects unknown games", async () => {
+    storeMocks.listGameLeaders.mockResolvedValueOnce([{ userId: "u3", played: 1, wins: 1, draws: 0 }]);
+    storeMocks.listRecentUserGameResults.mockResolvedValueOnce([{ gameId: "hangman", outcome: "win" }]);
+    const { handlers, register } = buildRegister();
+    registerGameStats(register);
+
+    const message = makeMessage();
+    await handlers.get("!gamestats")({ message, rest: "leaderboard hangman" });
+    expect(storeMocks.listGameLeaders).toHaveBeenCalledWith({ guildId: "g1", gameId: "hangman", limit: 10 });
+    expect(message.reply.mock.calls[0][0].content).toContain("1. <@u3> — 1 win · 1 played · 100% · best streak 1");
+
+    const bad = makeMessage();
+    await handlers.get("!gamestats")({ message: bad, rest: "leaderboard nope" });
+    expect(bad.reply.mock.calls[0][0].content).toContain("Unknown game");
+    expect(storeMocks.listGameLeaders).toHaveBeenCalledTimes(1);
+  });
+});
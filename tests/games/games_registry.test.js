@@ -18,5 +18,6 @@ describe("games registry", () => {
     expect(ids).toContain("deal_or_no_deal");
     expect(ids).toContain("auction");
     expect(ids).toContain("pokemon_unscramble");
+    expect(ids).toContain("tournament");
   });
 });
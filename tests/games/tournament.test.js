@@ -0,0 +1,187 @@
+import { describe, it, expect } from "vitest";
+import {
+  createBracket,
+  pendingMatch,
+  reportResult,
+  isFinished,
+  resolveFormat,
+  roundRobinSchedule,
+  standings,
+} from "../../games/tournament_bracket.js";
+import { __testables, renderBracketText } from "../../games/tournament.js";
+import { __testables as blackjackTestables } from "../../games/blackjack.js";
+
+const { parseTournamentTokens, awaitMatch } = __testables;
+const { headToHeadWinner } = blackjackTestables;
+
+const ids = (n) => Array.from({ length: n }, (_, i) => String(i + 1));
+
+// Play every match to the end; pick(match) returns the winner id.
+function playOut(bracket, pick) {
+  const played = [];
+  for (let guard = 0; guard < 500; guard++) {
+    const match = pendingMatch(bracket);
+    if (!match) break;
+    const res = reportResult(bracket, match.id, pick(match));
+    expect(res.ok).toBe(true);
+    played.push(match);
+  }
+  return played;
+}
+
+const lowerSeedWins = (match) => (Number(match.p1) < Number(match.p2) ? match.p1 : match.p2);
+const higherSeedWins = (match) => (Number(match.p1) > Number(match.p2) ? match.p1 : match.p2);
+
+describe("tournament bracket engine", () => {
+  it("resolveFormat accepts common spellings", () => {
+    expect(resolveFormat("single")).toBe("single");
+    expect(resolveFormat("DE")).toBe("double");
+    expect(resolveFormat("round-robin")).toBe("roundrobin");
+    expect(resolveFormat("rr")).toBe("roundrobin");
+    expect(resolveFormat("rps")).toBe(null);
+  });
+
+  it("single elimination plays n-1 matches and hands out byes for odd counts", () => {
+    const bracket = createBracket({ format: "single", entrants: ids(5) });
+    expect(bracket.rounds[0].byes).toEqual(["1"]);
+    expect(bracket.rounds[0].matches.map((m) => [m.p1, m.p2])).toEqual([
+      ["2", "5"],
+      ["3", "4"],
+    ]);
+
+    const played = playOut(bracket, lowerSeedWins);
+    expect(played).toHaveLength(4);
+    expect(isFinished(bracket)).toBe(true);
+    expect(bracket.champions).toEqual(["1"]);
+    expect(played[played.length - 1].stage).toBe("final");
+  });
+
+  it("double elimination lets a one-loss player win through the bracket reset", () => {
+    const bracket = createBracket({ format: "double", entrants: ids(4) });
+    const played = playOut(bracket, higherSeedWins);
+
+    expect(isFinished(bracket)).toBe(true);
+    expect(bracket.champions).toEqual(["4"]);
+    expect(bracket.players.get("4").losses).toBe(0);
+    // Every non-champion is out on exactly two losses.
+    for (const p of bracket.players.values()) {
+      if (p.id !== "4") expect(p.losses).toBe(2);
+    }
+    expect(played.length).toBe(2 * 4 - 2);
+  });
+
+  it("double elimination plays a reset final when the unbeaten player loses it", () => {
+    const bracket = createBracket({ format: "double", entrants: ids(2) });
+    // Seed 1 wins the first match, then loses the final and the reset.
+    let n = 0;
+    const played = playOut(bracket, (match) => (n++ === 0 ? "1" : "2"));
+
+    expect(played).toHaveLength(3);
+    expect(played.every((m) => m.stage === "final")).toBe(true);
+    expect(bracket.champions).toEqual(["2"]);
+  });
+
+  it("double elimination terminates for odd entrant counts", () => {
+    for (const n of [3, 5, 7, 9]) {
+      const bracket = createBracket({ format: "double", entrants: ids(n) });
+      const played = playOut(bracket, lowerSeedWins);
+      expect(isFinished(bracket)).toBe(true);
+      expect(bracket.champions).toHaveLength(1);
+      expect(played.length).toBeGreaterThanOrEqual(2 * n - 2);
+      expect(played.length).toBeLessThanOrEqual(2 * n - 1);
+    }
+  });
+
+  it("round robin pairs everyone once and shares the title on a tie", () => {
+    const schedule = roundRobinSchedule(ids(5));
+    const pairs = schedule.flat().filter(([a, b]) => a && b).map(([a, b]) => [a, b].sort().join("-"));
+    expect(new Set(pairs).size).toBe(10);
+    expect(pairs).toHaveLength(10);
+
+    const bracket = createBracket({ format: "roundrobin", entrants: ids(3) });
+    // 1 beats 2, 2 beats 3, 3 beats 1 -> everyone on one win.
+    const beats = { "1-2": "1", "2-3": "2", "1-3": "3" };
+    const played = playOut(bracket, (m) => beats[[m.p1, m.p2].sort().join("-")]);
+    expect(played).toHaveLength(3);
+    expect(bracket.champions).toEqual(["1", "2", "3"]);
+    expect(standings(bracket).map((p) => p.wins)).toEqual([1, 1, 1]);
+  });
+
+  it("reportResult rejects unknown winners and repeated results", () => {
+    const bracket = createBracket({ format: "single", entrants: ids(2) });
+    const match = pendingMatch(bracket);
+    expect(reportResult(bracket, match.id, "99").ok).toBe(false);
+    expect(reportResult(bracket, match.id, "2").ok).toBe(true);
+    expect(reportResult(bracket, match.id, "1").ok).toBe(false);
+    expect(bracket.champions).toEqual(["2"]);
+  });
+
+  it("createBracket needs at least two distinct entrants", () => {
+    expect(() => createBracket({ format: "single", entrants: ["1", "1"] })).toThrow();
+    expect(() => createBracket({ format: "swiss", entrants: ids(4) })).toThrow();
+  });
+});
+
+describe("tournament command helpers", () => {
+  it("parseTournamentTokens picks game, format and options in any order", () => {
+    const opts = parseTournamentTokens(["double", "hol", "<@123>", "rounds=5", "join=30s"]);
+    expect(opts).toMatchObject({
+      gameId: "higher_or_lower",
+      format: "double",
+      rounds: 5,
+      joinSeconds: 30,
+      unknown: [],
+    });
+
+    expect(parseTournamentTokens(["bj"]).gameId).toBe("blackjack");
+    expect(parseTournamentTokens(["hangman", "wat"]).unknown).toEqual(["hangman", "wat"]);
+  });
+
+  it("awaitMatch settles with the game's result or a start error", async () => {
+    await expect(
+      awaitMatch(async (onResult) => {
+        setTimeout(() => onResult({ winnerId: "1" }), 0);
+        return { ok: true };
+      })
+    ).resolves.toEqual({ winnerId: "1" });
+
+    await expect(awaitMatch(async () => ({ ok: false, errorText: "busy" }))).resolves.toEqual({ error: "busy" });
+  });
+
+  it("renderBracketText shows results, the live match and the champion", () => {
+    const bracket = createBracket({ format: "single", entrants: ids(3) });
+    const st = { gameId: "rps", options: { wins: 2, rounds: 3 }, creatorId: "9", bracket, currentMatchId: null };
+
+    st.currentMatchId = pendingMatch(bracket).id;
+    let text = renderBracketText(st);
+    expect(text).toContain("RPS Tournament");
+    expect(text).toContain("▶️ #1 <@2> vs <@3>");
+    expect(text).toContain("<@1> — bye");
+
+    playOut(bracket, lowerSeedWins);
+    text = renderBracketText(st);
+    expect(text).toContain("🏆 <@2> def. <@3>");
+    expect(text).toContain("Champion:** <@1>");
+  });
+
+  it("blackjack head-to-head winner prefers outcome, then total", () => {
+    expect(
+      headToHeadWinner([
+        { userId: "a", outcome: "push", pVal: 20, pBJ: false },
+        { userId: "b", outcome: "win", pVal: 18, pBJ: false },
+      ])
+    ).toBe("b");
+    expect(
+      headToHeadWinner([
+        { userId: "a", outcome: "lose", pVal: 19, pBJ: false },
+        { userId: "b", outcome: "lose", pVal: 25, pBJ: false },
+      ])
+    ).toBe("a");
+    expect(
+      headToHeadWinner([
+        { userId: "a", outcome: "win", pVal: 20, pBJ: false },
+        { userId: "b", outcome: "win", pVal: 20, pBJ: false },
+      ])
+    ).toBe(null);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { __testables } from "../../info/cmdpolicy.js";
+
+const { applyChannelAction, formatChannelPolicy, formatPolicySummary, filterChoices } = __testables;
+
+describe("cmdpolicy helpers", () => {
+  it("applyChannelAction adds and moves channels between lists", () => {
+    expect(applyChannelAction(null, { action: "allow", channelId: "1" })).toEqual({ ok: true, value: { allow: ["1"] } });
+    expect(applyChannelAction({ allow: ["1"], silent: false }, { action: "deny", channelId: "1" })).toEqual({
+      ok: true,
+      value: { deny: ["1"], silent: false },
+    });
+    expect(applyChannelAction({ allow: ["1", "2"] }, { action: "remove", channelId: "2" }).value).toEqual({
+      allow: ["1"],
+    });
+  });
+
+  it("applyChannelAction handles flags, reset and missing channels", () => {
+    expect(applyChannelAction({ allow: ["1"] }, { action: "remove", silent: false, adminBypass: true }).value).toEqual({
+      allow: ["1"],
+      silent: false,
+      allowAdminBypass: true,
+    });
+    expect(applyChannelAction({ allow: ["1"] }, { action: "reset" })).toEqual({ ok: true, value: undefined });
+    expect(applyChannelAction(null, { action: "allow" }).ok).toBe(false);
+    expect(applyChannelAction(null, { action: "remove" }).ok).toBe(false);
+    expect(applyChannelAction(null, { action: "nope", channelId: "1" }).ok).toBe(false);
+  });
+
+  it("formats policies and summaries", () => {
+    expect(formatChannelPolicy({ allow: ["1"], allowAdminBypass: true })).toBe("allow <#1> · silent · admin bypass");
+    expect(formatChannelPolicy({ deny: ["2"], silent: false })).toBe("deny <#2> · notify");
+
+    const summary = formatPolicySummary({
+      exposure: { "rng.roll": "q" },
+      slash: { viewbox: "off", help: "on" },
+      channels: {},
+      defaultExposure: "bang",
+    });
+    expect(summary).toContain("• `rng.roll` → **q**");
+    expect(summary).toContain("**Slash commands off:** `/viewbox`");
+    expect(summary).not.toContain("Channel policies");
+  });
+
+  it("filterChoices matches case-insensitively", () => {
+    expect(filterChoices(["rng.roll", "rng.choose", "trading.ft"], "RNG")).toEqual([
+      { name: "rng.roll", value: "rng.roll" },
+      { name: "rng.choose", value: "rng.choose" },
+    ]);
+  });
+});
@@ -15,6 +15,30 @@ const authMocks = vi.hoisted(() => ({
 
 vi.mock("../../auth.js", () => authMocks);
 
+const dbMocks = vi.hoisted(() => ({
+  getUserText: vi.fn(async () => null),
+  setUserText: vi.fn(async () => {}),
+  deleteUserText: vi.fn(async () => {}),
+}));
+
+vi.mock("../../db.js", () => dbMocks);
+
+const settingsMocks = vi.hoisted(() => ({
+  getGuildSetting: vi.fn(() => "en"),
+}));
+
+vi.mock("../../shared/guild_settings.js", () => settingsMocks);
+
+const feedbackMocks = vi.hoisted(() => ({
+  recordFaqQuery: vi.fn(async () => null),
+  faqFeedbackRow: vi.fn((id) => ({ feedbackId: id })),
+  registerFaqFeedback: vi.fn(),
+}));
+
+vi.mock("../../info/faq_feedback.js", () => feedbackMocks);
+vi.mock("../../info/faq_admin.js", () => ({ registerFaqAdmin: vi.fn() }));
+vi.mock("../../info/faq_auto.js", () => ({ registerFaqAutoAnswer: vi.fn() }));
+
 const embeddingMocks = vi.hoisted(() => ({
   embedTexts: vi.fn(async (texts) =>
     (Array.isArray(texts) ? texts : [texts]).map((text) => {
@@ -37,12 +61,13 @@ const embeddingMocks = vi.hoisted(() => ({
       return dims.map((value) => value / norm);
     })
   ),
-  getDefaultLocalEmbeddingModel: vi.fn(() => "mock-local-model")
+  getDefaultLocalEmbeddingModel: vi.fn(() => "mock-local-model"),
+  getDefaultMultilingualEmbeddingModel: vi.fn(() => "mock-multilingual-model")
 }));
 
 vi.mock("../../shared/local_embeddings.js", () => embeddingMocks);
 
-import { createFaqService, registerInfoCommands } from "../../info/faq.js";
+import { createFaqService, registerInfoCommands, __testables } from "../../info/faq.js";
 
 const originalEnv = { ...process.env };
 
@@ -86,6 +111,11 @@ describe("faq service", () => {
     };
     fsMocks.readFileSync.mockReset();
     embeddingMocks.embedTexts.mockClear();
+    dbMocks.getUserText.mockReset().mockResolvedValue(null);
+    dbMocks.setUserText.mockClear();
+    dbMocks.deleteUserText.mockClear();
+    settingsMocks.getGuildSetting.mockReset().mockReturnValue("en");
+    feedbackMocks.recordFaqQuery.mockReset().mockResolvedValue(null);
   });
 
   afterEach(() => {
@@ -105,6 +135,23 @@ describe("faq service", () => {
     expect(out).toBe("Do this.");
   });
 
+  it("only answers passively above the stricter floor", async () => {
+    setFileMap({
+      "data/faq.json": JSON.stringify({
+        version: "1",
+        entries: [{ id: "q1", q: "How do I play", a: "Do this." }],
+      }),
+    });
+
+    const faq = createFaqService();
+    const strict = await faq.matchPassive({ questionRaw: "how do i play", minScore: 0.999 });
+    expect(strict).toBeNull();
+
+    const loose = await faq.matchPassive({ questionRaw: "how do i play", minScore: 0.5 });
+    expect(loose).toMatchObject({ text: "Do this.", locale: "en" });
+    expect(loose.result.method).toBe("local_embedding_hybrid");
+  });
+
   it("recovers noisy typo-heavy queries with normalization", async () => {
     setFileMap({
       "data/faq.json": JSON.stringify({
@@ -271,6 +318,42 @@ describe("faq service", () => {
     expect(msg.reply).toHaveBeenCalledWith(expect.stringContaining("Unleveled"));
   });
 
+  it("logs !faq queries and attaches feedback buttons to answers", async () => {
+    setFileMap({
+      "data/faq.json": JSON.stringify({
+        entries: [{ id: "q1", q: "How do I play", a: "Do this." }],
+      }),
+      "data/ngs.json": JSON.stringify(["Pikachu"]),
+      "data/glossary.json": JSON.stringify({}),
+      "data/wiki_titles.json": JSON.stringify(["Origin Tower"]),
+    });
+    feedbackMocks.recordFaqQuery.mockResolvedValue(42);
+
+    const register = makeRegister();
+    registerInfoCommands(register);
+    expect(feedbackMocks.registerFaqFeedback).toHaveBeenCalledWith(register);
+    const faqHandler = register.getHandler("!faq");
+
+    const msg = { ...makeMessage(), channelId: "c1" };
+    await faqHandler({ message: msg, rest: "How do I play" });
+    expect(feedbackMocks.recordFaqQuery).toHaveBeenCalledWith(
+      expect.objectContaining({
+        guildId: "g1",
+        channelId: "c1",
+        userId: "u1",
+        questionRaw: "How do I play",
+        answered: true,
+        result: expect.objectContaining({ best: expect.objectContaining({ entry: expect.objectContaining({ id: "q1" }) }) }),
+      })
+    );
+    expect(msg.reply).toHaveBeenCalledWith({ content: "Do this.", components: [{ feedbackId: 42 }] });
+
+    // Unanswered queries are logged too, but the wiki fallback has no buttons.
+    await faqHandler({ message: msg, rest: "origin tower" });
+    expect(feedbackMocks.recordFaqQuery).toHaveBeenLastCalledWith(expect.objectContaining({ answered: false }));
+    expect(msg.reply).toHaveBeenLastCalledWith(expect.stringContaining("Origin Tower"));
+  });
+
   it("falls back to wiki search when faq has no match", async () => {
     setFileMap({
       "data/faq.json": JSON.stringify({
@@ -364,4 +447,152 @@ describe("faq service", () => {
 
     expect(out).toBe("lorem ipsum");
   });
+
+  it("layers admin edits over the files and re-embeds only changed entries", async () => {
+    setFileMap({
+      "data/faq.json": JSON.stringify({
+        entries: [
+          { id: "q1", q: "How do I play", a: "Do this." },
+          { id: "lotto", q: "How does the lottery work?", a: "Buy a ticket daily." },
+        ],
+      }),
+    });
+
+    const faq = createFaqService();
+    await faq.warmup();
+    embeddingMocks.embedTexts.mockClear();
+
+    expect(faq.validateEntry({ id: "bad id!", q: "x", a: "y" }).ok).toBe(false);
+    expect(faq.validateEntry({ id: "q2", q: "x" }).ok).toBe(false);
+    expect(
+      faq.upsertEntry({ id: "q1", q: "How do I play", a: "New answer.", triggers: ["how to start playing"] }).ok
+    ).toBe(true);
+    expect(faq.getEntry("q1").source).toBe("db");
+
+    const out = await faq.matchAndRender({ message: makeMessage(), questionRaw: "how to start playing" });
+    expect(out).toBe("New answer.");
+    const entryEmbeds = embeddingMocks.embedTexts.mock.calls.filter(([texts]) =>
+      texts.some((text) => text.startsWith("FAQ: "))
+    );
+    expect(entryEmbeds).toHaveLength(1);
+    expect(entryEmbeds[0][0]).toHaveLength(1);
+
+    faq.removeEntry("lotto");
+    expect(faq.getEntry("lotto")).toEqual({ raw: null, source: "deleted" });
+    expect(faq.listEntryIds()).toEqual(["q1"]);
+
+    // Overrides survive a file reload.
+    faq.reload();
+    expect(faq.listEntryIds()).toEqual(["q1"]);
+    expect(await faq.rankOf({ questionRaw: "how do i play", entryId: "q1" })).toMatchObject({
+      rank: 1,
+      topId: "q1",
+      decision: "answer",
+    });
+  });
+
+  describe("locales", () => {
+    const localizedCorpus = JSON.stringify({
+      entries: [
+        {
+          id: "goldenize",
+          q: "How do I goldenize a pokemon?",
+          a: "Teach it Haze and let it faint.",
+          locales: {
+            es: {
+              q: "¿Cómo hago dorado un pokémon?",
+              a: "Enséñale Haze y deja que se debilite.",
+              triggers: ["como dorar un pokemon", "como hago dorado mi pokemon"],
+            },
+            pt: { triggers: ["como deixar meu pokemon dourado"] },
+          },
+        },
+        { id: "lotto", q: "How does the lottery work?", a: "Buy a ticket daily." },
+      ],
+    });
+
+    it("detects the query language from hint words and accents", () => {
+      const { detectQueryLocale, resolveFaqLocales } = __testables;
+      expect(detectQueryLocale("¿cómo puedo dorar mi pokémon?")).toBe("es");
+      expect(detectQueryLocale("como eu deixo meu pokemon dourado")).toBe("pt");
+      expect(detectQueryLocale("how do i goldenize")).toBe("en");
+      expect(detectQueryLocale("ngs")).toBe(null);
+
+      expect(resolveFaqLocales({ questionRaw: "ngs", guildLocale: "pt" })).toMatchObject({ locale: "pt", queryLocale: "pt" });
+      expect(resolveFaqLocales({ questionRaw: "how do i goldenize", userLocale: "es" })).toMatchObject({
+        locale: "es",
+        queryLocale: "en",
+      });
+    });
+
+    it("answers in the asker's language through the multilingual model", async () => {
+      setFileMap({ "data/faq.json": localizedCorpus });
+
+      const faq = createFaqService();
+      const out = await faq.matchAndRender({
+        message: makeMessage(),
+        questionRaw: "¿cómo puedo dorar mi pokémon?",
+      });
+
+      expect(out).toBe("Enséñale Haze y deja que se debilite.");
+      expect(embeddingMocks.embedTexts).toHaveBeenCalledWith(expect.any(Array), { model: "mock-multilingual-model" });
+    });
+
+    it("falls back to English when the entry has no translated answer", async () => {
+      setFileMap({ "data/faq.json": localizedCorpus });
+
+      const faq = createFaqService();
+      const out = await faq.matchAndRender({
+        message: makeMessage(),
+        questionRaw: "how do i goldenize a pokemon",
+        userLocale: "pt",
+      });
+
+      expect(out).toBe("Teach it Haze and let it faint.");
+    });
+
+    it("uses the English model for foreign queries when multilingual is off", async () => {
+      embeddingMocks.getDefaultMultilingualEmbeddingModel.mockReturnValueOnce(null);
+      setFileMap({ "data/faq.json": localizedCorpus });
+
+      const faq = createFaqService();
+      const result = await faq.debugMatch({ questionRaw: "como hago dorado mi pokemon" });
+
+      expect(result.method).toBe("local_embedding_hybrid");
+      expect(result.locale).toBe("es");
+      expect(result.best.entry.id).toBe("goldenize");
+      expect(embeddingMocks.embedTexts).not.toHaveBeenCalledWith(expect.any(Array), {
+        model: "mock-multilingual-model",
+      });
+    });
+
+    it("stores !faqlang preferences and applies them to !faq", async () => {
+      setFileMap({
+        "data/faq.json": localizedCorpus,
+        "data/ngs.json": JSON.stringify(["Pikachu"]),
+        "data/glossary.json": JSON.stringify({}),
+        "data/wiki_titles.json": JSON.stringify([]),
+      });
+
+      const register = makeRegister();
+      registerInfoCommands(register);
+      const langHandler = register.getHandler("!faqlang");
+      const faqHandler = register.getHandler("!faq");
+      const msg = makeMessage();
+
+      await langHandler({ message: msg, rest: "klingon" });
+      expect(msg.reply).toHaveBeenLastCalledWith(expect.stringContaining("Usage"));
+      expect(dbMocks.setUserText).not.toHaveBeenCalled();
+
+      await langHandler({ message: msg, rest: "ES" });
+      expect(dbMocks.setUserText).toHaveBeenCalledWith({ guildId: "g1", userId: "u1", kind: "faqlang", text: "es" });
+
+      dbMocks.getUserText.mockResolvedValue("es");
+      await faqHandler({ message: msg, rest: "how do I goldenize a pokemon" });
+      expect(msg.reply).toHaveBeenLastCalledWith("Enséñale Haze y deja que se debilite.");
+
+      await langHandler({ message: msg, rest: "auto" });
+      expect(dbMocks.deleteUserText).toHaveBeenCalledWith({ guildId: "g1", userId: "u1", kind: "faqlang" });
+    });
+  });
 });
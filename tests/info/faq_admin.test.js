@@ -0,0 +1,185 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const fsMocks = vi.hoisted(() => ({
+  readFileSync: vi.fn(),
+}));
+
+vi.mock("node:fs", () => ({
+  default: fsMocks,
+  readFileSync: fsMocks.readFileSync,
+}));
+
+const dbMocks = vi.hoisted(() => ({
+  getDb: vi.fn(),
+  getUserText: vi.fn(async () => null),
+  setUserText: vi.fn(async () => {}),
+  deleteUserText: vi.fn(async () => {}),
+}));
+
+vi.mock("../../db.js", () => dbMocks);
+
+const authMocks = vi.hoisted(() => ({
+  isAdminOrPrivileged: vi.fn(() => true),
+  hasPermissionTier: vi.fn(() => true),
+}));
+
+vi.mock("../../auth.js", () => authMocks);
+vi.mock("../../shared/guild_settings.js", () => ({ getGuildSetting: vi.fn(() => "en") }));
+
+vi.mock("../../shared/local_embeddings.js", () => ({
+  // One dimension per word bucket, good enough to rank a tiny corpus.
+  embedTexts: vi.fn(async (texts) =>
+    texts.map((text) => {
+      const dims = new Array(8).fill(0);
+      for (const word of String(text).toLowerCase().split(/\W+/).filter(Boolean)) {
+        dims[word.length % dims.length] += 1;
+      }
+      return dims;
+    })
+  ),
+  getDefaultLocalEmbeddingModel: vi.fn(() => "mock-local-model"),
+  getDefaultMultilingualEmbeddingModel: vi.fn(() => null),
+}));
+
+import { createFaqService } from "../../info/faq.js";
+import { registerFaqAdmin, __testables } from "../../info/faq_admin.js";
+
+const { applyFaqEdit, unescapeText } = __testables;
+
+const FILES = {
+  "data/faq.json": JSON.stringify({
+    entries: [
+      { id: "goldenize", q: "How do I goldenize?", a: "Use the Golden Eevee.", triggers: ["make a golden"] },
+      { id: "lotto", q: "How does the lottery work?", a: "Buy a ticket daily." },
+    ],
+  }),
+  "data/faq_eval.json": JSON.stringify({
+    entries: [
+      { question: "how do i make a golden pokemon", expectedId: "goldenize" },
+      { question: "lotto tickets", expectedId: "lotto" },
+    ],
+  }),
+};
+
+function makeDb(overrideRows = []) {
+  const execute = vi.fn(async (sql) => {
+    if (sql.includes("SELECT entry_id")) return [overrideRows];
+    return [{ affectedRows: 1 }];
+  });
+  dbMocks.getDb.mockReturnValue({ execute });
+  return execute;
+}
+
+function makeRegister() {
+  const slash = {};
+  const register = vi.fn();
+  register.slash = (def, handler, opts) => Object.assign(slash, { def, handler, opts });
+  register.slashDef = slash;
+  return register;
+}
+
+function makeInteraction(sub, values = {}) {
+  return {
+    user: { id: "admin1" },
+    options: {
+      getSubcommand: () => sub,
+      getString: (name) => values[name] ?? null,
+    },
+    reply: vi.fn(async () => {}),
+    deferReply: vi.fn(async () => {}),
+    editReply: vi.fn(async () => {}),
+  };
+}
+
+async function setup(overrideRows = []) {
+  const execute = makeDb(overrideRows);
+  const faq = createFaqService();
+  const register = makeRegister();
+  registerFaqAdmin(register, { faq });
+  await vi.waitFor(() => expect(execute).toHaveBeenCalledWith(expect.stringContaining("SELECT entry_id")));
+  await new Promise((resolve) => setImmediate(resolve));
+  return { faq, execute, handler: register.slashDef.handler };
+}
+
+describe("faqadmin", () => {
+  beforeEach(() => {
+    fsMocks.readFileSync.mockImplementation((filePath) => {
+      const hit = Object.entries(FILES).find(([name]) => String(filePath).includes(name));
+      if (!hit) throw new Error(`Unexpected file read: ${filePath}`);
+      return hit[1];
+    });
+    authMocks.isAdminOrPrivileged.mockReturnValue(true);
+  });
+
+  it("applies alias, deny, edit and locale changes to raw entries", () => {
+    const raw = { id: "g", q: "How?", response: "Old", triggers: ["make a golden"], examples: ["golden how"] };
+
+    expect(applyFaqEdit(raw, { sub: "alias", id: "g", action: "add", text: "Golden How" }).ok).toBe(false);
+    expect(applyFaqEdit(raw, { sub: "alias", id: "g", action: "remove", text: "GOLDEN how" }).value.examples).toEqual([]);
+    expect(applyFaqEdit(raw, { sub: "deny", id: "g", action: "add", text: "golden day" }).value.denyTerms).toEqual([
+      "golden day",
+    ]);
+    expect(applyFaqEdit(raw, { sub: "edit", id: "g", answer: "Line 1\\nLine 2" }).value).toMatchObject({
+      a: "Line 1\nLine 2",
+    });
+    expect(applyFaqEdit(raw, { sub: "edit", id: "g", answer: "New" }).value.response).toBeUndefined();
+    expect(
+      applyFaqEdit(raw, { sub: "alias", id: "g", action: "add", text: "como dorar", locale: "es" }).value.locales
+    ).toEqual({ es: { triggers: ["como dorar"] } });
+    expect(applyFaqEdit(raw, { sub: "add", id: "g", question: "q", answer: "a" }).ok).toBe(false);
+    expect(applyFaqEdit(null, { sub: "delete", id: "x" }).ok).toBe(false);
+    expect(raw.examples).toEqual(["golden how"]);
+    expect(unescapeText("  a\\nb ")).toBe("a\nb");
+  });
+
+  it("loads stored overrides on registration", async () => {
+    const { faq } = await setup([
+      { entry_id: "lotto", entry_json: null },
+      { entry_id: "trade", entry_json: JSON.stringify({ id: "trade", q: "Can I trade?", a: "Yes." }) },
+    ]);
+
+    expect(faq.listEntryIds()).toEqual(["goldenize", "trade"]);
+  });
+
+  it("stores edits, applies them live and previews eval query ranks", async () => {
+    const { faq, execute, handler } = await setup();
+
+    const interaction = makeInteraction("alias", { id: "goldenize", action: "add", text: "goldenizing guide" });
+    await handler({ interaction });
+
+    expect(execute).toHaveBeenCalledWith(expect.stringContaining("INSERT INTO faq_entry_overrides"), [
+      "goldenize",
+      expect.stringContaining("goldenizing guide"),
+      "admin1",
+    ]);
+    expect(faq.getEntry("goldenize").source).toBe("db");
+    const content = interaction.editReply.mock.calls[0][0].content;
+    expect(content).toContain("✅ Updated `goldenize`");
+    expect(content).toMatch(/"how do i make a golden pokemon" — #1 \(\d\.\d{3}\) → #1/);
+
+    const del = makeInteraction("delete", { id: "lotto", preview: "lottery" });
+    await handler({ interaction: del });
+    expect(execute).toHaveBeenLastCalledWith(expect.any(String), ["lotto", null, "admin1"]);
+    expect(faq.listEntryIds()).toEqual(["goldenize"]);
+    expect(del.editReply.mock.calls[0][0].content).toMatch(/"lottery" — #\d \(\d\.\d{3}\) → unranked/);
+  });
+
+  it("rejects invalid entries and non-admins without saving", async () => {
+    const { execute, handler } = await setup();
+    execute.mockClear();
+
+    const bad = makeInteraction("add", { id: "has space", question: "Q?", answer: "A." });
+    await handler({ interaction: bad });
+    expect(bad.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining("FAQ ids") }));
+
+    const missing = makeInteraction("edit", { id: "nope", answer: "A." });
+    await handler({ interaction: missing });
+    expect(missing.reply).toHaveBeenCalledWith(expect.objectContaining({ content: "❌ No FAQ entry `nope`." }));
+
+    authMocks.isAdminOrPrivileged.mockReturnValue(false);
+    const denied = makeInteraction("delete", { id: "lotto" });
+    await handler({ interaction: denied });
+    expect(denied.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining("permission") }));
+    expect(execute).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,128 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const authMocks = vi.hoisted(() => ({
+  hasPermissionTier: vi.fn(() => false),
+}));
+
+vi.mock("../../auth.js", () => authMocks);
+
+const settingsMocks = vi.hoisted(() => ({
+  getGuildSetting: vi.fn(() => ({ channels: ["c1"] })),
+}));
+
+vi.mock("../../shared/guild_settings.js", () => settingsMocks);
+
+import { isQuestionLike, registerFaqAutoAnswer, __testables } from "../../info/faq_auto.js";
+
+const { handleAutoAnswer, resetCooldowns } = __testables;
+
+function makeReply() {
+  const handlers = {};
+  const reply = {
+    author: { id: "bot" },
+    react: vi.fn(async () => {}),
+    delete: vi.fn(async () => {}),
+    createReactionCollector: vi.fn((opts) => {
+      reply.collectorOpts = opts;
+      return { on: (event, fn) => (handlers[event] = fn) };
+    }),
+    handlers,
+  };
+  return reply;
+}
+
+function makeMessage({ content = "how do I get a golden pokemon?", channelId = "c1", later = [] } = {}) {
+  const reply = makeReply();
+  return {
+    id: "m1",
+    guildId: "g1",
+    channelId,
+    content,
+    author: { id: "asker", bot: false },
+    channel: { messages: { fetch: vi.fn(async () => new Map(later.map((m, i) => [String(i), m]))) } },
+    reply: vi.fn(async () => reply),
+    sentReply: reply,
+  };
+}
+
+function makeFaq(matched = { text: "Teach it Haze.", locale: "en" }) {
+  return { matchPassive: vi.fn(async () => matched) };
+}
+
+describe("faq auto-answer", () => {
+  beforeEach(() => {
+    resetCooldowns();
+    process.env.FAQ_AUTO_ANSWER_DELAY_SECONDS = "0";
+    authMocks.hasPermissionTier.mockReset().mockReturnValue(false);
+    settingsMocks.getGuildSetting.mockReset().mockReturnValue({ channels: ["c1"] });
+  });
+
+  it("recognizes question-like messages", () => {
+    expect(isQuestionLike("how do I get a golden")).toBe(true);
+    expect(isQuestionLike("anyone know where the lotto is")).toBe(true);
+    expect(isQuestionLike("¿Cómo consigo un dorado")).toBe(true);
+    expect(isQuestionLike("por que no puedo entrar")).toBe(true);
+    expect(isQuestionLike("gg everyone, nice run")).toBe(false);
+    expect(isQuestionLike("why?")).toBe(false);
+    expect(isQuestionLike("!faq how do I goldenize?")).toBe(false);
+  });
+
+  it("answers with the stricter floors and lets only the asker dismiss", async () => {
+    settingsMocks.getGuildSetting.mockReturnValue({ channels: ["c1"], threshold: 0.75 });
+    const faq = makeFaq();
+    const message = makeMessage();
+    const localePrefs = vi.fn(async () => ({ userLocale: "es", guildLocale: "en" }));
+
+    await expect(handleAutoAnswer({ message, faq, localePrefs })).resolves.toBe("answered");
+    expect(faq.matchPassive).toHaveBeenCalledWith(
+      expect.objectContaining({ questionRaw: message.content, userLocale: "es", minScore: 0.75, minMargin: 0.06 })
+    );
+    expect(message.reply.mock.calls[0][0].content).toContain("Teach it Haze.");
+
+    const reply = message.sentReply;
+    expect(reply.react).toHaveBeenCalledWith("🗑️");
+    const { filter } = reply.collectorOpts;
+    expect(filter({ emoji: { name: "🗑️" } }, { id: "asker" })).toBe(true);
+    expect(filter({ emoji: { name: "🗑️" } }, { id: "someone" })).toBe(false);
+    await reply.handlers.collect();
+    expect(reply.delete).toHaveBeenCalled();
+  });
+
+  it("applies a per-channel cooldown", async () => {
+    const faq = makeFaq();
+    await handleAutoAnswer({ message: makeMessage(), faq });
+    await expect(handleAutoAnswer({ message: makeMessage(), faq })).resolves.toBe("cooldown");
+    expect(faq.matchPassive).toHaveBeenCalledTimes(1);
+  });
+
+  it("stays quiet when staff already answered", async () => {
+    const staffMsg = { author: { id: "mod", bot: false }, member: {} };
+    authMocks.hasPermissionTier.mockImplementation((ctx) => ctx === staffMsg);
+    const message = makeMessage({ later: [{ author: { id: "asker" } }, staffMsg] });
+
+    await expect(handleAutoAnswer({ message, faq: makeFaq() })).resolves.toBe("staff_answered");
+    expect(message.reply).not.toHaveBeenCalled();
+  });
+
+  it("skips other channels, weak matches, replies and staff questions", async () => {
+    const faq = makeFaq(null);
+    await expect(handleAutoAnswer({ message: makeMessage({ channelId: "c2" }), faq })).resolves.toBe("channel");
+    await expect(handleAutoAnswer({ message: makeMessage(), faq })).resolves.toBe("no_match");
+    await expect(
+      handleAutoAnswer({ message: { ...makeMessage(), reference: { messageId: "m0" } }, faq })
+    ).resolves.toBe("reply");
+
+    authMocks.hasPermissionTier.mockReturnValue(true);
+    await expect(handleAutoAnswer({ message: makeMessage(), faq })).resolves.toBe("staff_author");
+  });
+
+  it("registers a listener that ignores commands", async () => {
+    let hook;
+    const register = { onMessage: (fn) => (hook = fn) };
+    const faq = makeFaq();
+    registerFaqAutoAnswer(register, { faq });
+
+    await hook({ message: makeMessage(), isCommand: true });
+    expect(faq.matchPassive).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,160 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const dbMocks = vi.hoisted(() => ({
+  getDb: vi.fn(),
+}));
+
+vi.mock("../../db.js", () => dbMocks);
+
+const authMocks = vi.hoisted(() => ({
+  hasPermissionTier: vi.fn(() => true),
+}));
+
+vi.mock("../../auth.js", () => authMocks);
+
+import {
+  buildFaqEvalExport,
+  pruneFaqFeedback,
+  recordFaqQuery,
+  recordFaqVote,
+  registerFaqFeedback,
+} from "../../info/faq_feedback.js";
+
+function makeDb(rows = []) {
+  const execute = vi.fn(async (sql) => {
+    if (sql.includes("INSERT INTO faq_feedback")) return [{ insertId: 7 }];
+    if (sql.trim().startsWith("SELECT")) return [rows];
+    return [{ affectedRows: 1 }];
+  });
+  dbMocks.getDb.mockReturnValue({ execute });
+  return execute;
+}
+
+function makeRegister() {
+  const handlers = new Map();
+  const register = (name, handler) => handlers.set(name, handler);
+  register.component = (prefix, handler) => handlers.set(prefix, handler);
+  register.get = (name) => handlers.get(name);
+  return register;
+}
+
+const result = {
+  method: "local_embedding_hybrid",
+  locale: "es",
+  decision: { type: "clarify" },
+  best: { entry: { id: "goldenize" }, score01: 0.61234 },
+  candidates: [
+    { entry: { id: "goldenize" }, score01: 0.61234 },
+    { entry: { id: "lotto" }, score01: 0.2 },
+  ],
+};
+
+describe("faq feedback", () => {
+  beforeEach(() => {
+    dbMocks.getDb.mockReset();
+    authMocks.hasPermissionTier.mockReset().mockReturnValue(true);
+  });
+
+  it("logs queries with their top candidates", async () => {
+    const execute = makeDb();
+
+    const id = await recordFaqQuery({ guildId: "g1", channelId: "c1", userId: "u1", questionRaw: "como dorar", result, answered: true });
+    expect(id).toBe(7);
+    expect(execute.mock.calls[0][1]).toEqual([
+      "g1",
+      "c1",
+      "u1",
+      "como dorar",
+      "es",
+      "local_embedding_hybrid",
+      "clarify",
+      "goldenize",
+      JSON.stringify([
+        { id: "goldenize", score: 0.612 },
+        { id: "lotto", score: 0.2 },
+      ]),
+    ]);
+
+    await recordFaqQuery({ guildId: "g1", userId: "u1", questionRaw: "x", result, answered: false });
+    expect(execute.mock.calls[1][1].slice(6, 8)).toEqual(["cooldown", null]);
+  });
+
+  it("only accepts votes from the asker on answered rows", async () => {
+    let execute = makeDb([{ user_id: "u1", answered_id: "goldenize" }]);
+    expect(await recordFaqVote({ id: "7", userId: "u2", vote: "up" })).toEqual({
+      ok: false,
+      errorText: "Only the person who asked can rate this answer.",
+    });
+    expect(execute).toHaveBeenCalledTimes(1);
+
+    expect(await recordFaqVote({ id: "7", userId: "u1", vote: "down" })).toEqual({ ok: true });
+    expect(execute).toHaveBeenLastCalledWith(expect.stringContaining("UPDATE faq_feedback SET vote"), [-1, 7]);
+
+    expect((await recordFaqVote({ id: "7", userId: "u1", vote: "meh" })).ok).toBe(false);
+
+    execute = makeDb([{ user_id: "u1", answered_id: null }]);
+    expect((await recordFaqVote({ id: "8", userId: "u1", vote: "up" })).ok).toBe(false);
+  });
+
+  it("exports voted rows in the eval file formats, newest vote winning", () => {
+    const { positive, wrongAnswers, negative } = buildFaqEvalExport([
+      { question: "How do I goldenize?", answered_id: "goldenize", vote: 1, locale: "en" },
+      { question: "como dorar", answered_id: "goldenize", vote: 1, locale: "es" },
+      { question: "lotto odds", answered_id: "lotto", vote: -1, locale: "en" },
+      { question: "how do i  goldenize?", answered_id: "goldenize", vote: -1, locale: "en" },
+    ]);
+
+    expect(positive.entries).toEqual([
+      { question: "como dorar", expectedId: "goldenize", tags: ["feedback", "locale:es"] },
+      { question: "How do I goldenize?", expectedId: "goldenize", tags: ["feedback"] },
+    ]);
+    expect(wrongAnswers.entries).toEqual([
+      { question: "lotto odds", answeredId: "lotto", tags: ["feedback", "not_helpful"] },
+    ]);
+    expect(negative).toBeUndefined();
+  });
+
+  it("prunes unvoted query logs past the retention window", async () => {
+    const execute = makeDb();
+    process.env.FAQ_FEEDBACK_RETENTION_DAYS = "30";
+    try {
+      expect(await pruneFaqFeedback()).toBe(1);
+    } finally {
+      delete process.env.FAQ_FEEDBACK_RETENTION_DAYS;
+    }
+    expect(execute).toHaveBeenCalledWith(expect.stringContaining("DELETE FROM faq_feedback WHERE vote IS NULL"), [30]);
+
+    execute.mockRejectedValueOnce(new Error("db down"));
+    expect(await pruneFaqFeedback()).toBe(0);
+  });
+
+  it("handles vote buttons and the admin export command", async () => {
+    makeDb([{ user_id: "u1", answered_id: "goldenize" }]);
+    const register = makeRegister();
+    registerFaqFeedback(register);
+
+    const interaction = { customId: "faqfb:up:7", user: { id: "u1" }, reply: vi.fn(async () => {}) };
+    await register.get("faqfb:")({ interaction });
+    expect(interaction.reply).toHaveBeenCalledWith(
+      expect.objectContaining({ content: expect.stringContaining("Thanks") })
+    );
+
+    const execute = makeDb([{ id: 3, question: "como dorar", answered_id: "goldenize", vote: 1, locale: "es" }]);
+    const message = { guildId: "g1", reply: vi.fn(async () => {}) };
+    await register.get("!faqexport")({ message, rest: "30" });
+    expect(execute.mock.calls[0][1]).toEqual(["g1", 30]);
+    const payload = message.reply.mock.calls[0][0];
+    expect(payload.files.map((f) => f.name)).toEqual(["faq_eval.feedback.json", "faq_wrong_answer.feedback.json"]);
+    expect(JSON.parse(payload.files[0].attachment.toString("utf8")).entries).toEqual([
+      { question: "como dorar", expectedId: "goldenize", tags: ["feedback", "locale:es"] },
+    ]);
+
+    await register.get("!faqexport")({ message, rest: "soon" });
+    expect(message.reply).toHaveBeenLastCalledWith("Usage: `!faqexport [days]`");
+
+    authMocks.hasPermissionTier.mockReturnValue(false);
+    message.reply.mockClear();
+    await register.get("!faqexport")({ message, rest: "" });
+    expect(message.reply).not.toHaveBeenCalled();
+  });
+});
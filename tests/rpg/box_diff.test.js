@@ -0,0 +1,236 @@
+import { beforeEach, describe, expect, test, vi } from "vitest";
+
+const mockExecute = vi.fn(async () => [[], []]);
+vi.mock("../../db.js", () => ({
+  getDb: () => ({ execute: mockExecute }),
+}));
+
+const storageMocks = vi.hoisted(() => ({
+  getBoxSnapshot: vi.fn(async () => null),
+  insertBoxSnapshot: vi.fn(async () => {}),
+  pruneBoxSnapshots: vi.fn(async () => 0),
+}));
+vi.mock("../../rpg/storage.js", () => storageMocks);
+
+const viewboxMocks = vi.hoisted(() => ({ fetchViewboxEntries: vi.fn(async () => ({ entries: [], trainerName: "" })) }));
+vi.mock("../../rpg/viewbox.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchViewboxEntries: viewboxMocks.fetchViewboxEntries,
+}));
+
+vi.mock("../../rpg/credentials.js", () => ({
+  hasRpgCredentials: () => true,
+  requireRpgCredentials: () => true,
+}));
+vi.mock("../../rpg/client_factory.js", () => ({ createRpgClientFactory: () => () => ({}) }));
+
+const userIdMocks = vi.hoisted(() => ({ loadUserIds: vi.fn(async () => []) }));
+vi.mock("../../shared/user_ids.js", () => userIdMocks);
+
+const dmMocks = vi.hoisted(() => ({ sendDmBatch: vi.fn(async () => ({ ok: true })) }));
+vi.mock("../../shared/dm.js", () => dmMocks);
+
+import { logger } from "../../shared/logger.js";
+import { __testables, buildDiffMessages, diffBoxes, registerBoxDiff, runDailyDigest } from "../../rpg/box_diff.js";
+
+const BEFORE = [
+  { variant: "G", name: "Mewtwo", gender: "", unknown: true, level: "5", count: 1 },
+  { variant: "N", name: "Pichu", gender: "♂", unknown: false, level: "4", count: 3 },
+];
+
+function box(...entries) {
+  return { entries: entries.map(([variant, name, level]) => ({ variant, name, level, gender: "", unknown: false })), trainerName: "Ash" };
+}
+
+function getHandlers() {
+  const register = vi.fn();
+  register.slash = vi.fn();
+  registerBoxDiff(register);
+  const byName = Object.fromEntries(register.slash.mock.calls.map(([def, handler]) => [def.name, handler]));
+  return byName;
+}
+
+function mockInteraction({ id = 7, date = null, sub = null, daily = null } = {}) {
+  return {
+    guildId: "g1",
+    user: { id: "u1" },
+    deferReply: vi.fn(async () => {}),
+    editReply: vi.fn(async () => {}),
+    followUp: vi.fn(async () => {}),
+    reply: vi.fn(async () => {}),
+    options: {
+      getInteger: () => id,
+      getString: () => date,
+      getBoolean: () => daily,
+      getSubcommand: () => sub,
+    },
+  };
+}
+
+beforeEach(() => {
+  __testables.resetState();
+  mockExecute.mockReset();
+  mockExecute.mockResolvedValue([[], []]);
+  storageMocks.getBoxSnapshot.mockReset();
+  storageMocks.getBoxSnapshot.mockResolvedValue(null);
+  storageMocks.insertBoxSnapshot.mockClear();
+  viewboxMocks.fetchViewboxEntries.mockReset();
+  viewboxMocks.fetchViewboxEntries.mockResolvedValue({ entries: [], trainerName: "" });
+  userIdMocks.loadUserIds.mockReset();
+  userIdMocks.loadUserIds.mockResolvedValue([]);
+  dmMocks.sendDmBatch.mockClear();
+});
+
+describe("diffBoxes", () => {
+  test("reports count differences per variant, name, gender and level", () => {
+    const after = [
+      { variant: "N", name: "Pichu", gender: "♂", unknown: false, level: "4", count: 1 },
+      { variant: "N", name: "Pichu", gender: "♂", unknown: false, level: "6", count: 1 },
+      { variant: "S", name: "Lugia", gender: "", unknown: true, level: "5", count: 1 },
+    ];
+    expect(diffBoxes(BEFORE, after)).toEqual({
+      added: [
+        { variant: "N", name: "Pichu", gender: "♂", unknown: false, level: "6", count: 1 },
+        { variant: "S", name: "Lugia", gender: "", unknown: true, level: "5", count: 1 },
+      ],
+      removed: [
+        { variant: "G", name: "Mewtwo", gender: "", unknown: true, level: "5", count: 1 },
+        { variant: "N", name: "Pichu", gender: "♂", unknown: false, level: "4", count: 2 },
+      ],
+    });
+  });
+
+  test("groups lines by variant and sorts them by level", () => {
+    const diff = diffBoxes(BEFORE, [
+      { variant: "N", name: "Pichu", gender: "♂", unknown: false, level: "9", count: 3 },
+      { variant: "G", name: "Mewtwo", gender: "", unknown: true, level: "5", count: 1 },
+    ]);
+    const [message] = buildDiffMessages({ header: "HEADER", diff });
+    expect(message).toBe(
+      ["HEADER", "**Normal**", "```diff", "- Pichu ♂ (Level: 4) x3", "+ Pichu ♂ (Level: 9) x3", "```"].join("\n")
+    );
+    expect(buildDiffMessages({ header: "HEADER", diff: { added: [], removed: [] } })).toEqual(["HEADER\nNo changes."]);
+  });
+});
+
+describe("/boxdiff", () => {
+  test("requires the ID to be tracked", async () => {
+    const { boxdiff } = getHandlers();
+    const interaction = mockInteraction();
+    await boxdiff({ interaction });
+    expect(interaction.editReply.mock.calls[0][0].content).toContain("`/boxtrack add id:7`");
+    expect(viewboxMocks.fetchViewboxEntries).not.toHaveBeenCalled();
+  });
+
+  test("compares with the last snapshot on or before the date and stores the live box", async () => {
+    mockExecute.mockResolvedValueOnce([[{ trainer_id: "7", daily: 0 }]]);
+    storageMocks.getBoxSnapshot.mockResolvedValue({
+      capturedAtMs: Date.UTC(2026, 0, 31, 12),
+      trainerName: "Ash",
+      entries: [{ variant: "G", name: "Mewtwo", gender: "", unknown: false, level: "5", count: 1 }],
+    });
+    viewboxMocks.fetchViewboxEntries.mockResolvedValue(box(["S", "Lugia", "5"]));
+    const { boxdiff } = getHandlers();
+    const interaction = mockInteraction({ date: "2026-01-31" });
+
+    await boxdiff({ interaction });
+
+    expect(storageMocks.getBoxSnapshot).toHaveBeenCalledWith({
+      trainerId: "7",
+      scope: "user:u1",
+      atOrBeforeMs: __testables.parseDateEnd("2026-01-31"),
+    });
+    expect(storageMocks.insertBoxSnapshot.mock.calls[0][0]).toMatchObject({
+      trainerId: "7",
+      scope: "user:u1",
+      trainerName: "Ash",
+    });
+    const content = interaction.editReply.mock.calls[0][0].content;
+    expect(content).toContain("**Ash** (ID 7)");
+    expect(content).toContain("**+1** added, **-1** removed");
+    expect(content).toContain("+ Lugia (Level: 5)");
+    expect(content).toContain("- Mewtwo (Level: 5)");
+  });
+
+  test("falls back to the daily digest history for a dated lookup", async () => {
+    mockExecute.mockResolvedValueOnce([[{ trainer_id: "7", daily: 1 }]]);
+    storageMocks.getBoxSnapshot.mockImplementation(async ({ scope }) =>
+      scope === "digest"
+        ? {
+            capturedAtMs: Date.UTC(2026, 0, 30, 12),
+            trainerName: "Ash",
+            entries: [{ variant: "G", name: "Mewtwo", gender: "", unknown: false, level: "5", count: 1 }],
+          }
+        : null
+    );
+    viewboxMocks.fetchViewboxEntries.mockResolvedValue(box(["G", "Mewtwo", "5"], ["S", "Lugia", "5"]));
+    const { boxdiff } = getHandlers();
+    const interaction = mockInteraction({ date: "2026-01-31" });
+
+    await boxdiff({ interaction });
+
+    expect(storageMocks.getBoxSnapshot).toHaveBeenLastCalledWith({
+      trainerId: "7",
+      scope: "digest",
+      atOrBeforeMs: __testables.parseDateEnd("2026-01-31"),
+    });
+    const content = interaction.editReply.mock.calls[0][0].content;
+    expect(content).toContain("**+1** added, **-0** removed");
+    expect(content).toContain("+ Lugia (Level: 5)");
+  });
+
+  test("saves a baseline when the tracked ID has no snapshot yet", async () => {
+    mockExecute.mockResolvedValueOnce([[{ trainer_id: "7", daily: 0 }]]);
+    viewboxMocks.fetchViewboxEntries.mockResolvedValue(box(["N", "Pichu", "4"], ["N", "Pichu", "4"]));
+    const { boxdiff } = getHandlers();
+    const interaction = mockInteraction();
+
+    await boxdiff({ interaction });
+
+    expect(storageMocks.insertBoxSnapshot).toHaveBeenCalledTimes(1);
+    expect(interaction.editReply.mock.calls[0][0].content).toContain("baseline snapshot of ID 7 (2 Pokemon)");
+  });
+
+  test("rejects malformed dates", async () => {
+    const { boxdiff } = getHandlers();
+    const interaction = mockInteraction({ date: "yesterday" });
+    await boxdiff({ interaction });
+    expect(interaction.editReply.mock.calls[0][0].content).toBe("❌ Use a date like `2026-01-31`.");
+  });
+});
+
+describe("daily digest", () => {
+  test("DMs each daily subscriber once when the box changed", async () => {
+    mockExecute.mockResolvedValueOnce([
+      [
+        { user_id: "u1", trainer_id: "7" },
+        { user_id: "u1", trainer_id: "7" },
+        { user_id: "u2", trainer_id: "7" },
+      ],
+    ]);
+    storageMocks.getBoxSnapshot.mockResolvedValue({ capturedAtMs: 0, trainerName: "Ash", entries: [] });
+    viewboxMocks.fetchViewboxEntries.mockResolvedValue(box(["D", "Eevee", "10"]));
+    const fetchUser = vi.fn(async (id) => ({ id }));
+
+    const res = await runDailyDigest({ rpgClient: {}, discordClient: { users: { fetch: fetchUser } } });
+
+    expect(res).toEqual({ sent: 2 });
+    expect(storageMocks.getBoxSnapshot).toHaveBeenCalledWith({ trainerId: "7", scope: "digest" });
+    expect(storageMocks.insertBoxSnapshot.mock.calls[0][0]).toMatchObject({ trainerId: "7", scope: "digest" });
+    expect(fetchUser.mock.calls.map(([id]) => id)).toEqual(["u1", "u2"]);
+    const messages = dmMocks.sendDmBatch.mock.calls[0][0].messages;
+    expect(messages[0]).toContain("+ Eevee (Level: 10)");
+    expect(messages[0]).toContain("_Stop with /boxtrack remove._");
+    expect(dmMocks.sendDmBatch.mock.calls[0][0].feature).toBe("box_diff");
+  });
+
+  test("a failing tick is logged instead of rejecting", async () => {
+    mockExecute.mockRejectedValueOnce(new Error("db down"));
+    const warn = vi.spyOn(logger, "warn").mockImplementation(() => {});
+
+    await expect(__testables.digestTick({}, Date.UTC(2026, 9, 19, 15))).resolves.toBeUndefined();
+
+    expect(warn).toHaveBeenCalledWith("box_diff.digest.tick.failed", expect.objectContaining({ error: expect.anything() }));
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,160 @@
+import { beforeEach, describe, expect, test, vi } from "vitest";
+
+const dbMocks = vi.hoisted(() => ({
+  getUserText: vi.fn(async () => null),
+  setUserText: vi.fn(async () => {}),
+}));
+vi.mock("../../db.js", () => dbMocks);
+
+const viewboxMocks = vi.hoisted(() => ({ fetchViewboxEntries: vi.fn(async () => ({ entries: [], trainerName: "" })) }));
+vi.mock("../../rpg/viewbox.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchViewboxEntries: viewboxMocks.fetchViewboxEntries,
+}));
+
+const rpginfoMocks = vi.hoisted(() => ({ getTrainingChallengeIneligible: vi.fn(async () => []) }));
+vi.mock("../../rpg/rpginfo.js", () => rpginfoMocks);
+
+vi.mock("../../rpg/credentials.js", () => ({ requireRpgCredentials: () => true }));
+vi.mock("../../rpg/client_factory.js", () => ({ createRpgClientFactory: () => () => ({}) }));
+
+const userIdMocks = vi.hoisted(() => ({ loadUserIds: vi.fn(async () => []) }));
+vi.mock("../../shared/user_ids.js", () => userIdMocks);
+
+import {
+  __testables,
+  annotateMissing,
+  registerCollection,
+  resolveGoalSpecies,
+  summarizeCollection,
+} from "../../rpg/collection.js";
+
+function mon(variant, name, gender = "") {
+  return { variant, name, level: "5", gender, unknown: false };
+}
+
+function getHandler() {
+  const register = vi.fn();
+  register.slash = vi.fn();
+  registerCollection(register);
+  return register.slash.mock.calls[0][1];
+}
+
+function mockInteraction(opts = {}) {
+  return {
+    guildId: "g1",
+    user: { id: "u1" },
+    deferReply: vi.fn(async () => {}),
+    editReply: vi.fn(async () => {}),
+    reply: vi.fn(async () => {}),
+    options: {
+      getString: (name) => opts[name] ?? null,
+      getUser: () => opts.user ?? null,
+    },
+  };
+}
+
+beforeEach(() => {
+  __testables.resetState();
+  dbMocks.getUserText.mockReset();
+  dbMocks.getUserText.mockResolvedValue(null);
+  dbMocks.setUserText.mockClear();
+  viewboxMocks.fetchViewboxEntries.mockReset();
+  viewboxMocks.fetchViewboxEntries.mockResolvedValue({ entries: [], trainerName: "" });
+  rpginfoMocks.getTrainingChallengeIneligible.mockReset();
+  rpginfoMocks.getTrainingChallengeIneligible.mockResolvedValue([]);
+  userIdMocks.loadUserIds.mockReset();
+  userIdMocks.loadUserIds.mockResolvedValue([]);
+});
+
+describe("goals", () => {
+  test("presets resolve to one base form per dex number", async () => {
+    const gen1 = await resolveGoalSpecies({ preset: "gen1" });
+    expect(gen1.species).toHaveLength(151);
+    expect(gen1.species[0]).toMatchObject({ dex: 1, name: "Bulbasaur" });
+
+    const legends = await resolveGoalSpecies({ preset: "legends" });
+    expect(legends.species.map((s) => s.name)).toEqual(expect.arrayContaining(["Mewtwo", "Ho-Oh", "Tapu Koko"]));
+
+    const bases = (await resolveGoalSpecies({ preset: "golden_bases" })).species.map((s) => s.name);
+    expect(bases).toContain("Charmander");
+    expect(bases).not.toContain("Charizard");
+  });
+
+  test("custom lists dedupe species and report unknown names", async () => {
+    const { species, unknown } = await resolveGoalSpecies({
+      preset: "custom",
+      customList: "Mr. Mime, aegislash, Aegislash (Blade), Fakemon",
+    });
+    expect(species.map((s) => s.name)).toEqual(["MrMime", "Aegislash"]);
+    expect(unknown).toEqual(["Fakemon"]);
+  });
+});
+
+describe("summarizeCollection", () => {
+  test("counts species across boxes for the chosen variant", async () => {
+    const { species } = await resolveGoalSpecies({ preset: "custom", customList: "Pikachu, NidoranF, NidoranM, Mew" });
+    const boxEntries = [mon("G", "GoldenPikachu", "♂"), mon("N", "Nidoran", "♀"), mon("S", "ShinyMew")];
+
+    const any = summarizeCollection({ species, boxEntries });
+    expect(any).toMatchObject({ total: 4, owned: 3, percent: 75 });
+    expect(any.missing.map((s) => s.name)).toEqual(["NidoranM"]);
+
+    const golden = summarizeCollection({ species, boxEntries, variant: "golden" });
+    expect(golden.owned).toBe(1);
+    expect(__testables.speciesKey("DarkNidoran (?) ♂")).toBe("nidoranm");
+  });
+
+  test("flags missing species in Secret Swap and with TC-eligible bases", async () => {
+    const { species } = await resolveGoalSpecies({ preset: "custom", customList: "Pidgeotto, Charmeleon" });
+    const annotated = await annotateMissing({ missing: species, variant: "normal", ineligible: ["Charmander"] });
+    expect(annotated.map(({ name, tc }) => ({ name, tc }))).toEqual([
+      { name: "Pidgeotto", tc: true },
+      { name: "Charmeleon", tc: false },
+    ]);
+
+    const pidgeyGoal = await resolveGoalSpecies({ preset: "custom", customList: "Pidgey" });
+    const [pidgey] = await annotateMissing({ missing: pidgeyGoal.species, variant: "normal", ineligible: null });
+    expect(pidgey).toMatchObject({ swap: true, tc: null });
+  });
+});
+
+describe("/collection", () => {
+  test("reports progress across every saved ID", async () => {
+    userIdMocks.loadUserIds.mockResolvedValue([{ id: 1, label: "main" }, { id: 2 }]);
+    viewboxMocks.fetchViewboxEntries
+      .mockResolvedValueOnce({ entries: [mon("N", "Mewtwo")], trainerName: "A" })
+      .mockResolvedValueOnce({ entries: [mon("G", "GoldenMew")], trainerName: "B" });
+    const interaction = mockInteraction({ preset: "legends" });
+
+    await getHandler()({ interaction });
+
+    expect(viewboxMocks.fetchViewboxEntries.mock.calls.map((call) => call[1])).toEqual([1, 2]);
+    const embed = interaction.editReply.mock.calls[0][0].embeds[0].toJSON();
+    expect(embed.title).toBe("📚 Legends & Mythicals");
+    expect(embed.description).toContain("**2 / 66**");
+    expect(embed.description).toContain("Boxes checked: 1 (main), 2");
+    expect(embed.fields[0].name).toBe("Missing (64)");
+  });
+
+  test("saves a custom list and reuses it when no species are given", async () => {
+    userIdMocks.loadUserIds.mockResolvedValue([{ id: 1 }]);
+    const first = mockInteraction({ preset: "custom", species: "Pikachu, Eevee" });
+    await getHandler()({ interaction: first });
+    expect(dbMocks.setUserText).toHaveBeenCalledWith({ guildId: "g1", userId: "u1", kind: "collect", text: "Pikachu, Eevee" });
+
+    __testables.resetState();
+    dbMocks.getUserText.mockResolvedValue("Pikachu, Eevee");
+    const again = mockInteraction({ preset: "custom", variant: "shiny" });
+    await getHandler()({ interaction: again });
+    const embed = again.editReply.mock.calls[0][0].embeds[0].toJSON();
+    expect(embed.title).toBe("📚 Custom list — Shiny");
+    expect(embed.fields[0].value).toBe("Pikachu, Eevee");
+  });
+
+  test("asks for saved IDs first", async () => {
+    const interaction = mockInteraction({ preset: "gen1" });
+    await getHandler()({ interaction });
+    expect(interaction.editReply.mock.calls[0][0].content).toBe("❌ <@u1> has not set an ID.");
+  });
+});
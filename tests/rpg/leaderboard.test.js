@@ -6,6 +6,11 @@ const storageMocks = vi.hoisted(() => ({
   upsertLeaderboard: vi.fn(),
   incrementLeaderboardHistory: vi.fn(),
   getLeaderboardHistoryTop: vi.fn(),
+  insertLeaderboardSnapshot: vi.fn(async () => 0),
+  getLatestLeaderboardSnapshotAt: vi.fn(async () => null),
+  getSnapshotTrainerName: vi.fn(async () => null),
+  getLeaderboardTrend: vi.fn(async () => []),
+  pruneLeaderboardSnapshots: vi.fn(async () => 0),
 }));
 
 const pokedexMocks = vi.hoisted(() => ({
@@ -268,6 +273,30 @@ describe("rpg leaderboard register", () => {
     expect(body).toContain("Team Galactic");
   });
 
+  it("routes trend requests without needing RPG credentials", async () => {
+    delete process.env.RPG_USERNAME;
+    delete process.env.RPG_PASSWORD;
+    storageMocks.getLeaderboardTrend.mockResolvedValueOnce([]);
+
+    const register = makeRegister();
+    registerLeaderboard(register);
+    const handler = getHandler(register, "!leaderboard");
+
+    const message = makeMessage();
+    await handler({ message, rest: "roulette weekly trend score Ash" });
+
+    expect(storageMocks.getLeaderboardTrend).toHaveBeenCalledWith(
+      expect.objectContaining({ challenge: "roulette_weekly", trainerName: "Ash" })
+    );
+    expect(message.reply).toHaveBeenCalledWith({
+      content: "No Battle Roulette (Weekly) history recorded for **Ash** in the last 30 days.",
+      allowedMentions: { parse: [] },
+    });
+
+    await handler({ message, rest: "pokemon trend" });
+    expect(message.reply.mock.calls[1][0]).toContain("Usage:");
+  });
+
   it("renders history for ssanne", async () => {
     delete process.env.RPG_USERNAME;
     delete process.env.RPG_PASSWORD;
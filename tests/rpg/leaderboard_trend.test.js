@@ -0,0 +1,155 @@
+import { beforeEach, describe, expect, test, vi } from "vitest";
+
+const storageMocks = vi.hoisted(() => ({
+  insertLeaderboardSnapshot: vi.fn(async () => 0),
+  getLatestLeaderboardSnapshotAt: vi.fn(async () => null),
+  getSnapshotTrainerName: vi.fn(async () => null),
+  getLeaderboardTrend: vi.fn(async () => []),
+  pruneLeaderboardSnapshots: vi.fn(async () => 0),
+}));
+vi.mock("../../rpg/storage.js", () => storageMocks);
+
+const userIdMocks = vi.hoisted(() => ({ loadUserIds: vi.fn(async () => []) }));
+vi.mock("../../shared/user_ids.js", () => userIdMocks);
+
+const sharpMocks = vi.hoisted(() => {
+  const toBuffer = vi.fn(async () => Buffer.from("png"));
+  const sharp = vi.fn(() => ({ png: () => ({ toBuffer }) }));
+  return { sharp, toBuffer };
+});
+vi.mock("sharp", () => ({ default: sharpMocks.sharp }));
+
+import {
+  __testables,
+  buildTrendPoints,
+  cleanupOldSnapshots,
+  handleLeaderboardTrend,
+  recordLeaderboardSnapshot,
+  toSnapshotEntries,
+} from "../../rpg/leaderboard_trend.js";
+import { buildLineChartSvg } from "../../shared/line_chart_svg.js";
+
+const DAY = 24 * 60 * 60_000;
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+function makeMessage() {
+  return { guildId: "g1", author: { id: "u1" }, reply: vi.fn(async () => ({})) };
+}
+
+beforeEach(() => {
+  __testables.resetState();
+  for (const fn of Object.values(storageMocks)) fn.mockClear();
+  storageMocks.getLatestLeaderboardSnapshotAt.mockResolvedValue(null);
+  storageMocks.getLeaderboardTrend.mockResolvedValue([]);
+  storageMocks.getSnapshotTrainerName.mockResolvedValue(null);
+  userIdMocks.loadUserIds.mockReset();
+  userIdMocks.loadUserIds.mockResolvedValue([]);
+  sharpMocks.sharp.mockClear();
+  delete process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MINUTES;
+  delete process.env.LEADERBOARD_SNAPSHOT_RETENTION_DAYS;
+});
+
+describe("snapshots", () => {
+  test("normalizes rows into rank, trainer and numeric score", () => {
+    const rows = [
+      { rank: "1", trainer: "Ash", trainerId: "7", wins: "1,204" },
+      { rank: "2", trainer: "Misty", trainerId: null, wins: "" },
+    ];
+    expect(toSnapshotEntries("ssanne", rows)).toEqual([
+      { position: 1, trainerId: "7", trainerName: "Ash", score: 1204 },
+      { position: 2, trainerId: null, trainerName: "Misty", score: null },
+    ]);
+    expect(toSnapshotEntries("speed_hof", rows)).toEqual([]);
+    expect(__testables.parseScore("Floor 25")).toBe(25);
+  });
+
+  test("stores at most one snapshot per challenge per interval", async () => {
+    const rows = [{ trainer: "Ash", trainerId: "7", wins: "3" }];
+    storageMocks.getLatestLeaderboardSnapshotAt.mockResolvedValueOnce(NOW - 40 * 60_000);
+
+    expect(await recordLeaderboardSnapshot({ challengeKey: "ssanne", rows, nowMs: NOW })).toBe(true);
+    expect(await recordLeaderboardSnapshot({ challengeKey: "ssanne", rows, nowMs: NOW + 60_000 })).toBe(false);
+    expect(storageMocks.insertLeaderboardSnapshot).toHaveBeenCalledTimes(1);
+    expect(storageMocks.insertLeaderboardSnapshot.mock.calls[0][0]).toMatchObject({
+      challenge: "ssanne",
+      capturedAtMs: NOW,
+    });
+
+    process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MINUTES = "0";
+    expect(await recordLeaderboardSnapshot({ challengeKey: "ssanne", rows, nowMs: NOW + 60_000 })).toBe(true);
+  });
+
+  test("prunes snapshots past the retention window", async () => {
+    process.env.LEADERBOARD_SNAPSHOT_RETENTION_DAYS = "10";
+    await cleanupOldSnapshots(NOW);
+    expect(storageMocks.pruneLeaderboardSnapshots).toHaveBeenCalledWith({ beforeMs: NOW - 10 * DAY });
+  });
+});
+
+describe("trend charts", () => {
+  test("keeps the last snapshot of each ET day", () => {
+    const points = buildTrendPoints(
+      [
+        { capturedAtMs: NOW - DAY, position: 5, score: 10 },
+        { capturedAtMs: NOW - 60_000, position: 4, score: 12 },
+        { capturedAtMs: NOW, position: 2, score: 15 },
+      ],
+      "rank"
+    );
+    expect(points).toEqual([
+      { label: "Oct 18", value: 5 },
+      { label: "Oct 19", value: 2 },
+    ]);
+  });
+
+  test("buildLineChartSvg draws one dot per point and escapes text", () => {
+    const svg = buildLineChartSvg({
+      points: [
+        { label: "Oct 1", value: 3 },
+        { label: "Oct 2", value: 1 },
+      ],
+      title: "SS Anne — <Ash>",
+      invertY: true,
+    });
+    expect(svg.match(/<circle /g)).toHaveLength(2);
+    expect(svg).toContain("SS Anne — &lt;Ash&gt;");
+  });
+
+  test("charts the caller's saved ID and falls back to its last known name", async () => {
+    userIdMocks.loadUserIds.mockResolvedValue([{ id: 7, label: null }]);
+    storageMocks.getSnapshotTrainerName.mockResolvedValue("Ash");
+    storageMocks.getLeaderboardTrend
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([
+        { capturedAtMs: NOW - DAY, position: 3, score: 1, trainerName: "Ash" },
+        { capturedAtMs: NOW, position: 1, score: 4, trainerName: "Ash" },
+      ]);
+    const message = makeMessage();
+
+    await handleLeaderboardTrend({ message, challengeKey: "ssanne", challengeName: "SS Anne", args: [], nowMs: NOW });
+
+    expect(storageMocks.getLeaderboardTrend.mock.calls[0][0]).toMatchObject({ challenge: "ssanne", trainerId: "7" });
+    expect(storageMocks.getLeaderboardTrend.mock.calls[1][0]).toMatchObject({ trainerName: "Ash" });
+    const payload = message.reply.mock.calls[0][0];
+    expect(payload.content).toBe("📈 **SS Anne** rank trend for **Ash**");
+    expect(payload.files[0].name).toBe("ssanne-trend.png");
+    expect(payload.allowedMentions).toEqual({ parse: [] });
+    expect(sharpMocks.sharp).toHaveBeenCalledTimes(1);
+  });
+
+  test("asks for a trainer when none is given and no ID is saved", async () => {
+    const message = makeMessage();
+    await handleLeaderboardTrend({ message, challengeKey: "tc", challengeName: "Training Challenge", args: ["score"] });
+    expect(message.reply.mock.calls[0][0]).toContain("Name a trainer");
+  });
+
+  test("does not ping when echoing a trainer name back", async () => {
+    storageMocks.getLeaderboardTrend.mockResolvedValue([{ capturedAtMs: NOW, position: 2, score: 1, trainerName: "@everyone" }]);
+    const message = makeMessage();
+    await handleLeaderboardTrend({ message, challengeKey: "ssanne", challengeName: "SS Anne", args: ["@everyone"], nowMs: NOW });
+    expect(message.reply.mock.calls[0][0]).toMatchObject({
+      content: expect.stringContaining("Only one day of SS Anne history for **@everyone**"),
+      allowedMentions: { parse: [] },
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { beforeEach, describe, expect, test, vi } from "vitest";
+
+const dbMocks = vi.hoisted(() => ({
+  getUserText: vi.fn(async () => null),
+  getSavedId: vi.fn(async () => null),
+  listUserTexts: vi.fn(async () => []),
+}));
+const leaderboardMocks = vi.hoisted(() => ({ findTrainerStandings: vi.fn(async () => []) }));
+const storageMocks = vi.hoisted(() => ({ getLeaderboardHistoryForTrainers: vi.fn(async () => []) }));
+const viewboxMocks = vi.hoisted(() => ({ fetchViewboxEntries: vi.fn(async () => ({ entries: [], trainerName: "" })) }));
+const credentialMocks = vi.hoisted(() => ({ hasRpgCredentials: vi.fn(() => true) }));
+
+vi.mock("../../db.js", () => dbMocks);
+vi.mock("../../rpg/leaderboard.js", () => leaderboardMocks);
+vi.mock("../../rpg/storage.js", () => storageMocks);
+vi.mock("../../rpg/viewbox.js", () => viewboxMocks);
+vi.mock("../../rpg/credentials.js", () => credentialMocks);
+vi.mock("../../rpg/client_factory.js", () => ({ createRpgClientFactory: () => () => ({}) }));
+vi.mock("../../tools/sortbox.js", () => ({ DEFAULT_LEGENDS_MYTHICALS_GEN7: ["Mewtwo", "Lugia"] }));
+
+import { __testables, buildProfileData, registerProfile, summarizeBoxEntries } from "../../rpg/profile.js";
+
+function texts(map) {
+  return async ({ kind }) => map[kind] ?? null;
+}
+
+function getHandlers() {
+  const register = vi.fn();
+  register.slash = vi.fn();
+  register.component = vi.fn();
+  registerProfile(register);
+  return { slash: register.slash.mock.calls[0][1], button: register.component.mock.calls[0][1] };
+}
+
+beforeEach(() => {
+  __testables.resetState();
+  vi.clearAllMocks();
+  dbMocks.getUserText.mockImplementation(async () => null);
+  dbMocks.listUserTexts.mockResolvedValue([]);
+  leaderboardMocks.findTrainerStandings.mockResolvedValue([]);
+  storageMocks.getLeaderboardHistoryForTrainers.mockResolvedValue([]);
+  viewboxMocks.fetchViewboxEntries.mockResolvedValue({ entries: [], trainerName: "" });
+  credentialMocks.hasRpgCredentials.mockReturnValue(true);
+});
+
+describe("summarizeBoxEntries", () => {
+  test("counts variants and legends across variants", () => {
+    expect(
+      summarizeBoxEntries([
+        { variant: "G", name: "GoldenMewtwo" },
+        { variant: "S", name: "ShinyPichu" },
+        { variant: "D", name: "DarkLugia" },
+        { variant: "N", name: "Pichu" },
+      ])
+    ).toEqual({ total: 4, golden: 1, shiny: 1, dark: 1, normal: 1, legends: 2 });
+  });
+});
+
+describe("buildProfileData", () => {
+  test("aggregates every source for a member", async () => {
+    dbMocks.getUserText.mockImplementation(
+      texts({ fuser: "AshK", ids: JSON.stringify({ ids: [{ id: 123, label: "main" }] }), ft: "GPichu", lf: null })
+    );
+    leaderboardMocks.findTrainerStandings.mockResolvedValue([
+      { challenge: "trainers", challengeName: "Top Trainers", rank: "4", trainer: "Ash", faction: "Team Rocket", level: "5,000", trainerId: "123" },
+    ]);
+    viewboxMocks.fetchViewboxEntries.mockResolvedValue({
+      entries: [{ variant: "G", name: "GoldenMewtwo" }],
+      trainerName: "Ash",
+    });
+    storageMocks.getLeaderboardHistoryForTrainers.mockResolvedValue([{ challenge: "ssanne", wins: 3 }]);
+
+    const data = await buildProfileData({ guildId: "g1", userId: "u1", client: {} });
+
+    expect(data.forumUser).toBe("AshK");
+    expect(data.ids).toEqual([expect.objectContaining({ id: 123, label: "main" })]);
+    expect(data.box).toMatchObject({ trainerId: "123", total: 1, golden: 1, legends: 1 });
+    expect(storageMocks.getLeaderboardHistoryForTrainers).toHaveBeenCalledWith({ keys: ["123", "Ash"] });
+
+    const pages = __testables.buildPages(data).map((embed) => embed.toJSON());
+    expect(pages).toHaveLength(5);
+    expect(pages[0].title).toBe("Trainer profile — Ash");
+    expect(pages[1].fields[0].value).toContain("**Top Trainers** — #4 Ash (Team Rocket) • Lv 5,000 • ID 123");
+    expect(pages[2].fields[0].value).toBe("**SS Anne** — 3 wins");
+    expect(pages[3].fields[0].value).toContain("Legends/Mythicals: **1**");
+    expect(pages[4].fields[0].value).toBe("GPichu");
+  });
+
+  test("looks up the member who saved a trainer ID", async () => {
+    dbMocks.listUserTexts.mockResolvedValue([
+      { userId: "u9", text: JSON.stringify({ ids: [{ id: 55 }] }) },
+    ]);
+    credentialMocks.hasRpgCredentials.mockReturnValue(false);
+
+    const data = await buildProfileData({ guildId: "g1", trainerId: 55 });
+
+    expect(data.userId).toBe("u9");
+    expect(data.notes.box).toBe("RPG credentials are not configured.");
+    expect(viewboxMocks.fetchViewboxEntries).not.toHaveBeenCalled();
+  });
+});
+
+describe("/profile", () => {
+  function mockInteraction({ user = null, id = null } = {}) {
+    return {
+      guildId: "g1",
+      user: { id: "u1" },
+      deferReply: vi.fn(async () => {}),
+      editReply: vi.fn(async () => {}),
+      reply: vi.fn(async () => {}),
+      options: { getUser: () => user, getInteger: () => id },
+    };
+  }
+
+  test("shows the overview with one button per section and switches pages for the invoker", async () => {
+    const { slash, button } = getHandlers();
+    const interaction = mockInteraction();
+    await slash({ interaction });
+
+    const payload = interaction.editReply.mock.calls[0][0];
+    const buttons = payload.components[0].toJSON().components;
+    expect(buttons.map((b) => b.label)).toEqual(["Overview", "Ranks", "Wins", "Box", "FT / LF"]);
+    expect(payload.embeds[0].toJSON().fields[0].value).toBe("<@u1>");
+
+    const update = vi.fn(async () => {});
+    await button({ interaction: { customId: buttons[4].custom_id, user: { id: "u1" }, update } });
+    expect(update.mock.calls[0][0].embeds[0].toJSON().footer.text).toBe("FT / LF • 5/5");
+
+    const reply = vi.fn(async () => {});
+    await button({ interaction: { customId: buttons[1].custom_id, user: { id: "u2" }, update, reply } });
+    expect(reply.mock.calls[0][0].content).toBe("Only the person who ran the command can use these buttons.");
+  });
+
+  test("rejects user and id together, and expired sessions", async () => {
+    const { slash, button } = getHandlers();
+    const interaction = mockInteraction({ user: { id: "u2" }, id: 5 });
+    await slash({ interaction });
+    expect(interaction.reply.mock.calls[0][0].content).toBe("Use either `user` or `id`, not both.");
+
+    const update = vi.fn(async () => {});
+    await button({ interaction: { customId: "profile:gone:1", user: { id: "u1" }, update } });
+    expect(update).toHaveBeenCalledWith({ content: "This profile has expired. Run `/profile` again.", components: [] });
+  });
+});
@@ -0,0 +1,150 @@
+import { beforeEach, describe, expect, test, vi } from "vitest";
+
+const mockExecute = vi.fn(async () => [[], []]);
+vi.mock("../../db.js", () => ({
+  getDb: () => ({ execute: mockExecute }),
+}));
+
+const userIdMocks = vi.hoisted(() => ({ loadUserIds: vi.fn(async () => []) }));
+vi.mock("../../shared/user_ids.js", () => userIdMocks);
+
+const dmMocks = vi.hoisted(() => ({ sendDm: vi.fn(async () => ({ ok: true })) }));
+vi.mock("../../shared/dm.js", () => dmMocks);
+
+import {
+  __testables,
+  diffTrainerRank,
+  isRankTracked,
+  learnTrainerNames,
+  loadTrackedChallenges,
+  notifyRankChanges,
+  registerRankTracker,
+} from "../../rpg/rank_tracker.js";
+
+function rows(...trainers) {
+  return trainers.map(([trainer, trainerId = null], idx) => ({ rank: String(idx + 1), trainer, trainerId }));
+}
+
+const BEFORE = rows(["Ash", "1"], ["Misty", "2"], ["Brock", "3"], ["Gary", "4"]);
+
+beforeEach(() => {
+  __testables.resetState();
+  mockExecute.mockReset();
+  mockExecute.mockResolvedValue([[], []]);
+  userIdMocks.loadUserIds.mockReset();
+  userIdMocks.loadUserIds.mockResolvedValue([]);
+  dmMocks.sendDm.mockClear();
+});
+
+describe("diffTrainerRank", () => {
+  test("reports entering, leaving and moving within the top N", () => {
+    const after = rows(["Ash", "1"], ["Gary", "4"], ["Misty", "2"], ["Brock", "3"]);
+    expect(diffTrainerRank({ previousRows: BEFORE, rows: after, trainerId: 4, topN: 3 })).toEqual([
+      { type: "entered", from: 4, to: 2 },
+    ]);
+    expect(diffTrainerRank({ previousRows: BEFORE, rows: after, trainerId: 3, topN: 3 })).toEqual([
+      { type: "left", from: 3, to: 4 },
+      { type: "passed", by: ["Gary"] },
+    ]);
+    expect(diffTrainerRank({ previousRows: BEFORE, rows: after, trainerId: 2, topN: 3 })).toEqual([
+      { type: "moved", from: 2, to: 3 },
+      { type: "passed", by: ["Gary"] },
+    ]);
+    expect(diffTrainerRank({ previousRows: BEFORE, rows: after, trainerId: 1, topN: 3 })).toEqual([]);
+  });
+
+  test("ignores empty snapshots and board resets", () => {
+    expect(diffTrainerRank({ previousRows: [], rows: BEFORE, trainerId: 1 })).toEqual([]);
+    const reset = rows(["Lance", "9"]);
+    expect(diffTrainerRank({ previousRows: BEFORE, rows: reset, trainerId: 1 })).toEqual([]);
+  });
+
+  test("matches ID-less boards by the last known trainer name", () => {
+    learnTrainerNames(rows(["Ash", "1"]));
+    const prev = rows(["Misty"], ["Ash"]);
+    const next = rows(["Ash"], ["Misty"]);
+    expect(diffTrainerRank({ previousRows: prev, rows: next, trainerId: 1, topN: 5 })).toEqual([
+      { type: "moved", from: 2, to: 1 },
+    ]);
+  });
+});
+
+describe("notifyRankChanges", () => {
+  test("DMs each subscriber once with their changes", async () => {
+    mockExecute
+      .mockResolvedValueOnce([[{ challenge: "ssanne" }], []])
+      .mockResolvedValueOnce([
+        [
+          { guild_id: "g1", user_id: "u1", challenge: "ssanne", top_n: 3 },
+          { guild_id: "g2", user_id: "u1", challenge: "ssanne", top_n: 3 },
+        ],
+        [],
+      ]);
+    userIdMocks.loadUserIds.mockResolvedValue([{ id: 4, label: "main" }]);
+    await loadTrackedChallenges();
+    const user = { id: "u1" };
+    const client = { users: { fetch: vi.fn(async () => user) } };
+
+    const after = rows(["Ash", "1"], ["Gary", "4"], ["Misty", "2"], ["Brock", "3"]);
+    const res = await notifyRankChanges({ challengeKey: "ssanne", previousRows: BEFORE, rows: after, client });
+
+    expect(res).toEqual({ sent: 1 });
+    expect(mockExecute.mock.calls[1][1]).toEqual(["ssanne"]);
+    const { payload, feature } = dmMocks.sendDm.mock.calls[0][0];
+    expect(feature).toBe("rank_tracker");
+    expect(payload.content.split("\n")).toEqual([
+      "📈 Rank update",
+      "• **SS Anne** — main (4) entered the top 3 at **#2**",
+      "_Stop with /trackrank remove._",
+    ]);
+  });
+
+  test("skips untracked challenges without touching the DB", async () => {
+    expect(isRankTracked("tc")).toBe(false);
+    await notifyRankChanges({ challengeKey: "tc", previousRows: BEFORE, rows: BEFORE });
+    expect(mockExecute).not.toHaveBeenCalled();
+  });
+});
+
+describe("/trackrank", () => {
+  function getSlash() {
+    const register = vi.fn();
+    register.slash = vi.fn();
+    registerRankTracker(register);
+    return register.slash.mock.calls[0][1];
+  }
+
+  function mockInteraction({ sub, strings = {}, ints = {} }) {
+    return {
+      guildId: "g1",
+      user: { id: "u1" },
+      reply: vi.fn(async () => {}),
+      options: {
+        getSubcommand: () => sub,
+        getString: (name) => strings[name] ?? null,
+        getInteger: (name) => ints[name] ?? null,
+      },
+    };
+  }
+
+  test("add requires saved IDs", async () => {
+    const interaction = mockInteraction({ sub: "add", strings: { challenge: "tc" } });
+    await getSlash()({ interaction });
+    expect(interaction.reply.mock.calls[0][0].content).toContain("You have no saved trainer IDs");
+    expect(mockExecute).not.toHaveBeenCalled();
+  });
+
+  test("add stores the subscription and starts tracking the challenge", async () => {
+    userIdMocks.loadUserIds.mockResolvedValue([{ id: 4, label: null }]);
+    const interaction = mockInteraction({ sub: "add", strings: { challenge: "speedtower" }, ints: { top: 5 } });
+    await getSlash()({ interaction });
+
+    const [sql, params] = mockExecute.mock.calls[0];
+    expect(sql).toContain("INSERT INTO rpg_rank_tracks");
+    expect(params.slice(0, 4)).toEqual(["g1", "u1", "speedtower", 5]);
+    expect(isRankTracked("speedtower")).toBe(true);
+    expect(interaction.reply.mock.calls[0][0].content).toBe(
+      "✅ Tracking **Speed Tower** (top 5) for 4. I'll DM you when your ranks change."
+    );
+  });
+});
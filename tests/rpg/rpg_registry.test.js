@@ -11,6 +11,12 @@ async function loadRpg({ throwsAt = null } = {}) {
   const registerPokedex = vi.fn();
   const registerRpgInfo = vi.fn();
   const registerRpgInfoScheduler = vi.fn();
+  const registerRankTracker = vi.fn();
+  const registerRankTrackerScheduler = vi.fn();
+  const registerProfile = vi.fn();
+  const registerBoxDiff = vi.fn();
+  const registerBoxDiffScheduler = vi.fn();
+  const registerCollection = vi.fn();
 
   if (throwsAt === "leaderboard") registerLeaderboard.mockImplementation(() => {
     throw new Error("boom");
@@ -22,6 +28,10 @@ async function loadRpg({ throwsAt = null } = {}) {
   vi.doMock("../../rpg/viewbox.js", () => ({ registerViewbox }));
   vi.doMock("../../rpg/pokedex.js", () => ({ registerPokedex }));
   vi.doMock("../../rpg/rpginfo.js", () => ({ registerRpgInfo, registerRpgInfoScheduler }));
+  vi.doMock("../../rpg/rank_tracker.js", () => ({ registerRankTracker, registerRankTrackerScheduler }));
+  vi.doMock("../../rpg/profile.js", () => ({ registerProfile }));
+  vi.doMock("../../rpg/box_diff.js", () => ({ registerBoxDiff, registerBoxDiffScheduler }));
+  vi.doMock("../../rpg/collection.js", () => ({ registerCollection }));
 
   const mod = await import("../../rpg/rpg.js");
   return {
@@ -34,6 +44,12 @@ async function loadRpg({ throwsAt = null } = {}) {
     registerPokedex,
     registerRpgInfo,
     registerRpgInfoScheduler,
+    registerRankTracker,
+    registerRankTrackerScheduler,
+    registerProfile,
+    registerBoxDiff,
+    registerBoxDiffScheduler,
+    registerCollection,
   };
 }
 
@@ -51,6 +67,10 @@ describe("rpg registry", () => {
       "viewbox",
       "pokedex",
       "rpginfo",
+      "rank_tracker",
+      "profile",
+      "box_diff",
+      "collection",
     ]);
   });
 
@@ -63,6 +83,10 @@ describe("rpg registry", () => {
       registerViewbox,
       registerPokedex,
       registerRpgInfo,
+      registerRankTracker,
+      registerProfile,
+      registerBoxDiff,
+      registerCollection,
     } = await loadRpg();
 
     const register = { info: vi.fn() };
@@ -74,6 +98,10 @@ describe("rpg registry", () => {
     expect(registerViewbox).toHaveBeenCalledWith(register);
     expect(registerPokedex).toHaveBeenCalledWith(register);
     expect(registerRpgInfo).toHaveBeenCalledWith(register);
+    expect(registerRankTracker).toHaveBeenCalledWith(register);
+    expect(registerProfile).toHaveBeenCalledWith(register);
+    expect(registerBoxDiff).toHaveBeenCalledWith(register);
+    expect(registerCollection).toHaveBeenCalledWith(register);
   });
 
   it("logs errors but continues registration", async () => {
@@ -156,4 +156,14 @@ describe("rpg/storage", () => {
     );
     expect(result).toEqual(rows);
   });
+
+  it("getBoxSnapshot bounds by date and parses stored entries", async () => {
+    const rows = [{ captured_at_ms: "1000", trainer_name: null, entries_json: '[{"name":"Pichu","count":2}]' }];
+    const { getBoxSnapshot, execute } = await loadStorage({ rows });
+
+    const result = await getBoxSnapshot({ trainerId: 7, scope: "user:u1", atOrBeforeMs: 5000 });
+
+    expect(execute).toHaveBeenCalledWith(expect.stringContaining("captured_at_ms <= ?"), ["7", "user:u1", 5000]);
+    expect(result).toEqual({ capturedAtMs: 1000, trainerName: null, entries: [{ name: "Pichu", count: 2 }] });
+  });
 });
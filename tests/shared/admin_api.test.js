@@ -0,0 +1,135 @@
+import { EventEmitter } from "node:events";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const mocks = vi.hoisted(() => ({
+  setGuildSetting: vi.fn(),
+  clearGuildSetting: vi.fn(),
+  reloadGuildSettings: vi.fn(),
+}));
+
+vi.mock("../../shared/guild_settings.js", () => ({
+  describeSettings: () => [{ key: "welcome", label: "Welcome" }],
+  describeGuildSettings: (guildId) => [{ key: "welcome", value: { enabled: true }, guildId }],
+  isKnownSettingKey: (key) => key === "welcome",
+  listConfiguredGuildIds: () => ["222222"],
+  setGuildSetting: mocks.setGuildSetting,
+  clearGuildSetting: mocks.clearGuildSetting,
+  reloadGuildSettings: mocks.reloadGuildSettings,
+}));
+
+import { createAdminApiHandler, __testables } from "../../shared/admin_api.js";
+
+const { matchRoute, tokenMatches } = __testables;
+
+function makeReq({ method = "GET", url = "/", token = "secret", body } = {}) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.headers = token ? { authorization: `Bearer ${token}` } : {};
+  req.destroy = vi.fn();
+  setTimeout(() => {
+    if (body !== undefined) req.emit("data", Buffer.from(body));
+    req.emit("end");
+  }, 0);
+  return req;
+}
+
+function makeRes() {
+  const res = { status: null, headers: null, body: "" };
+  res.writeHead = (status, headers) => {
+    res.status = status;
+    res.headers = headers;
+  };
+  res.end = (payload = "") => {
+    res.body = payload;
+  };
+  res.json = () => JSON.parse(res.body);
+  return res;
+}
+
+async function call(handler, opts) {
+  const res = makeRes();
+  await handler(makeReq(opts), res);
+  return res;
+}
+
+describe("admin api", () => {
+  const client = { guilds: { cache: new Map([["111111", { id: "111111", name: "Test" }]]) } };
+  const handler = createAdminApiHandler({ client, token: "secret" });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("matches routes", () => {
+    expect(matchRoute("GET", "/api/guilds/123456/settings")).toEqual({ route: "guildSettings", guildId: "123456" });
+    expect(matchRoute("PUT", "/api/guilds/123456/settings/welcome")).toEqual({
+      route: "setSetting",
+      guildId: "123456",
+      key: "welcome",
+    });
+    expect(matchRoute("PUT", "/api/guilds/abc/settings/welcome")).toBe(null);
+    expect(matchRoute("POST", "/api/guilds")).toBe(null);
+  });
+
+  it("checks bearer tokens", () => {
+    expect(tokenMatches("secret", "Bearer secret")).toBe(true);
+    expect(tokenMatches("secret", "Bearer nope")).toBe(false);
+    expect(tokenMatches("secret", "secret")).toBe(false);
+    expect(tokenMatches("", "Bearer ")).toBe(false);
+  });
+
+  it("serves the dashboard without a token but protects the API", async () => {
+    const page = await call(handler, { url: "/", token: null });
+    expect(page.status).toBe(200);
+    expect(page.body).toContain("<html");
+
+    const denied = await call(handler, { url: "/api/guilds", token: "wrong" });
+    expect(denied.status).toBe(401);
+  });
+
+  it("lists joined and configured guilds", async () => {
+    const res = await call(handler, { url: "/api/guilds" });
+    expect(res.json().guilds).toEqual([
+      { id: "111111", name: "Test", joined: true },
+      { id: "222222", name: null, joined: false },
+    ]);
+  });
+
+  it("stores overrides and surfaces validation errors", async () => {
+    mocks.setGuildSetting.mockResolvedValueOnce({ ok: true, value: { enabled: false } });
+    const ok = await call(handler, {
+      method: "PUT",
+      url: "/api/guilds/111111/settings/welcome",
+      body: JSON.stringify({ value: { enabled: false } }),
+    });
+    expect(ok.status).toBe(200);
+    expect(mocks.setGuildSetting).toHaveBeenCalledWith({
+      guildId: "111111",
+      key: "welcome",
+      value: { enabled: false },
+      updatedBy: "admin-api",
+    });
+
+    mocks.setGuildSetting.mockResolvedValueOnce({ ok: false, errorText: "bad" });
+    const bad = await call(handler, {
+      method: "PUT",
+      url: "/api/guilds/111111/settings/welcome",
+      body: JSON.stringify({ value: 1 }),
+    });
+    expect(bad.status).toBe(400);
+    expect(bad.json().errorText).toBe("bad");
+
+    const notJson = await call(handler, { method: "PUT", url: "/api/guilds/111111/settings/welcome", body: "{" });
+    expect(notJson.status).toBe(400);
+
+    const unknown = await call(handler, { method: "DELETE", url: "/api/guilds/111111/settings/nope" });
+    expect(unknown.status).toBe(404);
+  });
+
+  it("returns 500 when the database fails", async () => {
+    mocks.reloadGuildSettings.mockRejectedValueOnce(new Error("db down"));
+    const res = await call(handler, { method: "POST", url: "/api/reload" });
+    expect(res.status).toBe(500);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from "vitest";
-import { computePageCountFromHtml } from "../../shared/forum_scrape.js";
+import { computePageCountFromHtml, extractThreadListings } from "../../shared/forum_scrape.js";
 
 describe("shared/forum_scrape.js", () => {
   it("parses page count from 'Show results' text", () => {
@@ -30,4 +30,20 @@ describe("shared/forum_scrape.js", () => {
   it("defaults to 1 when no markers are found", () => {
     expect(computePageCountFromHtml("no pagination here")).toBe(1);
   });
+
+  it("extracts threads from a subforum listing", () => {
+    const html = `
+      <td class="alt1" id="td_threadtitle_501">
+        <div><a href="showthread.php?s=abc&amp;t=501" id="thread_title_501">WTS: Golden Charizard &amp; more</a></div>
+        <div class="smallfont"><span style="cursor:pointer" onclick="window.open('member.php?u=9', '_self')">Haunter</span></div>
+      </td>
+      <td class="alt1" id="td_threadtitle_502">
+        <div><a href="showthread.php?t=502" id="thread_title_502">Contest results</a></div>
+      </td>
+    `;
+    expect(extractThreadListings(html)).toEqual([
+      { threadId: 501, title: "WTS: Golden Charizard & more", author: "Haunter" },
+      { threadId: 502, title: "Contest results", author: null },
+    ]);
+  });
 });
@@ -0,0 +1,139 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const mocks = vi.hoisted(() => ({
+  getDb: vi.fn(),
+}));
+
+vi.mock("../../db.js", () => ({ getDb: mocks.getDb }));
+vi.mock("../../configs/command_exposure.js", () => ({
+  COMMAND_EXPOSURE_BY_GUILD: { 111111: { "rng.roll": "q" } },
+  COMMAND_CHANNEL_POLICY_BY_GUILD: {},
+  SLASH_EXPOSURE_BY_GUILD: {},
+}));
+vi.mock("../../configs/rpg_event_channels.js", () => ({
+  RPG_EVENT_CHANNELS_BY_GUILD: { 111111: ["900001"] },
+}));
+vi.mock("../../configs/welcome_config.js", () => ({
+  WELCOME_GUILD_IDS: new Set(["111111"]),
+}));
+
+import {
+  clearGuildSetting,
+  describeGuildSettings,
+  getGuildSetting,
+  getSettingForAllGuilds,
+  reloadGuildSettings,
+  setGuildSetting,
+  updateGuildSettingEntry,
+  validateGuildSetting,
+  __testables,
+} from "../../shared/guild_settings.js";
+
+function mockDb(rows = []) {
+  const execute = vi.fn(async (sql) => (sql.includes("SELECT") ? [rows] : [{ affectedRows: 1 }]));
+  mocks.getDb.mockReturnValue({ execute });
+  return execute;
+}
+
+describe("guild settings", () => {
+  beforeEach(() => {
+    __testables.overrides.clear();
+    mocks.getDb.mockReset();
+  });
+
+  it("falls back to the configs/ defaults", () => {
+    expect(getGuildSetting("111111", "command_exposure")).toEqual({ "rng.roll": "q" });
+    expect(getGuildSetting("222222", "command_exposure")).toEqual({});
+    expect(getGuildSetting("111111", "welcome")).toEqual({ enabled: true });
+    expect(getGuildSetting("222222", "welcome")).toEqual({ enabled: false });
+    expect(() => getGuildSetting("111111", "nope")).toThrow();
+  });
+
+  it("validates values per key", () => {
+    expect(validateGuildSetting("command_exposure", { "rng.roll": "OFF" })).toEqual({
+      ok: true,
+      value: { "rng.roll": "off" },
+    });
+    expect(validateGuildSetting("command_exposure", { "rng.roll": "both" }).ok).toBe(false);
+    expect(validateGuildSetting("rpg_event_channels", ["12345", 12345]).value).toEqual(["12345"]);
+    expect(validateGuildSetting("rpg_event_channels", ["general"]).ok).toBe(false);
+    expect(validateGuildSetting("contest_toggle_role", "")).toEqual({ ok: true, value: null });
+    expect(validateGuildSetting("welcome", { enabled: "yes" }).ok).toBe(false);
+    expect(validateGuildSetting("unknown", 1).ok).toBe(false);
+    expect(validateGuildSetting("permission_tiers", { host: ["123456"] })).toEqual({ ok: true, value: { host: ["123456"] } });
+    expect(validateGuildSetting("permission_tiers", { owner: ["123456"] }).ok).toBe(false);
+    expect(validateGuildSetting("faq_locale", " ES ")).toEqual({ ok: true, value: "es" });
+    expect(validateGuildSetting("faq_locale", "fr").ok).toBe(false);
+    expect(
+      validateGuildSetting("faq_auto_answer", { channels: ["123456"], threshold: "0.7", staffTier: "Moderator" })
+    ).toEqual({ ok: true, value: { channels: ["123456"], threshold: 0.7, staffTier: "moderator" } });
+    expect(validateGuildSetting("faq_auto_answer", { channels: ["123456"], threshold: 2 }).ok).toBe(false);
+    expect(validateGuildSetting("faq_auto_answer", ["123456"]).ok).toBe(false);
+  });
+
+  it("normalizes channel policies and message count channels", () => {
+    expect(__testables.validateChannelPolicy({ "rng.roll": { allow: ["123456"], silent: 0 } })).toEqual({
+      ok: true,
+      value: { "rng.roll": { allow: ["123456"], silent: false } },
+    });
+    expect(__testables.validateMessageCountChannels({ channels: ["123456"] })).toEqual({
+      ok: true,
+      value: { channels: ["123456"], parentIds: [] },
+    });
+    expect(
+      __testables.validateVerification({ reviewChannelId: "123456", approvalRoles: [{ id: "654321" }] }).ok
+    ).toBe(false);
+  });
+
+  it("stores overrides and applies them immediately", async () => {
+    const execute = mockDb();
+
+    const res = await setGuildSetting({ guildId: "111111", key: "rpg_event_channels", value: ["900002"] });
+    expect(res).toEqual({ ok: true, value: ["900002"] });
+    expect(execute.mock.calls[0][1]).toEqual(["111111", "rpg_event_channels", '["900002"]', null]);
+    expect(getGuildSetting("111111", "rpg_event_channels")).toEqual(["900002"]);
+    expect(describeGuildSettings("111111").find((s) => s.key === "rpg_event_channels")).toMatchObject({
+      source: "override",
+      defaultValue: ["900001"],
+    });
+
+    await setGuildSetting({ guildId: "333333", key: "rpg_event_channels", value: [] });
+    expect(getSettingForAllGuilds("rpg_event_channels")).toEqual({ 111111: ["900002"], 333333: [] });
+
+    expect(await clearGuildSetting({ guildId: "111111", key: "rpg_event_channels" })).toBe(true);
+    expect(getGuildSetting("111111", "rpg_event_channels")).toEqual(["900001"]);
+  });
+
+  it("merges command policy overrides over the file entries", async () => {
+    const execute = mockDb();
+
+    await updateGuildSettingEntry({ guildId: "111111", key: "command_exposure", entryKey: "rng.choose", value: "off" });
+    expect(getGuildSetting("111111", "command_exposure")).toEqual({ "rng.roll": "q", "rng.choose": "off" });
+    expect(execute.mock.calls[0][1][2]).toBe('{"rng.choose":"off"}');
+
+    await updateGuildSettingEntry({ guildId: "111111", key: "command_exposure", entryKey: "rng.choose" });
+    expect(execute.mock.calls[1][0]).toContain("DELETE FROM guild_settings");
+    expect(getGuildSetting("111111", "command_exposure")).toEqual({ "rng.roll": "q" });
+
+    expect((await updateGuildSettingEntry({ guildId: "111111", key: "welcome", entryKey: "x", value: 1 })).ok).toBe(false);
+  });
+
+  it("rejects invalid values without touching the database", async () => {
+    const execute = mockDb();
+    const res = await setGuildSetting({ guildId: "111111", key: "welcome", value: true });
+    expect(res.ok).toBe(false);
+    expect(execute).not.toHaveBeenCalled();
+  });
+
+  it("reloads overrides from the database, skipping bad rows", async () => {
+    mockDb([
+      { guild_id: "111111", setting_key: "command_exposure", value_json: '{"rng.roll":"off"}' },
+      { guild_id: "111111", setting_key: "welcome", value_json: "{oops" },
+      { guild_id: "111111", setting_key: "retired_key", value_json: "1" },
+    ]);
+
+    expect(await reloadGuildSettings()).toBe(1);
+    expect(getGuildSetting("111111", "command_exposure")).toEqual({ "rng.roll": "off" });
+    expect(getGuildSetting("111111", "welcome")).toEqual({ enabled: true });
+  });
+});
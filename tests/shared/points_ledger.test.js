@@ -0,0 +1,135 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const mocks = vi.hoisted(() => ({
+  getDb: vi.fn(),
+}));
+
+vi.mock("../../db.js", () => ({ getDb: mocks.getDb }));
+vi.mock("../../configs/points_economy.js", () => ({
+  POINTS_ECONOMY_BY_GUILD: { g1: { currencyName: "coins", maxStake: 500 } },
+}));
+
+import {
+  applyPointsChanges,
+  formatPoints,
+  isValidPointsAmount,
+  planPointsChanges,
+  pointsConfigFor,
+} from "../../shared/points_ledger.js";
+
+// Fake connection backed by a balances map; records every statement.
+function makeConn(balances) {
+  const calls = [];
+  const conn = {
+    calls,
+    beginTransaction: vi.fn(async () => {}),
+    commit: vi.fn(async () => {}),
+    rollback: vi.fn(async () => {}),
+    release: vi.fn(),
+    execute: vi.fn(async (sql, params) => {
+      calls.push({ sql: sql.trim(), params });
+      if (sql.includes("SELECT balance")) return [[{ balance: balances[params[1]] ?? 0 }]];
+      return [{ affectedRows: 1 }];
+    }),
+  };
+  return conn;
+}
+
+describe("points ledger helpers", () => {
+  it("reads per-guild config and formats amounts", () => {
+    expect(pointsConfigFor("g1")).toEqual({ currencyName: "coins", maxStake: 500 });
+    expect(pointsConfigFor("g2")).toBe(null);
+    expect(formatPoints("g1", 1234)).toBe("1,234 coins");
+    expect(isValidPointsAmount(5)).toBe(true);
+    expect(isValidPointsAmount(0)).toBe(false);
+    expect(isValidPointsAmount(1.5)).toBe(false);
+  });
+
+  it("planPointsChanges applies deltas and sets in order", () => {
+    const plan = planPointsChanges(new Map([["a", 10]]), [
+      { userId: "a", delta: -4 },
+      { userId: "b", delta: 3 },
+      { userId: "a", set: 20 },
+    ]);
+    expect(plan.ok).toBe(true);
+    expect(plan.rows).toEqual([
+      { userId: "a", delta: -4, before: 10, after: 6 },
+      { userId: "b", delta: 3, before: 0, after: 3 },
+      { userId: "a", delta: 14, before: 6, after: 20 },
+    ]);
+    expect(plan.balances.get("a")).toBe(20);
+  });
+
+  it("planPointsChanges refuses negative balances unless allowed", () => {
+    expect(planPointsChanges(new Map([["a", 5]]), [{ userId: "a", delta: -8 }])).toEqual({
+      ok: false,
+      userId: "a",
+      balance: 5,
+      shortBy: 3,
+    });
+    expect(planPointsChanges(new Map(), [{ userId: "a", delta: -8 }], { allowNegative: true }).ok).toBe(true);
+  });
+});
+
+describe("applyPointsChanges", () => {
+  beforeEach(() => {
+    mocks.getDb.mockReset();
+  });
+
+  it("updates balances and writes audit rows in one transaction", async () => {
+    const conn = makeConn({ a: 100, b: 0 });
+    mocks.getDb.mockReturnValue({ getConnection: vi.fn(async () => conn) });
+
+    const res = await applyPointsChanges({
+      guildId: "g1",
+      changes: [
+        { userId: "b", delta: 40 },
+        { userId: "a", delta: -40 },
+      ],
+      reason: "stake",
+      source: "blackjack",
+      ref: "blackjack:1",
+    });
+
+    expect(res.ok).toBe(true);
+    expect(res.balances.get("a")).toBe(60);
+    expect(conn.commit).toHaveBeenCalledTimes(1);
+    expect(conn.rollback).not.toHaveBeenCalled();
+    expect(conn.release).toHaveBeenCalledTimes(1);
+
+    // Rows are locked in sorted order.
+    const locks = conn.calls.filter((c) => c.sql.includes("FOR UPDATE")).map((c) => c.params[1]);
+    expect(locks).toEqual(["a", "b"]);
+
+    const audit = conn.calls.filter((c) => c.sql.includes("INSERT INTO points_ledger"));
+    expect(audit.map((c) => c.params.slice(1, 6))).toEqual([
+      ["b", 40, 40, "stake", "blackjack"],
+      ["a", -40, 60, "stake", "blackjack"],
+    ]);
+  });
+
+  it("rolls back and reports insufficient balances", async () => {
+    const conn = makeConn({ a: 10 });
+    mocks.getDb.mockReturnValue({ getConnection: vi.fn(async () => conn) });
+
+    const res = await applyPointsChanges({ guildId: "g1", changes: [{ userId: "a", delta: -25 }], reason: "take" });
+
+    expect(res).toEqual({ ok: false, reason: "insufficient", userId: "a", balance: 10, shortBy: 15 });
+    expect(conn.rollback).toHaveBeenCalledTimes(1);
+    expect(conn.commit).not.toHaveBeenCalled();
+    expect(conn.calls.some((c) => c.sql.startsWith("UPDATE"))).toBe(false);
+    expect(conn.release).toHaveBeenCalledTimes(1);
+  });
+
+  it("rolls back and rethrows on database errors", async () => {
+    const conn = makeConn({});
+    conn.execute.mockRejectedValueOnce(new Error("db down"));
+    mocks.getDb.mockReturnValue({ getConnection: vi.fn(async () => conn) });
+
+    await expect(
+      applyPointsChanges({ guildId: "g1", changes: [{ userId: "a", delta: 5 }], reason: "give" })
+    ).rejects.toThrow("db down");
+    expect(conn.rollback).toHaveBeenCalledTimes(1);
+    expect(conn.release).toHaveBeenCalledTimes(1);
+  });
+});
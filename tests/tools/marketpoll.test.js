@@ -4,7 +4,7 @@ import { PermissionFlagsBits } from "discord.js";
 const isAdminOrPrivileged = vi.fn(() => true);
 const registerScheduler = vi.fn();
 
-vi.mock("../../auth.js", () => ({ isAdminOrPrivileged }));
+vi.mock("../../auth.js", () => ({ isAdminOrPrivileged, hasPermissionTier: (ctx) => isAdminOrPrivileged(ctx) }));
 vi.mock("../../shared/scheduler_registry.js", () => ({ registerScheduler }));
 vi.mock("../../shared/timer_utils.js", () => ({
   startInterval: vi.fn(() => 1),
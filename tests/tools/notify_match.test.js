@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  channelAllowed,
+  isQuietAt,
+  matchNotifyPhrase,
+  parseChannelIdsFromInput,
+  parseMatchMode,
+  parseQuietHours,
+  quietEndsAtMs,
+  REGEX_MESSAGE_BUDGET_MS,
+  safeRegexTest,
+  validateNotifyRegex,
+} from "../../tools/notify_match.js";
+
+describe("tools/notify_match", () => {
+  it("matches whole words by default and substrings/regexes on request", () => {
+    const content = "Selling a Golden Magikarp!";
+    expect(matchNotifyPhrase({ phrase: "gold" }, content).matched).toBe(false);
+    expect(matchNotifyPhrase({ phrase: "golden magikarp" }, content).matched).toBe(true);
+    expect(matchNotifyPhrase({ phrase: "gold", matchMode: "substring" }, content).matched).toBe(true);
+    expect(matchNotifyPhrase({ phrase: "^sell(ing)?\\b", matchMode: "regex" }, content).matched).toBe(true);
+    expect(matchNotifyPhrase({ phrase: "\\bgold\\b", matchMode: "regex" }, content).matched).toBe(false);
+    expect(parseMatchMode("contains")).toBe("substring");
+    expect(parseMatchMode("fuzzy")).toBeNull();
+  });
+
+  it("stops runaway regexes with a timeout", () => {
+    const res = safeRegexTest("(a+)+$", `${"a".repeat(40)}!`, { timeoutMs: 5 });
+    expect(res).toMatchObject({ ok: false, timedOut: true });
+
+    expect(validateNotifyRegex("(a+)+$").ok).toBe(false);
+    expect(validateNotifyRegex("[unclosed").error).toContain("doesn't compile");
+    expect(validateNotifyRegex("x*").error).toContain("matches every message");
+    expect(validateNotifyRegex("shiny (charm|chain)")).toEqual({ ok: true, pattern: "shiny (charm|chain)" });
+  });
+
+  it("shares a per-message regex budget and flags slow runs", () => {
+    const spent = { regexBudgetMs: 0 };
+    expect(matchNotifyPhrase({ phrase: "magikarp", matchMode: "regex" }, "Golden Magikarp", spent)).toEqual({
+      matched: false,
+      timedOut: false,
+      slow: false,
+    });
+    expect(matchNotifyPhrase({ phrase: "magikarp" }, "Golden Magikarp", spent).matched).toBe(true);
+
+    const cache = {};
+    const runaway = matchNotifyPhrase({ phrase: "(a+)+$", matchMode: "regex" }, `${"a".repeat(40)}!`, cache);
+    expect(runaway).toMatchObject({ matched: false, timedOut: true, slow: true });
+    expect(cache.regexBudgetMs).toBeLessThan(REGEX_MESSAGE_BUDGET_MS);
+  });
+
+  it("filters by channel include/exclude lists, including thread parents", () => {
+    expect(parseChannelIdsFromInput("<#22222>, 11111 junk <#22222>")).toEqual(["11111", "22222"]);
+    const entry = { channelIds: ["11111"], excludeChannelIds: ["33333"] };
+    expect(channelAllowed(entry, { channelId: "11111" })).toBe(true);
+    expect(channelAllowed(entry, { channelId: "44444", parentId: "11111" })).toBe(true);
+    expect(channelAllowed(entry, { channelId: "22222" })).toBe(false);
+    expect(channelAllowed({ excludeChannelIds: ["33333"] }, { channelId: "33333" })).toBe(false);
+    expect(channelAllowed({}, { channelId: "99999" })).toBe(true);
+  });
+
+  it("handles quiet-hour windows across midnight and in other zones", () => {
+    const { quiet } = parseQuietHours({ start: "10pm", end: "08:00" });
+    expect(quiet).toEqual({ startMinute: 1320, endMinute: 480, zone: "America/New_York" });
+    // 23:00 ET
+    const lateNight = Date.UTC(2026, 0, 1, 4, 0);
+    expect(isQuietAt(quiet, lateNight)).toBe(true);
+    expect(quietEndsAtMs(quiet, lateNight)).toBe(Date.UTC(2026, 0, 1, 13, 0));
+    // 12:00 ET
+    expect(isQuietAt(quiet, Date.UTC(2026, 0, 1, 17, 0))).toBe(false);
+    expect(quietEndsAtMs(quiet, Date.UTC(2026, 0, 1, 17, 0))).toBeNull();
+
+    const utc = parseQuietHours({ start: "1:00", end: "3:00", timezone: "+02:00" }).quiet;
+    expect(utc.zone).toBe("UTC+02:00");
+    expect(isQuietAt(utc, Date.UTC(2026, 0, 1, 0, 30))).toBe(true);
+
+    expect(parseQuietHours({ start: "8am", end: "8am" }).ok).toBe(false);
+    expect(parseQuietHours({ start: "8am", end: "9am", timezone: "Mars/Base" }).ok).toBe(false);
+  });
+});
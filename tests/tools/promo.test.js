@@ -6,7 +6,7 @@ const getDb = vi.fn();
 const isAdminOrPrivileged = vi.fn();
 
 vi.mock("../../db.js", () => ({ getUserTextRow, setUserText, getDb }));
-vi.mock("../../auth.js", () => ({ isAdminOrPrivileged }));
+vi.mock("../../auth.js", () => ({ isAdminOrPrivileged, hasPermissionTier: (ctx) => isAdminOrPrivileged(ctx) }));
 vi.mock("../../shared/metrics.js", () => ({ metrics: { increment: vi.fn(), incrementExternalFetch: vi.fn(), incrementSchedulerRun: vi.fn() } }));
 vi.mock("../../rpg/rpg_client.js", () => ({
   RpgClient: class {
@@ -36,7 +36,7 @@ const RARITY_HISTORY_JSON = JSON.stringify({
 
 const isAdminOrPrivileged = vi.fn(() => true);
 
-vi.mock("../../auth.js", () => ({ isAdminOrPrivileged }));
+vi.mock("../../auth.js", () => ({ isAdminOrPrivileged, hasPermissionTier: (ctx) => isAdminOrPrivileged(ctx) }));
 vi.mock("../../shared/metrics.js", () => ({ metrics: { increment: vi.fn(), incrementExternalFetch: vi.fn(), incrementSchedulerRun: vi.fn() } }));
 
 const httpGet = vi.fn((url, cb) => {
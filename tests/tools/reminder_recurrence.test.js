@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+
+import { describeRecurrence, nextOccurrence, parseRecurrence } from "../../tools/reminder_recurrence.js";
+
+// Thursday 2026-01-01 10:00 ET
+const NOW = Date.UTC(2026, 0, 1, 15, 0);
+
+function next(raw, afterMs = NOW) {
+  const parsed = parseRecurrence(raw, { nowMs: NOW });
+  expect(parsed.ok).toBe(true);
+  return { rule: parsed.rule, at: nextOccurrence(parsed.rule, { afterMs }) };
+}
+
+describe("tools/reminder_recurrence", () => {
+  it("parses daily, weekday and named-day rules in ET by default", () => {
+    const daily = next("every day 7pm");
+    expect(daily.rule.label).toBe("every day at 7:00 PM ET");
+    expect(daily.at).toBe(Date.UTC(2026, 0, 2, 0, 0));
+
+    expect(next("daily at 19:30 UTC").at).toBe(Date.UTC(2026, 0, 1, 19, 30));
+    expect(next("every weekday 9am").at).toBe(Date.UTC(2026, 0, 2, 14, 0));
+    expect(next("every mon,wed,fri 8pm").at).toBe(Date.UTC(2026, 0, 3, 1, 0));
+    expect(next("every tue and thu 6:30 pm").rule.label).toBe("every Tuesday, Thursday at 6:30 PM ET");
+  });
+
+  it("uses the time it was set when the rule names no time", () => {
+    const sunday = next("every sunday");
+    expect(sunday.rule.label).toBe("every Sunday at 10:00 AM ET");
+    expect(sunday.at).toBe(Date.UTC(2026, 0, 4, 15, 0));
+  });
+
+  it("keeps wall-clock time across DST changes", () => {
+    const { rule } = next("every day 7pm");
+    // 2026-03-08 is the US spring-forward day.
+    expect(nextOccurrence(rule, { afterMs: Date.UTC(2026, 2, 7, 12, 0) })).toBe(Date.UTC(2026, 2, 8, 0, 0));
+    expect(nextOccurrence(rule, { afterMs: Date.UTC(2026, 2, 8, 12, 0) })).toBe(Date.UTC(2026, 2, 8, 23, 0));
+  });
+
+  it("parses cron expressions with names, ranges and steps", () => {
+    expect(next("0 19 * * 0").at).toBe(Date.UTC(2026, 0, 5, 0, 0));
+    expect(next("cron */15 9-17 * * mon-fri UTC").at).toBe(Date.UTC(2026, 0, 1, 15, 15));
+    // Day-of-month OR day-of-week when both are set.
+    expect(next("0 12 15 * sat UTC").at).toBe(Date.UTC(2026, 0, 3, 12, 0));
+    expect(next("0 0 31 2 *").at).toBeNull();
+
+    expect(parseRecurrence("0 25 * * *").ok).toBe(false);
+    expect(parseRecurrence("61 * * * *").ok).toBe(false);
+  });
+
+  it("rejects cron rules that fire less than 10 minutes apart", () => {
+    expect(parseRecurrence("* * * * *", { nowMs: NOW })).toEqual({
+      ok: false,
+      error: "Repeating reminders must be at least 10 minutes apart.",
+    });
+    expect(parseRecurrence("*/5 9 * * *", { nowMs: NOW }).ok).toBe(false);
+    expect(parseRecurrence("0,5 9 * * mon", { nowMs: NOW }).ok).toBe(false);
+    expect(parseRecurrence("*/10 * * * *", { nowMs: NOW }).ok).toBe(true);
+  });
+
+  it("steps intervals from the previous fire", () => {
+    const { rule } = next("every 2h");
+    expect(rule).toMatchObject({ kind: "interval", everyMs: 2 * 60 * 60 * 1000 });
+    const previousMs = NOW - 5 * 60 * 60 * 1000;
+    expect(nextOccurrence(rule, { afterMs: NOW, previousMs })).toBe(NOW + 60 * 60 * 1000);
+
+    expect(next("every 3 days").at).toBe(NOW + 3 * 24 * 60 * 60 * 1000);
+    expect(parseRecurrence("every 5m").ok).toBe(false);
+    expect(parseRecurrence("every fortnight").ok).toBe(false);
+    expect(parseRecurrence("tomorrow").ok).toBe(false);
+  });
+
+  it("describes rules with their end condition", () => {
+    const { rule } = next("every day 7pm");
+    expect(describeRecurrence({ rule, remaining: 3, untilMs: Date.UTC(2026, 1, 1) })).toBe(
+      `every day at 7:00 PM ET (3 left, until <t:${Date.UTC(2026, 1, 1) / 1000}:d>)`
+    );
+  });
+});
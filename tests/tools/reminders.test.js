@@ -10,10 +10,11 @@ vi.mock("../../shared/metrics.js", () => ({ metrics: { increment: vi.fn(), incre
 import { registerReminders, __testables } from "../../tools/reminders.js";
 
 function makeRegister() {
-  const calls = { slash: [], listener: [] };
+  const calls = { slash: [], listener: [], component: [] };
   return {
     slash: (config, handler, opts) => calls.slash.push({ config, handler, opts }),
     listener: (handler) => calls.listener.push(handler),
+    component: (prefix, handler) => calls.component.push({ prefix, handler }),
     calls,
   };
 }
@@ -29,6 +30,17 @@ function makeInteraction({
   messageId,
   time,
   at,
+  repeat,
+  until,
+  count = null,
+  mode = null,
+  channels = null,
+  excludeChannels = null,
+  start = null,
+  end = null,
+  timezone = null,
+  targetChannel = null,
+  role = null,
   userId = "u1",
   isAdmin = false,
 } = {}) {
@@ -50,10 +62,21 @@ function makeInteraction({
         if (key === "message_id") return messageId;
         if (key === "time") return time;
         if (key === "at") return at;
+        if (key === "repeat") return repeat;
+        if (key === "until") return until;
+        if (key === "mode") return mode;
+        if (key === "channels") return channels;
+        if (key === "exclude_channels") return excludeChannels;
+        if (key === "start") return start;
+        if (key === "end") return end;
+        if (key === "timezone") return timezone;
         if (key === "notify_id") return phrase;
         if (key === "reminder_id") return phrase;
         return null;
       },
+      getInteger: (key) => (key === "count" ? count : null),
+      getChannel: (key) => (key === "channel" ? targetChannel : null),
+      getRole: (key) => (key === "role" ? role : null),
       getUser: (key) => {
         if (key !== "from_user") return null;
         if (!fromUserId) return null;
@@ -93,7 +116,7 @@ describe("tools/reminders", () => {
 
   it("sets a notifyme phrase", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) return [[]];
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) return [[]];
       if (sql.includes("INSERT INTO notify_me")) return [{ insertId: 10 }];
       return [[]];
     });
@@ -111,13 +134,13 @@ describe("tools/reminders", () => {
     );
     expect(execute).toHaveBeenCalledWith(
       expect.stringContaining("INSERT INTO notify_me"),
-      ["g1", "u1", "hello", null, null]
+      ["g1", "u1", "hello", null, null, "word", null, null]
     );
   });
 
   it("sets notifyme with from_user and no phrase", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) return [[]];
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) return [[]];
       if (sql.includes("INSERT INTO notify_me")) return [{ insertId: 14 }];
       return [[]];
     });
@@ -136,7 +159,7 @@ describe("tools/reminders", () => {
 
     expect(execute).toHaveBeenCalledWith(
       expect.stringContaining("INSERT INTO notify_me"),
-      ["g1", "u1", "", "44444", null]
+      ["g1", "u1", "", "44444", null, "word", null, null]
     );
     expect(interaction.reply).toHaveBeenCalledWith(
       expect.objectContaining({
@@ -164,7 +187,7 @@ describe("tools/reminders", () => {
 
   it("sets a notifyme phrase with ignored users", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) return [[]];
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) return [[]];
       if (sql.includes("INSERT INTO notify_me")) return [{ insertId: 13 }];
       return [[]];
     });
@@ -183,7 +206,7 @@ describe("tools/reminders", () => {
 
     expect(execute).toHaveBeenCalledWith(
       expect.stringContaining("INSERT INTO notify_me"),
-      ["g1", "u1", "contest", null, "[\"11111\",\"22222\"]"]
+      ["g1", "u1", "contest", null, "[\"11111\",\"22222\"]", "word", null, null]
     );
     expect(interaction.reply).toHaveBeenCalledWith(
       expect.objectContaining({ content: expect.stringContaining("ignoring <@11111>, <@22222>") })
@@ -192,7 +215,7 @@ describe("tools/reminders", () => {
 
   it("adds ignored users for an existing notifyme phrase", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[
           { id: 21, user_id: "u1", phrase: "contest", ignore_user_ids: "[\"11111\"]" },
         ]];
@@ -224,10 +247,10 @@ describe("tools/reminders", () => {
 
   it("adds ignored users using notifyme phrase index", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, created_at FROM notify_me")) {
+      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 41, phrase: "contest", ignore_user_ids: null }]];
       }
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 41, user_id: "u1", phrase: "contest", ignore_user_ids: null }]];
       }
       if (sql.includes("UPDATE notify_me SET ignore_user_ids")) return [[]];
@@ -275,7 +298,7 @@ describe("tools/reminders", () => {
 
   it("lists notifyme phrases", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, created_at FROM notify_me")) {
+      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 1, phrase: "alpha", created_at: "2025-01-01T00:00:00Z" }]];
       }
       return [[]];
@@ -296,7 +319,7 @@ describe("tools/reminders", () => {
 
   it("rejects notifyme duplicates", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 5, user_id: "u1", phrase: "Hello" }]];
       }
       return [[]];
@@ -318,7 +341,7 @@ describe("tools/reminders", () => {
 
   it("enforces notifyme limit", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[
           { id: 1, user_id: "u1", phrase: "a" },
           { id: 2, user_id: "u1", phrase: "b" },
@@ -347,7 +370,7 @@ describe("tools/reminders", () => {
 
   it("allows notifyme over limit for admins", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[
           { id: 1, user_id: "u1", phrase: "a" },
           { id: 2, user_id: "u1", phrase: "b" },
@@ -374,13 +397,13 @@ describe("tools/reminders", () => {
     );
     expect(execute).toHaveBeenCalledWith(
       expect.stringContaining("INSERT INTO notify_me"),
-      ["g1", "u1", "hello", null, null]
+      ["g1", "u1", "hello", null, null, "word", null, null]
     );
   });
 
   it("responds with notifyme autocomplete options", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, created_at FROM notify_me")) {
+      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 2, user_id: "u1", phrase: "beta" }]];
       }
       return [[]];
@@ -399,7 +422,7 @@ describe("tools/reminders", () => {
 
   it("responds with notifyme ignore autocomplete options", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, created_at FROM notify_me")) {
+      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 2, user_id: "u1", phrase: "beta" }]];
       }
       return [[]];
@@ -418,7 +441,7 @@ describe("tools/reminders", () => {
 
   it("removes a notifyme entry by list index", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, created_at FROM notify_me")) {
+      if (sql.includes("SELECT id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 12, phrase: "alpha", created_at: "2025-01-01T00:00:00Z" }]];
       }
       if (sql.includes("DELETE FROM notify_me")) return [[]];
@@ -444,7 +467,7 @@ describe("tools/reminders", () => {
 
   it("notifies on matching phrases", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 3, user_id: "u1", phrase: "magic" }]];
       }
       return [[]];
@@ -473,7 +496,7 @@ describe("tools/reminders", () => {
 
   it("truncates long notifyme snippets with ellipses", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 5, user_id: "u1", phrase: "magic" }]];
       }
       return [[]];
@@ -503,7 +526,7 @@ describe("tools/reminders", () => {
 
   it("coalesces multiple notifyme phrases into one DM", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[
           { id: 5, user_id: "u1", phrase: "magic" },
           { id: 6, user_id: "u1", phrase: "hello" },
@@ -538,7 +561,7 @@ describe("tools/reminders", () => {
 
   it("allows notifyme for bot messages when target user matches", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 4, user_id: "u1", phrase: "rocket", target_user_id: "b1" }]];
       }
       return [[]];
@@ -565,7 +588,7 @@ describe("tools/reminders", () => {
 
   it("matches any message when notifyme uses from_user without phrase", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 40, user_id: "u1", phrase: "", target_user_id: "b1" }]];
       }
       return [[]];
@@ -594,7 +617,7 @@ describe("tools/reminders", () => {
 
   it("does not notify when author is in phrase ignore list", async () => {
     const execute = vi.fn(async (sql) => {
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[
           { id: 31, user_id: "u1", phrase: "contest", ignore_user_ids: "[\"20000\"]" },
         ]];
@@ -621,6 +644,170 @@ describe("tools/reminders", () => {
     expect(send).not.toHaveBeenCalled();
   });
 
+  it("applies notifyme match modes and channel filters", async () => {
+    const execute = vi.fn(async (sql) => {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
+        return [[
+          { id: 1, user_id: "u1", phrase: "gold" },
+          { id: 2, user_id: "u3", phrase: "gold", match_mode: "substring", channel_ids: "[\"55555\"]" },
+          { id: 3, user_id: "u4", phrase: "gold(en)? ball", match_mode: "regex", exclude_channel_ids: "[\"66666\"]" },
+        ]];
+      }
+      return [[]];
+    });
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const listener = register.calls.listener[0];
+
+    const sends = new Map();
+    const client = {
+      users: {
+        fetch: vi.fn(async (id) => {
+          if (!sends.has(id)) sends.set(id, vi.fn(async () => {}));
+          return { send: sends.get(id) };
+        }),
+      },
+    };
+    const base = { guildId: "g1", author: { id: "u2", bot: false }, client, content: "golden ball anyone?" };
+
+    await listener({ message: { ...base, id: "m1", channelId: "55555" } });
+    expect([...sends.keys()].sort()).toEqual(["u3", "u4"]);
+    expect(sends.get("u4").mock.calls[0][0]).toContain('"/gold(en)? ball/" mentioned');
+
+    sends.clear();
+    await listener({ message: { ...base, id: "m2", channelId: "66666" } });
+    expect(sends.size).toBe(0);
+  });
+
+  it("rejects unsafe notifyme regexes and overlapping channel filters", async () => {
+    const execute = vi.fn(async () => [[]]);
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const notifySlash = register.calls.slash.find((c) => c.config.name === "notifyme");
+
+    const slow = makeInteraction({ sub: "set", phrase: "(a+)+$", mode: "regex" });
+    await notifySlash.handler({ interaction: slow });
+    expect(slow.reply.mock.calls[0][0].content).toContain("too slow");
+
+    const overlap = makeInteraction({
+      sub: "set",
+      phrase: "gold",
+      channels: "<#55555>",
+      excludeChannels: "55555",
+    });
+    await notifySlash.handler({ interaction: overlap });
+    expect(overlap.reply.mock.calls[0][0].content).toContain("both `channels` and `exclude_channels`");
+    expect(execute).not.toHaveBeenCalledWith(expect.stringContaining("INSERT INTO notify_me"), expect.anything());
+  });
+
+  it("caps regex notifyme entries per server", async () => {
+    const regexRows = Array.from({ length: 25 }, (_, i) => ({
+      id: i + 1,
+      user_id: `u${i + 10}`,
+      phrase: `gold${i}+`,
+      match_mode: "regex",
+    }));
+    const execute = vi.fn(async (sql) => {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) return [regexRows];
+      return [[]];
+    });
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const notifySlash = register.calls.slash.find((c) => c.config.name === "notifyme");
+
+    const interaction = makeInteraction({ sub: "set", phrase: "shiny (charm|chain)", mode: "regex" });
+    await notifySlash.handler({ interaction });
+
+    expect(interaction.reply.mock.calls[0][0].content).toContain("already has 25 regex notifications");
+    expect(execute).not.toHaveBeenCalledWith(expect.stringContaining("INSERT INTO notify_me"), expect.anything());
+  });
+
+  it("sets notifyme quiet hours", async () => {
+    const execute = vi.fn(async () => [[]]);
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const notifySlash = register.calls.slash.find((c) => c.config.name === "notifyme");
+
+    const interaction = makeInteraction({ sub: "quiet", start: "22:00", end: "8am" });
+    await notifySlash.handler({ interaction });
+
+    expect(execute).toHaveBeenCalledWith(expect.stringContaining("INSERT INTO notify_me_quiet_hours"), [
+      "u1",
+      1320,
+      480,
+      "America/New_York",
+    ]);
+    expect(interaction.reply.mock.calls[0][0].content).toContain("Quiet hours set to 22:00–08:00 ET");
+  });
+
+  it("queues notifyme matches during quiet hours and sends one digest", async () => {
+    vi.useFakeTimers();
+    // 23:00 ET
+    vi.setSystemTime(new Date("2026-01-01T04:00:00Z"));
+
+    const digestRows = [];
+    const execute = vi.fn(async (sql, params) => {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
+        return [[{ id: 3, user_id: "u1", phrase: "magic" }]];
+      }
+      if (sql.includes("FROM notify_me_quiet_hours")) {
+        return [[{ start_minute: 1320, end_minute: 480, timezone: "America/New_York" }]];
+      }
+      if (sql.includes("INSERT INTO notify_me_digest")) {
+        const [userId, guildId, channelId, messageId, authorId, phrases, snippet, createdAtMs] = params;
+        digestRows.push({
+          id: digestRows.length + 1,
+          user_id: userId,
+          guild_id: guildId,
+          channel_id: channelId,
+          message_id: messageId,
+          author_id: authorId,
+          phrases,
+          snippet,
+          created_at_ms: createdAtMs,
+        });
+        return [{ insertId: digestRows.length }];
+      }
+      if (sql.includes("SELECT COUNT(*) AS total FROM notify_me_digest")) return [[{ total: digestRows.length }]];
+      if (sql.includes("FROM notify_me_digest WHERE user_id")) return [digestRows];
+      return [[]];
+    });
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const listener = register.calls.listener[0];
+
+    const send = vi.fn(async () => {});
+    const client = { users: { fetch: vi.fn(async () => ({ send })) } };
+    for (const id of ["m1", "m2"]) {
+      await listener({
+        message: { guildId: "g1", channelId: "c1", id, content: "magic time", author: { id: "u2" }, client },
+      });
+    }
+    expect(send).not.toHaveBeenCalled();
+    expect(digestRows).toHaveLength(2);
+
+    // Quiet hours end at 08:00 ET.
+    await vi.advanceTimersByTimeAsync(9 * 60 * 60 * 1000);
+    expect(send).toHaveBeenCalledTimes(1);
+    const payload = send.mock.calls[0][0];
+    expect(payload).toContain("🌙 **NotifyMe digest**: 2 matches during your quiet hours.");
+    expect(payload).toContain('"magic" by <@u2> in <#c1> — magic time');
+    expect(payload).toContain("https://discord.com/channels/g1/c1/m2");
+    expect(execute).toHaveBeenCalledWith(expect.stringContaining("DELETE FROM notify_me_digest"), ["u1", 2]);
+
+    vi.useRealTimers();
+  });
+
   it("rejects remindme set with invalid input", async () => {
     const execute = vi.fn(async () => [[]]);
     dbMocks.getDb.mockReturnValue({ execute });
@@ -1006,7 +1193,7 @@ describe("tools/reminders", () => {
   it("clears notifyme entries for the server", async () => {
     const execute = vi.fn(async (sql) => {
       if (sql.includes("DELETE FROM notify_me WHERE guild_id")) return [[]];
-      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me")) {
+      if (sql.includes("SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode")) {
         return [[{ id: 2, user_id: "u1", phrase: "beta" }]];
       }
       return [[]];
@@ -1052,14 +1239,11 @@ describe("tools/reminders", () => {
     );
   });
 
-  it("fires a reminder and deletes it", async () => {
+  it("fires a reminder and keeps it snoozable", async () => {
     vi.useFakeTimers();
     vi.setSystemTime(new Date("2025-01-01T00:00:00Z"));
 
-    const execute = vi.fn(async (sql) => {
-      if (sql.includes("DELETE FROM reminders")) return [[]];
-      return [[]];
-    });
+    const execute = vi.fn(async () => [[]]);
     dbMocks.getDb.mockReturnValue({ execute });
 
     const send = vi.fn(async () => {});
@@ -1080,15 +1264,329 @@ describe("tools/reminders", () => {
 
     await vi.advanceTimersByTimeAsync(1000);
     const setAtUnix = Math.floor(createdAtMs / 1000);
-    expect(send).toHaveBeenCalledWith(expect.stringContaining(`set <t:${setAtUnix}:f>`));
+    const payload = send.mock.calls[0][0];
+    expect(payload.content).toContain(`set <t:${setAtUnix}:f>`);
+    expect(payload.components[0].components.map((b) => b.data.custom_id)).toEqual([
+      "remindsnooze:9:10m",
+      "remindsnooze:9:1h",
+      "remindsnooze:9:tomorrow",
+    ]);
     expect(execute).toHaveBeenCalledWith(
-      expect.stringContaining("DELETE FROM reminders"),
-      [9, "u9"]
+      expect.stringContaining("UPDATE reminders SET fired_at_ms"),
+      [Date.now(), 9]
+    );
+
+    vi.useRealTimers();
+  });
+
+  it("sets a recurring remindme from its rule", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-01T15:00:00Z"));
+
+    let insertParams = null;
+    const execute = vi.fn(async (sql, params) => {
+      if (sql.includes("SELECT id, phrase, message_id, channel_id")) return [[]];
+      if (sql.includes("INSERT INTO reminders")) {
+        insertParams = params;
+        return [{ insertId: 21 }];
+      }
+      return [[]];
+    });
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const remindSlash = register.calls.slash.find((c) => c.config.name === "remindme");
+
+    const interaction = makeInteraction({ sub: "set", phrase: "raid", repeat: "every day 7pm", count: 3 });
+    await remindSlash.handler({ interaction });
+
+    const firstMs = Date.UTC(2026, 0, 2, 0, 0);
+    expect(insertParams[5]).toBe(firstMs);
+    expect(JSON.parse(insertParams[6])).toMatchObject({
+      rule: { kind: "cron", label: "every day at 7:00 PM ET" },
+      remaining: 3,
+      untilMs: null,
+    });
+    expect(interaction.reply.mock.calls[0][0].content).toBe(
+      `✅ Reminder set for <t:${firstMs / 1000}:f>. Repeats every day at 7:00 PM ET (3 left).`
     );
 
     vi.useRealTimers();
   });
 
+  it("rejects until/count without repeat and bad repeat rules", async () => {
+    const execute = vi.fn(async () => [[]]);
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const remindSlash = register.calls.slash.find((c) => c.config.name === "remindme");
+
+    const noRepeat = makeInteraction({ sub: "set", phrase: "x", time: "1h", count: 2 });
+    await remindSlash.handler({ interaction: noRepeat });
+    expect(noRepeat.reply.mock.calls[0][0].content).toContain("only apply to repeating reminders");
+
+    const badRule = makeInteraction({ sub: "set", phrase: "x", repeat: "every fortnight" });
+    await remindSlash.handler({ interaction: badRule });
+    expect(badRule.reply.mock.calls[0][0].content).toContain("couldn't read");
+    expect(execute).not.toHaveBeenCalledWith(expect.stringContaining("INSERT INTO reminders"), expect.anything());
+  });
+
+  it("advances a recurring reminder after it fires", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-01T23:59:59Z"));
+
+    const execute = vi.fn(async () => [{ affectedRows: 1 }]);
+    dbMocks.getDb.mockReturnValue({ execute });
+    const send = vi.fn(async () => {});
+    __testables.setBootClient({ users: { fetch: vi.fn(async () => ({ send })) } });
+
+    const rule = { kind: "cron", minutes: [0], hours: [19], days: null, months: null, weekdays: null, zone: "America/New_York", label: "every day at 7:00 PM ET" };
+    const firstMs = Date.UTC(2026, 0, 2, 0, 0);
+    __testables.scheduleReminder({
+      id: 30,
+      userId: "u1",
+      phrase: "raid",
+      remindAtMs: firstMs,
+      recurrence: { rule, untilMs: null, remaining: 2, snoozed: false },
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    const nextMs = Date.UTC(2026, 0, 3, 0, 0);
+    expect(send.mock.calls[0][0].content).toContain(`🔁 Next: <t:${nextMs / 1000}:f>`);
+    const update = execute.mock.calls.find(([sql]) => sql.includes("UPDATE reminders SET remind_at_ms"));
+    expect(update[1][0]).toBe(nextMs);
+    expect(JSON.parse(update[1][1])).toMatchObject({ remaining: 1, snoozed: false });
+
+    // Last occurrence: nothing left to schedule, the row is kept for snoozing.
+    expect(
+      __testables.nextRecurringFire({ remindAtMs: nextMs, recurrence: { rule, remaining: 1 } }, nextMs)
+    ).toBeNull();
+
+    vi.useRealTimers();
+  });
+
+  it("snoozes a fired reminder from the DM buttons", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-01T15:00:00Z"));
+
+    const rule = { kind: "interval", everyMs: 24 * 60 * 60 * 1000, label: "every day" };
+    let row = {
+      id: 40,
+      user_id: "u1",
+      phrase: "raid",
+      remind_at_ms: Date.now() + 6 * 60 * 60 * 1000,
+      recurrence_json: JSON.stringify({ rule, remaining: null }),
+      fired_at_ms: null,
+    };
+    const execute = vi.fn(async (sql) => {
+      if (sql.includes("FROM reminders") && sql.includes("WHERE id = ?")) return [[row]];
+      if (sql.trim().startsWith("SELECT")) return [[]];
+      return [{ affectedRows: 1 }];
+    });
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const snooze = register.calls.component.find((c) => c.prefix === "remindsnooze:");
+
+    const click = (customId, userId = "u1") => ({
+      customId,
+      user: { id: userId },
+      reply: vi.fn(async () => {}),
+    });
+
+    const stranger = click("remindsnooze:40:1h", "u2");
+    await snooze.handler({ interaction: stranger });
+    expect(stranger.reply.mock.calls[0][0].content).toContain("no longer exists");
+
+    const hour = click("remindsnooze:40:1h");
+    await snooze.handler({ interaction: hour });
+    const snoozedMs = Date.now() + 60 * 60 * 1000;
+    expect(hour.reply.mock.calls[0][0].content).toBe(`😴 Snoozed until <t:${snoozedMs / 1000}:f>.`);
+    const update = execute.mock.calls.find(([sql]) => sql.includes("UPDATE reminders SET remind_at_ms"));
+    expect(update[1][0]).toBe(snoozedMs);
+    expect(JSON.parse(update[1][1])).toMatchObject({ snoozed: true });
+
+    // Snoozing past the next occurrence would skip it.
+    const tomorrow = click("remindsnooze:40:tomorrow");
+    await snooze.handler({ interaction: tomorrow });
+    expect(tomorrow.reply.mock.calls[0][0].content).toContain("The next one is already");
+
+    // A fired one-shot comes back as a one-off.
+    row = { ...row, recurrence_json: null, fired_at_ms: Date.now() - 1000 };
+    execute.mockClear();
+    await snooze.handler({ interaction: click("remindsnooze:40:10m") });
+    const revive = execute.mock.calls.find(([sql]) => sql.includes("UPDATE reminders SET remind_at_ms"));
+    expect(revive[1]).toEqual([Date.now() + 10 * 60 * 1000, null, 40]);
+
+    // Reviving one counts toward the per-user cap.
+    execute.mockImplementation(async (sql) => {
+      if (sql.includes("FROM reminders") && sql.includes("WHERE id = ?")) return [[row]];
+      if (sql.includes("WHERE user_id = ? AND fired_at_ms IS NULL")) {
+        return [Array.from({ length: 10 }, (_, i) => ({ id: 100 + i, phrase: "x", remind_at_ms: Date.now() + 1000 }))];
+      }
+      if (sql.trim().startsWith("SELECT")) return [[]];
+      return [{ affectedRows: 1 }];
+    });
+    execute.mockClear();
+    const full = click("remindsnooze:40:10m");
+    await snooze.handler({ interaction: full });
+    expect(full.reply.mock.calls[0][0].content).toBe("You can only have 10 reminders.");
+    expect(execute.mock.calls.some(([sql]) => sql.includes("UPDATE reminders SET remind_at_ms"))).toBe(false);
+
+    vi.useRealTimers();
+  });
+
+  it("lists the next fire time and recurrence rule", async () => {
+    const execute = vi.fn(async (sql) => {
+      if (sql.includes("SELECT id, phrase, message_id, channel_id")) {
+        return [[
+          {
+            id: 7,
+            phrase: "raid",
+            remind_at_ms: 1730000000000,
+            recurrence_json: JSON.stringify({ rule: { kind: "interval", everyMs: 7200000, label: "every 2h" }, remaining: 4 }),
+          },
+        ]];
+      }
+      return [[]];
+    });
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const remindSlash = register.calls.slash.find((c) => c.config.name === "remindme");
+
+    const interaction = makeInteraction({ sub: "list" });
+    await remindSlash.handler({ interaction });
+
+    expect(interaction.reply.mock.calls[0][0].content).toBe(
+      "Your reminders:\n1. raid — <t:1730000000:f> (<t:1730000000:R>)\n   🔁 every 2h (4 left)"
+    );
+  });
+
+  it("only lets hosts and admins target channels or roles", async () => {
+    const execute = vi.fn(async () => [[]]);
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const remindSlash = register.calls.slash.find((c) => c.config.name === "remindme");
+
+    const interaction = makeInteraction({ sub: "set", phrase: "raffle", time: "2h", targetChannel: { id: "c9" } });
+    await remindSlash.handler({ interaction });
+    expect(interaction.reply.mock.calls[0][0].content).toContain("Only hosts and admins");
+
+    const unmentionable = makeInteraction({
+      sub: "set",
+      phrase: "raffle",
+      time: "2h",
+      isAdmin: true,
+      role: { id: "g1" },
+    });
+    await remindSlash.handler({ interaction: unmentionable });
+    expect(unmentionable.reply.mock.calls[0][0].content).toContain("not @everyone");
+    expect(execute).not.toHaveBeenCalledWith(expect.stringContaining("INSERT INTO reminders"), expect.anything());
+  });
+
+  it("sets a channel reminder with a role ping and posts it there", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-01T15:00:00Z"));
+
+    const execute = vi.fn(async (sql) => {
+      if (sql.includes("INSERT INTO reminders")) return [{ insertId: 30 }];
+      return [[]];
+    });
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const channelSend = vi.fn(async () => {});
+
+    const register = makeRegister();
+    registerReminders(register);
+    const remindSlash = register.calls.slash.find((c) => c.config.name === "remindme");
+
+    const interaction = makeInteraction({
+      sub: "set",
+      phrase: "raffle closes",
+      time: "2h",
+      isAdmin: true,
+      targetChannel: { id: "c9" },
+      role: { id: "r5", mentionable: true },
+    });
+    interaction.client.channels = { fetch: vi.fn(async () => ({ send: channelSend })) };
+    await remindSlash.handler({ interaction });
+
+    const remindAtMs = Date.now() + 2 * 60 * 60 * 1000;
+    expect(execute).toHaveBeenCalledWith(expect.stringContaining("INSERT INTO reminders"), [
+      "u1",
+      "g1",
+      "c1",
+      null,
+      "raffle closes",
+      remindAtMs,
+      null,
+      "c9",
+      "r5",
+    ]);
+    expect(interaction.user.send).not.toHaveBeenCalled();
+    expect(interaction.reply.mock.calls[0][0].content).toBe(
+      `✅ Reminder set for <t:${remindAtMs / 1000}:f>. I'll post it in <#c9> and ping <@&r5>.`
+    );
+
+    await vi.advanceTimersByTimeAsync(2 * 60 * 60 * 1000);
+    expect(channelSend).toHaveBeenCalledWith({
+      content: "<@&r5> ⏰ **Reminder**: raffle closes\n-# Set by <@u1>",
+      allowedMentions: { parse: [], roles: ["r5"] },
+    });
+    expect(execute).toHaveBeenCalledWith(expect.stringContaining("DELETE FROM reminders WHERE id = ?"), [30, "g1"]);
+
+    vi.useRealTimers();
+  });
+
+  it("lists and cancels channel reminders for staff", async () => {
+    const execute = vi.fn(async (sql) => {
+      if (sql.includes("target_channel_id IS NOT NULL") && sql.startsWith("SELECT")) {
+        return [[
+          {
+            id: 12,
+            user_id: "u2",
+            guild_id: "g1",
+            phrase: "contest starts",
+            remind_at_ms: 1730000000000,
+            target_channel_id: "c9",
+            mention_role_id: "r5",
+          },
+        ]];
+      }
+      return [[]];
+    });
+    dbMocks.getDb.mockReturnValue({ execute });
+
+    const register = makeRegister();
+    registerReminders(register);
+    const remindSlash = register.calls.slash.find((c) => c.config.name === "remindme");
+
+    const denied = makeInteraction({ sub: "server_list" });
+    await remindSlash.handler({ interaction: denied });
+    expect(denied.reply.mock.calls[0][0].content).toContain("Only hosts and admins");
+
+    const list = makeInteraction({ sub: "server_list", isAdmin: true });
+    await remindSlash.handler({ interaction: list });
+    expect(list.reply.mock.calls[0][0].content).toBe(
+      "Channel reminders in this server:\n1. contest starts → <#c9> <@&r5> — <t:1730000000:f> (<t:1730000000:R>) · by <@u2>"
+    );
+
+    const unset = makeInteraction({ sub: "server_unset", phrase: "1", isAdmin: true });
+    await remindSlash.handler({ interaction: unset });
+    expect(execute).toHaveBeenCalledWith(
+      expect.stringContaining("DELETE FROM reminders WHERE id = ? AND guild_id = ?"),
+      [12, "g1"]
+    );
+    expect(unset.reply.mock.calls[0][0].content).toContain("cancelled");
+  });
+
   it("rejects message_id reminders in DMs", async () => {
     const execute = vi.fn(async () => [[]]);
     dbMocks.getDb.mockReturnValue({ execute });
@@ -1,12 +1,17 @@
-import { describe, it, expect, vi } from "vitest";
+import { describe, it, expect, vi, afterEach } from "vitest";
 
 vi.mock("../../db.js", () => ({ getDb: vi.fn() }));
-vi.mock("../../auth.js", () => ({ isAdminOrPrivileged: vi.fn() }));
+vi.mock("../../auth.js", () => {
+  const isAdminOrPrivileged = vi.fn();
+  return { isAdminOrPrivileged, hasPermissionTier: vi.fn((ctx) => isAdminOrPrivileged(ctx)) };
+});
 vi.mock("../../shared/dm.js", () => ({ sendDm: vi.fn() }));
 vi.mock("../../shared/logger.js", () => ({ logger: { warn: vi.fn(), serializeError: (e) => e } }));
-vi.mock("../../shared/metrics.js", () => ({ metrics: { incrementSchedulerRun: vi.fn() } }));
+vi.mock("../../shared/metrics.js", () => ({ metrics: { incrementSchedulerRun: vi.fn(), incrementExternalFetch: vi.fn() } }));
 vi.mock("../../shared/scheduler_registry.js", () => ({ registerScheduler: vi.fn() }));
 
+import { getDb } from "../../db.js";
+import { sendDm } from "../../shared/dm.js";
 import { __testables } from "../../tools/thread_watch.js";
 
 const {
@@ -19,8 +24,26 @@ const {
   parsePostsFromHtml,
   formatSnippet,
   buildPostHotlink,
+  parseForumInput,
+  parseForumSubOptions,
+  titleMatchesKeywords,
+  pollForumSubscriptions,
+  setClient,
 } = __testables;
 
+function listingHtml(threads) {
+  return (
+    "<title>TPPC Forums - Trading</title>" +
+    threads
+      .map(
+        ([id, title, author]) =>
+          `<td id="td_threadtitle_${id}"><div><a href="showthread.php?t=${id}" id="thread_title_${id}">${title}</a></div>` +
+          `<div class="smallfont"><span>${author}</span></div></td>`
+      )
+      .join("")
+  );
+}
+
 describe("tools/thread_watch.js", () => {
   it("tokenizes quoted arguments", () => {
     const tokens = tokenizeArgs('sub 123 --user "Foo Bar"');
@@ -84,4 +107,71 @@ describe("tools/thread_watch.js", () => {
     const html = '<a href="showthread.php?t=98765">link</a>';
     expect(extractThreadIdFromHtml(html)).toBe(98765);
   });
+
+  it("parses subforum input and keyword options", () => {
+    expect(parseForumInput("https://forums.tppc.info/forumdisplay.php?f=12&page=3").forumId).toBe(12);
+    expect(parseForumInput("f=12").forumId).toBe(12);
+    expect(parseForumInput("12").forumId).toBe(12);
+    expect(parseForumInput("https://example.com/forumdisplay.php?f=12").forumId).toBeNull();
+
+    expect(parseForumSubOptions(["12", "--keywords", "WTS, golden ,wts"])).toEqual({
+      input: "12",
+      keywords: ["wts", "golden"],
+    });
+    expect(parseForumSubOptions(["--keywords"]).error).toMatch(/Missing keywords/);
+    expect(titleMatchesKeywords("WTS: Golden Mew", ["golden"])).toBe(true);
+    expect(titleMatchesKeywords("WTB shinies", ["golden"])).toBe(false);
+    expect(titleMatchesKeywords("Anything", [])).toBe(true);
+  });
+
+  describe("subforum polling", () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      setClient(null);
+    });
+
+    it("DMs new threads that match keywords and advances every subscriber", async () => {
+      const execute = vi.fn(async (sql) => {
+        if (sql.includes("WHERE watch_kind = 'forum'")) {
+          return [[
+            { id: 1, user_id: "u1", thread_id: 12, thread_title: "Trading", last_seen_post_id: 500, keywords: '["golden"]' },
+            { id: 2, user_id: "u2", thread_id: 12, thread_title: "Trading", last_seen_post_id: 500, keywords: null },
+          ]];
+        }
+        return [[]];
+      });
+      getDb.mockReturnValue({ execute });
+      vi.stubGlobal(
+        "fetch",
+        vi.fn(async () => ({
+          ok: true,
+          text: async () =>
+            listingHtml([
+              [499, "Old sticky", "Mod"],
+              [502, "WTS Golden Mew", "Haunter"],
+              [501, "WTB shinies", "Gengar"],
+            ]),
+        }))
+      );
+      const users = { fetch: vi.fn(async (id) => ({ id })) };
+      setClient({ users });
+      sendDm.mockResolvedValue({ ok: true });
+
+      await pollForumSubscriptions();
+
+      expect(String(fetch.mock.calls[0][0])).toBe(
+        "https://forums.tppc.info/forumdisplay.php?f=12&sort=dateline&order=desc"
+      );
+      expect(sendDm).toHaveBeenCalledTimes(2);
+      const [first, second] = sendDm.mock.calls.map(([arg]) => arg);
+      expect(first.user.id).toBe("u1");
+      expect(first.payload.content).toContain("1 new thread in Trading");
+      expect(first.payload.content).toContain("**WTS Golden Mew** — by **Haunter**");
+      expect(first.payload.content).not.toContain("WTB shinies");
+      expect(second.payload.content).toContain("2 new threads in Trading");
+      expect(second.payload.content.indexOf("WTB shinies")).toBeLessThan(second.payload.content.indexOf("Golden"));
+      expect(execute).toHaveBeenCalledWith(expect.stringContaining("SET last_seen_post_id"), [502, 1]);
+      expect(execute).toHaveBeenCalledWith(expect.stringContaining("SET last_seen_post_id"), [502, 2]);
+    });
+  });
 });
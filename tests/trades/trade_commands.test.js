@@ -4,6 +4,7 @@ const dbMocks = vi.hoisted(() => ({
   getUserText: vi.fn(),
   setUserText: vi.fn(),
   deleteUserText: vi.fn(),
+  listUserTexts: vi.fn(),
 }));
 
 vi.mock("../../db.js", () => dbMocks);
@@ -45,6 +46,7 @@ describe("trade_commands.js", () => {
     dbMocks.getUserText.mockReset();
     dbMocks.setUserText.mockReset();
     dbMocks.deleteUserText.mockReset();
+    dbMocks.listUserTexts.mockReset();
   });
 
   it("handles add for ft", async () => {
@@ -153,4 +155,72 @@ describe("trade_commands.js", () => {
       })
     );
   });
+
+  it("ranks trade partners for ft match without pinging them", async () => {
+    const register = makeRegister();
+    registerTradeCommands(register);
+
+    const handler = getHandler(register, "ft");
+    const message = makeMessage();
+
+    dbMocks.listUserTexts.mockImplementation(async ({ kind }) =>
+      kind === "ft"
+        ? [
+            { userId: "u1", text: "gpichu" },
+            { userId: "u2", text: "dark bulbasaur, thread link" },
+          ]
+        : [
+            { userId: "u1", text: "dbulbasaur" },
+            { userId: "u2", text: "GoldenPichu (M)" },
+          ]
+    );
+
+    await handler({ message, rest: "match", cmd: "!ft" });
+
+    expect(dbMocks.listUserTexts).toHaveBeenCalledWith({ guildId: "g1", kind: "ft" });
+    expect(message.channel.send).toHaveBeenCalledWith({
+      content: "**Trade matches for <@u1>**\n🔁 <@u2> — has: DarkBulbasaur · wants: GoldenPichu",
+      allowedMentions: { parse: [], users: [], roles: [] },
+    });
+  });
+
+  it("splits long match results across messages without pinging anyone", async () => {
+    const register = makeRegister();
+    registerTradeCommands(register);
+
+    const handler = getHandler(register, "ft");
+    const message = makeMessage();
+
+    const list = "GoldenCharizard lvl 1000000, ShinyCharizard lvl 1000000, DarkCharizard lvl 1000000, " +
+      "GoldenBlastoise lvl 1000000, ShinyBlastoise lvl 1000000, DarkBlastoise lvl 1000000";
+    const others = Array.from({ length: 10 }, (_, i) => ({ userId: `12345678901234567${i}`, text: list }));
+    dbMocks.listUserTexts.mockImplementation(async () => [{ userId: "u1", text: list }, ...others]);
+
+    await handler({ message, rest: "match", cmd: "!ft" });
+
+    const sent = message.channel.send.mock.calls.map(([payload]) => payload);
+    expect(sent.length).toBeGreaterThan(1);
+    expect(sent[0].content.startsWith("**Trade matches for <@u1>**")).toBe(true);
+    for (const payload of sent) {
+      expect(payload.content.length).toBeLessThanOrEqual(2000);
+      expect(payload.allowedMentions).toEqual({ parse: [], users: [], roles: [] });
+    }
+  });
+
+  it("explains when match finds no parsed entries for the user", async () => {
+    const register = makeRegister();
+    registerTradeCommands(register);
+
+    const handler = getHandler(register, "lf");
+    const message = makeMessage();
+
+    dbMocks.listUserTexts.mockResolvedValue([{ userId: "u2", text: "gpichu" }]);
+
+    await handler({ message, rest: "match", cmd: "?lf" });
+
+    expect(message.reply).toHaveBeenCalledWith(
+      expect.stringContaining("No Pokémon were recognized in your lists")
+    );
+    expect(message.channel.send).not.toHaveBeenCalled();
+  });
 });
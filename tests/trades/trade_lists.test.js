@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+
+import {
+  parseTradeList,
+  formatTradeEntry,
+  tradeEntriesMatch,
+  findTradeMatches,
+  rankTradePartners,
+} from "../../trades/trade_lists.js";
+
+describe("trade_lists.js", () => {
+  it("parses variants, gender, and level from list chunks", async () => {
+    const entries = await parseTradeList(
+      "GoldenPichu (M), s.charmander lvl 5\n- dark bulbasaur ?; https://forums.tppc.info/showthread.php?t=1"
+    );
+
+    expect(entries.map(formatTradeEntry)).toEqual([
+      "GoldenPichu (M)",
+      "ShinyCharmander lvl 5",
+      "DarkBulbasaur (?)",
+    ]);
+    expect(entries[0]).toMatchObject({ name: "Pichu", variant: "golden", gender: "M", level: null });
+  });
+
+  it("prefers direct species names over variant prefixes", async () => {
+    const entries = await parseTradeList("Slowpoke, Gligar, NidoranM, gslowpoke");
+    expect(entries.map((e) => [e.name, e.variant])).toEqual([
+      ["Slowpoke", "normal"],
+      ["Gligar", "normal"],
+      ["NidoranM", "normal"],
+      ["Slowpoke", "golden"],
+    ]);
+  });
+
+  it("reads shorthand trailing levels with optional gender", async () => {
+    const entries = await parseTradeList("GDratini 5, GPichu M5, Porygon2");
+    expect(entries.map(formatTradeEntry)).toEqual([
+      "GoldenDratini lvl 5",
+      "GoldenPichu (M) lvl 5",
+      "Porygon2",
+    ]);
+  });
+
+  it("skips chunks that are not pokemon", async () => {
+    const entries = await parseTradeList("offers welcome, see thread, money");
+    expect(entries).toEqual([]);
+  });
+
+  it("only constrains gender/level when both sides specify them", () => {
+    const want = { key: "172-0", variant: "golden", gender: "M", level: null };
+    expect(tradeEntriesMatch(want, { key: "172-0", variant: "golden", gender: null, level: 5 })).toBe(true);
+    expect(tradeEntriesMatch(want, { key: "172-0", variant: "golden", gender: "F", level: null })).toBe(false);
+    expect(tradeEntriesMatch(want, { key: "172-0", variant: "shiny", gender: "M", level: null })).toBe(false);
+    expect(
+      tradeEntriesMatch(
+        { key: "172-0", variant: "normal", gender: null, level: 5 },
+        { key: "172-0", variant: "normal", gender: null, level: 4 }
+      )
+    ).toBe(false);
+  });
+
+  it("dedupes matching entries by label", async () => {
+    const want = await parseTradeList("gpichu");
+    const have = await parseTradeList("GoldenPichu, golden pichu, charmander");
+    expect(findTradeMatches(want, have).map(formatTradeEntry)).toEqual(["GoldenPichu"]);
+  });
+
+  it("ranks mutual partners ahead of one-way matches", async () => {
+    const ftByUser = new Map([
+      ["me", await parseTradeList("gpichu, scharmander")],
+      ["a", await parseTradeList("dbulbasaur")],
+      ["b", await parseTradeList("dbulbasaur, eevee")],
+    ]);
+    const lfByUser = new Map([
+      ["me", await parseTradeList("dbulbasaur, eevee")],
+      ["b", await parseTradeList("gpichu")],
+      ["c", await parseTradeList("scharmander")],
+    ]);
+
+    const ranked = rankTradePartners({ userId: "me", ftByUser, lfByUser });
+
+    expect(ranked.map((p) => p.userId)).toEqual(["b", "a", "c"]);
+    expect(ranked[0]).toMatchObject({ mutual: true });
+    expect(ranked[0].theyHave.map(formatTradeEntry)).toEqual(["DarkBulbasaur", "Eevee"]);
+    expect(ranked[0].theyWant.map(formatTradeEntry)).toEqual(["GoldenPichu"]);
+    expect(ranked[2].theyHave).toEqual([]);
+  });
+});
@@ -6,7 +6,7 @@ import fs from "node:fs/promises";
 import path from "node:path";
 import { PermissionFlagsBits } from "discord.js";
 
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { normalizeKey } from "../shared/pokename_utils.js";
 import { logger } from "../shared/logger.js";
 import { registerScheduler } from "../shared/scheduler_registry.js";
@@ -1875,7 +1875,7 @@ export function registerMarketPoll(register) {
       const prefix = commandPrefix(cmd);
       const tokens = tokenizeArgs(rest);
       const sub = String(tokens.shift() || "help").toLowerCase();
-      const isAdmin = isAdminOrPrivileged(message);
+      const isAdmin = hasPermissionTier(message, "moderator");
 
       if (sub === "help") {
         await message.reply(buildHelpText(prefix));
@@ -1939,6 +1939,7 @@ export function registerMarketPoll(register) {
     opts: {
       category: "Tools",
       aliases: ["market", "mp"],
+      subcommandTiers: { config: "moderator", seeds: "moderator", tiers: "moderator", poll: "moderator" },
     },
   });
 }
@@ -6,8 +6,8 @@
 import fs from "node:fs/promises";
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from "discord.js";
 import { getDb } from "../db.js";
-import { isAdminOrPrivileged } from "../auth.js";
-import { MESSAGE_COUNT_CHANNELS_BY_GUILD } from "../configs/message_count_channels.js";
+import { hasPermissionTier } from "../auth.js";
+import { getGuildSetting } from "../shared/guild_settings.js";
 
 const TOP_LIMIT = 10;
 const FLAREON_PATH = "data/user_message_counts_flareon_migration_data.json";
@@ -17,7 +17,7 @@ let flareonCounts = null;
 let flareonLoadAttempted = false;
 
 function trackedChannelsForGuild(guildId) {
-  const config = MESSAGE_COUNT_CHANNELS_BY_GUILD?.[String(guildId || "")];
+  const config = getGuildSetting(guildId, "message_count_channels");
   if (Array.isArray(config)) {
     return { channels: new Set(config.map(String)), parents: new Set() };
   }
@@ -62,6 +62,27 @@ async function fetchMessageCount({ guildId, userId }) {
   return Number.isFinite(count) ? count : 0;
 }
 
+/**
+ * Bulk lookup for eligibility checks: Map(userId -> count) for this server's tracked channels.
+ * Users without a row are omitted (treat as 0).
+ */
+export async function fetchMessageCounts({ guildId, userIds }) {
+  const ids = [...new Set((Array.isArray(userIds) ? userIds : []).map(String))];
+  const counts = new Map();
+  if (!guildId || !ids.length) return counts;
+  const db = getDb();
+  const placeholders = ids.map(() => "?").join(", ");
+  const [rows] = await db.execute(
+    `SELECT user_id, count FROM message_counts WHERE guild_id = ? AND user_id IN (${placeholders})`,
+    [String(guildId), ...ids]
+  );
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const count = Number(row.count || 0);
+    counts.set(String(row.user_id), Number.isFinite(count) ? count : 0);
+  }
+  return counts;
+}
+
 async function loadFlareonCountsOnce() {
   if (flareonLoadAttempted) return flareonCounts;
   flareonLoadAttempted = true;
@@ -262,7 +283,7 @@ export function registerMessageCounts(register) {
       description: "Reset Spectreon message counts for this server",
     },
     async ({ interaction }) => {
-      if (!isAdminOrPrivileged(interaction)) {
+      if (!hasPermissionTier(interaction, "admin")) {
         await interaction.reply({
           content: "❌ You do not have permission to reset message counts.",
           flags: MessageFlags.Ephemeral,
@@ -287,12 +308,12 @@ export function registerMessageCounts(register) {
         flags: MessageFlags.Ephemeral,
       });
     },
-    { admin: true }
+    { admin: true, tier: "admin" }
   );
 
   register.component(RESET_PREFIX, async ({ interaction }) => {
     const action = interaction.customId?.slice(RESET_PREFIX.length) || "";
-    if (!isAdminOrPrivileged(interaction)) {
+    if (!hasPermissionTier(interaction, "admin")) {
       await interaction.reply({
         content: "❌ You do not have permission to reset message counts.",
         flags: MessageFlags.Ephemeral,
@@ -1,7 +1,7 @@
 // tools/metrics_export.js
 // Admin command for exporting metrics snapshots.
 
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { exportMetricsSnapshot, scheduleMetricsExport } from "../shared/metrics_export.js";
 import { registerScheduler } from "../shared/scheduler_registry.js";
 
@@ -9,7 +9,7 @@ export function registerMetricsExport(register) {
   register(
     "!exportmetrics",
     async ({ message }) => {
-      if (!isAdminOrPrivileged(message)) {
+      if (!hasPermissionTier(message, "admin")) {
         await message.reply("You do not have permission to export metrics.");
         return;
       }
@@ -33,7 +33,7 @@ export function registerMetricsExport(register) {
       await message.reply("❌ Metrics export failed. Check logs for details.");
     },
     "!exportmetrics — export metrics snapshot",
-    { admin: true, aliases: ["!export"] }
+    { admin: true, tier: "admin", aliases: ["!export"] }
   );
 }
 
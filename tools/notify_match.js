@@ -0,0 +1,226 @@
+// tools/notify_match.js
+//
+// NotifyMe matching helpers (pure; no Discord/DB).
+//
+// - match modes: "word" (whole word/phrase, the original behavior and the
+//   default), "substring" (anywhere, e.g. "gold" in "golden"), "regex"
+// - regexes run in a separate vm context with a hard timeout, so a
+//   catastrophic pattern can't stall the message listener; callers also share a
+//   per-message time budget across all regex entries (REGEX_MESSAGE_BUDGET_MS)
+// - channel include/exclude lists (threads also match their parent channel)
+// - quiet hours: { startMinute, endMinute, zone } wall-clock window, may wrap midnight
+
+import vm from "node:vm";
+import { DateTime } from "luxon";
+import { includesWholePhrase, normalizeForMatch } from "../contests/helpers.js";
+import { normalizeTimezoneToken, parseTimeOnly } from "./reminder_recurrence.js";
+
+export const NOTIFY_MATCH_MODES = ["word", "substring", "regex"];
+export const DEFAULT_MATCH_MODE = "word";
+
+const DEFAULT_QUIET_ZONE = "America/New_York";
+const MAX_REGEX_LENGTH = 200;
+const MAX_REGEX_INPUT_CHARS = 4000;
+const REGEX_TIMEOUT_MS = 25;
+// Total regex time allowed per message across a guild's entries.
+export const REGEX_MESSAGE_BUDGET_MS = 50;
+// A run this slow counts as a strike even when it finishes inside the timeout.
+export const REGEX_SLOW_MS = 10;
+// Classic backtracking trap; a pattern that can't finish this in time is rejected up front.
+const REGEX_PROBE = `${"a".repeat(32)}!`;
+
+const regexContext = vm.createContext(Object.create(null));
+const regexScript = new vm.Script("new RegExp(pattern, 'i').test(text)");
+
+export function parseMatchMode(raw) {
+  const value = String(raw ?? "").trim().toLowerCase();
+  if (!value) return DEFAULT_MATCH_MODE;
+  if (value === "word" || value === "whole word" || value === "whole") return "word";
+  if (value === "substring" || value === "contains" || value === "anywhere") return "substring";
+  if (value === "regex" || value === "regexp") return "regex";
+  return null;
+}
+
+export function matchModeOrDefault(raw) {
+  return parseMatchMode(raw) || DEFAULT_MATCH_MODE;
+}
+
+/**
+ * Runs `pattern` (case-insensitive) against `text` with a hard timeout.
+ * Returns { ok: true, matched, elapsedMs } or { ok: false, timedOut, error, elapsedMs }.
+ */
+export function safeRegexTest(pattern, text, { timeoutMs = REGEX_TIMEOUT_MS } = {}) {
+  regexContext.pattern = String(pattern ?? "");
+  regexContext.text = String(text ?? "").slice(0, MAX_REGEX_INPUT_CHARS);
+  const startedAt = performance.now();
+  try {
+    const matched = Boolean(regexScript.runInContext(regexContext, { timeout: timeoutMs }));
+    return { ok: true, matched, elapsedMs: performance.now() - startedAt };
+  } catch (err) {
+    const timedOut = err?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT";
+    return { ok: false, timedOut, error: err, elapsedMs: performance.now() - startedAt };
+  } finally {
+    regexContext.text = "";
+  }
+}
+
+/**
+ * Validates a user-supplied pattern: { ok: true, pattern } or { ok: false, error }.
+ */
+export function validateNotifyRegex(raw) {
+  const pattern = String(raw ?? "").trim();
+  if (!pattern) return { ok: false, error: "Please provide a regex pattern." };
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    return { ok: false, error: `Regex patterns can be at most ${MAX_REGEX_LENGTH} characters.` };
+  }
+  try {
+    new RegExp(pattern, "i");
+  } catch (err) {
+    return { ok: false, error: `That regex doesn't compile: ${err.message}` };
+  }
+  if (safeRegexTest(pattern, "").matched) {
+    return { ok: false, error: "That regex matches every message. Use `from_user` without a phrase for that." };
+  }
+  const probe = safeRegexTest(pattern, REGEX_PROBE);
+  if (!probe.ok) return { ok: false, error: "That regex is too slow to run on every message." };
+  return { ok: true, pattern };
+}
+
+/**
+ * Does `content` match one entry's phrase under its mode?
+ * `cache` is shared across entries for one message (normalized text is computed once).
+ * Regex entries draw from `cache.regexBudgetMs` (REGEX_MESSAGE_BUDGET_MS per message);
+ * once it's spent the rest are skipped as unmatched.
+ * Returns { matched, timedOut, slow }; `slow` marks a regex run that should count as a strike.
+ */
+export function matchNotifyPhrase({ phrase, matchMode }, content, cache = {}) {
+  const text = String(phrase ?? "").trim();
+  const raw = String(content ?? "");
+  if (!text) return { matched: true, timedOut: false, slow: false };
+  if (!raw.trim()) return { matched: false, timedOut: false, slow: false };
+
+  const mode = matchModeOrDefault(matchMode);
+  if (mode === "regex") {
+    if (cache.regexBudgetMs == null) cache.regexBudgetMs = REGEX_MESSAGE_BUDGET_MS;
+    const timeoutMs = Math.min(REGEX_TIMEOUT_MS, Math.floor(cache.regexBudgetMs));
+    if (timeoutMs < 1) return { matched: false, timedOut: false, slow: false };
+    const res = safeRegexTest(text, raw, { timeoutMs });
+    cache.regexBudgetMs -= res.elapsedMs;
+    const timedOut = !res.ok && Boolean(res.timedOut);
+    // A timeout on a budget-shortened run isn't this entry's fault unless it was already slow.
+    const slow = res.elapsedMs >= REGEX_SLOW_MS || (timedOut && timeoutMs === REGEX_TIMEOUT_MS);
+    return { matched: res.ok && res.matched, timedOut, slow };
+  }
+  if (mode === "substring") {
+    if (cache.folded == null) cache.folded = raw.toLowerCase().replace(/\s+/g, " ");
+    return { matched: cache.folded.includes(text.toLowerCase().replace(/\s+/g, " ")), timedOut: false, slow: false };
+  }
+  if (cache.normalized == null) cache.normalized = normalizeForMatch(raw);
+  if (!cache.normalized || cache.normalized === " ") return { matched: false, timedOut: false, slow: false };
+  return { matched: includesWholePhrase(cache.normalized, text), timedOut: false, slow: false };
+}
+
+function normalizeChannelIds(ids) {
+  return [...new Set((Array.isArray(ids) ? ids : []).map((x) => String(x || "").trim()))]
+    .filter((id) => /^\d{5,}$/.test(id))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * "<#123> <#456>, 789" -> sorted unique channel ids.
+ */
+export function parseChannelIdsFromInput(raw) {
+  const text = String(raw || "");
+  const ids = [];
+  for (const m of text.matchAll(/<#(\d{5,})>/g)) ids.push(m[1]);
+  const cleaned = text.replace(/<#\d{5,}>/g, " ").replace(/[,\n\r\t]/g, " ");
+  for (const token of cleaned.split(" ").map((x) => x.trim()).filter(Boolean)) {
+    if (/^\d{5,}$/.test(token)) ids.push(token);
+  }
+  return normalizeChannelIds(ids);
+}
+
+export function parseChannelIdsJson(raw) {
+  if (!raw) return [];
+  try {
+    return normalizeChannelIds(JSON.parse(String(raw)));
+  } catch {
+    return parseChannelIdsFromInput(raw);
+  }
+}
+
+export function serializeChannelIds(ids) {
+  const normalized = normalizeChannelIds(ids);
+  return normalized.length ? JSON.stringify(normalized) : null;
+}
+
+/**
+ * Include list (if any) must contain the channel or its parent; exclude list must not.
+ */
+export function channelAllowed({ channelIds = [], excludeChannelIds = [] }, { channelId, parentId = null }) {
+  const ids = [channelId, parentId].filter(Boolean).map(String);
+  if (excludeChannelIds?.length && ids.some((id) => excludeChannelIds.includes(id))) return false;
+  if (channelIds?.length && !ids.some((id) => channelIds.includes(id))) return false;
+  return true;
+}
+
+function resolveZone(token) {
+  const raw = String(token ?? "").trim();
+  if (!raw) return DEFAULT_QUIET_ZONE;
+  const alias = normalizeTimezoneToken(raw);
+  if (alias) return alias.startsWith("+") || alias.startsWith("-") ? `UTC${alias}` : alias;
+  return DateTime.local().setZone(raw).isValid ? raw : null;
+}
+
+/**
+ * start/end ("22:00", "8am") + optional timezone -> { ok, quiet } or { ok: false, error }.
+ */
+export function parseQuietHours({ start, end, timezone = null }) {
+  const zone = resolveZone(timezone);
+  if (!zone) {
+    return { ok: false, error: "Unknown timezone. Use ET, UTC, an offset like `-05:00`, or a name like `Europe/London`." };
+  }
+  const from = parseTimeOnly(String(start ?? "").trim(), zone);
+  const to = parseTimeOnly(String(end ?? "").trim(), zone);
+  if (!from || !to) return { ok: false, error: "Please give start and end times like `22:00` or `8am`." };
+
+  const startMinute = from.hour * 60 + from.minute;
+  const endMinute = to.hour * 60 + to.minute;
+  if (startMinute === endMinute) return { ok: false, error: "Quiet hours need different start and end times." };
+  return { ok: true, quiet: { startMinute, endMinute, zone } };
+}
+
+function minuteOfDay(nowMs, zone) {
+  const dt = DateTime.fromMillis(nowMs, { zone });
+  return dt.hour * 60 + dt.minute;
+}
+
+export function isQuietAt(quiet, nowMs = Date.now()) {
+  if (!quiet) return false;
+  const m = minuteOfDay(nowMs, quiet.zone);
+  const { startMinute, endMinute } = quiet;
+  return startMinute < endMinute ? m >= startMinute && m < endMinute : m >= startMinute || m < endMinute;
+}
+
+/**
+ * When the current quiet window ends (ms), or null if it isn't quiet now.
+ */
+export function quietEndsAtMs(quiet, nowMs = Date.now()) {
+  if (!isQuietAt(quiet, nowMs)) return null;
+  const now = DateTime.fromMillis(nowMs, { zone: quiet.zone });
+  let end = now.startOf("day").plus({ minutes: quiet.endMinute });
+  if (end <= now) end = end.plus({ days: 1 });
+  return end.toMillis();
+}
+
+function formatMinute(minute) {
+  const h = Math.floor(minute / 60);
+  const m = minute % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+export function describeQuietHours(quiet) {
+  if (!quiet) return "";
+  const zone = quiet.zone === DEFAULT_QUIET_ZONE ? "ET" : quiet.zone;
+  return `${formatMinute(quiet.startMinute)}–${formatMinute(quiet.endMinute)} ${zone}`;
+}
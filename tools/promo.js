@@ -4,7 +4,7 @@
 
 import { parse } from "node-html-parser";
 
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { logger } from "../shared/logger.js";
 import { metrics } from "../shared/metrics.js";
 import { getDb, getUserTextRow, setUserText } from "../db.js";
@@ -276,7 +276,7 @@ export function registerPromo(register) {
   register(
     "!setpromo",
     async ({ message, rest }) => {
-      if (!isAdminOrPrivileged(message)) {
+      if (!hasPermissionTier(message, "moderator")) {
         await message.reply("You do not have permission to set the promo.");
         return;
       }
@@ -294,7 +294,7 @@ export function registerPromo(register) {
       await message.reply(`Promo updated to: ${promo}`);
     },
     "!setpromo <text> — sets the last promo",
-    { admin: true }
+    { admin: true, tier: "moderator" }
   );
 }
 
@@ -10,7 +10,7 @@ import path from "node:path";
 import https from "node:https";
 import http from "node:http";
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { logger } from "../shared/logger.js";
 import { metrics } from "../shared/metrics.js";
 import {
@@ -938,13 +938,13 @@ export function registerRarity(register) {
     logicalId: "rarity.main",
     name: "rarityreload",
     handler: async ({ message }) => {
-      if (!isAdminOrPrivileged(message)) return;
+      if (!hasPermissionTier(message, "moderator")) return;
 
       await refresh();
       await message.reply("Rarity cache refreshed ✅");
     },
     help: "!rarityreload — refreshes rarity cache (admin)",
-    opts: { admin: true }
+    opts: { admin: true, tier: "moderator" }
   });
 }
 
@@ -1152,13 +1152,13 @@ export function registerLevel4Rarity(register) {
   register(
     "!rarity4reload",
     async ({ message }) => {
-      if (!isAdminOrPrivileged(message)) return;
+      if (!hasPermissionTier(message, "moderator")) return;
 
       await refreshL4();
       await message.reply("Rarity4 cache refreshed ✅");
     },
     "!rarity4reload — refreshes rarity4 cache",
-    { admin: true }
+    { admin: true, tier: "moderator" }
   );
 
   // ------------------------------- !rh (history) -------------------------------
@@ -0,0 +1,349 @@
+// tools/reminder_recurrence.js
+//
+// Recurrence rules for /remindme (pure helpers; no Discord/DB).
+//
+// Accepted `repeat` inputs (timezone token optional, default ET):
+// - "every day 7pm", "daily at 19:30 UTC", "every weekday 9am", "every weekend 10am"
+// - "every sunday", "every mon,wed,fri 8pm", "every tue and thu 6:30 pm"
+// - "every 2h", "every 3 days", "every week" (fixed interval from the previous fire)
+// - cron: "0 19 * * 0" or "cron 0 19 * * 0 UTC" (minute hour day-of-month month day-of-week)
+//
+// Rules are plain objects so they round-trip through reminders.recurrence_json:
+//   { kind: "cron", minutes, hours, days, months, weekdays, zone, label }
+//   { kind: "interval", everyMs, label }
+// (null cron fields mean "any").
+
+import { DateTime } from "luxon";
+
+const DEFAULT_ZONE = "America/New_York";
+const MIN_INTERVAL_MS = 10 * 60 * 1000;
+const CRON_GAP_SAMPLES = 24;
+const MAX_INTERVAL_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_SCAN_DAYS = 366 * 8; // enough for "Feb 29 on a Monday"-style rules
+
+const TZ_ALIASES = new Map([
+  ["UTC", "UTC"],
+  ["GMT", "UTC"],
+  ["ET", "America/New_York"],
+  ["EST", "America/New_York"],
+  ["EDT", "America/New_York"],
+]);
+
+const WEEKDAYS = new Map([
+  ["sun", 0], ["sunday", 0], ["sundays", 0],
+  ["mon", 1], ["monday", 1], ["mondays", 1],
+  ["tue", 2], ["tues", 2], ["tuesday", 2], ["tuesdays", 2],
+  ["wed", 3], ["wednesday", 3], ["wednesdays", 3],
+  ["thu", 4], ["thur", 4], ["thurs", 4], ["thursday", 4], ["thursdays", 4],
+  ["fri", 5], ["friday", 5], ["fridays", 5],
+  ["sat", 6], ["saturday", 6], ["saturdays", 6],
+]);
+const WEEKDAY_GROUPS = new Map([
+  ["day", null],
+  ["weekday", [1, 2, 3, 4, 5]],
+  ["weekdays", [1, 2, 3, 4, 5]],
+  ["weekend", [0, 6]],
+  ["weekends", [0, 6]],
+]);
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const INTERVAL_UNITS_MS = [
+  [/^(m|min|mins|minute|minutes)$/, 60 * 1000],
+  [/^(h|hr|hrs|hour|hours)$/, 60 * 60 * 1000],
+  [/^(d|day|days)$/, 24 * 60 * 60 * 1000],
+  [/^(w|wk|wks|week|weeks)$/, 7 * 24 * 60 * 60 * 1000],
+];
+
+function isDigits(text) {
+  if (!text) return false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch < "0" || ch > "9") return false;
+  }
+  return true;
+}
+
+function isOffsetToken(token) {
+  if (!token || token.length < 3) return false;
+  const sign = token[0];
+  if (sign !== "+" && sign !== "-") return false;
+  const rest = token.slice(1);
+  const parts = rest.split(":");
+  if (parts.length !== 2) return false;
+  const [hh, mm] = parts;
+  if (!isDigits(hh) || !isDigits(mm)) return false;
+  const h = Number(hh);
+  const m = Number(mm);
+  return h >= 0 && h <= 23 && m >= 0 && m <= 59;
+}
+
+/**
+ * "ET" / "UTC" / "-05:00" -> zone for luxon, or null when the token isn't a zone.
+ */
+export function normalizeTimezoneToken(token) {
+  if (!token) return null;
+  const upper = token.toUpperCase();
+  if (TZ_ALIASES.has(upper)) return TZ_ALIASES.get(upper);
+  if (isOffsetToken(token)) return token;
+  return null;
+}
+
+/**
+ * "7pm", "7:30 PM", "19:30" -> { hour, minute } or null.
+ */
+export function parseTimeOnly(text, zone) {
+  const formats = ["h:mm a", "h a", "h:mma", "ha", "H:mm", "HH:mm"];
+  for (const fmt of formats) {
+    const dt = DateTime.fromFormat(String(text ?? ""), fmt, { zone });
+    if (dt.isValid) {
+      return { hour: dt.hour, minute: dt.minute };
+    }
+  }
+  return null;
+}
+
+function zoneLabel(zone) {
+  return zone === DEFAULT_ZONE ? "ET" : zone;
+}
+
+/* ---------------------------------- cron ---------------------------------- */
+
+function parseCronValue(token, names, offset) {
+  if (isDigits(token)) return Number(token);
+  const idx = names ? names.indexOf(String(token).toLowerCase().slice(0, 3)) : -1;
+  return idx === -1 ? null : idx + offset;
+}
+
+function parseCronField(field, { min, max, names = null, offset = 0 }) {
+  if (field === "*") return { ok: true, values: null };
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const m = part.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/i);
+    if (!m) return { ok: false };
+    const step = m[3] ? Number(m[3]) : 1;
+    let lo = min;
+    let hi = max;
+    if (m[1] !== "*") {
+      lo = parseCronValue(m[1], names, offset);
+      hi = m[2] ? parseCronValue(m[2], names, offset) : m[3] ? max : lo;
+    }
+    if (lo == null || hi == null || step < 1 || lo < min || hi > max || lo > hi) return { ok: false };
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return { ok: true, values: [...values].sort((a, b) => a - b) };
+}
+
+function parseCron(expr, zone) {
+  const fields = expr.split(" ");
+  if (fields.length !== 5) return null;
+  const [minute, hour, dom, month, dow] = fields;
+  const parsed = [
+    parseCronField(minute, { min: 0, max: 59 }),
+    parseCronField(hour, { min: 0, max: 23 }),
+    parseCronField(dom, { min: 1, max: 31 }),
+    parseCronField(month, { min: 1, max: 12, names: MONTHS, offset: 1 }),
+    parseCronField(dow, { min: 0, max: 7, names: [...WEEKDAYS.keys()].filter((k) => k.length === 3), offset: 0 }),
+  ];
+  if (parsed.some((p) => !p.ok)) return null;
+
+  const weekdays = parsed[4].values ? [...new Set(parsed[4].values.map((d) => d % 7))].sort((a, b) => a - b) : null;
+  return {
+    kind: "cron",
+    minutes: parsed[0].values ?? Array.from({ length: 60 }, (_, i) => i),
+    hours: parsed[1].values ?? Array.from({ length: 24 }, (_, i) => i),
+    days: parsed[2].values,
+    months: parsed[3].values,
+    weekdays,
+    zone,
+    label: `cron \`${expr}\` (${zoneLabel(zone)})`,
+  };
+}
+
+/* --------------------------------- natural -------------------------------- */
+
+function parseWeekdayList(text) {
+  const tokens = text.split(/\s*(?:,|\band\b|&|\/)\s*|\s+/).filter(Boolean);
+  if (!tokens.length) return null;
+  const days = new Set();
+  for (const token of tokens) {
+    if (!WEEKDAYS.has(token)) return null;
+    days.add(WEEKDAYS.get(token));
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+function parseInterval(text) {
+  const m = text.match(/^(\d+)?\s*([a-z]+)$/);
+  if (!m) return null;
+  const count = m[1] ? Number(m[1]) : 1;
+  const unit = INTERVAL_UNITS_MS.find(([re]) => re.test(m[2]));
+  if (!unit || count < 1) return null;
+  return count * unit[1];
+}
+
+function describeTime(hour, minute) {
+  return DateTime.fromObject({ hour, minute }).toFormat("h:mm a");
+}
+
+function weekdayName(d) {
+  return DateTime.fromObject({ weekday: d === 0 ? 7 : d }).toFormat("cccc");
+}
+
+/**
+ * Smallest gap between the next few fires of a cron rule (Infinity when it fires at most once).
+ */
+function minCronGapMs(rule, nowMs) {
+  let minGap = Infinity;
+  let prev = nextOccurrence(rule, { afterMs: nowMs });
+  for (let i = 0; prev != null && i < CRON_GAP_SAMPLES; i += 1) {
+    const next = nextOccurrence(rule, { afterMs: prev });
+    if (next == null) break;
+    minGap = Math.min(minGap, next - prev);
+    prev = next;
+  }
+  return minGap;
+}
+
+/**
+ * Parse a `repeat` input. `nowMs` supplies the time of day for rules that
+ * don't name one ("every sunday" repeats at the time it was set).
+ * Returns { ok: true, rule } or { ok: false, error }.
+ */
+export function parseRecurrence(raw, { defaultZone = DEFAULT_ZONE, nowMs = Date.now() } = {}) {
+  let text = String(raw ?? "")
+    .trim()
+    .replace(/\s+/g, " ");
+  if (!text) return { ok: false, error: "Please provide a repeat rule." };
+
+  let zone = defaultZone;
+  const tokens = text.split(" ");
+  const tz = normalizeTimezoneToken(tokens[tokens.length - 1]);
+  if (tz) {
+    zone = tz;
+    tokens.pop();
+    text = tokens.join(" ");
+  }
+
+  const cronText = text.replace(/^cron\s+/i, "");
+  if (/^[\d*]/.test(cronText) && cronText.split(" ").length === 5) {
+    const rule = parseCron(cronText, zone);
+    if (!rule) return { ok: false, error: "That cron expression isn't valid (use `minute hour day month weekday`)." };
+    if (minCronGapMs(rule, nowMs) < MIN_INTERVAL_MS) {
+      return { ok: false, error: "Repeating reminders must be at least 10 minutes apart." };
+    }
+    return { ok: true, rule };
+  }
+
+  let lower = text.toLowerCase();
+  if (lower === "daily" || lower.startsWith("daily ")) lower = `every day${lower.slice(5)}`;
+  if (lower === "weekly") lower = "every week";
+  if (lower === "hourly") lower = "every hour";
+  if (!lower.startsWith("every ")) {
+    return { ok: false, error: "Repeat rules start with `every` (e.g. `every day 7pm`, `every sunday`, `every 2h`) or are a cron expression." };
+  }
+  lower = lower.slice("every ".length);
+
+  // "<days> [at] <time>"
+  const m = lower.match(/^(.*?)(?:\s+(?:at\s+)?(\d{1,2}(?::\d{2})?\s*(?:am|pm)?))?$/);
+  const dayText = (m?.[1] || "").trim();
+  const timeText = (m?.[2] || "").trim();
+  const weekdays = WEEKDAY_GROUPS.has(dayText) ? WEEKDAY_GROUPS.get(dayText) : parseWeekdayList(dayText);
+
+  if (weekdays === null && !WEEKDAY_GROUPS.has(dayText)) {
+    const everyMs = parseInterval(lower);
+    if (!everyMs) {
+      return { ok: false, error: `I couldn't read "${raw}". Try \`every day 7pm\`, \`every mon,wed 8pm\` or \`every 2h\`.` };
+    }
+    if (everyMs < MIN_INTERVAL_MS) return { ok: false, error: "Repeating reminders must be at least 10 minutes apart." };
+    if (everyMs > MAX_INTERVAL_MS) return { ok: false, error: "Repeating reminders must repeat at least once a year." };
+    return { ok: true, rule: { kind: "interval", everyMs, label: `every ${lower}` } };
+  }
+
+  let time;
+  if (timeText) {
+    time = parseTimeOnly(timeText, zone);
+    if (!time) return { ok: false, error: `"${timeText}" isn't a time of day.` };
+  } else {
+    const now = DateTime.fromMillis(nowMs, { zone });
+    time = { hour: now.hour, minute: now.minute };
+  }
+
+  const daysLabel =
+    weekdays === null
+      ? "every day"
+      : dayText.startsWith("weekday")
+        ? "every weekday"
+        : dayText.startsWith("weekend")
+          ? "every weekend"
+          : `every ${weekdays.map(weekdayName).join(", ")}`;
+
+  return {
+    ok: true,
+    rule: {
+      kind: "cron",
+      minutes: [time.minute],
+      hours: [time.hour],
+      days: null,
+      months: null,
+      weekdays,
+      zone,
+      label: `${daysLabel} at ${describeTime(time.hour, time.minute)} ${zoneLabel(zone)}`,
+    },
+  };
+}
+
+/* ------------------------------- scheduling ------------------------------- */
+
+function dayMatches(rule, dt) {
+  if (rule.months && !rule.months.includes(dt.month)) return false;
+  const domOk = !rule.days || rule.days.includes(dt.day);
+  const dowOk = !rule.weekdays || rule.weekdays.includes(dt.weekday % 7);
+  // Cron semantics: when both day fields are restricted, either may match.
+  if (rule.days && rule.weekdays) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+/**
+ * First fire time strictly after `afterMs`, or null when the rule never fires
+ * again. Interval rules step from `previousMs` (the last scheduled fire) so
+ * they don't drift when delivery runs late.
+ */
+export function nextOccurrence(rule, { afterMs, previousMs = null }) {
+  if (!rule) return null;
+
+  if (rule.kind === "interval") {
+    const everyMs = Number(rule.everyMs);
+    if (!Number.isFinite(everyMs) || everyMs <= 0) return null;
+    let next = (Number.isFinite(previousMs) ? previousMs : afterMs) + everyMs;
+    if (next <= afterMs) next += Math.ceil((afterMs - next + 1) / everyMs) * everyMs;
+    return next;
+  }
+
+  if (rule.kind !== "cron") return null;
+  const start = DateTime.fromMillis(afterMs, { zone: rule.zone || DEFAULT_ZONE }).startOf("day");
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    const day = start.plus({ days: i });
+    if (!dayMatches(rule, day)) continue;
+    for (const hour of rule.hours) {
+      for (const minute of rule.minutes) {
+        const dt = day.set({ hour, minute, second: 0, millisecond: 0 });
+        if (dt.hour !== hour) continue; // skipped by a DST jump
+        if (dt.toMillis() > afterMs) return dt.toMillis();
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Short label for /remindme list, e.g. "every Sunday at 7:00 PM ET (3 left, until <t:…:d>)".
+ */
+export function describeRecurrence({ rule, untilMs = null, remaining = null }) {
+  if (!rule) return "";
+  const extras = [];
+  if (Number.isInteger(remaining)) extras.push(`${remaining} left`);
+  if (Number.isFinite(untilMs)) extras.push(`until <t:${Math.floor(untilMs / 1000)}:d>`);
+  return `${rule.label}${extras.length ? ` (${extras.join(", ")})` : ""}`;
+}
+
+export const __testables = { parseCron, parseWeekdayList, parseInterval };
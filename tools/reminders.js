@@ -1,33 +1,69 @@
 // tools/reminders.js
 //
 // /notifyme and /remindme (slash only).
+//
+// NotifyMe entries match by whole word (default), substring or regex, can be
+// limited to/excluded from channels, and matches during a user's quiet hours
+// are queued in notify_me_digest and sent as one DM when the window ends.
+//
+// Reminders DM their creator, or (hosts/admins) post in a channel with an
+// optional role ping; both kinds live in the reminders table.
 
-import { MessageFlags } from "discord.js";
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags, PermissionFlagsBits } from "discord.js";
 import { DateTime } from "luxon";
 import { getDb } from "../db.js";
-import { isAdminOrPrivileged } from "../auth.js";
-import { includesWholePhrase, normalizeForMatch } from "../contests/helpers.js";
+import { hasPermissionTier } from "../auth.js";
+import { normalizeForMatch } from "../contests/helpers.js";
 import { metrics } from "../shared/metrics.js";
 import { sendDm } from "../shared/dm.js";
 import { startTimeout, clearTimer } from "../shared/timer_utils.js";
+import {
+  channelAllowed,
+  describeQuietHours,
+  isQuietAt,
+  matchModeOrDefault,
+  matchNotifyPhrase,
+  parseChannelIdsFromInput,
+  parseChannelIdsJson,
+  parseMatchMode,
+  parseQuietHours,
+  quietEndsAtMs,
+  serializeChannelIds,
+  validateNotifyRegex,
+} from "./notify_match.js";
+import {
+  describeRecurrence,
+  nextOccurrence,
+  normalizeTimezoneToken,
+  parseRecurrence,
+  parseTimeOnly,
+} from "./reminder_recurrence.js";
 
 const MAX_NOTIFY_PER_USER = 10;
 const MAX_NOTIFY_IGNORED_USERS = 25;
+const MAX_NOTIFY_CHANNELS = 25;
+const MAX_NOTIFY_REGEX_TIMEOUTS = 3; // a regex that is slow or times out this often is skipped until reload
+const MAX_NOTIFY_REGEX_PER_GUILD = 25; // regex entries run on every message, so cap them per server
+const MAX_NOTIFY_DIGEST_ITEMS = 100;
+const NOTIFY_DIGEST_SHOWN = 15;
+const NOTIFY_DIGEST_SNIPPET_CHARS = 80;
 const MAX_REMIND_PER_USER = 10;
+const MAX_CHANNEL_REMINDERS_PER_GUILD = 50;
 const MAX_DURATION_SECONDS = 365 * 24 * 60 * 60;
 const MAX_TIMEOUT_MS = 2_000_000_000; // ~23 days (setTimeout limit safety)
 const DEFAULT_REMINDME_TZ = "America/New_York";
 const NOTIFY_SNIPPET_MAX_CHARS = 200;
 const NOTIFY_SNIPPET_MAX_LINES = 3;
 const NOTIFY_ANY_MESSAGE_LABEL = "(any message)";
+const MAX_REPEAT_COUNT = 1000;
+const SNOOZE_PREFIX = "remindsnooze:";
+const SNOOZE_KEEP_MS = 7 * 24 * 60 * 60 * 1000; // fired one-shots stay snoozable this long
+const SNOOZE_OPTIONS = [
+  { key: "10m", label: "😴 Snooze 10m" },
+  { key: "1h", label: "1h" },
+  { key: "tomorrow", label: "Tomorrow" },
+];
 
-const TZ_ALIASES = new Map([
-  ["UTC", "UTC"],
-  ["GMT", "UTC"],
-  ["ET", "America/New_York"],
-  ["EST", "America/New_York"],
-  ["EDT", "America/New_York"],
-]);
 const DATE_KEYWORDS = new Map([
   ["today", "today"],
   ["tdy", "today"],
@@ -38,7 +74,9 @@ const DATE_KEYWORDS = new Map([
   ["tomo", "tomorrow"],
 ]);
 
-const notifyByGuild = new Map(); // guildId -> { loaded, items: [{ id, userId, phrase, key, targetUserId, ignoredUserIds }] }
+const notifyByGuild = new Map(); // guildId -> { loaded, items: [{ id, userId, phrase, key, matchMode, targetUserId, ignoredUserIds, channelIds, excludeChannelIds }] }
+const quietByUser = new Map(); // userId -> { startMinute, endMinute, zone } | null
+const digestTimersByUser = new Map(); // userId -> timeout
 const remindersById = new Map(); // reminderId -> { reminder, timeout }
 let booted = false;
 
@@ -54,9 +92,20 @@ function phraseKey(phrase) {
   return normalizeForMatch(phrase);
 }
 
-function notifyPhraseLabel(phrase) {
+// Word entries keep the normalized phrase as their key; other modes compare the raw text.
+function notifyKey(phrase, matchMode) {
+  const mode = matchModeOrDefault(matchMode);
+  if (mode === "word") return phraseKey(phrase);
+  return `${mode}:${norm(phrase).toLowerCase()}`;
+}
+
+function notifyPhraseLabel(phrase, matchMode = "word") {
   const text = norm(phrase);
-  return text || NOTIFY_ANY_MESSAGE_LABEL;
+  if (!text) return NOTIFY_ANY_MESSAGE_LABEL;
+  const mode = matchModeOrDefault(matchMode);
+  if (mode === "regex") return `/${text}/`;
+  if (mode === "substring") return `${text} (substring)`;
+  return text;
 }
 
 function isAnyMessagePhraseInput(raw) {
@@ -177,37 +226,6 @@ function splitWhitespace(text) {
   return tokens;
 }
 
-function isDigits(text) {
-  if (!text) return false;
-  for (let i = 0; i < text.length; i += 1) {
-    const ch = text[i];
-    if (ch < "0" || ch > "9") return false;
-  }
-  return true;
-}
-
-function isOffsetToken(token) {
-  if (!token || token.length < 3) return false;
-  const sign = token[0];
-  if (sign !== "+" && sign !== "-") return false;
-  const rest = token.slice(1);
-  const parts = rest.split(":");
-  if (parts.length !== 2) return false;
-  const [hh, mm] = parts;
-  if (!isDigits(hh) || !isDigits(mm)) return false;
-  const h = Number(hh);
-  const m = Number(mm);
-  return h >= 0 && h <= 23 && m >= 0 && m <= 59;
-}
-
-function normalizeTimezoneToken(token) {
-  if (!token) return null;
-  const upper = token.toUpperCase();
-  if (TZ_ALIASES.has(upper)) return TZ_ALIASES.get(upper);
-  if (isOffsetToken(token)) return token;
-  return null;
-}
-
 function extractDateKeyword(tokens) {
   let keyword = null;
   const remaining = [];
@@ -222,17 +240,6 @@ function extractDateKeyword(tokens) {
   return { keyword, tokens: remaining };
 }
 
-function parseTimeOnly(text, zone) {
-  const formats = ["h:mm a", "h a", "h:mma", "ha", "H:mm", "HH:mm"];
-  for (const fmt of formats) {
-    const dt = DateTime.fromFormat(text, fmt, { zone });
-    if (dt.isValid) {
-      return { hour: dt.hour, minute: dt.minute };
-    }
-  }
-  return null;
-}
-
 function parseAbsoluteDateTime(raw, { defaultZone = DEFAULT_REMINDME_TZ } = {}) {
   const trimmed = String(raw || "").trim();
   if (!trimmed) return { ok: false, error: "Please provide a date and time." };
@@ -330,31 +337,49 @@ async function loadNotifyGuild(guildId) {
   if (state.loaded) return state;
   const db = getDb();
   const [rows] = await db.execute(
-    `SELECT id, user_id, phrase, target_user_id, ignore_user_ids FROM notify_me WHERE guild_id = ?`,
+    `SELECT id, user_id, phrase, target_user_id, ignore_user_ids, match_mode, channel_ids, exclude_channel_ids
+     FROM notify_me WHERE guild_id = ?`,
     [String(guildId)]
   );
   state.items = (rows || []).map((row) => ({
     id: Number(row.id),
     userId: String(row.user_id),
     phrase: String(row.phrase || ""),
+    matchMode: matchModeOrDefault(row.match_mode),
     targetUserId: row.target_user_id ? String(row.target_user_id) : null,
     ignoredUserIds: parseIgnoredUserIds(row.ignore_user_ids),
-    key: phraseKey(row.phrase),
+    channelIds: parseChannelIdsJson(row.channel_ids),
+    excludeChannelIds: parseChannelIdsJson(row.exclude_channel_ids),
+    key: notifyKey(row.phrase, row.match_mode),
   }));
   state.loaded = true;
   return state;
 }
 
-async function addNotifyEntry({ guildId, userId, phrase, targetUserId, ignoredUserIds = [] }) {
+async function addNotifyEntry({
+  guildId,
+  userId,
+  phrase,
+  targetUserId,
+  ignoredUserIds = [],
+  matchMode = "word",
+  channelIds = [],
+  excludeChannelIds = [],
+}) {
   const db = getDb();
   const [result] = await db.execute(
-    `INSERT INTO notify_me (guild_id, user_id, phrase, target_user_id, ignore_user_ids) VALUES (?, ?, ?, ?, ?)`,
+    `INSERT INTO notify_me
+       (guild_id, user_id, phrase, target_user_id, ignore_user_ids, match_mode, channel_ids, exclude_channel_ids)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       String(guildId),
       String(userId),
       String(phrase),
       targetUserId ? String(targetUserId) : null,
       serializeIgnoredUserIds(ignoredUserIds),
+      matchModeOrDefault(matchMode),
+      serializeChannelIds(channelIds),
+      serializeChannelIds(excludeChannelIds),
     ]
   );
   const id = Number(result?.insertId);
@@ -389,18 +414,117 @@ async function clearNotifyEntries({ guildId, userId }) {
 async function listNotifyEntries({ guildId, userId }) {
   const db = getDb();
   const [rows] = await db.execute(
-    `SELECT id, phrase, target_user_id, ignore_user_ids, created_at FROM notify_me WHERE guild_id = ? AND user_id = ? ORDER BY id ASC`,
+    `SELECT id, phrase, target_user_id, ignore_user_ids, match_mode, channel_ids, exclude_channel_ids, created_at
+     FROM notify_me WHERE guild_id = ? AND user_id = ? ORDER BY id ASC`,
     [String(guildId), String(userId)]
   );
   return (rows || []).map((row) => ({
     id: Number(row.id),
     phrase: String(row.phrase || ""),
+    matchMode: matchModeOrDefault(row.match_mode),
     targetUserId: row.target_user_id ? String(row.target_user_id) : null,
     ignoredUserIds: parseIgnoredUserIds(row.ignore_user_ids),
+    channelIds: parseChannelIdsJson(row.channel_ids),
+    excludeChannelIds: parseChannelIdsJson(row.exclude_channel_ids),
     createdAt: row.created_at ? new Date(row.created_at).getTime() : null,
   }));
 }
 
+async function getQuietHours(userId) {
+  const uid = String(userId);
+  if (quietByUser.has(uid)) return quietByUser.get(uid);
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT start_minute, end_minute, timezone FROM notify_me_quiet_hours WHERE user_id = ?`,
+    [uid]
+  );
+  const row = rows?.[0];
+  const quiet = row
+    ? { startMinute: Number(row.start_minute), endMinute: Number(row.end_minute), zone: String(row.timezone) }
+    : null;
+  quietByUser.set(uid, quiet);
+  return quiet;
+}
+
+async function setQuietHours({ userId, quiet }) {
+  const db = getDb();
+  await db.execute(
+    `INSERT INTO notify_me_quiet_hours (user_id, start_minute, end_minute, timezone)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE start_minute = VALUES(start_minute), end_minute = VALUES(end_minute),
+       timezone = VALUES(timezone)`,
+    [String(userId), quiet.startMinute, quiet.endMinute, quiet.zone]
+  );
+  quietByUser.set(String(userId), quiet);
+}
+
+async function clearQuietHours({ userId }) {
+  const db = getDb();
+  await db.execute(`DELETE FROM notify_me_quiet_hours WHERE user_id = ?`, [String(userId)]);
+  quietByUser.set(String(userId), null);
+}
+
+/**
+ * Queues one match for the user's digest. Returns false when the digest is full.
+ */
+async function queueNotifyDigest({ userId, guildId, channelId, messageId, authorId, phrases, snippet }) {
+  const db = getDb();
+  const [rows] = await db.execute(`SELECT COUNT(*) AS total FROM notify_me_digest WHERE user_id = ?`, [
+    String(userId),
+  ]);
+  if (Number(rows?.[0]?.total || 0) >= MAX_NOTIFY_DIGEST_ITEMS) return false;
+  await db.execute(
+    `INSERT INTO notify_me_digest
+       (user_id, guild_id, channel_id, message_id, author_id, phrases, snippet, created_at_ms)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      String(userId),
+      String(guildId),
+      String(channelId),
+      String(messageId),
+      authorId ? String(authorId) : null,
+      phrases.length ? JSON.stringify(phrases) : null,
+      snippet || null,
+      Date.now(),
+    ]
+  );
+  return true;
+}
+
+async function takeNotifyDigest({ userId }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT id, guild_id, channel_id, message_id, author_id, phrases, snippet, created_at_ms
+     FROM notify_me_digest WHERE user_id = ? ORDER BY id ASC`,
+    [String(userId)]
+  );
+  const items = (rows || []).map((row) => {
+    let phrases = [];
+    try {
+      phrases = row.phrases ? JSON.parse(row.phrases) : [];
+    } catch {
+      phrases = [];
+    }
+    return {
+      id: Number(row.id),
+      guildId: String(row.guild_id),
+      channelId: String(row.channel_id),
+      messageId: String(row.message_id),
+      authorId: row.author_id ? String(row.author_id) : null,
+      phrases: Array.isArray(phrases) ? phrases.map(String) : [],
+      snippet: row.snippet ? String(row.snippet) : "",
+      createdAtMs: Number(row.created_at_ms),
+    };
+  });
+  if (items.length) {
+    await db.execute(`DELETE FROM notify_me_digest WHERE user_id = ? AND id <= ?`, [
+      String(userId),
+      items[items.length - 1].id,
+    ]);
+  }
+  return items;
+}
+
 async function countNotifyEntries({ userId }) {
   const db = getDb();
   const [rows] = await db.execute(
@@ -410,12 +534,60 @@ async function countNotifyEntries({ userId }) {
   return Number(rows?.[0]?.total || 0);
 }
 
+/**
+ * reminders.recurrence_json -> { rule, untilMs, remaining, snoozed } (null for one-shots).
+ * `remaining` counts the upcoming fire; `snoozed` marks an extra fire that
+ * doesn't use up an occurrence.
+ */
+function parseRecurrenceJson(raw) {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed?.rule?.kind) return null;
+    return {
+      rule: parsed.rule,
+      untilMs: Number.isFinite(parsed.untilMs) ? parsed.untilMs : null,
+      remaining: Number.isInteger(parsed.remaining) ? parsed.remaining : null,
+      snoozed: Boolean(parsed.snoozed),
+    };
+  } catch {
+    return null;
+  }
+}
+
+function serializeRecurrence(recurrence) {
+  if (!recurrence?.rule) return null;
+  return JSON.stringify({
+    rule: recurrence.rule,
+    untilMs: recurrence.untilMs ?? null,
+    remaining: recurrence.remaining ?? null,
+    snoozed: Boolean(recurrence.snoozed),
+  });
+}
+
+function rowToReminder(row) {
+  return {
+    id: Number(row.id),
+    userId: String(row.user_id),
+    guildId: row.guild_id ? String(row.guild_id) : "",
+    channelId: row.channel_id ? String(row.channel_id) : "",
+    messageId: row.message_id ? String(row.message_id) : "",
+    phrase: row.phrase ? String(row.phrase) : "",
+    remindAtMs: Number(row.remind_at_ms),
+    createdAtMs: row.created_at ? new Date(row.created_at).getTime() : null,
+    recurrence: parseRecurrenceJson(row.recurrence_json),
+    firedAtMs: row.fired_at_ms ? Number(row.fired_at_ms) : null,
+    targetChannelId: row.target_channel_id ? String(row.target_channel_id) : "",
+    mentionRoleId: row.mention_role_id ? String(row.mention_role_id) : "",
+  };
+}
+
 async function listReminders({ userId }) {
   const db = getDb();
   const [rows] = await db.execute(
-    `SELECT id, phrase, message_id, channel_id, guild_id, remind_at_ms
+    `SELECT id, phrase, message_id, channel_id, guild_id, remind_at_ms, recurrence_json
      FROM reminders
-     WHERE user_id = ?
+     WHERE user_id = ? AND fired_at_ms IS NULL AND target_channel_id IS NULL
      ORDER BY remind_at_ms ASC`,
     [String(userId)]
   );
@@ -426,9 +598,47 @@ async function listReminders({ userId }) {
     channelId: row.channel_id ? String(row.channel_id) : "",
     guildId: row.guild_id ? String(row.guild_id) : "",
     remindAtMs: Number(row.remind_at_ms),
+    recurrence: parseRecurrenceJson(row.recurrence_json),
   }));
 }
 
+/**
+ * Channel/role reminders for one guild (staff view), soonest first.
+ */
+async function listGuildChannelReminders({ guildId }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT id, user_id, guild_id, channel_id, message_id, phrase, remind_at_ms, recurrence_json,
+            target_channel_id, mention_role_id
+     FROM reminders
+     WHERE guild_id = ? AND target_channel_id IS NOT NULL
+     ORDER BY remind_at_ms ASC`,
+    [String(guildId)]
+  );
+  return (rows || []).map(rowToReminder);
+}
+
+async function deleteGuildChannelReminder({ id, guildId }) {
+  const db = getDb();
+  await db.execute(`DELETE FROM reminders WHERE id = ? AND guild_id = ? AND target_channel_id IS NOT NULL`, [
+    Number(id),
+    String(guildId),
+  ]);
+}
+
+async function getReminder({ id }) {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `SELECT id, user_id, guild_id, channel_id, message_id, phrase, remind_at_ms, created_at, recurrence_json, fired_at_ms,
+            target_channel_id, mention_role_id
+     FROM reminders
+     WHERE id = ?
+     LIMIT 1`,
+    [Number(id)]
+  );
+  return rows?.[0] ? rowToReminder(rows[0]) : null;
+}
+
 async function addReminder({
   userId,
   guildId,
@@ -436,11 +646,15 @@ async function addReminder({
   messageId,
   phrase,
   remindAtMs,
+  recurrence = null,
+  targetChannelId = null,
+  mentionRoleId = null,
 }) {
   const db = getDb();
   const [result] = await db.execute(
-    `INSERT INTO reminders (user_id, guild_id, channel_id, message_id, phrase, remind_at_ms)
-     VALUES (?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO reminders
+       (user_id, guild_id, channel_id, message_id, phrase, remind_at_ms, recurrence_json, target_channel_id, mention_role_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       String(userId),
       guildId ? String(guildId) : null,
@@ -448,12 +662,44 @@ async function addReminder({
       messageId ? String(messageId) : null,
       phrase ? String(phrase) : null,
       Number(remindAtMs),
+      serializeRecurrence(recurrence),
+      targetChannelId ? String(targetChannelId) : null,
+      mentionRoleId ? String(mentionRoleId) : null,
     ]
   );
   const id = Number(result?.insertId);
   return Number.isFinite(id) ? id : null;
 }
 
+/**
+ * Move a reminder to its next fire time (recurrence advance or snooze) and
+ * make it active again.
+ */
+async function rescheduleReminder({ id, remindAtMs, recurrence }) {
+  const db = getDb();
+  const [result] = await db.execute(
+    `UPDATE reminders SET remind_at_ms = ?, recurrence_json = ?, fired_at_ms = NULL WHERE id = ?`,
+    [Number(remindAtMs), serializeRecurrence(recurrence), Number(id)]
+  );
+  return result;
+}
+
+/**
+ * One-shot (or finished recurring) reminders are kept for a while after they
+ * fire so the Snooze buttons on the DM still work; pruneFiredReminders drops them.
+ */
+async function markReminderFired({ id, firedAtMs }) {
+  const db = getDb();
+  await db.execute(`UPDATE reminders SET fired_at_ms = ? WHERE id = ?`, [Number(firedAtMs), Number(id)]);
+}
+
+async function pruneFiredReminders(nowMs = Date.now()) {
+  const db = getDb();
+  await db.execute(`DELETE FROM reminders WHERE fired_at_ms IS NOT NULL AND fired_at_ms < ?`, [
+    nowMs - SNOOZE_KEEP_MS,
+  ]);
+}
+
 async function deleteReminder({ id, userId }) {
   const db = getDb();
   await db.execute(`DELETE FROM reminders WHERE id = ? AND user_id = ?`, [
@@ -464,27 +710,20 @@ async function deleteReminder({ id, userId }) {
 
 async function clearReminders({ userId }) {
   const db = getDb();
-  await db.execute(`DELETE FROM reminders WHERE user_id = ?`, [String(userId)]);
+  await db.execute(`DELETE FROM reminders WHERE user_id = ? AND target_channel_id IS NULL`, [String(userId)]);
 }
 
 async function loadAllReminders() {
   const db = getDb();
+  await pruneFiredReminders();
   const [rows] = await db.execute(
     `SELECT id, user_id, guild_id, channel_id, message_id, phrase, remind_at_ms
-     , created_at
-     FROM reminders`
+     , created_at, recurrence_json, target_channel_id, mention_role_id
+     FROM reminders
+     WHERE fired_at_ms IS NULL`
   );
   for (const row of rows || []) {
-    const reminder = {
-      id: Number(row.id),
-      userId: String(row.user_id),
-      guildId: row.guild_id ? String(row.guild_id) : "",
-      channelId: row.channel_id ? String(row.channel_id) : "",
-      messageId: row.message_id ? String(row.message_id) : "",
-      phrase: row.phrase ? String(row.phrase) : "",
-      remindAtMs: Number(row.remind_at_ms),
-      createdAtMs: row.created_at ? new Date(row.created_at).getTime() : null,
-    };
+    const reminder = rowToReminder(row);
     if (reminder.remindAtMs <= Date.now()) {
       void fireReminder(reminder);
     } else {
@@ -493,6 +732,64 @@ async function loadAllReminders() {
   }
 }
 
+function renderNotifyDigest(items) {
+  const lines = items.slice(0, NOTIFY_DIGEST_SHOWN).map((item) => {
+    const what = item.phrases.length ? item.phrases.map((p) => `"${p}"`).join(", ") : "Message";
+    const snippet = item.snippet.replace(/\s+/g, " ").trim();
+    const short =
+      snippet.length > NOTIFY_DIGEST_SNIPPET_CHARS ? `${snippet.slice(0, NOTIFY_DIGEST_SNIPPET_CHARS - 3)}...` : snippet;
+    const link = formatLink(item);
+    const when = `<t:${Math.floor(item.createdAtMs / 1000)}:t>`;
+    const by = item.authorId ? ` by ${mention(item.authorId)}` : "";
+    return `• ${when} ${what}${by} in <#${item.channelId}>${short ? ` — ${short}` : ""}${link ? `\n  ${link}` : ""}`;
+  });
+  const more = items.length > NOTIFY_DIGEST_SHOWN ? `\n…and ${items.length - NOTIFY_DIGEST_SHOWN} more.` : "";
+  return (
+    `🌙 **NotifyMe digest**: ${items.length} match${items.length === 1 ? "" : "es"} during your quiet hours.\n` +
+    `${lines.join("\n")}${more}`
+  );
+}
+
+async function flushNotifyDigest(userId) {
+  clearTimer(digestTimersByUser.get(userId), `notifyme.digest:${userId}`);
+  digestTimersByUser.delete(userId);
+
+  const client = boot.client;
+  if (!client) return;
+  try {
+    const items = await takeNotifyDigest({ userId });
+    if (!items.length) return;
+    const user = await client.users.fetch(userId);
+    if (!user) return;
+    const res = await sendDm({ user, payload: renderNotifyDigest(items), feature: "notifyme" });
+    void metrics.increment("notifyme.digest", { status: res.ok ? "ok" : res.code === 50007 ? "blocked" : "error" });
+    if (!res.ok && res.code !== 50007) console.warn("[notifyme] digest DM failed:", res.error);
+  } catch (err) {
+    void metrics.increment("notifyme.digest", { status: "error" });
+    console.warn("[notifyme] digest failed:", err);
+  }
+}
+
+function scheduleDigestFlush(userId, atMs) {
+  if (digestTimersByUser.has(userId)) return;
+  const delay = Math.max(0, Math.min(atMs - Date.now(), MAX_TIMEOUT_MS));
+  digestTimersByUser.set(
+    userId,
+    startTimeout({ label: `notifyme.digest:${userId}`, ms: delay, fn: () => void flushNotifyDigest(userId) })
+  );
+}
+
+async function restoreNotifyDigests() {
+  const db = getDb();
+  const [rows] = await db.execute(`SELECT DISTINCT user_id FROM notify_me_digest`);
+  for (const row of rows || []) {
+    const userId = String(row.user_id);
+    // eslint-disable-next-line no-await-in-loop
+    const quiet = await getQuietHours(userId);
+    scheduleDigestFlush(userId, quietEndsAtMs(quiet) ?? Date.now());
+  }
+}
+
 async function boot(client) {
   if (booted) return;
   booted = true;
@@ -505,6 +802,11 @@ async function boot(client) {
   if (client) {
     boot.client = client;
   }
+  try {
+    await restoreNotifyDigests();
+  } catch (err) {
+    console.error("[notifyme] failed to restore digests:", err);
+  }
 }
 
 function clearReminderTimeout(id) {
@@ -545,32 +847,200 @@ function formatSetTimestamp(fromMs) {
   return `<t:${Math.floor(fromMs / 1000)}:f>`;
 }
 
+/**
+ * Validate `repeat` / `until` / `count` for /remindme set. The first fire is
+ * `remindAtMs` when `time`/`at` was given, else the rule's next occurrence.
+ * Returns { ok: true, recurrence, remindAtMs } or { ok: false, error }.
+ */
+function resolveRecurrence({ repeatRaw, untilRaw, count, remindAtMs, nowMs = Date.now() }) {
+  const parsed = parseRecurrence(repeatRaw, { defaultZone: DEFAULT_REMINDME_TZ, nowMs });
+  if (!parsed.ok) return { ok: false, error: parsed.error };
+
+  let untilMs = null;
+  if (untilRaw) {
+    const until = parseAbsoluteDateTime(untilRaw, { defaultZone: DEFAULT_REMINDME_TZ });
+    if (!until.ok) return { ok: false, error: until.error };
+    untilMs = until.dt.toMillis();
+    if (untilMs <= nowMs) return { ok: false, error: "`until` must be in the future." };
+  }
+  if (count != null && (!Number.isInteger(count) || count < 1 || count > MAX_REPEAT_COUNT)) {
+    return { ok: false, error: `\`count\` must be between 1 and ${MAX_REPEAT_COUNT}.` };
+  }
+
+  const firstMs = remindAtMs ?? nextOccurrence(parsed.rule, { afterMs: nowMs });
+  if (!firstMs) return { ok: false, error: "That repeat rule never fires." };
+  if (firstMs - nowMs > MAX_DURATION_SECONDS * 1000) {
+    return { ok: false, error: "The first reminder must be within 1 year." };
+  }
+  if (untilMs && firstMs > untilMs) return { ok: false, error: "The first reminder would be after `until`." };
+
+  return {
+    ok: true,
+    remindAtMs: firstMs,
+    recurrence: { rule: parsed.rule, untilMs, remaining: count ?? null, snoozed: false },
+  };
+}
+
+function permsFor(channel, who) {
+  if (!channel || typeof channel.permissionsFor !== "function" || !who) return null;
+  try {
+    return channel.permissionsFor(who);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * `channel` / `role` options for /remindme set. Returns
+ * { ok: true, targetChannelId, mentionRoleId } (both null for a DM reminder)
+ * or { ok: false, error }.
+ */
+function resolveReminderTarget(interaction) {
+  const channelOpt = interaction.options?.getChannel?.("channel") || null;
+  const role = interaction.options?.getRole?.("role") || null;
+  if (!channelOpt && !role) return { ok: true, targetChannelId: null, mentionRoleId: null };
+
+  if (!interaction.guildId) {
+    return { ok: false, error: "Channel and role reminders only work inside a server." };
+  }
+  if (!hasPermissionTier(interaction, "host")) {
+    return { ok: false, error: "Only hosts and admins can post reminders to a channel or ping a role." };
+  }
+
+  // A role without a channel pings in the current channel.
+  const targetChannelId = String(channelOpt?.id || interaction.channelId || "");
+  const channel = channelOpt || interaction.channel || null;
+  if (!targetChannelId) return { ok: false, error: "Please pick a channel." };
+  if (typeof channel?.isTextBased === "function" && !channel.isTextBased()) {
+    return { ok: false, error: "Please pick a text channel." };
+  }
+
+  const botPerms = permsFor(channel, interaction.guild?.members?.me || interaction.client?.user);
+  if (botPerms && !botPerms.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages])) {
+    return { ok: false, error: `I can't post in <#${targetChannelId}>.` };
+  }
+  const memberPerms = permsFor(channel, interaction.user);
+  if (memberPerms && !memberPerms.has(PermissionFlagsBits.SendMessages)) {
+    return { ok: false, error: `You can't post in <#${targetChannelId}>.` };
+  }
+
+  if (role) {
+    if (String(role.id) === String(interaction.guildId)) {
+      return { ok: false, error: "Please pick a specific role, not @everyone." };
+    }
+    const canMention =
+      role.mentionable || memberPerms?.has?.(PermissionFlagsBits.MentionEveryone) || hasPermissionTier(interaction, "admin");
+    if (!canMention) {
+      return { ok: false, error: `<@&${role.id}> isn't mentionable, and you don't have permission to ping it.` };
+    }
+  }
+
+  return { ok: true, targetChannelId, mentionRoleId: role ? String(role.id) : null };
+}
+
+function snoozeRow(id) {
+  return new ActionRowBuilder().addComponents(
+    ...SNOOZE_OPTIONS.map(({ key, label }) =>
+      new ButtonBuilder()
+        .setCustomId(`${SNOOZE_PREFIX}${id}:${key}`)
+        .setLabel(label)
+        .setStyle(ButtonStyle.Secondary)
+    )
+  );
+}
+
+function snoozeUntil(key, nowMs = Date.now()) {
+  if (key === "10m") return nowMs + 10 * 60 * 1000;
+  if (key === "1h") return nowMs + 60 * 60 * 1000;
+  if (key === "tomorrow") {
+    return DateTime.fromMillis(nowMs, { zone: DEFAULT_REMINDME_TZ }).plus({ days: 1 }).toMillis();
+  }
+  return null;
+}
+
+/**
+ * Where a recurring reminder goes after firing: { remindAtMs, recurrence },
+ * or null when the series is over (count used up, past `until`, or one-shot).
+ */
+function nextRecurringFire(reminder, nowMs = Date.now()) {
+  const recurrence = reminder?.recurrence;
+  if (!recurrence?.rule) return null;
+
+  const remaining =
+    recurrence.remaining == null ? null : recurrence.snoozed ? recurrence.remaining : recurrence.remaining - 1;
+  if (remaining !== null && remaining <= 0) return null;
+
+  const remindAtMs = nextOccurrence(recurrence.rule, {
+    afterMs: Math.max(nowMs, reminder.remindAtMs),
+    previousMs: recurrence.snoozed ? null : reminder.remindAtMs,
+  });
+  if (!remindAtMs || (recurrence.untilMs && remindAtMs > recurrence.untilMs)) return null;
+  return { remindAtMs, recurrence: { ...recurrence, remaining, snoozed: false } };
+}
+
+function reminderBody(reminder) {
+  const link = formatLink({
+    guildId: reminder.guildId,
+    channelId: reminder.channelId,
+    messageId: reminder.messageId,
+  });
+  return reminder.messageId && link ? link : reminder.phrase;
+}
+
+function nextFireLine(next) {
+  return next ? `\n🔁 Next: ${formatSetTimestamp(next.remindAtMs)} (${next.recurrence.rule.label})` : "";
+}
+
+/**
+ * Channel/role reminders post in their target channel (only the configured
+ * role may be pinged) and credit the staff member who set them.
+ */
+async function deliverChannelReminder(client, reminder, next) {
+  let status = "ok";
+  try {
+    const channel = await client.channels.fetch(reminder.targetChannelId);
+    if (!channel?.send) {
+      status = "no_channel";
+      return;
+    }
+    const role = reminder.mentionRoleId ? `<@&${reminder.mentionRoleId}> ` : "";
+    await channel.send({
+      content: `${role}⏰ **Reminder**: ${reminderBody(reminder)}${nextFireLine(next)}\n-# Set by ${mention(reminder.userId)}`,
+      allowedMentions: { parse: [], roles: reminder.mentionRoleId ? [reminder.mentionRoleId] : [] },
+    });
+  } catch (err) {
+    status = "error";
+    console.warn("[reminders] failed to post channel reminder:", err);
+  } finally {
+    void metrics.increment("remindme.trigger", { status, target: "channel" });
+  }
+}
+
 async function fireReminder(reminder) {
   clearReminderTimeout(reminder.id);
+  const next = nextRecurringFire(reminder);
 
   try {
     const client = boot.client;
     if (!client) return;
+    if (reminder.targetChannelId) {
+      await deliverChannelReminder(client, reminder, next);
+      return;
+    }
     const user = await client.users.fetch(reminder.userId);
     if (!user) return;
-    const link = formatLink({
-      guildId: reminder.guildId,
-      channelId: reminder.channelId,
-      messageId: reminder.messageId,
-    });
     const setAt = formatSetTimestamp(reminder.createdAtMs);
     const suffix = setAt ? ` (set ${setAt})` : "";
+    const nextLine = nextFireLine(next);
+    const body = reminderBody(reminder);
     let res = { ok: true };
-    if (reminder.messageId && link) {
+    if (body) {
       res = await sendDm({
         user,
-        payload: `⏰ **Reminder**: ${link}${suffix}`,
-        feature: "remindme",
-      });
-    } else if (reminder.phrase) {
-      res = await sendDm({
-        user,
-        payload: `⏰ **Reminder**: ${reminder.phrase}${suffix}`,
+        payload: {
+          content: `⏰ **Reminder**: ${body}${suffix}${nextLine}`,
+          components: [snoozeRow(reminder.id)],
+        },
         feature: "remindme",
       });
     }
@@ -583,11 +1053,71 @@ async function fireReminder(reminder) {
     console.warn("[reminders] failed to deliver reminder:", err);
   } finally {
     try {
-      await deleteReminder({ id: reminder.id, userId: reminder.userId });
+      if (next) {
+        const res = await rescheduleReminder({ id: reminder.id, ...next });
+        // Removed (unset/clear) while it was firing.
+        if (res?.affectedRows !== 0) scheduleReminder({ ...reminder, ...next });
+      } else if (reminder.targetChannelId) {
+        // Channel posts have no snooze buttons, so nothing to keep.
+        await deleteGuildChannelReminder({ id: reminder.id, guildId: reminder.guildId });
+      } else {
+        await markReminderFired({ id: reminder.id, firedAtMs: Date.now() });
+      }
     } catch (err) {
-      console.warn("[reminders] failed to delete reminder:", err);
+      console.warn("[reminders] failed to update reminder:", err);
+    }
+  }
+}
+
+async function handleSnooze({ interaction }) {
+  const [idRaw, key] = String(interaction.customId || "")
+    .slice(SNOOZE_PREFIX.length)
+    .split(":");
+  await boot(interaction.client);
+
+  const reminder = await getReminder({ id: idRaw });
+  if (!reminder || reminder.userId !== interaction.user?.id) {
+    await interaction.reply({ content: "That reminder no longer exists.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const remindAtMs = snoozeUntil(key);
+  if (!remindAtMs) {
+    await interaction.reply({ content: "Unknown snooze option.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // A finished series snoozes as a one-off; an active one keeps its schedule.
+  let recurrence = reminder.firedAtMs ? null : reminder.recurrence;
+  if (recurrence && remindAtMs >= reminder.remindAtMs) {
+    await interaction.reply({
+      content: `⏰ The next one is already ${formatSetTimestamp(reminder.remindAtMs)}.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+  if (recurrence) recurrence = { ...recurrence, snoozed: true };
+
+  // A fired reminder comes back as an active one, so it counts toward the cap.
+  if (reminder.firedAtMs && !hasPermissionTier(interaction, "moderator")) {
+    const existing = await listReminders({ userId: reminder.userId });
+    if (existing.length >= MAX_REMIND_PER_USER) {
+      await interaction.reply({
+        content: `You can only have ${MAX_REMIND_PER_USER} reminders.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
     }
   }
+
+  await rescheduleReminder({ id: reminder.id, remindAtMs, recurrence });
+  scheduleReminder({ ...reminder, remindAtMs, recurrence, firedAtMs: null });
+
+  void metrics.increment("remindme.snooze", { status: "ok" });
+  await interaction.reply({
+    content: `😴 Snoozed until ${formatSetTimestamp(remindAtMs)}.`,
+    flags: MessageFlags.Ephemeral,
+  });
 }
 
 function buildNotifyChoices(items, focused) {
@@ -597,11 +1127,11 @@ function buildNotifyChoices(items, focused) {
     index: idx + 1,
   }));
   const filtered = indexed.filter(({ item }) => {
-    const label = notifyPhraseLabel(item.phrase);
+    const label = notifyPhraseLabel(item.phrase, item.matchMode);
     return !q || label.toLowerCase().includes(q);
   });
   return filtered.slice(0, 25).map(({ item, index }) => {
-    const phrase = notifyPhraseLabel(item.phrase);
+    const phrase = notifyPhraseLabel(item.phrase, item.matchMode);
     const label = phrase.length > 84 ? `${phrase.slice(0, 81)}…` : phrase;
     return {
       name: `${index}. ${label}`,
@@ -629,35 +1159,59 @@ function buildReminderChoices(items, focused) {
   });
 }
 
-function renderNotifyList(items) {
-  if (!items.length) return "You have no active notifications.";
-  const lines = items.map((x, idx) => {
-    const suffixParts = [];
-    if (x.targetUserId) suffixParts.push(`from ${mention(x.targetUserId)}`);
-    if (x.ignoredUserIds?.length) {
-      suffixParts.push(`ignore ${x.ignoredUserIds.map((id) => mention(id)).join(", ")}`);
-    }
-    const suffix = suffixParts.length ? ` (${suffixParts.join("; ")})` : "";
-    return `${idx + 1}. ${notifyPhraseLabel(x.phrase)}${suffix}`;
-  });
-  return `Your notifications:\n${lines.join("\n")}`;
+function notifyEntrySuffix(x, ignoreVerb = "ignore") {
+  const suffixParts = [];
+  if (x.targetUserId) suffixParts.push(`from ${mention(x.targetUserId)}`);
+  if (x.ignoredUserIds?.length) {
+    suffixParts.push(`${ignoreVerb} ${x.ignoredUserIds.map((id) => mention(id)).join(", ")}`);
+  }
+  if (x.channelIds?.length) suffixParts.push(`in ${x.channelIds.map((id) => `<#${id}>`).join(", ")}`);
+  if (x.excludeChannelIds?.length) {
+    suffixParts.push(`not in ${x.excludeChannelIds.map((id) => `<#${id}>`).join(", ")}`);
+  }
+  return suffixParts.length ? ` (${suffixParts.join("; ")})` : "";
+}
+
+function renderNotifyList(items, quiet = null) {
+  const quietLine = quiet ? `\n🌙 Quiet hours: ${describeQuietHours(quiet)} (matches are sent as a digest)` : "";
+  if (!items.length) return `You have no active notifications.${quietLine}`;
+  const lines = items.map((x, idx) => `${idx + 1}. ${notifyPhraseLabel(x.phrase, x.matchMode)}${notifyEntrySuffix(x)}`);
+  return `Your notifications:\n${lines.join("\n")}${quietLine}`;
 }
 
 function renderRemindList(items) {
   if (!items.length) return "You have no active reminders.";
   const lines = items.map((x, idx) => {
     const label = x.phrase || `Message ${x.messageId}`;
-    const when = x.remindAtMs ? `<t:${Math.floor(x.remindAtMs / 1000)}:R>` : "";
-    return `${idx + 1}. ${label}${when ? ` — ${when}` : ""}`;
+    const unix = Math.floor(x.remindAtMs / 1000);
+    const when = x.remindAtMs ? `<t:${unix}:f> (<t:${unix}:R>)` : "";
+    const repeat = x.recurrence ? `\n   🔁 ${describeRecurrence(x.recurrence)}` : "";
+    return `${idx + 1}. ${label}${when ? ` — ${when}` : ""}${repeat}`;
   });
   return `Your reminders:\n${lines.join("\n")}`;
 }
 
+function renderGuildRemindList(items) {
+  if (!items.length) return "This server has no channel reminders.";
+  const lines = items.map((x, idx) => {
+    const label = x.phrase || `Message ${x.messageId}`;
+    const unix = Math.floor(x.remindAtMs / 1000);
+    const role = x.mentionRoleId ? ` <@&${x.mentionRoleId}>` : "";
+    const repeat = x.recurrence ? `\n   🔁 ${describeRecurrence(x.recurrence)}` : "";
+    return `${idx + 1}. ${label} → <#${x.targetChannelId}>${role} — <t:${unix}:f> (<t:${unix}:R>) · by ${mention(x.userId)}${repeat}`;
+  });
+  return `Channel reminders in this server:\n${lines.join("\n")}`;
+}
+
 export function registerReminders(register) {
   /**
    * /notifyme
    * - Guild-scoped phrase watcher: triggers only for messages in the same server.
-   * - Case-insensitive whole-phrase matching.
+   * - Case-insensitive matching per entry: whole word/phrase (default), substring, or regex
+   *   (regexes run with a timeout and share a per-message time budget; one that keeps running slow
+   *   or timing out is skipped until reload; at most MAX_NOTIFY_REGEX_PER_GUILD regex entries per server).
+   * - Optional channel include/exclude lists per entry.
+   * - During the user's quiet hours matches are queued and sent as one digest DM afterwards.
    * - Phrase is optional when targeting a specific user (matches any message by that user).
    * - Optional target user to match only messages from that user (including bots).
    * - Limit: 10 notifications per user across all servers (admin/privileged exempt).
@@ -672,16 +1226,23 @@ export function registerReminders(register) {
 
     const authorId = message.author?.id || "";
     const isBot = !!message.author?.bot;
-    let normalized = null;
+    const where = { channelId: message.channelId, parentId: message.channel?.parentId || null };
+    const matchCache = {};
     const matches = state.items.filter((item) => {
       if (item.targetUserId && item.targetUserId !== authorId) return false;
       if (item.ignoredUserIds?.includes(authorId)) return false;
       if (isBot && !item.targetUserId) return false;
-      const phrase = norm(item.phrase);
-      if (!phrase) return true;
-      if (normalized === null) normalized = normalizeForMatch(message.content || "");
-      if (!normalized || normalized === " ") return false;
-      return includesWholePhrase(normalized, phrase);
+      if (!channelAllowed(item, where)) return false;
+      if ((item.regexTimeouts || 0) >= MAX_NOTIFY_REGEX_TIMEOUTS) return false;
+      const { matched, timedOut, slow } = matchNotifyPhrase(item, message.content, matchCache);
+      if (slow) {
+        item.regexTimeouts = (item.regexTimeouts || 0) + 1;
+        void metrics.increment("notifyme.regex_timeout", { status: timedOut ? "timeout" : "slow" });
+        console.warn(
+          `[notifyme] regex ${timedOut ? "timed out" : "ran slow"} for entry ${item.id} (${item.regexTimeouts}x)`
+        );
+      }
+      return matched;
     });
     if (!matches.length) return;
 
@@ -694,6 +1255,24 @@ export function registerReminders(register) {
 
     for (const [userId, items] of matchesByUser.entries()) {
       try {
+        const quiet = await getQuietHours(userId);
+        if (isQuietAt(quiet)) {
+          const queued = await queueNotifyDigest({
+            userId,
+            guildId: message.guildId,
+            channelId: message.channelId,
+            messageId: message.id,
+            authorId: message.author?.id,
+            phrases: items
+              .filter((entry) => norm(entry.phrase))
+              .map((entry) => notifyPhraseLabel(entry.phrase, entry.matchMode)),
+            snippet: buildNotifySnippet(message.content),
+          });
+          scheduleDigestFlush(userId, quietEndsAtMs(quiet));
+          void metrics.increment("notifyme.trigger", { status: queued ? "queued" : "digest_full" }, items.length || 1);
+          continue;
+        }
+
         const user = await message.client.users.fetch(userId);
         if (!user) continue;
         const link = formatLink({
@@ -701,7 +1280,9 @@ export function registerReminders(register) {
           channelId: message.channelId,
           messageId: message.id,
         });
-        const phrases = items.map((entry) => norm(entry.phrase)).filter(Boolean);
+        const phrases = items
+          .filter((entry) => norm(entry.phrase))
+          .map((entry) => notifyPhraseLabel(entry.phrase, entry.matchMode));
         const anyMessageCount = Math.max(items.length - phrases.length, 0);
         const listBlock = phrases.length > 1 ? `\n${phrases.map((phrase) => `• "${phrase}"`).join("\n")}` : "";
         const snippet = buildNotifySnippet(message.content);
@@ -777,6 +1358,29 @@ export function registerReminders(register) {
               description: "User mentions/IDs to ignore for this phrase (space/comma-separated)",
               required: false,
             },
+            {
+              type: 3,
+              name: "mode",
+              description: "How to match the phrase (default: whole word)",
+              required: false,
+              choices: [
+                { name: "Whole word/phrase", value: "word" },
+                { name: "Substring (also inside words)", value: "substring" },
+                { name: "Regex", value: "regex" },
+              ],
+            },
+            {
+              type: 3,
+              name: "channels",
+              description: "Only watch these channels (#mentions/IDs, space/comma-separated)",
+              required: false,
+            },
+            {
+              type: 3,
+              name: "exclude_channels",
+              description: "Never notify from these channels (#mentions/IDs)",
+              required: false,
+            },
           ],
         },
         {
@@ -809,6 +1413,36 @@ export function registerReminders(register) {
           name: "clear",
           description: "Clear all notifications for this server",
         },
+        {
+          type: 1,
+          name: "quiet",
+          description: "Batch notifications into one digest DM during these hours (all servers)",
+          options: [
+            {
+              type: 3,
+              name: "start",
+              description: "Start time, e.g. 22:00 or 10pm",
+              required: true,
+            },
+            {
+              type: 3,
+              name: "end",
+              description: "End time, e.g. 08:00 or 8am",
+              required: true,
+            },
+            {
+              type: 3,
+              name: "timezone",
+              description: "ET (default), UTC, -05:00 or a name like Europe/London",
+              required: false,
+            },
+          ],
+        },
+        {
+          type: 1,
+          name: "quiet_off",
+          description: "Turn off quiet hours and send any queued digest now",
+        },
         {
           type: 1,
           name: "unset",
@@ -837,6 +1471,11 @@ export function registerReminders(register) {
         const targetUserId = targetUser?.id || null;
         const ignoreUsersRaw = norm(interaction.options?.getString?.("ignore_users"));
         const ignoredUserIds = ignoreUsersRaw ? parseUserIdsFromInput(ignoreUsersRaw) : [];
+        const matchMode = parseMatchMode(interaction.options?.getString?.("mode")) || "word";
+        const channelsRaw = norm(interaction.options?.getString?.("channels"));
+        const excludeChannelsRaw = norm(interaction.options?.getString?.("exclude_channels"));
+        const channelIds = channelsRaw ? parseChannelIdsFromInput(channelsRaw) : [];
+        const excludeChannelIds = excludeChannelsRaw ? parseChannelIdsFromInput(excludeChannelsRaw) : [];
         if (!phrase && !targetUserId) {
           await interaction.reply({
             content: "Please provide a phrase to watch for, or set `from_user` to watch all messages from a user.",
@@ -866,6 +1505,41 @@ export function registerReminders(register) {
           });
           return;
         }
+        if (matchMode !== "word" && !phrase) {
+          await interaction.reply({
+            content: "`mode` needs a phrase to match.",
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+        if (matchMode === "regex") {
+          const check = validateNotifyRegex(phrase);
+          if (!check.ok) {
+            await interaction.reply({ content: check.error, flags: MessageFlags.Ephemeral });
+            return;
+          }
+        }
+        if ((channelsRaw && !channelIds.length) || (excludeChannelsRaw && !excludeChannelIds.length)) {
+          await interaction.reply({
+            content: "Please provide one or more valid #channel mentions/IDs (space or comma-separated).",
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+        if (channelIds.length > MAX_NOTIFY_CHANNELS || excludeChannelIds.length > MAX_NOTIFY_CHANNELS) {
+          await interaction.reply({
+            content: `You can list up to ${MAX_NOTIFY_CHANNELS} channels per phrase.`,
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+        if (channelIds.some((id) => excludeChannelIds.includes(id))) {
+          await interaction.reply({
+            content: "A channel can't be in both `channels` and `exclude_channels`.",
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
 
         const dmOk = await ensureDmAvailable(interaction.user, "notifyme");
         if (!dmOk) {
@@ -877,7 +1551,7 @@ export function registerReminders(register) {
         }
 
         const state = await loadNotifyGuild(interaction.guildId);
-        const isExempt = isAdminOrPrivileged(interaction);
+        const isExempt = hasPermissionTier(interaction, "moderator");
         const totalForUser = await countNotifyEntries({ userId });
         if (!isExempt && totalForUser >= MAX_NOTIFY_PER_USER) {
           await interaction.reply({
@@ -887,7 +1561,18 @@ export function registerReminders(register) {
           return;
         }
 
-        const key = phraseKey(phrase);
+        if (
+          matchMode === "regex" &&
+          state.items.filter((item) => item.matchMode === "regex").length >= MAX_NOTIFY_REGEX_PER_GUILD
+        ) {
+          await interaction.reply({
+            content: `This server already has ${MAX_NOTIFY_REGEX_PER_GUILD} regex notifications. Use word or substring mode instead.`,
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+
+        const key = notifyKey(phrase, matchMode);
         const exists = state.items.some((item) => {
           if (item.userId !== userId) return false;
           if (item.key !== key) return false;
@@ -895,7 +1580,7 @@ export function registerReminders(register) {
         });
         if (exists) {
           const targetLabel = targetUserId ? ` from ${mention(targetUserId)}` : "";
-          const label = phrase ? `"${phrase}"` : `any message${targetLabel}`;
+          const label = phrase ? `"${notifyPhraseLabel(phrase, matchMode)}"` : `any message${targetLabel}`;
           await interaction.reply({
             content: `You are already watching: ${label}`,
             flags: MessageFlags.Ephemeral,
@@ -909,6 +1594,9 @@ export function registerReminders(register) {
           phrase,
           targetUserId,
           ignoredUserIds,
+          matchMode,
+          channelIds,
+          excludeChannelIds,
         });
         if (!id) {
           await interaction.reply({
@@ -918,15 +1606,20 @@ export function registerReminders(register) {
           return;
         }
 
-        state.items.push({ id, userId, phrase, key, targetUserId, ignoredUserIds });
-        void metrics.increment("notifyme.set", { status: "ok" });
-        const suffixParts = [];
-        if (targetUserId) suffixParts.push(`from ${mention(targetUserId)}`);
-        if (ignoredUserIds.length) {
-          suffixParts.push(`ignoring ${ignoredUserIds.map((id) => mention(id)).join(", ")}`);
-        }
-        const suffix = suffixParts.length ? ` (${suffixParts.join("; ")})` : "";
-        const watchLabel = phrase ? `"${phrase}"` : "any message";
+        state.items.push({
+          id,
+          userId,
+          phrase,
+          key,
+          matchMode,
+          targetUserId,
+          ignoredUserIds,
+          channelIds,
+          excludeChannelIds,
+        });
+        void metrics.increment("notifyme.set", { status: matchMode === "word" ? "ok" : matchMode });
+        const suffix = notifyEntrySuffix({ targetUserId, ignoredUserIds, channelIds, excludeChannelIds }, "ignoring");
+        const watchLabel = phrase ? `"${notifyPhraseLabel(phrase, matchMode)}"` : "any message";
         await interaction.reply({
           content: `✅ I’ll notify you when I see: ${watchLabel}${suffix}`,
           flags: MessageFlags.Ephemeral,
@@ -962,10 +1655,10 @@ export function registerReminders(register) {
         }
 
         let matchPhrase = phraseInput;
-        let matchKey = phraseKey(phraseInput);
+        let matchKeys = ["word", "substring", "regex"].map((mode) => notifyKey(phraseInput, mode));
         if (isAnyMessagePhraseInput(phraseInput)) {
           matchPhrase = NOTIFY_ANY_MESSAGE_LABEL;
-          matchKey = phraseKey("");
+          matchKeys = [phraseKey("")];
         }
         if (/^\d+$/.test(phraseInput)) {
           const index = Number(phraseInput);
@@ -990,11 +1683,11 @@ export function registerReminders(register) {
             return;
           }
           matchPhrase = target.phrase;
-          matchKey = phraseKey(target.phrase);
+          matchKeys = [notifyKey(target.phrase, target.matchMode)];
         }
 
         const state = await loadNotifyGuild(interaction.guildId);
-        const mine = state.items.filter((item) => item.userId === userId && item.key === matchKey);
+        const mine = state.items.filter((item) => item.userId === userId && matchKeys.includes(item.key));
         if (!mine.length) {
           await interaction.reply({
             content: `No existing notification found for phrase "${matchPhrase}". Use \`/notifyme list\` first.`,
@@ -1041,9 +1734,10 @@ export function registerReminders(register) {
           guildId: interaction.guildId,
           userId,
         });
+        const quiet = await getQuietHours(userId);
         void metrics.increment("notifyme.list", { status: "ok" });
         await interaction.reply({
-          content: renderNotifyList(items),
+          content: renderNotifyList(items, quiet),
           flags: MessageFlags.Ephemeral,
         });
         return;
@@ -1092,6 +1786,42 @@ export function registerReminders(register) {
         return;
       }
 
+      if (sub === "quiet") {
+        const parsed = parseQuietHours({
+          start: interaction.options?.getString?.("start"),
+          end: interaction.options?.getString?.("end"),
+          timezone: interaction.options?.getString?.("timezone"),
+        });
+        if (!parsed.ok) {
+          await interaction.reply({ content: parsed.error, flags: MessageFlags.Ephemeral });
+          return;
+        }
+
+        await setQuietHours({ userId, quiet: parsed.quiet });
+        // Re-aim any pending digest at the new window's end (or now, if it's no longer quiet).
+        clearTimer(digestTimersByUser.get(userId), `notifyme.digest:${userId}`);
+        digestTimersByUser.delete(userId);
+        scheduleDigestFlush(userId, quietEndsAtMs(parsed.quiet) ?? Date.now());
+
+        void metrics.increment("notifyme.quiet", { status: "set" });
+        await interaction.reply({
+          content: `🌙 Quiet hours set to ${describeQuietHours(parsed.quiet)}. Matches during that window arrive as one digest DM when it ends.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      if (sub === "quiet_off") {
+        await clearQuietHours({ userId });
+        await flushNotifyDigest(userId);
+        void metrics.increment("notifyme.quiet", { status: "off" });
+        await interaction.reply({
+          content: "✅ Quiet hours turned off.",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
       if (sub === "clear") {
         await clearNotifyEntries({ guildId: interaction.guildId, userId });
         const state = await loadNotifyGuild(interaction.guildId);
@@ -1130,9 +1860,14 @@ export function registerReminders(register) {
     }
   );
 
+  register.component(SNOOZE_PREFIX, handleSnooze);
+
   /**
    * /remindme
    * - Personal reminders across servers and DMs (DMs supported for phrase reminders).
+   * - Optional `repeat` (every day 7pm / every sunday / every 2h / cron) with `until` or `count`;
+   *   recurring reminders advance to their next occurrence after each fire.
+   * - Reminder DMs carry Snooze 10m / 1h / tomorrow buttons.
    * - Limit: 10 reminders per user total (admin/privileged exempt).
    * - message_id reminders only allowed when set in a server the bot is in.
    * - /remindme clear removes all reminders for the user across all contexts.
@@ -1171,6 +1906,58 @@ export function registerReminders(register) {
               description: "Message ID to link",
               required: false,
             },
+            {
+              type: 3,
+              name: "repeat",
+              description: "Repeat: every day 7pm, every sunday, every mon,wed 8pm, every 2h, or cron (ET default)",
+              required: false,
+            },
+            {
+              type: 3,
+              name: "until",
+              description: "Stop repeating after this date/time (e.g. 2026-03-01)",
+              required: false,
+            },
+            {
+              type: 4,
+              name: "count",
+              description: "Stop repeating after this many reminders",
+              required: false,
+              min_value: 1,
+              max_value: MAX_REPEAT_COUNT,
+            },
+            {
+              type: 7,
+              name: "channel",
+              description: "Post the reminder in this channel instead of DMing you (hosts/admins)",
+              required: false,
+              channel_types: [0, 5, 11, 12],
+            },
+            {
+              type: 8,
+              name: "role",
+              description: "Role to ping with the reminder (hosts/admins; posts here if no channel)",
+              required: false,
+            },
+          ],
+        },
+        {
+          type: 1,
+          name: "server_list",
+          description: "List channel/role reminders in this server (staff)",
+        },
+        {
+          type: 1,
+          name: "server_unset",
+          description: "Cancel a channel/role reminder in this server (staff)",
+          options: [
+            {
+              type: 3,
+              name: "reminder_id",
+              description: "Number from /remindme server_list (1-based)",
+              required: true,
+              autocomplete: true,
+            },
           ],
         },
         {
@@ -1210,6 +1997,9 @@ export function registerReminders(register) {
         const messageId = norm(interaction.options?.getString?.("message_id"));
         const timeRaw = norm(interaction.options?.getString?.("time"));
         const atRaw = norm(interaction.options?.getString?.("at"));
+        const repeatRaw = norm(interaction.options?.getString?.("repeat"));
+        const untilRaw = norm(interaction.options?.getString?.("until"));
+        const count = interaction.options?.getInteger?.("count") ?? null;
         if ((phrase && messageId) || (!phrase && !messageId)) {
           await interaction.reply({
             content: "Please provide exactly one of `phrase` or `message_id`.",
@@ -1217,13 +2007,27 @@ export function registerReminders(register) {
           });
           return;
         }
-        if ((timeRaw && atRaw) || (!timeRaw && !atRaw)) {
+        if (repeatRaw && timeRaw && atRaw) {
+          await interaction.reply({
+            content: "Please provide at most one of `time` or `at` (the first reminder) with `repeat`.",
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+        if (!repeatRaw && ((timeRaw && atRaw) || (!timeRaw && !atRaw))) {
           await interaction.reply({
             content: "Please provide exactly one of `time` or `at`.",
             flags: MessageFlags.Ephemeral,
           });
           return;
         }
+        if (!repeatRaw && (untilRaw || count)) {
+          await interaction.reply({
+            content: "`until` and `count` only apply to repeating reminders (`repeat`).",
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
         if (messageId && !/^\d+$/.test(messageId)) {
           await interaction.reply({
             content: "Please provide a valid numeric message ID.",
@@ -1251,7 +2055,7 @@ export function registerReminders(register) {
             return;
           }
           remindAtMs = Date.now() + seconds * 1000;
-        } else {
+        } else if (atRaw) {
           const parsed = parseAbsoluteDateTime(atRaw, { defaultZone: DEFAULT_REMINDME_TZ });
           if (!parsed.ok) {
             await interaction.reply({
@@ -1281,24 +2085,59 @@ export function registerReminders(register) {
           }
         }
 
-        const dmOk = await ensureDmAvailable(interaction.user, "remindme");
-        if (!dmOk) {
-          await interaction.reply({
-            content: "❌ I couldn’t DM you. Please enable DMs from this server and try again.",
-            flags: MessageFlags.Ephemeral,
-          });
-          return;
+        let recurrence = null;
+        if (repeatRaw) {
+          const res = resolveRecurrence({ repeatRaw, untilRaw, count, remindAtMs });
+          if (!res.ok) {
+            await interaction.reply({
+              content: res.error,
+              flags: MessageFlags.Ephemeral,
+            });
+            return;
+          }
+          recurrence = res.recurrence;
+          remindAtMs = res.remindAtMs;
         }
 
-        const existing = await listReminders({ userId });
-        const isExempt = isAdminOrPrivileged(interaction);
-        if (!isExempt && existing.length >= MAX_REMIND_PER_USER) {
+        const target = resolveReminderTarget(interaction);
+        if (!target.ok) {
           await interaction.reply({
-            content: `You can only have ${MAX_REMIND_PER_USER} reminders.`,
+            content: target.error,
             flags: MessageFlags.Ephemeral,
           });
           return;
         }
+        const { targetChannelId, mentionRoleId } = target;
+
+        if (targetChannelId) {
+          const existing = await listGuildChannelReminders({ guildId: interaction.guildId });
+          if (existing.length >= MAX_CHANNEL_REMINDERS_PER_GUILD) {
+            await interaction.reply({
+              content: `This server already has ${MAX_CHANNEL_REMINDERS_PER_GUILD} channel reminders.`,
+              flags: MessageFlags.Ephemeral,
+            });
+            return;
+          }
+        } else {
+          const dmOk = await ensureDmAvailable(interaction.user, "remindme");
+          if (!dmOk) {
+            await interaction.reply({
+              content: "❌ I couldn’t DM you. Please enable DMs from this server and try again.",
+              flags: MessageFlags.Ephemeral,
+            });
+            return;
+          }
+
+          const existing = await listReminders({ userId });
+          const isExempt = hasPermissionTier(interaction, "moderator");
+          if (!isExempt && existing.length >= MAX_REMIND_PER_USER) {
+            await interaction.reply({
+              content: `You can only have ${MAX_REMIND_PER_USER} reminders.`,
+              flags: MessageFlags.Ephemeral,
+            });
+            return;
+          }
+        }
 
         const guildId = interaction.guildId || "";
         if (messageId) {
@@ -1326,6 +2165,9 @@ export function registerReminders(register) {
           messageId: messageId || "",
           phrase: phrase || "",
           remindAtMs,
+          recurrence,
+          targetChannelId,
+          mentionRoleId,
         });
         if (!id) {
           await interaction.reply({
@@ -1344,12 +2186,19 @@ export function registerReminders(register) {
           phrase: phrase || "",
           remindAtMs,
           createdAtMs: Date.now(),
+          recurrence,
+          targetChannelId,
+          mentionRoleId,
         });
 
         const whenLabel = `<t:${Math.floor(remindAtMs / 1000)}:f>`;
-        void metrics.increment("remindme.set", { status: "ok" });
+        const targetNote = targetChannelId
+          ? ` I'll post it in <#${targetChannelId}>${mentionRoleId ? ` and ping <@&${mentionRoleId}>` : ""}.`
+          : "";
+        const repeatNote = recurrence ? ` Repeats ${describeRecurrence(recurrence)}.` : "";
+        void metrics.increment("remindme.set", { status: recurrence ? "recurring" : "ok" });
         await interaction.reply({
-          content: `✅ Reminder set for ${whenLabel}.${tzNote}`,
+          content: `✅ Reminder set for ${whenLabel}.${targetNote}${repeatNote}${tzNote}`,
           flags: MessageFlags.Ephemeral,
         });
         return;
@@ -1404,8 +2253,50 @@ export function registerReminders(register) {
         return;
       }
 
+      if (sub === "server_list" || sub === "server_unset") {
+        if (!interaction.guildId || !hasPermissionTier(interaction, "host")) {
+          await interaction.reply({
+            content: "Only hosts and admins can manage this server's channel reminders.",
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+        const items = await listGuildChannelReminders({ guildId: interaction.guildId });
+
+        if (sub === "server_list") {
+          void metrics.increment("remindme.server_list", { status: "ok" });
+          await interaction.reply({
+            content: renderGuildRemindList(items),
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+
+        const index = Number(interaction.options?.getString?.("reminder_id") || "");
+        const target = Number.isInteger(index) && index >= 1 ? items[index - 1] : null;
+        if (!target) {
+          await interaction.reply({
+            content: "No channel reminder found with that number. Use `/remindme server_list` to check.",
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+
+        await deleteGuildChannelReminder({ id: target.id, guildId: interaction.guildId });
+        clearReminderTimeout(target.id);
+        void metrics.increment("remindme.server_unset", { status: "ok" });
+        await interaction.reply({
+          content: `✅ Channel reminder #${index} (<#${target.targetChannelId}>) cancelled.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
       if (sub === "clear") {
         await clearReminders({ userId });
+        for (const { reminder } of [...remindersById.values()]) {
+          if (reminder.userId === userId && !reminder.targetChannelId) clearReminderTimeout(reminder.id);
+        }
         void metrics.increment("remindme.clear", { status: "ok" });
         await interaction.reply({
           content: "✅ Cleared all reminders.",
@@ -1420,13 +2311,20 @@ export function registerReminders(register) {
       });
     },
     {
+      subcommandTiers: { server_list: "host", server_unset: "host" },
       autocomplete: async ({ interaction }) => {
         const sub = interaction.options?.getSubcommand?.() || "";
+        const focused = interaction.options?.getFocused?.() || "";
+        if (sub === "server_unset") {
+          const allowed = interaction.guildId && hasPermissionTier(interaction, "host");
+          const items = allowed ? await listGuildChannelReminders({ guildId: interaction.guildId }) : [];
+          await interaction.respond(buildReminderChoices(items, focused));
+          return;
+        }
         if (sub !== "unset") {
           await interaction.respond([]);
           return;
         }
-        const focused = interaction.options?.getFocused?.() || "";
         const items = await listReminders({
           userId: interaction.user?.id,
         });
@@ -1438,12 +2336,17 @@ export function registerReminders(register) {
 
 export const __testables = {
   parseDurationExtended,
+  nextRecurringFire,
+  snoozeUntil,
   formatLink,
   scheduleReminder,
   fireReminder,
   phraseKey,
   renderNotifyList,
+  renderNotifyDigest,
+  flushNotifyDigest,
   renderRemindList,
+  renderGuildRemindList,
   setBootClient: (client) => {
     boot.client = client;
   },
@@ -1453,6 +2356,11 @@ export const __testables = {
     }
     remindersById.clear();
     notifyByGuild.clear();
+    for (const timer of digestTimersByUser.values()) {
+      clearTimer(timer, "notifyme.reset");
+    }
+    digestTimersByUser.clear();
+    quietByUser.clear();
     booted = false;
     boot.client = null;
   },
@@ -11,7 +11,7 @@ import { fetchFindMyIdMatches } from "../rpg/findmyid.js";
 import { createRpgClientFactory } from "../rpg/client_factory.js";
 import { requireRpgCredentials } from "../rpg/credentials.js";
 import { loadUserIds as loadStoredUserIds } from "../shared/user_ids.js";
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { __testables as viewboxTestables } from "../rpg/viewbox.js";
 
 const DATA_DIR = new URL("./sortbox_data/", import.meta.url);
@@ -25,7 +25,7 @@ const userCooldowns = new Map(); // userId -> lastMs
 const { parseViewboxEntries } = viewboxTestables;
 
 // Gen 7 Legends & Mythicals + Zeraora (matches organizer defaults)
-const DEFAULT_LEGENDS_MYTHICALS_GEN7 = [
+export const DEFAULT_LEGENDS_MYTHICALS_GEN7 = [
   "Articuno","Zapdos","Moltres","Mewtwo","Mew",
   "Raikou","Entei","Suicune","Lugia","Ho-oh","Celebi",
   "Regirock","Regice","Registeel","Latias","Latios","Kyogre","Groudon","Rayquaza","Jirachi","Deoxys",
@@ -111,7 +111,7 @@ function stripPrefix(name) {
     .trim();
 }
 
-function baseSpeciesName(name) {
+export function baseSpeciesName(name) {
   const withoutPrefix = stripPrefix(name);
   const withoutGender = stripGender(withoutPrefix);
   return withoutGender.split(" (")[0].trim();
@@ -194,7 +194,7 @@ function applyVariantPrefix(name, variant) {
   return name;
 }
 
-function buildOrganizerEntries(viewboxEntries) {
+export function buildOrganizerEntries(viewboxEntries) {
   return viewboxEntries.map((entry) => {
     const base = applyVariantPrefix(entry.name, entry.variant);
     const unknown = entry.unknown ? " (?)" : "";
@@ -250,7 +250,7 @@ function splitUnknown(list) {
   return { unknown, rest };
 }
 
-function splitLegends(list, legendSet) {
+export function splitLegends(list, legendSet) {
   const legends = [];
   const rest = [];
   for (const e of list) {
@@ -526,7 +526,7 @@ function organize(entries, legendSet, opts, colors, ueugLoaded) {
   return out.trimEnd();
 }
 
-function buildLegendSet(rawText) {
+export function buildLegendSet(rawText) {
   const text = String(rawText || "").trim();
   const lines = text
     ? text.split(/\r?\n/).map((x) => x.trim()).filter(Boolean)
@@ -638,11 +638,11 @@ export function registerSortbox(register) {
       const userId = interaction.user?.id;
       const now = Date.now();
       const last = userCooldowns.get(userId) || 0;
-      const bypassCooldown = isAdminOrPrivileged({
+      const bypassCooldown = hasPermissionTier({
         member: interaction.member,
         author: interaction.user,
         guildId: interaction.guildId,
-      });
+      }, "trusted");
       if (!bypassCooldown && now - last < COOLDOWN_MS) {
         const remaining = Math.ceil((COOLDOWN_MS - (now - last)) / 1000);
         await editResponse({
@@ -2,16 +2,22 @@
 //
 // Forum thread watch subscriptions (bang/q based on guild exposure):
 //   !threadwatch sub <thread_url|thread_id> [--op | --user "Forum Name"]
-//   !threadwatch unsub <thread_url|thread_id|index>
+//   !threadwatch subforum <forum_url|forum_id> [--keywords "wts, golden"]
+//   !threadwatch unsub <thread_url|thread_id|forum_url|f=forum_id|index>
 //   !threadwatch list
 //   !threadwatch clearall
 //   !threadwatch help
+//
+// Subforum watches live in forum_thread_subscriptions too (watch_kind = 'forum'):
+// thread_id is the forum id, thread_url the listing URL, thread_title the forum
+// name and last_seen_post_id the newest thread id already seen. Thread ids only
+// grow, so "new" means an id above that mark on the listing's first page.
 
 import crypto from "node:crypto";
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from "discord.js";
 
 import { getDb } from "../db.js";
-import { isAdminOrPrivileged } from "../auth.js";
+import { hasPermissionTier } from "../auth.js";
 import { sendDm } from "../shared/dm.js";
 import { logger } from "../shared/logger.js";
 import { metrics } from "../shared/metrics.js";
@@ -23,11 +29,15 @@ import {
   extractPostTables,
   extractUsernameFromPostTable,
   extractPostMessageText,
+  extractThreadListings,
   htmlToText,
 } from "../shared/forum_scrape.js";
 
 const THREADWATCH_ALIASES = ["thread", "tw", "watchthread", "wt", "watch"];
 const THREADWATCH_LIMIT = 3;
+const FORUMWATCH_LIMIT = 3;
+const FORUMWATCH_MAX_KEYWORDS = 10;
+const FORUMWATCH_MAX_THREADS_PER_DM = 5;
 const ENV = String(process.env.ENV || "").toLowerCase();
 const DEV_MODE = ENV === "dev";
 const DEV_POLL_MS = Number(process.env.THREADWATCH_DEV_INTERVAL_MS);
@@ -46,6 +56,9 @@ const FILTER_ANY = "any";
 const FILTER_OP = "op";
 const FILTER_USER = "user";
 
+const KIND_THREAD = "thread";
+const KIND_FORUM = "forum";
+
 const FORUM_BASE_URL = process.env.FORUM_BASE_URL || "https://forums.tppc.info";
 
 const pendingClearConfirms = new Map(); // token -> { userId, createdAtMs }
@@ -155,6 +168,54 @@ function parseThreadInput(raw) {
   return { threadId: extractThreadIdFromUrl(url), threadUrl: url };
 }
 
+function canonicalForumUrl(forumId) {
+  return `${FORUM_BASE_URL}/forumdisplay.php?f=${forumId}`;
+}
+
+// Newest threads first, so page 1 always holds anything new (stickies aside).
+function forumListingUrl(forumId) {
+  return `${canonicalForumUrl(forumId)}&sort=dateline&order=desc`;
+}
+
+function parseForumInput(raw) {
+  const s = String(raw || "").trim();
+  const short = /^f=?(\d+)$/i.exec(s) || /^(\d+)$/.exec(s);
+  if (short) return { forumId: Number(short[1]) };
+  try {
+    const u = new URL(s);
+    if (u.hostname !== "forums.tppc.info" || !u.pathname.includes("forumdisplay.php")) return { forumId: null };
+    const f = u.searchParams.get("f");
+    return { forumId: f && /^\d+$/.test(f) ? Number(f) : null };
+  } catch {
+    return { forumId: null };
+  }
+}
+
+function parseKeywords(raw) {
+  const seen = new Set();
+  for (const part of String(raw || "").split(",")) {
+    const keyword = part.trim().toLowerCase();
+    if (keyword) seen.add(keyword);
+  }
+  return [...seen];
+}
+
+function parseKeywordsJson(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(String(raw));
+    return Array.isArray(parsed) ? parsed.map((k) => String(k).toLowerCase()).filter(Boolean) : [];
+  } catch {
+    return parseKeywords(raw);
+  }
+}
+
+function titleMatchesKeywords(title, keywords) {
+  if (!keywords?.length) return true;
+  const t = String(title || "").toLowerCase();
+  return keywords.some((k) => t.includes(k));
+}
+
 function extractThreadTitleFromHtml(html) {
   const m = /<title>([\s\S]*?)<\/title>/i.exec(String(html || ""));
   if (!m) return "TPPC Forums";
@@ -292,6 +353,16 @@ async function fetchThreadMeta(threadUrl) {
   return { threadId, title, op, lastPostId, pageCount, page1Html };
 }
 
+async function fetchForumListing(forumId) {
+  const html = await fetchForumPage(forumListingUrl(forumId), {
+    timeoutMs: FETCH_TIMEOUT_MS,
+    metricsKey: "threadwatch_forum",
+  });
+  const threads = extractThreadListings(html);
+  const latestThreadId = threads.reduce((acc, t) => (t.threadId > acc ? t.threadId : acc), 0) || null;
+  return { title: extractThreadTitleFromHtml(html), threads, latestThreadId };
+}
+
 async function fetchPostsSince(threadUrl, minPostId) {
   const page1Html = await fetchForumPage(threadUrl, {
     timeoutMs: FETCH_TIMEOUT_MS,
@@ -353,6 +424,16 @@ async function ensureDmAvailable(user) {
   throw res.error;
 }
 
+function formatWatchLine(row, idx) {
+  if (row.watch_kind === KIND_FORUM) {
+    const keywords = parseKeywordsJson(row.keywords);
+    return `${idx + 1}) [subforum] ${row.thread_title} (f=${row.thread_id}) — new threads${
+      keywords.length ? ` matching: ${keywords.join(", ")}` : ""
+    }`;
+  }
+  return `${idx + 1}) ${row.thread_title} (t=${row.thread_id}) — filter: ${formatFilterLabel(row)}`;
+}
+
 function formatFilterLabel(row) {
   if (row.filter_mode === FILTER_OP) return `op (${row.filter_user || "?"})`;
   if (row.filter_mode === FILTER_USER) return `user (${row.filter_user || "?"})`;
@@ -364,7 +445,8 @@ function buildHelpText(prefix = "!") {
   return (
     "Forum thread watch:\n" +
     `• \`${cmd} sub <thread_url|thread_id> [--op | --user "Forum Name"]\` — subscribe\n` +
-    `• \`${cmd} unsub <thread_url|thread_id|index>\` — unsubscribe\n` +
+    `• \`${cmd} subforum <forum_url|forum_id> [--keywords "wts, golden"]\` — get new threads in a subforum\n` +
+    `• \`${cmd} unsub <thread_url|thread_id|forum_url|f=forum_id|index>\` — unsubscribe\n` +
     `• \`${cmd} list\` — show your tracked threads\n` +
     `• \`${cmd} clearall\` — remove all tracked threads\n` +
     `• \`${cmd} help\` — show this help\n\n` +
@@ -372,7 +454,8 @@ function buildHelpText(prefix = "!") {
     "• Use quotes for forum names with spaces.\n" +
     `• Index refers to the numbered list from \`${cmd} list\`.\n` +
     "• Filters are case-sensitive (must match forums display name exactly).\n" +
-    `• Limit: ${THREADWATCH_LIMIT} threads per user (admin/privileged unlimited).`
+    "• Subforum keywords are comma-separated and match thread titles (any keyword, case-insensitive).\n" +
+    `• Limit: ${THREADWATCH_LIMIT} threads and ${FORUMWATCH_LIMIT} subforums per user (admin/privileged unlimited).`
   );
 }
 
@@ -426,11 +509,35 @@ function parseSubOptions(tokens) {
   return { input, filterMode, filterUser };
 }
 
+function parseForumSubOptions(tokens) {
+  let input = null;
+  let keywords = [];
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token === "--keywords" || token.startsWith("--keywords=")) {
+      const value = token.includes("=") ? token.split("=", 2)[1] : tokens[i + 1];
+      if (!value) return { error: "Missing keywords after --keywords." };
+      if (!token.includes("=")) i += 1;
+      keywords = parseKeywords(value);
+      continue;
+    }
+    if (!input) input = token;
+  }
+
+  if (!input) return { error: "Missing subforum URL or ID." };
+  if (keywords.length > FORUMWATCH_MAX_KEYWORDS) {
+    return { error: `Use at most ${FORUMWATCH_MAX_KEYWORDS} keywords.` };
+  }
+  return { input, keywords };
+}
+
 async function fetchSubscriptionsForUser(userId) {
   const db = getDb();
   const [rows] = await db.execute(
     `
-    SELECT id, thread_id, thread_url, thread_title, thread_op, filter_mode, filter_user, last_seen_post_id
+    SELECT id, thread_id, thread_url, thread_title, thread_op, filter_mode, filter_user, last_seen_post_id,
+           watch_kind, keywords
     FROM forum_thread_subscriptions
     WHERE user_id = ?
     ORDER BY id ASC
@@ -499,16 +606,16 @@ async function handleSubCommand({ message, tokens }) {
     `
     SELECT id
     FROM forum_thread_subscriptions
-    WHERE user_id = ? AND thread_id = ?
+    WHERE user_id = ? AND thread_id = ? AND watch_kind = 'thread'
   `,
     [String(message.author.id), Number(threadId)]
   );
   const existing = existingRows?.[0] || null;
 
   if (!existing) {
-    if (!isAdminOrPrivileged(message)) {
+    if (!hasPermissionTier(message, "moderator")) {
       const [countRows] = await db.execute(
-        `SELECT COUNT(*) AS total FROM forum_thread_subscriptions WHERE user_id = ?`,
+        `SELECT COUNT(*) AS total FROM forum_thread_subscriptions WHERE user_id = ? AND watch_kind = 'thread'`,
         [String(message.author.id)]
       );
       const total = Number(countRows?.[0]?.total || 0);
@@ -594,6 +701,112 @@ async function handleSubCommand({ message, tokens }) {
   );
 }
 
+async function handleForumSubCommand({ message, tokens }) {
+  const opts = parseForumSubOptions(tokens);
+  if (opts.error) {
+    await message.reply(`❌ ${opts.error}`);
+    return;
+  }
+
+  const { forumId } = parseForumInput(opts.input);
+  if (!forumId) {
+    await message.reply("❌ Invalid subforum. Use a forums.tppc.info/forumdisplay.php?f=... link or a numeric forum ID.");
+    return;
+  }
+
+  let listing;
+  try {
+    listing = await fetchForumListing(forumId);
+  } catch (err) {
+    logger.warn("threadwatch.forum_fetch_failed", { forumId, error: logger.serializeError(err) });
+    await message.reply("❌ Unable to fetch that subforum right now. Try again later.");
+    return;
+  }
+  if (!listing.threads.length) {
+    await message.reply("❌ I couldn't find any threads in that subforum. Check the forum ID.");
+    return;
+  }
+
+  const db = getDb();
+  const userId = String(message.author.id);
+  const [existingRows] = await db.execute(
+    `
+    SELECT id
+    FROM forum_thread_subscriptions
+    WHERE user_id = ? AND thread_id = ? AND watch_kind = 'forum'
+  `,
+    [userId, Number(forumId)]
+  );
+  const existing = existingRows?.[0] || null;
+
+  if (!existing && !hasPermissionTier(message, "moderator")) {
+    const [countRows] = await db.execute(
+      `SELECT COUNT(*) AS total FROM forum_thread_subscriptions WHERE user_id = ? AND watch_kind = 'forum'`,
+      [userId]
+    );
+    if (Number(countRows?.[0]?.total || 0) >= FORUMWATCH_LIMIT) {
+      await message.reply(
+        `❌ You already watch ${FORUMWATCH_LIMIT} subforums. Use \`!threadwatch list\` and \`!threadwatch unsub\` first.`
+      );
+      return;
+    }
+  }
+
+  let canDm = false;
+  try {
+    canDm = await ensureDmAvailable(message.author);
+  } catch (err) {
+    logger.warn("threadwatch.dm_check_failed", { error: logger.serializeError(err) });
+    await message.reply("❌ Unable to verify your DM settings right now. Try again later.");
+    return;
+  }
+  if (!canDm) {
+    await message.reply("❌ I can’t DM you right now (DMs are closed). Subscription not registered.");
+    return;
+  }
+
+  const keywordsJson = opts.keywords.length ? JSON.stringify(opts.keywords) : null;
+  if (existing) {
+    await db.execute(
+      `
+      UPDATE forum_thread_subscriptions
+      SET thread_url = ?, thread_title = ?, keywords = ?, last_seen_post_id = ?
+      WHERE id = ?
+    `,
+      [
+        canonicalForumUrl(forumId),
+        String(listing.title || "TPPC Forums"),
+        keywordsJson,
+        Number(listing.latestThreadId || 0),
+        Number(existing.id),
+      ]
+    );
+  } else {
+    await db.execute(
+      `
+      INSERT INTO forum_thread_subscriptions
+        (user_id, thread_id, thread_url, thread_title, thread_op, filter_mode, filter_user, last_seen_post_id,
+         watch_kind, keywords)
+      VALUES (?, ?, ?, ?, NULL, ?, NULL, ?, 'forum', ?)
+    `,
+      [
+        userId,
+        Number(forumId),
+        canonicalForumUrl(forumId),
+        String(listing.title || "TPPC Forums"),
+        FILTER_ANY,
+        Number(listing.latestThreadId || 0),
+        keywordsJson,
+      ]
+    );
+  }
+
+  const keywordNote = opts.keywords.length ? ` matching: ${opts.keywords.join(", ")}` : "";
+  await message.reply(
+    `✅ ${existing ? "Updated watch for" : "Now watching"} new threads in **${listing.title}**${keywordNote}.`
+  );
+}
+
 async function handleUnsubCommand({ message, tokens }) {
   const target = tokens[0];
   if (!target) {
@@ -616,6 +829,17 @@ async function handleUnsubCommand({ message, tokens }) {
     }
   }
 
+  if (!row && /forumdisplay\.php|^f=?\d+$/i.test(String(target))) {
+    const { forumId } = parseForumInput(target);
+    row = forumId
+      ? list.find((entry) => entry.watch_kind === KIND_FORUM && Number(entry.thread_id) === forumId)
+      : null;
+    if (!row) {
+      await message.reply("❌ No matching subscription found for that subforum.");
+      return;
+    }
+  }
+
   if (!row) {
     const parsed = parseThreadInput(target);
     if (!parsed.threadUrl && !parsed.threadId) {
@@ -629,7 +853,7 @@ async function handleUnsubCommand({ message, tokens }) {
       return;
     }
 
-    row = list.find((entry) => Number(entry.thread_id) === Number(threadId));
+    row = list.find((entry) => entry.watch_kind !== KIND_FORUM && Number(entry.thread_id) === Number(threadId));
     if (!row) {
       await message.reply("❌ No matching subscription found for that thread.");
       return;
@@ -639,7 +863,8 @@ async function handleUnsubCommand({ message, tokens }) {
   const db = getDb();
   await db.execute(`DELETE FROM forum_thread_subscriptions WHERE id = ?`, [Number(row.id)]);
 
-  await message.reply(`✅ Unsubscribed from **${row.thread_title}** (t=${row.thread_id}).`);
+  const ref = row.watch_kind === KIND_FORUM ? `f=${row.thread_id}` : `t=${row.thread_id}`;
+  await message.reply(`✅ Unsubscribed from **${row.thread_title}** (${ref}).`);
 }
 
 async function handleListCommand({ message }) {
@@ -649,11 +874,13 @@ async function handleListCommand({ message }) {
     return;
   }
 
-  const header = `Your tracked threads (${list.length}${isAdminOrPrivileged(message) ? "" : `/${THREADWATCH_LIMIT}`})`;
-  const lines = list.map((row, idx) => {
-    const filter = formatFilterLabel(row);
-    return `${idx + 1}) ${row.thread_title} (t=${row.thread_id}) — filter: ${filter}`;
-  });
+  const threadCount = list.filter((row) => row.watch_kind !== KIND_FORUM).length;
+  const forumCount = list.length - threadCount;
+  const unlimited = hasPermissionTier(message, "moderator");
+  const header =
+    `Your tracked threads (${threadCount}${unlimited ? "" : `/${THREADWATCH_LIMIT}`})` +
+    (forumCount ? ` and subforums (${forumCount}${unlimited ? "" : `/${FORUMWATCH_LIMIT}`})` : "");
+  const lines = list.map((row, idx) => formatWatchLine(row, idx));
 
   await message.reply(`${header}\n${lines.join("\n")}`);
 }
@@ -724,6 +951,7 @@ async function pollSubscriptions() {
       SELECT id, user_id, thread_id, thread_url, thread_title, thread_op,
              filter_mode, filter_user, last_seen_post_id
       FROM forum_thread_subscriptions
+      WHERE watch_kind = 'thread'
     `
     );
 
@@ -825,10 +1053,101 @@ async function pollSubscriptions() {
   }
 }
 
+function buildForumDm(sub, threads) {
+  const shown = threads.slice(0, FORUMWATCH_MAX_THREADS_PER_DM);
+  const lines = shown.map(
+    (t) => `• **${t.title}** — by **${t.author || "Unknown"}**\n  ${canonicalThreadUrl(t.threadId)}`
+  );
+  const more = threads.length > shown.length ? `\n…and ${threads.length - shown.length} more.` : "";
+  return (
+    `🆕 **${threads.length} new thread${threads.length === 1 ? "" : "s"} in ${sub.thread_title}**\n` +
+    `${lines.join("\n")}${more}\n\n` +
+    `To stop updates, use \`!threadwatch unsub f=${sub.thread_id}\`.`
+  );
+}
+
+async function pollForumSubscriptions() {
+  const db = getDb();
+  const [rows] = await db.execute(
+    `
+    SELECT id, user_id, thread_id, thread_title, last_seen_post_id, keywords
+    FROM forum_thread_subscriptions
+    WHERE watch_kind = 'forum'
+  `
+  );
+  if (!rows || rows.length === 0) return;
+
+  const byForum = new Map();
+  for (const row of rows) {
+    const key = String(row.thread_id);
+    if (!byForum.has(key)) byForum.set(key, []);
+    byForum.get(key).push(row);
+  }
+
+  const userCache = new Map();
+  for (const [forumId, subs] of byForum.entries()) {
+    let listing;
+    try {
+      listing = await fetchForumListing(forumId);
+    } catch (err) {
+      logger.warn("threadwatch.poll.forum_fetch_failed", { forumId, error: logger.serializeError(err) });
+      continue;
+    }
+    // An empty/unparseable page must not move anyone's mark.
+    if (!listing.latestThreadId) continue;
+
+    for (const sub of subs) {
+      const lastSeen = Number(sub.last_seen_post_id || 0);
+      if (listing.latestThreadId <= lastSeen) continue;
+
+      const keywords = parseKeywordsJson(sub.keywords);
+      const fresh = listing.threads
+        .filter((t) => t.threadId > lastSeen && titleMatchesKeywords(t.title, keywords))
+        .sort((a, b) => a.threadId - b.threadId);
+
+      if (fresh.length) {
+        if (!cachedClient) {
+          logger.warn("threadwatch.dm.missing_client", { forumId });
+        } else {
+          const cacheKey = String(sub.user_id);
+          if (!userCache.has(cacheKey)) {
+            userCache.set(cacheKey, (await cachedClient.users.fetch(cacheKey).catch(() => null)) || null);
+          }
+          const user = userCache.get(cacheKey);
+          if (!user) {
+            logger.warn("threadwatch.dm.user_missing", { userId: sub.user_id });
+          } else {
+            const res = await sendDm({
+              user,
+              payload: { content: buildForumDm(sub, fresh) },
+              feature: "threadwatch",
+            });
+            if (!res.ok) {
+              logger.warn("threadwatch.dm.failed", { error: logger.serializeError(res.error) });
+            }
+          }
+        }
+      }
+
+      await db.execute(`UPDATE forum_thread_subscriptions SET last_seen_post_id = ? WHERE id = ?`, [
+        Number(listing.latestThreadId),
+        Number(sub.id),
+      ]);
+    }
+
+    await sleep(PAGE_DELAY_MS);
+  }
+}
+
 function scheduleNextPoll(delayMs = POLL_INTERVAL_MS) {
   if (pollTimer) clearTimeout(pollTimer);
   pollTimer = setTimeout(async () => {
     await pollSubscriptions();
+    try {
+      await pollForumSubscriptions();
+    } catch (err) {
+      logger.warn("threadwatch.poll.forum_failed", { error: logger.serializeError(err) });
+    }
     scheduleNextPoll(POLL_INTERVAL_MS);
   }, delayMs);
   if (typeof pollTimer.unref === "function") pollTimer.unref();
@@ -882,6 +1201,11 @@ export function registerThreadWatch(register) {
         return;
       }
 
+      if (subcmd === "subforum" || subcmd === "forum") {
+        await handleForumSubCommand({ message, tokens });
+        return;
+      }
+
       if (subcmd === "unsub") {
         await handleUnsubCommand({ message, tokens });
         return;
@@ -894,7 +1218,7 @@ export function registerThreadWatch(register) {
 
       await message.reply(buildHelpText(prefix));
     },
-    help: "!threadwatch <sub|unsub|list|clearall|help> — follow TPPC forum threads",
+    help: "!threadwatch <sub|subforum|unsub|list|clearall|help> — follow TPPC forum threads and subforums",
     opts: { aliases: THREADWATCH_ALIASES, category: "Tools" },
   });
 
@@ -911,4 +1235,12 @@ export const __testables = {
   parsePostsFromHtml,
   formatSnippet,
   buildPostHotlink,
+  parseForumInput,
+  parseForumSubOptions,
+  titleMatchesKeywords,
+  buildForumDm,
+  pollForumSubscriptions,
+  setClient: (client) => {
+    cachedClient = client;
+  },
 };
@@ -3,13 +3,20 @@
 // Registers DB-backed trading list commands:
 // - ft   (exposable: !ft or ?ft depending on policy) + shortcuts (!ftadd / !ftdel)
 // - lf   (exposable: !lf or ?lf depending on policy) + shortcuts (!lfadd / !lfdel)
+// - ft match / lf match: cross-reference parsed FT/LF lists across the guild
 
 import {
   getUserText,
   setUserText,
-  deleteUserText
+  deleteUserText,
+  listUserTexts
 } from "../db.js";
 import { getMentionedUsers } from "../shared/mentions.js";
+import { sendChunked } from "../contests/helpers.js";
+import { parseTradeList, formatTradeEntry, rankTradePartners } from "./trade_lists.js";
+
+const MATCH_MAX_PARTNERS = 10;
+const MATCH_MAX_ENTRIES_SHOWN = 5;
 
 /* --------------------------------- helpers -------------------------------- */
 
@@ -43,6 +50,72 @@ function appendListText(existing, addition) {
   return `${base}${separator}${addition}`;
 }
 
+function formatEntryList(entries) {
+  const labels = entries.slice(0, MATCH_MAX_ENTRIES_SHOWN).map(formatTradeEntry);
+  const extra = entries.length - labels.length;
+  return extra > 0 ? `${labels.join(", ")} +${extra} more` : labels.join(", ");
+}
+
+async function loadParsedLists(guildId, kind) {
+  const rows = await listUserTexts({ guildId, kind });
+  const byUser = new Map();
+  for (const row of rows) {
+    const entries = await parseTradeList(row.text);
+    if (entries.length) byUser.set(String(row.userId), entries);
+  }
+  return byUser;
+}
+
+async function handleMatch(message, baseCmd) {
+  const guildId = message.guild.id;
+  const userId = String(message.author.id);
+
+  let ftByUser;
+  let lfByUser;
+  try {
+    [ftByUser, lfByUser] = await Promise.all([
+      loadParsedLists(guildId, "ft"),
+      loadParsedLists(guildId, "lf"),
+    ]);
+  } catch (err) {
+    console.error("[trades] failed to load lists for matching:", err);
+    await message.reply("❌ Failed to load trading lists. Please try again later.");
+    return;
+  }
+
+  if (!ftByUser.has(userId) && !lfByUser.has(userId)) {
+    const prefix = String(baseCmd || "").trim()[0] || "?";
+    await message.reply(
+      `No Pokémon were recognized in your lists. Set them with \`${prefix}ft add <list>\` / \`${prefix}lf add <list>\` (e.g. \`GoldenPichu (M), s.charmander lvl 5\`).`
+    );
+    return;
+  }
+
+  const partners = rankTradePartners({ userId, ftByUser, lfByUser });
+  if (!partners.length) {
+    await message.reply("No trade matches found for your lists.");
+    return;
+  }
+
+  const lines = [`**Trade matches for ${mention(userId)}**`];
+  for (const p of partners.slice(0, MATCH_MAX_PARTNERS)) {
+    const parts = [];
+    if (p.theyHave.length) parts.push(`has: ${formatEntryList(p.theyHave)}`);
+    if (p.theyWant.length) parts.push(`wants: ${formatEntryList(p.theyWant)}`);
+    const icon = p.mutual ? "🔁" : p.theyHave.length ? "➡️" : "⬅️";
+    lines.push(`${icon} ${mention(p.userId)} — ${parts.join(" · ")}`);
+  }
+  if (partners.length > MATCH_MAX_PARTNERS) {
+    lines.push(`…and ${partners.length - MATCH_MAX_PARTNERS} more.`);
+  }
+
+  // Long lists split across messages; listing partners should not ping them.
+  await sendChunked({
+    send: (content) => sendMentionSafe(message.channel, content, []),
+    lines,
+  });
+}
+
 /* ----------------------------- handler builders ---------------------------- */
 
 function makeTextListHandler(kind, label, opts = {}) {
@@ -53,8 +126,8 @@ function makeTextListHandler(kind, label, opts = {}) {
   const pretty = kind === "ft" ? "Trading" : "Looking-for";
   const helpLine =
     kind === "ft"
-      ? "!ft add <list> | !ft append <list> | !ft del | !ft [@user...] — is trading list"
-      : "!lf add <list> | !lf append <list> | !lf del | !lf [@user...] — is looking for list";
+      ? "!ft add <list> | !ft append <list> | !ft del | !ft match | !ft [@user...] — is trading list"
+      : "!lf add <list> | !lf append <list> | !lf del | !lf match | !lf [@user...] — is looking for list";
   const shortcutAddLine =
     kind === "ft"
       ? "!ftadd <text> — shortcut for !ft add <text>"
@@ -110,6 +183,12 @@ function makeTextListHandler(kind, label, opts = {}) {
       return;
     }
 
+    // match (cross-reference parsed lists)
+    if (!isShortcutAdd && lower === "match") {
+      await handleMatch(message, baseCmd);
+      return;
+    }
+
     // append
     if (lower.startsWith("append")) {
       const after = raw.slice("append".length);
@@ -217,14 +296,14 @@ export function registerTradeCommands(register) {
     logicalId: "trading.ft",
     name: "ft",
     handler: makeTextListHandler("ft", "is trading"),
-    help: "!ft add <list> | !ft del | !ft [@user...] — is trading list"
+    help: "!ft add <list> | !ft del | !ft match | !ft [@user...] — is trading list"
   });
 
   register.expose({
     logicalId: "trading.lf",
     name: "lf",
     handler: makeTextListHandler("lf", "is looking for"),
-    help: "!lf add <list> | !lf del | !lf [@user...] — is looking for list"
+    help: "!lf add <list> | !lf del | !lf match | !lf [@user...] — is looking for list"
   });
 
   // -------------------- shortcuts (MIRROR canonical prefix) --------------------
@@ -0,0 +1,253 @@
+// trades/trade_lists.js
+//
+// Structured parsing + matching for FT/LF lists.
+//
+// Lists are still stored as free text in user_texts (single source of truth);
+// entries are parsed on read so older lists participate in matching without a
+// migration.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { normalizeKey } from "../shared/pokename_utils.js";
+import { parsePokemonQuery } from "../rpg/pokedex.js";
+
+const POKEDEX_MAP_PATH = path.resolve("data/pokedex_map.json");
+const MAX_ENTRIES_PER_LIST = 200;
+
+const VARIANT_LABELS = {
+  normal: "",
+  shiny: "Shiny",
+  dark: "Dark",
+  golden: "Golden",
+};
+
+const GENDER_WORDS = {
+  m: "M",
+  male: "M",
+  "♂": "M",
+  f: "F",
+  female: "F",
+  "♀": "F",
+  "?": "?",
+  g: "?",
+  genderless: "?",
+  ungendered: "?",
+};
+
+let pokedexNorm = null; // Map<normalizedName, { name, key }>
+
+async function loadPokedexIndex() {
+  if (pokedexNorm) return pokedexNorm;
+
+  const raw = await fs.readFile(POKEDEX_MAP_PATH, "utf8");
+  const map = JSON.parse(raw);
+  const index = new Map();
+  for (const [name, key] of Object.entries(map || {})) {
+    const norm = normalizeKey(name);
+    if (norm && !index.has(norm)) index.set(norm, { name, key: String(key) });
+  }
+
+  pokedexNorm = index;
+  return pokedexNorm;
+}
+
+function lookupSpecies(index, nameRaw) {
+  const name = String(nameRaw ?? "").trim();
+  if (!name) return null;
+
+  // Direct name first so species like "Slowpoke" or "Gligar" are not read as
+  // shiny/golden prefixes.
+  const direct = index.get(normalizeKey(name));
+  if (direct) return { ...direct, variant: "normal" };
+
+  const { base, variant } = parsePokemonQuery(name);
+  if (!variant || !base) return null;
+  const hit = index.get(normalizeKey(base));
+  return hit ? { ...hit, variant } : null;
+}
+
+function splitListChunks(text) {
+  return String(text ?? "")
+    .split(/[\n,;|]+/)
+    .map((chunk) => chunk.replace(/^\s*(?:[-*•]+|\d+[.)])\s+/, "").trim())
+    .filter(Boolean);
+}
+
+function extractLevel(chunk) {
+  const toLevel = (raw) => {
+    const level = Number(raw);
+    return Number.isSafeInteger(level) && level > 0 ? level : null;
+  };
+
+  const explicit = /\b(?:lvl|lv|level|l)\.?\s*(\d{1,7})\b/i.exec(chunk);
+  if (explicit) {
+    return {
+      level: toLevel(explicit[1]),
+      gender: null,
+      rest: `${chunk.slice(0, explicit.index)} ${chunk.slice(explicit.index + explicit[0].length)}`,
+    };
+  }
+
+  // Shorthand used in list posts: "GDratini 5", "GPichu M5", "GPichu ?5".
+  const trailing = /\s([mf?])?(\d{1,7})\s*$/i.exec(chunk);
+  if (trailing) {
+    return {
+      level: toLevel(trailing[2]),
+      gender: trailing[1] ? GENDER_WORDS[trailing[1].toLowerCase()] : null,
+      rest: chunk.slice(0, trailing.index),
+    };
+  }
+
+  return { level: null, gender: null, rest: chunk };
+}
+
+function extractParenGender(chunk) {
+  const re = /\(\s*(m|f|\?|g|male|female|genderless|ungendered|♂|♀)\s*\)/i;
+  const m = re.exec(chunk);
+  if (!m) return { gender: null, rest: chunk };
+  return {
+    gender: GENDER_WORDS[m[1].toLowerCase()] || null,
+    rest: `${chunk.slice(0, m.index)} ${chunk.slice(m.index + m[0].length)}`,
+  };
+}
+
+function cleanName(text) {
+  return String(text ?? "")
+    .replace(/^\s*\d+\s*x\s+/i, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Parse one list chunk (e.g. "GoldenPichu (M) lvl 5") into a structured entry.
+ * Returns null for anything that does not resolve to a pokedex species
+ * (thread links, prices, free-form notes).
+ */
+function parseTradeEntry(index, chunkRaw) {
+  const chunk = String(chunkRaw ?? "").trim();
+  if (!chunk || /https?:\/\//i.test(chunk)) return null;
+
+  const { level, gender: levelGender, rest: afterLevel } = extractLevel(chunk);
+  const { gender: parenGender, rest: afterGender } = extractParenGender(afterLevel);
+  const name = cleanName(afterGender);
+
+  let species = null;
+  let gender = parenGender || levelGender;
+
+  // Trailing "M"/"F"/"?" tokens only count as gender when the name resolves
+  // without them (keeps NidoranM / "Unown ?" intact).
+  const tokens = name.split(" ");
+  const last = tokens[tokens.length - 1]?.toLowerCase();
+  if (tokens.length > 1 && GENDER_WORDS[last]) {
+    species = lookupSpecies(index, tokens.slice(0, -1).join(" "));
+    if (species && !gender) gender = GENDER_WORDS[last];
+  }
+  if (!species) species = lookupSpecies(index, name);
+
+  if (!species) return null;
+
+  return {
+    raw: chunk,
+    name: species.name,
+    key: species.key,
+    variant: species.variant,
+    gender: gender || null,
+    level,
+  };
+}
+
+export async function parseTradeList(text) {
+  const index = await loadPokedexIndex();
+  const entries = [];
+  for (const chunk of splitListChunks(text)) {
+    const entry = parseTradeEntry(index, chunk);
+    if (entry) entries.push(entry);
+    if (entries.length >= MAX_ENTRIES_PER_LIST) break;
+  }
+  return entries;
+}
+
+export function formatTradeEntry(entry) {
+  if (!entry) return "";
+  const prefix = VARIANT_LABELS[entry.variant] || "";
+  let out = `${prefix}${entry.name}`;
+  if (entry.gender) out += ` (${entry.gender})`;
+  if (entry.level) out += ` lvl ${entry.level}`;
+  return out;
+}
+
+/**
+ * Species + variant must match; gender and level only constrain the match
+ * when both sides specify them.
+ */
+export function tradeEntriesMatch(want, have) {
+  if (!want || !have) return false;
+  if (want.key !== have.key) return false;
+  if (want.variant !== have.variant) return false;
+  if (want.gender && have.gender && want.gender !== have.gender) return false;
+  if (want.level && have.level && want.level !== have.level) return false;
+  return true;
+}
+
+export function findTradeMatches(wantEntries, haveEntries) {
+  const out = [];
+  const seen = new Set();
+  for (const have of haveEntries || []) {
+    if (!(wantEntries || []).some((want) => tradeEntriesMatch(want, have))) continue;
+    const label = formatTradeEntry(have);
+    if (seen.has(label)) continue;
+    seen.add(label);
+    out.push(have);
+  }
+  return out;
+}
+
+/**
+ * Rank other users by how well their lists line up with `userId`'s lists.
+ *
+ * ftByUser / lfByUser: Map<userId, entry[]>
+ * Returns [{ userId, theyHave, theyWant, mutual }] best-first, where
+ * theyHave = their FT entries matching my LF, theyWant = my FT entries matching their LF.
+ */
+export function rankTradePartners({ userId, ftByUser, lfByUser }) {
+  const self = String(userId);
+  const myFt = ftByUser.get(self) || [];
+  const myLf = lfByUser.get(self) || [];
+
+  const others = new Set([...ftByUser.keys(), ...lfByUser.keys()]);
+  others.delete(self);
+
+  const partners = [];
+  for (const otherId of others) {
+    const theyHave = myLf.length ? findTradeMatches(myLf, ftByUser.get(otherId) || []) : [];
+    const theyWant = myFt.length ? findTradeMatches(lfByUser.get(otherId) || [], myFt) : [];
+    if (!theyHave.length && !theyWant.length) continue;
+    partners.push({
+      userId: otherId,
+      theyHave,
+      theyWant,
+      mutual: theyHave.length > 0 && theyWant.length > 0,
+    });
+  }
+
+  partners.sort((a, b) => {
+    if (a.mutual !== b.mutual) return a.mutual ? -1 : 1;
+    const aMin = Math.min(a.theyHave.length, a.theyWant.length);
+    const bMin = Math.min(b.theyHave.length, b.theyWant.length);
+    if (aMin !== bMin) return bMin - aMin;
+    const aTotal = a.theyHave.length + a.theyWant.length;
+    const bTotal = b.theyHave.length + b.theyWant.length;
+    if (aTotal !== bTotal) return bTotal - aTotal;
+    return a.userId.localeCompare(b.userId);
+  });
+
+  return partners;
+}
+
+export const __testables = {
+  splitListChunks,
+  parseTradeEntry,
+  lookupSpecies,
+  loadPokedexIndex,
+};
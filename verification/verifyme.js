@@ -17,12 +17,10 @@
 // IMPORTANT:
 // - Never echo tokens in Discord.
 // - Escape forum username for Discord display only (do NOT modify stored forum username).
-// - Approval workflow is configured per guild in configs/verification_config.json.
+// - Approval workflow is configured per guild in configs/verification_config.json
+//   (or overridden per guild from the admin dashboard; see shared/guild_settings.js).
 
 import crypto from "crypto";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import {
   ActionRowBuilder,
   ButtonBuilder,
@@ -33,30 +31,14 @@ import {
 import { ForumClient } from "./forum_client.js";
 import { getSavedId, getUserText, setUserText, deleteUserText } from "../db.js";
 import { sendDm } from "../shared/dm.js";
+import { getGuildSetting } from "../shared/guild_settings.js";
 
 const K_VERIFIED = "fuser"; // <= 8 chars (db schema)
 const K_PENDING = "fpending";
 const K_VERIFIED_AT = "fuserat";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Config cache
-let _cfgCache = null;
-
-function loadVerificationConfig() {
-  if (_cfgCache) return _cfgCache;
-
-  // verification/.. -> project root -> configs/verification_config.json
-  const p = path.join(__dirname, "..", "configs", "verification_config.json");
-  const raw = fs.readFileSync(p, "utf8");
-  _cfgCache = JSON.parse(raw);
-  return _cfgCache;
-}
-
 function getGuildVerifyConfig(guildId) {
-  const cfg = loadVerificationConfig();
-  return cfg?.guilds?.[String(guildId)] || null;
+  return getGuildSetting(guildId, "verification") || null;
 }
 
 function escapeDiscordMarkdown(text) {